@@ -25,14 +25,26 @@ module.exports = function(program) {
     .command('issue')
     .description('Issue a new certificate')
     .option('-n, --name <name>', 'Certificate common name')
-    .option('-t, --type <type>', 'Certificate type (intermediate|entity)', 'entity')
-    .option('-d, --days <days>', 'Validity in days', '365')
+    .option('-p, --profile <profile>', 'Certificate profile (see: exprsn ca profiles)')
+    .option('-s, --san <names>', 'Subject alternative names, comma-separated')
+    .option('-i, --issuer <id>', 'Issuer certificate ID')
+    .option('-t, --type <type>', 'Certificate type when no profile is given (entity|client|server)', 'entity')
+    .option('-d, --days <days>', 'Validity in days (defaults from the profile)')
     .option('-e, --email <email>', 'Email address')
     .action(async (options) => {
       const manager = new CAManager();
       await manager.issueCertificate(options);
     });
 
+  // Certificate profiles
+  ca
+    .command('profiles')
+    .description('List certificate profiles (issuance policies)')
+    .action(async () => {
+      const manager = new CAManager();
+      await manager.listProfiles();
+    });
+
   // Revoke certificate
   ca
     .command('revoke <serial>')
@@ -62,6 +74,16 @@ module.exports = function(program) {
       await manager.generateCRL(options);
     });
 
+  // Transparency log audit
+  ca
+    .command('log-audit')
+    .description('Audit the issuance transparency log against the certificates table')
+    .option('--json', 'Print the audit report as JSON')
+    .action(async (options) => {
+      const manager = new CAManager();
+      await manager.auditTransparencyLog(options);
+    });
+
   // OCSP responder
   ca
     .command('ocsp')
@@ -11,6 +11,7 @@ class CAMenu {
     const choices = [
       { name: 'List certificates', value: 'list-certs' },
       { name: 'Issue certificate', value: 'issue' },
+      { name: 'List certificate profiles', value: 'profiles' },
       { name: 'Revoke certificate', value: 'revoke' },
       { name: 'Show certificate details', value: 'show-cert' },
       new inquirer.Separator(),
@@ -40,6 +41,10 @@ class CAMenu {
         await this.manager.issueCertificate();
         await this.show();
         break;
+      case 'profiles':
+        await this.manager.listProfiles();
+        await this.show();
+        break;
       case 'create-token':
         await this.manager.createToken();
         await this.show();
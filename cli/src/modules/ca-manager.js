@@ -5,6 +5,8 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
 const axios = require('axios');
 const chalk = require('chalk');
 const ora = require('ora');
@@ -13,6 +15,8 @@ const inquirer = require('inquirer');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
 
+const execFileAsync = promisify(execFile);
+
 class CAManager {
   constructor() {
     this.caUrl = process.env.CA_URL || 'http://localhost:3000';
@@ -70,7 +74,74 @@ class CAManager {
   }
 
   /**
-   * Issue a new certificate
+   * Fetch active certificate profiles from the CA
+   */
+  async fetchProfiles() {
+    const response = await axios.get(`${this.caUrl}/api/certificate-profiles`, {
+      params: { status: 'active' }
+    });
+
+    return (response.data.profiles || []).filter(profile => profile.certificateType !== 'intermediate');
+  }
+
+  /**
+   * List certificate profiles
+   */
+  async listProfiles() {
+    const spinner = ora('Fetching certificate profiles...').start();
+
+    try {
+      const response = await axios.get(`${this.caUrl}/api/certificate-profiles`);
+      spinner.stop();
+
+      const profiles = response.data.profiles || [];
+
+      if (profiles.length === 0) {
+        console.log(chalk.yellow('No certificate profiles found'));
+        return;
+      }
+
+      const table = new Table({
+        head: ['Name', 'Type', 'Max Days', 'Keys', 'Extended Key Usage', 'Status'].map(h => chalk.cyan(h)),
+        style: { head: [], border: [] }
+      });
+
+      for (const profile of profiles) {
+        const keys = Object.entries(profile.keyAlgorithms || {})
+          .map(([type, sizes]) => `${type.toUpperCase()} ${sizes.join('/')}`)
+          .join(', ');
+
+        table.push([
+          profile.name,
+          profile.certificateType,
+          profile.maxValidityDays,
+          keys,
+          (profile.extendedKeyUsage || []).join(', '),
+          profile.status === 'active' ? chalk.green(profile.status) : chalk.gray(profile.status)
+        ]);
+      }
+
+      console.log('\n' + table.toString() + '\n');
+      console.log(chalk.gray(`Total: ${profiles.length} profiles\n`));
+    } catch (error) {
+      spinner.fail('Failed to list certificate profiles');
+      logger.error('List profiles error:', error);
+      console.error(chalk.red('Error:'), error.response?.data?.message || error.message);
+    }
+  }
+
+  /**
+   * Print policy violations returned by the CA
+   */
+  printViolations(violations = []) {
+    for (const violation of violations) {
+      console.log(chalk.red(`  ✗ ${violation}`));
+    }
+    console.log();
+  }
+
+  /**
+   * Issue a new certificate under a certificate profile
    */
   async issueCertificate(options = {}) {
     try {
@@ -78,6 +149,8 @@ class CAManager {
 
       // Interactive mode if no options provided
       if (!options.name) {
+        const profiles = await this.fetchProfiles();
+
         answers = await inquirer.prompt([
           {
             type: 'input',
@@ -87,17 +160,31 @@ class CAManager {
           },
           {
             type: 'list',
-            name: 'type',
-            message: 'Certificate type:',
-            choices: ['entity', 'intermediate'],
-            default: 'entity'
+            name: 'profile',
+            message: 'Certificate profile:',
+            when: () => profiles.length > 0,
+            choices: profiles.map(profile => ({
+              name: `${profile.displayName} ${chalk.gray(`(${profile.name}, max ${profile.maxValidityDays} days)`)}`,
+              value: profile.name
+            }))
+          },
+          {
+            type: 'input',
+            name: 'san',
+            message: 'Subject alternative names (comma-separated, optional):',
+            default: ''
+          },
+          {
+            type: 'input',
+            name: 'issuer',
+            message: 'Issuer certificate ID:',
+            validate: input => input.length > 0 || 'Issuer is required'
           },
           {
             type: 'number',
             name: 'days',
-            message: 'Validity period (days):',
-            default: 365,
-            validate: input => input > 0 || 'Must be greater than 0'
+            message: 'Validity period (days, blank for profile default):',
+            default: undefined
           },
           {
             type: 'input',
@@ -108,36 +195,83 @@ class CAManager {
         ]);
       }
 
+      const subjectAlternativeNames = (answers.san || '')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean);
+      const validityDays = answers.days ? parseInt(answers.days) : undefined;
+
+      // Check the request against the profile before asking the CA to issue
+      if (answers.profile) {
+        const checkSpinner = ora(`Checking request against profile ${answers.profile}...`).start();
+
+        const check = await axios.post(`${this.caUrl}/api/certificate-profiles/${answers.profile}/check`, {
+          commonName: answers.name,
+          subjectAlternativeNames,
+          validityDays,
+          issuerId: answers.issuer
+        });
+
+        if (!check.data.allowed) {
+          checkSpinner.fail(`Request does not satisfy profile ${answers.profile}`);
+          this.printViolations(check.data.violations);
+          return;
+        }
+
+        checkSpinner.succeed(`Request satisfies profile ${answers.profile}`);
+      }
+
       const spinner = ora('Issuing certificate...').start();
 
-      const response = await axios.post(`${this.caUrl}/api/certificates/issue`, {
-        commonName: answers.name,
-        type: answers.type,
-        validityDays: parseInt(answers.days),
-        email: answers.email || undefined
-      });
+      let response;
+      try {
+        response = await axios.post(`${this.caUrl}/api/certificates/generate`, {
+          commonName: answers.name,
+          profile: answers.profile,
+          type: answers.profile ? undefined : answers.type,
+          subjectAlternativeNames,
+          issuerId: answers.issuer,
+          validityDays,
+          email: answers.email || undefined
+        });
+      } catch (error) {
+        spinner.fail('Certificate issuance was rejected');
+        if (error.response?.data?.details) {
+          console.error(chalk.red('Error:'), error.response.data.message);
+          this.printViolations(error.response.data.details);
+          return;
+        }
+        throw error;
+      }
 
       spinner.succeed('Certificate issued successfully');
 
-      const cert = response.data.data;
+      const { certificate: cert, privateKey } = response.data;
 
       console.log(chalk.cyan('\n━━━ Certificate Details ━━━\n'));
       console.log(`  Serial:       ${cert.serialNumber}`);
-      console.log(`  Subject:      ${cert.subject.CN}`);
+      console.log(`  Subject:      ${cert.commonName}`);
       console.log(`  Type:         ${cert.type}`);
-      console.log(`  Valid From:   ${new Date(cert.validFrom).toLocaleString()}`);
-      console.log(`  Valid Until:  ${new Date(cert.validUntil).toLocaleString()}`);
+      console.log(`  Profile:      ${cert.profile || 'none'}`);
+      console.log(`  Valid From:   ${new Date(cert.notBefore).toLocaleString()}`);
+      console.log(`  Valid Until:  ${new Date(cert.notAfter).toLocaleString()}`);
       console.log(`  Status:       ${chalk.green('Valid')}`);
       console.log();
 
-      // Save certificate to file
+      // Save certificate and key to files
       const certDir = path.join(this.rootDir, 'certificates');
       await fs.ensureDir(certDir);
 
       const certPath = path.join(certDir, `${cert.serialNumber}.pem`);
-      await fs.writeFile(certPath, cert.certificate);
+      await fs.writeFile(certPath, cert.pem);
+      console.log(chalk.gray(`Certificate saved to: ${certPath}`));
 
-      console.log(chalk.gray(`Certificate saved to: ${certPath}\n`));
+      if (privateKey) {
+        const keyPath = path.join(certDir, `${cert.serialNumber}.key`);
+        await fs.writeFile(keyPath, privateKey, { mode: 0o600 });
+        console.log(chalk.gray(`Private key saved to: ${keyPath}`));
+      }
+      console.log();
     } catch (error) {
       logger.error('Issue certificate error:', error);
       console.error(chalk.red('Error:'), error.response?.data?.message || error.message);
@@ -214,6 +348,81 @@ class CAManager {
     }
   }
 
+  /**
+   * Audit the transparency log against the certificates table
+   * Runs inside the CA service so it reads the database directly.
+   */
+  async auditTransparencyLog(options = {}) {
+    const spinner = ora('Auditing transparency log...').start();
+    const caPath = path.join(this.rootDir, 'src', 'exprsn-ca');
+
+    let output;
+    try {
+      const result = await execFileAsync('node', ['scripts/audit-transparency-log.js', '--json'], {
+        cwd: caPath,
+        maxBuffer: 64 * 1024 * 1024
+      });
+      output = result.stdout;
+    } catch (error) {
+      // Exit status 1 means problems were found; the report is still on stdout
+      if (!error.stdout) {
+        spinner.fail('Failed to audit transparency log');
+        logger.error('Transparency log audit error:', error);
+        console.error(chalk.red('Error:'), error.stderr || error.message);
+        process.exitCode = 2;
+        return;
+      }
+      output = error.stdout;
+    }
+
+    const report = JSON.parse(output.trim().split('\n').pop());
+
+    if (report.error) {
+      spinner.fail('Failed to audit transparency log');
+      console.error(chalk.red('Error:'), report.error);
+      process.exitCode = 2;
+      return;
+    }
+
+    if (options.json) {
+      spinner.stop();
+      console.log(JSON.stringify(report, null, 2));
+    } else if (report.ok) {
+      spinner.succeed('Transparency log is consistent with the certificates table');
+    } else {
+      spinner.fail(`Transparency log audit found ${report.problems.length} problem(s)`);
+    }
+
+    if (!options.json) {
+      console.log(chalk.cyan('\n━━━ Transparency Log ━━━\n'));
+      console.log(`  Tree size:    ${report.treeSize}`);
+      console.log(`  Root hash:    ${report.rootHash}`);
+      console.log(`  Tree heads:   ${report.treeHeadsChecked} checked`);
+      console.log();
+
+      if (report.problems.length > 0) {
+        const table = new Table({
+          head: ['Problem', 'Leaf', 'Details'].map(h => chalk.cyan(h)),
+          style: { head: [], border: [] }
+        });
+
+        for (const problem of report.problems) {
+          table.push([
+            chalk.red(problem.type),
+            problem.leafIndex !== undefined ? problem.leafIndex : (problem.treeSize !== undefined ? `size ${problem.treeSize}` : '-'),
+            problem.message
+          ]);
+        }
+
+        console.log(table.toString() + '\n');
+      }
+    }
+
+    if (!report.ok) {
+      process.exitCode = 1;
+    }
+  }
+
   /**
    * Generate CRL
    */
@@ -12,6 +12,7 @@ const helmet = require('helmet');
 const { Sequelize } = require('sequelize');
 const BaseConfig = require('../shared/config/baseConfig');
 const { authenticate, authenticateService, rateLimit } = require('../shared/middleware/auth');
+const { getValidator } = require('../shared/utils/caTokenValidator');
 const { getServiceClient } = require('../shared/utils/serviceClient');
 const { HTTPSServerManager } = require('../shared/utils/httpsServer');
 const IPCWorker = require('../shared/ipc/IPCWorker');
@@ -337,6 +338,12 @@ class AuthService {
 
     const servers = await serverManager.start(this.app);
     this.server = servers.https || servers.http;
+
+    // Swap in renewed TLS certificates published by the CA
+    serverManager.watchRenewals(this.ipc);
+
+    // Track compact token revocations pushed by the CA
+    getValidator().subscribeRevocations(this.ipc);
     const protocol = servers.https ? 'https' : 'http';
 
     console.log(`🚀 Authentication Service running on ${protocol}://${host}:${port}`);
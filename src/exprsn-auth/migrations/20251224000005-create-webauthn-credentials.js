@@ -0,0 +1,99 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Migration: Create webauthn_credentials table
+ * Auth Service - Passkeys and security keys
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('webauthn_credentials', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      credential_id: {
+        type: Sequelize.STRING(1024),
+        allowNull: false,
+        unique: true
+      },
+      public_key: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      algorithm: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      sign_count: {
+        type: Sequelize.BIGINT,
+        defaultValue: 0
+      },
+      transports: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      aaguid: {
+        type: Sequelize.STRING(36),
+        allowNull: true
+      },
+      attestation_format: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+        defaultValue: 'none'
+      },
+      attestation_type: {
+        type: Sequelize.STRING(16),
+        allowNull: false,
+        defaultValue: 'none'
+      },
+      attestation_certificates: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      backup_eligible: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      backed_up: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      last_used_at: {
+        type: Sequelize.BIGINT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('webauthn_credentials', ['user_id'], {
+      name: 'webauthn_credentials_user_id_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('webauthn_credentials');
+  }
+};
@@ -0,0 +1,93 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Migration: Create scim_tokens table
+ * Auth Service - SCIM 2.0 provisioning bearer tokens
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('scim_tokens', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      application_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'applications',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      organization_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'organizations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      token_prefix: {
+        type: Sequelize.STRING(16),
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      expires_at: {
+        type: Sequelize.BIGINT,
+        allowNull: true
+      },
+      last_used_at: {
+        type: Sequelize.BIGINT,
+        allowNull: true
+      },
+      revoked_at: {
+        type: Sequelize.BIGINT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('scim_tokens', ['application_id'], {
+      name: 'scim_tokens_application_id_idx'
+    });
+
+    await queryInterface.addIndex('scim_tokens', ['organization_id'], {
+      name: 'scim_tokens_organization_id_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('scim_tokens');
+  }
+};
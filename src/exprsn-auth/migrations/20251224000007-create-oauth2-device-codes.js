@@ -0,0 +1,93 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Migration: Create oauth2_device_codes table
+ * Auth Service - OAuth2 device authorization grant (RFC 8628)
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('oauth2_device_codes', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      device_code_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      user_code: {
+        type: Sequelize.STRING(16),
+        allowNull: false,
+        unique: true
+      },
+      client_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'oauth2_clients',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      scope: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'denied', 'consumed'),
+        defaultValue: 'pending'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      interval: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 5
+      },
+      last_polled_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      decided_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('oauth2_device_codes', ['client_id'], {
+      name: 'oauth2_device_codes_client_id_idx'
+    });
+
+    await queryInterface.addIndex('oauth2_device_codes', ['status'], {
+      name: 'oauth2_device_codes_status_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('oauth2_device_codes');
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Migration: Add confirmation to oauth2_tokens
+ * Auth Service - DPoP (RFC 9449) and mTLS (RFC 8705) sender-constrained tokens
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('oauth2_tokens', 'confirmation', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('oauth2_tokens', 'confirmation');
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Migration: Add SAML service provider registration to applications
+ * Auth Service - SAML 2.0 Identity Provider mode
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('applications', 'saml_entity_id', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('applications', 'saml_service_provider', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('applications', ['saml_entity_id'], {
+      name: 'applications_saml_entity_id_idx',
+      unique: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('applications', 'applications_saml_entity_id_idx');
+    await queryInterface.removeColumn('applications', 'saml_service_provider');
+    await queryInterface.removeColumn('applications', 'saml_entity_id');
+  }
+};
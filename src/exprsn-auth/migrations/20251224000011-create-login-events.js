@@ -0,0 +1,109 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Migration: Create login_events table
+ * Auth Service - Risk-scored login attempts and their challenges
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('login_events', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('failed', 'allowed', 'challenged', 'verified', 'blocked'),
+        allowNull: false
+      },
+      action: {
+        type: Sequelize.ENUM('allow', 'mfa', 'email', 'block'),
+        allowNull: true
+      },
+      risk_score: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      risk_factors: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      device_id: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      fingerprint: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      location: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      latitude: {
+        type: Sequelize.DOUBLE,
+        allowNull: true
+      },
+      longitude: {
+        type: Sequelize.DOUBLE,
+        allowNull: true
+      },
+      challenge_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+        unique: true
+      },
+      challenge_expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('login_events', ['user_id', 'status', 'created_at'], {
+      name: 'login_events_user_status_created_idx'
+    });
+
+    await queryInterface.addIndex('login_events', ['email', 'status', 'created_at'], {
+      name: 'login_events_email_status_created_idx'
+    });
+
+    await queryInterface.addIndex('login_events', ['ip_address', 'status', 'created_at'], {
+      name: 'login_events_ip_status_created_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('login_events');
+  }
+};
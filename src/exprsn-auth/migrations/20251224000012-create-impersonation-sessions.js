@@ -0,0 +1,103 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Migration: Create impersonation_sessions table
+ * Auth Service - Time-boxed admin impersonation, and the OAuth2 codes and
+ * tokens issued while impersonating
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('impersonation_sessions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      actor_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      subject_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'ended', 'expired'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      ended_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ended_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('impersonation_sessions', ['subject_id', 'created_at'], {
+      name: 'impersonation_sessions_subject_created_idx'
+    });
+
+    await queryInterface.addIndex('impersonation_sessions', ['actor_id', 'status'], {
+      name: 'impersonation_sessions_actor_status_idx'
+    });
+
+    for (const table of ['oauth2_authorization_codes', 'oauth2_tokens']) {
+      await queryInterface.addColumn(table, 'impersonation_id', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'impersonation_sessions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('oauth2_tokens', 'impersonation_id');
+    await queryInterface.removeColumn('oauth2_authorization_codes', 'impersonation_id');
+    await queryInterface.dropTable('impersonation_sessions');
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Migration: Add password screening columns to users
+ * Auth Service - Breached password screening, login re-screening and
+ * forced resets after new breach imports
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'password_range', {
+      type: Sequelize.STRING(5),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'password_fingerprint', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'password_screened_at', {
+      type: Sequelize.BIGINT,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'password_breached_at', {
+      type: Sequelize.BIGINT,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'password_reset_required', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addIndex('users', ['password_range'], {
+      name: 'users_password_range_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('users', 'users_password_range_idx');
+    await queryInterface.removeColumn('users', 'password_reset_required');
+    await queryInterface.removeColumn('users', 'password_breached_at');
+    await queryInterface.removeColumn('users', 'password_screened_at');
+    await queryInterface.removeColumn('users', 'password_fingerprint');
+    await queryInterface.removeColumn('users', 'password_range');
+  }
+};
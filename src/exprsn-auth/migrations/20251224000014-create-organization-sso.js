@@ -0,0 +1,170 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Migration: Create organization_domains and organization_sso_configs
+ * Auth Service - Verified organization domains and per-organization SSO
+ * enforcement through SAML, OIDC or LDAP
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('organization_domains', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      organization_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'organizations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      domain: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      verification_method: {
+        type: Sequelize.ENUM('dns', 'file'),
+        allowNull: false,
+        defaultValue: 'dns'
+      },
+      verification_token: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'verified', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      verified_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_checked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('organization_domains', ['organization_id', 'domain'], {
+      name: 'organization_domains_org_domain_idx',
+      unique: true
+    });
+
+    // A domain can be verified by one organization only
+    await queryInterface.addIndex('organization_domains', ['domain'], {
+      name: 'organization_domains_verified_domain_idx',
+      unique: true,
+      where: { status: 'verified' }
+    });
+
+    await queryInterface.createTable('organization_sso_configs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      organization_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'organizations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      provider_type: {
+        type: Sequelize.ENUM('saml', 'oidc', 'ldap'),
+        allowNull: false
+      },
+      saml_idp_key: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      oidc_issuer: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      oidc_client_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      oidc_client_secret: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      oidc_scopes: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        defaultValue: 'openid email profile'
+      },
+      ldap_config_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'ldap_configs',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      enabled: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      enforced: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      jit_provisioning: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      default_role: {
+        type: Sequelize.ENUM('member', 'guest'),
+        allowNull: false,
+        defaultValue: 'member'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('organization_sso_configs');
+    await queryInterface.dropTable('organization_domains');
+  }
+};
@@ -0,0 +1,71 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Breached Password Import - Merge SHA-1 hash ranges into the local corpus
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Usage: node scripts/import-breached-passwords.js <source...> [--no-flag-users] [--json]
+ *
+ * Sources are HIBP range files (ABCDE.txt holding SUFFIX:COUNT lines),
+ * directories of them as written by the Pwned Passwords downloader, or
+ * files of full HASH:COUNT lines. Users whose current password is newly
+ * breached by the import get the configured policy applied unless
+ * --no-flag-users is given.
+ */
+
+require('dotenv').config();
+
+const db = require('../src/models');
+const config = require('../src/config');
+const breachedPasswordService = require('../src/services/breachedPasswordService');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const flagUsers = !args.includes('--no-flag-users');
+  const sources = args.filter(arg => !arg.startsWith('--'));
+
+  if (sources.length === 0) {
+    console.error('Usage: node scripts/import-breached-passwords.js <source...> [--no-flag-users] [--json]');
+    process.exit(2);
+  }
+
+  if (flagUsers && !config.breachedPasswords.fingerprintKey && !json) {
+    console.warn('⚠ No fingerprint key is configured; users will not be checked against this import');
+  }
+
+  let summary;
+
+  try {
+    summary = await breachedPasswordService.importCorpus(sources, {
+      flagUsers,
+      onProgress: json ? null : progress => {
+        process.stdout.write(`\r  ${progress.hashes} hashes read, ${progress.added} added, ${progress.ranges} ranges updated`);
+      }
+    });
+  } catch (error) {
+    if (json) {
+      console.log(JSON.stringify({ ok: false, error: error.message }));
+    } else {
+      console.error('\n✗ Import failed:', error.message);
+    }
+    await db.sequelize.close();
+    process.exit(1);
+  }
+
+  if (json) {
+    console.log(JSON.stringify({ ok: true, ...summary }));
+  } else {
+    console.log(`\n\nCorpus:           ${config.breachedPasswords.dataDir}`);
+    console.log(`Hashes read:      ${summary.hashes}`);
+    console.log(`Hashes added:     ${summary.added}`);
+    console.log(`Newly breached:   ${summary.newlyBreached}`);
+    console.log(`Ranges updated:   ${summary.ranges}`);
+    console.log(`Users flagged:    ${summary.usersFlagged === null ? 'not checked' : summary.usersFlagged}\n`);
+    console.log('✓ Import complete\n');
+  }
+
+  await db.sequelize.close();
+  process.exit(0);
+}
+
+main();
@@ -5,6 +5,8 @@
  * ═══════════════════════════════════════════════════════════
  */
 
+const path = require('path');
+
 module.exports = {
   // Service configuration
   service: {
@@ -63,7 +65,40 @@ module.exports = {
     refreshTokenLifetime: 86400 * 7, // 7 days
     requireClientAuthentication: {
       authorization_code: false,
-      refresh_token: true
+      refresh_token: true,
+      'urn:ietf:params:oauth:grant-type:device_code': false // Public CLI/TV clients
+    },
+
+    // Device authorization grant (RFC 8628)
+    device: {
+      verificationUri: process.env.OAUTH2_DEVICE_VERIFICATION_URI || `${process.env.OIDC_ISSUER || 'http://localhost:3001'}/device`,
+      codeLifetime: parseInt(process.env.OAUTH2_DEVICE_CODE_LIFETIME) || 600, // 10 minutes
+      pollingInterval: parseInt(process.env.OAUTH2_DEVICE_POLLING_INTERVAL) || 5 // seconds
+    },
+
+    // Token exchange (RFC 8693)
+    tokenExchange: {
+      caTokenLifetime: parseInt(process.env.OAUTH2_EXCHANGE_CA_TOKEN_LIFETIME) || 900, // 15 minutes
+      // CA token permissions each OAuth2 scope grants
+      scopePermissions: {
+        read: ['read'],
+        write: ['write', 'append', 'update'],
+        delete: ['delete']
+      }
+    },
+
+    // DPoP proof-of-possession (RFC 9449)
+    dpop: {
+      requireNonce: process.env.OAUTH2_DPOP_REQUIRE_NONCE === 'true',
+      nonceSecret: process.env.OAUTH2_DPOP_NONCE_SECRET,
+      nonceLifetime: parseInt(process.env.OAUTH2_DPOP_NONCE_LIFETIME) || 300, // 5 minutes
+      proofMaxAge: parseInt(process.env.OAUTH2_DPOP_PROOF_MAX_AGE) || 300 // 5 minutes
+    },
+
+    // Certificate-bound access tokens (RFC 8705)
+    mtls: {
+      enabled: process.env.OAUTH2_MTLS_ENABLED === 'true', // Request client certificates during TLS handshakes
+      proxyHeader: process.env.OAUTH2_MTLS_PROXY_HEADER || null // Set by a TLS-terminating proxy
     }
   },
 
@@ -90,6 +125,104 @@ module.exports = {
     requireMFA: process.env.REQUIRE_MFA === 'true'
   },
 
+  // Screening against an imported breached-password corpus
+  breachedPasswords: {
+    enabled: process.env.BREACHED_PASSWORDS_ENABLED !== 'false',
+    // Directory of HIBP range files (ABCDE.txt holding SUFFIX:COUNT lines)
+    dataDir: process.env.BREACHED_PASSWORDS_DIR || path.join(__dirname, '../../data/breached-passwords'),
+    policy: process.env.BREACHED_PASSWORDS_POLICY === 'warn' ? 'warn' : 'block', // block | warn
+    minOccurrences: parseInt(process.env.BREACHED_PASSWORDS_MIN_OCCURRENCES) || 1,
+    rescreenInterval: parseInt(process.env.BREACHED_PASSWORDS_RESCREEN_INTERVAL) || 2592000000, // 30 days
+    // Keys the password fingerprints matched against newly imported breaches
+    fingerprintKey: process.env.BREACHED_PASSWORDS_FINGERPRINT_KEY || process.env.SESSION_SECRET || null
+  },
+
+  // Admin impersonation of users
+  impersonation: {
+    enabled: process.env.IMPERSONATION_ENABLED !== 'false',
+    defaultDuration: parseInt(process.env.IMPERSONATION_DEFAULT_DURATION) || 900000, // 15 minutes
+    maxDuration: parseInt(process.env.IMPERSONATION_MAX_DURATION) || 3600000, // 1 hour
+    // Users holding any of these roles (by slug) can never be impersonated
+    privilegedRoles: (process.env.IMPERSONATION_PRIVILEGED_ROLES || 'super-admin,admin,system_admin')
+      .split(',').map(role => role.trim()).filter(Boolean)
+  },
+
+  // Adaptive login risk scoring
+  loginRisk: {
+    enabled: process.env.LOGIN_RISK_ENABLED === 'true',
+    deviceCookie: process.env.LOGIN_RISK_DEVICE_COOKIE || 'exprsn_device',
+    // Score at which a password login steps up to MFA, requires email confirmation or is blocked
+    thresholds: {
+      mfa: parseInt(process.env.LOGIN_RISK_MFA_THRESHOLD) || 30,
+      email: parseInt(process.env.LOGIN_RISK_EMAIL_THRESHOLD) || 60,
+      block: parseInt(process.env.LOGIN_RISK_BLOCK_THRESHOLD) || 85
+    },
+    weights: {
+      newDevice: 25,
+      knownFingerprint: 10, // New device cookie, but a familiar browser
+      suspiciousIp: 30,
+      trustedIp: -20,
+      impossibleTravel: 50,
+      failedAttempt: 5, // Per recent failure, capped at maxFailedAttempts
+      maxFailedAttempts: 30,
+      unusualTime: 10
+    },
+    // IP reputation lists: one address or CIDR block per line, '#' comments
+    ipLists: {
+      blocked: process.env.LOGIN_RISK_BLOCKED_IPS_PATH || null,
+      suspicious: process.env.LOGIN_RISK_SUSPICIOUS_IPS_PATH || null,
+      trusted: process.env.LOGIN_RISK_TRUSTED_IPS_PATH || null
+    },
+    // JSON array of { cidr, location, latitude?, longitude? }; locations without
+    // coordinates are geocoded through exprsn-atlas
+    geoRangesPath: process.env.LOGIN_RISK_GEO_RANGES_PATH || null,
+    maxTravelSpeedKmh: parseInt(process.env.LOGIN_RISK_MAX_TRAVEL_SPEED_KMH) || 900,
+    minTravelDistanceKm: parseInt(process.env.LOGIN_RISK_MIN_TRAVEL_DISTANCE_KM) || 300,
+    failedAttemptWindow: 86400000, // 24 hours
+    usualHoursSampleSize: 20, // Successful logins used to learn usual login hours
+    emailConfirmationLifetime: parseInt(process.env.LOGIN_RISK_EMAIL_CONFIRMATION_LIFETIME) || 900000, // 15 minutes
+    pendingLoginLifetime: 600000 // 10 minutes to complete an MFA step-up
+  },
+
+  // exprsn-atlas geospatial service
+  atlas: {
+    url: process.env.ATLAS_SERVICE_URL || 'http://localhost:3019',
+    serviceToken: process.env.ATLAS_SERVICE_TOKEN || process.env.SERVICE_TOKEN || null,
+    timeout: parseInt(process.env.ATLAS_TIMEOUT) || 5000
+  },
+
+  // WebAuthn / passkeys
+  webauthn: {
+    rpId: process.env.WEBAUTHN_RP_ID || 'localhost',
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Exprsn',
+    origins: (process.env.WEBAUTHN_ORIGINS || 'http://localhost:3001').split(',').map(origin => origin.trim()),
+    timeout: parseInt(process.env.WEBAUTHN_TIMEOUT) || 300000, // 5 minutes
+    attestation: process.env.WEBAUTHN_ATTESTATION || 'none', // none | indirect | direct
+    userVerification: process.env.WEBAUTHN_USER_VERIFICATION || 'preferred'
+  },
+
+  // Organization single sign-on and domain verification
+  sso: {
+    baseUrl: process.env.SSO_BASE_URL || process.env.OIDC_ISSUER || 'http://localhost:3001',
+    stateLifetime: 600000, // 10 minutes to complete an OIDC sign-in
+    domainVerification: {
+      // dns, or static to read records from a JSON file when testing locally
+      resolver: process.env.SSO_DOMAIN_RESOLVER || 'dns',
+      staticRecordsPath: process.env.SSO_DOMAIN_RECORDS_PATH || null,
+      txtRecordName: '_exprsn-verification',
+      filePath: '/.well-known/exprsn-domain-verification.txt',
+      timeout: parseInt(process.env.SSO_DOMAIN_VERIFICATION_TIMEOUT) || 5000
+    }
+  },
+
+  // SCIM 2.0 provisioning
+  scim: {
+    baseUrl: process.env.SCIM_BASE_URL || `${process.env.OIDC_ISSUER || 'http://localhost:3001'}/scim/v2`,
+    maxResults: parseInt(process.env.SCIM_MAX_RESULTS) || 200,
+    bulkMaxOperations: parseInt(process.env.SCIM_BULK_MAX_OPERATIONS) || 1000,
+    bulkMaxPayloadSize: parseInt(process.env.SCIM_BULK_MAX_PAYLOAD_SIZE) || 1048576 // 1 MB
+  },
+
   // Token defaults
   tokenDefaults: {
     expiryType: 'time',
@@ -13,6 +13,8 @@ const bcrypt = require('bcrypt');
 const config = require('./index');
 const samlConfig = require('./saml');
 const { User } = require('../models');
+const breachedPasswordService = require('../services/breachedPasswordService');
+const orgSsoService = require('../services/orgSsoService');
 const { logger } = require('@exprsn/shared');
 
 module.exports = function(passport) {
@@ -42,9 +44,30 @@ module.exports = function(passport) {
    */
   passport.use('local', new LocalStrategy({
     usernameField: 'email',
-    passwordField: 'password'
-  }, async (email, password, done) => {
+    passwordField: 'password',
+    passReqToCallback: true
+  }, async (req, email, password, done) => {
     try {
+      // Organizations with verified domains decide how their members sign in
+      const ssoMatch = await orgSsoService.findOrgForEmail(email);
+
+      if (ssoMatch?.ssoConfig.providerType === 'ldap') {
+        try {
+          const user = await orgSsoService.authenticateLdap(ssoMatch, email, password);
+          logger.info('User logged in via organization LDAP', { userId: user.id, email: user.email });
+          return done(null, user);
+        } catch (error) {
+          logger.warn('Organization LDAP authentication failed', { email, error: error.message });
+
+          if (ssoMatch.ssoConfig.enforced) {
+            return done(null, false, { message: error.isOperational ? error.message : 'Invalid email or password' });
+          }
+          // Not enforced: fall back to the local password
+        }
+      } else if (ssoMatch?.ssoConfig.enforced) {
+        return done(null, false, { message: 'Your organization requires single sign-on' });
+      }
+
       // Find user by email
       const user = await User.findOne({ where: { email } });
 
@@ -75,6 +98,16 @@ module.exports = function(passport) {
       user.lastLoginAt = Date.now();
       await user.save();
 
+      // Re-screen the password against breaches imported since it was last checked
+      try {
+        await breachedPasswordService.rescreenOnLogin(user, password, {
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        });
+      } catch (error) {
+        logger.error('Breached password re-screen failed', { userId: user.id, error: error.message });
+      }
+
       logger.info('User logged in successfully', { userId: user.id, email: user.email });
 
       return done(null, user);
@@ -1,7 +1,7 @@
 /**
  * ═══════════════════════════════════════════════════════════
  * SAML Configuration
- * SAML 2.0 Service Provider configuration
+ * SAML 2.0 Service Provider and Identity Provider configuration
  * ═══════════════════════════════════════════════════════════
  */
 
@@ -68,6 +68,43 @@ const samlConfig = {
     organizationId: process.env.SAML_ATTR_ORG_ID || 'organizationId'
   },
 
+  // Identity Provider mode - Exprsn as the IdP for registered service providers
+  provider: {
+    enabled: process.env.SAML_PROVIDER_ENABLED === 'true',
+
+    // Entity ID and base URL of the IdP endpoints
+    entityId: process.env.SAML_PROVIDER_ENTITY_ID || 'http://localhost:3001/api/saml/idp/metadata',
+    baseUrl: process.env.SAML_PROVIDER_BASE_URL || 'http://localhost:3001/api/saml/idp',
+
+    // CA-issued certificate and key used to sign assertions (defaults to the service certificate)
+    certificatePath: process.env.SAML_PROVIDER_CERT_PATH || process.env.AUTH_CERTIFICATE_PATH,
+    privateKeyPath: process.env.SAML_PROVIDER_KEY_PATH || process.env.AUTH_PRIVATE_KEY_PATH,
+
+    // Signature configuration
+    signatureAlgorithm: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+    digestAlgorithm: 'http://www.w3.org/2001/04/xmlenc#sha256',
+
+    // Assertion validity (in seconds)
+    assertionLifetime: parseInt(process.env.SAML_PROVIDER_ASSERTION_LIFETIME) || 300,
+
+    // SessionNotOnOrAfter of issued assertions (in seconds)
+    sessionLifetime: parseInt(process.env.SAML_PROVIDER_SESSION_LIFETIME) || 28800, // 8 hours
+
+    // Default NameID format for service providers that do not choose one
+    nameIdFormat: 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress',
+
+    // Default attributes released to service providers - SAML attribute name: user source
+    // Sources are user fields, 'groups' (group names) and 'roles' (role slugs)
+    attributes: {
+      'urn:oid:0.9.2342.19200300.100.1.3': 'email',
+      'urn:oid:2.5.4.42': 'firstName',
+      'urn:oid:2.5.4.4': 'lastName',
+      'urn:oid:2.16.840.1.113730.3.1.241': 'displayName',
+      'http://schemas.xmlsoap.org/claims/Group': 'groups',
+      'http://schemas.microsoft.com/ws/2008/06/identity/claims/role': 'roles'
+    }
+  },
+
   // Options
   options: {
     // Automatically create user if not exists
@@ -19,10 +19,12 @@ const passport = require('passport');
 const expressLayouts = require('express-ejs-layouts');
 const { createLogger } = require('@exprsn/shared');
 const { errorHandler, notFoundHandler } = require('@exprsn/shared');
-const { initRedisClient } = require('@exprsn/shared');
+const { initRedisClient, auditImpersonation } = require('@exprsn/shared');
 const config = require('./config');
 const db = require('./models');
 const caService = require('./services/caService');
+const redisClient = require('./utils/redis');
+const { loadImpersonation } = require('./middleware/impersonation');
 
 // Routes
 const publicRoutes = require('./routes/public');
@@ -37,10 +39,15 @@ const healthRoutes = require('./routes/health');
 const organizationRoutes = require('./routes/organizations');
 const applicationRoutes = require('./routes/applications');
 const roleRoutes = require('./routes/roles');
+const accessPolicyRoutes = require('./routes/accessPolicies');
+const impersonationRoutes = require('./routes/impersonation');
 const oidcRoutes = require('./routes/oidc');
 const samlRoutes = require('./routes/saml');
+const samlIdpRoutes = require('./routes/samlIdp');
 const adminRoutes = require('./routes/admin');
 const setupRoutes = require('./routes/setup');
+const scimRoutes = require('./routes/scim');
+const orgSsoRoutes = require('./routes/orgSso');
 
 // Logger
 const logger = createLogger('exprsn-auth');
@@ -108,6 +115,10 @@ app.use(passport.initialize());
 app.use(passport.session());
 require('./config/passport')(passport);
 
+// Admin impersonation: restore expired sessions and audit every impersonated request
+app.use(loadImpersonation);
+app.use(auditImpersonation());
+
 // Request logging
 app.use((req, res, next) => {
   logger.info('Incoming request', {
@@ -140,6 +151,9 @@ app.use('/admin', adminRoutes);
 // Setup interface
 app.use('/setup', setupRoutes);
 
+// SCIM 2.0 provisioning (bearer token, SCIM error format)
+app.use('/scim/v2', scimRoutes);
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/mfa', mfaRoutes);
@@ -148,10 +162,14 @@ app.use('/api/users', userRoutes);
 app.use('/api/groups', groupRoutes);
 app.use('/api/tokens', tokenRoutes);
 app.use('/api/oauth2', oauth2Routes);
+app.use('/api/saml/idp', samlIdpRoutes);
 app.use('/api/saml', samlRoutes);
+app.use('/api/sso', orgSsoRoutes);
 app.use('/api/organizations', organizationRoutes);
 app.use('/api/applications', applicationRoutes);
 app.use('/api/roles', roleRoutes);
+app.use('/api/access-policies', accessPolicyRoutes);
+app.use('/api/impersonation', impersonationRoutes);
 app.use('/api/config', require('./routes/config'));
 
 /**
@@ -201,6 +219,7 @@ async function startServer() {
     // Initialize Redis if enabled
     if (process.env.REDIS_ENABLED === 'true') {
       await initRedisClient();
+      await redisClient.connect();
       logger.info('Redis client initialized');
     }
 
@@ -239,6 +258,14 @@ async function startServer() {
           key: fs.readFileSync(keyPath)
         };
 
+        // Optional client certificates from exprsn-ca for certificate-bound tokens
+        if (config.oauth2.mtls.enabled && config.ca.rootCertPath) {
+          tlsOptions.ca = fs.readFileSync(config.ca.rootCertPath);
+          tlsOptions.requestCert = true;
+          tlsOptions.rejectUnauthorized = false;
+          logger.info('Mutual TLS client certificates enabled');
+        }
+
         server = https.createServer(tlsOptions, app);
         logger.info('TLS/HTTPS mode enabled');
       }
@@ -0,0 +1,138 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Impersonation Middleware
+ * Tracks admin impersonation in the Passport session and
+ * returns the admin to their own account when it ends
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { AppError, logger } = require('@exprsn/shared');
+const { User } = require('../models');
+const impersonationService = require('../services/impersonationService');
+
+/**
+ * Helper: Promisified req.login that keeps the rest of the session
+ */
+function login(req, user) {
+  return new Promise((resolve, reject) => {
+    req.login(user, { keepSessionInfo: true }, err => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Switch the session to the impersonated user
+ * @param {object} req - Express request
+ * @param {object} session - Impersonation session just started
+ * @param {object} subject - User being impersonated
+ */
+async function beginImpersonation(req, session, subject) {
+  const actorId = req.user.id;
+
+  await login(req, subject);
+
+  req.session.impersonation = {
+    id: session.id,
+    actorId,
+    subjectId: subject.id
+  };
+}
+
+/**
+ * Return the session to the admin who was impersonating
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>} The impersonation that was left, or null if there was none
+ */
+async function restoreActor(req) {
+  const impersonation = req.session && req.session.impersonation;
+
+  if (!impersonation) {
+    return null;
+  }
+
+  delete req.session.impersonation;
+  delete req.impersonation;
+
+  const actor = await User.findByPk(impersonation.actorId);
+
+  if (actor && actor.status === 'active') {
+    await login(req, actor);
+  } else {
+    await new Promise((resolve, reject) => {
+      req.logout(err => (err ? reject(err) : resolve()));
+    });
+  }
+
+  return impersonation;
+}
+
+/**
+ * Load the running impersonation, if any, onto req.impersonation
+ * Ended or expired impersonations return the admin to their own account
+ */
+async function loadImpersonation(req, res, next) {
+  const stored = req.session && req.session.impersonation;
+
+  if (!stored) {
+    return next();
+  }
+
+  try {
+    const session = await impersonationService.getActiveImpersonation(stored.id);
+
+    if (!session || !req.user || req.user.id !== session.subjectId) {
+      const impersonation = await restoreActor(req);
+
+      logger.info('Impersonation left', { impersonationId: impersonation.id, actorId: impersonation.actorId });
+
+      if (req.method === 'GET' && req.accepts(['html', 'json']) === 'html') {
+        return res.redirect(`/admin/users/${impersonation.subjectId}`);
+      }
+
+      return res.status(401).json({
+        error: 'IMPERSONATION_ENDED',
+        message: 'Your impersonation session has ended'
+      });
+    }
+
+    req.impersonation = {
+      id: session.id,
+      actorId: session.actorId,
+      actor: session.actor,
+      subjectId: session.subjectId,
+      reason: session.reason,
+      expiresAt: session.expiresAt,
+      session
+    };
+    res.locals.impersonation = req.impersonation;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Block actions an admin must not take on the user's behalf
+ * (credentials, MFA, device approvals)
+ */
+function forbidDuringImpersonation(req, res, next) {
+  if (req.impersonation) {
+    logger.warn('Action blocked during impersonation', {
+      impersonationId: req.impersonation.id,
+      actorId: req.impersonation.actorId,
+      method: req.method,
+      path: req.originalUrl
+    });
+
+    throw new AppError('This action is not available while impersonating a user', 403, 'IMPERSONATION_FORBIDDEN');
+  }
+
+  next();
+}
+
+module.exports = {
+  beginImpersonation,
+  restoreActor,
+  loadImpersonation,
+  forbidDuringImpersonation
+};
@@ -1,24 +1,65 @@
 /**
  * ═══════════════════════════════════════════════════════════
  * RBAC Middleware
- * Role-Based Access Control middleware for protecting endpoints
+ * Role-Based Access Control middleware for protecting endpoints,
+ * with attribute-based access policies on permission checks
  * ═══════════════════════════════════════════════════════════
  */
 
 const { asyncHandler, AppError, logger } = require('@exprsn/shared');
-const { getRbacService } = require('../services/rbacService');
+const rbacService = require('../services/rbacService');
+const { MFA_LEVELS } = require('../services/accessPolicyService');
+const webauthnService = require('../services/webauthnService');
+
+/**
+ * Authentication strength of the request's session
+ * @param {object} req - Express request
+ * @returns {number} One of MFA_LEVELS
+ */
+function getMfaLevel(req) {
+  if (!req.session || !req.session.mfaVerified) {
+    return MFA_LEVELS.SINGLE_FACTOR;
+  }
+
+  return req.session.mfaMethod === 'webauthn'
+    ? MFA_LEVELS.PHISHING_RESISTANT
+    : MFA_LEVELS.MULTI_FACTOR;
+}
+
+/**
+ * Build the attribute context of a permission check from the request
+ * @param {object} req - Express request
+ * @param {object} resource - Attributes of the resource being accessed
+ * @returns {object} { subject, resource, environment }
+ */
+function buildAccessContext(req, resource = {}) {
+  return {
+    subject: {
+      mfaLevel: getMfaLevel(req)
+    },
+    resource,
+    environment: {
+      ipAddress: req.ip,
+      time: new Date().toISOString(),
+      userAgent: req.get('user-agent')
+    }
+  };
+}
 
 /**
  * Require specific permission for the current user
+ * Role grants are subject to the access policies of the permission
  * @param {string|string[]} permissions - Permission name(s) required
  * @param {object} options - Additional options
+ * @param {Function} options.resource - async (req) => attributes of the resource being accessed
  * @returns {Function} Express middleware
  */
 function requirePermission(permissions, options = {}) {
   const {
     organizationId = null,
     applicationId = null,
-    requireAll = false // If true, require all permissions; if false, require any
+    requireAll = false, // If true, require all permissions; if false, require any
+    resource = null
   } = options;
 
   return asyncHandler(async (req, res, next) => {
@@ -26,17 +67,33 @@ function requirePermission(permissions, options = {}) {
       throw new AppError('Authentication required', 401, 'NOT_AUTHENTICATED');
     }
 
-    const rbacService = await getRbacService();
     const permsArray = Array.isArray(permissions) ? permissions : [permissions];
 
     // Get organization/app from request if not provided
     const orgId = organizationId || req.params.organizationId || req.query.organizationId;
     const appId = applicationId || req.params.applicationId || req.query.applicationId;
 
+    const resourceAttributes = resource ? await resource(req) : {};
+    const context = buildAccessContext(req, resourceAttributes || {});
+
     // Check permissions
+    const results = [];
+    for (const permission of permsArray) {
+      const result = await rbacService.checkPermission(req.user.id, permission, {
+        organizationId: orgId,
+        applicationId: appId,
+        context
+      });
+      results.push({ permission, ...result });
+
+      if (requireAll ? !result.allowed : result.allowed) {
+        break;
+      }
+    }
+
     const hasPermission = requireAll
-      ? await rbacService.hasAllPermissions(req.user.id, permsArray, { organizationId: orgId, applicationId: appId })
-      : await rbacService.hasAnyPermission(req.user.id, permsArray, { organizationId: orgId, applicationId: appId });
+      ? results.every(result => result.allowed)
+      : results.some(result => result.allowed);
 
     if (!hasPermission) {
       logger.warn('Permission denied', {
@@ -44,7 +101,8 @@ function requirePermission(permissions, options = {}) {
         requiredPermissions: permsArray,
         requireAll,
         organizationId: orgId,
-        applicationId: appId
+        applicationId: appId,
+        reasons: results.filter(result => !result.allowed).map(result => `${result.permission}: ${result.reason}`)
       });
 
       throw new AppError(
@@ -82,7 +140,6 @@ function requireRole(roles, options = {}) {
       throw new AppError('Authentication required', 401, 'NOT_AUTHENTICATED');
     }
 
-    const rbacService = await getRbacService();
     const rolesArray = Array.isArray(roles) ? roles : [roles];
 
     // Get organization/app from request if not provided
@@ -170,7 +227,6 @@ function requireOrganizationMember() {
       throw new AppError('Organization ID required', 400, 'ORGANIZATION_ID_REQUIRED');
     }
 
-    const rbacService = await getRbacService();
     const isMember = await rbacService.isOrganizationMember(req.user.id, organizationId);
 
     if (!isMember) {
@@ -206,7 +262,6 @@ function requireGroupMember() {
       throw new AppError('Group ID required', 400, 'GROUP_ID_REQUIRED');
     }
 
-    const rbacService = await getRbacService();
     const isMember = await rbacService.isGroupMember(req.user.id, groupId);
 
     if (!isMember) {
@@ -259,8 +314,8 @@ function requireMfaVerified() {
       throw new AppError('User not found', 404, 'USER_NOT_FOUND');
     }
 
-    // If MFA is enabled for user, check if it's verified in session
-    if (user.mfaEnabled && !req.session.mfaVerified) {
+    // If MFA (TOTP or a security key/passkey) is enabled for user, check if it's verified in session
+    if (!req.session.mfaVerified && await webauthnService.isMfaEnabled(user)) {
       throw new AppError(
         'MFA verification required',
         403,
@@ -338,7 +393,6 @@ function loadUserPermissions() {
       return next();
     }
 
-    const rbacService = await getRbacService();
     const organizationId = req.params.organizationId || req.query.organizationId;
     const applicationId = req.params.applicationId || req.query.applicationId;
 
@@ -361,7 +415,6 @@ function loadUserRoles() {
       return next();
     }
 
-    const rbacService = await getRbacService();
     const organizationId = req.params.organizationId || req.query.organizationId;
     const applicationId = req.params.applicationId || req.query.applicationId;
 
@@ -386,5 +439,7 @@ module.exports = {
   anyOf,
   allOf,
   loadUserPermissions,
-  loadUserRoles
+  loadUserRoles,
+  getMfaLevel,
+  buildAccessContext
 };
@@ -5,7 +5,8 @@
  * ═══════════════════════════════════════════════════════════
  */
 
-const { AppError } = require('@exprsn/shared');
+const { asyncHandler, AppError } = require('@exprsn/shared');
+const webauthnService = require('../services/webauthnService');
 
 /**
  * Require user to be authenticated
@@ -40,18 +41,19 @@ function requireEmailVerified(req, res, next) {
 
 /**
  * Require MFA verification if enabled for user
+ * A registered security key or passkey enables MFA as well as TOTP
  */
-function requireMFA(req, res, next) {
+const requireMFA = asyncHandler(async (req, res, next) => {
   if (!req.isAuthenticated || !req.isAuthenticated()) {
     throw new AppError('Authentication required', 401, 'NOT_AUTHENTICATED');
   }
 
-  if (req.user.mfaEnabled && !req.session.mfaVerified) {
+  if (!req.session.mfaVerified && await webauthnService.isMfaEnabled(req.user)) {
     throw new AppError('MFA verification required', 403, 'MFA_REQUIRED');
   }
 
   next();
-}
+});
 
 /**
  * Optional authentication (doesn't throw error if not authenticated)
@@ -0,0 +1,39 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SCIM Authentication Middleware
+ * Authenticate provisioning clients by application-issued
+ * SCIM bearer token
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const scimService = require('../services/scimService');
+
+/**
+ * Require a valid SCIM bearer token. Sets req.scim to the organization
+ * and application the token was issued for.
+ */
+async function requireScimToken(req, res, next) {
+  try {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+
+    if (!match) {
+      throw scimService.scimError(401, 'Bearer token required');
+    }
+
+    const scimToken = await scimService.authenticateToken(match[1]);
+
+    req.scim = {
+      organizationId: scimToken.organizationId,
+      applicationId: scimToken.applicationId,
+      tokenId: scimToken.id
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  requireScimToken
+};
@@ -0,0 +1,98 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Access Policy Model
+ * Attribute-based conditions that grant or deny permissions
+ * on top of role assignments
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const AccessPolicy = sequelize.define('AccessPolicy', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // Organization this policy belongs to (null for global policies)
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    // Deny policies override every grant
+    effect: {
+      type: DataTypes.ENUM('allow', 'deny'),
+      allowNull: false,
+      defaultValue: 'allow'
+    },
+
+    // Permission patterns the policy applies to (wildcards allowed)
+    permissions: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+
+    // Roles the policy applies to (empty = every subject)
+    roleIds: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+
+    // Conditions on subject, resource and environment attributes (all must hold)
+    conditions: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+
+    // Evaluation order (higher first)
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    status: {
+      type: DataTypes.ENUM('active', 'inactive'),
+      defaultValue: 'active'
+    },
+
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'access_policies',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['organization_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  return AccessPolicy;
+};
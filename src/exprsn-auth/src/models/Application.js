@@ -214,6 +214,22 @@ module.exports = (sequelize) => {
       }
     },
 
+    // SAML 2.0 service provider registration (Exprsn as IdP)
+    samlEntityId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+      field: 'saml_entity_id'
+    },
+
+    samlServiceProvider: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'saml_service_provider'
+      // { acsUrl, sloUrl, certificate, nameIdFormat, signResponse, authnRequestsSigned,
+      //   attributes: { samlName: source }, defaultRelayState }
+    },
+
     // Status
     status: {
       type: DataTypes.ENUM('active', 'inactive', 'revoked'),
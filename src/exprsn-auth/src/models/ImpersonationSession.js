@@ -0,0 +1,88 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Impersonation Session Model
+ * Time-boxed sessions in which an admin (actor) acts as
+ * another user (subject)
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ImpersonationSession = sequelize.define('ImpersonationSession', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // Admin acting as the subject
+    actorId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    // User being impersonated
+    subjectId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    // Shown to the subject in their account access history
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+
+    status: {
+      type: DataTypes.ENUM('active', 'ended', 'expired'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+
+    endedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    // User who ended the session, when not the actor
+    endedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+
+    // Request details
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+
+    userAgent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'impersonation_sessions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['subject_id', 'created_at'] },
+      { fields: ['actor_id', 'status'] }
+    ]
+  });
+
+  return ImpersonationSession;
+};
@@ -0,0 +1,118 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Login Event Model
+ * Password login attempts with their risk assessment, and the
+ * MFA or email challenge a risky login must pass
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const LoginEvent = sequelize.define('LoginEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // Null for failed attempts on unknown accounts
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+
+    // failed: bad credentials; allowed/verified: signed in without/after a challenge
+    status: {
+      type: DataTypes.ENUM('failed', 'allowed', 'challenged', 'verified', 'blocked'),
+      allowNull: false
+    },
+
+    action: {
+      type: DataTypes.ENUM('allow', 'mfa', 'email', 'block'),
+      allowNull: true
+    },
+
+    // Risk assessment
+    riskScore: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+
+    riskFactors: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+
+    // Request details
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+
+    userAgent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    deviceId: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'SHA-256 hex digest of the device cookie'
+    },
+
+    fingerprint: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'SHA-256 hex digest of browser characteristics'
+    },
+
+    location: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+
+    latitude: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
+
+    longitude: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
+
+    // Email confirmation challenge
+    challengeHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      unique: true,
+      comment: 'SHA-256 hex digest of the confirmation token'
+    },
+
+    challengeExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'login_events',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['user_id', 'status', 'created_at'] },
+      { fields: ['email', 'status', 'created_at'] },
+      { fields: ['ip_address', 'status', 'created_at'] }
+    ]
+  });
+
+  return LoginEvent;
+};
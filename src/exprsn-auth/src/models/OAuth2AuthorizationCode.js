@@ -65,6 +65,17 @@ module.exports = (sequelize) => {
       allowNull: true
     },
 
+    // Set when issued to an admin impersonating the user
+    impersonationId: {
+      type: DataTypes.UUID,
+      field: 'impersonation_id',
+      allowNull: true,
+      references: {
+        model: 'impersonation_sessions',
+        key: 'id'
+      }
+    },
+
     // Status
     used: {
       type: DataTypes.BOOLEAN,
@@ -0,0 +1,96 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * OAuth2DeviceCode Model
+ * Pending device authorizations for the device flow (RFC 8628)
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OAuth2DeviceCode = sequelize.define('OAuth2DeviceCode', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // Codes
+    deviceCodeHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'SHA-256 hex digest of the device code'
+    },
+
+    userCode: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      unique: true,
+      comment: 'Normalized user code (no separator)'
+    },
+
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'oauth2_clients',
+        key: 'id'
+      }
+    },
+
+    scope: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+
+    // Set once the user approves or denies
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    // Status
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'denied', 'consumed'),
+      defaultValue: 'pending'
+    },
+
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+
+    // Polling
+    interval: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 5,
+      comment: 'Minimum seconds between token requests'
+    },
+
+    lastPolledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    decidedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'oauth2_device_codes',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['client_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  return OAuth2DeviceCode;
+};
@@ -60,6 +60,30 @@ module.exports = (sequelize) => {
       }
     },
 
+    // Sender constraint (RFC 9449 / RFC 8705)
+    tokenType: {
+      type: DataTypes.STRING,
+      field: 'token_type',
+      defaultValue: 'Bearer'
+    },
+
+    confirmation: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'cnf claim: DPoP key thumbprint (jkt) and/or client certificate thumbprint (x5t#S256)'
+    },
+
+    // Set when issued to an admin impersonating the user
+    impersonationId: {
+      type: DataTypes.UUID,
+      field: 'impersonation_id',
+      allowNull: true,
+      references: {
+        model: 'impersonation_sessions',
+        key: 'id'
+      }
+    },
+
     // Status
     revoked: {
       type: DataTypes.BOOLEAN,
@@ -0,0 +1,82 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Organization Domain Model
+ * Email domains an organization has claimed, verified by a
+ * DNS TXT record or a file served from the domain
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OrganizationDomain = sequelize.define('OrganizationDomain', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+
+    // Lowercase domain name, e.g. example.com
+    domain: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+
+    verificationMethod: {
+      type: DataTypes.ENUM('dns', 'file'),
+      allowNull: false,
+      defaultValue: 'dns'
+    },
+
+    // Published in the TXT record or challenge file
+    verificationToken: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+
+    status: {
+      type: DataTypes.ENUM('pending', 'verified', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+
+    verifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    lastCheckedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  }, {
+    tableName: 'organization_domains',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['organization_id', 'domain'], unique: true },
+      { fields: ['domain', 'status'] }
+    ]
+  });
+
+  return OrganizationDomain;
+};
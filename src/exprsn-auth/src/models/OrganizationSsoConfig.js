@@ -0,0 +1,109 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Organization SSO Config Model
+ * The identity provider an organization's members sign in
+ * through, and whether password login is blocked for them
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OrganizationSsoConfig = sequelize.define('OrganizationSsoConfig', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+
+    providerType: {
+      type: DataTypes.ENUM('saml', 'oidc', 'ldap'),
+      allowNull: false
+    },
+
+    // SAML: key of an identity provider in config/saml.js
+    samlIdpKey: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+
+    // OIDC: relying party registration at the organization's provider
+    oidcIssuer: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+
+    oidcClientId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+
+    oidcClientSecret: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    oidcScopes: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      defaultValue: 'openid email profile'
+    },
+
+    // LDAP: directory users authenticate against
+    ldapConfigId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'ldap_configs',
+        key: 'id'
+      }
+    },
+
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+
+    // Block password login for users in the organization's verified domains
+    enforced: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+
+    // Add users signing in through the provider as organization members
+    jitProvisioning: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+
+    defaultRole: {
+      type: DataTypes.ENUM('member', 'guest'),
+      allowNull: false,
+      defaultValue: 'member'
+    }
+  }, {
+    tableName: 'organization_sso_configs',
+    timestamps: true,
+    underscored: true
+  });
+
+  OrganizationSsoConfig.prototype.toSafeObject = function() {
+    const { oidcClientSecret, ...safeConfig } = this.toJSON();
+    return { ...safeConfig, oidcClientSecretSet: Boolean(oidcClientSecret) };
+  };
+
+  return OrganizationSsoConfig;
+};
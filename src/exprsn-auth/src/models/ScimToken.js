@@ -0,0 +1,118 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SCIM Token Model
+ * Bearer tokens an application uses to provision users and
+ * groups into its organization over SCIM 2.0
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ScimToken = sequelize.define('ScimToken', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    applicationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'applications',
+        key: 'id'
+      }
+    },
+
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+
+    // Token
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'SHA-256 hex digest of the bearer token'
+    },
+
+    tokenPrefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      comment: 'Leading characters shown to identify the token'
+    },
+
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    // Lifecycle
+    expiresAt: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+
+    lastUsedAt: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+
+    revokedAt: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'scim_tokens',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['application_id'] },
+      { fields: ['organization_id'] }
+    ]
+  });
+
+  /**
+   * Whether the token can still authenticate
+   */
+  ScimToken.prototype.isUsable = function() {
+    if (this.revokedAt) {
+      return false;
+    }
+
+    return !this.expiresAt || this.expiresAt > Date.now();
+  };
+
+  /**
+   * Summary safe to return to application owners
+   */
+  ScimToken.prototype.toSafeObject = function() {
+    return {
+      id: this.id,
+      name: this.name,
+      tokenPrefix: this.tokenPrefix,
+      organizationId: this.organizationId,
+      expiresAt: this.expiresAt,
+      lastUsedAt: this.lastUsedAt,
+      revokedAt: this.revokedAt,
+      createdAt: this.createdAt
+    };
+  };
+
+  return ScimToken;
+};
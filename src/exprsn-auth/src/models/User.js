@@ -8,6 +8,7 @@
 const { DataTypes } = require('sequelize');
 const bcrypt = require('bcrypt');
 const config = require('../config');
+const { passwordFields } = require('../utils/passwordRange');
 
 module.exports = (sequelize) => {
   const User = sequelize.define('User', {
@@ -128,6 +129,34 @@ module.exports = (sequelize) => {
       allowNull: true
     },
 
+    // Breached password screening
+    passwordRange: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+      comment: 'SHA-1 range prefix of the current password'
+    },
+
+    passwordFingerprint: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'Keyed fingerprint of the current password SHA-1'
+    },
+
+    passwordScreenedAt: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+
+    passwordBreachedAt: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+
+    passwordResetRequired: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+
     // Status
     status: {
       type: DataTypes.ENUM('active', 'inactive', 'suspended'),
@@ -146,7 +175,8 @@ module.exports = (sequelize) => {
       { fields: ['email'] },
       { fields: ['googleId'] },
       { fields: ['githubId'] },
-      { fields: ['status'] }
+      { fields: ['status'] },
+      { fields: ['passwordRange'] }
     ]
   });
 
@@ -155,6 +185,7 @@ module.exports = (sequelize) => {
    */
   User.beforeCreate(async (user) => {
     if (user.passwordHash) {
+      Object.assign(user, passwordFields(user.passwordHash, config.breachedPasswords.fingerprintKey));
       user.passwordHash = await bcrypt.hash(user.passwordHash, config.security.bcryptRounds);
     }
   });
@@ -164,6 +195,15 @@ module.exports = (sequelize) => {
    */
   User.beforeUpdate(async (user) => {
     if (user.changed('passwordHash') && user.passwordHash) {
+      Object.assign(user, passwordFields(user.passwordHash, config.breachedPasswords.fingerprintKey));
+      user.passwordResetRequired = false;
+
+      // Passwords set without screening are screened at the next login
+      if (!user.changed('passwordScreenedAt')) {
+        user.passwordScreenedAt = null;
+        user.passwordBreachedAt = null;
+      }
+
       user.passwordHash = await bcrypt.hash(user.passwordHash, config.security.bcryptRounds);
       user.passwordChangedAt = Date.now();
     }
@@ -191,7 +231,7 @@ module.exports = (sequelize) => {
   };
 
   User.prototype.toSafeObject = function() {
-    const { passwordHash, mfaSecret, mfaBackupCodes, resetPasswordToken, ...safeUser } = this.toJSON();
+    const { passwordHash, passwordFingerprint, mfaSecret, mfaBackupCodes, resetPasswordToken, ...safeUser } = this.toJSON();
     return safeUser;
   };
 
@@ -0,0 +1,130 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * WebAuthn Credential Model
+ * Passkeys and security keys registered to a user
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WebAuthnCredential = sequelize.define('WebAuthnCredential', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    // Credential
+    credentialId: {
+      type: DataTypes.STRING(1024),
+      allowNull: false,
+      unique: true,
+      comment: 'base64url credential ID'
+    },
+
+    publicKey: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'SPKI PEM public key'
+    },
+
+    algorithm: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'COSE algorithm identifier'
+    },
+
+    signCount: {
+      type: DataTypes.BIGINT,
+      defaultValue: 0
+    },
+
+    transports: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+
+    // Authenticator
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'User-chosen label'
+    },
+
+    aaguid: {
+      type: DataTypes.STRING(36),
+      allowNull: true,
+      comment: 'Authenticator model identifier'
+    },
+
+    attestationFormat: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      defaultValue: 'none'
+    },
+
+    attestationType: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      defaultValue: 'none'
+    },
+
+    attestationCertificates: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'base64 DER x5c chain from the attestation statement'
+    },
+
+    backupEligible: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Multi-device (synced) passkey'
+    },
+
+    backedUp: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+
+    lastUsedAt: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'webauthn_credentials',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['user_id'] }
+    ]
+  });
+
+  /**
+   * Summary safe to return to the owner
+   */
+  WebAuthnCredential.prototype.toSafeObject = function() {
+    return {
+      id: this.id,
+      name: this.name,
+      aaguid: this.aaguid,
+      transports: this.transports,
+      attestationFormat: this.attestationFormat,
+      backupEligible: this.backupEligible,
+      backedUp: this.backedUp,
+      lastUsedAt: this.lastUsedAt,
+      createdAt: this.createdAt
+    };
+  };
+
+  return WebAuthnCredential;
+};
@@ -36,8 +36,16 @@ const Application = require('./Application')(sequelize);
 const OAuth2Client = require('./OAuth2Client')(sequelize);
 const OAuth2Token = require('./OAuth2Token')(sequelize);
 const OAuth2AuthorizationCode = require('./OAuth2AuthorizationCode')(sequelize);
+const OAuth2DeviceCode = require('./OAuth2DeviceCode')(sequelize);
 const Session = require('./Session')(sequelize);
 const LdapConfig = require('./LdapConfig')(sequelize);
+const WebAuthnCredential = require('./WebAuthnCredential')(sequelize);
+const ScimToken = require('./ScimToken')(sequelize);
+const AccessPolicy = require('./AccessPolicy')(sequelize);
+const LoginEvent = require('./LoginEvent')(sequelize);
+const ImpersonationSession = require('./ImpersonationSession')(sequelize);
+const OrganizationDomain = require('./OrganizationDomain')(sequelize);
+const OrganizationSsoConfig = require('./OrganizationSsoConfig')(sequelize);
 
 // Store models in object for association
 const models = {
@@ -54,8 +62,16 @@ const models = {
   OAuth2Client,
   OAuth2Token,
   OAuth2AuthorizationCode,
+  OAuth2DeviceCode,
   Session,
-  LdapConfig
+  LdapConfig,
+  WebAuthnCredential,
+  ScimToken,
+  AccessPolicy,
+  LoginEvent,
+  ImpersonationSession,
+  OrganizationDomain,
+  OrganizationSsoConfig
 };
 
 /**
@@ -144,6 +160,22 @@ OAuth2AuthorizationCode.belongsTo(User, {
   as: 'user'
 });
 
+// OAuth2DeviceCode relationships
+OAuth2Client.hasMany(OAuth2DeviceCode, {
+  foreignKey: 'clientId',
+  as: 'deviceCodes'
+});
+
+OAuth2DeviceCode.belongsTo(OAuth2Client, {
+  foreignKey: 'clientId',
+  as: 'client'
+});
+
+OAuth2DeviceCode.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
 // Session relationships
 User.hasMany(Session, {
   foreignKey: 'userId',
@@ -155,6 +187,107 @@ Session.belongsTo(User, {
   as: 'user'
 });
 
+// WebAuthn credential relationships
+User.hasMany(WebAuthnCredential, {
+  foreignKey: 'userId',
+  as: 'webauthnCredentials'
+});
+
+WebAuthnCredential.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// SCIM token relationships
+Application.hasMany(ScimToken, {
+  foreignKey: 'applicationId',
+  as: 'scimTokens'
+});
+
+ScimToken.belongsTo(Application, {
+  foreignKey: 'applicationId',
+  as: 'application'
+});
+
+ScimToken.belongsTo(Organization, {
+  foreignKey: 'organizationId',
+  as: 'organization'
+});
+
+// Access policy relationships
+Organization.hasMany(AccessPolicy, {
+  foreignKey: 'organizationId',
+  as: 'accessPolicies'
+});
+
+AccessPolicy.belongsTo(Organization, {
+  foreignKey: 'organizationId',
+  as: 'organization'
+});
+
+// Login event relationships
+User.hasMany(LoginEvent, {
+  foreignKey: 'userId',
+  as: 'loginEvents'
+});
+
+LoginEvent.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Impersonation relationships
+User.hasMany(ImpersonationSession, {
+  foreignKey: 'subjectId',
+  as: 'impersonations'
+});
+
+ImpersonationSession.belongsTo(User, {
+  foreignKey: 'actorId',
+  as: 'actor'
+});
+
+ImpersonationSession.belongsTo(User, {
+  foreignKey: 'subjectId',
+  as: 'subject'
+});
+
+OAuth2AuthorizationCode.belongsTo(ImpersonationSession, {
+  foreignKey: 'impersonationId',
+  as: 'impersonation'
+});
+
+OAuth2Token.belongsTo(ImpersonationSession, {
+  foreignKey: 'impersonationId',
+  as: 'impersonation'
+});
+
+// Organization SSO relationships
+Organization.hasMany(OrganizationDomain, {
+  foreignKey: 'organizationId',
+  as: 'domains'
+});
+
+OrganizationDomain.belongsTo(Organization, {
+  foreignKey: 'organizationId',
+  as: 'organization'
+});
+
+Organization.hasOne(OrganizationSsoConfig, {
+  foreignKey: 'organizationId',
+  as: 'ssoConfig'
+});
+
+OrganizationSsoConfig.belongsTo(Organization, {
+  foreignKey: 'organizationId',
+  as: 'organization'
+});
+
+OrganizationSsoConfig.belongsTo(LdapConfig, {
+  foreignKey: 'ldapConfigId',
+  as: 'ldapConfig'
+});
+
 /**
  * ═══════════════════════════════════════════════════════════
  * Initialize System Data
@@ -191,7 +324,15 @@ module.exports = {
   OAuth2Client,
   OAuth2Token,
   OAuth2AuthorizationCode,
+  OAuth2DeviceCode,
   Session,
   LdapConfig,
+  WebAuthnCredential,
+  ScimToken,
+  AccessPolicy,
+  LoginEvent,
+  ImpersonationSession,
+  OrganizationDomain,
+  OrganizationSsoConfig,
   initializeSystemData
 };
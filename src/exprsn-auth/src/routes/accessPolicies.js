@@ -0,0 +1,222 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Access Policy Routes
+ * Attribute-based access policy management and the policy
+ * simulator that explains permission decisions
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const express = require('express');
+const router = express.Router();
+const { AccessPolicy } = require('../models');
+const rbacService = require('../services/rbacService');
+const accessPolicyService = require('../services/accessPolicyService');
+const organizationService = require('../services/organizationService');
+const { requireAuth } = require('../middleware/requireAuth');
+const { getMfaLevel } = require('../middleware/rbac');
+
+/**
+ * Helper: Only organization owners and admins manage policies
+ * Responds with 400/403 and returns false otherwise
+ */
+async function canManagePolicies(req, res, organizationId) {
+  if (!organizationId) {
+    res.status(400).json({
+      error: 'ORGANIZATION_ID_REQUIRED',
+      message: 'organizationId is required'
+    });
+    return false;
+  }
+
+  const isOwnerOrAdmin = await organizationService.isOwnerOrAdmin(organizationId, req.user.id);
+
+  if (!isOwnerOrAdmin) {
+    res.status(403).json({
+      error: 'FORBIDDEN',
+      message: 'Only organization owners and admins can manage access policies'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Helper: Load an organization policy the current user administers
+ */
+async function findAdministeredPolicy(req, res) {
+  const policy = await AccessPolicy.findByPk(req.params.id);
+
+  if (!policy || !policy.organizationId) {
+    res.status(404).json({
+      error: 'NOT_FOUND',
+      message: 'Access policy not found'
+    });
+    return null;
+  }
+
+  if (!await canManagePolicies(req, res, policy.organizationId)) {
+    return null;
+  }
+
+  return policy;
+}
+
+/**
+ * POST /api/access-policies/simulate
+ * Evaluate a permission for a user and explain the decision
+ */
+router.post('/simulate', requireAuth, async (req, res, next) => {
+  try {
+    const {
+      userId = req.user.id,
+      permission,
+      organizationId,
+      applicationId,
+      serviceName,
+      subject = {},
+      resource = {},
+      environment = {}
+    } = req.body;
+
+    if (!permission || typeof permission !== 'string') {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'permission is required'
+      });
+    }
+
+    const isSelf = userId === req.user.id;
+
+    // Simulating another user's access is an administrative action
+    if (!isSelf && !await canManagePolicies(req, res, organizationId)) {
+      return;
+    }
+
+    // Hypothetical attributes default to the caller's own session
+    const context = {
+      subject: isSelf ? { mfaLevel: getMfaLevel(req), ...subject } : subject,
+      resource,
+      environment: isSelf ? { ipAddress: req.ip, ...environment } : environment
+    };
+
+    const result = await rbacService.checkPermission(userId, permission, {
+      organizationId,
+      applicationId,
+      serviceName,
+      context,
+      explain: true
+    });
+
+    res.json({
+      success: true,
+      userId,
+      permission,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/access-policies
+ * List an organization's access policies
+ */
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const { organizationId } = req.query;
+
+    if (!await canManagePolicies(req, res, organizationId)) return;
+
+    const policies = await accessPolicyService.listPolicies(organizationId);
+
+    res.json({
+      success: true,
+      policies
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/access-policies
+ * Create an access policy
+ */
+router.post('/', requireAuth, async (req, res, next) => {
+  try {
+    const { organizationId } = req.body;
+
+    if (!await canManagePolicies(req, res, organizationId)) return;
+
+    const policy = await accessPolicyService.createPolicy(organizationId, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/access-policies/:id
+ * Get an access policy
+ */
+router.get('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const policy = await findAdministeredPolicy(req, res);
+    if (!policy) return;
+
+    res.json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/access-policies/:id
+ * Update an access policy
+ */
+router.patch('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const policy = await findAdministeredPolicy(req, res);
+    if (!policy) return;
+
+    await accessPolicyService.updatePolicy(policy, req.body);
+
+    res.json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/access-policies/:id
+ * Delete an access policy
+ */
+router.delete('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const policy = await findAdministeredPolicy(req, res);
+    if (!policy) return;
+
+    await accessPolicyService.deletePolicy(policy);
+
+    res.json({
+      success: true,
+      message: 'Access policy deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
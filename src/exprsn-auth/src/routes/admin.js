@@ -7,8 +7,12 @@
 
 const express = require('express');
 const router = express.Router();
+const { logAction, ActionTypes } = require('@exprsn/shared');
 const { User, Organization, Application, Role, Session } = require('../models');
-const { requireAdmin } = require('../middleware/adminAuth');
+const { requireAdmin, requireAdminPermission } = require('../middleware/adminAuth');
+const { beginImpersonation } = require('../middleware/impersonation');
+const impersonationService = require('../services/impersonationService');
+const config = require('../config');
 
 /**
  * Admin Dashboard
@@ -97,16 +101,27 @@ router.get('/users/:id', requireAdmin, async (req, res) => {
       return res.status(404).render('error', { title: 'Error', error: 'User not found' });
     }
 
-    const sessions = await Session.findAll({
-      where: { userId: user.id },
-      order: [['createdAt', 'DESC']],
-      limit: 10
-    });
+    const [sessions, impersonations, availableRoles] = await Promise.all([
+      Session.findAll({
+        where: { userId: user.id },
+        order: [['createdAt', 'DESC']],
+        limit: 10
+      }),
+      impersonationService.listForSubject(user.id, { limit: 10 }),
+      Role.findAll({ order: [['name', 'ASC']] })
+    ]);
 
     res.render('admin/user-detail', {
       title: `User: ${user.username}`,
       targetUser: user,
       sessions,
+      impersonations,
+      canImpersonate: config.impersonation.enabled && !impersonationService.isPrivileged(user),
+      impersonationDurations: [5, 15, 30, 60]
+        .map(minutes => minutes * 60000)
+        .filter(duration => duration <= config.impersonation.maxDuration),
+      availableRoles,
+      auditLogs: [],
       user: req.user
     });
   } catch (error) {
@@ -115,6 +130,44 @@ router.get('/users/:id', requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * Start impersonating a user
+ * Body: { reason, duration } (duration in milliseconds)
+ */
+router.post('/users/:id/impersonate',
+  requireAdminPermission('user:impersonate'),
+  logAction({
+    action: ActionTypes.IMPERSONATE,
+    resourceType: 'user',
+    metadata: { event: 'start' }
+  }),
+  async (req, res) => {
+    try {
+      const { session, subject } = await impersonationService.startImpersonation(req.user, req.params.id, {
+        reason: req.body.reason,
+        duration: req.body.duration,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      await beginImpersonation(req, session, subject);
+
+      res.json({
+        message: `Now impersonating ${subject.email}`,
+        impersonation: impersonationService.toSummary(session),
+        redirect: '/dashboard'
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.errorCode, message: error.message });
+      }
+
+      console.error('Impersonation error:', error);
+      res.status(500).json({ error: 'IMPERSONATION_FAILED', message: 'Failed to start impersonation' });
+    }
+  }
+);
+
 /**
  * Organization Management
  */
@@ -10,6 +10,8 @@ const router = express.Router();
 const { Application, Organization } = require('../models');
 const rbacService = require('../services/rbacService');
 const organizationService = require('../services/organizationService');
+const scimService = require('../services/scimService');
+const samlIdpService = require('../services/samlIdpService');
 const { requireAuth } = require('../middleware/requireAuth');
 
 /**
@@ -246,6 +248,158 @@ router.post('/:id/regenerate-secret', requireAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * Load an application the current user administers through its organization
+ * Responds with 404/403 and returns null otherwise
+ */
+async function findAdministeredApplication(req, res) {
+  const app = await Application.findByPk(req.params.id);
+
+  if (!app) {
+    res.status(404).json({
+      error: 'NOT_FOUND',
+      message: 'Application not found'
+    });
+    return null;
+  }
+
+  const isOwnerOrAdmin = app.organizationId &&
+    await organizationService.isOwnerOrAdmin(app.organizationId, req.user.id);
+
+  if (!isOwnerOrAdmin) {
+    res.status(403).json({
+      error: 'FORBIDDEN',
+      message: 'Only organization owners and admins can manage SCIM tokens and SAML settings'
+    });
+    return null;
+  }
+
+  return app;
+}
+
+/**
+ * POST /api/applications/:id/scim-tokens
+ * Issue a SCIM provisioning bearer token (shown once)
+ */
+router.post('/:id/scim-tokens', requireAuth, async (req, res, next) => {
+  try {
+    const app = await findAdministeredApplication(req, res);
+    if (!app) return;
+
+    const { token, scimToken } = await scimService.issueToken(app, {
+      name: req.body.name,
+      expiresIn: req.body.expiresIn
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      token,
+      scimToken: scimToken.toSafeObject(),
+      message: 'Store this token now; it cannot be retrieved again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/applications/:id/scim-tokens
+ * List SCIM provisioning tokens
+ */
+router.get('/:id/scim-tokens', requireAuth, async (req, res, next) => {
+  try {
+    const app = await findAdministeredApplication(req, res);
+    if (!app) return;
+
+    const tokens = await scimService.listTokens(app.id);
+
+    res.json({
+      success: true,
+      scimTokens: tokens.map(token => token.toSafeObject())
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/applications/:id/scim-tokens/:tokenId
+ * Revoke a SCIM provisioning token
+ */
+router.delete('/:id/scim-tokens/:tokenId', requireAuth, async (req, res, next) => {
+  try {
+    const app = await findAdministeredApplication(req, res);
+    if (!app) return;
+
+    const scimToken = await scimService.revokeToken(app.id, req.params.tokenId);
+
+    res.json({
+      success: true,
+      scimToken: scimToken.toSafeObject()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/applications/:id/saml
+ * Get the application's SAML service provider registration
+ */
+router.get('/:id/saml', requireAuth, async (req, res, next) => {
+  try {
+    const app = await findAdministeredApplication(req, res);
+    if (!app) return;
+
+    res.json({
+      success: true,
+      serviceProvider: samlIdpService.describeServiceProvider(app)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/applications/:id/saml
+ * Register the application as a SAML service provider (settings or SP metadata XML)
+ */
+router.put('/:id/saml', requireAuth, async (req, res, next) => {
+  try {
+    const app = await findAdministeredApplication(req, res);
+    if (!app) return;
+
+    const serviceProvider = await samlIdpService.registerServiceProvider(app, req.body);
+
+    res.json({
+      success: true,
+      serviceProvider
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/applications/:id/saml
+ * Remove the application's SAML service provider registration
+ */
+router.delete('/:id/saml', requireAuth, async (req, res, next) => {
+  try {
+    const app = await findAdministeredApplication(req, res);
+    if (!app) return;
+
+    await samlIdpService.removeServiceProvider(app);
+
+    res.json({
+      success: true,
+      message: 'SAML service provider registration removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/applications/:id/check-access
  * Check if user can access application
@@ -13,6 +13,12 @@ const { asyncHandler, AppError, logger, validateRequired } = require('@exprsn/sh
 const { strictLimiter } = require('@exprsn/shared');
 const { User } = require('../models');
 const tokenService = require('../services/tokenService');
+const loginRiskService = require('../services/loginRiskService');
+const impersonationService = require('../services/impersonationService');
+const breachedPasswordService = require('../services/breachedPasswordService');
+const orgSsoService = require('../services/orgSsoService');
+const webauthnService = require('../services/webauthnService');
+const { forbidDuringImpersonation } = require('../middleware/impersonation');
 const { getEmailService } = require('../services/emailService');
 const config = require('../config');
 const {
@@ -56,12 +62,22 @@ router.post('/register',
     throw new AppError('Email already registered', 409, 'USER_EXISTS');
   }
 
+  // Accounts in SSO-enforced domains are created by the organization's provider
+  const ssoRoute = await orgSsoService.getLoginRoute(email);
+  if (ssoRoute?.enforced) {
+    throw new AppError(`${ssoRoute.organizationName} requires single sign-on`, 403, 'SSO_REQUIRED');
+  }
+
+  // Screen against breached passwords
+  const screening = await breachedPasswordService.screenPassword(password);
+
   // Create user
   const user = await User.create({
     email,
     passwordHash: password, // Will be hashed by beforeCreate hook
     displayName,
-    emailVerificationToken: crypto.randomBytes(32).toString('hex')
+    emailVerificationToken: crypto.randomBytes(32).toString('hex'),
+    ...breachedPasswordService.screeningFields(screening)
   });
 
   logger.info('User registered', { userId: user.id, email: user.email });
@@ -96,7 +112,8 @@ router.post('/register',
   res.status(201).json({
     message: 'User registered successfully. Please check your email to verify your account.',
     user: user.toSafeObject(),
-    token
+    token,
+    ...(screening.warning && { warnings: [screening.warning] })
   });
 }));
 
@@ -108,35 +125,119 @@ router.post('/login',
   strictLimiter,
   validate(loginSchema),
   asyncHandler(async (req, res, next) => {
-  passport.authenticate('local', async (err, user, info) => {
-    if (err) {
-      return next(err);
-    }
-
-    if (!user) {
-      throw new AppError(info.message || 'Authentication failed', 401, 'AUTH_FAILED');
-    }
+  const loginRequest = loginRiskService.getLoginRequest(req, res);
+
+  const ssoRoute = await orgSsoService.getLoginRoute(req.body.email);
+  if (ssoRoute?.enforced && ssoRoute.loginUrl) {
+    return res.status(403).json({
+      error: 'SSO_REQUIRED',
+      message: `${ssoRoute.organizationName} requires single sign-on`,
+      loginUrl: ssoRoute.loginUrl
+    });
+  }
 
-    // Log user in
-    req.login(user, async (err) => {
+  passport.authenticate('local', async (err, user, info) => {
+    try {
       if (err) {
         return next(err);
       }
 
-      logger.info('User logged in', { userId: user.id, email: user.email });
+      if (!user) {
+        await loginRiskService.recordFailure(req.body.email, loginRequest);
+        return next(new AppError(info.message || 'Authentication failed', 401, 'AUTH_FAILED'));
+      }
 
-      // Generate CA token
-      const token = await tokenService.generateToken(user);
+      if (user.passwordResetRequired) {
+        await breachedPasswordService.requestPasswordReset(user);
+        return next(new AppError(
+          'Your password has appeared in a data breach and must be reset. Check your email for a reset link.',
+          403,
+          'PASSWORD_RESET_REQUIRED'
+        ));
+      }
 
-      res.json({
-        message: 'Login successful',
-        user: user.toSafeObject(),
-        token
+      const { action, event } = await loginRiskService.evaluateLogin(user, loginRequest);
+
+      if (action === loginRiskService.ACTIONS.BLOCK) {
+        return next(new AppError('Sign-in blocked for your security', 403, 'LOGIN_BLOCKED'));
+      }
+
+      if (action !== loginRiskService.ACTIONS.ALLOW) {
+        loginRiskService.setPendingLogin(req, event);
+
+        return res.status(202).json({
+          message: action === loginRiskService.ACTIONS.MFA
+            ? 'MFA code or security key required to complete sign-in'
+            : 'Confirm this sign-in from the link we emailed you',
+          challenge: action
+        });
+      }
+
+      // Log user in
+      req.login(user, async (err) => {
+        if (err) {
+          return next(err);
+        }
+
+        logger.info('User logged in', { userId: user.id, email: user.email });
+
+        // Generate CA token
+        const token = await tokenService.generateToken(user);
+
+        // MFA users finish with /api/mfa/validate or /api/mfa/webauthn/authenticate
+        const mfaRequired = await webauthnService.isMfaEnabled(user);
+
+        res.json({
+          message: 'Login successful',
+          user: user.toSafeObject(),
+          token,
+          ...(mfaRequired && { mfaRequired }),
+          ...(user.passwordBreachedAt && { warnings: [breachedPasswordService.BREACHED_WARNING] })
+        });
       });
-    });
+    } catch (error) {
+      next(error);
+    }
   })(req, res, next);
 }));
 
+/**
+ * POST /api/auth/login/verify/webauthn/options
+ * Start a security key challenge for a challenged sign-in's MFA step-up
+ */
+router.post('/login/verify/webauthn/options', asyncHandler(async (req, res) => {
+  res.json(await loginRiskService.startWebAuthnChallenge(req));
+}));
+
+/**
+ * POST /api/auth/login/verify
+ * Complete a sign-in the risk engine challenged
+ * Body: { code } or { credential } (a security key assertion) for MFA step-ups;
+ * empty once the emailed link has been opened
+ */
+router.post('/login/verify', strictLimiter, asyncHandler(async (req, res) => {
+  const { user, mfaMethod } = await loginRiskService.verifyPendingLogin(req, req.body.code, req.body.credential);
+
+  await new Promise((resolve, reject) => {
+    req.login(user, err => (err ? reject(err) : resolve()));
+  });
+
+  if (mfaMethod) {
+    req.session.mfaVerified = true;
+    req.session.mfaMethod = mfaMethod;
+  }
+
+  logger.info('User logged in', { userId: user.id, email: user.email });
+
+  const token = await tokenService.generateToken(user);
+
+  res.json({
+    message: 'Login successful',
+    user: user.toSafeObject(),
+    token
+  });
+}));
+
 /**
  * POST /api/auth/logout
  * User logout
@@ -148,6 +249,11 @@ router.post('/logout', asyncHandler(async (req, res) => {
 
   const userId = req.user.id;
 
+  // Logging out ends an impersonation rather than leaving it running
+  if (req.impersonation) {
+    await impersonationService.endImpersonation(req.impersonation.id, req.impersonation.actorId);
+  }
+
   req.logout((err) => {
     if (err) {
       logger.error('Logout error', { error: err.message, userId });
@@ -240,15 +346,22 @@ router.post('/reset-password',
     throw new AppError('Invalid or expired reset token', 400, 'INVALID_TOKEN');
   }
 
+  // Screen against breached passwords
+  const screening = await breachedPasswordService.screenPassword(password);
+
   // Update password
   user.passwordHash = password; // Will be hashed by beforeUpdate hook
   user.resetPasswordToken = null;
   user.resetPasswordExpires = null;
+  Object.assign(user, breachedPasswordService.screeningFields(screening));
   await user.save();
 
   logger.info('Password reset completed', { userId: user.id, email: user.email });
 
-  res.json({ message: 'Password reset successful' });
+  res.json({
+    message: 'Password reset successful',
+    ...(screening.warning && { warnings: [screening.warning] })
+  });
 }));
 
 /**
@@ -368,6 +481,7 @@ router.post('/resend-verification',
  * Change password for authenticated user
  */
 router.post('/change-password',
+  forbidDuringImpersonation,
   validate(changePasswordSchema),
   asyncHandler(async (req, res) => {
   if (!req.user) {
@@ -407,8 +521,12 @@ router.post('/change-password',
     throw new AppError('New password must be different from current password', 400, 'SAME_PASSWORD');
   }
 
+  // Screen against breached passwords
+  const screening = await breachedPasswordService.screenPassword(newPassword);
+
   // Update password
   user.passwordHash = newPassword; // Will be hashed by beforeUpdate hook
+  Object.assign(user, breachedPasswordService.screeningFields(screening));
   await user.save();
 
   logger.info('Password changed', { userId: user.id, email: user.email });
@@ -432,7 +550,10 @@ router.post('/change-password',
     // Don't fail the operation if email fails
   }
 
-  res.json({ message: 'Password changed successfully' });
+  res.json({
+    message: 'Password changed successfully',
+    ...(screening.warning && { warnings: [screening.warning] })
+  });
 }));
 
 /**
@@ -0,0 +1,126 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Impersonation Routes
+ * The running impersonation, tokens issued during it, and
+ * each user's record of who accessed their account
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const express = require('express');
+const { asyncHandler, AppError, logger, logAction, ActionTypes } = require('@exprsn/shared');
+const { requireAuth } = require('../middleware/requireAuth');
+const { restoreActor, forbidDuringImpersonation } = require('../middleware/impersonation');
+const impersonationService = require('../services/impersonationService');
+const tokenService = require('../services/tokenService');
+
+const router = express.Router();
+
+// All impersonation routes require authentication
+router.use(requireAuth);
+
+/**
+ * GET /api/impersonation/current
+ * The impersonation this session is running, if any
+ */
+router.get('/current', (req, res) => {
+  res.json({
+    impersonating: Boolean(req.impersonation),
+    impersonation: req.impersonation ? impersonationService.toSummary(req.impersonation.session) : null
+  });
+});
+
+/**
+ * POST /api/impersonation/stop
+ * End the impersonation and return to the admin's own account
+ */
+router.post('/stop',
+  logAction({
+    action: ActionTypes.IMPERSONATE,
+    resourceType: 'user',
+    getResourceId: req => req.impersonation && req.impersonation.subjectId,
+    metadata: { event: 'stop' }
+  }),
+  asyncHandler(async (req, res) => {
+    if (!req.impersonation) {
+      throw new AppError('Not impersonating a user', 400, 'NOT_IMPERSONATING');
+    }
+
+    const { id, actorId } = req.impersonation;
+
+    await impersonationService.endImpersonation(id, actorId);
+    const impersonation = await restoreActor(req);
+
+    res.json({
+      message: 'Impersonation ended',
+      redirect: `/admin/users/${impersonation.subjectId}`
+    });
+  })
+);
+
+/**
+ * POST /api/impersonation/token
+ * CA token for the impersonated user, carrying the admin as its actor
+ * Expires no later than the impersonation
+ */
+router.post('/token',
+  logAction({
+    action: ActionTypes.IMPERSONATE,
+    resourceType: 'token',
+    getResourceId: req => req.impersonation && req.impersonation.subjectId,
+    metadata: { event: 'token' }
+  }),
+  asyncHandler(async (req, res) => {
+    if (!req.impersonation) {
+      throw new AppError('Not impersonating a user', 400, 'NOT_IMPERSONATING');
+    }
+
+    const token = await tokenService.generateToken(req.user, {
+      impersonation: req.impersonation.session
+    });
+
+    logger.info('Impersonation token issued', {
+      impersonationId: req.impersonation.id,
+      actorId: req.impersonation.actorId,
+      subjectId: req.user.id
+    });
+
+    res.json({
+      token,
+      act: { sub: req.impersonation.actorId },
+      expiresAt: req.impersonation.expiresAt
+    });
+  })
+);
+
+/**
+ * GET /api/impersonation/access-log
+ * Who accessed the current user's account
+ */
+router.get('/access-log', asyncHandler(async (req, res) => {
+  const sessions = await impersonationService.listForSubject(req.user.id, { limit: req.query.limit });
+
+  res.json({ sessions });
+}));
+
+/**
+ * POST /api/impersonation/access-log/end
+ * End every running impersonation of the current user's account
+ */
+router.post('/access-log/end',
+  forbidDuringImpersonation,
+  logAction({
+    action: ActionTypes.REVOKE,
+    resourceType: 'impersonation',
+    getResourceId: req => req.user.id
+  }),
+  asyncHandler(async (req, res) => {
+    const count = await impersonationService.endAllForSubject(req.user.id, req.user.id);
+
+    res.json({
+      message: `${count} impersonation session(s) ended`,
+      count
+    });
+  })
+);
+
+module.exports = router;
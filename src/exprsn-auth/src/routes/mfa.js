@@ -1,7 +1,8 @@
 /**
  * ═══════════════════════════════════════════════════════════
  * MFA Routes
- * Multi-Factor Authentication setup and verification
+ * Multi-Factor Authentication setup and verification (TOTP, backup
+ * codes and WebAuthn security keys/passkeys)
  * ═══════════════════════════════════════════════════════════
  */
 
@@ -11,13 +12,16 @@ const QRCode = require('qrcode');
 const crypto = require('crypto');
 const { asyncHandler, AppError, logger, strictLimiter, standardLimiter } = require('@exprsn/shared');
 const { requireAuth } = require('../middleware/requireAuth');
-const { User } = require('../models');
+const { forbidDuringImpersonation } = require('../middleware/impersonation');
+const { User, WebAuthnCredential } = require('../models');
+const webauthnService = require('../services/webauthnService');
 const config = require('../config');
 
 const router = express.Router();
 
-// All MFA routes require authentication
+// All MFA routes require authentication, and none are open to impersonating admins
 router.use(requireAuth);
+router.use(forbidDuringImpersonation);
 
 /**
  * POST /api/mfa/setup
@@ -108,6 +112,7 @@ router.post('/verify',
 
   // Mark MFA as verified in session
   req.session.mfaVerified = true;
+  req.session.mfaMethod = 'totp';
 
   logger.info('MFA enabled', { userId: user.id });
 
@@ -148,6 +153,7 @@ router.post('/validate',
 
     // Mark MFA as verified in session
     req.session.mfaVerified = true;
+    req.session.mfaMethod = 'backup_code';
 
     logger.info('MFA validated with backup code', { userId: user.id });
 
@@ -172,6 +178,7 @@ router.post('/validate',
 
   // Mark MFA as verified in session
   req.session.mfaVerified = true;
+  req.session.mfaMethod = 'totp';
 
   logger.info('MFA validated successfully', { userId: user.id });
 
@@ -197,7 +204,9 @@ router.post('/disable',
     throw new AppError('User not found', 404, 'USER_NOT_FOUND');
   }
 
-  if (!user.mfaEnabled) {
+  const passkeyCount = await WebAuthnCredential.count({ where: { userId: user.id } });
+
+  if (!user.mfaEnabled && passkeyCount === 0) {
     throw new AppError('MFA is not enabled', 400, 'MFA_NOT_ENABLED');
   }
 
@@ -209,16 +218,19 @@ router.post('/disable',
     throw new AppError('Invalid password', 401, 'INVALID_PASSWORD');
   }
 
-  // Disable MFA
+  // Disable MFA (TOTP and every security key/passkey)
   user.mfaEnabled = false;
   user.mfaSecret = null;
   user.mfaBackupCodes = null;
   await user.save();
 
+  await WebAuthnCredential.destroy({ where: { userId: user.id } });
+
   // Remove MFA verification from session
   req.session.mfaVerified = false;
+  delete req.session.mfaMethod;
 
-  logger.info('MFA disabled', { userId: user.id });
+  logger.info('MFA disabled', { userId: user.id, passkeysRemoved: passkeyCount });
 
   res.json({ message: 'MFA disabled successfully' });
 }));
@@ -281,10 +293,173 @@ router.get('/status', asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404, 'USER_NOT_FOUND');
   }
 
+  const passkeys = await WebAuthnCredential.findAll({
+    where: { userId: user.id },
+    order: [['createdAt', 'ASC']]
+  });
+
   res.json({
-    mfaEnabled: user.mfaEnabled,
-    backupCodesRemaining: user.mfaBackupCodes ? user.mfaBackupCodes.length : 0
+    mfaEnabled: user.mfaEnabled || passkeys.length > 0,
+    totpEnabled: user.mfaEnabled,
+    backupCodesRemaining: user.mfaBackupCodes ? user.mfaBackupCodes.length : 0,
+    passkeys: passkeys.map(passkey => passkey.toSafeObject())
   });
 }));
 
+/**
+ * ═══════════════════════════════════════════════════════════
+ * WebAuthn (security keys and passkeys)
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/**
+ * POST /api/mfa/webauthn/register/options
+ * Start registering a security key or passkey
+ */
+router.post('/webauthn/register/options', asyncHandler(async (req, res) => {
+  const user = await User.findByPk(req.user.id);
+
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  const existing = await WebAuthnCredential.findAll({ where: { userId: user.id } });
+  const options = webauthnService.generateRegistrationOptions(user, existing);
+
+  webauthnService.storeChallenge(req.session, 'registration', options.challenge);
+
+  res.json(options);
+}));
+
+/**
+ * POST /api/mfa/webauthn/register/verify
+ * Verify the attestation and store the credential
+ */
+router.post('/webauthn/register/verify',
+  strictLimiter,
+  asyncHandler(async (req, res) => {
+  const { credential, name } = req.body;
+
+  if (!credential) {
+    throw new AppError('Credential required', 400, 'CREDENTIAL_REQUIRED');
+  }
+
+  const challenge = webauthnService.takeChallenge(req.session, 'registration');
+  const passkey = await webauthnService.registerCredential(req.user.id, credential, challenge, name);
+
+  logger.info('WebAuthn credential registered', {
+    userId: req.user.id,
+    credentialId: passkey.id,
+    attestationFormat: passkey.attestationFormat
+  });
+
+  res.status(201).json({
+    message: 'Security key registered successfully',
+    passkey: passkey.toSafeObject()
+  });
+}));
+
+/**
+ * POST /api/mfa/webauthn/authenticate/options
+ * Start a security key challenge as the second factor during login
+ */
+router.post('/webauthn/authenticate/options', asyncHandler(async (req, res) => {
+  const credentials = await WebAuthnCredential.findAll({ where: { userId: req.user.id } });
+
+  if (credentials.length === 0) {
+    throw new AppError('No security keys are registered', 400, 'WEBAUTHN_NOT_ENABLED');
+  }
+
+  const options = webauthnService.generateAuthenticationOptions(credentials);
+  webauthnService.storeChallenge(req.session, 'authentication', options.challenge);
+
+  res.json(options);
+}));
+
+/**
+ * POST /api/mfa/webauthn/authenticate/verify
+ * Verify the assertion and mark MFA as verified
+ */
+router.post('/webauthn/authenticate/verify',
+  strictLimiter, // 10 req/15min to prevent brute force
+  asyncHandler(async (req, res) => {
+  const { credential } = req.body;
+
+  if (!credential) {
+    throw new AppError('Credential required', 400, 'CREDENTIAL_REQUIRED');
+  }
+
+  const challenge = webauthnService.takeChallenge(req.session, 'authentication');
+
+  try {
+    await webauthnService.authenticateCredential(credential, challenge, { userId: req.user.id });
+  } catch (error) {
+    logger.warn('Invalid WebAuthn assertion', { userId: req.user.id, error: error.errorCode });
+    throw error;
+  }
+
+  // Mark MFA as verified in session
+  req.session.mfaVerified = true;
+  req.session.mfaMethod = 'webauthn';
+
+  logger.info('MFA validated with security key', { userId: req.user.id });
+
+  res.json({ message: 'MFA validated successfully' });
+}));
+
+/**
+ * GET /api/mfa/webauthn/credentials
+ * List registered security keys and passkeys
+ */
+router.get('/webauthn/credentials', asyncHandler(async (req, res) => {
+  const passkeys = await WebAuthnCredential.findAll({
+    where: { userId: req.user.id },
+    order: [['createdAt', 'ASC']]
+  });
+
+  res.json({ passkeys: passkeys.map(passkey => passkey.toSafeObject()) });
+}));
+
+/**
+ * DELETE /api/mfa/webauthn/credentials/:id
+ * Remove a security key or passkey
+ */
+router.delete('/webauthn/credentials/:id',
+  strictLimiter, // 10 req/15min to prevent abuse
+  asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    throw new AppError('Password required', 400, 'PASSWORD_REQUIRED');
+  }
+
+  const user = await User.findByPk(req.user.id);
+
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  // Verify password
+  const bcrypt = require('bcrypt');
+  const isValidPassword = await bcrypt.compare(password, user.passwordHash);
+
+  if (!isValidPassword) {
+    throw new AppError('Invalid password', 401, 'INVALID_PASSWORD');
+  }
+
+  const passkey = await WebAuthnCredential.findOne({
+    where: { id: req.params.id, userId: user.id }
+  });
+
+  if (!passkey) {
+    throw new AppError('Security key not found', 404, 'CREDENTIAL_NOT_FOUND');
+  }
+
+  await passkey.destroy();
+
+  logger.info('WebAuthn credential removed', { userId: user.id, credentialId: passkey.id });
+
+  res.json({ message: 'Security key removed successfully' });
+}));
+
 module.exports = router;
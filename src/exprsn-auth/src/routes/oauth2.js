@@ -1,14 +1,19 @@
 /**
  * ═══════════════════════════════════════════════════════════
  * OAuth2 Routes
- * OAuth2 provider endpoints (authorization code flow)
+ * OAuth2 provider endpoints (authorization code, device
+ * authorization and token exchange flows) with DPoP and
+ * mTLS sender-constrained tokens
  * ═══════════════════════════════════════════════════════════
  */
 
 const express = require('express');
 const OAuth2Server = require('oauth2-server');
-const { asyncHandler, AppError, logger } = require('@exprsn/shared');
+const { asyncHandler, AppError, logger, standardLimiter } = require('@exprsn/shared');
+const { parseAuthorization } = require('../../../shared/utils/tokenBinding');
 const oauth2Service = require('../services/oauth2Service');
+const tokenBindingService = require('../services/tokenBindingService');
+const { GRANT_TYPES, TOKEN_TYPES, DeviceCodeGrantType, TokenExchangeGrantType } = require('../services/oauth2Grants');
 const config = require('../config');
 
 const router = express.Router();
@@ -29,9 +34,57 @@ const oauth2Server = new OAuth2Server({
     generateAccessToken: oauth2Service.generateAccessToken,
     generateRefreshToken: oauth2Service.generateRefreshToken
   },
+  extendedGrantTypes: {
+    [GRANT_TYPES.DEVICE_CODE]: DeviceCodeGrantType,
+    [GRANT_TYPES.TOKEN_EXCHANGE]: TokenExchangeGrantType
+  },
   ...config.oauth2
 });
 
+/**
+ * Client credentials from the request body or HTTP Basic authentication
+ */
+function getClientCredentials(req) {
+  let { client_id: clientId, client_secret: clientSecret = null } = req.body;
+
+  const basic = /^Basic\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (basic) {
+    const decoded = Buffer.from(basic[1], 'base64').toString();
+    const separator = decoded.indexOf(':');
+    if (separator !== -1) {
+      clientId = decodeURIComponent(decoded.slice(0, separator));
+      clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+    }
+  }
+
+  return { clientId, clientSecret };
+}
+
+/**
+ * User to authorize; codes granted while impersonating carry the impersonation
+ */
+function authorizingUser(req) {
+  if (!req.impersonation) {
+    return req.user;
+  }
+
+  return { id: req.user.id, email: req.user.email, impersonationId: req.impersonation.id };
+}
+
+/**
+ * Send an OAuth2 error response, challenging DPoP nonce failures with a fresh nonce
+ */
+function sendOAuthError(res, error, defaultStatus) {
+  if (error.name === 'use_dpop_nonce') {
+    res.set('DPoP-Nonce', tokenBindingService.issueNonce());
+  }
+
+  res.status(error.code || defaultStatus).json({
+    error: error.name || 'invalid_request',
+    error_description: error.message
+  });
+}
+
 /**
  * GET /api/oauth2/authorize
  * OAuth2 authorization endpoint
@@ -50,7 +103,7 @@ router.get('/authorize', asyncHandler(async (req, res) => {
   try {
     const code = await oauth2Server.authorize(request, response, {
       authenticateHandler: {
-        handle: () => req.user
+        handle: () => authorizingUser(req)
       }
     });
 
@@ -98,7 +151,7 @@ router.post('/authorize', asyncHandler(async (req, res) => {
   try {
     const code = await oauth2Server.authorize(request, response, {
       authenticateHandler: {
-        handle: () => req.user
+        handle: () => authorizingUser(req)
       }
     });
 
@@ -130,16 +183,38 @@ router.post('/token', asyncHandler(async (req, res) => {
   const response = new OAuth2Server.Response(res);
 
   try {
+    const { clientId } = getClientCredentials(req);
+    const policy = await tokenBindingService.getClientPolicy(clientId);
+    const confirmation = await tokenBindingService.getTokenRequestConfirmation(req, policy);
+
+    if (req.body.grant_type === 'refresh_token') {
+      await tokenBindingService.verifyRefreshBinding(req.body.refresh_token, confirmation);
+    }
+
+    // Grants that mint CA tokens embed the confirmation themselves
+    request.confirmation = confirmation;
+
     const token = await oauth2Server.token(request, response);
 
+    if (confirmation && token.issuedTokenType !== TOKEN_TYPES.CA_TOKEN) {
+      await oauth2Service.bindToken(token.accessToken, confirmation);
+    }
+
     logger.info('OAuth2 token issued', {
-      clientId: req.body.client_id,
-      grantType: req.body.grant_type
+      clientId,
+      grantType: req.body.grant_type,
+      binding: confirmation ? Object.keys(confirmation) : undefined
     });
 
+    if (config.oauth2.dpop.requireNonce) {
+      res.set('DPoP-Nonce', tokenBindingService.issueNonce());
+    }
+
+    res.set('Cache-Control', 'no-store');
     res.json({
       access_token: token.accessToken,
-      token_type: 'Bearer',
+      issued_token_type: token.issuedTokenType,
+      token_type: confirmation?.jkt ? 'DPoP' : 'Bearer',
       expires_in: Math.floor((token.accessTokenExpiresAt - new Date()) / 1000),
       refresh_token: token.refreshToken,
       scope: token.scope?.join(' ')
@@ -150,8 +225,34 @@ router.post('/token', asyncHandler(async (req, res) => {
       grantType: req.body.grant_type
     });
 
-    res.status(error.code || 500).json({
-      error: error.name || 'invalid_request',
+    sendOAuthError(res, error, 500);
+  }
+}));
+
+/**
+ * POST /api/oauth2/device_authorization
+ * Device authorization endpoint (RFC 8628 §3.1)
+ */
+router.post('/device_authorization', standardLimiter, asyncHandler(async (req, res) => {
+  const { clientId, clientSecret } = getClientCredentials(req);
+  const { scope } = req.body;
+
+  try {
+    const authorization = await oauth2Service.createDeviceAuthorization(clientId, clientSecret, scope);
+
+    logger.info('Device authorization started', { clientId });
+
+    res.set('Cache-Control', 'no-store');
+    res.json(authorization);
+  } catch (error) {
+    logger.error('Device authorization error', { error: error.message, clientId });
+
+    if (!(error instanceof OAuth2Server.OAuthError)) {
+      throw error;
+    }
+
+    res.status(error.code).json({
+      error: error.name,
       error_description: error.message
     });
   }
@@ -183,9 +284,23 @@ router.post('/revoke', asyncHandler(async (req, res) => {
 router.get('/userinfo', asyncHandler(async (req, res) => {
   const request = new OAuth2Server.Request(req);
   const response = new OAuth2Server.Response(res);
+  const authorization = parseAuthorization(req.headers.authorization);
+  const scheme = authorization?.scheme || 'Bearer';
 
   try {
-    const token = await oauth2Server.authenticate(request, response);
+    let token;
+
+    // oauth2-server only understands the Bearer scheme
+    if (/^dpop$/i.test(scheme)) {
+      token = await oauth2Service.getAccessToken(authorization.token);
+      if (!token) {
+        throw new OAuth2Server.InvalidTokenError('Invalid token: access token is invalid');
+      }
+    } else {
+      token = await oauth2Server.authenticate(request, response);
+    }
+
+    await tokenBindingService.verifyAccessToken(req, token, scheme);
 
     const user = token.user;
 
@@ -201,10 +316,11 @@ router.get('/userinfo', asyncHandler(async (req, res) => {
   } catch (error) {
     logger.error('UserInfo error', { error: error.message });
 
-    res.status(error.code || 401).json({
-      error: error.name || 'invalid_token',
-      error_description: error.message
-    });
+    if (error.code === 401) {
+      res.set('WWW-Authenticate', tokenBindingService.challenge(scheme, error));
+    }
+
+    sendOAuthError(res, error, 401);
   }
 }));
 
@@ -226,12 +342,16 @@ router.post('/introspect', asyncHandler(async (req, res) => {
       return res.json({ active: false });
     }
 
+    // Resource servers must enforce cnf (RFC 9449 §6.2, RFC 8705 §3.2)
     res.json({
       active: true,
       scope: tokenData.scope?.join(' '),
       client_id: tokenData.client.clientId,
       sub: tokenData.user.id,
-      exp: Math.floor(tokenData.accessTokenExpiresAt.getTime() / 1000)
+      exp: Math.floor(tokenData.accessTokenExpiresAt.getTime() / 1000),
+      token_type: tokenData.tokenType || 'Bearer',
+      cnf: tokenData.confirmation || undefined,
+      act: tokenData.act || undefined
     });
   } catch (error) {
     logger.error('Introspection error', { error: error.message });
@@ -7,8 +7,10 @@
 
 const express = require('express');
 const router = express.Router();
+const { parseAuthorization } = require('../../../shared/utils/tokenBinding');
 const oidcService = require('../services/oidcService');
 const oauth2Service = require('../services/oauth2Service');
+const tokenBindingService = require('../services/tokenBindingService');
 
 /**
  * GET /.well-known/openid-configuration
@@ -33,20 +35,20 @@ router.get('/.well-known/jwks.json', (req, res) => {
  * OIDC UserInfo endpoint
  */
 router.get('/api/oauth2/userinfo', async (req, res, next) => {
-  try {
-    // Get access token from Authorization header
-    const authHeader = req.headers.authorization;
+  // Get access token from Authorization header (Bearer, or DPoP for bound tokens)
+  const authorization = parseAuthorization(req.headers.authorization);
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  try {
+    if (!authorization) {
       return res.status(401).json({
         error: 'invalid_token',
         error_description: 'No access token provided'
       });
     }
 
-    const accessToken = authHeader.substring(7);
-
-    const userInfo = await oidcService.getUserInfo(accessToken);
+    const userInfo = await oidcService.getUserInfo(authorization.token, {
+      verifyToken: tokenData => tokenBindingService.verifyAccessToken(req, tokenData, authorization.scheme)
+    });
 
     res.json(userInfo);
   } catch (error) {
@@ -57,6 +59,19 @@ router.get('/api/oauth2/userinfo', async (req, res, next) => {
       });
     }
 
+    // Sender-constrained token presented without a valid proof
+    if (error.code === 401) {
+      if (error.name === 'use_dpop_nonce') {
+        res.set('DPoP-Nonce', tokenBindingService.issueNonce());
+      }
+
+      res.set('WWW-Authenticate', tokenBindingService.challenge(authorization.scheme, error));
+      return res.status(401).json({
+        error: error.name,
+        error_description: error.message
+      });
+    }
+
     next(error);
   }
 });
@@ -91,11 +106,13 @@ router.post('/api/oauth2/introspect', async (req, res, next) => {
       scope: tokenData.scope.join(' '),
       client_id: tokenData.client.clientId,
       username: tokenData.user.email,
-      token_type: 'Bearer',
+      token_type: tokenData.tokenType || 'Bearer',
       exp: Math.floor(tokenData.accessTokenExpiresAt.getTime() / 1000),
       iat: Math.floor(new Date(tokenData.createdAt).getTime() / 1000),
       sub: tokenData.user.id,
-      aud: tokenData.client.clientId
+      aud: tokenData.client.clientId,
+      // Resource servers must enforce cnf (RFC 9449 §6.2, RFC 8705 §3.2)
+      cnf: tokenData.confirmation || undefined
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,77 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Organization SSO Routes
+ * Sign-in discovery and redirects for organizations whose
+ * verified domains sign in through their own identity provider
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const express = require('express');
+const { asyncHandler, AppError, logger, strictLimiter } = require('@exprsn/shared');
+const orgSsoService = require('../services/orgSsoService');
+
+const router = express.Router();
+
+/**
+ * POST /api/sso/discover
+ * Where a sign-in for an email address should go
+ * Body: { email, redirect? }
+ */
+router.post('/discover', strictLimiter, asyncHandler(async (req, res) => {
+  const { email, redirect } = req.body;
+
+  if (!email) {
+    throw new AppError('Email is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const route = await orgSsoService.getLoginRoute(email, { redirect });
+
+  res.json(route ? { sso: true, ...route } : { sso: false });
+}));
+
+/**
+ * GET /api/sso/orgs/:organizationId/login
+ * Send the browser to the organization's identity provider
+ */
+router.get('/orgs/:organizationId/login', asyncHandler(async (req, res) => {
+  const url = await orgSsoService.startLogin(req, req.params.organizationId, {
+    redirect: req.query.redirect,
+    loginHint: req.query.login_hint
+  });
+
+  res.redirect(url);
+}));
+
+/**
+ * GET /api/sso/orgs/:organizationId/oidc/callback
+ * Authorization code callback from the organization's OIDC provider
+ */
+router.get('/orgs/:organizationId/oidc/callback', async (req, res) => {
+  try {
+    const { user, redirect } = await orgSsoService.completeOidcLogin(req, req.params.organizationId, req.query);
+
+    req.login(user, (err) => {
+      if (err) {
+        logger.error('Session creation error', { error: err.message });
+        return res.redirect('/login?error=' + encodeURIComponent('Failed to create session'));
+      }
+
+      logger.info('User logged in via organization OIDC', {
+        userId: user.id,
+        organizationId: req.params.organizationId
+      });
+
+      res.redirect(redirect);
+    });
+  } catch (error) {
+    logger.warn('Organization OIDC sign-in failed', {
+      organizationId: req.params.organizationId,
+      error: error.message
+    });
+
+    const message = error.isOperational ? error.message : 'Single sign-on failed';
+    res.redirect('/login?error=' + encodeURIComponent(message));
+  }
+});
+
+module.exports = router;
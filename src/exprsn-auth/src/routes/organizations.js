@@ -9,6 +9,8 @@ const express = require('express');
 const router = express.Router();
 const organizationService = require('../services/organizationService');
 const rbacService = require('../services/rbacService');
+const domainVerificationService = require('../services/domainVerificationService');
+const orgSsoService = require('../services/orgSsoService');
 const { requireAuth } = require('../middleware/requireAuth');
 
 /**
@@ -270,4 +272,190 @@ router.post('/:id/transfer-ownership', requireAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/organizations/:id/domains
+ * List claimed email domains and their verification challenges
+ */
+router.get('/:id/domains', requireAuth, async (req, res, next) => {
+  try {
+    const isOwnerOrAdmin = await organizationService.isOwnerOrAdmin(req.params.id, req.user.id);
+
+    if (!isOwnerOrAdmin) {
+      return res.status(403).json({
+        error: 'FORBIDDEN',
+        message: 'Only owners and admins can manage domains'
+      });
+    }
+
+    const domains = await domainVerificationService.listDomains(req.params.id);
+
+    res.json({
+      success: true,
+      domains: domains.map(domainVerificationService.toSummary)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/organizations/:id/domains
+ * Claim an email domain
+ * Body: { domain, method? } - method is dns (default) or file
+ */
+router.post('/:id/domains', requireAuth, async (req, res, next) => {
+  try {
+    const isOwnerOrAdmin = await organizationService.isOwnerOrAdmin(req.params.id, req.user.id);
+
+    if (!isOwnerOrAdmin) {
+      return res.status(403).json({
+        error: 'FORBIDDEN',
+        message: 'Only owners and admins can manage domains'
+      });
+    }
+
+    const domain = await domainVerificationService.addDomain(req.params.id, req.body.domain, {
+      method: req.body.method,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      domain: domainVerificationService.toSummary(domain)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/organizations/:id/domains/:domainId/verify
+ * Check the domain's verification challenge
+ */
+router.post('/:id/domains/:domainId/verify', requireAuth, async (req, res, next) => {
+  try {
+    const isOwnerOrAdmin = await organizationService.isOwnerOrAdmin(req.params.id, req.user.id);
+
+    if (!isOwnerOrAdmin) {
+      return res.status(403).json({
+        error: 'FORBIDDEN',
+        message: 'Only owners and admins can manage domains'
+      });
+    }
+
+    const domain = await domainVerificationService.verifyDomain(req.params.id, req.params.domainId);
+
+    res.json({
+      success: domain.status === 'verified',
+      domain: domainVerificationService.toSummary(domain)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/organizations/:id/domains/:domainId
+ * Release a claimed domain
+ */
+router.delete('/:id/domains/:domainId', requireAuth, async (req, res, next) => {
+  try {
+    const isOwnerOrAdmin = await organizationService.isOwnerOrAdmin(req.params.id, req.user.id);
+
+    if (!isOwnerOrAdmin) {
+      return res.status(403).json({
+        error: 'FORBIDDEN',
+        message: 'Only owners and admins can manage domains'
+      });
+    }
+
+    await domainVerificationService.removeDomain(req.params.id, req.params.domainId);
+
+    res.json({
+      success: true,
+      message: 'Domain removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/organizations/:id/sso
+ * Get the organization's SSO settings
+ */
+router.get('/:id/sso', requireAuth, async (req, res, next) => {
+  try {
+    const isOwnerOrAdmin = await organizationService.isOwnerOrAdmin(req.params.id, req.user.id);
+
+    if (!isOwnerOrAdmin) {
+      return res.status(403).json({
+        error: 'FORBIDDEN',
+        message: 'Only owners and admins can manage SSO'
+      });
+    }
+
+    const ssoConfig = await orgSsoService.getSsoConfig(req.params.id);
+
+    res.json({
+      success: true,
+      sso: ssoConfig ? ssoConfig.toSafeObject() : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/organizations/:id/sso
+ * Configure the organization's identity provider and enforcement
+ */
+router.put('/:id/sso', requireAuth, async (req, res, next) => {
+  try {
+    const isOwnerOrAdmin = await organizationService.isOwnerOrAdmin(req.params.id, req.user.id);
+
+    if (!isOwnerOrAdmin) {
+      return res.status(403).json({
+        error: 'FORBIDDEN',
+        message: 'Only owners and admins can manage SSO'
+      });
+    }
+
+    const ssoConfig = await orgSsoService.saveSsoConfig(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      sso: ssoConfig.toSafeObject()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/organizations/:id/sso
+ * Remove the organization's SSO settings
+ */
+router.delete('/:id/sso', requireAuth, async (req, res, next) => {
+  try {
+    const isOwnerOrAdmin = await organizationService.isOwnerOrAdmin(req.params.id, req.user.id);
+
+    if (!isOwnerOrAdmin) {
+      return res.status(403).json({
+        error: 'FORBIDDEN',
+        message: 'Only owners and admins can manage SSO'
+      });
+    }
+
+    await orgSsoService.deleteSsoConfig(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'SSO configuration removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
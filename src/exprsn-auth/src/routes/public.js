@@ -12,6 +12,13 @@ const { asyncHandler, AppError, logger, validateRequired } = require('@exprsn/sh
 const { strictLimiter } = require('@exprsn/shared');
 const { User } = require('../models');
 const tokenService = require('../services/tokenService');
+const webauthnService = require('../services/webauthnService');
+const loginRiskService = require('../services/loginRiskService');
+const impersonationService = require('../services/impersonationService');
+const breachedPasswordService = require('../services/breachedPasswordService');
+const orgSsoService = require('../services/orgSsoService');
+const { forbidDuringImpersonation } = require('../middleware/impersonation');
+const oauth2Service = require('../services/oauth2Service');
 const { getEmailService } = require('../services/emailService');
 const config = require('../config');
 const axios = require('axios');
@@ -230,15 +237,58 @@ router.get('/login', redirectIfAuth, (req, res) => {
 /**
  * POST /login - Handle login form submission
  */
-router.post('/login', strictLimiter, (req, res, next) => {
-  passport.authenticate('local', (err, user, info) => {
+router.post('/login', strictLimiter, asyncHandler(async (req, res, next) => {
+  const loginRequest = loginRiskService.getLoginRequest(req, res);
+
+  // Handle redirect
+  const redirect = req.body.redirect || req.query.redirect || '/dashboard';
+
+  // Send enforced organizations, and SSO users who left the password blank, to their provider
+  const ssoRoute = await orgSsoService.getLoginRoute(req.body.email, { redirect });
+  if (ssoRoute?.loginUrl && (ssoRoute.enforced || !req.body.password)) {
+    return res.redirect(ssoRoute.loginUrl);
+  }
+
+  if (req.body.sso) {
+    return res.redirect('/login?error=' + encodeURIComponent(
+      ssoRoute ? 'Sign in with your directory password' : 'Single sign-on is not set up for this email address'
+    ));
+  }
+
+  passport.authenticate('local', async (err, user, info) => {
     if (err) {
       logger.error('Login error', { error: err.message });
       return res.redirect('/login?error=' + encodeURIComponent('An error occurred during login'));
     }
 
-    if (!user) {
-      return res.redirect('/login?error=' + encodeURIComponent(info.message || 'Invalid credentials'));
+    try {
+      if (!user) {
+        await loginRiskService.recordFailure(req.body.email, loginRequest);
+        return res.redirect('/login?error=' + encodeURIComponent(info.message || 'Invalid credentials'));
+      }
+
+      if (user.passwordResetRequired) {
+        await breachedPasswordService.requestPasswordReset(user);
+        return res.redirect('/login?error=' + encodeURIComponent(
+          'Your password has appeared in a data breach and must be reset. Check your email for a reset link.'
+        ));
+      }
+
+      const { action, event } = await loginRiskService.evaluateLogin(user, loginRequest);
+
+      if (action === loginRiskService.ACTIONS.BLOCK) {
+        return res.redirect('/login?error=' + encodeURIComponent(
+          'Sign-in blocked for your security. Contact support if this was you.'
+        ));
+      }
+
+      if (action !== loginRiskService.ACTIONS.ALLOW) {
+        loginRiskService.setPendingLogin(req, event, redirect);
+        return res.redirect('/login/verify');
+      }
+    } catch (error) {
+      logger.error('Login risk assessment error', { error: error.message });
+      return res.redirect('/login?error=' + encodeURIComponent('An error occurred during login'));
     }
 
     req.login(user, async (err) => {
@@ -249,13 +299,207 @@ router.post('/login', strictLimiter, (req, res, next) => {
 
       logger.info('User logged in via form', { userId: user.id, email: user.email });
 
-      // Handle redirect
-      const redirect = req.body.redirect || req.query.redirect || '/dashboard';
       res.redirect(redirect);
     });
   })(req, res, next);
+}));
+
+/**
+ * GET /login/verify - Show the step-up page for a challenged login
+ */
+router.get('/login/verify', redirectIfAuth, (req, res) => {
+  const pending = loginRiskService.getPendingLogin(req);
+
+  if (!pending) {
+    return res.redirect('/login?error=' + encodeURIComponent('Your sign-in has expired. Please sign in again.'));
+  }
+
+  res.render('login-verify', {
+    layout: false,
+    error: req.query.error,
+    step: pending.action
+  });
+});
+
+/**
+ * POST /login/verify - Complete a challenged login
+ */
+router.post('/login/verify', strictLimiter, asyncHandler(async (req, res) => {
+  const pending = loginRiskService.getPendingLogin(req);
+
+  if (!pending) {
+    return res.redirect('/login?error=' + encodeURIComponent('Your sign-in has expired. Please sign in again.'));
+  }
+
+  let result;
+  try {
+    result = await loginRiskService.verifyPendingLogin(req, req.body.code);
+  } catch (error) {
+    if (!error.statusCode || error.statusCode >= 500) {
+      throw error;
+    }
+
+    return res.render('login-verify', {
+      layout: false,
+      error: error.message,
+      step: pending.action
+    });
+  }
+
+  const { user, mfaMethod } = result;
+
+  await new Promise((resolve, reject) => {
+    req.login(user, err => (err ? reject(err) : resolve()));
+  });
+
+  if (mfaMethod) {
+    req.session.mfaVerified = true;
+    req.session.mfaMethod = mfaMethod;
+  }
+
+  logger.info('User logged in via form', { userId: user.id, email: user.email });
+
+  res.redirect(pending.redirect || '/dashboard');
+}));
+
+/**
+ * POST /login/verify/webauthn/options - Start a security key challenge for an MFA step-up
+ */
+router.post('/login/verify/webauthn/options', redirectIfAuth, asyncHandler(async (req, res) => {
+  res.json(await loginRiskService.startWebAuthnChallenge(req));
+}));
+
+/**
+ * POST /login/verify/webauthn - Complete an MFA step-up with a security key
+ */
+router.post('/login/verify/webauthn', strictLimiter, asyncHandler(async (req, res) => {
+  const { credential } = req.body;
+
+  if (!credential) {
+    throw new AppError('Credential required', 400, 'CREDENTIAL_REQUIRED');
+  }
+
+  const { user, pending, mfaMethod } = await loginRiskService.verifyPendingLogin(req, null, credential);
+
+  await new Promise((resolve, reject) => {
+    req.login(user, err => (err ? reject(err) : resolve()));
+  });
+
+  req.session.mfaVerified = true;
+  req.session.mfaMethod = mfaMethod;
+
+  logger.info('User logged in via form', { userId: user.id, email: user.email });
+
+  res.json({ success: true, redirect: pending.redirect || '/dashboard' });
+}));
+
+/**
+ * GET /login/confirm - Confirm a challenged login from the emailed link
+ * The link may be opened on another device; the original browser then continues
+ */
+router.get('/login/confirm', asyncHandler(async (req, res) => {
+  try {
+    await loginRiskService.confirmEmailChallenge(req.query.token);
+  } catch (error) {
+    if (error.errorCode !== 'INVALID_LOGIN_CONFIRMATION') {
+      throw error;
+    }
+
+    return res.redirect('/login?error=' + encodeURIComponent(error.message));
+  }
+
+  const pending = loginRiskService.getPendingLogin(req);
+
+  // Same browser: finish signing in straight away
+  if (pending && pending.action === loginRiskService.ACTIONS.EMAIL) {
+    const { user, mfaMethod } = await loginRiskService.verifyPendingLogin(req);
+
+    await new Promise((resolve, reject) => {
+      req.login(user, err => (err ? reject(err) : resolve()));
+    });
+
+    // Passkey logins have already used their second factor
+    if (mfaMethod) {
+      req.session.mfaVerified = true;
+      req.session.mfaMethod = mfaMethod;
+    }
+
+    logger.info('User logged in via form', { userId: user.id, email: user.email });
+
+    return res.redirect(pending.redirect || '/dashboard');
+  }
+
+  res.render('login-verify', {
+    layout: false,
+    step: 'confirmed'
+  });
+}));
+
+/**
+ * POST /login/passkey/options - Start a passwordless passkey login
+ * No allowCredentials: the authenticator offers its discoverable credentials
+ */
+router.post('/login/passkey/options', redirectIfAuth, (req, res) => {
+  const options = webauthnService.generateAuthenticationOptions([], { userVerification: 'required' });
+  webauthnService.storeChallenge(req.session, 'login', options.challenge);
+
+  res.json(options);
 });
 
+/**
+ * POST /login/passkey - Complete a passwordless passkey login
+ */
+router.post('/login/passkey', strictLimiter, asyncHandler(async (req, res) => {
+  const { credential } = req.body;
+  const loginRequest = loginRiskService.getLoginRequest(req, res);
+
+  if (!credential) {
+    throw new AppError('Credential required', 400, 'CREDENTIAL_REQUIRED');
+  }
+
+  const challenge = webauthnService.takeChallenge(req.session, 'login');
+
+  // User verification makes the passkey both factors
+  const passkey = await webauthnService.authenticateCredential(credential, challenge, {
+    requireUserVerification: true
+  });
+
+  const user = await User.findByPk(passkey.userId);
+
+  if (!user || user.status !== 'active') {
+    throw new AppError('Account is inactive or suspended', 403, 'ACCOUNT_INACTIVE');
+  }
+
+  const requested = req.body.redirect || '/dashboard';
+  const redirect = requested.startsWith('/') && !requested.startsWith('//') ? requested : '/dashboard';
+
+  // The passkey satisfies an MFA step-up, but email confirmations and blocks still apply
+  const { action, event } = await loginRiskService.evaluateLogin(user, loginRequest, { mfaMethod: 'webauthn' });
+
+  if (action === loginRiskService.ACTIONS.BLOCK) {
+    throw new AppError('Sign-in blocked for your security. Contact support if this was you.', 403, 'LOGIN_BLOCKED');
+  }
+
+  if (action !== loginRiskService.ACTIONS.ALLOW) {
+    loginRiskService.setPendingLogin(req, event, redirect, 'webauthn');
+    return res.status(202).json({ success: true, challenge: action, redirect: '/login/verify' });
+  }
+
+  await new Promise((resolve, reject) => {
+    req.login(user, err => (err ? reject(err) : resolve()));
+  });
+
+  req.session.mfaVerified = true;
+  req.session.mfaMethod = 'webauthn';
+
+  user.lastLoginAt = Date.now();
+  await user.save();
+
+  logger.info('User logged in via passkey', { userId: user.id, email: user.email });
+
+  res.json({ success: true, redirect });
+}));
+
 /**
  * GET /register - Show registration page
  */
@@ -294,12 +538,32 @@ router.post('/register', strictLimiter, asyncHandler(async (req, res) => {
     return res.redirect('/register?error=' + encodeURIComponent('Email already registered'));
   }
 
+  // Accounts in SSO-enforced domains are created by the organization's provider
+  const ssoRoute = await orgSsoService.getLoginRoute(email);
+  if (ssoRoute?.enforced) {
+    return res.redirect('/register?error=' + encodeURIComponent(
+      `${ssoRoute.organizationName} requires single sign-on. Sign in to create your account.`
+    ));
+  }
+
+  // Screen against breached passwords
+  let screening;
+  try {
+    screening = await breachedPasswordService.screenPassword(password);
+  } catch (error) {
+    if (error.errorCode !== 'BREACHED_PASSWORD') {
+      throw error;
+    }
+    return res.redirect('/register?error=' + encodeURIComponent(error.message));
+  }
+
   // Create user
   const user = await User.create({
     email,
     passwordHash: password,
     displayName,
-    emailVerificationToken: crypto.randomBytes(32).toString('hex')
+    emailVerificationToken: crypto.randomBytes(32).toString('hex'),
+    ...breachedPasswordService.screeningFields(screening)
   });
 
   logger.info('User registered via form', { userId: user.id, email: user.email });
@@ -342,16 +606,61 @@ router.get('/dashboard', requireAuth, asyncHandler(async (req, res) => {
   res.render('dashboard', {
     layout: false,
     user: req.user,
-    services
+    services,
+    message: req.query.message
   });
 }));
 
+/**
+ * GET /account/access - Who accessed my account
+ */
+router.get('/account/access', requireAuth, asyncHandler(async (req, res) => {
+  const sessions = await impersonationService.listForSubject(req.user.id);
+
+  res.render('account-access', {
+    layout: false,
+    user: req.user,
+    sessions,
+    impersonation: req.impersonation || null,
+    message: req.query.message
+  });
+}));
+
+/**
+ * POST /account/access/end - End running impersonations of my account
+ */
+router.post('/account/access/end', requireAuth, forbidDuringImpersonation, asyncHandler(async (req, res) => {
+  const count = await impersonationService.endAllForSubject(req.user.id, req.user.id);
+
+  logger.info('User ended impersonations of their account', { userId: req.user.id, count });
+
+  res.redirect('/account/access?message=' + encodeURIComponent('Access to your account has been ended'));
+}));
+
+/**
+ * POST /account/password/reset-link - Email a reset link for a breached password
+ */
+router.post('/account/password/reset-link', requireAuth, forbidDuringImpersonation, asyncHandler(async (req, res) => {
+  await breachedPasswordService.requestPasswordReset(req.user);
+
+  logger.info('Password reset link requested from dashboard', { userId: req.user.id });
+
+  res.redirect('/dashboard?message=' + encodeURIComponent(
+    'We have emailed you a link to choose a new password'
+  ));
+}));
+
 /**
  * POST /logout - Handle logout
  */
-router.post('/logout', (req, res) => {
+router.post('/logout', asyncHandler(async (req, res) => {
   const userId = req.user?.id;
 
+  // Signing out ends any impersonation along with the session
+  if (req.impersonation) {
+    await impersonationService.endImpersonation(req.impersonation.id, req.impersonation.actorId);
+  }
+
   req.logout((err) => {
     if (err) {
       logger.error('Logout error', { error: err.message, userId });
@@ -361,7 +670,7 @@ router.post('/logout', (req, res) => {
 
     res.redirect('/login?message=' + encodeURIComponent('You have been logged out successfully'));
   });
-});
+}));
 
 /**
  * GET /forgot-password - Show password reset request page
@@ -457,17 +766,89 @@ router.post('/reset-password', strictLimiter, asyncHandler(async (req, res) => {
     ));
   }
 
+  // Screen against breached passwords
+  let screening;
+  try {
+    screening = await breachedPasswordService.screenPassword(password);
+  } catch (error) {
+    if (error.errorCode !== 'BREACHED_PASSWORD') {
+      throw error;
+    }
+    return res.redirect('/reset-password?token=' + token + '&error=' + encodeURIComponent(error.message));
+  }
+
   // Update password
   user.passwordHash = password;
   user.resetPasswordToken = null;
   user.resetPasswordExpires = null;
+  Object.assign(user, breachedPasswordService.screeningFields(screening));
   await user.save();
 
   logger.info('Password reset completed via form', { userId: user.id, email: user.email });
 
   res.redirect('/login?message=' + encodeURIComponent(
-    'Password reset successful! You can now sign in with your new password.'
+    'Password reset successful! You can now sign in with your new password.' +
+    (screening.warning ? ` ${screening.warning}` : '')
   ));
 }));
 
+/**
+ * GET /device - Device flow verification page (RFC 8628 §3.3)
+ */
+router.get('/device', requireAuth, (req, res) => {
+  res.render('device', {
+    layout: false,
+    step: 'enter',
+    user: req.user,
+    userCode: req.query.user_code || ''
+  });
+});
+
+/**
+ * POST /device - Look up a user code, then approve or deny it
+ */
+router.post('/device', strictLimiter, requireAuth, forbidDuringImpersonation, asyncHandler(async (req, res) => {
+  const { user_code: userCode, action } = req.body;
+  const view = { layout: false, user: req.user, userCode: userCode || '' };
+
+  const authorization = await oauth2Service.getPendingDeviceAuthorization(userCode);
+
+  if (!authorization) {
+    return res.status(400).render('device', {
+      ...view,
+      step: 'enter',
+      error: 'That code is invalid or has expired. Check the code on your device and try again.'
+    });
+  }
+
+  if (action !== 'approve' && action !== 'deny') {
+    return res.render('device', {
+      ...view,
+      step: 'confirm',
+      userCode: oauth2Service.formatUserCode(authorization.userCode),
+      clientName: authorization.client.name,
+      scopes: authorization.scope || []
+    });
+  }
+
+  const approved = action === 'approve';
+  const decided = await oauth2Service.decideDeviceAuthorization(userCode, req.user, approved);
+
+  if (!decided) {
+    return res.status(400).render('device', {
+      ...view,
+      step: 'enter',
+      error: 'That code is invalid or has expired. Check the code on your device and try again.'
+    });
+  }
+
+  logger.info('Device authorization decided', {
+    userId: req.user.id,
+    clientId: authorization.client.clientId,
+    approved
+  });
+
+  res.render('device', { ...view, step: approved ? 'approved' : 'denied' });
+}));
+
 module.exports = router;
@@ -10,6 +10,7 @@ const passport = require('passport');
 const { asyncHandler, AppError, logger } = require('@exprsn/shared');
 const { getSamlService } = require('../services/samlService');
 const tokenService = require('../services/tokenService');
+const orgSsoService = require('../services/orgSsoService');
 const samlConfig = require('../config/saml');
 
 const router = express.Router();
@@ -101,6 +102,9 @@ router.post('/callback', asyncHandler(async (req, res, next) => {
         );
       }
 
+      // Sign-ins started for an organization must stay within its domains and membership
+      user = await orgSsoService.completeSamlLogin(req, user);
+
       // Log user in
       req.login(user, async (err) => {
         if (err) {
@@ -271,7 +275,11 @@ router.get('/status', asyncHandler(async (req, res) => {
   const status = {
     enabled: samlConfig.enabled,
     configured: false,
-    providers: []
+    providers: [],
+    identityProvider: {
+      enabled: samlConfig.provider.enabled,
+      metadataUrl: samlConfig.provider.enabled ? `${samlConfig.provider.baseUrl}/metadata` : null
+    }
   };
 
   if (samlConfig.enabled) {
@@ -0,0 +1,308 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SAML Identity Provider Routes
+ * SAML 2.0 IdP endpoints: metadata, SP- and IdP-initiated SSO
+ * and Single Logout for registered service providers
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const express = require('express');
+const { asyncHandler, AppError, logger } = require('@exprsn/shared');
+const samlIdpService = require('../services/samlIdpService');
+const { Application } = require('../models');
+const samlConfig = require('../config/saml');
+
+const router = express.Router();
+
+const { BINDINGS, STATUS } = samlIdpService;
+
+// All IdP endpoints require IdP mode
+router.use((req, res, next) => {
+  if (!samlConfig.provider.enabled) {
+    return next(new AppError('SAML identity provider is not enabled', 503, 'SAML_IDP_DISABLED'));
+  }
+  next();
+});
+
+/**
+ * Helper: Protocol message parameters of a Redirect (GET) or POST binding request
+ */
+function getBindingRequest(req, endpoint) {
+  const isRedirect = req.method === 'GET';
+  const queryStart = req.originalUrl.indexOf('?');
+
+  return {
+    params: isRedirect ? req.query : req.body,
+    binding: isRedirect ? BINDINGS.REDIRECT : BINDINGS.POST,
+    rawQuery: queryStart === -1 ? '' : req.originalUrl.slice(queryStart + 1),
+    endpoint
+  };
+}
+
+/**
+ * Helper: Browser session details recorded with the IdP session
+ */
+function getSessionContext(req) {
+  return {
+    sessionId: req.sessionID,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    expiresAt: new Date(Date.now() + (req.session.cookie.maxAge || samlConfig.provider.sessionLifetime * 1000))
+  };
+}
+
+/**
+ * Helper: Deliver a message with the HTTP-POST binding (auto-submitting form)
+ */
+function sendPostBinding(res, url, field, message, relayState) {
+  // Allow this page alone to post to the service provider
+  res.set('Content-Security-Policy',
+    `default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; form-action ${new URL(url).origin}`);
+  res.set('Cache-Control', 'no-store');
+
+  res.render('saml-post', {
+    layout: false,
+    url,
+    field,
+    message,
+    relayState
+  });
+}
+
+function logOut(req) {
+  return new Promise((resolve, reject) => {
+    req.logout((err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Helper: Issue an assertion to a service provider for the signed-in user
+ */
+async function completeSso(req, res, application, pending) {
+  const { acsUrl } = application.samlServiceProvider;
+
+  if (!await samlIdpService.canUserAccess(req.user, application)) {
+    logger.warn('SAML SSO denied', { userId: req.user.id, applicationId: application.id });
+
+    const response = samlIdpService.createErrorResponse(application, {
+      inResponseTo: pending.requestId,
+      status: STATUS.REQUEST_DENIED
+    });
+    return sendPostBinding(res, acsUrl, 'SAMLResponse', response, pending.relayState);
+  }
+
+  const response = await samlIdpService.createSsoResponse(req.user, application, getSessionContext(req), {
+    inResponseTo: pending.requestId,
+    nameIdFormat: pending.nameIdFormat
+  });
+
+  logger.info('SAML assertion issued', {
+    userId: req.user.id,
+    applicationId: application.id,
+    entityId: application.samlEntityId,
+    initiatedBy: pending.requestId ? 'sp' : 'idp'
+  });
+
+  sendPostBinding(res, acsUrl, 'SAMLResponse', response, pending.relayState);
+}
+
+/**
+ * Helper: Send the next LogoutRequest of a logout, or finish it
+ */
+async function continueLogout(req, res) {
+  const state = req.session.samlLogout;
+
+  while (state.pending.length > 0) {
+    const participant = state.pending.shift();
+    const request = await samlIdpService.createLogoutRequest(participant);
+
+    if (request) {
+      state.current = { requestId: request.id, applicationId: participant.applicationId };
+      return res.redirect(request.url);
+    }
+
+    // Service providers without a logout endpoint keep their sessions
+    state.partial = true;
+  }
+
+  delete req.session.samlLogout;
+
+  const status = state.partial ? STATUS.PARTIAL_LOGOUT : STATUS.SUCCESS;
+  const url = state.origin && await samlIdpService.createLogoutResponse(state.origin, status);
+
+  logger.info('SAML single logout completed', {
+    origin: state.origin?.applicationId || 'idp',
+    partial: state.partial
+  });
+
+  if (url) {
+    return res.redirect(url);
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  res.redirect(`${frontendUrl}/logout?status=${state.partial ? 'partial' : 'success'}`);
+}
+
+/**
+ * Helper: End the IdP sessions of a logout and start propagating it
+ */
+async function startLogout(req, res, message) {
+  const participants = await samlIdpService.endSessions(message, {
+    sessionId: req.sessionID,
+    sessionStore: req.sessionStore
+  });
+
+  if (req.user) {
+    await logOut(req);
+  }
+
+  req.session.samlLogout = {
+    pending: participants,
+    current: null,
+    partial: false,
+    origin: message && {
+      applicationId: message.application.id,
+      requestId: message.id,
+      relayState: message.relayState
+    }
+  };
+
+  await continueLogout(req, res);
+}
+
+/**
+ * GET /api/saml/idp/metadata
+ * Get SAML metadata XML for the Identity Provider
+ */
+router.get('/metadata', (req, res) => {
+  res.type('application/xml');
+  res.send(samlIdpService.generateMetadata());
+});
+
+/**
+ * GET|POST /api/saml/idp/sso
+ * Single Sign-On Service (SP-initiated, HTTP-Redirect and HTTP-POST bindings)
+ */
+const handleAuthnRequest = asyncHandler(async (req, res) => {
+  const message = await samlIdpService.receiveMessage(getBindingRequest(req, 'sso'));
+  const { application } = message;
+
+  const pending = {
+    applicationId: application.id,
+    requestId: message.id,
+    nameIdFormat: message.nameIdFormat,
+    relayState: message.relayState
+  };
+
+  if (!req.user) {
+    if (message.isPassive) {
+      const response = samlIdpService.createErrorResponse(application, {
+        inResponseTo: message.id,
+        status: STATUS.NO_PASSIVE
+      });
+      return sendPostBinding(res, application.samlServiceProvider.acsUrl, 'SAMLResponse', response, message.relayState);
+    }
+
+    const state = samlIdpService.createResumeState(pending);
+    const resumeUrl = `${req.baseUrl}/sso/resume?state=${encodeURIComponent(state)}`;
+    return res.redirect(`/login?redirect=${encodeURIComponent(resumeUrl)}`);
+  }
+
+  await completeSso(req, res, application, pending);
+});
+
+router.get('/sso', handleAuthnRequest);
+router.post('/sso', handleAuthnRequest);
+
+/**
+ * GET /api/saml/idp/sso/resume
+ * Complete an SP-initiated login after the user signed in
+ */
+router.get('/sso/resume', asyncHandler(async (req, res) => {
+  const pending = samlIdpService.readResumeState(req.query.state);
+
+  if (!pending) {
+    throw new AppError('SAML login request is invalid or has expired', 400, 'SAML_INVALID_STATE');
+  }
+
+  if (!req.user) {
+    return res.redirect(`/login?redirect=${encodeURIComponent(req.originalUrl)}`);
+  }
+
+  const application = await Application.findOne({
+    where: { id: pending.applicationId, status: 'active' }
+  });
+
+  if (!application?.samlEntityId) {
+    throw new AppError('Unknown SAML service provider', 400, 'SAML_UNKNOWN_SERVICE_PROVIDER');
+  }
+
+  await completeSso(req, res, application, pending);
+}));
+
+/**
+ * GET /api/saml/idp/init/:applicationId
+ * IdP-initiated Single Sign-On to a registered service provider
+ */
+router.get('/init/:applicationId', asyncHandler(async (req, res) => {
+  if (!req.user) {
+    return res.redirect(`/login?redirect=${encodeURIComponent(req.originalUrl)}`);
+  }
+
+  const application = await Application.findOne({
+    where: { id: req.params.applicationId, status: 'active' }
+  });
+
+  if (!application?.samlEntityId) {
+    throw new AppError('Application is not a SAML service provider', 404, 'SAML_SERVICE_PROVIDER_NOT_FOUND');
+  }
+
+  await completeSso(req, res, application, {
+    relayState: req.query.RelayState || application.samlServiceProvider.defaultRelayState
+  });
+}));
+
+/**
+ * GET|POST /api/saml/idp/slo
+ * Single Logout Service: LogoutRequests from service providers and
+ * LogoutResponses to the requests this IdP propagated
+ */
+const handleLogoutMessage = asyncHandler(async (req, res) => {
+  const message = await samlIdpService.receiveMessage(getBindingRequest(req, 'slo'));
+
+  if (message.type === 'LogoutRequest') {
+    logger.info('SAML logout requested by service provider', {
+      applicationId: message.application.id,
+      verified: message.verified
+    });
+
+    return startLogout(req, res, message);
+  }
+
+  const state = req.session.samlLogout;
+
+  if (!state?.current || state.current.requestId !== message.inResponseTo ||
+      state.current.applicationId !== message.application.id) {
+    throw new AppError('Unexpected SAML logout response', 400, 'SAML_UNEXPECTED_LOGOUT_RESPONSE');
+  }
+
+  if (message.status !== STATUS.SUCCESS) {
+    state.partial = true;
+  }
+
+  state.current = null;
+  await continueLogout(req, res);
+});
+
+router.get('/slo', handleLogoutMessage);
+router.post('/slo', handleLogoutMessage);
+
+/**
+ * GET /api/saml/idp/logout
+ * IdP-initiated Single Logout of the current session
+ */
+router.get('/logout', asyncHandler(async (req, res) => {
+  await startLogout(req, res, null);
+}));
+
+module.exports = router;
@@ -0,0 +1,214 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SCIM 2.0 Routes
+ * User and group provisioning for identity providers
+ * (RFC 7644), scoped to the organization of the calling
+ * application's bearer token
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const express = require('express');
+const { asyncHandler, logger } = require('@exprsn/shared');
+const { requireScimToken } = require('../middleware/scimAuth');
+const scimService = require('../services/scimService');
+const config = require('../config');
+
+const router = express.Router();
+
+// IdPs send application/scim+json, which the app-wide JSON parser skips
+router.use(express.json({
+  type: ['application/scim+json', 'application/json'],
+  limit: config.scim.bulkMaxPayloadSize
+}));
+
+/**
+ * Send a SCIM response body
+ */
+function send(res, status, body) {
+  res.status(status).type('application/scim+json').send(JSON.stringify(body));
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Discovery (RFC 7644 §4)
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/**
+ * GET /scim/v2/ServiceProviderConfig
+ */
+router.get('/ServiceProviderConfig', (req, res) => {
+  send(res, 200, scimService.getServiceProviderConfig());
+});
+
+/**
+ * GET /scim/v2/Schemas
+ */
+router.get('/Schemas', (req, res) => {
+  const schemas = scimService.getSchemas();
+  send(res, 200, scimService.listResponse(schemas));
+});
+
+/**
+ * GET /scim/v2/Schemas/:id
+ */
+router.get('/Schemas/:id', (req, res) => {
+  const schema = scimService.getSchemas().find(item => item.id === req.params.id);
+
+  if (!schema) {
+    throw scimService.scimError(404, `Schema ${req.params.id} not found`);
+  }
+
+  send(res, 200, schema);
+});
+
+/**
+ * GET /scim/v2/ResourceTypes
+ */
+router.get('/ResourceTypes', (req, res) => {
+  send(res, 200, scimService.listResponse(scimService.getResourceTypes()));
+});
+
+/**
+ * GET /scim/v2/ResourceTypes/:id
+ */
+router.get('/ResourceTypes/:id', (req, res) => {
+  const type = scimService.getResourceTypes().find(item => item.id === req.params.id);
+
+  if (!type) {
+    throw scimService.scimError(404, `Resource type ${req.params.id} not found`);
+  }
+
+  send(res, 200, type);
+});
+
+// Everything below requires an application-issued SCIM token
+router.use(requireScimToken);
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Resources
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const RESOURCES = {
+  Users: {
+    list: scimService.listUsers,
+    get: scimService.getUser,
+    create: scimService.createUser,
+    replace: scimService.replaceUser,
+    patch: scimService.patchUser,
+    remove: scimService.deleteUser
+  },
+  Groups: {
+    list: scimService.listGroups,
+    get: scimService.getGroup,
+    create: scimService.createGroup,
+    replace: scimService.replaceGroup,
+    patch: scimService.patchGroup,
+    remove: scimService.deleteGroup
+  }
+};
+
+for (const [endpoint, handlers] of Object.entries(RESOURCES)) {
+  /**
+   * GET /scim/v2/{Users,Groups}
+   * Query: filter, sortBy, sortOrder, startIndex, count, attributes, excludedAttributes
+   */
+  router.get(`/${endpoint}`, asyncHandler(async (req, res) => {
+    send(res, 200, await handlers.list(req.scim.organizationId, req.query));
+  }));
+
+  /**
+   * POST /scim/v2/{Users,Groups}/.search
+   * Same as the list query, with parameters in a SearchRequest body
+   */
+  router.post(`/${endpoint}/.search`, asyncHandler(async (req, res) => {
+    send(res, 200, await handlers.list(req.scim.organizationId, req.body || {}));
+  }));
+
+  /**
+   * GET /scim/v2/{Users,Groups}/:id
+   */
+  router.get(`/${endpoint}/:id`, asyncHandler(async (req, res) => {
+    const resource = await handlers.get(req.scim.organizationId, req.params.id);
+    send(res, 200, scimService.project(resource, req.query.attributes, req.query.excludedAttributes));
+  }));
+
+  /**
+   * POST /scim/v2/{Users,Groups}
+   */
+  router.post(`/${endpoint}`, asyncHandler(async (req, res) => {
+    const resource = await handlers.create(req.scim.organizationId, req.body, {
+      applicationId: req.scim.applicationId
+    });
+
+    res.location(resource.meta.location);
+    send(res, 201, resource);
+  }));
+
+  /**
+   * PUT /scim/v2/{Users,Groups}/:id
+   */
+  router.put(`/${endpoint}/:id`, asyncHandler(async (req, res) => {
+    send(res, 200, await handlers.replace(req.scim.organizationId, req.params.id, req.body));
+  }));
+
+  /**
+   * PATCH /scim/v2/{Users,Groups}/:id
+   */
+  router.patch(`/${endpoint}/:id`, asyncHandler(async (req, res) => {
+    send(res, 200, await handlers.patch(req.scim.organizationId, req.params.id, req.body));
+  }));
+
+  /**
+   * DELETE /scim/v2/{Users,Groups}/:id
+   */
+  router.delete(`/${endpoint}/:id`, asyncHandler(async (req, res) => {
+    await handlers.remove(req.scim.organizationId, req.params.id);
+    res.status(204).end();
+  }));
+}
+
+/**
+ * POST /scim/v2/Bulk
+ */
+router.post('/Bulk', asyncHandler(async (req, res) => {
+  const length = parseInt(req.headers['content-length']);
+
+  if (length > config.scim.bulkMaxPayloadSize) {
+    throw scimService.scimError(413, `Bulk payload exceeds ${config.scim.bulkMaxPayloadSize} bytes`);
+  }
+
+  const result = await scimService.processBulk(req.scim.organizationId, req.body, {
+    applicationId: req.scim.applicationId
+  });
+
+  send(res, 200, result);
+}));
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Errors (RFC 7644 §3.12)
+ * ═══════════════════════════════════════════════════════════
+ */
+
+router.use((req, res, next) => {
+  next(scimService.scimError(404, `No SCIM endpoint at ${req.method} ${req.path}`));
+});
+
+router.use((err, req, res, next) => {
+  const body = scimService.toScimError(err);
+
+  if (body.status === '500') {
+    logger.error('SCIM request failed', { path: req.path, error: err.message, stack: err.stack });
+  }
+
+  if (body.status === '401') {
+    res.set('WWW-Authenticate', 'Bearer realm="SCIM"');
+  }
+
+  send(res, parseInt(body.status), body);
+});
+
+module.exports = router;
@@ -0,0 +1,585 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Access Policy Service
+ * Attribute-based conditions on RBAC permissions: subject,
+ * resource and environment conditions that grant or deny a
+ * permission, with an evaluation trace for explanations
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { Op } = require('sequelize');
+const { AccessPolicy, Role, User, Group, OrganizationMember } = require('../models');
+const { AppError } = require('@exprsn/shared');
+const redisClient = require('../utils/redis');
+const { normalizeIp, parseCidr, ipInCidr } = require('../utils/ipRange');
+
+const EFFECTS = ['allow', 'deny'];
+
+const STATUSES = ['active', 'inactive'];
+
+const ATTRIBUTE_ROOTS = ['subject', 'resource', 'environment'];
+
+// Authentication strength of the current session
+const MFA_LEVELS = {
+  SINGLE_FACTOR: 1,
+  MULTI_FACTOR: 2,
+  PHISHING_RESISTANT: 3
+};
+
+const OPERATORS = [
+  'equals', 'notEquals',
+  'in', 'notIn',
+  'contains', 'notContains',
+  'gt', 'gte', 'lt', 'lte',
+  'exists', 'notExists',
+  'ipInCidr', 'ipNotInCidr',
+  'withinTimeWindow', 'outsideTimeWindow'
+];
+
+const MAX_CONDITIONS = 20;
+const POLICY_CACHE_TTL = 300;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Helper: Minutes since midnight of an 'HH:MM' clock time
+ */
+function parseClock(value) {
+  const match = typeof value === 'string' && /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Helper: Whether a time falls inside a recurring window
+ * { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5], timezone: 'Europe/Berlin' }
+ * Windows that end before they start span midnight; days name the day the window opens
+ */
+function inTimeWindow(time, window) {
+  const date = new Date(time);
+
+  if (Number.isNaN(date.getTime())) {
+    return false;
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: window.timezone || 'UTC',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = type => parts.find(p => p.type === type).value;
+  const day = WEEKDAYS.indexOf(part('weekday'));
+  const minutes = Number(part('hour')) * 60 + Number(part('minute'));
+
+  const start = parseClock(window.start);
+  const end = parseClock(window.end);
+  const days = window.days && window.days.length > 0 ? window.days : [0, 1, 2, 3, 4, 5, 6];
+
+  if (start <= end) {
+    return days.includes(day) && minutes >= start && minutes < end;
+  }
+
+  // Overnight window: the evening belongs to today, the early hours to yesterday's window
+  if (minutes >= start) {
+    return days.includes(day);
+  }
+
+  return minutes < end && days.includes((day + 6) % 7);
+}
+
+/**
+ * Helper: Read a dotted attribute path ('resource.owner.id')
+ */
+function resolveAttribute(attributes, path) {
+  let value = attributes;
+
+  for (const key of path.split('.')) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+
+  return value;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+/**
+ * Helper: Numeric or date value for ordering comparisons
+ */
+function toComparable(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+
+  if (typeof value === 'string' && value.trim() !== '') {
+    if (!Number.isNaN(Number(value))) {
+      return Number(value);
+    }
+
+    const timestamp = Date.parse(value);
+    return Number.isNaN(timestamp) ? null : timestamp;
+  }
+
+  return null;
+}
+
+function compare(actual, expected, test) {
+  const a = toComparable(actual);
+  const b = toComparable(expected);
+  return a !== null && b !== null && test(a, b);
+}
+
+function includesAny(actual, expected) {
+  const values = Array.isArray(actual) ? actual : [actual];
+  return values.some(value => expected.includes(value));
+}
+
+function includesValue(actual, expected) {
+  if (Array.isArray(actual)) {
+    return actual.includes(expected);
+  }
+
+  return typeof actual === 'string' && typeof expected === 'string' && actual.includes(expected);
+}
+
+const OPERATOR_TESTS = {
+  equals: (actual, expected) => actual === expected,
+  notEquals: (actual, expected) => actual !== expected,
+  in: (actual, expected) => includesAny(actual, expected),
+  notIn: (actual, expected) => !includesAny(actual, expected),
+  contains: (actual, expected) => includesValue(actual, expected),
+  notContains: (actual, expected) => !includesValue(actual, expected),
+  gt: (actual, expected) => compare(actual, expected, (a, b) => a > b),
+  gte: (actual, expected) => compare(actual, expected, (a, b) => a >= b),
+  lt: (actual, expected) => compare(actual, expected, (a, b) => a < b),
+  lte: (actual, expected) => compare(actual, expected, (a, b) => a <= b),
+  ipInCidr: (actual, expected) => ipInCidr(actual, expected),
+  ipNotInCidr: (actual, expected) => !ipInCidr(actual, expected),
+  withinTimeWindow: (actual, expected) => inTimeWindow(actual, expected),
+  outsideTimeWindow: (actual, expected) => !inTimeWindow(actual, expected)
+};
+
+/**
+ * Evaluate one condition against the request attributes
+ * A missing attribute makes the condition indeterminate rather than false
+ */
+function evaluateCondition(condition, attributes) {
+  const { attribute, operator, valueFrom } = condition;
+  const actual = resolveAttribute(attributes, attribute);
+  const expected = valueFrom ? resolveAttribute(attributes, valueFrom) : condition.value;
+
+  const trace = {
+    attribute,
+    operator,
+    expected: valueFrom ? { valueFrom, value: expected } : expected,
+    actual
+  };
+
+  if (operator === 'exists' || operator === 'notExists') {
+    return { ...trace, result: (operator === 'exists') !== isMissing(actual) };
+  }
+
+  if (isMissing(actual) || isMissing(expected)) {
+    return { ...trace, result: 'indeterminate' };
+  }
+
+  return { ...trace, result: OPERATOR_TESTS[operator](actual, expected) };
+}
+
+/**
+ * Evaluate policies that apply to a permission
+ * Deny overrides allow; an indeterminate deny still denies, an indeterminate allow does not grant
+ * @param {object[]} policies - Active policies whose permission patterns match, in any order
+ * @param {object} attributes - { subject, resource, environment }
+ * @param {string[]} roleIds - Roles the subject holds for the request scope
+ * @returns {{ decision: 'allow'|'deny'|null, policy: object|null, trace: object[] }}
+ */
+function evaluatePolicies(policies, attributes, roleIds = []) {
+  const ordered = [...policies].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  const trace = [];
+  let denyPolicy = null;
+  let allowPolicy = null;
+
+  for (const policy of ordered) {
+    const entry = {
+      id: policy.id,
+      name: policy.name,
+      effect: policy.effect,
+      priority: policy.priority || 0
+    };
+
+    const targetRoles = policy.roleIds || [];
+    if (targetRoles.length > 0 && !targetRoles.some(id => roleIds.includes(id))) {
+      trace.push({ ...entry, outcome: 'not_applicable', reason: 'Subject holds none of the policy roles', conditions: [] });
+      continue;
+    }
+
+    const conditions = (policy.conditions || []).map(condition => evaluateCondition(condition, attributes));
+
+    let outcome = 'match';
+    if (conditions.some(c => c.result === false)) {
+      outcome = 'no_match';
+    } else if (conditions.some(c => c.result === 'indeterminate')) {
+      outcome = 'indeterminate';
+    }
+
+    trace.push({ ...entry, outcome, conditions });
+
+    if (policy.effect === 'deny' && outcome !== 'no_match' && !denyPolicy) {
+      denyPolicy = policy;
+    }
+
+    if (policy.effect === 'allow' && outcome === 'match' && !allowPolicy) {
+      allowPolicy = policy;
+    }
+  }
+
+  if (denyPolicy) {
+    return { decision: 'deny', policy: denyPolicy, trace };
+  }
+
+  if (allowPolicy) {
+    return { decision: 'allow', policy: allowPolicy, trace };
+  }
+
+  return { decision: null, policy: null, trace };
+}
+
+/**
+ * Build the subject, resource and environment attributes of a permission check
+ * @param {string} userId
+ * @param {object} options - { organizationId, roles: [{ id, slug }], context: { subject, resource, environment } }
+ */
+async function buildAttributes(userId, options = {}) {
+  const { organizationId, roles = [], context = {} } = options;
+
+  const [user, memberships] = await Promise.all([
+    User.findByPk(userId, {
+      include: [{ model: Group, as: 'groups' }]
+    }),
+    OrganizationMember.findAll({
+      where: { userId, status: 'active' }
+    })
+  ]);
+
+  const metadata = (user && user.metadata) || {};
+  const membership = organizationId && memberships.find(m => m.organizationId === organizationId);
+
+  const subject = {
+    email: user ? user.email : null,
+    status: user ? user.status : null,
+    emailVerified: user ? user.emailVerified : false,
+    mfaEnabled: user ? user.mfaEnabled : false,
+    department: metadata.department,
+    metadata,
+    organizationIds: memberships.map(m => m.organizationId),
+    organizationRole: membership ? membership.role : null,
+    isOrganizationMember: Boolean(membership),
+    roles: roles.map(role => role.slug),
+    groups: user ? (user.groups || []).map(group => group.slug) : [],
+    ...context.subject,
+    id: userId
+  };
+
+  const environment = {
+    time: new Date().toISOString(),
+    ...context.environment
+  };
+
+  if (environment.ipAddress !== undefined) {
+    environment.ipAddress = normalizeIp(environment.ipAddress);
+  }
+
+  return {
+    subject,
+    resource: { ...context.resource },
+    environment
+  };
+}
+
+/**
+ * Active policies for an organization (including global policies)
+ */
+async function getActivePolicies(organizationId) {
+  const cacheKey = `access-policies:${organizationId || 'global'}`;
+  const cached = await redisClient.get(cacheKey);
+
+  if (cached) {
+    return cached;
+  }
+
+  const policies = await AccessPolicy.findAll({
+    where: {
+      status: 'active',
+      organizationId: organizationId ? { [Op.or]: [null, organizationId] } : null
+    }
+  });
+
+  const plain = policies.map(policy => ({
+    id: policy.id,
+    organizationId: policy.organizationId,
+    name: policy.name,
+    effect: policy.effect,
+    permissions: policy.permissions,
+    roleIds: policy.roleIds,
+    conditions: policy.conditions,
+    priority: policy.priority
+  }));
+
+  await redisClient.set(cacheKey, plain, POLICY_CACHE_TTL);
+  return plain;
+}
+
+/**
+ * Helper: Validate one condition
+ */
+function validateCondition(condition, index) {
+  const invalid = message => new AppError(`conditions[${index}]: ${message}`, 400, 'INVALID_ACCESS_POLICY');
+  const isAttributePath = path => typeof path === 'string' &&
+    /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)+$/.test(path) &&
+    ATTRIBUTE_ROOTS.includes(path.split('.')[0]) &&
+    !path.split('.').some(key => ['__proto__', 'prototype', 'constructor'].includes(key));
+
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    throw invalid('must be an object');
+  }
+
+  const { attribute, operator, value, valueFrom } = condition;
+
+  if (!isAttributePath(attribute)) {
+    throw invalid(`attribute must be a path under ${ATTRIBUTE_ROOTS.join(', ')}`);
+  }
+
+  if (!OPERATORS.includes(operator)) {
+    throw invalid(`operator must be one of ${OPERATORS.join(', ')}`);
+  }
+
+  if (operator === 'exists' || operator === 'notExists') {
+    return { attribute, operator };
+  }
+
+  if (valueFrom !== undefined) {
+    if (value !== undefined) {
+      throw invalid('set either value or valueFrom');
+    }
+    if (!isAttributePath(valueFrom)) {
+      throw invalid(`valueFrom must be a path under ${ATTRIBUTE_ROOTS.join(', ')}`);
+    }
+    return { attribute, operator, valueFrom };
+  }
+
+  if (value === undefined || value === null) {
+    throw invalid('value is required');
+  }
+
+  if ((operator === 'in' || operator === 'notIn') && !Array.isArray(value)) {
+    throw invalid(`${operator} requires an array value`);
+  }
+
+  if (['gt', 'gte', 'lt', 'lte'].includes(operator) && toComparable(value) === null) {
+    throw invalid(`${operator} requires a number or date value`);
+  }
+
+  if (operator === 'ipInCidr' || operator === 'ipNotInCidr') {
+    const blocks = [].concat(value);
+    if (blocks.length === 0 || blocks.some(block => !parseCidr(block))) {
+      throw invalid(`${operator} requires CIDR blocks such as 10.0.0.0/8`);
+    }
+  }
+
+  if (operator === 'withinTimeWindow' || operator === 'outsideTimeWindow') {
+    if (typeof value !== 'object' || parseClock(value.start) === null || parseClock(value.end) === null) {
+      throw invalid(`${operator} requires { start: 'HH:MM', end: 'HH:MM' }`);
+    }
+    if (value.days !== undefined && (!Array.isArray(value.days) ||
+        value.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      throw invalid('days must list weekdays from 0 (Sunday) to 6 (Saturday)');
+    }
+    if (value.timezone !== undefined && !isValidTimezone(value.timezone)) {
+      throw invalid(`unknown timezone ${value.timezone}`);
+    }
+  }
+
+  return { attribute, operator, value };
+}
+
+/**
+ * Validate and normalize policy input
+ * @param {object} input
+ * @param {object} options - { partial: true } for updates
+ */
+function validatePolicy(input = {}, options = {}) {
+  const { partial = false } = options;
+  const invalid = message => new AppError(message, 400, 'INVALID_ACCESS_POLICY');
+  const has = key => input[key] !== undefined;
+  const policy = {};
+
+  if (!partial || has('name')) {
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 255) {
+      throw invalid('name is required');
+    }
+    policy.name = input.name.trim();
+  }
+
+  if (has('description')) {
+    if (input.description !== null && typeof input.description !== 'string') {
+      throw invalid('description must be a string');
+    }
+    policy.description = input.description;
+  }
+
+  if (!partial || has('effect')) {
+    const effect = input.effect || 'allow';
+    if (!EFFECTS.includes(effect)) {
+      throw invalid(`effect must be one of ${EFFECTS.join(', ')}`);
+    }
+    policy.effect = effect;
+  }
+
+  if (!partial || has('permissions')) {
+    const { permissions } = input;
+    if (!Array.isArray(permissions) || permissions.length === 0 ||
+        permissions.some(p => typeof p !== 'string' || !p.trim())) {
+      throw invalid('permissions must be a non-empty array of permission patterns');
+    }
+    policy.permissions = permissions.map(p => p.trim());
+  }
+
+  if (!partial || has('roleIds')) {
+    const roleIds = input.roleIds || [];
+    if (!Array.isArray(roleIds) || roleIds.some(id => typeof id !== 'string')) {
+      throw invalid('roleIds must be an array of role IDs');
+    }
+    policy.roleIds = [...new Set(roleIds)];
+  }
+
+  if (!partial || has('conditions')) {
+    const conditions = input.conditions || [];
+    if (!Array.isArray(conditions) || conditions.length > MAX_CONDITIONS) {
+      throw invalid(`conditions must be an array of at most ${MAX_CONDITIONS} conditions`);
+    }
+    policy.conditions = conditions.map(validateCondition);
+  }
+
+  if (has('priority')) {
+    if (!Number.isInteger(input.priority)) {
+      throw invalid('priority must be an integer');
+    }
+    policy.priority = input.priority;
+  }
+
+  if (has('status')) {
+    if (!STATUSES.includes(input.status)) {
+      throw invalid(`status must be one of ${STATUSES.join(', ')}`);
+    }
+    policy.status = input.status;
+  }
+
+  return policy;
+}
+
+/**
+ * Helper: Targeted roles must be system roles or belong to the policy's organization
+ */
+async function assertRolesInScope(roleIds, organizationId) {
+  if (roleIds.length === 0) {
+    return;
+  }
+
+  const roles = await Role.findAll({
+    where: {
+      id: roleIds,
+      organizationId: { [Op.or]: [null, organizationId] }
+    }
+  });
+
+  if (roles.length !== roleIds.length) {
+    throw new AppError('roleIds contains unknown roles', 400, 'INVALID_ACCESS_POLICY');
+  }
+}
+
+async function invalidatePolicyCache() {
+  await redisClient.delPattern('access-policies:*');
+}
+
+/**
+ * List an organization's policies
+ */
+async function listPolicies(organizationId) {
+  return AccessPolicy.findAll({
+    where: { organizationId },
+    order: [['priority', 'DESC'], ['createdAt', 'ASC']]
+  });
+}
+
+/**
+ * Create a policy for an organization
+ */
+async function createPolicy(organizationId, input, createdBy) {
+  const fields = validatePolicy(input);
+  await assertRolesInScope(fields.roleIds, organizationId);
+
+  const policy = await AccessPolicy.create({
+    ...fields,
+    organizationId,
+    createdBy
+  });
+
+  await invalidatePolicyCache();
+  return policy;
+}
+
+/**
+ * Update a policy
+ */
+async function updatePolicy(policy, input) {
+  const fields = validatePolicy(input, { partial: true });
+
+  if (fields.roleIds) {
+    await assertRolesInScope(fields.roleIds, policy.organizationId);
+  }
+
+  await policy.update(fields);
+  await invalidatePolicyCache();
+  return policy;
+}
+
+/**
+ * Delete a policy
+ */
+async function deletePolicy(policy) {
+  await policy.destroy();
+  await invalidatePolicyCache();
+}
+
+module.exports = {
+  MFA_LEVELS,
+  OPERATORS,
+  evaluateCondition,
+  evaluatePolicies,
+  buildAttributes,
+  getActivePolicies,
+  validatePolicy,
+  listPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+};
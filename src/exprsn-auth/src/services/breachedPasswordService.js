@@ -0,0 +1,494 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Breached Password Service
+ * Screens passwords against a locally imported corpus of SHA-1
+ * hash ranges, re-screens them on login and forces resets when
+ * a new import contains a user's current password
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { AppError, logger } = require('@exprsn/shared');
+const { User } = require('../models');
+const { getEmailService } = require('./emailService');
+const config = require('../config');
+const {
+  sha1Hex,
+  splitHash,
+  isPrefix,
+  parseRange,
+  formatRange,
+  fingerprint,
+  passwordFields
+} = require('../utils/passwordRange');
+
+const INDEX_FILE = 'index.json';
+const IMPORT_BATCH_SIZE = 100000; // Hashes buffered before range files are merged
+const MATCH_BATCH_SIZE = 500; // Fingerprints looked up per query
+const MAX_IMPORT_HISTORY = 50;
+const RESET_TOKEN_LIFETIME = 3600000; // 1 hour
+
+const BREACHED_MESSAGE = 'This password has appeared in a data breach. Choose a different password.';
+const BREACHED_WARNING = 'Your password has appeared in a data breach. Change it as soon as possible.';
+
+let corpusCache = { file: null, mtimeMs: null, info: null };
+
+function rangePath(prefix) {
+  return path.join(config.breachedPasswords.dataDir, `${prefix.toUpperCase()}.txt`);
+}
+
+/**
+ * Helper: Read a range file; missing ranges are empty
+ */
+async function readRange(prefix) {
+  try {
+    return parseRange(await fs.promises.readFile(rangePath(prefix), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return new Map();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Helper: Replace a range file without exposing a half-written one to lookups
+ */
+async function writeRange(prefix, entries) {
+  const file = rangePath(prefix);
+  const tmpFile = `${file}.${process.pid}.tmp`;
+
+  await fs.promises.writeFile(tmpFile, formatRange(entries));
+  await fs.promises.rename(tmpFile, file);
+}
+
+/**
+ * The imported corpus: when it last changed and its import history
+ * @returns {Promise<{ updatedAt: number|null, imports: object[] }>}
+ */
+async function getCorpusInfo() {
+  const file = path.join(config.breachedPasswords.dataDir, INDEX_FILE);
+
+  try {
+    const { mtimeMs } = await fs.promises.stat(file);
+
+    if (corpusCache.file !== file || corpusCache.mtimeMs !== mtimeMs) {
+      corpusCache = { file, mtimeMs, info: JSON.parse(await fs.promises.readFile(file, 'utf8')) };
+    }
+
+    return corpusCache.info;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Failed to read breached password index', { error: error.message });
+    }
+
+    return { updatedAt: null, imports: [] };
+  }
+}
+
+/**
+ * How many times a SHA-1 hash appears in the corpus
+ * @param {string} hash
+ * @returns {Promise<number>} 0 when it does not
+ */
+async function lookupHash(hash) {
+  const parts = splitHash(hash);
+
+  if (!parts) {
+    return 0;
+  }
+
+  const entries = await readRange(parts.prefix);
+  return entries.get(parts.suffix) || 0;
+}
+
+/**
+ * Check a password against the corpus
+ * @param {string} password
+ * @returns {Promise<{ breached: boolean, count: number }>}
+ */
+async function checkPassword(password) {
+  if (!config.breachedPasswords.enabled || !password) {
+    return { breached: false, count: 0 };
+  }
+
+  const count = await lookupHash(sha1Hex(password));
+
+  return {
+    breached: count >= config.breachedPasswords.minOccurrences,
+    count
+  };
+}
+
+/**
+ * Screen a password a user is about to set
+ * @param {string} password
+ * @returns {Promise<{ breached: boolean, count: number, warning: string|null }>}
+ * @throws {AppError} BREACHED_PASSWORD when the policy blocks breached passwords
+ */
+async function screenPassword(password) {
+  const result = await checkPassword(password);
+
+  if (result.breached && config.breachedPasswords.policy === 'block') {
+    throw new AppError(BREACHED_MESSAGE, 400, 'BREACHED_PASSWORD');
+  }
+
+  return {
+    ...result,
+    warning: result.breached ? BREACHED_WARNING : null
+  };
+}
+
+/**
+ * User fields recording a screening done as the password was set
+ * @param {object} result - From screenPassword
+ * @returns {object}
+ */
+function screeningFields(result) {
+  const now = Date.now();
+
+  return {
+    passwordScreenedAt: now,
+    passwordBreachedAt: result.breached ? now : null
+  };
+}
+
+/**
+ * Email a password reset link, unless one sent earlier is still valid
+ * @param {object} user
+ * @returns {Promise<boolean>} Whether a new link was sent
+ */
+async function requestPasswordReset(user) {
+  if (user.resetPasswordToken && user.resetPasswordExpires > Date.now()) {
+    return false;
+  }
+
+  user.resetPasswordToken = crypto.randomBytes(32).toString('hex');
+  user.resetPasswordExpires = Date.now() + RESET_TOKEN_LIFETIME;
+  await user.save();
+
+  try {
+    const emailService = await getEmailService();
+    await emailService.sendPasswordResetEmail(user, user.resetPasswordToken);
+  } catch (error) {
+    logger.error('Failed to send password reset email', { userId: user.id, error: error.message });
+  }
+
+  return true;
+}
+
+/**
+ * Helper: Record that a user's current password is breached
+ * @returns {boolean} Whether this is the first time it was found
+ */
+function markBreached(user) {
+  const firstFound = !user.passwordBreachedAt;
+
+  user.passwordBreachedAt = user.passwordBreachedAt || Date.now();
+
+  if (config.breachedPasswords.policy === 'block') {
+    user.passwordResetRequired = true;
+  }
+
+  return firstFound;
+}
+
+/**
+ * Helper: Tell a user their password was found in a breach
+ * Blocking policies send a reset link; warning policies a security alert
+ */
+async function notifyBreached(user, details = {}) {
+  if (config.breachedPasswords.policy === 'block') {
+    return requestPasswordReset(user);
+  }
+
+  try {
+    const emailService = await getEmailService();
+    await emailService.sendSecurityAlertEmail(user, {
+      type: 'Password Found in a Data Breach',
+      description: BREACHED_WARNING,
+      timestamp: Date.now(),
+      ...details
+    });
+  } catch (error) {
+    logger.error('Failed to send breached password alert', { userId: user.id, error: error.message });
+  }
+
+  return true;
+}
+
+/**
+ * Whether a user's password is due to be screened again
+ * Due when never screened, after the re-screen interval, or after a newer import
+ * @param {object} user
+ * @returns {Promise<boolean>}
+ */
+async function isRescreenDue(user) {
+  if (!user.passwordScreenedAt) {
+    return true;
+  }
+
+  const screenedAt = Number(user.passwordScreenedAt);
+  const { updatedAt } = await getCorpusInfo();
+
+  return Date.now() - screenedAt >= config.breachedPasswords.rescreenInterval ||
+    Boolean(updatedAt && screenedAt < updatedAt);
+}
+
+/**
+ * Re-screen a password as the user signs in with it
+ * @param {object} user - User who just proved the password
+ * @param {string} password
+ * @param {object} details - ipAddress/userAgent for alert emails
+ * @returns {Promise<object|null>} Check result, or null when no re-screen was due
+ */
+async function rescreenOnLogin(user, password, details = {}) {
+  if (!config.breachedPasswords.enabled || !password || !(await isRescreenDue(user))) {
+    return null;
+  }
+
+  const result = await checkPassword(password);
+
+  // Passwords set before screening existed, or under an older key, get fresh fingerprints
+  Object.assign(user, passwordFields(password, config.breachedPasswords.fingerprintKey));
+  user.passwordScreenedAt = Date.now();
+
+  const firstFound = result.breached && markBreached(user);
+  await user.save();
+
+  if (result.breached) {
+    logger.warn('Breached password found on login', {
+      userId: user.id,
+      count: result.count,
+      policy: config.breachedPasswords.policy
+    });
+
+    // Blocking policies send the reset link when the login is refused
+    if (firstFound && config.breachedPasswords.policy === 'warn') {
+      await notifyBreached(user, details);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Helper: Apply the policy to users whose fingerprints are in a new breach set
+ * @returns {Promise<number>} Users newly found breached
+ */
+async function flagUsers(fingerprints) {
+  const users = await User.findAll({
+    where: {
+      passwordFingerprint: { [Op.in]: fingerprints },
+      passwordResetRequired: false
+    }
+  });
+
+  let flagged = 0;
+
+  for (const user of users) {
+    if (markBreached(user)) {
+      flagged++;
+      await user.save();
+      await notifyBreached(user);
+
+      logger.warn('Breached password found by import', {
+        userId: user.id,
+        policy: config.breachedPasswords.policy
+      });
+    }
+  }
+
+  return flagged;
+}
+
+/**
+ * Helper: Read the hashes in an import source
+ * Yields [prefix, suffix, count]; files named for a prefix hold SUFFIX:COUNT
+ * lines, any other file full HASH:COUNT lines
+ */
+async function* readSource(source) {
+  const stats = await fs.promises.stat(source);
+
+  if (stats.isDirectory()) {
+    const names = (await fs.promises.readdir(source)).sort();
+
+    for (const name of names) {
+      if (isPrefix(path.basename(name, '.txt'))) {
+        yield* readSource(path.join(source, name));
+      }
+    }
+    return;
+  }
+
+  const rangePrefix = path.basename(source, '.txt');
+
+  if (isPrefix(rangePrefix)) {
+    const entries = parseRange(await fs.promises.readFile(source, 'utf8'));
+
+    for (const [suffix, count] of entries) {
+      yield [rangePrefix.toUpperCase(), suffix, count];
+    }
+    return;
+  }
+
+  const lines = readline.createInterface({ input: fs.createReadStream(source), crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    const [hash, rawCount] = line.trim().split(':');
+    const parts = splitHash(hash);
+    const count = rawCount === undefined ? 1 : parseInt(rawCount, 10);
+
+    if (parts && count > 0) {
+      yield [parts.prefix, parts.suffix, count];
+    }
+  }
+}
+
+/**
+ * Import breached password hashes into the corpus
+ * Counts already in the corpus are kept when higher. Users whose current
+ * password is newly breached by the import get the configured policy applied.
+ * @param {string[]} sources - Range files, directories of them, or HASH:COUNT files
+ * @param {object} options
+ * @param {boolean} options.flagUsers - Apply the policy to affected users (default true)
+ * @param {Function} options.onProgress - Called with running totals after each merge
+ * @returns {Promise<object>} Import summary
+ */
+async function importCorpus(sources, options = {}) {
+  const { dataDir, fingerprintKey, minOccurrences } = config.breachedPasswords;
+  const shouldFlagUsers = options.flagUsers !== false && Boolean(fingerprintKey);
+
+  await fs.promises.mkdir(dataDir, { recursive: true });
+
+  const summary = {
+    id: crypto.randomUUID(),
+    sources: sources.map(source => path.resolve(source)),
+    startedAt: Date.now(),
+    hashes: 0,
+    added: 0,
+    newlyBreached: 0,
+    ranges: 0,
+    usersFlagged: shouldFlagUsers ? 0 : null
+  };
+
+  // Only ranges holding a user's password can produce matches
+  const userRanges = new Set();
+  if (shouldFlagUsers) {
+    const rows = await User.findAll({
+      attributes: ['passwordRange'],
+      where: { passwordFingerprint: { [Op.ne]: null } },
+      group: ['passwordRange'],
+      raw: true
+    });
+    rows.forEach(row => userRanges.add(row.passwordRange));
+  }
+
+  const touchedRanges = new Set();
+  let pendingFingerprints = [];
+  let buffer = new Map();
+  let buffered = 0;
+
+  const flushFingerprints = async () => {
+    if (pendingFingerprints.length > 0) {
+      summary.usersFlagged += await flagUsers(pendingFingerprints);
+      pendingFingerprints = [];
+    }
+  };
+
+  const flush = async () => {
+    for (const [prefix, entries] of buffer) {
+      const existing = await readRange(prefix);
+      let changed = false;
+
+      for (const [suffix, count] of entries) {
+        const previous = existing.get(suffix) || 0;
+
+        if (count <= previous) {
+          continue;
+        }
+
+        existing.set(suffix, count);
+        changed = true;
+
+        if (previous === 0) {
+          summary.added++;
+        }
+
+        if (previous < minOccurrences && count >= minOccurrences) {
+          summary.newlyBreached++;
+
+          if (userRanges.has(prefix)) {
+            pendingFingerprints.push(fingerprint(prefix + suffix, fingerprintKey));
+          }
+        }
+      }
+
+      if (changed) {
+        await writeRange(prefix, existing);
+        touchedRanges.add(prefix);
+      }
+
+      if (pendingFingerprints.length >= MATCH_BATCH_SIZE) {
+        await flushFingerprints();
+      }
+    }
+
+    buffer = new Map();
+    buffered = 0;
+    summary.ranges = touchedRanges.size;
+
+    if (options.onProgress) {
+      options.onProgress({ ...summary });
+    }
+  };
+
+  for (const source of sources) {
+    for await (const [prefix, suffix, count] of readSource(source)) {
+      if (!buffer.has(prefix)) {
+        buffer.set(prefix, new Map());
+      }
+
+      const entries = buffer.get(prefix);
+      entries.set(suffix, Math.max(entries.get(suffix) || 0, count));
+      summary.hashes++;
+
+      if (++buffered >= IMPORT_BATCH_SIZE) {
+        await flush();
+      }
+    }
+  }
+
+  await flush();
+  await flushFingerprints();
+
+  summary.completedAt = Date.now();
+
+  const info = await getCorpusInfo();
+  const index = {
+    updatedAt: summary.added > 0 || summary.newlyBreached > 0 ? summary.completedAt : info.updatedAt,
+    imports: [...info.imports, summary].slice(-MAX_IMPORT_HISTORY)
+  };
+  await fs.promises.writeFile(path.join(dataDir, INDEX_FILE), JSON.stringify(index, null, 2));
+
+  logger.info('Breached password corpus imported', summary);
+
+  return summary;
+}
+
+module.exports = {
+  BREACHED_WARNING,
+  getCorpusInfo,
+  lookupHash,
+  checkPassword,
+  screenPassword,
+  screeningFields,
+  requestPasswordReset,
+  isRescreenDue,
+  rescreenOnLogin,
+  importCorpus
+};
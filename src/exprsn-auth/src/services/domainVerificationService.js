@@ -0,0 +1,310 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Domain Verification Service
+ * Proves an organization controls an email domain through a
+ * DNS TXT record or a challenge file served from the domain
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const axios = require('axios');
+const { Op } = require('sequelize');
+const { AppError, logger } = require('@exprsn/shared');
+const { OrganizationDomain } = require('../models');
+const config = require('../config');
+
+const METHODS = ['dns', 'file'];
+const DOMAIN_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Resolvers look up challenge records
+ * { resolveTxt(name) → string[], fetchFile(url) → string }
+ */
+const dnsResolver = {
+  async resolveTxt(name) {
+    try {
+      const records = await dns.promises.resolveTxt(name);
+      return records.map(chunks => chunks.join(''));
+    } catch (error) {
+      if (error.code === 'ENODATA' || error.code === 'ENOTFOUND') {
+        return [];
+      }
+      throw error;
+    }
+  },
+
+  async fetchFile(url) {
+    const response = await axios.get(url, {
+      timeout: config.sso.domainVerification.timeout,
+      maxRedirects: 0,
+      maxContentLength: 4096,
+      responseType: 'text',
+      transformResponse: data => data
+    });
+
+    return String(response.data);
+  }
+};
+
+/**
+ * Resolver answering from a JSON file, for local testing:
+ * { "txt": { "<name>": ["<value>"] }, "files": { "<url>": "<contents>" } }
+ * The file is re-read on every lookup so records can be added while running
+ */
+function createStaticResolver(recordsPath) {
+  const load = () => {
+    if (!recordsPath || !fs.existsSync(recordsPath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(recordsPath, 'utf8'));
+  };
+
+  return {
+    async resolveTxt(name) {
+      return (load().txt || {})[name] || [];
+    },
+
+    async fetchFile(url) {
+      const contents = (load().files || {})[url];
+
+      if (contents === undefined) {
+        throw new Error(`No challenge file at ${url}`);
+      }
+      return contents;
+    }
+  };
+}
+
+let customResolver = null;
+
+/**
+ * Replace the resolver, e.g. with an in-memory one in tests
+ * @param {object|null} resolver - null restores the configured resolver
+ */
+function setResolver(resolver) {
+  customResolver = resolver;
+}
+
+function getResolver() {
+  if (customResolver) {
+    return customResolver;
+  }
+
+  const { resolver, staticRecordsPath } = config.sso.domainVerification;
+  return resolver === 'static' ? createStaticResolver(staticRecordsPath) : dnsResolver;
+}
+
+/**
+ * Lowercase a domain and check it is a plausible hostname
+ * @param {string} domain
+ * @returns {string|null}
+ */
+function normalizeDomain(domain) {
+  if (typeof domain !== 'string') {
+    return null;
+  }
+
+  const normalized = domain.trim().toLowerCase().replace(/\.$/, '');
+  return DOMAIN_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Domain part of an email address
+ * @param {string} email
+ * @returns {string|null}
+ */
+function emailDomain(email) {
+  if (typeof email !== 'string' || !email.includes('@')) {
+    return null;
+  }
+  return normalizeDomain(email.slice(email.lastIndexOf('@') + 1));
+}
+
+/**
+ * What the organization must publish to verify a domain
+ * @param {object} record - OrganizationDomain
+ */
+function challengeFor(record) {
+  const { txtRecordName, filePath } = config.sso.domainVerification;
+  const value = `exprsn-verification=${record.verificationToken}`;
+
+  if (record.verificationMethod === 'file') {
+    return { method: 'file', url: `https://${record.domain}${filePath}`, contents: value };
+  }
+
+  return { method: 'dns', type: 'TXT', name: `${txtRecordName}.${record.domain}`, value };
+}
+
+/**
+ * Helper: Domain as returned to clients
+ */
+function toSummary(record) {
+  return {
+    id: record.id,
+    organizationId: record.organizationId,
+    domain: record.domain,
+    status: record.status,
+    verificationMethod: record.verificationMethod,
+    verifiedAt: record.verifiedAt,
+    lastCheckedAt: record.lastCheckedAt,
+    lastError: record.lastError,
+    challenge: record.status === 'verified' ? undefined : challengeFor(record),
+    createdAt: record.createdAt
+  };
+}
+
+/**
+ * Verified claim on a domain by any organization
+ * @param {string} domain
+ * @param {object} [options]
+ * @param {string} [options.excludeOrganizationId]
+ */
+async function findVerifiedDomain(domain, { excludeOrganizationId } = {}) {
+  const where = { domain, status: 'verified' };
+
+  if (excludeOrganizationId) {
+    where.organizationId = { [Op.ne]: excludeOrganizationId };
+  }
+
+  return OrganizationDomain.findOne({ where });
+}
+
+/**
+ * Claim a domain for an organization
+ * @param {string} organizationId
+ * @param {string} domain
+ * @param {object} [options]
+ * @param {string} [options.method] - dns or file
+ * @param {string} [options.createdBy]
+ */
+async function addDomain(organizationId, domain, { method = 'dns', createdBy } = {}) {
+  const normalized = normalizeDomain(domain);
+
+  if (!normalized) {
+    throw new AppError('Invalid domain name', 400, 'INVALID_DOMAIN');
+  }
+
+  if (!METHODS.includes(method)) {
+    throw new AppError(`Verification method must be one of: ${METHODS.join(', ')}`, 400, 'INVALID_METHOD');
+  }
+
+  const existing = await OrganizationDomain.findOne({ where: { organizationId, domain: normalized } });
+  if (existing) {
+    throw new AppError('Domain already added to this organization', 409, 'DOMAIN_EXISTS');
+  }
+
+  if (await findVerifiedDomain(normalized, { excludeOrganizationId: organizationId })) {
+    throw new AppError('Domain is verified by another organization', 409, 'DOMAIN_CLAIMED');
+  }
+
+  const record = await OrganizationDomain.create({
+    organizationId,
+    domain: normalized,
+    verificationMethod: method,
+    verificationToken: crypto.randomBytes(24).toString('hex'),
+    createdBy
+  });
+
+  logger.info('Organization domain added', { organizationId, domain: normalized, method });
+
+  return record;
+}
+
+async function listDomains(organizationId) {
+  return OrganizationDomain.findAll({
+    where: { organizationId },
+    order: [['domain', 'ASC']]
+  });
+}
+
+async function getDomain(organizationId, domainId) {
+  const record = await OrganizationDomain.findOne({ where: { id: domainId, organizationId } });
+
+  if (!record) {
+    throw new AppError('Domain not found', 404, 'DOMAIN_NOT_FOUND');
+  }
+  return record;
+}
+
+/**
+ * Look for the challenge record
+ * @returns {Promise<string|null>} Why the check failed, or null once found
+ */
+async function checkChallenge(record) {
+  const resolver = getResolver();
+  const challenge = challengeFor(record);
+
+  try {
+    if (challenge.method === 'file') {
+      const contents = await resolver.fetchFile(challenge.url);
+      return contents.trim() === challenge.contents
+        ? null
+        : 'Challenge file does not contain the expected token';
+    }
+
+    const values = await resolver.resolveTxt(challenge.name);
+    return values.some(value => value.trim() === challenge.value)
+      ? null
+      : `No TXT record at ${challenge.name} matches the expected value`;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Check the challenge and record the outcome
+ * @param {string} organizationId
+ * @param {string} domainId
+ */
+async function verifyDomain(organizationId, domainId) {
+  const record = await getDomain(organizationId, domainId);
+
+  if (record.status === 'verified') {
+    return record;
+  }
+
+  if (await findVerifiedDomain(record.domain, { excludeOrganizationId: organizationId })) {
+    throw new AppError('Domain is verified by another organization', 409, 'DOMAIN_CLAIMED');
+  }
+
+  const failure = await checkChallenge(record);
+
+  await record.update({
+    status: failure ? 'failed' : 'verified',
+    verifiedAt: failure ? null : new Date(),
+    lastCheckedAt: new Date(),
+    lastError: failure
+  });
+
+  logger.info('Organization domain verification checked', {
+    organizationId,
+    domain: record.domain,
+    verified: !failure
+  });
+
+  return record;
+}
+
+async function removeDomain(organizationId, domainId) {
+  const record = await getDomain(organizationId, domainId);
+  await record.destroy();
+
+  logger.info('Organization domain removed', { organizationId, domain: record.domain });
+}
+
+module.exports = {
+  setResolver,
+  createStaticResolver,
+  normalizeDomain,
+  emailDomain,
+  challengeFor,
+  toSummary,
+  findVerifiedDomain,
+  addDomain,
+  listDomains,
+  getDomain,
+  verifyDomain,
+  removeDomain
+};
@@ -413,6 +413,39 @@ class EmailService {
     });
   }
 
+  /**
+   * Send login confirmation email for a risky sign-in
+   */
+  async sendLoginConfirmationEmail(user, token, details) {
+    const template = await this.loadTemplate('login-confirmation');
+    const confirmUrl = `${process.env.APP_URL || 'http://localhost:3001'}/login/confirm?token=${token}`;
+
+    const data = {
+      displayName: user.displayName || user.email,
+      confirmUrl,
+      expiryMinutes: details.expiryMinutes,
+      timestamp: new Date(details.timestamp).toLocaleString(),
+      ipAddress: details.ipAddress || 'Unknown',
+      userAgent: details.userAgent || 'Unknown',
+      location: details.location || 'Unknown',
+      appName: 'Exprsn',
+      appUrl: process.env.APP_URL || 'http://localhost:3001',
+      securityUrl: `${process.env.APP_URL || 'http://localhost:3001'}/security`
+    };
+
+    const html = template.html(data);
+    const text = template.text ? template.text(data) : null;
+
+    await this.sendEmail({
+      to: user.email,
+      subject: 'Confirm Your Sign-In',
+      html,
+      text
+    });
+
+    logger.info('Login confirmation email sent', { userId: user.id, email: user.email });
+  }
+
   /**
    * Send MFA backup codes email
    */
@@ -0,0 +1,163 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Geo IP Service
+ * Locates IP addresses from a local file of IP ranges, with
+ * range locations geocoded through exprsn-atlas
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const { serviceRequest, logger } = require('@exprsn/shared');
+const config = require('../config');
+const redisClient = require('../utils/redis');
+const { parseCidr, cidrContains } = require('../utils/ipRange');
+
+const PLACE_CACHE_TTL = 86400 * 30; // 30 days
+const PLACE_MISS_TTL = 3600; // Retry unknown places after an hour
+
+let rangeCache = { path: null, mtimeMs: 0, ranges: [] };
+const places = new Map();
+
+/**
+ * Helper: Load the IP range file, reloading when it changes
+ * Ranges are ordered most specific first
+ */
+function loadRanges() {
+  const { geoRangesPath } = config.loginRisk;
+
+  if (!geoRangesPath) {
+    return [];
+  }
+
+  let stat;
+  try {
+    stat = fs.statSync(geoRangesPath);
+  } catch (error) {
+    logger.warn('Geo IP range file unavailable', { path: geoRangesPath, error: error.message });
+    return [];
+  }
+
+  if (rangeCache.path === geoRangesPath && rangeCache.mtimeMs === stat.mtimeMs) {
+    return rangeCache.ranges;
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(geoRangesPath, 'utf8'));
+  } catch (error) {
+    logger.error('Invalid geo IP range file', { path: geoRangesPath, error: error.message });
+    return rangeCache.ranges;
+  }
+
+  const ranges = (Array.isArray(entries) ? entries : [])
+    .map(entry => ({
+      block: parseCidr(entry && entry.cidr),
+      location: entry && typeof entry.location === 'string' ? entry.location.trim() : null,
+      latitude: Number.isFinite(entry && entry.latitude) ? entry.latitude : null,
+      longitude: Number.isFinite(entry && entry.longitude) ? entry.longitude : null
+    }))
+    .filter(range => range.block && range.location)
+    .sort((a, b) => b.block.prefix - a.block.prefix);
+
+  rangeCache = { path: geoRangesPath, mtimeMs: stat.mtimeMs, ranges };
+  logger.info('Geo IP ranges loaded', { path: geoRangesPath, ranges: ranges.length });
+
+  return ranges;
+}
+
+/**
+ * Helper: Coordinates of a place name from exprsn-atlas forward geocoding
+ */
+async function geocodePlace(location) {
+  const key = location.toLowerCase();
+
+  if (places.has(key)) {
+    return places.get(key);
+  }
+
+  const cacheKey = `geoip:place:${key}`;
+  const cached = await redisClient.get(cacheKey);
+
+  if (cached) {
+    const coordinates = cached.latitude === null ? null : cached;
+    places.set(key, coordinates);
+    return coordinates;
+  }
+
+  const { url, serviceToken, timeout } = config.atlas;
+
+  if (!serviceToken) {
+    return null;
+  }
+
+  try {
+    const response = await serviceRequest({
+      method: 'POST',
+      url: `${url}/api/bridge/geocode`,
+      data: { address: location, validate: false },
+      token: serviceToken,
+      timeout
+    });
+
+    const best = response && response.data && response.data.results && response.data.results[0];
+    const coordinates = best && Number.isFinite(best.latitude) && Number.isFinite(best.longitude)
+      ? { latitude: best.latitude, longitude: best.longitude }
+      : null;
+
+    places.set(key, coordinates);
+    await redisClient.set(
+      cacheKey,
+      coordinates || { latitude: null },
+      coordinates ? PLACE_CACHE_TTL : PLACE_MISS_TTL
+    );
+
+    return coordinates;
+  } catch (error) {
+    // Atlas outages must not break logins; try again on the next lookup
+    logger.warn('Atlas geocoding failed', { location, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Locate an IP address
+ * @param {string} ipAddress
+ * @returns {Promise<{ location: string, latitude: number|null, longitude: number|null }|null>}
+ */
+async function locate(ipAddress) {
+  const range = loadRanges().find(candidate => cidrContains(candidate.block, ipAddress));
+
+  if (!range) {
+    return null;
+  }
+
+  if (range.latitude !== null && range.longitude !== null) {
+    return { location: range.location, latitude: range.latitude, longitude: range.longitude };
+  }
+
+  const coordinates = await geocodePlace(range.location);
+
+  return {
+    location: range.location,
+    latitude: coordinates ? coordinates.latitude : null,
+    longitude: coordinates ? coordinates.longitude : null
+  };
+}
+
+/**
+ * Great-circle distance in kilometres
+ */
+function distanceKm(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+module.exports = {
+  locate,
+  distanceKm
+};
@@ -0,0 +1,258 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Impersonation Service
+ * Time-boxed admin sessions acting as another user, with the
+ * actor carried in every token issued during them
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { AppError, logger } = require('@exprsn/shared');
+const { User, Role, ImpersonationSession } = require('../models');
+const config = require('../config');
+
+const ACTOR_ATTRIBUTES = ['id', 'email', 'displayName'];
+
+/**
+ * Whether a user may never be impersonated
+ * Admins, and anyone who could impersonate others, are privileged
+ * @param {object} user - User with roles loaded
+ */
+function isPrivileged(user) {
+  return (user.roles || []).some(role => {
+    const permissions = role.permissions || [];
+
+    return config.impersonation.privilegedRoles.includes(role.slug) ||
+      config.impersonation.privilegedRoles.includes(role.name) ||
+      permissions.includes('*') ||
+      permissions.includes('admin:*') ||
+      permissions.includes('user:impersonate');
+  });
+}
+
+/**
+ * Helper: Session as returned to clients
+ */
+function toSummary(session) {
+  return {
+    id: session.id,
+    actor: session.actor
+      ? { id: session.actor.id, email: session.actor.email, displayName: session.actor.displayName }
+      : { id: session.actorId },
+    subjectId: session.subjectId,
+    reason: session.reason,
+    status: session.status,
+    startedAt: session.createdAt,
+    expiresAt: session.expiresAt,
+    endedAt: session.endedAt
+  };
+}
+
+/**
+ * Start impersonating a user
+ * @param {object} actor - Admin starting the session
+ * @param {string} subjectId - User to impersonate
+ * @param {object} options
+ * @param {string} options.reason - Why access is needed; shown to the user
+ * @param {number} options.duration - Length in milliseconds, capped at the configured maximum
+ * @param {string} options.ipAddress
+ * @param {string} options.userAgent
+ * @returns {Promise<{ session: object, subject: object }>}
+ */
+async function startImpersonation(actor, subjectId, options = {}) {
+  if (!config.impersonation.enabled) {
+    throw new AppError('Impersonation is disabled', 403, 'IMPERSONATION_DISABLED');
+  }
+
+  const reason = typeof options.reason === 'string' ? options.reason.trim() : '';
+  if (!reason) {
+    throw new AppError('A reason is required to impersonate a user', 400, 'REASON_REQUIRED');
+  }
+
+  if (subjectId === actor.id) {
+    throw new AppError('You cannot impersonate yourself', 400, 'INVALID_IMPERSONATION_TARGET');
+  }
+
+  const subject = await User.findByPk(subjectId, {
+    include: [{ model: Role, as: 'roles', through: { attributes: [] } }]
+  });
+
+  if (!subject) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  if (subject.status !== 'active') {
+    throw new AppError('Only active users can be impersonated', 400, 'INVALID_IMPERSONATION_TARGET');
+  }
+
+  if (isPrivileged(subject)) {
+    logger.warn('Impersonation of privileged user refused', { actorId: actor.id, subjectId });
+    throw new AppError('Privileged users cannot be impersonated', 403, 'PRIVILEGED_TARGET');
+  }
+
+  const requested = parseInt(options.duration) || config.impersonation.defaultDuration;
+  const duration = Math.min(Math.max(requested, 60000), config.impersonation.maxDuration);
+
+  const session = await ImpersonationSession.create({
+    actorId: actor.id,
+    subjectId: subject.id,
+    reason: reason.slice(0, 1000),
+    expiresAt: new Date(Date.now() + duration),
+    ipAddress: options.ipAddress || null,
+    userAgent: options.userAgent || null
+  });
+
+  logger.info('Impersonation started', {
+    impersonationId: session.id,
+    actorId: actor.id,
+    subjectId: subject.id,
+    expiresAt: session.expiresAt
+  });
+
+  return { session, subject };
+}
+
+/**
+ * Load an impersonation session if it is still running
+ * Sessions past their expiry are marked expired
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function getActiveImpersonation(id) {
+  if (!id) {
+    return null;
+  }
+
+  const session = await ImpersonationSession.findByPk(id, {
+    include: [{ model: User, as: 'actor', attributes: ACTOR_ATTRIBUTES }]
+  });
+
+  if (!session || session.status !== 'active') {
+    return null;
+  }
+
+  if (new Date(session.expiresAt).getTime() <= Date.now()) {
+    await session.update({ status: 'expired', endedAt: session.expiresAt });
+    logger.info('Impersonation expired', { impersonationId: session.id, actorId: session.actorId });
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * End an impersonation session
+ * @param {string} id
+ * @param {string} endedBy - User ending the session
+ * @returns {Promise<object|null>} The ended session
+ */
+async function endImpersonation(id, endedBy) {
+  const session = await ImpersonationSession.findByPk(id);
+
+  if (!session) {
+    return null;
+  }
+
+  if (session.status === 'active') {
+    await session.update({
+      status: 'ended',
+      endedAt: new Date(),
+      endedBy: endedBy && endedBy !== session.actorId ? endedBy : null
+    });
+
+    logger.info('Impersonation ended', {
+      impersonationId: session.id,
+      actorId: session.actorId,
+      subjectId: session.subjectId,
+      endedBy
+    });
+  }
+
+  return session;
+}
+
+/**
+ * End every running impersonation of a user
+ * @param {string} subjectId
+ * @param {string} endedBy
+ * @returns {Promise<number>} Number of sessions ended
+ */
+async function endAllForSubject(subjectId, endedBy) {
+  const [count] = await ImpersonationSession.update({
+    status: 'ended',
+    endedAt: new Date(),
+    endedBy
+  }, {
+    where: { subjectId, status: 'active' }
+  });
+
+  if (count > 0) {
+    logger.info('Impersonations of user ended', { subjectId, endedBy, count });
+  }
+
+  return count;
+}
+
+/**
+ * Who accessed a user's account, newest first
+ * @param {string} subjectId
+ * @param {object} options
+ * @param {number} options.limit
+ * @returns {Promise<object[]>}
+ */
+async function listForSubject(subjectId, { limit = 50 } = {}) {
+  const sessions = await ImpersonationSession.findAll({
+    where: { subjectId },
+    include: [{ model: User, as: 'actor', attributes: ACTOR_ATTRIBUTES }],
+    order: [['createdAt', 'DESC']],
+    limit: Math.min(parseInt(limit) || 50, 200)
+  });
+
+  // Sessions nobody ended are reported as expired once their time is up
+  return sessions.map(session => {
+    const summary = toSummary(session);
+
+    if (summary.status === 'active' && new Date(summary.expiresAt).getTime() <= Date.now()) {
+      summary.status = 'expired';
+      summary.endedAt = summary.expiresAt;
+    }
+
+    return summary;
+  });
+}
+
+/**
+ * Actor claims for tokens issued during an impersonation
+ * `act` follows RFC 8693 section 4.1
+ * @param {object} session - Active impersonation session
+ * @returns {object}
+ */
+function tokenClaims(session) {
+  return {
+    act: {
+      sub: session.actorId,
+      ...(session.actor && { email: session.actor.email })
+    },
+    impersonationId: session.id
+  };
+}
+
+/**
+ * Seconds left in an impersonation; issued tokens must not outlive it
+ * @param {object} session
+ * @returns {number}
+ */
+function remainingSeconds(session) {
+  return Math.max(0, Math.floor((new Date(session.expiresAt).getTime() - Date.now()) / 1000));
+}
+
+module.exports = {
+  isPrivileged,
+  startImpersonation,
+  getActiveImpersonation,
+  endImpersonation,
+  endAllForSubject,
+  listForSubject,
+  tokenClaims,
+  remainingSeconds,
+  toSummary
+};
@@ -7,7 +7,7 @@
 
 const ldap = require('ldapjs');
 const { LdapConfig, User, Group, OrganizationMember, UserGroup, Role } = require('../models');
-const logger = require('../utils/logger');
+const { logger } = require('@exprsn/shared');
 const bcrypt = require('bcrypt');
 
 class LdapService {
@@ -0,0 +1,584 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Login Risk Service
+ * Scores password and passkey logins on device novelty, IP
+ * reputation, geo velocity, failed-attempt history and time of
+ * day, and steps risky logins up to MFA, email confirmation or
+ * a block
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const speakeasy = require('speakeasy');
+const { Op } = require('sequelize');
+const { AppError, logger } = require('@exprsn/shared');
+const { User, LoginEvent, WebAuthnCredential } = require('../models');
+const config = require('../config');
+const geoIpService = require('./geoIpService');
+const smsService = require('./smsService');
+const webauthnService = require('./webauthnService');
+const { getEmailService } = require('./emailService');
+const { normalizeIp, createIpMatcher } = require('../utils/ipRange');
+
+const ACTIONS = {
+  ALLOW: 'allow',
+  MFA: 'mfa',
+  EMAIL: 'email',
+  BLOCK: 'block'
+};
+
+const SIGNED_IN = ['allowed', 'verified'];
+const DEVICE_COOKIE_MAX_AGE = 365 * 86400000; // 1 year
+
+const ipLists = {};
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Helper: Read a cookie without cookie-parser
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+
+  for (const pair of header.split(';')) {
+    const index = pair.indexOf('=');
+    if (index !== -1 && pair.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Request details used to assess a login
+ * Issues the long-lived device cookie when the browser has none
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ */
+function getLoginRequest(req, res) {
+  const { deviceCookie } = config.loginRisk;
+  let deviceToken = readCookie(req, deviceCookie);
+
+  if (!deviceToken || !/^[A-Za-z0-9_-]{43}$/.test(deviceToken)) {
+    deviceToken = crypto.randomBytes(32).toString('base64url');
+    res.cookie(deviceCookie, deviceToken, {
+      httpOnly: true,
+      secure: config.service.environment === 'production',
+      sameSite: 'lax',
+      maxAge: DEVICE_COOKIE_MAX_AGE
+    });
+  }
+
+  const userAgent = req.get('user-agent') || '';
+  const acceptLanguage = req.get('accept-language') || '';
+
+  return {
+    ipAddress: normalizeIp(req.ip),
+    userAgent,
+    deviceId: sha256(deviceToken),
+    fingerprint: sha256(`${userAgent}|${acceptLanguage}`)
+  };
+}
+
+/**
+ * Helper: IP reputation list, reloaded when the file changes
+ */
+function loadIpList(name) {
+  const path = config.loginRisk.ipLists[name];
+
+  if (!path) {
+    return null;
+  }
+
+  let stat;
+  try {
+    stat = fs.statSync(path);
+  } catch (error) {
+    logger.warn('IP reputation list unavailable', { list: name, path, error: error.message });
+    return null;
+  }
+
+  const cached = ipLists[name];
+  if (cached && cached.path === path && cached.mtimeMs === stat.mtimeMs) {
+    return cached.matcher;
+  }
+
+  const entries = fs.readFileSync(path, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(Boolean);
+
+  const matcher = createIpMatcher(entries);
+  ipLists[name] = { path, mtimeMs: stat.mtimeMs, matcher };
+
+  logger.info('IP reputation list loaded', { list: name, path, entries: matcher.size });
+  return matcher;
+}
+
+/**
+ * Reputation of an IP address from the local lists
+ * @returns {'blocked'|'suspicious'|'trusted'|null}
+ */
+function getIpReputation(ipAddress) {
+  if (!ipAddress) {
+    return null;
+  }
+
+  for (const name of ['blocked', 'suspicious', 'trusted']) {
+    const list = loadIpList(name);
+    if (list && list.check(ipAddress)) {
+      return name;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Helper: Whether an hour is within an hour of the usual login hours
+ */
+function isUsualHour(hour, usualHours) {
+  return usualHours.some(usual => {
+    const difference = Math.abs(hour - usual);
+    return Math.min(difference, 24 - difference) <= 1;
+  });
+}
+
+/**
+ * Helper: Whether the user can answer an MFA step-up
+ * An authenticator app or a registered security key/passkey both count
+ */
+async function hasSecondFactor(user) {
+  if (user.mfaEnabled && user.mfaSecret) {
+    return true;
+  }
+
+  return (await WebAuthnCredential.count({ where: { userId: user.id } })) > 0;
+}
+
+/**
+ * Score a login
+ * @param {object} user - User whose password or passkey was verified
+ * @param {object} request - Result of getLoginRequest
+ * @returns {Promise<{ score: number, action: string, factors: object[], location: object|null, newDevice: boolean }>}
+ */
+async function assessLogin(user, request) {
+  const { weights, thresholds } = config.loginRisk;
+  const now = Date.now();
+  const factors = [];
+  const addFactor = (factor, score, detail) => factors.push({ factor, score, detail });
+
+  const location = request.ipAddress ? await geoIpService.locate(request.ipAddress) : null;
+  const reputation = getIpReputation(request.ipAddress);
+
+  if (reputation === 'blocked') {
+    addFactor('blocked_ip', 100, `${request.ipAddress} is on the blocked IP list`);
+    return { score: 100, action: ACTIONS.BLOCK, factors, location, newDevice: false };
+  }
+
+  const since = new Date(now - config.loginRisk.failedAttemptWindow);
+
+  const [history, knownDevice, knownFingerprint, accountFailures, ipFailures] = await Promise.all([
+    LoginEvent.findAll({
+      where: { userId: user.id, status: SIGNED_IN },
+      order: [['createdAt', 'DESC']],
+      limit: config.loginRisk.usualHoursSampleSize
+    }),
+    LoginEvent.count({ where: { userId: user.id, status: SIGNED_IN, deviceId: request.deviceId } }),
+    LoginEvent.count({ where: { userId: user.id, status: SIGNED_IN, fingerprint: request.fingerprint } }),
+    LoginEvent.count({ where: { email: user.email.toLowerCase(), status: 'failed', createdAt: { [Op.gte]: since } } }),
+    request.ipAddress
+      ? LoginEvent.count({ where: { ipAddress: request.ipAddress, status: 'failed', createdAt: { [Op.gte]: since } } })
+      : 0
+  ]);
+
+  // Device novelty (the first sign-in has nothing to compare against)
+  const newDevice = history.length > 0 && knownDevice === 0;
+  if (newDevice) {
+    if (knownFingerprint > 0) {
+      addFactor('new_device', weights.knownFingerprint, 'New device cookie from a previously seen browser');
+    } else {
+      addFactor('new_device', weights.newDevice, 'Sign-in from a device not seen before');
+    }
+  }
+
+  // IP reputation
+  if (reputation === 'suspicious') {
+    addFactor('suspicious_ip', weights.suspiciousIp, `${request.ipAddress} is on the suspicious IP list`);
+  } else if (reputation === 'trusted') {
+    addFactor('trusted_ip', weights.trustedIp, `${request.ipAddress} is on the trusted IP list`);
+  }
+
+  // Geo velocity since the last located sign-in
+  const previous = history.find(event => event.latitude !== null && event.longitude !== null);
+  if (previous && location && location.latitude !== null && location.longitude !== null) {
+    const distance = geoIpService.distanceKm(previous, location);
+    const hours = Math.max((now - new Date(previous.createdAt).getTime()) / 3600000, 1 / 60);
+    const speed = distance / hours;
+
+    if (distance >= config.loginRisk.minTravelDistanceKm && speed > config.loginRisk.maxTravelSpeedKmh) {
+      addFactor('impossible_travel', weights.impossibleTravel,
+        `${Math.round(distance)} km from ${previous.location} in ${hours.toFixed(1)} h (${Math.round(speed)} km/h)`);
+    }
+  }
+
+  // Failed attempts against the account or from the address
+  const failures = accountFailures + ipFailures;
+  if (failures > 0) {
+    addFactor('failed_attempts', Math.min(failures * weights.failedAttempt, weights.maxFailedAttempts),
+      `${accountFailures} failed attempt(s) on the account and ${ipFailures} from this address in the last 24 hours`);
+  }
+
+  // Time of day against the usual sign-in hours (UTC)
+  if (history.length >= 5) {
+    const hour = new Date(now).getUTCHours();
+    const usualHours = history.map(event => new Date(event.createdAt).getUTCHours());
+
+    if (!isUsualHour(hour, usualHours)) {
+      addFactor('unusual_time', weights.unusualTime, `Sign-in at ${hour}:00 UTC is outside the usual hours`);
+    }
+  }
+
+  const score = Math.max(0, Math.min(100, factors.reduce((sum, factor) => sum + factor.score, 0)));
+
+  let action = ACTIONS.ALLOW;
+  if (score >= thresholds.block) {
+    action = ACTIONS.BLOCK;
+  } else if (score >= thresholds.email) {
+    action = ACTIONS.EMAIL;
+  } else if (score >= thresholds.mfa) {
+    // Users without an authenticator app or security key confirm by email instead
+    action = await hasSecondFactor(user) ? ACTIONS.MFA : ACTIONS.EMAIL;
+  }
+
+  return { score, action, factors, location, newDevice };
+}
+
+/**
+ * Helper: Alert the user to a sign-in from a new device
+ */
+async function notifyNewDevice(user) {
+  const phoneNumber = user.metadata && user.metadata.phoneNumber;
+
+  if (!phoneNumber || !smsService.isValidPhoneNumber(phoneNumber)) {
+    return;
+  }
+
+  try {
+    await smsService.sendSecurityAlert(phoneNumber, 'new_device');
+  } catch (error) {
+    logger.error('Failed to send new device alert', { userId: user.id, error: error.message });
+  }
+}
+
+/**
+ * Helper: Email a one-time link that confirms a risky login
+ */
+async function startEmailChallenge(user, event) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await event.update({
+    challengeHash: sha256(token),
+    challengeExpiresAt: new Date(Date.now() + config.loginRisk.emailConfirmationLifetime)
+  });
+
+  const emailService = await getEmailService();
+  await emailService.sendLoginConfirmationEmail(user, token, {
+    timestamp: event.createdAt || new Date(),
+    ipAddress: event.ipAddress,
+    userAgent: event.userAgent,
+    location: event.location,
+    expiryMinutes: Math.round(config.loginRisk.emailConfirmationLifetime / 60000)
+  });
+}
+
+/**
+ * Assess a login, record it and start any challenge
+ * @param {object} user - User whose password or passkey was verified
+ * @param {object} request - Result of getLoginRequest
+ * @param {object} [options]
+ * @param {string} [options.mfaMethod] - Second factor the login already used ('webauthn' for a user-verified passkey)
+ * @returns {Promise<{ action: string, event: object|null, assessment: object|null }>}
+ */
+async function evaluateLogin(user, request, options = {}) {
+  if (!config.loginRisk.enabled) {
+    return { action: ACTIONS.ALLOW, event: null, assessment: null };
+  }
+
+  const assessment = await assessLogin(user, request);
+
+  // A login that already used a second factor has passed the MFA step-up
+  const mfaSatisfied = assessment.action === ACTIONS.MFA && Boolean(options.mfaMethod);
+  const action = mfaSatisfied ? ACTIONS.ALLOW : assessment.action;
+  const status = mfaSatisfied
+    ? 'verified'
+    : { allow: 'allowed', block: 'blocked' }[assessment.action] || 'challenged';
+
+  const event = await LoginEvent.create({
+    userId: user.id,
+    email: user.email.toLowerCase(),
+    status,
+    action: assessment.action,
+    riskScore: assessment.score,
+    riskFactors: assessment.factors,
+    ipAddress: request.ipAddress,
+    userAgent: request.userAgent,
+    deviceId: request.deviceId,
+    fingerprint: request.fingerprint,
+    location: assessment.location ? assessment.location.location : null,
+    latitude: assessment.location ? assessment.location.latitude : null,
+    longitude: assessment.location ? assessment.location.longitude : null
+  });
+
+  const details = {
+    userId: user.id,
+    eventId: event.id,
+    score: assessment.score,
+    action: assessment.action,
+    factors: assessment.factors.map(factor => factor.factor),
+    ...(options.mfaMethod && { mfaMethod: options.mfaMethod })
+  };
+
+  if (assessment.action === ACTIONS.ALLOW) {
+    logger.info('Login risk assessed', details);
+  } else {
+    logger.warn('Risky login', details);
+  }
+
+  if (assessment.action === ACTIONS.EMAIL) {
+    await startEmailChallenge(user, event);
+  }
+
+  if (action === ACTIONS.ALLOW && assessment.newDevice) {
+    await notifyNewDevice(user);
+  }
+
+  return { action, event, assessment };
+}
+
+/**
+ * Record a failed password attempt
+ * @param {string} email - Submitted email
+ * @param {object} request - Result of getLoginRequest
+ */
+async function recordFailure(email, request) {
+  if (!config.loginRisk.enabled) {
+    return;
+  }
+
+  const user = typeof email === 'string' && email
+    ? await User.findOne({ where: { email } })
+    : null;
+
+  await LoginEvent.create({
+    userId: user ? user.id : null,
+    email: typeof email === 'string' ? email.toLowerCase().slice(0, 255) : null,
+    status: 'failed',
+    ipAddress: request.ipAddress,
+    userAgent: request.userAgent,
+    deviceId: request.deviceId,
+    fingerprint: request.fingerprint
+  });
+}
+
+/**
+ * Remember a challenged login in the session until it is verified
+ * @param {object} req - Express request
+ * @param {object} event - The challenged login event
+ * @param {string} [redirect] - Where to go once verified
+ * @param {string} [mfaMethod] - Second factor the login already used
+ */
+function setPendingLogin(req, event, redirect, mfaMethod = null) {
+  req.session.pendingLogin = {
+    userId: event.userId,
+    eventId: event.id,
+    action: event.action,
+    redirect,
+    mfaMethod,
+    // Email links outlive the MFA step-up window
+    expiresAt: Date.now() + (event.action === ACTIONS.EMAIL
+      ? Math.max(config.loginRisk.emailConfirmationLifetime, config.loginRisk.pendingLoginLifetime)
+      : config.loginRisk.pendingLoginLifetime)
+  };
+}
+
+/**
+ * The session's pending login, if it has not expired
+ */
+function getPendingLogin(req) {
+  const pending = req.session && req.session.pendingLogin;
+
+  if (!pending) {
+    return null;
+  }
+
+  if (pending.expiresAt < Date.now()) {
+    delete req.session.pendingLogin;
+    return null;
+  }
+
+  return pending;
+}
+
+/**
+ * Helper: Check a TOTP code or consume a backup code
+ * @returns {Promise<string|null>} The method used, or null if the code is wrong
+ */
+async function verifyMfaCode(user, code) {
+  const normalized = String(code).trim();
+
+  if (user.mfaBackupCodes && user.mfaBackupCodes.includes(normalized.toUpperCase())) {
+    user.mfaBackupCodes = user.mfaBackupCodes.filter(backupCode => backupCode !== normalized.toUpperCase());
+    await user.save();
+    return 'backup_code';
+  }
+
+  const verified = user.mfaSecret && speakeasy.totp.verify({
+    secret: user.mfaSecret,
+    encoding: 'base32',
+    token: normalized,
+    window: 2
+  });
+
+  return verified ? 'totp' : null;
+}
+
+/**
+ * Security key challenge for the session's pending MFA step-up
+ * @param {object} req - Express request
+ * @returns {Promise<object>} Credential request options for navigator.credentials.get()
+ */
+async function startWebAuthnChallenge(req) {
+  const pending = getPendingLogin(req);
+
+  if (!pending || pending.action !== ACTIONS.MFA) {
+    throw new AppError('No sign-in is waiting for verification', 400, 'NO_PENDING_LOGIN');
+  }
+
+  const credentials = await WebAuthnCredential.findAll({ where: { userId: pending.userId } });
+
+  if (credentials.length === 0) {
+    throw new AppError('No security keys are registered', 400, 'WEBAUTHN_NOT_ENABLED');
+  }
+
+  const options = webauthnService.generateAuthenticationOptions(credentials);
+  webauthnService.storeChallenge(req.session, 'authentication', options.challenge);
+
+  return options;
+}
+
+/**
+ * Verify the session's pending login
+ * MFA step-ups need a code or a security key assertion; email confirmations
+ * need the link to have been opened
+ * @param {object} req - Express request
+ * @param {string} [code] - TOTP or backup code for MFA step-ups
+ * @param {object} [credential] - WebAuthn assertion for MFA step-ups (see startWebAuthnChallenge)
+ * @returns {Promise<{ user: object, pending: object, mfaMethod: string|null }>}
+ */
+async function verifyPendingLogin(req, code, credential) {
+  const pending = getPendingLogin(req);
+
+  if (!pending) {
+    throw new AppError('No sign-in is waiting for verification', 400, 'NO_PENDING_LOGIN');
+  }
+
+  const [user, event] = await Promise.all([
+    User.findByPk(pending.userId),
+    LoginEvent.findByPk(pending.eventId)
+  ]);
+
+  if (!user || user.status !== 'active' || !event || event.userId !== user.id) {
+    delete req.session.pendingLogin;
+    throw new AppError('No sign-in is waiting for verification', 400, 'NO_PENDING_LOGIN');
+  }
+
+  let mfaMethod = null;
+
+  if (pending.action === ACTIONS.MFA) {
+    if (credential) {
+      const challenge = webauthnService.takeChallenge(req.session, 'authentication');
+
+      try {
+        await webauthnService.authenticateCredential(credential, challenge, { userId: user.id });
+      } catch (error) {
+        logger.warn('Invalid security key for risky login', { userId: user.id, eventId: event.id, error: error.errorCode });
+        throw error;
+      }
+
+      mfaMethod = 'webauthn';
+    } else {
+      if (!code) {
+        throw new AppError('MFA code required', 400, 'TOKEN_REQUIRED');
+      }
+
+      mfaMethod = await verifyMfaCode(user, code);
+
+      if (!mfaMethod) {
+        logger.warn('Invalid MFA code for risky login', { userId: user.id, eventId: event.id });
+        throw new AppError('Invalid MFA code', 400, 'INVALID_MFA_TOKEN');
+      }
+    }
+
+    await event.update({ status: 'verified' });
+  } else if (event.status !== 'verified') {
+    throw new AppError('Confirm this sign-in from the link we emailed you', 403, 'LOGIN_CONFIRMATION_PENDING');
+  }
+
+  delete req.session.pendingLogin;
+
+  if (event.riskFactors.some(factor => factor.factor === 'new_device')) {
+    await notifyNewDevice(user);
+  }
+
+  logger.info('Risky login verified', { userId: user.id, eventId: event.id, action: pending.action });
+
+  return { user, pending, mfaMethod: mfaMethod || pending.mfaMethod || null };
+}
+
+/**
+ * Confirm a login from the emailed link
+ * @param {string} token - Token from the confirmation link
+ * @returns {Promise<object>} The confirmed login event
+ */
+async function confirmEmailChallenge(token) {
+  const event = typeof token === 'string' && token
+    ? await LoginEvent.findOne({ where: { challengeHash: sha256(token), status: 'challenged', action: ACTIONS.EMAIL } })
+    : null;
+
+  if (!event || !event.challengeExpiresAt || new Date(event.challengeExpiresAt).getTime() < Date.now()) {
+    throw new AppError('This sign-in link is invalid or has expired', 400, 'INVALID_LOGIN_CONFIRMATION');
+  }
+
+  await event.update({
+    status: 'verified',
+    challengeHash: null,
+    challengeExpiresAt: null
+  });
+
+  logger.info('Risky login confirmed by email', { userId: event.userId, eventId: event.id });
+
+  return event;
+}
+
+module.exports = {
+  ACTIONS,
+  getLoginRequest,
+  getIpReputation,
+  assessLogin,
+  evaluateLogin,
+  recordFailure,
+  setPendingLogin,
+  getPendingLogin,
+  startWebAuthnChallenge,
+  verifyPendingLogin,
+  confirmEmailChallenge
+};
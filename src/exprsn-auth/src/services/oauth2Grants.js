@@ -0,0 +1,205 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * OAuth2 Extension Grants
+ * Device authorization grant (RFC 8628) and token exchange
+ * (RFC 8693) for the oauth2-server token endpoint
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const OAuth2Server = require('oauth2-server');
+const { logger } = require('@exprsn/shared');
+const { User } = require('../models');
+const oauth2Service = require('./oauth2Service');
+const tokenService = require('./tokenService');
+const config = require('../config');
+
+const GRANT_TYPES = {
+  DEVICE_CODE: 'urn:ietf:params:oauth:grant-type:device_code',
+  TOKEN_EXCHANGE: 'urn:ietf:params:oauth:grant-type:token-exchange'
+};
+
+const TOKEN_TYPES = {
+  ACCESS_TOKEN: 'urn:ietf:params:oauth:token-type:access_token',
+  CA_TOKEN: 'urn:exprsn:params:oauth:token-type:ca-token'
+};
+
+const { AbstractGrantType, InvalidRequestError, InvalidGrantError, InvalidScopeError, OAuthError } = OAuth2Server;
+
+/**
+ * Device code grant: exchanges an approved device code for tokens
+ */
+class DeviceCodeGrantType extends AbstractGrantType {
+  async handle(request, client) {
+    const deviceCode = request.body.device_code;
+
+    if (!deviceCode) {
+      throw new InvalidRequestError('Missing parameter: `device_code`');
+    }
+
+    const record = await oauth2Service.pollDeviceCode(deviceCode, client);
+    const user = { id: record.userId };
+    const scope = record.scope;
+
+    const token = {
+      accessToken: await this.generateAccessToken(client, user, scope),
+      accessTokenExpiresAt: this.getAccessTokenExpiresAt(),
+      scope
+    };
+
+    if (client.grants.includes('refresh_token')) {
+      token.refreshToken = await this.generateRefreshToken(client, user, scope);
+      token.refreshTokenExpiresAt = this.getRefreshTokenExpiresAt();
+    }
+
+    return this.model.saveToken(token, client, user);
+  }
+}
+
+/**
+ * Map OAuth2 scopes onto CA token permissions
+ * @param {string[]} scopes
+ * @returns {Object} CA permissions object
+ */
+function scopesToPermissions(scopes) {
+  const permissions = { read: false, write: false, append: false, update: false, delete: false };
+
+  for (const scope of scopes) {
+    for (const permission of config.oauth2.tokenExchange.scopePermissions[scope] || []) {
+      permissions[permission] = true;
+    }
+  }
+
+  return permissions;
+}
+
+/**
+ * Token exchange grant: swaps a user's access token for a downscoped
+ * CA token (default) or access token, for calls to other services
+ */
+class TokenExchangeGrantType extends AbstractGrantType {
+  async handle(request, client) {
+    const {
+      subject_token: subjectToken,
+      subject_token_type: subjectTokenType,
+      requested_token_type: requestedTokenType = TOKEN_TYPES.CA_TOKEN,
+      actor_token: actorToken,
+      resource,
+      audience
+    } = request.body;
+
+    if (!subjectToken || !subjectTokenType) {
+      throw new InvalidRequestError('Missing parameter: `subject_token` and `subject_token_type` are required');
+    }
+
+    if (actorToken) {
+      throw new InvalidRequestError('Invalid parameter: `actor_token` is not supported');
+    }
+
+    if (subjectTokenType !== TOKEN_TYPES.ACCESS_TOKEN) {
+      throw new InvalidRequestError('Invalid parameter: unsupported `subject_token_type`');
+    }
+
+    if (!Object.values(TOKEN_TYPES).includes(requestedTokenType)) {
+      throw new InvalidRequestError('Invalid parameter: unsupported `requested_token_type`');
+    }
+
+    if (resource && !/^[a-z][a-z0-9+.-]*:\/\/[^\s#]+$/i.test(resource)) {
+      throw new OAuthError('Invalid parameter: `resource` must be an absolute URI', { code: 400, name: 'invalid_target' });
+    }
+
+    const subject = await oauth2Service.getAccessToken(subjectToken);
+    if (!subject) {
+      throw new InvalidGrantError('Invalid grant: subject token is invalid or expired');
+    }
+
+    const scope = this.getExchangeScope(request, subject, client);
+
+    const user = await User.findByPk(subject.user.id);
+    if (!user || user.status !== 'active') {
+      throw new InvalidGrantError('Invalid grant: subject user is not active');
+    }
+
+    // Exchanged tokens never outlive the token they were derived from
+    const remaining = Math.floor((new Date(subject.accessTokenExpiresAt).getTime() - Date.now()) / 1000);
+
+    logger.info('OAuth2 token exchange', {
+      clientId: client.clientId,
+      subjectClientId: subject.client.clientId,
+      userId: user.id,
+      requestedTokenType,
+      scope
+    });
+
+    if (requestedTokenType === TOKEN_TYPES.ACCESS_TOKEN) {
+      const lifetime = Math.min(this.accessTokenLifetime, remaining);
+      const token = await this.model.saveToken({
+        accessToken: await this.generateAccessToken(client, user, scope),
+        accessTokenExpiresAt: new Date(Date.now() + lifetime * 1000),
+        scope
+      }, client, { id: user.id, impersonationId: subject.user.impersonationId || null });
+
+      return { ...token, issuedTokenType: TOKEN_TYPES.ACCESS_TOKEN };
+    }
+
+    const permissions = scopesToPermissions(scope);
+    if (!Object.values(permissions).some(Boolean)) {
+      throw new InvalidScopeError('Invalid scope: requested scope grants no CA token permissions');
+    }
+
+    const lifetime = Math.min(config.oauth2.tokenExchange.caTokenLifetime, remaining);
+    const caToken = await tokenService.generateToken(user, {
+      permissions,
+      resourceType: 'url',
+      resourceValue: resource || '*',
+      expiryType: 'time',
+      expirySeconds: lifetime,
+      downscope: true,
+      tokenData: {
+        exchangedBy: client.clientId,
+        audience: audience || null,
+        scope,
+        ...(request.confirmation && { cnf: request.confirmation }),
+        ...(subject.act && { act: subject.act, impersonationId: subject.user.impersonationId })
+      }
+    });
+
+    return {
+      accessToken: typeof caToken === 'string' ? caToken : caToken.id,
+      accessTokenExpiresAt: new Date(Date.now() + lifetime * 1000),
+      scope,
+      client: { id: client.id },
+      user: { id: user.id },
+      issuedTokenType: TOKEN_TYPES.CA_TOKEN
+    };
+  }
+
+  /**
+   * Requested scope, which may only narrow the subject token's scope and
+   * must be allowed for the exchanging client
+   */
+  getExchangeScope(request, subject, client) {
+    const subjectScopes = subject.scope || [];
+    const clientScopes = client.scopes || [];
+    const allowed = subjectScopes.filter(s => clientScopes.includes(s));
+
+    if (!request.body.scope) {
+      return allowed;
+    }
+
+    const requested = this.getScope(request).split(' ').filter(Boolean);
+
+    if (requested.some(s => !allowed.includes(s))) {
+      throw new InvalidScopeError('Invalid scope: requested scope exceeds the subject token');
+    }
+
+    return requested;
+  }
+}
+
+module.exports = {
+  GRANT_TYPES,
+  TOKEN_TYPES,
+  DeviceCodeGrantType,
+  TokenExchangeGrantType,
+  scopesToPermissions
+};
@@ -6,10 +6,36 @@
  */
 
 const crypto = require('crypto');
-const { OAuth2Client, OAuth2Token, OAuth2AuthorizationCode, User } = require('../models');
+const { Op } = require('sequelize');
+const OAuth2Server = require('oauth2-server');
+const {
+  OAuth2Client,
+  OAuth2Token,
+  OAuth2AuthorizationCode,
+  OAuth2DeviceCode,
+  User,
+  ImpersonationSession
+} = require('../models');
 const { AppError } = require('@exprsn/shared');
 const config = require('../config');
 
+const DEVICE_CODE_GRANT = 'urn:ietf:params:oauth:grant-type:device_code';
+
+// RFC 8628 §6.1: consonants only, so codes cannot spell words
+const USER_CODE_ALPHABET = 'BCDFGHJKLMNPQRSTVWXZ';
+const USER_CODE_LENGTH = 8;
+
+/**
+ * Helper: Whether a code or token issued during an impersonation has outlived it
+ */
+function impersonationEnded(record) {
+  return Boolean(record.impersonationId) && (
+    !record.impersonation ||
+    record.impersonation.status !== 'active' ||
+    new Date(record.impersonation.expiresAt).getTime() <= Date.now()
+  );
+}
+
 /**
  * Get OAuth2 client by client ID
  */
@@ -48,7 +74,8 @@ async function saveAuthorizationCode(code, client, user) {
     clientId: client.id,
     userId: user.id,
     codeChallenge: code.codeChallenge,
-    codeChallengeMethod: code.codeChallengeMethod
+    codeChallengeMethod: code.codeChallengeMethod,
+    impersonationId: user.impersonationId || null
   });
 
   return {
@@ -57,7 +84,7 @@ async function saveAuthorizationCode(code, client, user) {
     redirectUri: authCode.redirectUri,
     scope: authCode.scope,
     client: { id: client.id },
-    user: { id: user.id }
+    user: { id: user.id, impersonationId: authCode.impersonationId }
   };
 }
 
@@ -69,7 +96,8 @@ async function getAuthorizationCode(authorizationCode) {
     where: { code: authorizationCode, used: false },
     include: [
       { model: OAuth2Client, as: 'client' },
-      { model: User, as: 'user' }
+      { model: User, as: 'user' },
+      { model: ImpersonationSession, as: 'impersonation' }
     ]
   });
 
@@ -78,7 +106,7 @@ async function getAuthorizationCode(authorizationCode) {
   }
 
   // Check if expired
-  if (code.expiresAt < new Date()) {
+  if (code.expiresAt < new Date() || impersonationEnded(code)) {
     return null;
   }
 
@@ -97,7 +125,8 @@ async function getAuthorizationCode(authorizationCode) {
     },
     user: {
       id: code.user.id,
-      email: code.user.email
+      email: code.user.email,
+      impersonationId: code.impersonationId
     }
   };
 }
@@ -130,7 +159,8 @@ async function saveToken(token, client, user) {
     refreshTokenExpiresAt: token.refreshTokenExpiresAt,
     scope: token.scope || [],
     clientId: client.id,
-    userId: user.id
+    userId: user.id,
+    impersonationId: user.impersonationId || null
   });
 
   return {
@@ -140,7 +170,7 @@ async function saveToken(token, client, user) {
     refreshTokenExpiresAt: savedToken.refreshTokenExpiresAt,
     scope: savedToken.scope,
     client: { id: client.id },
-    user: { id: user.id }
+    user: { id: user.id, impersonationId: savedToken.impersonationId }
   };
 }
 
@@ -152,7 +182,8 @@ async function getAccessToken(accessToken) {
     where: { accessToken, revoked: false },
     include: [
       { model: OAuth2Client, as: 'client' },
-      { model: User, as: 'user' }
+      { model: User, as: 'user' },
+      { model: ImpersonationSession, as: 'impersonation' }
     ]
   });
 
@@ -161,7 +192,7 @@ async function getAccessToken(accessToken) {
   }
 
   // Check if expired
-  if (token.accessTokenExpiresAt < new Date()) {
+  if (token.accessTokenExpiresAt < new Date() || impersonationEnded(token)) {
     return null;
   }
 
@@ -169,17 +200,36 @@ async function getAccessToken(accessToken) {
     accessToken: token.accessToken,
     accessTokenExpiresAt: token.accessTokenExpiresAt,
     scope: token.scope,
+    tokenType: token.tokenType,
+    confirmation: token.confirmation,
+    // RFC 8693 actor claim for tokens issued while impersonating
+    act: token.impersonation ? { sub: token.impersonation.actorId } : null,
     client: {
       id: token.client.id,
       clientId: token.client.clientId
     },
     user: {
       id: token.user.id,
-      email: token.user.email
+      email: token.user.email,
+      impersonationId: token.impersonationId
     }
   };
 }
 
+/**
+ * Bind an issued token to the sender's DPoP key and/or client certificate
+ * @param {string} accessToken
+ * @param {Object} confirmation - cnf: {jkt?, 'x5t#S256'?}
+ */
+async function bindToken(accessToken, confirmation) {
+  await OAuth2Token.update({
+    tokenType: confirmation.jkt ? 'DPoP' : 'Bearer',
+    confirmation
+  }, {
+    where: { accessToken }
+  });
+}
+
 /**
  * Get refresh token
  */
@@ -188,7 +238,8 @@ async function getRefreshToken(refreshToken) {
     where: { refreshToken, revoked: false },
     include: [
       { model: OAuth2Client, as: 'client' },
-      { model: User, as: 'user' }
+      { model: User, as: 'user' },
+      { model: ImpersonationSession, as: 'impersonation' }
     ]
   });
 
@@ -197,7 +248,7 @@ async function getRefreshToken(refreshToken) {
   }
 
   // Check if expired
-  if (token.refreshTokenExpiresAt < new Date()) {
+  if (token.refreshTokenExpiresAt < new Date() || impersonationEnded(token)) {
     return null;
   }
 
@@ -212,7 +263,8 @@ async function getRefreshToken(refreshToken) {
     },
     user: {
       id: token.user.id,
-      email: token.user.email
+      email: token.user.email,
+      impersonationId: token.impersonationId
     }
   };
 }
@@ -280,6 +332,204 @@ function generateRefreshToken() {
   return crypto.randomBytes(64).toString('hex');
 }
 
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Device Authorization (RFC 8628)
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/**
+ * Hash a device code for storage
+ */
+function hashDeviceCode(deviceCode) {
+  return crypto.createHash('sha256').update(deviceCode).digest('hex');
+}
+
+/**
+ * Generate a user code such as "BDFH-JKLM"
+ * @returns {string} Normalized code without the separator
+ */
+function generateUserCode() {
+  let code = '';
+  for (let i = 0; i < USER_CODE_LENGTH; i++) {
+    code += USER_CODE_ALPHABET[crypto.randomInt(USER_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Normalize what a user typed: case-insensitive, separators ignored
+ */
+function normalizeUserCode(userCode) {
+  return String(userCode || '').toUpperCase().replace(/[^A-Z]/g, '');
+}
+
+/**
+ * Format a normalized user code for display
+ */
+function formatUserCode(userCode) {
+  return `${userCode.slice(0, 4)}-${userCode.slice(4)}`;
+}
+
+/**
+ * Start a device authorization (RFC 8628 §3.1-3.2)
+ * @param {string} clientId - Public client ID
+ * @param {string|null} clientSecret - Required for confidential clients
+ * @param {string} [scope] - Space-delimited requested scope
+ * @returns {Promise<Object>} Device authorization response body
+ */
+async function createDeviceAuthorization(clientId, clientSecret, scope) {
+  const client = clientId && await OAuth2Client.findOne({ where: { clientId, status: 'active' } });
+
+  if (!client || (client.type === 'confidential' && client.clientSecret !== clientSecret)) {
+    throw new OAuth2Server.InvalidClientError('Invalid client: client is invalid');
+  }
+
+  if (!(client.grants || []).includes(DEVICE_CODE_GRANT)) {
+    throw new OAuth2Server.UnauthorizedClientError('Unauthorized client: device authorization is not allowed');
+  }
+
+  const clientScopes = client.scopes || [];
+  const requested = scope ? scope.split(' ').filter(Boolean) : clientScopes;
+
+  if (requested.some(s => !clientScopes.includes(s))) {
+    throw new OAuth2Server.InvalidScopeError('Invalid scope: Requested scope is invalid');
+  }
+
+  const { codeLifetime, pollingInterval, verificationUri } = config.oauth2.device;
+  const deviceCode = crypto.randomBytes(32).toString('hex');
+
+  // Retry on the (unlikely) collision with an outstanding user code
+  let record;
+  for (let attempt = 0; !record; attempt++) {
+    const userCode = generateUserCode();
+
+    if (attempt < 5 && await OAuth2DeviceCode.findOne({ where: { userCode } })) {
+      continue;
+    }
+
+    record = await OAuth2DeviceCode.create({
+      deviceCodeHash: hashDeviceCode(deviceCode),
+      userCode,
+      clientId: client.id,
+      scope: requested,
+      interval: pollingInterval,
+      expiresAt: new Date(Date.now() + codeLifetime * 1000)
+    });
+  }
+
+  const userCode = formatUserCode(record.userCode);
+
+  return {
+    device_code: deviceCode,
+    user_code: userCode,
+    verification_uri: verificationUri,
+    verification_uri_complete: `${verificationUri}?user_code=${encodeURIComponent(userCode)}`,
+    expires_in: codeLifetime,
+    interval: pollingInterval
+  };
+}
+
+/**
+ * Find a device authorization awaiting the user's decision
+ * @param {string} userCode - As entered by the user
+ * @returns {Promise<Object|null>} Device code with its client
+ */
+async function getPendingDeviceAuthorization(userCode) {
+  const normalized = normalizeUserCode(userCode);
+
+  if (normalized.length !== USER_CODE_LENGTH) {
+    return null;
+  }
+
+  return OAuth2DeviceCode.findOne({
+    where: {
+      userCode: normalized,
+      status: 'pending',
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    include: [{ model: OAuth2Client, as: 'client' }]
+  });
+}
+
+/**
+ * Record the user's approval or denial of a device authorization
+ * @param {string} userCode
+ * @param {Object} user - The signed-in user deciding
+ * @param {boolean} approved
+ * @returns {Promise<boolean>} False if the code was no longer pending
+ */
+async function decideDeviceAuthorization(userCode, user, approved) {
+  const [updated] = await OAuth2DeviceCode.update({
+    status: approved ? 'approved' : 'denied',
+    userId: user.id,
+    decidedAt: new Date()
+  }, {
+    where: {
+      userCode: normalizeUserCode(userCode),
+      status: 'pending',
+      expiresAt: { [Op.gt]: new Date() }
+    }
+  });
+
+  return updated > 0;
+}
+
+/**
+ * Resolve a polled device code (RFC 8628 §3.4-3.5). Enforces the
+ * polling interval, and consumes an approved code exactly once.
+ * @param {string} deviceCode
+ * @param {Object} client - Authenticated client from getClient()
+ * @returns {Promise<Object>} The consumed device code
+ */
+async function pollDeviceCode(deviceCode, client) {
+  const record = await OAuth2DeviceCode.findOne({
+    where: { deviceCodeHash: hashDeviceCode(deviceCode), clientId: client.id }
+  });
+
+  if (!record || record.status === 'consumed') {
+    throw new OAuth2Server.InvalidGrantError('Invalid grant: device code is invalid');
+  }
+
+  const now = Date.now();
+
+  if (new Date(record.expiresAt).getTime() <= now) {
+    throw new OAuth2Server.OAuthError('Device code has expired', { code: 400, name: 'expired_token' });
+  }
+
+  if (record.lastPolledAt && now - new Date(record.lastPolledAt).getTime() < record.interval * 1000) {
+    await record.update({ interval: record.interval + 5, lastPolledAt: new Date(now) });
+    throw new OAuth2Server.OAuthError(`Polling too fast; wait ${record.interval} seconds between requests`, {
+      code: 400,
+      name: 'slow_down'
+    });
+  }
+
+  await record.update({ lastPolledAt: new Date(now) });
+
+  if (record.status === 'pending') {
+    throw new OAuth2Server.OAuthError('The user has not yet completed authorization', {
+      code: 400,
+      name: 'authorization_pending'
+    });
+  }
+
+  if (record.status === 'denied') {
+    throw new OAuth2Server.AccessDeniedError('Access denied: user denied the authorization request');
+  }
+
+  // Consume atomically so concurrent polls cannot both receive tokens
+  const [consumed] = await OAuth2DeviceCode.update({ status: 'consumed' }, {
+    where: { id: record.id, status: 'approved' }
+  });
+
+  if (!consumed) {
+    throw new OAuth2Server.InvalidGrantError('Invalid grant: device code is invalid');
+  }
+
+  return record;
+}
+
 module.exports = {
   getClient,
   saveAuthorizationCode,
@@ -287,11 +537,17 @@ module.exports = {
   revokeAuthorizationCode,
   saveToken,
   getAccessToken,
+  bindToken,
   getRefreshToken,
   revokeToken,
   verifyScope,
   validateRedirectUri,
   generateAuthorizationCode,
   generateAccessToken,
-  generateRefreshToken
+  generateRefreshToken,
+  formatUserCode,
+  createDeviceAuthorization,
+  getPendingDeviceAuthorization,
+  decideDeviceAuthorization,
+  pollDeviceCode
 };
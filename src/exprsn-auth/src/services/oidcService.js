@@ -8,6 +8,7 @@
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { User, Application, OAuth2Token } = require('../models');
+const { SUPPORTED_ALGORITHMS } = require('../../../shared/utils/dpop');
 const oauth2Service = require('./oauth2Service');
 const config = require('../config');
 
@@ -64,7 +65,9 @@ async function generateIdToken(user, client, nonce = null, options = {}) {
 /**
  * Get user info (OIDC UserInfo endpoint)
  */
-async function getUserInfo(accessToken) {
+async function getUserInfo(accessToken, options = {}) {
+  const { verifyToken } = options;
+
   // Validate access token
   const tokenData = await oauth2Service.getAccessToken(accessToken);
 
@@ -72,6 +75,11 @@ async function getUserInfo(accessToken) {
     throw new Error('INVALID_TOKEN');
   }
 
+  // Sender constraint check for DPoP and certificate-bound tokens
+  if (verifyToken) {
+    await verifyToken(tokenData);
+  }
+
   const user = await User.findByPk(tokenData.user.id);
 
   if (!user) {
@@ -110,6 +118,7 @@ function getDiscoveryDocument() {
     issuer,
     authorization_endpoint: `${issuer}/api/oauth2/authorize`,
     token_endpoint: `${issuer}/api/oauth2/token`,
+    device_authorization_endpoint: `${issuer}/api/oauth2/device_authorization`,
     userinfo_endpoint: `${issuer}/api/oauth2/userinfo`,
     jwks_uri: `${issuer}/.well-known/jwks.json`,
     end_session_endpoint: `${issuer}/api/oauth2/logout`,
@@ -136,7 +145,9 @@ function getDiscoveryDocument() {
       'authorization_code',
       'implicit',
       'refresh_token',
-      'client_credentials'
+      'client_credentials',
+      'urn:ietf:params:oauth:grant-type:device_code',
+      'urn:ietf:params:oauth:grant-type:token-exchange'
     ],
 
     // Subject types
@@ -173,6 +184,10 @@ function getDiscoveryDocument() {
     // Code challenge methods (PKCE)
     code_challenge_methods_supported: ['S256', 'plain'],
 
+    // Sender-constrained tokens (RFC 9449, RFC 8705)
+    dpop_signing_alg_values_supported: SUPPORTED_ALGORITHMS,
+    tls_client_certificate_bound_access_tokens: true,
+
     // UI locales
     ui_locales_supported: ['en-US'],
 
@@ -0,0 +1,583 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Organization SSO Service
+ * Routes sign-ins for verified domains to the organization's
+ * SAML, OIDC or LDAP provider, and provisions members just in time
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const axios = require('axios');
+const { AppError, logger } = require('@exprsn/shared');
+const {
+  User,
+  Organization,
+  OrganizationMember,
+  OrganizationDomain,
+  OrganizationSsoConfig,
+  LdapConfig
+} = require('../models');
+const organizationService = require('./organizationService');
+const domainVerificationService = require('./domainVerificationService');
+const ldapService = require('./ldapService');
+const samlConfig = require('../config/saml');
+const config = require('../config');
+
+const PROVIDER_TYPES = ['saml', 'oidc', 'ldap'];
+const DEFAULT_ROLES = ['member', 'guest'];
+const EDITABLE_FIELDS = [
+  'providerType',
+  'samlIdpKey',
+  'oidcIssuer',
+  'oidcClientId',
+  'oidcClientSecret',
+  'oidcScopes',
+  'ldapConfigId',
+  'enabled',
+  'enforced',
+  'jitProvisioning',
+  'defaultRole'
+];
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const DISCOVERY_TTL = 60 * 60 * 1000;
+
+const discoveryCache = new Map();
+
+async function getSsoConfig(organizationId) {
+  return OrganizationSsoConfig.findOne({ where: { organizationId } });
+}
+
+/**
+ * Create or update an organization's SSO settings
+ * @param {string} organizationId
+ * @param {object} data - Any of EDITABLE_FIELDS; an empty oidcClientSecret keeps the stored one
+ */
+async function saveSsoConfig(organizationId, data) {
+  const existing = await getSsoConfig(organizationId);
+  const updates = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) {
+      updates[field] = data[field];
+    }
+  }
+
+  if (!updates.oidcClientSecret) {
+    delete updates.oidcClientSecret;
+  }
+
+  const merged = { ...(existing ? existing.toJSON() : {}), ...updates };
+
+  if (!PROVIDER_TYPES.includes(merged.providerType)) {
+    throw new AppError(`Provider type must be one of: ${PROVIDER_TYPES.join(', ')}`, 400, 'INVALID_PROVIDER');
+  }
+
+  if (merged.defaultRole && !DEFAULT_ROLES.includes(merged.defaultRole)) {
+    throw new AppError(`Default role must be one of: ${DEFAULT_ROLES.join(', ')}`, 400, 'INVALID_ROLE');
+  }
+
+  if (merged.providerType === 'saml' && !samlConfig.identityProviders[merged.samlIdpKey]) {
+    throw new AppError('Unknown SAML identity provider', 400, 'INVALID_SAML_IDP');
+  }
+
+  if (merged.providerType === 'oidc' && (!merged.oidcIssuer || !merged.oidcClientId)) {
+    throw new AppError('OIDC issuer and client ID are required', 400, 'INVALID_OIDC_CONFIG');
+  }
+
+  if (merged.providerType === 'ldap') {
+    const ldapConfig = merged.ldapConfigId && await LdapConfig.findByPk(merged.ldapConfigId);
+
+    if (!ldapConfig || (ldapConfig.organizationId && ldapConfig.organizationId !== organizationId)) {
+      throw new AppError('Unknown LDAP configuration', 400, 'INVALID_LDAP_CONFIG');
+    }
+  }
+
+  // Enforcing without a verified domain would apply to no one
+  if (merged.enforced) {
+    const verified = await OrganizationDomain.count({ where: { organizationId, status: 'verified' } });
+
+    if (!verified) {
+      throw new AppError('Verify a domain before enforcing SSO', 400, 'NO_VERIFIED_DOMAIN');
+    }
+  }
+
+  const ssoConfig = existing
+    ? await existing.update(updates)
+    : await OrganizationSsoConfig.create({ ...updates, organizationId });
+
+  logger.info('Organization SSO config saved', {
+    organizationId,
+    providerType: ssoConfig.providerType,
+    enforced: ssoConfig.enforced
+  });
+
+  return ssoConfig;
+}
+
+async function deleteSsoConfig(organizationId) {
+  const ssoConfig = await getSsoConfig(organizationId);
+
+  if (!ssoConfig) {
+    throw new AppError('SSO is not configured', 404, 'SSO_NOT_CONFIGURED');
+  }
+
+  await ssoConfig.destroy();
+  logger.info('Organization SSO config removed', { organizationId });
+}
+
+/**
+ * Organization whose verified domain and enabled SSO cover an email
+ * @param {string} email
+ * @returns {Promise<{ organization, domain, ssoConfig }|null>}
+ */
+async function findOrgForEmail(email) {
+  const domain = domainVerificationService.emailDomain(email);
+
+  if (!domain) {
+    return null;
+  }
+
+  const record = await domainVerificationService.findVerifiedDomain(domain);
+  if (!record) {
+    return null;
+  }
+
+  const ssoConfig = await getSsoConfig(record.organizationId);
+  if (!ssoConfig || !ssoConfig.enabled) {
+    return null;
+  }
+
+  const organization = await Organization.findByPk(record.organizationId);
+  if (!organization || organization.status !== 'active') {
+    return null;
+  }
+
+  return { organization, domain: record, ssoConfig };
+}
+
+/**
+ * Where a sign-in for an email should go
+ * @param {string} email
+ * @param {object} [options]
+ * @param {string} [options.redirect] - Where to land after signing in
+ * @returns {Promise<object|null>} null when the email is not covered by organization SSO
+ */
+async function getLoginRoute(email, { redirect } = {}) {
+  const match = await findOrgForEmail(email);
+
+  if (!match) {
+    return null;
+  }
+
+  const { organization, ssoConfig } = match;
+  const params = new URLSearchParams({ login_hint: email });
+
+  if (redirect) {
+    params.set('redirect', redirect);
+  }
+
+  return {
+    organizationId: organization.id,
+    organizationName: organization.name,
+    providerType: ssoConfig.providerType,
+    enforced: ssoConfig.enforced,
+    // LDAP users keep using the password form
+    loginUrl: ssoConfig.providerType === 'ldap'
+      ? null
+      : `/api/sso/orgs/${organization.id}/login?${params}`
+  };
+}
+
+/**
+ * Helper: Local redirect targets only
+ */
+function safeRedirect(redirect) {
+  return typeof redirect === 'string' && redirect.startsWith('/') && !redirect.startsWith('//')
+    ? redirect
+    : '/dashboard';
+}
+
+function callbackUrl(organizationId) {
+  return `${config.sso.baseUrl.replace(/\/$/, '')}/api/sso/orgs/${organizationId}/oidc/callback`;
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * OIDC provider metadata, cached for an hour
+ */
+async function discover(issuer) {
+  const cached = discoveryCache.get(issuer);
+
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_TTL) {
+    return cached.metadata;
+  }
+
+  const { data: metadata } = await axios.get(
+    `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`,
+    { timeout: 10000 }
+  );
+
+  if (!metadata.authorization_endpoint || !metadata.token_endpoint) {
+    throw new AppError('OIDC provider metadata is incomplete', 502, 'OIDC_DISCOVERY_FAILED');
+  }
+
+  discoveryCache.set(issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+}
+
+/**
+ * Begin an SSO sign-in for an organization
+ * @param {object} req - Request with a session
+ * @param {string} organizationId
+ * @param {object} [options]
+ * @param {string} [options.redirect]
+ * @param {string} [options.loginHint]
+ * @returns {Promise<string>} URL to send the browser to
+ */
+async function startLogin(req, organizationId, { redirect, loginHint } = {}) {
+  const ssoConfig = await getSsoConfig(organizationId);
+
+  if (!ssoConfig || !ssoConfig.enabled) {
+    throw new AppError('SSO is not configured for this organization', 404, 'SSO_NOT_CONFIGURED');
+  }
+
+  const target = safeRedirect(redirect);
+
+  if (ssoConfig.providerType === 'saml') {
+    req.session.orgSso = {
+      organizationId,
+      providerType: 'saml',
+      expiresAt: Date.now() + config.sso.stateLifetime
+    };
+
+    const params = new URLSearchParams({ idp: ssoConfig.samlIdpKey, redirect: target });
+    return `/api/saml/login?${params}`;
+  }
+
+  if (ssoConfig.providerType === 'oidc') {
+    const metadata = await discover(ssoConfig.oidcIssuer);
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+
+    req.session.orgSso = {
+      organizationId,
+      providerType: 'oidc',
+      state,
+      nonce,
+      codeVerifier,
+      redirect: target,
+      expiresAt: Date.now() + config.sso.stateLifetime
+    };
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: ssoConfig.oidcClientId,
+      redirect_uri: callbackUrl(organizationId),
+      scope: ssoConfig.oidcScopes || 'openid email profile',
+      state,
+      nonce,
+      code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+      code_challenge_method: 'S256'
+    });
+
+    if (loginHint) {
+      params.set('login_hint', loginHint);
+    }
+
+    return `${metadata.authorization_endpoint}?${params}`;
+  }
+
+  throw new AppError('LDAP organizations sign in with their directory password', 400, 'SSO_NOT_REDIRECT');
+}
+
+/**
+ * Check an ID token's signature and claims
+ */
+async function verifyIdToken(idToken, metadata, ssoConfig, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new AppError('Malformed ID token', 401, 'OIDC_INVALID_TOKEN');
+  }
+
+  let key;
+  let algorithms;
+
+  if (decoded.header.alg === 'HS256' && ssoConfig.oidcClientSecret) {
+    key = ssoConfig.oidcClientSecret;
+    algorithms = ['HS256'];
+  } else {
+    if (!metadata.jwks_uri) {
+      throw new AppError('OIDC provider publishes no signing keys', 502, 'OIDC_DISCOVERY_FAILED');
+    }
+
+    const { data: jwks } = await axios.get(metadata.jwks_uri, { timeout: 10000 });
+    const jwk = (jwks.keys || []).find(candidate =>
+      (!decoded.header.kid || candidate.kid === decoded.header.kid) && candidate.use !== 'enc'
+    );
+
+    if (!jwk) {
+      throw new AppError('ID token signing key not found', 401, 'OIDC_INVALID_TOKEN');
+    }
+
+    key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    algorithms = ID_TOKEN_ALGORITHMS;
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms,
+      issuer: metadata.issuer || ssoConfig.oidcIssuer,
+      audience: ssoConfig.oidcClientId
+    });
+  } catch (error) {
+    throw new AppError(`Invalid ID token: ${error.message}`, 401, 'OIDC_INVALID_TOKEN');
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new AppError('ID token nonce mismatch', 401, 'OIDC_INVALID_TOKEN');
+  }
+
+  return claims;
+}
+
+/**
+ * Finish an OIDC sign-in started by startLogin
+ * @param {object} req - Request with a session
+ * @param {string} organizationId
+ * @param {object} query - Callback query parameters
+ * @returns {Promise<{ user, redirect: string }>}
+ */
+async function completeOidcLogin(req, organizationId, query) {
+  const pending = req.session.orgSso;
+  delete req.session.orgSso;
+
+  if (!pending || pending.providerType !== 'oidc' || pending.organizationId !== organizationId ||
+      pending.expiresAt < Date.now()) {
+    throw new AppError('SSO sign-in expired or was not started here', 400, 'SSO_STATE_INVALID');
+  }
+
+  if (query.error) {
+    throw new AppError(query.error_description || query.error, 401, 'OIDC_AUTH_FAILED');
+  }
+
+  if (!query.code || query.state !== pending.state) {
+    throw new AppError('SSO sign-in state mismatch', 400, 'SSO_STATE_INVALID');
+  }
+
+  const match = await requireOrgSso(organizationId, 'oidc');
+  const { ssoConfig } = match;
+  const metadata = await discover(ssoConfig.oidcIssuer);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: query.code,
+    redirect_uri: callbackUrl(organizationId),
+    code_verifier: pending.codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (ssoConfig.oidcClientSecret) {
+    const credentials = `${encodeURIComponent(ssoConfig.oidcClientId)}:${encodeURIComponent(ssoConfig.oidcClientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', ssoConfig.oidcClientId);
+  }
+
+  let tokens;
+  try {
+    ({ data: tokens } = await axios.post(metadata.token_endpoint, body.toString(), { headers, timeout: 10000 }));
+  } catch (error) {
+    logger.warn('OIDC code exchange failed', { organizationId, error: error.message });
+    throw new AppError('SSO provider rejected the sign-in', 401, 'OIDC_AUTH_FAILED');
+  }
+
+  if (!tokens.id_token) {
+    throw new AppError('SSO provider returned no ID token', 401, 'OIDC_AUTH_FAILED');
+  }
+
+  let claims = await verifyIdToken(tokens.id_token, metadata, ssoConfig, pending.nonce);
+
+  if (metadata.userinfo_endpoint && tokens.access_token) {
+    const { data: userinfo } = await axios.get(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+      timeout: 10000
+    });
+
+    if (userinfo.sub === claims.sub) {
+      claims = { ...userinfo, ...claims };
+    }
+  }
+
+  if (claims.email_verified === false) {
+    throw new AppError('SSO provider has not verified this email address', 403, 'EMAIL_NOT_VERIFIED');
+  }
+
+  const user = await provisionUser(match, {
+    email: claims.email,
+    firstName: claims.given_name,
+    lastName: claims.family_name,
+    displayName: claims.name
+  });
+
+  return { user, redirect: pending.redirect };
+}
+
+/**
+ * Apply organization rules to a SAML sign-in started by startLogin
+ * Sign-ins through the same IdP that were not started here pass through
+ * @param {object} req - Request with a session
+ * @param {object} user - User the SAML strategy resolved
+ */
+async function completeSamlLogin(req, user) {
+  const pending = req.session.orgSso;
+  delete req.session.orgSso;
+
+  if (!pending || pending.providerType !== 'saml') {
+    return user;
+  }
+
+  if (pending.expiresAt < Date.now()) {
+    throw new AppError('SSO sign-in expired', 400, 'SSO_STATE_INVALID');
+  }
+
+  const match = await requireOrgSso(pending.organizationId, 'saml');
+  return provisionUser(match, {
+    email: user.email,
+    displayName: user.displayName
+  });
+}
+
+/**
+ * Sign in through the organization's LDAP directory
+ * @param {object} match - From findOrgForEmail
+ * @param {string} email
+ * @param {string} password
+ */
+async function authenticateLdap(match, email, password) {
+  const { attributes } = await ldapService.authenticateUser(email, password, match.ssoConfig.ldapConfigId);
+  const directoryEmail = attributes?.email || email;
+
+  return provisionUser(match, {
+    email: directoryEmail,
+    firstName: attributes?.firstName,
+    lastName: attributes?.lastName,
+    displayName: attributes?.displayName
+  });
+}
+
+/**
+ * Helper: The organization's SSO settings, which must still use the given provider
+ */
+async function requireOrgSso(organizationId, providerType) {
+  const organization = await Organization.findByPk(organizationId);
+  const ssoConfig = await getSsoConfig(organizationId);
+
+  if (!organization || organization.status !== 'active' || !ssoConfig || !ssoConfig.enabled ||
+      ssoConfig.providerType !== providerType) {
+    throw new AppError('SSO is not configured for this organization', 404, 'SSO_NOT_CONFIGURED');
+  }
+
+  return { organization, ssoConfig };
+}
+
+/**
+ * Find or create the user an identity provider vouched for, and make
+ * sure they belong to the organization
+ * @param {object} match - { organization, ssoConfig }
+ * @param {object} profile - { email, firstName, lastName, displayName }
+ */
+async function provisionUser({ organization, ssoConfig }, profile) {
+  const email = typeof profile.email === 'string' ? profile.email.trim().toLowerCase() : null;
+  const domain = domainVerificationService.emailDomain(email);
+
+  // Providers may only vouch for addresses in the organization's own verified domains
+  const verified = domain && await OrganizationDomain.findOne({
+    where: { organizationId: organization.id, domain, status: 'verified' }
+  });
+
+  if (!verified) {
+    throw new AppError('Email domain is not verified for this organization', 403, 'DOMAIN_NOT_VERIFIED');
+  }
+
+  let user = await User.findOne({ where: { email } });
+
+  if (!user) {
+    const displayName = profile.displayName ||
+      [profile.firstName, profile.lastName].filter(Boolean).join(' ') ||
+      email.split('@')[0];
+
+    user = await User.create({
+      email,
+      emailVerified: true,
+      firstName: profile.firstName,
+      lastName: profile.lastName,
+      displayName
+    });
+
+    logger.info('User provisioned through organization SSO', {
+      userId: user.id,
+      organizationId: organization.id,
+      providerType: ssoConfig.providerType
+    });
+  } else if (user.status && user.status !== 'active') {
+    throw new AppError('Account is not active', 403, 'ACCOUNT_INACTIVE');
+  } else if (!user.emailVerified) {
+    await user.update({ emailVerified: true });
+  }
+
+  await ensureMembership(organization, ssoConfig, user);
+
+  await user.update({ lastLoginAt: new Date() });
+
+  return user;
+}
+
+/**
+ * Helper: Add the user to the organization if JIT provisioning allows it
+ */
+async function ensureMembership(organization, ssoConfig, user) {
+  const membership = await OrganizationMember.findOne({
+    where: { organizationId: organization.id, userId: user.id }
+  });
+
+  if (membership && membership.status === 'active') {
+    return membership;
+  }
+
+  // Members an admin removed or suspended stay out
+  if (membership) {
+    throw new AppError('Your organization membership is not active', 403, 'MEMBERSHIP_INACTIVE');
+  }
+
+  if (!ssoConfig.jitProvisioning) {
+    throw new AppError('You are not a member of this organization', 403, 'NOT_A_MEMBER');
+  }
+
+  logger.info('Organization member provisioned just in time', {
+    organizationId: organization.id,
+    userId: user.id,
+    role: ssoConfig.defaultRole
+  });
+
+  return organizationService.addMember(organization.id, user.id, { role: ssoConfig.defaultRole });
+}
+
+module.exports = {
+  getSsoConfig,
+  saveSsoConfig,
+  deleteSsoConfig,
+  findOrgForEmail,
+  getLoginRoute,
+  startLogin,
+  completeOidcLogin,
+  completeSamlLogin,
+  authenticateLdap,
+  provisionUser
+};
@@ -21,7 +21,8 @@ const PasswordStrength = {
 };
 
 /**
- * Common weak passwords (subset - in production, use a larger list)
+ * Common weak passwords
+ * Breached passwords are screened separately by breachedPasswordService
  */
 const COMMON_WEAK_PASSWORDS = [
   'password', 'password123', '12345678', '123456789', 'qwerty',
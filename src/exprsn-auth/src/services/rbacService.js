@@ -8,119 +8,171 @@
 const { User, Group, Role, Permission, UserRole, GroupRole, Application, Organization } = require('../models');
 const { AppError } = require('@exprsn/shared');
 const redisClient = require('../utils/redis');
+const accessPolicyService = require('./accessPolicyService');
 
 /**
  * Check if user has permission
- * Resolves permissions from user roles and group roles
+ * Resolves permissions from user roles and group roles, then applies
+ * attribute-based access policies for the permission
+ * @param {string} userId
+ * @param {string} permissionString
+ * @param {object} options - { organizationId, applicationId, serviceName,
+ *   context: { subject, resource, environment }, explain }
  */
 async function checkPermission(userId, permissionString, options = {}) {
-  const { organizationId, applicationId, serviceName } = options;
+  const { organizationId, context, explain = false } = options;
 
   try {
-    // Check cache first
-    const cacheKey = `permission:${userId}:${permissionString}:${organizationId || 'null'}:${applicationId || 'null'}:${serviceName || 'null'}`;
-    const cachedResult = await redisClient.get(cacheKey);
+    const grant = await resolveRoleGrant(userId, permissionString, options);
 
-    if (cachedResult) {
-      return cachedResult;
+    if (!grant) {
+      return { allowed: false, reason: 'User not found' };
     }
 
-    // Get user with roles and groups
-    const user = await User.findByPk(userId, {
-      include: [
-        {
-          model: Role,
-          as: 'roles',
-          through: {
-            where: {
-              status: 'active',
-              ...(organizationId && { organizationId }),
-              ...(applicationId && { applicationId })
-            }
+    const { roles = [], ...rbac } = grant;
+
+    const policies = (await accessPolicyService.getActivePolicies(organizationId))
+      .filter(policy => policy.permissions.some(pattern => matchesPermissionPattern(pattern, permissionString)));
+
+    if (policies.length === 0) {
+      return explain ? { ...rbac, explanation: { rbac, attributes: null, policies: [] } } : rbac;
+    }
+
+    const attributes = await accessPolicyService.buildAttributes(userId, { organizationId, roles, context });
+    const evaluation = accessPolicyService.evaluatePolicies(policies, attributes, roles.map(role => role.id));
+
+    let result = rbac;
+
+    if (evaluation.decision === 'deny') {
+      result = {
+        allowed: false,
+        reason: `Denied by access policy "${evaluation.policy.name}"`,
+        policy: evaluation.policy.id
+      };
+    } else if (!rbac.allowed && evaluation.decision === 'allow') {
+      result = {
+        allowed: true,
+        reason: `Granted by access policy "${evaluation.policy.name}"`,
+        policy: evaluation.policy.id
+      };
+    }
+
+    return explain ? { ...result, explanation: { rbac, attributes, policies: evaluation.trace } } : result;
+  } catch (error) {
+    console.error('Error checking permission:', error);
+    return { allowed: false, reason: 'Permission check failed', error: error.message };
+  }
+}
+
+/**
+ * Helper: Resolve a permission from the user's role assignments
+ * Returns null if the user does not exist; results carry the roles used for policy targeting
+ */
+async function resolveRoleGrant(userId, permissionString, options = {}) {
+  const { organizationId, applicationId, serviceName } = options;
+
+  // Check cache first
+  const cacheKey = `permission:${userId}:${permissionString}:${organizationId || 'null'}:${applicationId || 'null'}:${serviceName || 'null'}`;
+  const cachedResult = await redisClient.get(cacheKey);
+
+  if (cachedResult) {
+    return cachedResult;
+  }
+
+  // Get user with roles and groups
+  const user = await User.findByPk(userId, {
+    include: [
+      {
+        model: Role,
+        as: 'roles',
+        through: {
+          where: {
+            status: 'active',
+            ...(organizationId && { organizationId }),
+            ...(applicationId && { applicationId })
           }
-        },
-        {
-          model: Group,
-          as: 'groups',
-          include: [
-            {
-              model: Role,
-              as: 'roles',
-              through: {
-                where: {
-                  status: 'active',
-                  ...(organizationId && { organizationId }),
-                  ...(applicationId && { applicationId })
-                }
+        }
+      },
+      {
+        model: Group,
+        as: 'groups',
+        include: [
+          {
+            model: Role,
+            as: 'roles',
+            through: {
+              where: {
+                status: 'active',
+                ...(organizationId && { organizationId }),
+                ...(applicationId && { applicationId })
               }
             }
-          ]
-        }
-      ]
-    });
+          }
+        ]
+      }
+    ]
+  });
 
-    if (!user) {
-      return { allowed: false, reason: 'User not found' };
-    }
+  if (!user) {
+    return null;
+  }
 
-    // Collect all roles (user roles + group roles)
-    const allRoles = [...user.roles];
+  // Collect all roles (user roles + group roles)
+  const allRoles = [...user.roles];
 
-    user.groups.forEach(group => {
-      allRoles.push(...group.roles);
-    });
+  user.groups.forEach(group => {
+    allRoles.push(...group.roles);
+  });
 
-    // Remove duplicates and sort by priority
-    const uniqueRoles = Array.from(new Map(allRoles.map(r => [r.id, r])).values());
-    uniqueRoles.sort((a, b) => b.priority - a.priority);
+  // Remove duplicates and sort by priority
+  const uniqueRoles = Array.from(new Map(allRoles.map(r => [r.id, r])).values());
+  uniqueRoles.sort((a, b) => b.priority - a.priority);
 
-    // Check wildcard permission first
-    for (const role of uniqueRoles) {
-      if (role.permissions.includes('*')) {
-        const result = { allowed: true, role: role.slug, reason: 'Wildcard permission' };
-        await redisClient.set(cacheKey, result, 300); // Cache for 5 minutes
-        return result;
-      }
+  const roles = uniqueRoles.map(role => ({ id: role.id, slug: role.slug }));
+
+  // Check wildcard permission first
+  for (const role of uniqueRoles) {
+    if (role.permissions.includes('*')) {
+      const result = { allowed: true, role: role.slug, reason: 'Wildcard permission', roles };
+      await redisClient.set(cacheKey, result, 300); // Cache for 5 minutes
+      return result;
     }
+  }
 
-    // Check exact permission
-    for (const role of uniqueRoles) {
-      if (role.permissions.includes(permissionString)) {
-        const result = { allowed: true, role: role.slug, reason: 'Direct permission' };
+  // Check exact permission
+  for (const role of uniqueRoles) {
+    if (role.permissions.includes(permissionString)) {
+      const result = { allowed: true, role: role.slug, reason: 'Direct permission', roles };
+      await redisClient.set(cacheKey, result, 300); // Cache for 5 minutes
+      return result;
+    }
+  }
+
+  // Check pattern matching (e.g., 'org:*' matches 'org:read')
+  for (const role of uniqueRoles) {
+    for (const perm of role.permissions) {
+      if (matchesPermissionPattern(perm, permissionString)) {
+        const result = { allowed: true, role: role.slug, reason: 'Pattern match', roles };
         await redisClient.set(cacheKey, result, 300); // Cache for 5 minutes
         return result;
       }
     }
+  }
 
-    // Check pattern matching (e.g., 'org:*' matches 'org:read')
+  // Check service access if serviceName provided
+  if (serviceName) {
     for (const role of uniqueRoles) {
-      for (const perm of role.permissions) {
-        if (matchesPermissionPattern(perm, permissionString)) {
-          const result = { allowed: true, role: role.slug, reason: 'Pattern match' };
-          await redisClient.set(cacheKey, result, 300); // Cache for 5 minutes
-          return result;
-        }
-      }
-    }
-
-    // Check service access if serviceName provided
-    if (serviceName) {
-      for (const role of uniqueRoles) {
-        if (!canAccessService(role, serviceName)) {
-          const result = { allowed: false, reason: `Service ${serviceName} access denied` };
-          await redisClient.set(cacheKey, result, 60); // Cache denials for 1 minute
-          return result;
-        }
+      if (!canAccessService(role, serviceName)) {
+        const result = { allowed: false, reason: `Service ${serviceName} access denied`, roles };
+        await redisClient.set(cacheKey, result, 60); // Cache denials for 1 minute
+        return result;
       }
     }
-
-    const result = { allowed: false, reason: 'No matching permission found' };
-    await redisClient.set(cacheKey, result, 60); // Cache denials for 1 minute
-    return result;
-  } catch (error) {
-    console.error('Error checking permission:', error);
-    return { allowed: false, reason: 'Permission check failed', error: error.message };
   }
+
+  const result = { allowed: false, reason: 'No matching permission found', roles };
+  await redisClient.set(cacheKey, result, 60); // Cache denials for 1 minute
+  return result;
 }
 
 /**
@@ -0,0 +1,930 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SAML Identity Provider Service
+ * Exprsn as a SAML 2.0 IdP: service provider registration,
+ * signed assertions for SP- and IdP-initiated SSO, and
+ * Single Logout across participating service providers
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+const { DOMParser } = require('@xmldom/xmldom');
+const { SignedXml } = require('xml-crypto');
+const { AppError } = require('@exprsn/shared');
+const { Application, User, Group, Session } = require('../models');
+const rbacService = require('./rbacService');
+const samlConfig = require('../config/saml');
+const config = require('../config');
+
+const NS = {
+  PROTOCOL: 'urn:oasis:names:tc:SAML:2.0:protocol',
+  ASSERTION: 'urn:oasis:names:tc:SAML:2.0:assertion',
+  METADATA: 'urn:oasis:names:tc:SAML:2.0:metadata',
+  DSIG: 'http://www.w3.org/2000/09/xmldsig#'
+};
+
+const BINDINGS = {
+  REDIRECT: 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect',
+  POST: 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST'
+};
+
+const NAMEID_FORMATS = {
+  EMAIL: 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress',
+  PERSISTENT: 'urn:oasis:names:tc:SAML:2.0:nameid-format:persistent',
+  TRANSIENT: 'urn:oasis:names:tc:SAML:2.0:nameid-format:transient',
+  UNSPECIFIED: 'urn:oasis:names:tc:SAML:1.1:nameid-format:unspecified'
+};
+
+const STATUS = {
+  SUCCESS: 'urn:oasis:names:tc:SAML:2.0:status:Success',
+  RESPONDER: 'urn:oasis:names:tc:SAML:2.0:status:Responder',
+  REQUEST_DENIED: 'urn:oasis:names:tc:SAML:2.0:status:RequestDenied',
+  NO_PASSIVE: 'urn:oasis:names:tc:SAML:2.0:status:NoPassive',
+  PARTIAL_LOGOUT: 'urn:oasis:names:tc:SAML:2.0:status:PartialLogout'
+};
+
+// Protocol messages each binding parameter may carry
+const MESSAGE_TYPES = {
+  SAMLRequest: ['AuthnRequest', 'LogoutRequest'],
+  SAMLResponse: ['LogoutResponse']
+};
+
+// Redirect binding signature algorithms (SAML bindings §3.4.4.1)
+const REDIRECT_SIGNATURE_ALGORITHMS = {
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256': 'sha256',
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha512': 'sha512'
+};
+
+// User data an attribute can be released from
+const ATTRIBUTE_SOURCES = ['id', 'email', 'displayName', 'firstName', 'lastName', 'groups', 'roles'];
+
+const MAX_MESSAGE_SIZE = 256 * 1024;
+const RESUME_STATE_LIFETIME = 600; // 10 minutes
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+let credentials = null;
+
+/**
+ * CA-issued signing certificate and key, reloaded when renewed on disk
+ */
+function getSigningCredentials() {
+  const { certificatePath, privateKeyPath } = samlConfig.provider;
+
+  if (!certificatePath || !privateKeyPath || !fs.existsSync(certificatePath) || !fs.existsSync(privateKeyPath)) {
+    throw new AppError('SAML signing certificate is not configured', 503, 'SAML_IDP_NOT_CONFIGURED');
+  }
+
+  const modified = Math.max(fs.statSync(certificatePath).mtimeMs, fs.statSync(privateKeyPath).mtimeMs);
+  if (credentials?.modified === modified) {
+    return credentials;
+  }
+
+  const certificate = new crypto.X509Certificate(fs.readFileSync(certificatePath));
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(privateKeyPath));
+
+  // xml-crypto only signs with RSA
+  if (privateKey.asymmetricKeyType !== 'rsa' || !certificate.checkPrivateKey(privateKey)) {
+    throw new AppError('SAML signing requires an RSA certificate and its private key', 503, 'SAML_IDP_NOT_CONFIGURED');
+  }
+
+  credentials = {
+    modified,
+    certificate: certificate.raw.toString('base64'),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+
+  return credentials;
+}
+
+/**
+ * Helper: Escape text and attribute values
+ */
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;'
+  })[char]);
+}
+
+/**
+ * Helper: Message and assertion IDs must not start with a digit
+ */
+function generateId() {
+  return `_${crypto.randomBytes(20).toString('hex')}`;
+}
+
+function toPem(certificate) {
+  const lines = certificate.match(/.{1,64}/g).join('\n');
+  return `-----BEGIN CERTIFICATE-----\n${lines}\n-----END CERTIFICATE-----\n`;
+}
+
+/**
+ * Helper: Normalize a PEM or base64 DER certificate to base64 DER
+ */
+function normalizeCertificate(certificate) {
+  const base64 = String(certificate)
+    .replace(/-----(BEGIN|END) CERTIFICATE-----/g, '')
+    .replace(/\s+/g, '');
+
+  try {
+    new crypto.X509Certificate(Buffer.from(base64, 'base64'));
+  } catch (error) {
+    throw new AppError('Invalid service provider certificate', 400, 'INVALID_SAML_CONFIGURATION');
+  }
+
+  return base64;
+}
+
+function parseXml(xml) {
+  const fail = (message) => {
+    throw new AppError(`Malformed SAML message: ${message}`, 400, 'SAML_INVALID_MESSAGE');
+  };
+
+  const doc = new DOMParser({
+    errorHandler: { warning: () => {}, error: fail, fatalError: fail }
+  }).parseFromString(xml, 'text/xml');
+
+  if (!doc || !doc.documentElement || doc.doctype) {
+    fail('document type declarations are not allowed');
+  }
+
+  return doc;
+}
+
+function childElements(node, namespace, localName) {
+  return Array.from(node.childNodes || []).filter(child =>
+    child.nodeType === 1 && child.namespaceURI === namespace && child.localName === localName
+  );
+}
+
+function childText(node, namespace, localName) {
+  const child = childElements(node, namespace, localName)[0];
+  return child ? child.textContent.trim() : null;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Generate IdP metadata XML
+ */
+function generateMetadata() {
+  const { entityId, baseUrl } = samlConfig.provider;
+  const { certificate } = getSigningCredentials();
+
+  const nameIdFormats = Object.values(NAMEID_FORMATS)
+    .map(format => `    <md:NameIDFormat>${format}</md:NameIDFormat>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<md:EntityDescriptor xmlns:md="${NS.METADATA}" xmlns:ds="${NS.DSIG}" entityID="${escapeXml(entityId)}">
+  <md:IDPSSODescriptor WantAuthnRequestsSigned="false" protocolSupportEnumeration="${NS.PROTOCOL}">
+    <md:KeyDescriptor use="signing">
+      <ds:KeyInfo>
+        <ds:X509Data>
+          <ds:X509Certificate>${certificate}</ds:X509Certificate>
+        </ds:X509Data>
+      </ds:KeyInfo>
+    </md:KeyDescriptor>
+    <md:SingleLogoutService Binding="${BINDINGS.REDIRECT}" Location="${escapeXml(baseUrl)}/slo"/>
+    <md:SingleLogoutService Binding="${BINDINGS.POST}" Location="${escapeXml(baseUrl)}/slo"/>
+${nameIdFormats}
+    <md:SingleSignOnService Binding="${BINDINGS.REDIRECT}" Location="${escapeXml(baseUrl)}/sso"/>
+    <md:SingleSignOnService Binding="${BINDINGS.POST}" Location="${escapeXml(baseUrl)}/sso"/>
+  </md:IDPSSODescriptor>
+</md:EntityDescriptor>`;
+}
+
+/**
+ * Read service provider settings from SP metadata XML
+ * @param {string} xml - EntityDescriptor with an SPSSODescriptor
+ * @returns {Object} entityId, acsUrl, sloUrl, certificate, nameIdFormat, authnRequestsSigned
+ */
+function parseServiceProviderMetadata(xml) {
+  const entity = parseXml(xml).documentElement;
+
+  if (entity.namespaceURI !== NS.METADATA || entity.localName !== 'EntityDescriptor') {
+    throw new AppError('Service provider metadata must be an EntityDescriptor', 400, 'INVALID_SAML_CONFIGURATION');
+  }
+
+  const descriptor = childElements(entity, NS.METADATA, 'SPSSODescriptor')[0];
+  if (!descriptor) {
+    throw new AppError('Service provider metadata has no SPSSODescriptor', 400, 'INVALID_SAML_CONFIGURATION');
+  }
+
+  const acs = childElements(descriptor, NS.METADATA, 'AssertionConsumerService')
+    .find(element => element.getAttribute('Binding') === BINDINGS.POST);
+  const slo = childElements(descriptor, NS.METADATA, 'SingleLogoutService')
+    .find(element => element.getAttribute('Binding') === BINDINGS.REDIRECT);
+  const signingKey = childElements(descriptor, NS.METADATA, 'KeyDescriptor')
+    .find(element => !element.getAttribute('use') || element.getAttribute('use') === 'signing');
+  const certificate = signingKey && signingKey.getElementsByTagNameNS(NS.DSIG, 'X509Certificate')[0];
+
+  return {
+    entityId: entity.getAttribute('entityID'),
+    acsUrl: acs?.getAttribute('Location'),
+    sloUrl: slo?.getAttribute('Location') || undefined,
+    certificate: certificate?.textContent || undefined,
+    nameIdFormat: childText(descriptor, NS.METADATA, 'NameIDFormat') || undefined,
+    authnRequestsSigned: descriptor.getAttribute('AuthnRequestsSigned') === 'true'
+  };
+}
+
+/**
+ * Register (or replace) an application's SAML service provider settings
+ * @param {Object} application - Application instance
+ * @param {Object} input - Settings, optionally with SP metadata XML in `metadata`;
+ *   explicit settings override values read from the metadata
+ * @returns {Promise<Object>} Registered settings
+ */
+async function registerServiceProvider(application, input) {
+  const { metadata, ...fields } = input;
+  const overrides = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+  const settings = metadata ? { ...parseServiceProviderMetadata(metadata), ...overrides } : overrides;
+
+  const invalid = (message) => new AppError(message, 400, 'INVALID_SAML_CONFIGURATION');
+
+  if (!settings.entityId || typeof settings.entityId !== 'string') {
+    throw invalid('entityId is required');
+  }
+
+  if (settings.entityId === samlConfig.provider.entityId) {
+    throw invalid('entityId must differ from the identity provider entity ID');
+  }
+
+  if (!isHttpUrl(settings.acsUrl)) {
+    throw invalid('acsUrl must be an http(s) URL for the HTTP-POST binding');
+  }
+
+  if (settings.sloUrl && !isHttpUrl(settings.sloUrl)) {
+    throw invalid('sloUrl must be an http(s) URL for the HTTP-Redirect binding');
+  }
+
+  const nameIdFormat = settings.nameIdFormat || samlConfig.provider.nameIdFormat;
+  if (!Object.values(NAMEID_FORMATS).includes(nameIdFormat)) {
+    throw invalid(`Unsupported NameID format: ${nameIdFormat}`);
+  }
+
+  const certificate = settings.certificate ? normalizeCertificate(settings.certificate) : null;
+  if (settings.authnRequestsSigned && !certificate) {
+    throw invalid('A certificate is required to verify signed authentication requests');
+  }
+
+  const attributes = settings.attributes || null;
+  if (attributes) {
+    for (const [name, source] of Object.entries(attributes)) {
+      if (!ATTRIBUTE_SOURCES.includes(source)) {
+        throw invalid(`Attribute ${name} has an unknown source: ${source}`);
+      }
+    }
+  }
+
+  const existing = await Application.findOne({ where: { samlEntityId: settings.entityId } });
+  if (existing && existing.id !== application.id) {
+    throw new AppError('Another application is registered with this entityId', 409, 'SAML_ENTITY_ID_IN_USE');
+  }
+
+  await application.update({
+    samlEntityId: settings.entityId,
+    samlServiceProvider: {
+      acsUrl: settings.acsUrl,
+      sloUrl: settings.sloUrl || null,
+      certificate,
+      nameIdFormat,
+      signResponse: settings.signResponse === true,
+      authnRequestsSigned: settings.authnRequestsSigned === true,
+      attributes,
+      defaultRelayState: settings.defaultRelayState || null
+    }
+  });
+
+  return describeServiceProvider(application);
+}
+
+/**
+ * Remove an application's SAML service provider registration
+ */
+async function removeServiceProvider(application) {
+  await application.update({ samlEntityId: null, samlServiceProvider: null });
+}
+
+/**
+ * Registered service provider settings of an application
+ * @returns {Object|null}
+ */
+function describeServiceProvider(application) {
+  if (!application.samlEntityId) {
+    return null;
+  }
+
+  return {
+    entityId: application.samlEntityId,
+    ...application.samlServiceProvider
+  };
+}
+
+/**
+ * Verify a Redirect binding signature over the query parameters as received
+ */
+function verifyRedirectSignature(rawQuery, field, certificate) {
+  const raw = {};
+  for (const pair of rawQuery.split('&')) {
+    const separator = pair.indexOf('=');
+    const key = separator === -1 ? pair : pair.slice(0, separator);
+    if (!(key in raw)) {
+      raw[key] = separator === -1 ? '' : pair.slice(separator + 1);
+    }
+  }
+
+  const algorithm = REDIRECT_SIGNATURE_ALGORITHMS[decodeURIComponent(raw.SigAlg || '')];
+  if (!algorithm) {
+    throw new AppError('Unsupported SAML signature algorithm', 400, 'SAML_INVALID_SIGNATURE');
+  }
+
+  // Signed octets are the parameters in this order, still URL-encoded (SAML bindings §3.4.4.1)
+  const signed = [field, 'RelayState', 'SigAlg']
+    .filter(key => raw[key] !== undefined)
+    .map(key => `${key}=${raw[key]}`)
+    .join('&');
+
+  const publicKey = new crypto.X509Certificate(Buffer.from(certificate, 'base64')).publicKey;
+  const signature = Buffer.from(decodeURIComponent(raw.Signature), 'base64');
+
+  return crypto.verify(algorithm, Buffer.from(signed), publicKey, signature);
+}
+
+/**
+ * Verify an enveloped XML signature over the whole message
+ */
+function verifyEmbeddedSignature(xml, root, certificate) {
+  const signature = childElements(root, NS.DSIG, 'Signature')[0];
+  const signedXml = new SignedXml();
+
+  signedXml.keyInfoProvider = {
+    getKeyInfo: () => '',
+    getKey: () => toPem(certificate)
+  };
+  signedXml.loadSignature(signature);
+
+  // The signature must cover the message itself, not an element smuggled elsewhere
+  const [reference] = signedXml.references;
+  if (signedXml.references.length !== 1 || reference.uri !== `#${root.getAttribute('ID')}`) {
+    return false;
+  }
+
+  return signedXml.checkSignature(xml);
+}
+
+/**
+ * Decode, verify and read a protocol message from a service provider
+ * @param {Object} received
+ * @param {Object} received.params - Query (HTTP-Redirect) or body (HTTP-POST) parameters
+ * @param {string} received.binding - BINDINGS.REDIRECT or BINDINGS.POST
+ * @param {string} [received.rawQuery] - Query string as received (HTTP-Redirect)
+ * @param {string} received.endpoint - 'sso' or 'slo'
+ * @returns {Promise<Object>} Message with type, id, issuer, application, relayState, verified
+ *   and the fields of its type
+ */
+async function receiveMessage({ params, binding, rawQuery = '', endpoint }) {
+  const field = ['SAMLRequest', 'SAMLResponse'].find(name => params[name]);
+  if (!field) {
+    throw new AppError('SAMLRequest or SAMLResponse is required', 400, 'SAML_INVALID_MESSAGE');
+  }
+
+  let xml;
+  try {
+    const encoded = Buffer.from(String(params[field]), 'base64');
+    xml = binding === BINDINGS.REDIRECT
+      ? zlib.inflateRawSync(encoded, { maxOutputLength: MAX_MESSAGE_SIZE }).toString('utf-8')
+      : encoded.toString('utf-8');
+  } catch (error) {
+    throw new AppError('SAML message could not be decoded', 400, 'SAML_INVALID_MESSAGE');
+  }
+
+  const root = parseXml(xml).documentElement;
+  const type = root.localName;
+
+  if (root.namespaceURI !== NS.PROTOCOL || !MESSAGE_TYPES[field].includes(type)) {
+    throw new AppError(`Unexpected SAML message: ${type}`, 400, 'SAML_INVALID_MESSAGE');
+  }
+
+  if (type === 'AuthnRequest' ? endpoint !== 'sso' : endpoint !== 'slo') {
+    throw new AppError(`${type} is not accepted at this endpoint`, 400, 'SAML_INVALID_MESSAGE');
+  }
+
+  const destination = root.getAttribute('Destination');
+  if (destination && destination !== `${samlConfig.provider.baseUrl}/${endpoint}`) {
+    throw new AppError('SAML message was sent to a different destination', 400, 'SAML_INVALID_MESSAGE');
+  }
+
+  const issuer = childText(root, NS.ASSERTION, 'Issuer');
+  const application = issuer && await Application.findOne({
+    where: { samlEntityId: issuer, status: 'active' }
+  });
+
+  if (!application) {
+    throw new AppError('Unknown SAML service provider', 400, 'SAML_UNKNOWN_SERVICE_PROVIDER');
+  }
+
+  const sp = application.samlServiceProvider;
+  const signed = binding === BINDINGS.REDIRECT
+    ? Boolean(params.Signature)
+    : childElements(root, NS.DSIG, 'Signature').length > 0;
+
+  let verified = false;
+  if (signed && sp.certificate) {
+    verified = binding === BINDINGS.REDIRECT
+      ? verifyRedirectSignature(rawQuery, field, sp.certificate)
+      : verifyEmbeddedSignature(xml, root, sp.certificate);
+
+    if (!verified) {
+      throw new AppError('SAML message signature is invalid', 400, 'SAML_INVALID_SIGNATURE');
+    }
+  }
+
+  if (type === 'AuthnRequest' && sp.authnRequestsSigned && !verified) {
+    throw new AppError('Service provider requires signed authentication requests', 400, 'SAML_SIGNATURE_REQUIRED');
+  }
+
+  // Logout messages must be signed when the service provider can sign (SAML profiles §4.4.4)
+  if (type !== 'AuthnRequest' && sp.certificate && !verified) {
+    throw new AppError('Logout messages from this service provider must be signed', 400, 'SAML_SIGNATURE_REQUIRED');
+  }
+
+  const message = {
+    type,
+    id: root.getAttribute('ID'),
+    issuer,
+    application,
+    relayState: params.RelayState || null,
+    verified
+  };
+
+  if (type === 'AuthnRequest') {
+    const acsUrl = root.getAttribute('AssertionConsumerServiceURL');
+    if (acsUrl && acsUrl !== sp.acsUrl) {
+      throw new AppError('AssertionConsumerServiceURL is not registered', 400, 'SAML_INVALID_ACS');
+    }
+
+    const protocolBinding = root.getAttribute('ProtocolBinding');
+    if (protocolBinding && protocolBinding !== BINDINGS.POST) {
+      throw new AppError('Only the HTTP-POST binding is supported for responses', 400, 'SAML_UNSUPPORTED_BINDING');
+    }
+
+    const policy = childElements(root, NS.PROTOCOL, 'NameIDPolicy')[0];
+    const format = policy?.getAttribute('Format');
+    if (format && !Object.values(NAMEID_FORMATS).includes(format)) {
+      throw new AppError(`Unsupported NameID format: ${format}`, 400, 'SAML_UNSUPPORTED_NAMEID_FORMAT');
+    }
+
+    message.nameIdFormat = format && format !== NAMEID_FORMATS.UNSPECIFIED ? format : null;
+    message.isPassive = root.getAttribute('IsPassive') === 'true';
+  }
+
+  if (type === 'LogoutRequest') {
+    message.nameId = childText(root, NS.ASSERTION, 'NameID');
+    message.sessionIndexes = childElements(root, NS.PROTOCOL, 'SessionIndex').map(element => element.textContent.trim());
+  }
+
+  if (type === 'LogoutResponse') {
+    const status = childElements(root, NS.PROTOCOL, 'Status')[0];
+    const code = status && childElements(status, NS.PROTOCOL, 'StatusCode')[0];
+
+    message.inResponseTo = root.getAttribute('InResponseTo');
+    message.status = code?.getAttribute('Value') || null;
+  }
+
+  return message;
+}
+
+/**
+ * NameID a service provider receives for a user
+ */
+function getNameId(user, application, requestedFormat) {
+  const format = requestedFormat || application.samlServiceProvider.nameIdFormat || samlConfig.provider.nameIdFormat;
+
+  switch (format) {
+    case NAMEID_FORMATS.EMAIL:
+      return { format, value: user.email };
+
+    case NAMEID_FORMATS.PERSISTENT:
+      // Pairwise, so service providers cannot correlate users between them
+      return {
+        format,
+        value: crypto.createHash('sha256').update(`${user.id}:${application.samlEntityId}`).digest('hex')
+      };
+
+    case NAMEID_FORMATS.TRANSIENT:
+      return { format, value: generateId() };
+
+    default:
+      return { format: NAMEID_FORMATS.UNSPECIFIED, value: user.id };
+  }
+}
+
+/**
+ * Attributes released to a service provider, from user, group and role data
+ * @returns {Promise<Array<{name: string, values: string[]}>>}
+ */
+async function getUserAttributes(user, application) {
+  const mapping = application.samlServiceProvider.attributes || samlConfig.provider.attributes;
+  const sources = Object.values(mapping);
+  const { organizationId } = application;
+
+  const values = {
+    id: [user.id],
+    email: [user.email],
+    displayName: [user.displayName || `${user.firstName || ''} ${user.lastName || ''}`.trim()],
+    firstName: [user.firstName],
+    lastName: [user.lastName]
+  };
+
+  // Only the application's organization is disclosed
+  if (sources.includes('groups')) {
+    const member = await User.findByPk(user.id, {
+      include: [{ model: Group, as: 'groups', where: { organizationId }, required: false }]
+    });
+    values.groups = (member?.groups || []).map(group => group.name);
+  }
+
+  if (sources.includes('roles')) {
+    const { roles } = await rbacService.getUserPermissions(user.id, { organizationId });
+    values.roles = [...new Set(roles.map(role => role.slug))];
+  }
+
+  return Object.entries(mapping)
+    .map(([name, source]) => ({ name, values: (values[source] || []).filter(Boolean) }))
+    .filter(attribute => attribute.values.length > 0);
+}
+
+/**
+ * Helper: Protocol response envelope around optional content
+ */
+function buildResponse(application, { id, instant, inResponseTo, status, content = '' }) {
+  const { entityId } = samlConfig.provider;
+  const destination = application.samlServiceProvider.acsUrl;
+  const inResponse = inResponseTo ? ` InResponseTo="${escapeXml(inResponseTo)}"` : '';
+  const statusCode = status === STATUS.SUCCESS
+    ? `<samlp:StatusCode Value="${STATUS.SUCCESS}"/>`
+    : `<samlp:StatusCode Value="${STATUS.RESPONDER}"><samlp:StatusCode Value="${status}"/></samlp:StatusCode>`;
+
+  return `<samlp:Response xmlns:samlp="${NS.PROTOCOL}" xmlns:saml="${NS.ASSERTION}" ID="${id}" Version="2.0" ` +
+    `IssueInstant="${instant}" Destination="${escapeXml(destination)}"${inResponse}>` +
+    `<saml:Issuer>${escapeXml(entityId)}</saml:Issuer>` +
+    `<samlp:Status>${statusCode}</samlp:Status>` +
+    content +
+    '</samlp:Response>';
+}
+
+/**
+ * Helper: Sign the element selected by xpath, placing the signature after its Issuer
+ */
+function signElement(xml, elementXpath) {
+  const { certificate, privateKey } = getSigningCredentials();
+  const { signatureAlgorithm, digestAlgorithm } = samlConfig.provider;
+
+  const signedXml = new SignedXml();
+  signedXml.signatureAlgorithm = signatureAlgorithm;
+  signedXml.signingKey = privateKey;
+  signedXml.keyInfoProvider = {
+    getKeyInfo: (key, prefix) => {
+      const ns = prefix ? `${prefix}:` : '';
+      return `<${ns}X509Data><${ns}X509Certificate>${certificate}</${ns}X509Certificate></${ns}X509Data>`;
+    }
+  };
+  signedXml.addReference(elementXpath, [
+    'http://www.w3.org/2000/09/xmldsig#enveloped-signature',
+    'http://www.w3.org/2001/10/xml-exc-c14n#'
+  ], digestAlgorithm);
+
+  signedXml.computeSignature(xml, {
+    prefix: 'ds',
+    location: { reference: `${elementXpath}/*[local-name(.)='Issuer']`, action: 'after' }
+  });
+
+  return signedXml.getSignedXml();
+}
+
+/**
+ * Find or start the IdP session (Session record) for a browser session
+ * @param {Object} context - {sessionId, userId, ipAddress, userAgent, expiresAt}
+ */
+async function getIdpSession(context) {
+  const session = await Session.findOne({
+    where: { sessionId: context.sessionId, userId: context.userId, active: true }
+  });
+
+  if (session) {
+    return session;
+  }
+
+  return Session.create({
+    sessionId: context.sessionId,
+    userId: context.userId,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    expiresAt: context.expiresAt,
+    data: {}
+  });
+}
+
+/**
+ * Record a service provider the user signed in to during an IdP session
+ */
+async function addParticipant(session, participant) {
+  const saml = session.data?.saml || { participants: [] };
+  const participants = saml.participants.filter(existing => existing.applicationId !== participant.applicationId);
+
+  await session.update({
+    lastActivityAt: new Date(),
+    data: { ...session.data, saml: { participants: [...participants, participant] } }
+  });
+}
+
+/**
+ * Issue a signed Response with a signed assertion for a signed-in user
+ * @param {Object} user - Authenticated user
+ * @param {Object} application - Registered service provider
+ * @param {Object} context - Browser session: {sessionId, ipAddress, userAgent, expiresAt}
+ * @param {Object} [options] - {inResponseTo, nameIdFormat}
+ * @returns {Promise<string>} Base64 SAMLResponse for the HTTP-POST binding
+ */
+async function createSsoResponse(user, application, context, options = {}) {
+  const { inResponseTo, nameIdFormat } = options;
+  const { entityId, assertionLifetime, sessionLifetime } = samlConfig.provider;
+  const sp = application.samlServiceProvider;
+
+  const session = await getIdpSession({ ...context, userId: user.id });
+  const nameId = getNameId(user, application, nameIdFormat);
+  const attributes = await getUserAttributes(user, application);
+
+  const now = new Date();
+  const instant = now.toISOString();
+  const notOnOrAfter = new Date(now.getTime() + assertionLifetime * 1000).toISOString();
+  const sessionNotOnOrAfter = new Date(now.getTime() + sessionLifetime * 1000).toISOString();
+  const authnInstant = new Date(user.lastLoginAt || now).toISOString();
+  const inResponse = inResponseTo ? ` InResponseTo="${escapeXml(inResponseTo)}"` : '';
+
+  const attributeStatement = attributes.length === 0 ? '' :
+    '<saml:AttributeStatement>' +
+    attributes.map(({ name, values }) => {
+      const nameFormat = name.includes(':')
+        ? 'urn:oasis:names:tc:SAML:2.0:attrname-format:uri'
+        : 'urn:oasis:names:tc:SAML:2.0:attrname-format:basic';
+
+      return `<saml:Attribute Name="${escapeXml(name)}" NameFormat="${nameFormat}">` +
+        values.map(value => `<saml:AttributeValue xsi:type="xs:string">${escapeXml(value)}</saml:AttributeValue>`).join('') +
+        '</saml:Attribute>';
+    }).join('') +
+    '</saml:AttributeStatement>';
+
+  const assertion =
+    `<saml:Assertion xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ` +
+    `ID="${generateId()}" Version="2.0" IssueInstant="${instant}">` +
+    `<saml:Issuer>${escapeXml(entityId)}</saml:Issuer>` +
+    '<saml:Subject>' +
+    `<saml:NameID Format="${nameId.format}">${escapeXml(nameId.value)}</saml:NameID>` +
+    '<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">' +
+    `<saml:SubjectConfirmationData NotOnOrAfter="${notOnOrAfter}" Recipient="${escapeXml(sp.acsUrl)}"${inResponse}/>` +
+    '</saml:SubjectConfirmation>' +
+    '</saml:Subject>' +
+    `<saml:Conditions NotBefore="${instant}" NotOnOrAfter="${notOnOrAfter}">` +
+    `<saml:AudienceRestriction><saml:Audience>${escapeXml(application.samlEntityId)}</saml:Audience></saml:AudienceRestriction>` +
+    '</saml:Conditions>' +
+    `<saml:AuthnStatement AuthnInstant="${authnInstant}" SessionIndex="${session.id}" SessionNotOnOrAfter="${sessionNotOnOrAfter}">` +
+    '<saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef></saml:AuthnContext>' +
+    '</saml:AuthnStatement>' +
+    attributeStatement +
+    '</saml:Assertion>';
+
+  let xml = buildResponse(application, {
+    id: generateId(),
+    instant,
+    inResponseTo,
+    status: STATUS.SUCCESS,
+    content: assertion
+  });
+
+  xml = signElement(xml, "/*[local-name(.)='Response']/*[local-name(.)='Assertion']");
+  if (sp.signResponse) {
+    xml = signElement(xml, "/*[local-name(.)='Response']");
+  }
+
+  await addParticipant(session, {
+    applicationId: application.id,
+    entityId: application.samlEntityId,
+    nameId: nameId.value,
+    nameIdFormat: nameId.format,
+    authnInstant: instant
+  });
+
+  return Buffer.from(xml).toString('base64');
+}
+
+/**
+ * Signed error Response, e.g. when the user may not use the application
+ * @param {Object} application - Registered service provider
+ * @param {Object} options - {inResponseTo, status}
+ * @returns {string} Base64 SAMLResponse for the HTTP-POST binding
+ */
+function createErrorResponse(application, { inResponseTo, status }) {
+  const xml = buildResponse(application, {
+    id: generateId(),
+    instant: new Date().toISOString(),
+    inResponseTo,
+    status
+  });
+
+  return Buffer.from(signElement(xml, "/*[local-name(.)='Response']")).toString('base64');
+}
+
+/**
+ * Whether a user may sign in to an application
+ */
+async function canUserAccess(user, application) {
+  const { allowed } = await rbacService.checkApplicationAccess(user.id, application.id);
+  return allowed;
+}
+
+/**
+ * Helper: HTTP-Redirect binding URL carrying a signed, deflated message
+ */
+function createRedirectUrl(location, field, xml, relayState) {
+  const { privateKey } = getSigningCredentials();
+  const { signatureAlgorithm } = samlConfig.provider;
+
+  let query = `${field}=${encodeURIComponent(zlib.deflateRawSync(xml).toString('base64'))}`;
+  if (relayState) {
+    query += `&RelayState=${encodeURIComponent(relayState)}`;
+  }
+  query += `&SigAlg=${encodeURIComponent(signatureAlgorithm)}`;
+
+  const signature = crypto.sign(REDIRECT_SIGNATURE_ALGORITHMS[signatureAlgorithm], Buffer.from(query), privateKey);
+  const separator = location.includes('?') ? '&' : '?';
+
+  return `${location}${separator}${query}&Signature=${encodeURIComponent(signature.toString('base64'))}`;
+}
+
+/**
+ * End IdP sessions for a logout and collect the service providers to propagate it to
+ * @param {Object|null} message - LogoutRequest from a service provider, or null for IdP-initiated logout
+ * @param {Object} context - {sessionId, sessionStore} of the browser session
+ * @returns {Promise<Array<Object>>} Participants (with sessionIndex) other than the requester
+ */
+async function endSessions(message, context) {
+  // Only a signed request may name IdP sessions other than the browser's own
+  const sessionIndexes = message?.verified
+    ? message.sessionIndexes.filter(index => UUID_PATTERN.test(index))
+    : [];
+
+  const sessions = await Session.findAll({
+    where: sessionIndexes.length > 0
+      ? { id: sessionIndexes, active: true }
+      : { sessionId: context.sessionId, active: true }
+  });
+
+  const participants = [];
+
+  for (const session of sessions) {
+    const sessionParticipants = session.data?.saml?.participants || [];
+
+    // A service provider may only end sessions it took part in, for the subject it names
+    if (message && !sessionParticipants.some(participant =>
+      participant.applicationId === message.application.id && participant.nameId === message.nameId
+    )) {
+      continue;
+    }
+
+    participants.push(...sessionParticipants
+      .filter(participant => participant.applicationId !== message?.application.id)
+      .map(participant => ({ ...participant, sessionIndex: session.id })));
+
+    await session.update({ active: false });
+
+    if (session.sessionId !== context.sessionId && context.sessionStore) {
+      await new Promise(resolve => context.sessionStore.destroy(session.sessionId, () => resolve()));
+    }
+  }
+
+  return participants;
+}
+
+/**
+ * Signed LogoutRequest to propagate a logout to a service provider
+ * @param {Object} participant - From endSessions
+ * @returns {Promise<{id: string, url: string}|null>} Null when the SP has no logout endpoint
+ */
+async function createLogoutRequest(participant) {
+  const application = await Application.findByPk(participant.applicationId);
+  const sloUrl = application?.samlServiceProvider?.sloUrl;
+
+  if (!sloUrl) {
+    return null;
+  }
+
+  const id = generateId();
+  const xml =
+    `<samlp:LogoutRequest xmlns:samlp="${NS.PROTOCOL}" xmlns:saml="${NS.ASSERTION}" ID="${id}" Version="2.0" ` +
+    `IssueInstant="${new Date().toISOString()}" Destination="${escapeXml(sloUrl)}">` +
+    `<saml:Issuer>${escapeXml(samlConfig.provider.entityId)}</saml:Issuer>` +
+    `<saml:NameID Format="${participant.nameIdFormat}">${escapeXml(participant.nameId)}</saml:NameID>` +
+    `<samlp:SessionIndex>${participant.sessionIndex}</samlp:SessionIndex>` +
+    '</samlp:LogoutRequest>';
+
+  return { id, url: createRedirectUrl(sloUrl, 'SAMLRequest', xml) };
+}
+
+/**
+ * Signed LogoutResponse to the service provider that started a logout
+ * @param {Object} origin - {applicationId, requestId, relayState}
+ * @param {string} status - STATUS.SUCCESS or STATUS.PARTIAL_LOGOUT
+ * @returns {Promise<string|null>} Redirect URL, or null when the SP has no logout endpoint
+ */
+async function createLogoutResponse(origin, status) {
+  const application = await Application.findByPk(origin.applicationId);
+  const sloUrl = application?.samlServiceProvider?.sloUrl;
+
+  if (!sloUrl) {
+    return null;
+  }
+
+  const statusCode = status === STATUS.SUCCESS
+    ? `<samlp:StatusCode Value="${STATUS.SUCCESS}"/>`
+    : `<samlp:StatusCode Value="${STATUS.SUCCESS}"><samlp:StatusCode Value="${status}"/></samlp:StatusCode>`;
+
+  const xml =
+    `<samlp:LogoutResponse xmlns:samlp="${NS.PROTOCOL}" xmlns:saml="${NS.ASSERTION}" ID="${generateId()}" Version="2.0" ` +
+    `IssueInstant="${new Date().toISOString()}" Destination="${escapeXml(sloUrl)}" InResponseTo="${escapeXml(origin.requestId)}">` +
+    `<saml:Issuer>${escapeXml(samlConfig.provider.entityId)}</saml:Issuer>` +
+    `<samlp:Status>${statusCode}</samlp:Status>` +
+    '</samlp:LogoutResponse>';
+
+  return createRedirectUrl(sloUrl, 'SAMLResponse', xml, origin.relayState);
+}
+
+/**
+ * Tamper-proof state to resume an SP-initiated login after the user signs in
+ * (login regenerates the browser session, so it cannot be kept there)
+ * @param {Object} pending - {applicationId, requestId, nameIdFormat, relayState}
+ * @returns {string}
+ */
+function createResumeState(pending) {
+  const payload = Buffer.from(JSON.stringify({
+    ...pending,
+    exp: Math.floor(Date.now() / 1000) + RESUME_STATE_LIFETIME
+  })).toString('base64url');
+  const mac = crypto.createHmac('sha256', config.session.secret).update(payload).digest('base64url');
+
+  return `${payload}.${mac}`;
+}
+
+/**
+ * @param {string} state - From createResumeState
+ * @returns {Object|null} Pending request, or null when invalid or expired
+ */
+function readResumeState(state) {
+  const [payload, mac] = String(state || '').split('.');
+  if (!payload || !mac) {
+    return null;
+  }
+
+  const expected = crypto.createHmac('sha256', config.session.secret).update(payload).digest();
+  const actual = Buffer.from(mac, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  const pending = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  return pending.exp > Math.floor(Date.now() / 1000) ? pending : null;
+}
+
+module.exports = {
+  BINDINGS,
+  NAMEID_FORMATS,
+  STATUS,
+  generateMetadata,
+  parseServiceProviderMetadata,
+  registerServiceProvider,
+  removeServiceProvider,
+  describeServiceProvider,
+  receiveMessage,
+  getUserAttributes,
+  createSsoResponse,
+  createErrorResponse,
+  canUserAccess,
+  endSessions,
+  createLogoutRequest,
+  createLogoutResponse,
+  createResumeState,
+  readResumeState
+};
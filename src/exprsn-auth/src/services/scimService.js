@@ -0,0 +1,1496 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SCIM Service
+ * SCIM 2.0 (RFC 7643/7644) provisioning of users and groups
+ * into an organization
+ *
+ * Users map onto User plus the organization's OrganizationMember
+ * row; groups onto the organization's Group rows with UserGroup
+ * membership. Deactivating or deleting a user only affects its
+ * membership of the provisioning organization, and profile fields
+ * (emails, name, displayName) are only written for accounts that
+ * organization created itself.
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { AppError, logger } = require('@exprsn/shared');
+const {
+  User,
+  Group,
+  UserGroup,
+  Organization,
+  OrganizationMember,
+  OrganizationDomain,
+  Application,
+  ScimToken
+} = require('../models');
+const { parseFilter, parsePath, parseAttributePath, evaluate, getAttribute, findKey } = require('../utils/scimFilter');
+const domainVerificationService = require('./domainVerificationService');
+const config = require('../config');
+
+const SCHEMAS = {
+  USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  SERVICE_PROVIDER_CONFIG: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  RESOURCE_TYPE: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType',
+  SCHEMA: 'urn:ietf:params:scim:schemas:core:2.0:Schema',
+  LIST_RESPONSE: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  PATCH_OP: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  BULK_REQUEST: 'urn:ietf:params:scim:api:messages:2.0:BulkRequest',
+  BULK_RESPONSE: 'urn:ietf:params:scim:api:messages:2.0:BulkResponse',
+  ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error'
+};
+
+// Attributes every resource carries (RFC 7643 §3.1), never writable by clients
+const READ_ONLY_COMMON = ['id', 'meta', 'schemas'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Errors
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/**
+ * Build an error the SCIM routes render as an RFC 7644 §3.12 error
+ * @param {number} status
+ * @param {string} detail
+ * @param {string} [scimType]
+ * @returns {AppError}
+ */
+function scimError(status, detail, scimType) {
+  const error = new AppError(detail, status, 'SCIM_ERROR');
+  if (scimType) {
+    error.scimType = scimType;
+  }
+  return error;
+}
+
+/**
+ * Convert any error into a SCIM error response body
+ * @param {Error} error
+ * @returns {Object}
+ */
+function toScimError(error) {
+  let status = error.statusCode || error.status;
+  let scimType = error.scimType;
+  let detail = error.message;
+
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    status = 409;
+    scimType = 'uniqueness';
+    detail = 'A resource with the same unique attribute already exists';
+  } else if (error.name === 'SequelizeValidationError') {
+    status = 400;
+    scimType = 'invalidValue';
+  } else if (error.type === 'entity.parse.failed') {
+    scimType = 'invalidSyntax';
+    detail = 'Request body is not valid JSON';
+  } else if (!status && scimType) {
+    // Filter and path parse errors
+    status = 400;
+  }
+
+  if (!status || status >= 500) {
+    status = status || 500;
+    detail = 'Internal server error';
+    scimType = undefined;
+  }
+
+  const body = { schemas: [SCHEMAS.ERROR], status: String(status), detail };
+  if (scimType) {
+    body.scimType = scimType;
+  }
+  return body;
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Schema Definitions
+ * ═══════════════════════════════════════════════════════════
+ */
+
+function attribute(name, type, options = {}) {
+  return {
+    name,
+    type,
+    multiValued: false,
+    description: options.description || '',
+    required: false,
+    caseExact: false,
+    mutability: 'readWrite',
+    returned: 'default',
+    uniqueness: 'none',
+    ...options
+  };
+}
+
+const USER_SCHEMA = {
+  id: SCHEMAS.USER,
+  name: 'User',
+  description: 'User Account',
+  attributes: [
+    attribute('userName', 'string', {
+      description: 'Unique identifier for the user within the organization',
+      required: true,
+      uniqueness: 'server'
+    }),
+    attribute('name', 'complex', {
+      description: 'Components of the user\'s name',
+      subAttributes: [
+        attribute('formatted', 'string'),
+        attribute('familyName', 'string'),
+        attribute('givenName', 'string')
+      ]
+    }),
+    attribute('displayName', 'string'),
+    attribute('emails', 'complex', {
+      description: 'Email addresses; the primary value is the account email',
+      multiValued: true,
+      subAttributes: [
+        attribute('value', 'string'),
+        attribute('type', 'string', { canonicalValues: ['work', 'home', 'other'] }),
+        attribute('primary', 'boolean')
+      ]
+    }),
+    attribute('active', 'boolean', {
+      description: 'Whether the user is an active member of the organization'
+    }),
+    attribute('groups', 'complex', {
+      description: 'Groups the user belongs to',
+      multiValued: true,
+      mutability: 'readOnly',
+      subAttributes: [
+        attribute('value', 'string', { mutability: 'readOnly' }),
+        attribute('$ref', 'reference', { referenceTypes: ['Group'], mutability: 'readOnly' }),
+        attribute('display', 'string', { mutability: 'readOnly' }),
+        attribute('type', 'string', { canonicalValues: ['direct'], mutability: 'readOnly' })
+      ]
+    })
+  ]
+};
+
+const GROUP_SCHEMA = {
+  id: SCHEMAS.GROUP,
+  name: 'Group',
+  description: 'Group',
+  attributes: [
+    attribute('displayName', 'string', { required: true }),
+    attribute('members', 'complex', {
+      multiValued: true,
+      subAttributes: [
+        attribute('value', 'string', { mutability: 'immutable' }),
+        attribute('$ref', 'reference', { referenceTypes: ['User'], mutability: 'immutable' }),
+        attribute('display', 'string', { mutability: 'readOnly' }),
+        attribute('type', 'string', { canonicalValues: ['User'], mutability: 'immutable' })
+      ]
+    })
+  ]
+};
+
+const RESOURCE_TYPES = [
+  { id: 'User', name: 'User', endpoint: '/Users', description: 'User Account', schema: SCHEMAS.USER },
+  { id: 'Group', name: 'Group', endpoint: '/Groups', description: 'Group', schema: SCHEMAS.GROUP }
+];
+
+/**
+ * Absolute URL of a resource under the SCIM base
+ */
+function location(path) {
+  return `${config.scim.baseUrl}/${path}`;
+}
+
+/**
+ * GET /ServiceProviderConfig body
+ */
+function getServiceProviderConfig() {
+  return {
+    schemas: [SCHEMAS.SERVICE_PROVIDER_CONFIG],
+    documentationUri: 'https://datatracker.ietf.org/doc/html/rfc7644',
+    patch: { supported: true },
+    bulk: {
+      supported: true,
+      maxOperations: config.scim.bulkMaxOperations,
+      maxPayloadSize: config.scim.bulkMaxPayloadSize
+    },
+    filter: { supported: true, maxResults: config.scim.maxResults },
+    changePassword: { supported: false },
+    sort: { supported: true },
+    etag: { supported: false },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken',
+      name: 'OAuth Bearer Token',
+      description: 'Bearer token issued to an application via /api/applications/:id/scim-tokens',
+      primary: true
+    }],
+    meta: { resourceType: 'ServiceProviderConfig', location: location('ServiceProviderConfig') }
+  };
+}
+
+/**
+ * Schema resources, as served by GET /Schemas
+ */
+function getSchemas() {
+  return [USER_SCHEMA, GROUP_SCHEMA].map(schema => ({
+    schemas: [SCHEMAS.SCHEMA],
+    ...schema,
+    meta: { resourceType: 'Schema', location: location(`Schemas/${schema.id}`) }
+  }));
+}
+
+/**
+ * Resource type resources, as served by GET /ResourceTypes
+ */
+function getResourceTypes() {
+  return RESOURCE_TYPES.map(type => ({
+    schemas: [SCHEMAS.RESOURCE_TYPE],
+    ...type,
+    meta: { resourceType: 'ResourceType', location: location(`ResourceTypes/${type.id}`) }
+  }));
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Representation
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/**
+ * Read an attribute case-insensitively
+ */
+function read(object, name) {
+  const key = findKey(object, name);
+  return key === undefined ? undefined : object[key];
+}
+
+/**
+ * Drop undefined, null and empty-string fields
+ */
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+    value !== undefined && value !== null && value !== ''));
+}
+
+function toIso(date) {
+  return date ? new Date(date).toISOString() : undefined;
+}
+
+/**
+ * SCIM reference to a group, as listed in User.groups
+ */
+function groupReference(group) {
+  return { value: group.id, display: group.name, $ref: location(`Groups/${group.id}`), type: 'direct' };
+}
+
+/**
+ * Represent a user as a SCIM User resource
+ * @param {Object} user - User row
+ * @param {Object} member - The user's OrganizationMember row
+ * @param {Array} [groups] - References from groupReference()
+ * @returns {Object}
+ */
+function userToScim(user, member, groups = []) {
+  const scim = (member.metadata && member.metadata.scim) || {};
+  const lastModified = Math.max(new Date(user.updatedAt || 0), new Date(member.updatedAt || 0));
+
+  return compact({
+    schemas: [SCHEMAS.USER],
+    id: user.id,
+    externalId: scim.externalId,
+    userName: scim.userName || user.email,
+    name: compact({
+      formatted: [user.firstName, user.lastName].filter(Boolean).join(' '),
+      givenName: user.firstName,
+      familyName: user.lastName
+    }),
+    displayName: user.displayName,
+    emails: [{ value: user.email, type: 'work', primary: true }],
+    active: user.status === 'active' && member.status === 'active',
+    groups,
+    meta: compact({
+      resourceType: 'User',
+      created: toIso(user.createdAt),
+      lastModified: lastModified ? toIso(lastModified) : undefined,
+      location: location(`Users/${user.id}`)
+    })
+  });
+}
+
+/**
+ * Represent a group as a SCIM Group resource
+ * @param {Object} group - Group row with its members
+ * @returns {Object}
+ */
+function groupToScim(group) {
+  const scim = (group.metadata && group.metadata.scim) || {};
+
+  return compact({
+    schemas: [SCHEMAS.GROUP],
+    id: group.id,
+    externalId: scim.externalId,
+    displayName: group.name,
+    members: (group.members || []).map(user => ({
+      value: user.id,
+      display: user.displayName || user.email,
+      $ref: location(`Users/${user.id}`),
+      type: 'User'
+    })),
+    meta: compact({
+      resourceType: 'Group',
+      created: toIso(group.createdAt),
+      lastModified: toIso(group.updatedAt),
+      location: location(`Groups/${group.id}`)
+    })
+  });
+}
+
+/**
+ * Split an attributes / excludedAttributes parameter
+ */
+function attributeList(value) {
+  if (!value) {
+    return [];
+  }
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean).map(parseAttributePath);
+}
+
+/**
+ * Apply the attributes / excludedAttributes parameters (RFC 7644 §3.9)
+ * @param {Object} resource
+ * @param {string|Array} [attributes]
+ * @param {string|Array} [excludedAttributes]
+ * @returns {Object}
+ */
+function project(resource, attributes, excludedAttributes) {
+  const included = attributeList(attributes);
+  const excluded = attributeList(excludedAttributes);
+
+  if (included.length > 0) {
+    const result = { schemas: resource.schemas, id: resource.id };
+
+    for (const path of included) {
+      const key = findKey(resource, path.attribute);
+      if (key === undefined) continue;
+
+      const value = resource[key];
+      if (!path.subAttribute || value === null || typeof value !== 'object') {
+        result[key] = value;
+      } else if (Array.isArray(value)) {
+        const items = Array.isArray(result[key]) ? result[key] : value.map(() => ({}));
+        value.forEach((item, index) => {
+          const subKey = findKey(item, path.subAttribute);
+          if (subKey !== undefined) items[index][subKey] = item[subKey];
+        });
+        result[key] = items;
+      } else {
+        const subKey = findKey(value, path.subAttribute);
+        if (subKey !== undefined) {
+          result[key] = { ...result[key], [subKey]: value[subKey] };
+        }
+      }
+    }
+
+    return result;
+  }
+
+  if (excluded.length > 0) {
+    const result = JSON.parse(JSON.stringify(resource));
+
+    for (const path of excluded) {
+      const key = findKey(result, path.attribute);
+      if (key === undefined || ['id', 'schemas'].includes(key)) continue;
+
+      if (!path.subAttribute) {
+        delete result[key];
+      } else {
+        const items = Array.isArray(result[key]) ? result[key] : [result[key]];
+        for (const item of items) {
+          const subKey = findKey(item, path.subAttribute);
+          if (subKey !== undefined) delete item[subKey];
+        }
+      }
+    }
+
+    return result;
+  }
+
+  return resource;
+}
+
+/**
+ * Filter, sort and paginate resources into a ListResponse (RFC 7644 §3.4.2)
+ * @param {Array} resources
+ * @param {Object} query - filter, sortBy, sortOrder, startIndex, count, attributes, excludedAttributes
+ * @returns {Object}
+ */
+function listResponse(resources, query = {}) {
+  let results = resources;
+
+  if (query.filter) {
+    const ast = parseFilter(query.filter);
+    results = results.filter(resource => evaluate(ast, resource));
+  }
+
+  if (query.sortBy) {
+    const path = parseAttributePath(query.sortBy);
+    const direction = String(query.sortOrder || 'ascending').toLowerCase() === 'descending' ? -1 : 1;
+    const sortValue = resource => {
+      let value = getAttribute(resource, path);
+      if (Array.isArray(value)) {
+        value = value.find(item => item && item.primary) || value[0];
+      }
+      if (value && typeof value === 'object') {
+        value = read(value, path.subAttribute || 'value');
+      }
+      return typeof value === 'string' ? value.toLowerCase() : value;
+    };
+
+    results = [...results].sort((a, b) => {
+      const left = sortValue(a);
+      const right = sortValue(b);
+      // Resources without a value sort last regardless of direction
+      if (left === undefined || left === null) return right === undefined || right === null ? 0 : 1;
+      if (right === undefined || right === null) return -1;
+      return left < right ? -direction : left > right ? direction : 0;
+    });
+  }
+
+  const startIndex = Math.max(parseInt(query.startIndex) || 1, 1);
+  let count = parseInt(query.count);
+  if (Number.isNaN(count)) {
+    count = config.scim.maxResults;
+  }
+  count = Math.min(Math.max(count, 0), config.scim.maxResults);
+
+  const page = results.slice(startIndex - 1, startIndex - 1 + count);
+
+  return {
+    schemas: [SCHEMAS.LIST_RESPONSE],
+    totalResults: results.length,
+    startIndex,
+    itemsPerPage: page.length,
+    Resources: page.map(resource => project(resource, query.attributes, query.excludedAttributes))
+  };
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * PATCH
+ * ═══════════════════════════════════════════════════════════
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Look up an attribute definition by (case-insensitive) name
+ */
+function findDefinition(definitions, name) {
+  const lowered = name.toLowerCase();
+  return (definitions || []).find(definition => definition.name.toLowerCase() === lowered);
+}
+
+/**
+ * Seed a new multi-valued item from a simple `attr eq value` filter, so
+ * 'emails[type eq "work"].value' can create the entry it targets
+ */
+function seedFromFilter(filter) {
+  if (filter.op === 'eq' && !filter.path.subAttribute && !filter.path.schema) {
+    return { [filter.path.attribute]: filter.value };
+  }
+
+  throw scimError(400, 'No values match the path filter', 'noTarget');
+}
+
+/**
+ * Apply one PATCH operation to a resource in place
+ */
+function applyOperation(resource, op, path, value, schema) {
+  const coreSchema = !path.schema || path.schema.toLowerCase() === schema.id.toLowerCase();
+  const definition = coreSchema ? findDefinition(schema.attributes, path.attribute) : null;
+
+  if ((coreSchema && READ_ONLY_COMMON.includes(path.attribute.toLowerCase())) ||
+    (definition && definition.mutability === 'readOnly')) {
+    throw scimError(400, `Attribute "${path.attribute}" is read-only`, 'mutability');
+  }
+
+  let container = resource;
+  if (!coreSchema) {
+    const schemaKey = findKey(resource, path.schema) || path.schema;
+    resource[schemaKey] = isPlainObject(resource[schemaKey]) ? resource[schemaKey] : {};
+    container = resource[schemaKey];
+  }
+
+  const key = findKey(container, path.attribute) || (definition ? definition.name : path.attribute);
+  const current = container[key];
+  const multiValued = definition ? definition.multiValued : Array.isArray(current);
+  const subDefinition = definition && path.subAttribute
+    ? findDefinition(definition.subAttributes, path.subAttribute)
+    : null;
+  const subKeyFor = item => findKey(item, path.subAttribute) || (subDefinition ? subDefinition.name : path.subAttribute);
+
+  // attr[filter] and attr[filter].sub
+  if (path.filter) {
+    if (!multiValued) {
+      throw scimError(400, `Attribute "${path.attribute}" is not multi-valued`, 'invalidPath');
+    }
+
+    const items = Array.isArray(current) ? current : [];
+    const matches = items.filter(item => isPlainObject(item) && evaluate(path.filter, item));
+
+    if (op === 'remove') {
+      if (path.subAttribute) {
+        matches.forEach(item => delete item[subKeyFor(item)]);
+      } else {
+        container[key] = items.filter(item => !matches.includes(item));
+      }
+      return;
+    }
+
+    if (matches.length === 0) {
+      const seeded = seedFromFilter(path.filter);
+      items.push(seeded);
+      matches.push(seeded);
+    }
+
+    container[key] = items.map(item => {
+      if (!matches.includes(item)) return item;
+      if (path.subAttribute) return { ...item, [subKeyFor(item)]: value };
+      if (!isPlainObject(value)) {
+        throw scimError(400, `Value for "${path.attribute}" must be an object`, 'invalidValue');
+      }
+      return op === 'replace' ? value : { ...item, ...value };
+    });
+    return;
+  }
+
+  // attr.sub
+  if (path.subAttribute) {
+    if (multiValued) {
+      const items = Array.isArray(current) ? current : [];
+      items.forEach(item => {
+        if (op === 'remove') delete item[subKeyFor(item)];
+        else item[subKeyFor(item)] = value;
+      });
+      container[key] = items;
+    } else {
+      const object = isPlainObject(current) ? current : {};
+      if (op === 'remove') delete object[subKeyFor(object)];
+      else object[subKeyFor(object)] = value;
+      container[key] = object;
+    }
+    return;
+  }
+
+  // attr
+  if (op === 'remove') {
+    if (multiValued && value !== undefined && Array.isArray(current)) {
+      // Non-standard but widely sent: remove the listed values only
+      const removed = (Array.isArray(value) ? value : [value])
+        .map(item => (isPlainObject(item) ? read(item, 'value') : item));
+      container[key] = current.filter(item => !removed.includes(isPlainObject(item) ? read(item, 'value') : item));
+    } else {
+      delete container[key];
+    }
+    return;
+  }
+
+  if (multiValued) {
+    const values = Array.isArray(value) ? value : [value];
+
+    if (op === 'replace') {
+      container[key] = values;
+      return;
+    }
+
+    const items = Array.isArray(current) ? current : [];
+    for (const item of values) {
+      const itemValue = isPlainObject(item) ? read(item, 'value') : item;
+      const existing = itemValue === undefined ? undefined : items.find(entry =>
+        (isPlainObject(entry) ? read(entry, 'value') : entry) === itemValue);
+
+      if (existing && isPlainObject(existing) && isPlainObject(item)) {
+        Object.assign(existing, item);
+      } else if (!existing) {
+        items.push(item);
+      }
+    }
+    container[key] = items;
+    return;
+  }
+
+  // Complex singular attributes keep sub-attributes the value leaves out
+  container[key] = isPlainObject(current) && isPlainObject(value) ? { ...current, ...value } : value;
+}
+
+/**
+ * Apply a PatchOp request to a resource (RFC 7644 §3.5.2)
+ * @param {Object} resource - Current SCIM representation
+ * @param {Object} body - PatchOp request body
+ * @param {Object} schema - USER_SCHEMA or GROUP_SCHEMA
+ * @returns {Object} Patched copy of the resource
+ */
+function applyPatch(resource, body, schema) {
+  const schemas = read(body, 'schemas');
+  if (!Array.isArray(schemas) || !schemas.includes(SCHEMAS.PATCH_OP)) {
+    throw scimError(400, `PATCH requests must use the ${SCHEMAS.PATCH_OP} schema`, 'invalidSyntax');
+  }
+
+  const operations = read(body, 'Operations');
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw scimError(400, 'PATCH requests must include Operations', 'invalidSyntax');
+  }
+
+  const result = JSON.parse(JSON.stringify(resource));
+
+  for (const operation of operations) {
+    const op = String(read(operation, 'op') || '').toLowerCase();
+    const path = read(operation, 'path');
+    const value = read(operation, 'value');
+
+    if (!['add', 'replace', 'remove'].includes(op)) {
+      throw scimError(400, `Unsupported PATCH op "${read(operation, 'op')}"`, 'invalidSyntax');
+    }
+
+    if (path) {
+      applyOperation(result, op, parsePath(path), value, schema);
+      continue;
+    }
+
+    if (op === 'remove') {
+      throw scimError(400, 'remove operations require a path', 'noTarget');
+    }
+
+    if (!isPlainObject(value)) {
+      throw scimError(400, 'Operations without a path require an object value', 'invalidValue');
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      if (READ_ONLY_COMMON.includes(name.toLowerCase())) {
+        // Clients commonly echo these back; they cannot change
+        continue;
+      }
+
+      if (name.toLowerCase() === schema.id.toLowerCase() && isPlainObject(item)) {
+        for (const [inner, innerValue] of Object.entries(item)) {
+          applyOperation(result, op, parsePath(inner), innerValue, schema);
+        }
+      } else if (/^urn:/i.test(name) && isPlainObject(item)) {
+        for (const [inner, innerValue] of Object.entries(item)) {
+          applyOperation(result, op, parsePath(`${name}:${inner}`), innerValue, schema);
+        }
+      } else {
+        applyOperation(result, op, parsePath(name), item, schema);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Users
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/**
+ * Coerce a SCIM boolean (some IdPs send "True"/"False" strings)
+ */
+function parseBoolean(value, name, fallback) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string' && /^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  throw scimError(400, `Attribute "${name}" must be a boolean`, 'invalidValue');
+}
+
+function checkSchema(body, schema) {
+  if (!isPlainObject(body)) {
+    throw scimError(400, 'Request body must be a JSON object', 'invalidSyntax');
+  }
+
+  const schemas = read(body, 'schemas');
+  if (schemas !== undefined && (!Array.isArray(schemas) || !schemas.includes(schema))) {
+    throw scimError(400, `Resource must use the ${schema} schema`, 'invalidSyntax');
+  }
+}
+
+/**
+ * Extract the attributes we store from a SCIM User
+ * @param {Object} body
+ * @returns {Object}
+ */
+function parseUser(body) {
+  checkSchema(body, SCHEMAS.USER);
+
+  const userName = read(body, 'userName');
+  if (typeof userName !== 'string' || !userName.trim()) {
+    throw scimError(400, 'userName is required', 'invalidValue');
+  }
+
+  const emails = read(body, 'emails');
+  if (emails !== undefined && !Array.isArray(emails)) {
+    throw scimError(400, 'emails must be an array', 'invalidValue');
+  }
+
+  const primary = (emails || []).find(item => isPlainObject(item) && parseBoolean(read(item, 'primary'), 'primary', false)) ||
+    (emails || []).find(isPlainObject);
+  const email = (primary && read(primary, 'value')) || (EMAIL_PATTERN.test(userName.trim()) ? userName.trim() : null);
+
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    throw scimError(400, 'A valid email address is required in emails or userName', 'invalidValue');
+  }
+
+  const name = read(body, 'name');
+  const givenName = isPlainObject(name) ? read(name, 'givenName') : undefined;
+  const familyName = isPlainObject(name) ? read(name, 'familyName') : undefined;
+  const formatted = isPlainObject(name) ? read(name, 'formatted') : undefined;
+  const externalId = read(body, 'externalId');
+
+  return {
+    userName: userName.trim(),
+    email: email.trim(),
+    firstName: givenName || null,
+    lastName: familyName || null,
+    displayName: read(body, 'displayName') || formatted || [givenName, familyName].filter(Boolean).join(' ') || null,
+    active: parseBoolean(read(body, 'active'), 'active', true),
+    externalId: externalId === undefined || externalId === null ? null : String(externalId)
+  };
+}
+
+function assertId(id, resourceType) {
+  if (!UUID_PATTERN.test(id)) {
+    throw scimError(404, `${resourceType} ${id} not found`);
+  }
+}
+
+/**
+ * Members and their users, oldest membership first
+ */
+async function loadMembers(organizationId) {
+  const members = await OrganizationMember.findAll({
+    where: { organizationId },
+    order: [['createdAt', 'ASC']]
+  });
+
+  const users = await User.findAll({
+    where: { id: members.map(member => member.userId) }
+  });
+  const usersById = new Map(users.map(user => [user.id, user]));
+
+  return members
+    .filter(member => usersById.has(member.userId))
+    .map(member => ({ member, user: usersById.get(member.userId) }));
+}
+
+async function findMember(organizationId, userId) {
+  assertId(userId, 'User');
+
+  const member = await OrganizationMember.findOne({ where: { organizationId, userId } });
+  const user = member && await User.findByPk(userId);
+
+  if (!member || !user) {
+    throw scimError(404, `User ${userId} not found`);
+  }
+
+  return { member, user };
+}
+
+async function assertUserNameAvailable(organizationId, userName, exceptUserId = null) {
+  const lowered = userName.toLowerCase();
+  const entries = await loadMembers(organizationId);
+
+  const taken = entries.some(({ member, user }) => {
+    const scim = (member.metadata && member.metadata.scim) || {};
+    return user.id !== exceptUserId && (scim.userName || user.email).toLowerCase() === lowered;
+  });
+
+  if (taken) {
+    throw scimError(409, `userName ${userName} is already in use`, 'uniqueness');
+  }
+}
+
+function assertNotOwner(member, action) {
+  if (member.role === 'owner') {
+    throw scimError(400, `The organization owner cannot be ${action} through SCIM`, 'mutability');
+  }
+}
+
+/**
+ * Get a user
+ * @param {string} organizationId
+ * @param {string} userId
+ * @returns {Promise<Object>} SCIM User
+ */
+async function getUser(organizationId, userId) {
+  const { member, user } = await findMember(organizationId, userId);
+
+  const groups = await Group.findAll({
+    where: { organizationId },
+    include: [{
+      model: User,
+      as: 'members',
+      attributes: ['id'],
+      where: { id: userId },
+      through: { attributes: [] }
+    }]
+  });
+
+  return userToScim(user, member, groups.map(groupReference));
+}
+
+/**
+ * List the organization's users
+ * @param {string} organizationId
+ * @param {Object} query - SCIM list parameters
+ * @returns {Promise<Object>} ListResponse
+ */
+async function listUsers(organizationId, query) {
+  const entries = await loadMembers(organizationId);
+
+  const groups = await Group.findAll({
+    where: { organizationId },
+    include: [{ model: User, as: 'members', attributes: ['id'], through: { attributes: [] } }]
+  });
+
+  const groupsByUser = new Map();
+  for (const group of groups) {
+    for (const user of group.members || []) {
+      if (!groupsByUser.has(user.id)) groupsByUser.set(user.id, []);
+      groupsByUser.get(user.id).push(groupReference(group));
+    }
+  }
+
+  const resources = entries.map(({ member, user }) => userToScim(user, member, groupsByUser.get(user.id)));
+  return listResponse(resources, query);
+}
+
+/**
+ * Provision a user into the organization. An existing account with the
+ * same email is linked rather than duplicated, but only when the
+ * organization has verified the email's domain.
+ * @param {string} organizationId
+ * @param {Object} body - SCIM User
+ * @param {Object} [context] - { applicationId }
+ * @returns {Promise<Object>} SCIM User
+ */
+async function createUser(organizationId, body, context = {}) {
+  const attributes = parseUser(body);
+  await assertUserNameAvailable(organizationId, attributes.userName);
+
+  let user = await User.findOne({ where: { email: attributes.email } });
+
+  if (user) {
+    const existing = await OrganizationMember.findOne({ where: { organizationId, userId: user.id } });
+    if (existing) {
+      throw scimError(409, `User ${attributes.email} is already provisioned`, 'uniqueness');
+    }
+
+    // Only an organization that verified the email domain may claim an existing account
+    const domain = domainVerificationService.emailDomain(attributes.email);
+    const verified = domain && await OrganizationDomain.findOne({
+      where: { organizationId, domain, status: 'verified' }
+    });
+
+    if (!verified) {
+      throw scimError(409, `Email ${attributes.email} is already in use`, 'uniqueness');
+    }
+  } else {
+    user = await User.create({
+      email: attributes.email,
+      firstName: attributes.firstName,
+      lastName: attributes.lastName,
+      displayName: attributes.displayName,
+      emailVerified: true, // Asserted by the organization's identity provider
+      status: 'active',
+      metadata: { source: 'scim', provisionedBy: organizationId }
+    });
+  }
+
+  const member = await OrganizationMember.create({
+    organizationId,
+    userId: user.id,
+    role: 'member',
+    status: attributes.active ? 'active' : 'inactive',
+    metadata: {
+      scim: {
+        userName: attributes.userName,
+        externalId: attributes.externalId,
+        applicationId: context.applicationId || null
+      }
+    }
+  });
+
+  logger.info('SCIM user provisioned', {
+    organizationId,
+    userId: user.id,
+    applicationId: context.applicationId
+  });
+
+  return userToScim(user, member, []);
+}
+
+/**
+ * Replace a user (PUT)
+ * @param {string} organizationId
+ * @param {string} userId
+ * @param {Object} body - SCIM User
+ * @returns {Promise<Object>} SCIM User
+ */
+async function replaceUser(organizationId, userId, body) {
+  const { member, user } = await findMember(organizationId, userId);
+  const attributes = parseUser(body);
+
+  await assertUserNameAvailable(organizationId, attributes.userName, user.id);
+
+  if (!attributes.active) {
+    assertNotOwner(member, 'deactivated');
+  }
+
+  // Profile fields belong to whichever organization created the account
+  if (user.metadata && user.metadata.provisionedBy === organizationId) {
+    if (attributes.email !== user.email) {
+      const taken = await User.findOne({ where: { email: attributes.email, id: { [Op.ne]: user.id } } });
+      if (taken) {
+        throw scimError(409, `Email ${attributes.email} is already in use`, 'uniqueness');
+      }
+    }
+
+    await user.update({
+      email: attributes.email,
+      firstName: attributes.firstName,
+      lastName: attributes.lastName,
+      displayName: attributes.displayName
+    });
+  }
+
+  const scim = (member.metadata && member.metadata.scim) || {};
+  await member.update({
+    status: attributes.active ? 'active' : 'inactive',
+    metadata: {
+      ...member.metadata,
+      scim: { ...scim, userName: attributes.userName, externalId: attributes.externalId }
+    }
+  });
+
+  return getUser(organizationId, userId);
+}
+
+/**
+ * Modify a user (PATCH)
+ * @param {string} organizationId
+ * @param {string} userId
+ * @param {Object} body - PatchOp request
+ * @returns {Promise<Object>} SCIM User
+ */
+async function patchUser(organizationId, userId, body) {
+  const current = await getUser(organizationId, userId);
+  return replaceUser(organizationId, userId, applyPatch(current, body, USER_SCHEMA));
+}
+
+/**
+ * Deprovision a user: removes the organization membership and the
+ * user's membership of the organization's groups
+ * @param {string} organizationId
+ * @param {string} userId
+ */
+async function deleteUser(organizationId, userId) {
+  const { member } = await findMember(organizationId, userId);
+  assertNotOwner(member, 'deprovisioned');
+
+  const groups = await Group.findAll({ where: { organizationId }, attributes: ['id'] });
+
+  await UserGroup.destroy({
+    where: { userId, groupId: groups.map(group => group.id) }
+  });
+  await member.destroy();
+
+  logger.info('SCIM user deprovisioned', { organizationId, userId });
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Groups
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/**
+ * Extract the attributes we store from a SCIM Group
+ * @param {Object} body
+ * @returns {Object}
+ */
+function parseGroup(body) {
+  checkSchema(body, SCHEMAS.GROUP);
+
+  const displayName = read(body, 'displayName');
+  if (typeof displayName !== 'string' || !displayName.trim()) {
+    throw scimError(400, 'displayName is required', 'invalidValue');
+  }
+
+  const members = read(body, 'members') || [];
+  if (!Array.isArray(members)) {
+    throw scimError(400, 'members must be an array', 'invalidValue');
+  }
+
+  const memberIds = members.map(member => (isPlainObject(member) ? read(member, 'value') : undefined));
+  if (memberIds.some(id => typeof id !== 'string' || !UUID_PATTERN.test(id))) {
+    throw scimError(400, 'Each member must reference a user id in "value"', 'invalidValue');
+  }
+
+  const externalId = read(body, 'externalId');
+
+  return {
+    displayName: displayName.trim(),
+    externalId: externalId === undefined || externalId === null ? null : String(externalId),
+    memberIds: [...new Set(memberIds)]
+  };
+}
+
+async function findGroup(organizationId, groupId) {
+  assertId(groupId, 'Group');
+
+  const group = await Group.findOne({
+    where: { id: groupId, organizationId },
+    include: [{
+      model: User,
+      as: 'members',
+      attributes: ['id', 'email', 'displayName'],
+      through: { attributes: [] }
+    }]
+  });
+
+  if (!group) {
+    throw scimError(404, `Group ${groupId} not found`);
+  }
+
+  return group;
+}
+
+async function assertGroupNameAvailable(organizationId, displayName, exceptGroupId = null) {
+  const where = {
+    organizationId,
+    [Op.or]: [{ name: displayName }, { slug: slugify(displayName) }]
+  };
+  if (exceptGroupId) {
+    where.id = { [Op.ne]: exceptGroupId };
+  }
+
+  if (await Group.findOne({ where })) {
+    throw scimError(409, `Group ${displayName} already exists`, 'uniqueness');
+  }
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+}
+
+/**
+ * Make the group's members exactly userIds, all of whom must belong
+ * to the organization
+ */
+async function setGroupMembers(organizationId, group, userIds) {
+  if (userIds.length > 0) {
+    const members = await OrganizationMember.findAll({
+      where: { organizationId, userId: userIds },
+      attributes: ['userId']
+    });
+    const known = new Set(members.map(member => member.userId));
+    const unknown = userIds.filter(id => !known.has(id));
+
+    if (unknown.length > 0) {
+      throw scimError(400, `Users not provisioned in this organization: ${unknown.join(', ')}`, 'invalidValue');
+    }
+  }
+
+  const existing = await UserGroup.findAll({ where: { groupId: group.id }, attributes: ['userId'] });
+  const current = new Set(existing.map(row => row.userId));
+  const wanted = new Set(userIds);
+
+  const removed = [...current].filter(id => !wanted.has(id));
+  const added = userIds.filter(id => !current.has(id));
+
+  if (removed.length > 0) {
+    await UserGroup.destroy({ where: { groupId: group.id, userId: removed } });
+  }
+
+  if (added.length > 0) {
+    await UserGroup.bulkCreate(added.map(userId => ({ userId, groupId: group.id, role: 'member' })));
+  }
+}
+
+/**
+ * Get a group
+ * @param {string} organizationId
+ * @param {string} groupId
+ * @returns {Promise<Object>} SCIM Group
+ */
+async function getGroup(organizationId, groupId) {
+  return groupToScim(await findGroup(organizationId, groupId));
+}
+
+/**
+ * List the organization's groups
+ * @param {string} organizationId
+ * @param {Object} query - SCIM list parameters
+ * @returns {Promise<Object>} ListResponse
+ */
+async function listGroups(organizationId, query) {
+  const groups = await Group.findAll({
+    where: { organizationId },
+    include: [{
+      model: User,
+      as: 'members',
+      attributes: ['id', 'email', 'displayName'],
+      through: { attributes: [] }
+    }],
+    order: [['createdAt', 'ASC']]
+  });
+
+  return listResponse(groups.map(groupToScim), query);
+}
+
+/**
+ * Create a group
+ * @param {string} organizationId
+ * @param {Object} body - SCIM Group
+ * @param {Object} [context] - { applicationId }
+ * @returns {Promise<Object>} SCIM Group
+ */
+async function createGroup(organizationId, body, context = {}) {
+  const attributes = parseGroup(body);
+  await assertGroupNameAvailable(organizationId, attributes.displayName);
+
+  const group = await Group.create({
+    name: attributes.displayName,
+    slug: slugify(attributes.displayName),
+    organizationId,
+    type: 'organization',
+    metadata: {
+      scim: { externalId: attributes.externalId, applicationId: context.applicationId || null }
+    }
+  });
+
+  await setGroupMembers(organizationId, group, attributes.memberIds);
+
+  logger.info('SCIM group created', { organizationId, groupId: group.id, applicationId: context.applicationId });
+
+  return getGroup(organizationId, group.id);
+}
+
+/**
+ * Replace a group (PUT)
+ * @param {string} organizationId
+ * @param {string} groupId
+ * @param {Object} body - SCIM Group
+ * @returns {Promise<Object>} SCIM Group
+ */
+async function replaceGroup(organizationId, groupId, body) {
+  const group = await findGroup(organizationId, groupId);
+  const attributes = parseGroup(body);
+
+  if (attributes.displayName !== group.name) {
+    await assertGroupNameAvailable(organizationId, attributes.displayName, group.id);
+  }
+
+  const scim = (group.metadata && group.metadata.scim) || {};
+  await group.update({
+    name: attributes.displayName,
+    metadata: { ...group.metadata, scim: { ...scim, externalId: attributes.externalId } }
+  });
+
+  await setGroupMembers(organizationId, group, attributes.memberIds);
+
+  return getGroup(organizationId, groupId);
+}
+
+/**
+ * Modify a group (PATCH)
+ * @param {string} organizationId
+ * @param {string} groupId
+ * @param {Object} body - PatchOp request
+ * @returns {Promise<Object>} SCIM Group
+ */
+async function patchGroup(organizationId, groupId, body) {
+  const current = await getGroup(organizationId, groupId);
+  return replaceGroup(organizationId, groupId, applyPatch(current, body, GROUP_SCHEMA));
+}
+
+/**
+ * Delete a group and its memberships
+ * @param {string} organizationId
+ * @param {string} groupId
+ */
+async function deleteGroup(organizationId, groupId) {
+  const group = await findGroup(organizationId, groupId);
+
+  await UserGroup.destroy({ where: { groupId: group.id } });
+  await group.destroy();
+
+  logger.info('SCIM group deleted', { organizationId, groupId });
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Bulk
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/**
+ * Replace "bulkId:<id>" references with the ids created earlier in the request
+ */
+function resolveBulkIds(value, bulkIds) {
+  if (typeof value === 'string') {
+    return value.replace(/bulkId:([\w.-]+)/g, (match, bulkId) => {
+      if (!bulkIds.has(bulkId)) {
+        throw scimError(409, `Unresolved reference ${match}`, 'invalidValue');
+      }
+      return bulkIds.get(bulkId);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => resolveBulkIds(item, bulkIds));
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveBulkIds(item, bulkIds)]));
+  }
+
+  return value;
+}
+
+const BULK_HANDLERS = {
+  Users: { create: createUser, replace: replaceUser, patch: patchUser, remove: deleteUser },
+  Groups: { create: createGroup, replace: replaceGroup, patch: patchGroup, remove: deleteGroup }
+};
+
+/**
+ * Run a BulkRequest (RFC 7644 §3.7). Operations run in order; a POST's
+ * bulkId can be referenced by later operations only.
+ * @param {string} organizationId
+ * @param {Object} body - BulkRequest
+ * @param {Object} [context] - { applicationId }
+ * @returns {Promise<Object>} BulkResponse
+ */
+async function processBulk(organizationId, body, context = {}) {
+  const schemas = read(body, 'schemas');
+  if (!Array.isArray(schemas) || !schemas.includes(SCHEMAS.BULK_REQUEST)) {
+    throw scimError(400, `Bulk requests must use the ${SCHEMAS.BULK_REQUEST} schema`, 'invalidSyntax');
+  }
+
+  const operations = read(body, 'Operations');
+  if (!Array.isArray(operations)) {
+    throw scimError(400, 'Bulk requests must include Operations', 'invalidSyntax');
+  }
+
+  if (operations.length > config.scim.bulkMaxOperations) {
+    throw scimError(413, `Bulk requests are limited to ${config.scim.bulkMaxOperations} operations`);
+  }
+
+  const failOnErrors = parseInt(read(body, 'failOnErrors')) || 0;
+  const bulkIds = new Map();
+  const results = [];
+  let errors = 0;
+
+  for (const operation of operations) {
+    if (failOnErrors && errors >= failOnErrors) {
+      break;
+    }
+
+    const method = String(read(operation, 'method') || '').toUpperCase();
+    const bulkId = read(operation, 'bulkId');
+    const result = { method, bulkId };
+
+    try {
+      if (method === 'POST' && !bulkId) {
+        throw scimError(400, 'bulkId is required for POST operations', 'invalidValue');
+      }
+
+      const path = resolveBulkIds(String(read(operation, 'path') || ''), bulkIds);
+      const data = resolveBulkIds(read(operation, 'data'), bulkIds);
+      const match = /^\/(Users|Groups)(?:\/([^/]+))?$/.exec(path);
+
+      if (!match || (method === 'POST') === Boolean(match[2])) {
+        throw scimError(400, `Invalid path "${path}" for ${method}`, 'invalidPath');
+      }
+
+      const [, type, id] = match;
+      const handlers = BULK_HANDLERS[type];
+
+      if (method === 'POST') {
+        const resource = await handlers.create(organizationId, data, context);
+        bulkIds.set(bulkId, resource.id);
+        Object.assign(result, { location: resource.meta.location, status: '201' });
+      } else if (method === 'PUT' || method === 'PATCH') {
+        const resource = await (method === 'PUT' ? handlers.replace : handlers.patch)(organizationId, id, data);
+        Object.assign(result, { location: resource.meta.location, status: '200' });
+      } else if (method === 'DELETE') {
+        await handlers.remove(organizationId, id);
+        Object.assign(result, { location: location(`${type}/${id}`), status: '204' });
+      } else {
+        throw scimError(400, `Unsupported bulk method "${method}"`, 'invalidSyntax');
+      }
+    } catch (error) {
+      errors++;
+      const response = toScimError(error);
+      Object.assign(result, { status: response.status, response });
+    }
+
+    results.push(compact(result));
+  }
+
+  return { schemas: [SCHEMAS.BULK_RESPONSE], Operations: results };
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Bearer Tokens
+ * ═══════════════════════════════════════════════════════════
+ */
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a SCIM bearer token for an application. The plaintext token is
+ * only returned here.
+ * @param {Object} application - Application row
+ * @param {Object} options - { name, expiresIn (seconds) }
+ * @param {string} userId - Issuing user
+ * @returns {Promise<{ token: string, scimToken: Object }>}
+ */
+async function issueToken(application, options = {}, userId = null) {
+  if (!application.organizationId) {
+    throw new AppError('SCIM tokens require an application that belongs to an organization', 400, 'ORGANIZATION_REQUIRED');
+  }
+
+  if (application.status !== 'active') {
+    throw new AppError('Application is not active', 400, 'APPLICATION_INACTIVE');
+  }
+
+  const expiresIn = options.expiresIn === undefined ? null : parseInt(options.expiresIn);
+  if (expiresIn !== null && !(expiresIn > 0)) {
+    throw new AppError('expiresIn must be a positive number of seconds', 400, 'INVALID_EXPIRY');
+  }
+
+  const token = `scim_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const scimToken = await ScimToken.create({
+    applicationId: application.id,
+    organizationId: application.organizationId,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, 12),
+    name: options.name || null,
+    createdBy: userId,
+    expiresAt: expiresIn ? Date.now() + expiresIn * 1000 : null
+  });
+
+  logger.info('SCIM token issued', { applicationId: application.id, tokenId: scimToken.id, userId });
+
+  return { token, scimToken };
+}
+
+/**
+ * List an application's SCIM tokens
+ * @param {string} applicationId
+ * @returns {Promise<Array>}
+ */
+async function listTokens(applicationId) {
+  return ScimToken.findAll({
+    where: { applicationId },
+    order: [['createdAt', 'DESC']]
+  });
+}
+
+/**
+ * Revoke a SCIM token
+ * @param {string} applicationId
+ * @param {string} tokenId
+ * @returns {Promise<Object>} The revoked token
+ */
+async function revokeToken(applicationId, tokenId) {
+  const scimToken = await ScimToken.findOne({ where: { id: tokenId, applicationId } });
+
+  if (!scimToken) {
+    throw new AppError('SCIM token not found', 404, 'NOT_FOUND');
+  }
+
+  if (!scimToken.revokedAt) {
+    await scimToken.update({ revokedAt: Date.now() });
+  }
+
+  return scimToken;
+}
+
+/**
+ * Resolve a bearer token to the token row it was issued as
+ * @param {string} token
+ * @returns {Promise<Object>} ScimToken with its application
+ */
+async function authenticateToken(token) {
+  const scimToken = await ScimToken.findOne({
+    where: { tokenHash: hashToken(token) },
+    include: [{ model: Application, as: 'application' }]
+  });
+
+  if (!scimToken || !scimToken.isUsable() || !scimToken.application ||
+    scimToken.application.status !== 'active' ||
+    scimToken.application.organizationId !== scimToken.organizationId) {
+    throw scimError(401, 'Invalid or expired SCIM token');
+  }
+
+  const organization = await Organization.findByPk(scimToken.organizationId);
+  if (!organization || organization.status !== 'active') {
+    throw scimError(403, 'Organization is not active');
+  }
+
+  // Avoid a write on every request from chatty provisioning clients
+  if (!scimToken.lastUsedAt || Date.now() - scimToken.lastUsedAt > 60000) {
+    await scimToken.update({ lastUsedAt: Date.now() });
+  }
+
+  return scimToken;
+}
+
+module.exports = {
+  SCHEMAS,
+  USER_SCHEMA,
+  GROUP_SCHEMA,
+  scimError,
+  toScimError,
+  getServiceProviderConfig,
+  getSchemas,
+  getResourceTypes,
+  userToScim,
+  groupToScim,
+  project,
+  listResponse,
+  applyPatch,
+  parseUser,
+  parseGroup,
+  getUser,
+  listUsers,
+  createUser,
+  replaceUser,
+  patchUser,
+  deleteUser,
+  getGroup,
+  listGroups,
+  createGroup,
+  replaceGroup,
+  patchGroup,
+  deleteGroup,
+  processBulk,
+  issueToken,
+  listTokens,
+  revokeToken,
+  authenticateToken
+};
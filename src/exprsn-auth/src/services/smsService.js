@@ -4,7 +4,7 @@
  * ═══════════════════════════════════════════════════════════
  */
 
-const logger = require('../utils/logger');
+const { logger } = require('@exprsn/shared');
 
 class SMSService {
   constructor() {
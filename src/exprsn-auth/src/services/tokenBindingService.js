@@ -0,0 +1,203 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Token Binding Service
+ * Sender-constrained OAuth2 tokens: DPoP proof-of-possession
+ * (RFC 9449) and certificate-bound tokens (RFC 8705)
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const OAuth2Server = require('oauth2-server');
+const dpop = require('../../../shared/utils/dpop');
+const mtls = require('../../../shared/utils/mtls');
+const tokenBinding = require('../../../shared/utils/tokenBinding');
+const { OAuth2Client, OAuth2Token } = require('../models');
+const redisClient = require('../utils/redis');
+const config = require('../config');
+
+// Without a configured secret, nonces are only valid on the instance that issued them
+const nonceSecret = config.oauth2.dpop.nonceSecret || crypto.randomBytes(32).toString('hex');
+
+const memoryReplayCache = new dpop.MemoryReplayCache();
+
+/**
+ * Seen proof jti values: Redis when connected, otherwise in-process
+ */
+const replayCache = {
+  async add(key, ttl) {
+    const added = await redisClient.setIfAbsent(`dpop:jti:${key}`, 1, ttl);
+    return added === null ? memoryReplayCache.add(key, ttl) : added;
+  }
+};
+
+let caCertificate;
+
+function getDPoPOptions() {
+  const { requireNonce, nonceLifetime, proofMaxAge } = config.oauth2.dpop;
+
+  return {
+    replayCache,
+    nonceSecret: requireNonce ? nonceSecret : undefined,
+    nonceLifetime,
+    maxAge: proofMaxAge
+  };
+}
+
+function getMtlsOptions() {
+  if (caCertificate === undefined) {
+    const { rootCertPath } = config.ca;
+    caCertificate = rootCertPath && fs.existsSync(rootCertPath) ? fs.readFileSync(rootCertPath) : null;
+  }
+
+  return { proxyHeader: config.oauth2.mtls.proxyHeader, caCertificate };
+}
+
+/**
+ * Convert a binding error from the shared utilities to an OAuth2 error
+ */
+function toOAuthError(error, status) {
+  if (!tokenBinding.isBindingError(error)) {
+    return error;
+  }
+
+  return new OAuth2Server.OAuthError(error.message, { code: status, name: error.code });
+}
+
+/**
+ * Fresh nonce for DPoP-Nonce response headers
+ * @returns {string}
+ */
+function issueNonce() {
+  return dpop.createNonce(nonceSecret);
+}
+
+/**
+ * Binding requirements a client registered
+ * @param {string} clientId - OAuth2 client_id
+ * @returns {Promise<{dpop: boolean, mtls: boolean}|null>}
+ */
+async function getClientPolicy(clientId) {
+  if (!clientId) {
+    return null;
+  }
+
+  const client = await OAuth2Client.findOne({ where: { clientId, status: 'active' } });
+  if (!client) {
+    return null;
+  }
+
+  const metadata = client.metadata || {};
+
+  return {
+    dpop: metadata.dpopBoundAccessTokens === true,
+    mtls: metadata.tlsClientCertificateBoundAccessTokens === true
+  };
+}
+
+/**
+ * Confirmation (cnf) for the tokens a token request will issue
+ * @param {Object} req - Express request to the token endpoint
+ * @param {Object|null} policy - Result of getClientPolicy
+ * @returns {Promise<Object|null>} {jkt?, 'x5t#S256'?}
+ */
+async function getTokenRequestConfirmation(req, policy) {
+  const confirmation = {};
+
+  try {
+    const proof = tokenBinding.getProof(req);
+
+    if (proof) {
+      const { jkt } = await dpop.verifyProof(proof, {
+        ...getDPoPOptions(),
+        method: req.method,
+        url: dpop.getRequestUrl(req)
+      });
+      confirmation.jkt = jkt;
+    }
+  } catch (error) {
+    throw toOAuthError(error, 400);
+  }
+
+  if (!confirmation.jkt && policy?.dpop) {
+    throw new OAuth2Server.InvalidRequestError('Invalid request: client requires DPoP-bound access tokens');
+  }
+
+  if (policy?.mtls) {
+    const thumbprint = mtls.getCertificateThumbprint(req, getMtlsOptions());
+
+    if (!thumbprint) {
+      throw new OAuth2Server.InvalidRequestError('Invalid request: client certificate is required');
+    }
+
+    confirmation['x5t#S256'] = thumbprint;
+  }
+
+  return Object.keys(confirmation).length > 0 ? confirmation : null;
+}
+
+/**
+ * Refresh tokens stay bound to the key and certificate they were issued to
+ * @param {string} refreshToken
+ * @param {Object|null} confirmation - Confirmation of the refresh request
+ */
+async function verifyRefreshBinding(refreshToken, confirmation) {
+  if (!refreshToken) {
+    return;
+  }
+
+  const token = await OAuth2Token.findOne({ where: { refreshToken } });
+  const bound = token?.confirmation;
+
+  if (!bound) {
+    return;
+  }
+
+  if (bound.jkt && bound.jkt !== confirmation?.jkt) {
+    throw new OAuth2Server.InvalidGrantError('Invalid grant: refresh token is bound to a different DPoP key');
+  }
+
+  if (bound['x5t#S256'] && bound['x5t#S256'] !== confirmation?.['x5t#S256']) {
+    throw new OAuth2Server.InvalidGrantError('Invalid grant: refresh token is bound to a different client certificate');
+  }
+}
+
+/**
+ * Check that a request presenting an access token satisfies its binding
+ * @param {Object} req - Express request
+ * @param {Object} token - Result of oauth2Service.getAccessToken
+ * @param {string} scheme - Authorization scheme used (Bearer or DPoP)
+ */
+async function verifyAccessToken(req, token, scheme) {
+  try {
+    await tokenBinding.verifyTokenBinding(req, {
+      token: token.accessToken,
+      scheme,
+      confirmation: token.confirmation
+    }, {
+      dpop: getDPoPOptions(),
+      mtls: getMtlsOptions()
+    });
+  } catch (error) {
+    throw toOAuthError(error, 401);
+  }
+}
+
+/**
+ * WWW-Authenticate challenge for a failed resource request
+ * @param {string} scheme - Authorization scheme used
+ * @param {Error} error - OAuth2 error
+ * @returns {string}
+ */
+function challenge(scheme, error) {
+  return tokenBinding.challenge(scheme, { code: error.name, message: error.message });
+}
+
+module.exports = {
+  issueNonce,
+  getClientPolicy,
+  getTokenRequestConfirmation,
+  verifyRefreshBinding,
+  verifyAccessToken,
+  challenge
+};
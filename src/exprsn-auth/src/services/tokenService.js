@@ -9,21 +9,30 @@
 const axios = require('axios');
 const { logger } = require('@exprsn/shared');
 const config = require('../config');
+const impersonationService = require('./impersonationService');
+
+const DEFAULT_PERMISSIONS = { read: true, write: true, append: true, update: true, delete: false };
 
 /**
  * Generate CA token for authenticated user
  * @param {Object} user - User object
  * @param {Object} options - Token generation options
+ * @param {boolean} options.downscope - Grant only the requested permissions the user holds
+ * @param {Object} options.tokenData - Extra claims to embed in the token
+ * @param {Object} options.impersonation - Active impersonation session; adds the actor and caps expiry
  * @returns {Promise<string>} CA token
  */
 async function generateToken(user, options = {}) {
   try {
     const {
-      permissions = { read: true, write: true, append: true, update: true, delete: false },
+      permissions = DEFAULT_PERMISSIONS,
       resourceType = 'url',
       resourceValue = '*',
       expiryType = 'time',
-      expirySeconds = config.tokenDefaults.expirySeconds
+      expirySeconds = config.tokenDefaults.expirySeconds,
+      downscope = false,
+      tokenData = {},
+      impersonation = null
     } = options;
 
     // Get user groups to determine permissions
@@ -38,19 +47,30 @@ async function generateToken(user, options = {}) {
         delete: acc.delete || group.permissions.delete,
         update: acc.update || group.permissions.update
       };
-    }, permissions);
+    }, downscope ? DEFAULT_PERMISSIONS : permissions);
+
+    // Downscoped tokens get only the requested permissions the user holds
+    const grantedPermissions = downscope
+      ? Object.fromEntries(Object.keys(aggregatedPermissions).map(key =>
+        [key, Boolean(aggregatedPermissions[key] && permissions[key])]))
+      : aggregatedPermissions;
 
     // Request token from CA
     const response = await axios.post(
       `${config.ca.url}/api/tokens/generate`,
       {
         userId: user.id,
-        permissions: aggregatedPermissions,
+        permissions: grantedPermissions,
         resourceType,
         resourceValue,
         expiryType,
-        expirySeconds,
+        // Tokens issued while impersonating never outlive the impersonation
+        expirySeconds: impersonation
+          ? Math.min(expirySeconds, impersonationService.remainingSeconds(impersonation))
+          : expirySeconds,
         tokenData: {
+          ...tokenData,
+          ...(impersonation && impersonationService.tokenClaims(impersonation)),
           email: user.email,
           displayName: user.displayName,
           groups: userGroups.map(g => g.name)
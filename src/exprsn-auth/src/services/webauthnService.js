@@ -0,0 +1,608 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * WebAuthn Service
+ * FIDO2 registration and assertion ceremonies for passkeys
+ * and security keys (W3C Web Authentication Level 2)
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const { AppError } = require('@exprsn/shared');
+const { WebAuthnCredential } = require('../models');
+const cbor = require('../utils/cbor');
+const config = require('../config');
+
+/**
+ * COSE algorithm identifiers accepted for credentials, in preference order
+ */
+const COSE_ALGORITHMS = {
+  ES256: -7,
+  EdDSA: -8,
+  ES384: -35,
+  PS256: -37,
+  RS256: -257
+};
+
+const SUPPORTED_ALGORITHMS = Object.values(COSE_ALGORITHMS);
+
+/**
+ * Authenticator data flags (§6.1)
+ */
+const FLAGS = {
+  UP: 0x01, // User present
+  UV: 0x04, // User verified
+  BE: 0x08, // Backup eligible
+  BS: 0x10, // Backed up
+  AT: 0x40 // Attested credential data included
+};
+
+const EC_CURVES = { 1: 'P-256', 2: 'P-384', 3: 'P-521' };
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+function fromBase64Url(value, field) {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value)) {
+    throw new AppError(`${field} must be base64url encoded`, 400, 'INVALID_CREDENTIAL');
+  }
+  return Buffer.from(value, 'base64url');
+}
+
+/**
+ * Parse authenticator data (§6.1)
+ * @param {Buffer} authData
+ * @returns {Object} rpIdHash, flags, signCount and any attested credential
+ */
+function parseAuthenticatorData(authData) {
+  if (authData.length < 37) {
+    throw new AppError('Authenticator data is truncated', 400, 'INVALID_AUTHENTICATOR_DATA');
+  }
+
+  const flags = authData[32];
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags,
+    userPresent: (flags & FLAGS.UP) !== 0,
+    userVerified: (flags & FLAGS.UV) !== 0,
+    backupEligible: (flags & FLAGS.BE) !== 0,
+    backedUp: (flags & FLAGS.BS) !== 0,
+    signCount: authData.readUInt32BE(33)
+  };
+
+  if (flags & FLAGS.AT) {
+    if (authData.length < 55) {
+      throw new AppError('Attested credential data is truncated', 400, 'INVALID_AUTHENTICATOR_DATA');
+    }
+
+    const aaguid = authData.subarray(37, 53);
+    const idLength = authData.readUInt16BE(53);
+    const credentialId = authData.subarray(55, 55 + idLength);
+    const keyOffset = 55 + idLength;
+
+    if (credentialId.length !== idLength || keyOffset >= authData.length) {
+      throw new AppError('Attested credential data is truncated', 400, 'INVALID_AUTHENTICATOR_DATA');
+    }
+
+    const { value: publicKey } = cbor.decodeFirst(authData.subarray(keyOffset));
+
+    parsed.attestedCredential = { aaguid, credentialId, publicKey };
+  }
+
+  return parsed;
+}
+
+/**
+ * Format an AAGUID as a UUID string
+ */
+function formatAaguid(aaguid) {
+  const hex = aaguid.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Convert a COSE_Key (RFC 9053) to a public KeyObject
+ * @param {Map} coseKey
+ * @returns {crypto.KeyObject}
+ */
+function coseToPublicKey(coseKey) {
+  if (!(coseKey instanceof Map)) {
+    throw new AppError('Credential public key is not a COSE key', 400, 'INVALID_PUBLIC_KEY');
+  }
+
+  const kty = coseKey.get(1);
+  let jwk;
+
+  if (kty === 2) {
+    const crv = EC_CURVES[coseKey.get(-1)];
+    if (!crv) {
+      throw new AppError('Unsupported elliptic curve', 400, 'INVALID_PUBLIC_KEY');
+    }
+    jwk = {
+      kty: 'EC',
+      crv,
+      x: coseKey.get(-2).toString('base64url'),
+      y: coseKey.get(-3).toString('base64url')
+    };
+  } else if (kty === 1 && coseKey.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: coseKey.get(-2).toString('base64url') };
+  } else if (kty === 3) {
+    jwk = {
+      kty: 'RSA',
+      n: coseKey.get(-1).toString('base64url'),
+      e: coseKey.get(-2).toString('base64url')
+    };
+  } else {
+    throw new AppError('Unsupported credential key type', 400, 'INVALID_PUBLIC_KEY');
+  }
+
+  try {
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  } catch (error) {
+    throw new AppError('Credential public key is invalid', 400, 'INVALID_PUBLIC_KEY');
+  }
+}
+
+/**
+ * Verify a signature made with a COSE algorithm
+ * @param {number} algorithm - COSE algorithm identifier
+ * @param {crypto.KeyObject|string} key - Public key
+ * @param {Buffer} data - Signed data
+ * @param {Buffer} signature
+ * @returns {boolean}
+ */
+function verifySignature(algorithm, key, data, signature) {
+  switch (algorithm) {
+    case COSE_ALGORITHMS.ES256:
+      return crypto.verify('sha256', data, { key, dsaEncoding: 'der' }, signature);
+    case COSE_ALGORITHMS.ES384:
+      return crypto.verify('sha384', data, { key, dsaEncoding: 'der' }, signature);
+    case COSE_ALGORITHMS.EdDSA:
+      return crypto.verify(null, data, key, signature);
+    case COSE_ALGORITHMS.RS256:
+      return crypto.verify('sha256', data, key, signature);
+    case COSE_ALGORITHMS.PS256:
+      return crypto.verify('sha256', data, {
+        key,
+        padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+        saltLength: 32
+      }, signature);
+    default:
+      throw new AppError(`Unsupported signature algorithm ${algorithm}`, 400, 'UNSUPPORTED_ALGORITHM');
+  }
+}
+
+/**
+ * Parse and check collected client data (§7.1 steps 5-12, §7.2 steps 10-15)
+ * @returns {Buffer} SHA-256 hash of clientDataJSON
+ */
+function verifyClientData(clientDataJSON, expectedType, expectedChallenge) {
+  let clientData;
+  try {
+    clientData = JSON.parse(clientDataJSON.toString('utf8'));
+  } catch (error) {
+    throw new AppError('Client data is not valid JSON', 400, 'INVALID_CLIENT_DATA');
+  }
+
+  if (clientData.type !== expectedType) {
+    throw new AppError(`Client data type must be ${expectedType}`, 400, 'INVALID_CLIENT_DATA');
+  }
+
+  if (clientData.challenge !== expectedChallenge) {
+    throw new AppError('Challenge does not match', 400, 'CHALLENGE_MISMATCH');
+  }
+
+  if (!config.webauthn.origins.includes(clientData.origin)) {
+    throw new AppError(`Origin ${clientData.origin} is not allowed`, 400, 'INVALID_ORIGIN');
+  }
+
+  return sha256(clientDataJSON);
+}
+
+/**
+ * Check the RP ID hash and user presence/verification flags
+ */
+function verifyAuthenticatorFlags(parsed, requireUserVerification) {
+  const expectedHash = sha256(config.webauthn.rpId);
+
+  if (!crypto.timingSafeEqual(parsed.rpIdHash, expectedHash)) {
+    throw new AppError('Credential is scoped to a different relying party', 400, 'RP_ID_MISMATCH');
+  }
+
+  if (!parsed.userPresent) {
+    throw new AppError('User presence was not confirmed', 400, 'USER_NOT_PRESENT');
+  }
+
+  if (requireUserVerification && !parsed.userVerified) {
+    throw new AppError('User verification is required', 400, 'USER_NOT_VERIFIED');
+  }
+}
+
+/**
+ * packed attestation (§8.2)
+ * Chains are recorded but not checked against a metadata service.
+ */
+function verifyPackedAttestation(attStmt, authData, clientDataHash, credentialAlgorithm, credentialKey) {
+  const alg = attStmt.get('alg');
+  const sig = attStmt.get('sig');
+  const x5c = attStmt.get('x5c');
+  const signedData = Buffer.concat([authData, clientDataHash]);
+
+  if (typeof alg !== 'number' || !Buffer.isBuffer(sig)) {
+    throw new AppError('packed attestation statement is malformed', 400, 'INVALID_ATTESTATION');
+  }
+
+  if (x5c && x5c.length > 0) {
+    const certificate = new crypto.X509Certificate(x5c[0]);
+    const now = new Date();
+
+    if (!/^OU=Authenticator Attestation$/m.test(certificate.subject)) {
+      throw new AppError('Attestation certificate subject OU is invalid', 400, 'INVALID_ATTESTATION');
+    }
+
+    if (now < new Date(certificate.validFrom) || now > new Date(certificate.validTo)) {
+      throw new AppError('Attestation certificate is not currently valid', 400, 'INVALID_ATTESTATION');
+    }
+
+    if (!verifySignature(alg, certificate.publicKey, signedData, sig)) {
+      throw new AppError('packed attestation signature is invalid', 400, 'INVALID_ATTESTATION');
+    }
+
+    return { type: 'basic', certificates: x5c.map(cert => cert.toString('base64')) };
+  }
+
+  // Self attestation: signed by the credential key itself
+  if (alg !== credentialAlgorithm) {
+    throw new AppError('Self attestation algorithm does not match the credential', 400, 'INVALID_ATTESTATION');
+  }
+
+  if (!verifySignature(alg, credentialKey, signedData, sig)) {
+    throw new AppError('packed self attestation signature is invalid', 400, 'INVALID_ATTESTATION');
+  }
+
+  return { type: 'self' };
+}
+
+/**
+ * fido-u2f attestation (§8.6)
+ */
+function verifyFidoU2FAttestation(attStmt, parsed, clientDataHash) {
+  const sig = attStmt.get('sig');
+  const x5c = attStmt.get('x5c');
+  const { credentialId, publicKey } = parsed.attestedCredential;
+
+  if (!Buffer.isBuffer(sig) || !Array.isArray(x5c) || x5c.length !== 1) {
+    throw new AppError('fido-u2f attestation statement is malformed', 400, 'INVALID_ATTESTATION');
+  }
+
+  const certificate = new crypto.X509Certificate(x5c[0]);
+  const certificateKey = certificate.publicKey;
+
+  if (certificateKey.asymmetricKeyType !== 'ec' || certificateKey.asymmetricKeyDetails.namedCurve !== 'prime256v1') {
+    throw new AppError('fido-u2f attestation certificate must hold a P-256 key', 400, 'INVALID_ATTESTATION');
+  }
+
+  if (publicKey.get(1) !== 2 || publicKey.get(-1) !== 1) {
+    throw new AppError('fido-u2f credentials must be P-256 keys', 400, 'INVALID_ATTESTATION');
+  }
+
+  const publicKeyU2F = Buffer.concat([Buffer.from([0x04]), publicKey.get(-2), publicKey.get(-3)]);
+  const verificationData = Buffer.concat([
+    Buffer.from([0x00]),
+    parsed.rpIdHash,
+    clientDataHash,
+    credentialId,
+    publicKeyU2F
+  ]);
+
+  if (!verifySignature(COSE_ALGORITHMS.ES256, certificateKey, verificationData, sig)) {
+    throw new AppError('fido-u2f attestation signature is invalid', 400, 'INVALID_ATTESTATION');
+  }
+
+  return { type: 'basic', certificates: [x5c[0].toString('base64')] };
+}
+
+/**
+ * Generate a random challenge
+ * @returns {string} base64url challenge
+ */
+function generateChallenge() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Remember the challenge for a ceremony in the session
+ * @param {Object} session - Express session
+ * @param {string} ceremony - registration | authentication | login
+ * @param {string} challenge
+ */
+function storeChallenge(session, ceremony, challenge) {
+  session.webauthn = {
+    ceremony,
+    challenge,
+    expiresAt: Date.now() + config.webauthn.timeout
+  };
+}
+
+/**
+ * Take (and clear) the pending challenge for a ceremony
+ * @throws {AppError} When no unexpired challenge is pending
+ */
+function takeChallenge(session, ceremony) {
+  const pending = session.webauthn;
+  delete session.webauthn;
+
+  if (!pending || pending.ceremony !== ceremony || Date.now() > pending.expiresAt) {
+    throw new AppError('No WebAuthn challenge is pending, or it has expired', 400, 'CHALLENGE_EXPIRED');
+  }
+
+  return pending.challenge;
+}
+
+/**
+ * Credential creation options (PublicKeyCredentialCreationOptionsJSON)
+ * @param {Object} user - User registering
+ * @param {Array} existingCredentials - User's credentials, excluded from re-registration
+ */
+function generateRegistrationOptions(user, existingCredentials = []) {
+  return {
+    challenge: generateChallenge(),
+    rp: {
+      id: config.webauthn.rpId,
+      name: config.webauthn.rpName
+    },
+    user: {
+      id: Buffer.from(user.id).toString('base64url'),
+      name: user.email,
+      displayName: user.displayName || user.email
+    },
+    pubKeyCredParams: SUPPORTED_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+    timeout: config.webauthn.timeout,
+    attestation: config.webauthn.attestation,
+    excludeCredentials: existingCredentials.map(credential => ({
+      type: 'public-key',
+      id: credential.credentialId,
+      transports: credential.transports || undefined
+    })),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      requireResidentKey: false,
+      userVerification: config.webauthn.userVerification
+    }
+  };
+}
+
+/**
+ * Credential request options (PublicKeyCredentialRequestOptionsJSON)
+ * @param {Array} [allowCredentials] - Empty for discoverable (passwordless) login
+ * @param {Object} [options]
+ * @param {string} [options.userVerification]
+ */
+function generateAuthenticationOptions(allowCredentials = [], options = {}) {
+  return {
+    challenge: generateChallenge(),
+    rpId: config.webauthn.rpId,
+    timeout: config.webauthn.timeout,
+    userVerification: options.userVerification || config.webauthn.userVerification,
+    allowCredentials: allowCredentials.map(credential => ({
+      type: 'public-key',
+      id: credential.credentialId,
+      transports: credential.transports || undefined
+    }))
+  };
+}
+
+/**
+ * Verify a registration response (§7.1)
+ * @param {Object} credential - PublicKeyCredential JSON from navigator.credentials.create()
+ * @param {string} expectedChallenge
+ * @param {Object} [options]
+ * @param {boolean} [options.requireUserVerification]
+ * @returns {Object} Credential fields to store
+ */
+function verifyRegistration(credential, expectedChallenge, options = {}) {
+  if (!credential || credential.type !== 'public-key' || !credential.response) {
+    throw new AppError('A public-key credential is required', 400, 'INVALID_CREDENTIAL');
+  }
+
+  const clientDataJSON = fromBase64Url(credential.response.clientDataJSON, 'clientDataJSON');
+  const clientDataHash = verifyClientData(clientDataJSON, 'webauthn.create', expectedChallenge);
+
+  let attestation;
+  try {
+    attestation = cbor.decode(fromBase64Url(credential.response.attestationObject, 'attestationObject'));
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new AppError('Attestation object is not valid CBOR', 400, 'INVALID_ATTESTATION');
+  }
+
+  const fmt = attestation.get('fmt');
+  const authData = attestation.get('authData');
+  const attStmt = attestation.get('attStmt');
+
+  if (typeof fmt !== 'string' || !Buffer.isBuffer(authData) || !(attStmt instanceof Map)) {
+    throw new AppError('Attestation object is malformed', 400, 'INVALID_ATTESTATION');
+  }
+
+  const parsed = parseAuthenticatorData(authData);
+  verifyAuthenticatorFlags(parsed, options.requireUserVerification);
+
+  if (!parsed.attestedCredential) {
+    throw new AppError('Registration did not include a credential', 400, 'INVALID_AUTHENTICATOR_DATA');
+  }
+
+  const { aaguid, credentialId, publicKey: coseKey } = parsed.attestedCredential;
+  const algorithm = coseKey.get(3);
+
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new AppError(`Unsupported credential algorithm ${algorithm}`, 400, 'UNSUPPORTED_ALGORITHM');
+  }
+
+  if (credential.id !== credentialId.toString('base64url')) {
+    throw new AppError('Credential ID does not match authenticator data', 400, 'INVALID_CREDENTIAL');
+  }
+
+  const publicKey = coseToPublicKey(coseKey);
+
+  let result;
+  switch (fmt) {
+    case 'none':
+      if (attStmt.size > 0) {
+        throw new AppError('none attestation must have an empty statement', 400, 'INVALID_ATTESTATION');
+      }
+      result = { type: 'none' };
+      break;
+    case 'packed':
+      result = verifyPackedAttestation(attStmt, authData, clientDataHash, algorithm, publicKey);
+      break;
+    case 'fido-u2f':
+      result = verifyFidoU2FAttestation(attStmt, parsed, clientDataHash);
+      break;
+    default:
+      throw new AppError(`Unsupported attestation format ${fmt}`, 400, 'UNSUPPORTED_ATTESTATION');
+  }
+
+  return {
+    credentialId: credential.id,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    algorithm,
+    signCount: parsed.signCount,
+    aaguid: formatAaguid(aaguid),
+    transports: Array.isArray(credential.response.transports) ? credential.response.transports : [],
+    attestationFormat: fmt,
+    attestationType: result.type,
+    attestationCertificates: result.certificates || null,
+    backupEligible: parsed.backupEligible,
+    backedUp: parsed.backedUp,
+    userVerified: parsed.userVerified
+  };
+}
+
+/**
+ * Verify an authentication assertion (§7.2)
+ * @param {Object} credential - PublicKeyCredential JSON from navigator.credentials.get()
+ * @param {string} expectedChallenge
+ * @param {Object} storedCredential - { credentialId, userId, publicKey, algorithm, signCount }
+ * @param {Object} [options]
+ * @param {boolean} [options.requireUserVerification]
+ * @returns {{ signCount: number, userVerified: boolean, backedUp: boolean }}
+ */
+function verifyAuthentication(credential, expectedChallenge, storedCredential, options = {}) {
+  if (!credential || credential.type !== 'public-key' || !credential.response) {
+    throw new AppError('A public-key credential is required', 400, 'INVALID_CREDENTIAL');
+  }
+
+  if (credential.id !== storedCredential.credentialId) {
+    throw new AppError('Credential ID does not match', 400, 'INVALID_CREDENTIAL');
+  }
+
+  const { userHandle } = credential.response;
+  if (userHandle && fromBase64Url(userHandle, 'userHandle').toString('utf8') !== storedCredential.userId) {
+    throw new AppError('Credential belongs to a different user', 401, 'USER_HANDLE_MISMATCH');
+  }
+
+  const clientDataJSON = fromBase64Url(credential.response.clientDataJSON, 'clientDataJSON');
+  const clientDataHash = verifyClientData(clientDataJSON, 'webauthn.get', expectedChallenge);
+
+  const authData = fromBase64Url(credential.response.authenticatorData, 'authenticatorData');
+  const parsed = parseAuthenticatorData(authData);
+  verifyAuthenticatorFlags(parsed, options.requireUserVerification);
+
+  const signature = fromBase64Url(credential.response.signature, 'signature');
+  const signedData = Buffer.concat([authData, clientDataHash]);
+
+  if (!verifySignature(storedCredential.algorithm, storedCredential.publicKey, signedData, signature)) {
+    throw new AppError('Assertion signature is invalid', 401, 'INVALID_SIGNATURE');
+  }
+
+  // A counter that fails to advance suggests a cloned authenticator (§6.1.1);
+  // authenticators that do not implement one always report zero
+  const storedCount = Number(storedCredential.signCount) || 0;
+  if ((parsed.signCount > 0 || storedCount > 0) && parsed.signCount <= storedCount) {
+    throw new AppError('Authenticator sign counter did not increase', 401, 'SIGN_COUNT_INVALID');
+  }
+
+  return {
+    signCount: parsed.signCount,
+    userVerified: parsed.userVerified,
+    backedUp: parsed.backedUp
+  };
+}
+
+/**
+ * Verify a registration response and store the credential
+ * @param {string} userId - Registering user
+ * @param {Object} credential - PublicKeyCredential JSON
+ * @param {string} expectedChallenge
+ * @param {string} [name] - User-chosen label
+ * @returns {Promise<Object>} WebAuthnCredential
+ */
+async function registerCredential(userId, credential, expectedChallenge, name = null) {
+  const { userVerified, ...fields } = verifyRegistration(credential, expectedChallenge);
+
+  const existing = await WebAuthnCredential.findOne({ where: { credentialId: fields.credentialId } });
+  if (existing) {
+    throw new AppError('Credential is already registered', 409, 'CREDENTIAL_EXISTS');
+  }
+
+  return WebAuthnCredential.create({ ...fields, userId, name });
+}
+
+/**
+ * Verify an assertion against a stored credential and advance its counter
+ * @param {Object} credential - PublicKeyCredential JSON
+ * @param {string} expectedChallenge
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Restrict to this user's credentials (second factor)
+ * @param {boolean} [options.requireUserVerification]
+ * @returns {Promise<Object>} The WebAuthnCredential used
+ */
+async function authenticateCredential(credential, expectedChallenge, options = {}) {
+  const where = { credentialId: String((credential && credential.id) || '') };
+  if (options.userId) {
+    where.userId = options.userId;
+  }
+
+  const stored = await WebAuthnCredential.findOne({ where });
+  if (!stored) {
+    throw new AppError('Credential is not registered', 401, 'CREDENTIAL_NOT_FOUND');
+  }
+
+  const result = verifyAuthentication(credential, expectedChallenge, stored, options);
+
+  await stored.update({
+    signCount: result.signCount,
+    backedUp: result.backedUp,
+    lastUsedAt: Date.now()
+  });
+
+  return stored;
+}
+
+/**
+ * Whether a user has MFA: an authenticator app or a registered security key/passkey
+ * @param {Object} user
+ * @returns {Promise<boolean>}
+ */
+async function isMfaEnabled(user) {
+  if (user.mfaEnabled) {
+    return true;
+  }
+
+  return (await WebAuthnCredential.count({ where: { userId: user.id } })) > 0;
+}
+
+module.exports = {
+  COSE_ALGORITHMS,
+  parseAuthenticatorData,
+  coseToPublicKey,
+  storeChallenge,
+  takeChallenge,
+  generateRegistrationOptions,
+  generateAuthenticationOptions,
+  verifyRegistration,
+  verifyAuthentication,
+  registerCredential,
+  authenticateCredential,
+  isMfaEnabled
+};
@@ -0,0 +1,129 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * CBOR Decoder
+ * Minimal RFC 8949 decoder for WebAuthn attestation objects
+ * and COSE keys (definite-length items only)
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/**
+ * Decode one item starting at offset
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {{ value: *, offset: number }} Decoded value and the offset after it
+ */
+function decodeItem(buffer, offset) {
+  if (offset >= buffer.length) {
+    throw new Error('Unexpected end of CBOR data');
+  }
+
+  const initial = buffer[offset++];
+  const majorType = initial >> 5;
+  const additional = initial & 0x1f;
+
+  let length;
+  if (additional < 24) {
+    length = additional;
+  } else if (additional === 24) {
+    length = buffer.readUInt8(offset);
+    offset += 1;
+  } else if (additional === 25) {
+    length = buffer.readUInt16BE(offset);
+    offset += 2;
+  } else if (additional === 26) {
+    length = buffer.readUInt32BE(offset);
+    offset += 4;
+  } else if (additional === 27) {
+    length = Number(buffer.readBigUInt64BE(offset));
+    offset += 8;
+  } else {
+    throw new Error('Indefinite-length CBOR items are not supported');
+  }
+
+  switch (majorType) {
+    case 0: // Unsigned integer
+      return { value: length, offset };
+
+    case 1: // Negative integer
+      return { value: -1 - length, offset };
+
+    case 2: { // Byte string
+      const end = offset + length;
+      if (end > buffer.length) {
+        throw new Error('CBOR byte string exceeds data');
+      }
+      return { value: buffer.subarray(offset, end), offset: end };
+    }
+
+    case 3: { // Text string
+      const end = offset + length;
+      if (end > buffer.length) {
+        throw new Error('CBOR text string exceeds data');
+      }
+      return { value: buffer.toString('utf8', offset, end), offset: end };
+    }
+
+    case 4: { // Array
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        const item = decodeItem(buffer, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+
+    case 5: { // Map (integer keys kept as numbers, as COSE uses them)
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        const key = decodeItem(buffer, offset);
+        const item = decodeItem(buffer, key.offset);
+        map.set(key.value, item.value);
+        offset = item.offset;
+      }
+      return { value: map, offset };
+    }
+
+    case 6: // Tag - return the tagged item
+      return decodeItem(buffer, offset);
+
+    case 7: // Simple values
+      if (additional === 20) return { value: false, offset };
+      if (additional === 21) return { value: true, offset };
+      if (additional === 22 || additional === 23) return { value: null, offset };
+      throw new Error('Unsupported CBOR simple value');
+
+    default:
+      throw new Error('Invalid CBOR major type');
+  }
+}
+
+/**
+ * Decode the first item in a buffer
+ * @param {Buffer} buffer
+ * @returns {{ value: *, length: number }} Value and the number of bytes it used
+ */
+function decodeFirst(buffer) {
+  const { value, offset } = decodeItem(buffer, 0);
+  return { value, length: offset };
+}
+
+/**
+ * Decode a buffer holding exactly one item
+ * @param {Buffer} buffer
+ * @returns {*}
+ */
+function decode(buffer) {
+  const { value, length } = decodeFirst(buffer);
+
+  if (length !== buffer.length) {
+    throw new Error('Trailing bytes after CBOR item');
+  }
+
+  return value;
+}
+
+module.exports = {
+  decode,
+  decodeFirst
+};
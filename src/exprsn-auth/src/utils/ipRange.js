@@ -0,0 +1,147 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * IP Range Utilities
+ * IPv4/IPv6 address normalization and CIDR matching
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const net = require('net');
+
+/**
+ * Normalize an IP address (strip IPv4-mapped IPv6 prefix)
+ * @param {string} ip
+ * @returns {string|null} Address, or null if it is not an IP address
+ */
+function normalizeIp(ip) {
+  if (typeof ip !== 'string') {
+    return null;
+  }
+
+  const address = ip.trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  return net.isIP(address) ? address : null;
+}
+
+function familyOf(address) {
+  return net.isIP(address) === 4 ? 'ipv4' : 'ipv6';
+}
+
+/**
+ * Parse a CIDR block ('10.0.0.0/8', '2001:db8::/32' or a single address)
+ * @param {string} cidr
+ * @returns {{ address: string, prefix: number, family: string }|null}
+ */
+function parseCidr(cidr) {
+  if (typeof cidr !== 'string') {
+    return null;
+  }
+
+  const [rawAddress, rawPrefix] = cidr.trim().split('/');
+  const address = normalizeIp(rawAddress);
+
+  if (!address) {
+    return null;
+  }
+
+  const family = familyOf(address);
+  const maxPrefix = family === 'ipv4' ? 32 : 128;
+
+  if (rawPrefix !== undefined && !/^\d+$/.test(rawPrefix)) {
+    return null;
+  }
+
+  const prefix = rawPrefix === undefined ? maxPrefix : Number(rawPrefix);
+
+  if (prefix > maxPrefix) {
+    return null;
+  }
+
+  return { address, prefix, family };
+}
+
+/**
+ * Helper: Address as a BigInt
+ */
+function toBigInt(address) {
+  if (familyOf(address) === 'ipv4') {
+    return address.split('.').reduce((value, octet) => (value << 8n) + BigInt(octet), 0n);
+  }
+
+  let groups = address.toLowerCase();
+
+  // Embedded IPv4 tail (::a.b.c.d)
+  const v4 = /(\d+\.\d+\.\d+\.\d+)$/.exec(groups);
+  if (v4) {
+    const tail = toBigInt(v4[1]);
+    groups = groups.slice(0, -v4[1].length) + `${(tail >> 16n).toString(16)}:${(tail & 0xffffn).toString(16)}`;
+  }
+
+  const [head, rest] = groups.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const restGroups = rest ? rest.split(':') : [];
+  const missing = rest === undefined ? 0 : 8 - headGroups.length - restGroups.length;
+  const all = [...headGroups, ...Array(missing).fill('0'), ...restGroups];
+
+  return all.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Whether an address falls inside a parsed CIDR block
+ * @param {object} block - Result of parseCidr
+ * @param {string} ip
+ */
+function cidrContains(block, ip) {
+  const address = normalizeIp(ip);
+
+  if (!block || !address || familyOf(address) !== block.family) {
+    return false;
+  }
+
+  const bits = block.family === 'ipv4' ? 32n : 128n;
+  const shift = bits - BigInt(block.prefix);
+
+  return (toBigInt(address) >> shift) === (toBigInt(block.address) >> shift);
+}
+
+/**
+ * Build a matcher for a list of CIDR blocks
+ * Invalid entries are skipped
+ * @param {string[]} cidrs
+ * @returns {{ size: number, check: Function }}
+ */
+function createIpMatcher(cidrs) {
+  const blockList = new net.BlockList();
+  let size = 0;
+
+  for (const cidr of cidrs) {
+    const block = parseCidr(cidr);
+    if (block) {
+      blockList.addSubnet(block.address, block.prefix, block.family);
+      size += 1;
+    }
+  }
+
+  return {
+    size,
+    check(ip) {
+      const address = normalizeIp(ip);
+      return Boolean(address) && blockList.check(address, familyOf(address));
+    }
+  };
+}
+
+/**
+ * Whether an IP address falls in any of the CIDR blocks
+ * @param {string} ip
+ * @param {string|string[]} cidrs
+ */
+function ipInCidr(ip, cidrs) {
+  return createIpMatcher([].concat(cidrs)).check(ip);
+}
+
+module.exports = {
+  normalizeIp,
+  parseCidr,
+  cidrContains,
+  createIpMatcher,
+  ipInCidr
+};
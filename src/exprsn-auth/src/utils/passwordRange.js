@@ -0,0 +1,117 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Password Range Utilities
+ * SHA-1 hash ranges in the Have I Been Pwned format: a 5-character
+ * prefix names the range, and each line holds SUFFIX:COUNT
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+
+const PREFIX_LENGTH = 5;
+const HASH_PATTERN = /^[0-9A-F]{40}$/;
+const PREFIX_PATTERN = /^[0-9A-F]{5}$/;
+const SUFFIX_PATTERN = /^[0-9A-F]{35}$/;
+
+/**
+ * Uppercase hex SHA-1 of a password
+ * @param {string} password
+ * @returns {string}
+ */
+function sha1Hex(password) {
+  return crypto.createHash('sha1').update(String(password), 'utf8').digest('hex').toUpperCase();
+}
+
+/**
+ * Split a SHA-1 hash into its range prefix and suffix
+ * @param {string} hash - 40 hex characters, either case
+ * @returns {{ prefix: string, suffix: string }|null}
+ */
+function splitHash(hash) {
+  const normalized = typeof hash === 'string' ? hash.trim().toUpperCase() : '';
+
+  if (!HASH_PATTERN.test(normalized)) {
+    return null;
+  }
+
+  return {
+    prefix: normalized.slice(0, PREFIX_LENGTH),
+    suffix: normalized.slice(PREFIX_LENGTH)
+  };
+}
+
+function isPrefix(value) {
+  return typeof value === 'string' && PREFIX_PATTERN.test(value.toUpperCase());
+}
+
+/**
+ * Parse a range file
+ * Padding entries (count 0) and malformed lines are skipped
+ * @param {string} text - SUFFIX:COUNT lines, LF or CRLF
+ * @returns {Map<string, number>} Suffix to breach count
+ */
+function parseRange(text) {
+  const entries = new Map();
+
+  for (const line of String(text).split(/\r?\n/)) {
+    const [rawSuffix, rawCount] = line.trim().split(':');
+    const suffix = (rawSuffix || '').toUpperCase();
+    const count = rawCount === undefined ? 1 : parseInt(rawCount, 10);
+
+    if (SUFFIX_PATTERN.test(suffix) && count > 0) {
+      entries.set(suffix, Math.max(entries.get(suffix) || 0, count));
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Format a range as HIBP does: sorted by suffix, CRLF line endings
+ * @param {Map<string, number>} entries
+ * @returns {string}
+ */
+function formatRange(entries) {
+  return [...entries.keys()]
+    .sort()
+    .map(suffix => `${suffix}:${entries.get(suffix)}`)
+    .join('\r\n');
+}
+
+/**
+ * Keyed fingerprint of a password's SHA-1
+ * Lets newly imported breach sets be matched against stored passwords
+ * without keeping an unkeyed fast hash of them
+ * @param {string} hash - SHA-1 hex
+ * @param {string} key
+ * @returns {string}
+ */
+function fingerprint(hash, key) {
+  return crypto.createHmac('sha256', key).update(hash.toUpperCase()).digest('hex');
+}
+
+/**
+ * User fields recording which range a password falls in
+ * @param {string} password
+ * @param {string|null} key - Fingerprint key; without one no fingerprint is kept
+ * @returns {{ passwordRange: string, passwordFingerprint: string|null }}
+ */
+function passwordFields(password, key) {
+  const hash = sha1Hex(password);
+
+  return {
+    passwordRange: hash.slice(0, PREFIX_LENGTH),
+    passwordFingerprint: key ? fingerprint(hash, key) : null
+  };
+}
+
+module.exports = {
+  PREFIX_LENGTH,
+  sha1Hex,
+  splitHash,
+  isPrefix,
+  parseRange,
+  formatRange,
+  fingerprint,
+  passwordFields
+};
@@ -114,6 +114,25 @@ class RedisClient {
     }
   }
 
+  /**
+   * Set value only if the key does not already exist
+   * @param {string} key - Cache key
+   * @param {any} value - Value to cache
+   * @param {number} ttl - Time-to-live in seconds
+   * @returns {Promise<boolean|null>} Whether the key was set, or null if Redis is unavailable
+   */
+  async setIfAbsent(key, value, ttl) {
+    if (!this.isEnabled || !this.isConnected) return null;
+
+    try {
+      const result = await this.client.set(key, JSON.stringify(value), 'EX', ttl, 'NX');
+      return result === 'OK';
+    } catch (error) {
+      console.error('[Redis] SET NX error:', { key, error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Delete key from cache
    * @param {string} key - Cache key
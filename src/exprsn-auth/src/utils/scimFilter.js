@@ -0,0 +1,473 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * SCIM Filter
+ * RFC 7644 §3.4.2.2 filter and PATCH path parsing, plus
+ * in-memory evaluation against SCIM resource representations
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const COMPARISON_OPERATORS = ['eq', 'ne', 'co', 'sw', 'ew', 'gt', 'ge', 'lt', 'le'];
+
+// Attributes compared case-sensitively (RFC 7643 caseExact)
+const CASE_EXACT_ATTRIBUTES = ['id', 'externalid', 'value', '$ref'];
+
+/**
+ * Build an error the SCIM routes report as a 400
+ * @param {string} message
+ * @param {string} scimType - RFC 7644 §3.12 error type
+ * @returns {Error}
+ */
+function filterError(message, scimType = 'invalidFilter') {
+  const error = new Error(message);
+  error.scimType = scimType;
+  return error;
+}
+
+/**
+ * Split a filter into tokens
+ * @param {string} input
+ * @returns {Array<{ type: string, value: * }>}
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if ('()[]'.includes(char)) {
+      tokens.push({ type: char, value: char });
+      i++;
+    } else if (char === '"') {
+      let end = i + 1;
+      while (end < input.length && input[end] !== '"') {
+        end += input[end] === '\\' ? 2 : 1;
+      }
+      if (end >= input.length) {
+        throw filterError('Unterminated string in filter');
+      }
+      try {
+        tokens.push({ type: 'string', value: JSON.parse(input.slice(i, end + 1)) });
+      } catch (error) {
+        throw filterError('Invalid string in filter');
+      }
+      i = end + 1;
+    } else {
+      const match = /^[^\s()[\]"]+/.exec(input.slice(i));
+      tokens.push({ type: 'word', value: match[0] });
+      i += match[0].length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an attribute path such as "name.givenName" or
+ * "urn:ietf:params:scim:schemas:core:2.0:User:userName"
+ * @param {string} path
+ * @returns {{ schema: string|null, attribute: string, subAttribute: string|null }}
+ */
+function parseAttributePath(path) {
+  let schema = null;
+  let rest = path;
+
+  if (/^urn:/i.test(path)) {
+    const split = path.lastIndexOf(':');
+    schema = path.slice(0, split);
+    rest = path.slice(split + 1);
+  }
+
+  const [attribute, subAttribute, ...extra] = rest.split('.');
+
+  if (!attribute || extra.length > 0 || !/^[A-Za-z$][\w$-]*$/.test(attribute) ||
+    (subAttribute !== undefined && !/^[A-Za-z$][\w$-]*$/.test(subAttribute))) {
+    throw filterError(`Invalid attribute path "${path}"`, 'invalidPath');
+  }
+
+  return { schema, attribute, subAttribute: subAttribute || null };
+}
+
+/**
+ * Recursive descent parser over a token list
+ */
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isKeyword(token, keyword) {
+    return token && token.type === 'word' && token.value.toLowerCase() === keyword;
+  }
+
+  expect(type) {
+    const token = this.next();
+    if (!token || token.type !== type) {
+      throw filterError(`Expected "${type}" in filter`);
+    }
+    return token;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword(this.peek(), 'or')) {
+      this.next();
+      left = { op: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isKeyword(this.peek(), 'and')) {
+      this.next();
+      left = { op: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    const token = this.peek();
+    const following = this.tokens[this.position + 1];
+
+    if (this.isKeyword(token, 'not') && following && following.type === '(') {
+      this.next();
+      this.next();
+      const filter = this.parseOr();
+      this.expect(')');
+      return { op: 'not', filter };
+    }
+
+    return this.parseAtom();
+  }
+
+  parseAtom() {
+    const token = this.next();
+
+    if (!token) {
+      throw filterError('Unexpected end of filter');
+    }
+
+    if (token.type === '(') {
+      const filter = this.parseOr();
+      this.expect(')');
+      return filter;
+    }
+
+    if (token.type !== 'word') {
+      throw filterError('Expected an attribute path in filter');
+    }
+
+    const path = parseAttributePath(token.value);
+
+    if (this.peek() && this.peek().type === '[') {
+      if (path.subAttribute) {
+        throw filterError(`Invalid value path "${token.value}"`);
+      }
+      this.next();
+      const filter = this.parseOr();
+      this.expect(']');
+      return { op: 'complex', path, filter };
+    }
+
+    const operator = this.next();
+    if (!operator || operator.type !== 'word') {
+      throw filterError(`Missing operator after "${token.value}"`);
+    }
+
+    const op = operator.value.toLowerCase();
+
+    if (op === 'pr') {
+      return { op, path };
+    }
+
+    if (!COMPARISON_OPERATORS.includes(op)) {
+      throw filterError(`Unsupported filter operator "${operator.value}"`);
+    }
+
+    return { op, path, value: this.parseValue() };
+  }
+
+  parseValue() {
+    const token = this.next();
+
+    if (!token) {
+      throw filterError('Missing comparison value in filter');
+    }
+
+    if (token.type === 'string') {
+      return token.value;
+    }
+
+    if (token.type === 'word') {
+      const lowered = token.value.toLowerCase();
+      if (lowered === 'true') return true;
+      if (lowered === 'false') return false;
+      if (lowered === 'null') return null;
+
+      const number = Number(token.value);
+      if (!Number.isNaN(number)) {
+        return number;
+      }
+    }
+
+    throw filterError(`Invalid comparison value "${token.value}"`);
+  }
+}
+
+/**
+ * Parse a filter expression into an AST
+ * @param {string} filter
+ * @returns {Object} AST node
+ */
+function parseFilter(filter) {
+  if (typeof filter !== 'string' || !filter.trim()) {
+    throw filterError('Filter must be a non-empty string');
+  }
+
+  const parser = new Parser(tokenize(filter));
+  const ast = parser.parseOr();
+
+  if (parser.peek()) {
+    throw filterError(`Unexpected "${parser.peek().value}" in filter`);
+  }
+
+  return ast;
+}
+
+/**
+ * Parse a PATCH operation path such as
+ * 'members[value eq "2819c223"]' or 'emails[type eq "work"].value'
+ * @param {string} path
+ * @returns {{ schema: string|null, attribute: string, subAttribute: string|null, filter: Object|null }}
+ */
+function parsePath(path) {
+  if (typeof path !== 'string' || !path.trim()) {
+    throw filterError('Path must be a non-empty string', 'invalidPath');
+  }
+
+  const open = path.indexOf('[');
+
+  if (open === -1) {
+    return { ...parseAttributePath(path.trim()), filter: null };
+  }
+
+  // Find the closing bracket, skipping over quoted strings
+  let close = -1;
+  let inString = false;
+  for (let i = open + 1; i < path.length; i++) {
+    if (inString) {
+      if (path[i] === '\\') i++;
+      else if (path[i] === '"') inString = false;
+    } else if (path[i] === '"') {
+      inString = true;
+    } else if (path[i] === ']') {
+      close = i;
+      break;
+    }
+  }
+
+  if (close === -1) {
+    throw filterError(`Invalid path "${path}"`, 'invalidPath');
+  }
+
+  const base = parseAttributePath(path.slice(0, open).trim());
+  const rest = path.slice(close + 1).trim();
+
+  if (base.subAttribute || (rest && !/^\.[A-Za-z$][\w$-]*$/.test(rest))) {
+    throw filterError(`Invalid path "${path}"`, 'invalidPath');
+  }
+
+  return {
+    schema: base.schema,
+    attribute: base.attribute,
+    subAttribute: rest ? rest.slice(1) : null,
+    filter: parseFilter(path.slice(open + 1, close))
+  };
+}
+
+/**
+ * Case-insensitive property lookup (SCIM attribute names are case-insensitive)
+ * @param {Object} object
+ * @param {string} name
+ * @returns {string|undefined} The key as stored on the object
+ */
+function findKey(object, name) {
+  if (!object || typeof object !== 'object') {
+    return undefined;
+  }
+
+  const lowered = name.toLowerCase();
+  return Object.keys(object).find(key => key.toLowerCase() === lowered);
+}
+
+/**
+ * Read an attribute, honouring an extension schema prefix
+ * @param {Object} resource
+ * @param {{ schema: string|null, attribute: string }} path
+ * @returns {*}
+ */
+function getAttribute(resource, path) {
+  let container = resource;
+
+  if (path.schema) {
+    const schemaKey = findKey(resource, path.schema);
+    // Core schema attributes live at the top level of the resource
+    if (schemaKey) {
+      container = resource[schemaKey];
+    }
+  }
+
+  const key = findKey(container, path.attribute);
+  return key === undefined ? undefined : container[key];
+}
+
+/**
+ * Collect the leaf values a path refers to, flattening multi-valued attributes
+ * @param {Object} resource
+ * @param {Object} path
+ * @returns {Array}
+ */
+function collectValues(resource, path) {
+  const value = getAttribute(resource, path);
+  const items = Array.isArray(value) ? value : [value];
+  const values = [];
+
+  for (const item of items) {
+    if (item === undefined || item === null) {
+      continue;
+    }
+
+    if (path.subAttribute) {
+      const key = findKey(item, path.subAttribute);
+      if (key !== undefined && item[key] !== undefined && item[key] !== null) {
+        values.push(item[key]);
+      }
+    } else if (typeof item === 'object') {
+      // Multi-valued complex attributes compare against their "value"
+      const key = findKey(item, 'value');
+      if (key !== undefined) {
+        values.push(item[key]);
+      }
+    } else {
+      values.push(item);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Compare a single attribute value against a filter value
+ */
+function compare(actual, op, expected, caseExact) {
+  if (expected === null) {
+    return op === 'eq' ? actual === null : actual !== null;
+  }
+
+  if (typeof expected === 'boolean') {
+    const bool = typeof actual === 'string' ? actual.toLowerCase() === 'true' : actual === true;
+    return op === 'eq' ? bool === expected : op === 'ne' ? bool !== expected : false;
+  }
+
+  if (typeof expected === 'number') {
+    const number = Number(actual);
+    if (Number.isNaN(number)) return false;
+    switch (op) {
+      case 'eq': return number === expected;
+      case 'ne': return number !== expected;
+      case 'gt': return number > expected;
+      case 'ge': return number >= expected;
+      case 'lt': return number < expected;
+      case 'le': return number <= expected;
+      default: return false;
+    }
+  }
+
+  let left = String(actual);
+  let right = String(expected);
+
+  if (!caseExact) {
+    left = left.toLowerCase();
+    right = right.toLowerCase();
+  }
+
+  switch (op) {
+    case 'eq': return left === right;
+    case 'ne': return left !== right;
+    case 'co': return left.includes(right);
+    case 'sw': return left.startsWith(right);
+    case 'ew': return left.endsWith(right);
+    case 'gt': return left > right;
+    case 'ge': return left >= right;
+    case 'lt': return left < right;
+    case 'le': return left <= right;
+    default: return false;
+  }
+}
+
+/**
+ * Evaluate a parsed filter against a resource
+ * @param {Object} ast - From parseFilter()
+ * @param {Object} resource - SCIM resource (or a multi-valued attribute item)
+ * @returns {boolean}
+ */
+function evaluate(ast, resource) {
+  switch (ast.op) {
+    case 'and':
+      return evaluate(ast.left, resource) && evaluate(ast.right, resource);
+
+    case 'or':
+      return evaluate(ast.left, resource) || evaluate(ast.right, resource);
+
+    case 'not':
+      return !evaluate(ast.filter, resource);
+
+    case 'complex': {
+      const value = getAttribute(resource, ast.path);
+      const items = Array.isArray(value) ? value : value ? [value] : [];
+      return items.some(item => item && typeof item === 'object' && evaluate(ast.filter, item));
+    }
+
+    case 'pr':
+      return collectValues(resource, ast.path).some(value => value !== '' &&
+        !(Array.isArray(value) && value.length === 0));
+
+    default: {
+      const values = collectValues(resource, ast.path);
+      const leaf = (ast.path.subAttribute || ast.path.attribute).toLowerCase();
+      const caseExact = CASE_EXACT_ATTRIBUTES.includes(leaf);
+
+      if (ast.op === 'ne') {
+        // True when no value equals the operand (including absent attributes)
+        return !values.some(value => compare(value, 'eq', ast.value, caseExact));
+      }
+
+      if (values.length === 0) {
+        return ast.op === 'eq' && ast.value === null;
+      }
+
+      return values.some(value => compare(value, ast.op, ast.value, caseExact));
+    }
+  }
+}
+
+module.exports = {
+  parseFilter,
+  parsePath,
+  parseAttributePath,
+  evaluate,
+  getAttribute,
+  findKey
+};
@@ -0,0 +1,323 @@
+/**
+ * Access Policy Tests
+ * Condition operators, policy combination, permission checks with
+ * attribute context and the permission middleware
+ */
+
+jest.mock('../src/models', () => ({
+  AccessPolicy: { findAll: jest.fn() },
+  Role: { findAll: jest.fn() },
+  User: { findByPk: jest.fn() },
+  Group: {},
+  OrganizationMember: { findAll: jest.fn() },
+  Permission: {},
+  UserRole: {},
+  GroupRole: {},
+  Application: {},
+  Organization: {}
+}));
+
+jest.mock('../src/utils/redis', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue(true),
+  delPattern: jest.fn().mockResolvedValue(0)
+}));
+
+const { AccessPolicy, User, OrganizationMember } = require('../src/models');
+const accessPolicyService = require('../src/services/accessPolicyService');
+const rbacService = require('../src/services/rbacService');
+const { requirePermission } = require('../src/middleware/rbac');
+
+const { evaluateCondition, evaluatePolicies, validatePolicy, MFA_LEVELS } = accessPolicyService;
+
+const ORG_ID = '6f1c2a4e-8b3d-4e5f-9a0b-1c2d3e4f5a6b';
+const USER_ID = '0b7e3d2c-1a4f-4b6e-8d9c-7a6b5c4d3e2f';
+const EDITOR_ROLE = { id: 'role-editor', slug: 'editor', priority: 10, permissions: ['document:read'], serviceAccess: {} };
+
+const condition = (attribute, operator, value) => ({ attribute, operator, value });
+
+function mockUser({ roles = [EDITOR_ROLE], metadata = { department: 'finance' } } = {}) {
+  // First lookup resolves roles, second builds subject attributes
+  User.findByPk.mockResolvedValue({
+    id: USER_ID,
+    email: 'ana@example.com',
+    status: 'active',
+    emailVerified: true,
+    mfaEnabled: true,
+    metadata,
+    roles,
+    groups: []
+  });
+  OrganizationMember.findAll.mockResolvedValue([{ organizationId: ORG_ID, role: 'member' }]);
+}
+
+function mockPolicies(policies) {
+  AccessPolicy.findAll.mockResolvedValue(policies.map((policy, index) => ({
+    id: `policy-${index + 1}`,
+    organizationId: ORG_ID,
+    roleIds: [],
+    conditions: [],
+    priority: 0,
+    ...policy
+  })));
+}
+
+describe('Access Policy Conditions', () => {
+  const attributes = {
+    subject: { id: USER_ID, department: 'finance', roles: ['editor'], mfaLevel: 2 },
+    resource: { ownerId: USER_ID, classification: 'confidential', sizeMb: 12 },
+    environment: { ipAddress: '10.20.30.40', time: '2025-06-04T10:30:00Z' }
+  };
+  const check = c => evaluateCondition(c, attributes).result;
+
+  it('compares subject and resource attributes', () => {
+    expect(check(condition('subject.department', 'equals', 'finance'))).toBe(true);
+    expect(check(condition('resource.classification', 'in', ['public', 'internal']))).toBe(false);
+    expect(check(condition('subject.roles', 'contains', 'editor'))).toBe(true);
+    expect(check(condition('subject.mfaLevel', 'gte', MFA_LEVELS.MULTI_FACTOR))).toBe(true);
+    expect(check(condition('resource.sizeMb', 'lt', 10))).toBe(false);
+  });
+
+  it('compares an attribute with another attribute', () => {
+    expect(check({ attribute: 'resource.ownerId', operator: 'equals', valueFrom: 'subject.id' })).toBe(true);
+    expect(check({ attribute: 'resource.ownerId', operator: 'equals', valueFrom: 'subject.managerId' })).toBe('indeterminate');
+  });
+
+  it('matches IPv4, IPv4-mapped and IPv6 addresses against CIDR blocks', () => {
+    expect(check(condition('environment.ipAddress', 'ipInCidr', ['10.0.0.0/8']))).toBe(true);
+    expect(check(condition('environment.ipAddress', 'ipInCidr', '192.168.0.0/16'))).toBe(false);
+
+    const mapped = { environment: { ipAddress: '::ffff:10.1.2.3' } };
+    expect(evaluateCondition(condition('environment.ipAddress', 'ipInCidr', '10.1.2.0/24'), mapped).result).toBe(true);
+
+    const v6 = { environment: { ipAddress: '2001:db8::1' } };
+    expect(evaluateCondition(condition('environment.ipAddress', 'ipNotInCidr', '2001:db8::/32'), v6).result).toBe(false);
+  });
+
+  it('evaluates time windows in a timezone, including windows past midnight', () => {
+    const businessHours = { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5], timezone: 'America/New_York' };
+    // 10:30 UTC on a Wednesday is 06:30 in New York
+    expect(check(condition('environment.time', 'withinTimeWindow', businessHours))).toBe(false);
+    expect(check(condition('environment.time', 'withinTimeWindow', { ...businessHours, timezone: 'UTC' }))).toBe(true);
+
+    const night = { start: '22:00', end: '06:00', days: [2] };
+    const at = time => ({ environment: { time } });
+    expect(evaluateCondition(condition('environment.time', 'withinTimeWindow', night), at('2025-06-03T23:00:00Z')).result).toBe(true);
+    expect(evaluateCondition(condition('environment.time', 'withinTimeWindow', night), at('2025-06-04T05:59:00Z')).result).toBe(true);
+    expect(evaluateCondition(condition('environment.time', 'withinTimeWindow', night), at('2025-06-03T05:00:00Z')).result).toBe(false);
+  });
+
+  it('treats missing attributes as indeterminate except for presence checks', () => {
+    expect(check(condition('resource.projectId', 'notEquals', 'x'))).toBe('indeterminate');
+    expect(check({ attribute: 'resource.projectId', operator: 'notExists' })).toBe(true);
+    expect(check({ attribute: 'subject.department', operator: 'exists' })).toBe(true);
+  });
+});
+
+describe('Access Policy Evaluation', () => {
+  const attributes = {
+    subject: { department: 'finance', mfaLevel: 1 },
+    resource: {},
+    environment: {}
+  };
+
+  it('lets deny policies override allow policies and reports every policy', () => {
+    const { decision, policy, trace } = evaluatePolicies([
+      { id: 'a', name: 'Finance can approve', effect: 'allow', conditions: [condition('subject.department', 'equals', 'finance')] },
+      { id: 'd', name: 'Approvals need MFA', effect: 'deny', conditions: [condition('subject.mfaLevel', 'lt', 2)] }
+    ], attributes);
+
+    expect(decision).toBe('deny');
+    expect(policy.id).toBe('d');
+    expect(trace.map(entry => [entry.id, entry.outcome])).toEqual([['a', 'match'], ['d', 'match']]);
+  });
+
+  it('denies on an indeterminate deny but never grants on an indeterminate allow', () => {
+    const deny = { id: 'd', name: 'Block outside the office', effect: 'deny', conditions: [condition('environment.ipAddress', 'ipNotInCidr', '10.0.0.0/8')] };
+    const allow = { id: 'a', name: 'Office grant', effect: 'allow', conditions: [condition('environment.ipAddress', 'ipInCidr', '10.0.0.0/8')] };
+
+    expect(evaluatePolicies([deny], attributes).decision).toBe('deny');
+    expect(evaluatePolicies([allow], attributes).decision).toBeNull();
+  });
+
+  it('applies role-targeted policies only to holders of the role', () => {
+    const policy = { id: 'a', name: 'Editors in finance', effect: 'allow', roleIds: ['role-editor'], conditions: [] };
+
+    expect(evaluatePolicies([policy], attributes, ['role-viewer']).trace[0].outcome).toBe('not_applicable');
+    expect(evaluatePolicies([policy], attributes, ['role-editor']).decision).toBe('allow');
+  });
+});
+
+describe('Access Policy Validation', () => {
+  it('normalizes a valid policy', () => {
+    const policy = validatePolicy({
+      name: ' Office hours ',
+      effect: 'deny',
+      permissions: ['payroll:*'],
+      conditions: [condition('environment.time', 'outsideTimeWindow', { start: '08:00', end: '18:00', timezone: 'Europe/Berlin' })]
+    });
+
+    expect(policy.name).toBe('Office hours');
+    expect(policy.roleIds).toEqual([]);
+    expect(policy.conditions).toHaveLength(1);
+  });
+
+  it.each([
+    [{ permissions: ['a:b'] }, 'name is required'],
+    [{ name: 'x', permissions: [] }, 'permissions must be'],
+    [{ name: 'x', permissions: ['a:b'], effect: 'audit' }, 'effect must be'],
+    [{ name: 'x', permissions: ['a:b'], conditions: [condition('request.path', 'equals', '/')] }, 'attribute must be'],
+    [{ name: 'x', permissions: ['a:b'], conditions: [condition('subject.__proto__', 'exists')] }, 'attribute must be'],
+    [{ name: 'x', permissions: ['a:b'], conditions: [condition('environment.ipAddress', 'ipInCidr', '10.0.0.0/33')] }, 'CIDR'],
+    [{ name: 'x', permissions: ['a:b'], conditions: [condition('environment.time', 'withinTimeWindow', { start: '9am', end: '17:00' })] }, 'HH:MM'],
+    [{ name: 'x', permissions: ['a:b'], conditions: [condition('subject.level', 'gte', 'high')] }, 'number or date']
+  ])('rejects invalid policy %#', (input, message) => {
+    expect(() => validatePolicy(input)).toThrow(expect.objectContaining({
+      statusCode: 400,
+      errorCode: 'INVALID_ACCESS_POLICY',
+      message: expect.stringContaining(message)
+    }));
+  });
+});
+
+describe('Permission Checks with Access Policies', () => {
+  const context = {
+    subject: { mfaLevel: MFA_LEVELS.SINGLE_FACTOR },
+    resource: { ownerId: 'someone-else', classification: 'restricted' },
+    environment: { ipAddress: '203.0.113.9' }
+  };
+
+  it('keeps role grants when no policy applies to the permission', async () => {
+    mockUser();
+    mockPolicies([{ name: 'Payroll', effect: 'deny', permissions: ['payroll:*'] }]);
+
+    const result = await rbacService.checkPermission(USER_ID, 'document:read', { organizationId: ORG_ID, context });
+
+    expect(result).toEqual({ allowed: true, role: 'editor', reason: 'Direct permission' });
+  });
+
+  it('denies a role grant when a deny policy matches', async () => {
+    mockUser();
+    mockPolicies([{
+      name: 'Restricted documents need MFA',
+      effect: 'deny',
+      permissions: ['document:*'],
+      conditions: [
+        condition('resource.classification', 'equals', 'restricted'),
+        condition('subject.mfaLevel', 'lt', MFA_LEVELS.MULTI_FACTOR)
+      ]
+    }]);
+
+    const result = await rbacService.checkPermission(USER_ID, 'document:read', { organizationId: ORG_ID, context });
+
+    expect(result).toEqual({
+      allowed: false,
+      reason: 'Denied by access policy "Restricted documents need MFA"',
+      policy: 'policy-1'
+    });
+  });
+
+  it('grants a permission the roles lack when a conditional grant matches', async () => {
+    mockUser();
+    mockPolicies([{
+      name: 'Owners can edit',
+      effect: 'allow',
+      permissions: ['document:write'],
+      roleIds: ['role-editor'],
+      conditions: [{ attribute: 'resource.ownerId', operator: 'equals', valueFrom: 'subject.id' }]
+    }]);
+
+    const denied = await rbacService.checkPermission(USER_ID, 'document:write', { organizationId: ORG_ID, context });
+    expect(denied.allowed).toBe(false);
+
+    const owned = { ...context, resource: { ownerId: USER_ID } };
+    const granted = await rbacService.checkPermission(USER_ID, 'document:write', { organizationId: ORG_ID, context: owned });
+    expect(granted).toMatchObject({ allowed: true, reason: 'Granted by access policy "Owners can edit"' });
+  });
+
+  it('explains the decision with the role result, attributes and condition trace', async () => {
+    mockUser();
+    mockPolicies([{
+      name: 'Finance only',
+      effect: 'deny',
+      permissions: ['document:read'],
+      conditions: [condition('subject.department', 'notEquals', 'finance')]
+    }]);
+
+    const result = await rbacService.checkPermission(USER_ID, 'document:read', {
+      organizationId: ORG_ID,
+      context,
+      explain: true
+    });
+
+    expect(result.allowed).toBe(true);
+    expect(result.explanation.rbac).toEqual({ allowed: true, role: 'editor', reason: 'Direct permission' });
+    expect(result.explanation.attributes.subject).toMatchObject({
+      id: USER_ID,
+      department: 'finance',
+      isOrganizationMember: true,
+      organizationRole: 'member',
+      roles: ['editor'],
+      mfaLevel: MFA_LEVELS.SINGLE_FACTOR
+    });
+    expect(result.explanation.policies[0]).toMatchObject({
+      name: 'Finance only',
+      outcome: 'no_match',
+      conditions: [{ attribute: 'subject.department', actual: 'finance', expected: 'finance', result: false }]
+    });
+  });
+});
+
+describe('requirePermission Middleware', () => {
+  function run(middleware, req) {
+    return new Promise(resolve => {
+      Promise.resolve(middleware(req, {}, resolve)).catch(resolve);
+    });
+  }
+
+  const request = (session = {}) => ({
+    user: { id: USER_ID },
+    params: { organizationId: ORG_ID },
+    query: {},
+    session,
+    ip: '::ffff:10.0.0.5',
+    get: () => 'jest'
+  });
+
+  beforeEach(() => {
+    mockUser();
+    mockPolicies([{
+      name: 'Office network and security key',
+      effect: 'deny',
+      permissions: ['document:read'],
+      conditions: [
+        condition('environment.ipAddress', 'ipInCidr', '10.0.0.0/8'),
+        condition('subject.mfaLevel', 'lt', MFA_LEVELS.PHISHING_RESISTANT)
+      ]
+    }]);
+  });
+
+  it('passes request attributes and the resource to the permission check', async () => {
+    const resource = jest.fn().mockResolvedValue({ ownerId: USER_ID });
+    const req = request({ mfaVerified: true, mfaMethod: 'webauthn' });
+
+    const error = await run(requirePermission('document:read', { resource }), req);
+
+    expect(error).toBeUndefined();
+    expect(resource).toHaveBeenCalledWith(req);
+  });
+
+  it('rejects when a policy denies the permission', async () => {
+    const error = await run(requirePermission('document:read'), request({ mfaVerified: true, mfaMethod: 'totp' }));
+
+    expect(error).toMatchObject({ statusCode: 403, errorCode: 'FORBIDDEN' });
+  });
+
+  it('accepts any of several permissions unless all are required', async () => {
+    const req = request({ mfaVerified: true, mfaMethod: 'webauthn' });
+
+    expect(await run(requirePermission(['document:read', 'document:*']), req)).toBeUndefined();
+    expect(await run(requirePermission(['document:read', 'document:*'], { requireAll: true }), req))
+      .toMatchObject({ statusCode: 403 });
+  });
+});
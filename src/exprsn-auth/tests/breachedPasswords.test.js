@@ -0,0 +1,319 @@
+/**
+ * Breached Password Tests
+ * Hash ranges, screening new passwords, re-screening on login and
+ * forced resets when an import contains a user's password
+ */
+
+jest.mock('../src/models', () => ({
+  User: { findAll: jest.fn() }
+}));
+
+const mockEmailService = {
+  sendPasswordResetEmail: jest.fn(),
+  sendSecurityAlertEmail: jest.fn()
+};
+jest.mock('../src/services/emailService', () => ({
+  getEmailService: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { User } = require('../src/models');
+const config = require('../src/config');
+const { getEmailService } = require('../src/services/emailService');
+const breachedPasswordService = require('../src/services/breachedPasswordService');
+const {
+  sha1Hex,
+  splitHash,
+  parseRange,
+  formatRange,
+  fingerprint,
+  passwordFields
+} = require('../src/utils/passwordRange');
+
+const KEY = 'fingerprint-test-key';
+const BREACHED = 'P@ssw0rd2024!';
+const SAFE = 'correct horse battery staple 7!';
+const DAY = 86400000;
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'breached-passwords-'));
+let dataDir;
+let sourceCount = 0;
+
+const defaults = { ...config.breachedPasswords };
+
+/**
+ * Write an import source file and return its path
+ */
+function writeSource(name, contents) {
+  const dir = path.join(tmpDir, `source-${++sourceCount}`);
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, name), contents);
+  return path.join(dir, name);
+}
+
+function hashLine(password, count) {
+  return `${sha1Hex(password)}:${count}`;
+}
+
+function mockUser(overrides = {}) {
+  return {
+    id: '0b7e3d2c-1a4f-4b6e-8d9c-7a6b5c4d3e2f',
+    email: 'ana@example.com',
+    passwordScreenedAt: null,
+    passwordBreachedAt: null,
+    passwordResetRequired: false,
+    resetPasswordToken: null,
+    resetPasswordExpires: null,
+    save: jest.fn().mockResolvedValue(undefined),
+    ...overrides
+  };
+}
+
+/**
+ * Users with fingerprinted passwords, for both the range and the fingerprint lookup
+ */
+function mockUsers(users) {
+  User.findAll.mockImplementation(async ({ attributes }) => (attributes
+    ? users.map(user => ({ passwordRange: user.passwordRange }))
+    : users));
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  dataDir = fs.mkdtempSync(path.join(tmpDir, 'corpus-'));
+  Object.assign(config.breachedPasswords, defaults, { enabled: true, dataDir, fingerprintKey: KEY, policy: 'block' });
+  mockUsers([]);
+  mockEmailService.sendPasswordResetEmail.mockResolvedValue(undefined);
+  mockEmailService.sendSecurityAlertEmail.mockResolvedValue(undefined);
+  getEmailService.mockResolvedValue(mockEmailService);
+});
+
+afterAll(() => {
+  Object.assign(config.breachedPasswords, defaults);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('passwordRange', () => {
+  it('should split SHA-1 hashes into range prefix and suffix', () => {
+    // SHA-1 of "password"
+    expect(sha1Hex('password')).toBe('5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8');
+    expect(splitHash('5baa61e4c9b93f3f0682250b6cf8331b7ee68fd8')).toEqual({
+      prefix: '5BAA6',
+      suffix: '1E4C9B93F3F0682250B6CF8331B7EE68FD8'
+    });
+    expect(splitHash('not-a-hash')).toBeNull();
+  });
+
+  it('should parse range files and skip padding and malformed lines', () => {
+    const range = parseRange([
+      '1E4C9B93F3F0682250B6CF8331B7EE68FD8:9545824',
+      '0018A45C4D1DEF81644B54AB7F969B88D65:0',
+      'garbage',
+      '011053fd0102e94d6ae2f8b83d76faf94f6:3'
+    ].join('\r\n'));
+
+    expect([...range]).toEqual([
+      ['1E4C9B93F3F0682250B6CF8331B7EE68FD8', 9545824],
+      ['011053FD0102E94D6AE2F8B83D76FAF94F6', 3]
+    ]);
+  });
+
+  it('should format ranges sorted by suffix with CRLF line endings', () => {
+    const range = new Map([['FFFF0000000000000000000000000000000', 1], ['00000000000000000000000000000000000', 2]]);
+
+    expect(formatRange(range)).toBe('00000000000000000000000000000000000:2\r\nFFFF0000000000000000000000000000000:1');
+  });
+
+  it('should only fingerprint passwords when a key is configured', () => {
+    expect(passwordFields('password', KEY)).toEqual({
+      passwordRange: '5BAA6',
+      passwordFingerprint: fingerprint('5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8', KEY)
+    });
+    expect(passwordFields('password', null).passwordFingerprint).toBeNull();
+  });
+});
+
+describe('Screening new passwords', () => {
+  beforeEach(async () => {
+    await breachedPasswordService.importCorpus([writeSource('breach.txt', hashLine(BREACHED, 12))], { flagUsers: false });
+  });
+
+  it('should find passwords in the corpus', async () => {
+    await expect(breachedPasswordService.checkPassword(BREACHED)).resolves.toEqual({ breached: true, count: 12 });
+    await expect(breachedPasswordService.checkPassword(SAFE)).resolves.toEqual({ breached: false, count: 0 });
+  });
+
+  it('should ignore passwords seen fewer times than the threshold', async () => {
+    config.breachedPasswords.minOccurrences = 50;
+
+    await expect(breachedPasswordService.checkPassword(BREACHED)).resolves.toEqual({ breached: false, count: 12 });
+  });
+
+  it('should block breached passwords under the block policy', async () => {
+    await expect(breachedPasswordService.screenPassword(BREACHED))
+      .rejects.toMatchObject({ statusCode: 400, errorCode: 'BREACHED_PASSWORD' });
+    await expect(breachedPasswordService.screenPassword(SAFE)).resolves.toMatchObject({ breached: false, warning: null });
+  });
+
+  it('should allow breached passwords with a warning under the warn policy', async () => {
+    config.breachedPasswords.policy = 'warn';
+
+    const screening = await breachedPasswordService.screenPassword(BREACHED);
+
+    expect(screening).toMatchObject({ breached: true, warning: breachedPasswordService.BREACHED_WARNING });
+    expect(breachedPasswordService.screeningFields(screening)).toEqual({
+      passwordScreenedAt: expect.any(Number),
+      passwordBreachedAt: expect.any(Number)
+    });
+  });
+
+  it('should not screen when disabled or without a corpus', async () => {
+    config.breachedPasswords.enabled = false;
+    await expect(breachedPasswordService.checkPassword(BREACHED)).resolves.toEqual({ breached: false, count: 0 });
+
+    config.breachedPasswords.enabled = true;
+    config.breachedPasswords.dataDir = path.join(tmpDir, 'missing');
+    await expect(breachedPasswordService.checkPassword(BREACHED)).resolves.toEqual({ breached: false, count: 0 });
+  });
+});
+
+describe('Importing breach sets', () => {
+  it('should import HIBP range files and keep the highest counts', async () => {
+    const { prefix, suffix } = splitHash(sha1Hex(BREACHED));
+    const rangeFile = writeSource(`${prefix}.txt`, `${suffix}:40\r\n${'0'.repeat(35)}:0`);
+
+    await breachedPasswordService.importCorpus([writeSource('full.txt', hashLine(BREACHED, 90))], { flagUsers: false });
+    const summary = await breachedPasswordService.importCorpus([path.dirname(rangeFile)], { flagUsers: false });
+
+    expect(summary).toMatchObject({ hashes: 1, added: 0, newlyBreached: 0, ranges: 0, usersFlagged: null });
+    await expect(breachedPasswordService.lookupHash(sha1Hex(BREACHED))).resolves.toBe(90);
+    expect(fs.readFileSync(path.join(dataDir, `${prefix}.txt`), 'utf8')).toBe(`${suffix}:90`);
+  });
+
+  it('should record imports and when the corpus last changed', async () => {
+    const first = await breachedPasswordService.importCorpus([
+      writeSource('full.txt', [hashLine(BREACHED, 3), hashLine(SAFE, 1), 'not a hash'].join('\n'))
+    ], { flagUsers: false });
+
+    expect(first).toMatchObject({ hashes: 2, added: 2, newlyBreached: 2, ranges: 2 });
+
+    const info = await breachedPasswordService.getCorpusInfo();
+    expect(info.updatedAt).toBe(first.completedAt);
+    expect(info.imports.map(entry => entry.id)).toEqual([first.id]);
+  });
+
+  it('should flag users whose current password is newly breached', async () => {
+    const user = mockUser(passwordFields(BREACHED, KEY));
+    mockUsers([user]);
+
+    const summary = await breachedPasswordService.importCorpus([writeSource('breach.txt', hashLine(BREACHED, 5))]);
+
+    expect(summary.usersFlagged).toBe(1);
+    expect(User.findAll).toHaveBeenLastCalledWith({
+      where: {
+        passwordFingerprint: { [require('sequelize').Op.in]: [user.passwordFingerprint] },
+        passwordResetRequired: false
+      }
+    });
+    expect(user.passwordResetRequired).toBe(true);
+    expect(user.passwordBreachedAt).toEqual(expect.any(Number));
+    expect(user.resetPasswordToken).toMatch(/^[0-9a-f]{64}$/);
+    expect(mockEmailService.sendPasswordResetEmail).toHaveBeenCalledWith(user, user.resetPasswordToken);
+  });
+
+  it('should only look up users in ranges the import touched', async () => {
+    mockUsers([mockUser(passwordFields(SAFE, KEY))]);
+
+    const summary = await breachedPasswordService.importCorpus([writeSource('breach.txt', hashLine(BREACHED, 5))]);
+
+    expect(summary.usersFlagged).toBe(0);
+    expect(User.findAll).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not check users without a fingerprint key', async () => {
+    config.breachedPasswords.fingerprintKey = null;
+
+    const summary = await breachedPasswordService.importCorpus([writeSource('breach.txt', hashLine(BREACHED, 5))]);
+
+    expect(summary.usersFlagged).toBeNull();
+    expect(User.findAll).not.toHaveBeenCalled();
+  });
+});
+
+describe('Re-screening on login', () => {
+  beforeEach(async () => {
+    await breachedPasswordService.importCorpus([writeSource('breach.txt', hashLine(BREACHED, 12))], { flagUsers: false });
+  });
+
+  it('should re-screen passwords that were never screened', async () => {
+    const user = mockUser();
+
+    await expect(breachedPasswordService.rescreenOnLogin(user, SAFE)).resolves.toEqual({ breached: false, count: 0 });
+
+    expect(user.passwordScreenedAt).toEqual(expect.any(Number));
+    expect(user.passwordFingerprint).toBe(passwordFields(SAFE, KEY).passwordFingerprint);
+    expect(user.passwordResetRequired).toBe(false);
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  it('should skip passwords screened recently and since the last import', async () => {
+    const user = mockUser({ passwordScreenedAt: Date.now() });
+
+    await expect(breachedPasswordService.rescreenOnLogin(user, BREACHED)).resolves.toBeNull();
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('should re-screen after the interval or a newer import', async () => {
+    const { updatedAt } = await breachedPasswordService.getCorpusInfo();
+
+    await expect(breachedPasswordService.isRescreenDue(mockUser({ passwordScreenedAt: Date.now() - 31 * DAY }))).resolves.toBe(true);
+    await expect(breachedPasswordService.isRescreenDue(mockUser({ passwordScreenedAt: String(updatedAt - 1) }))).resolves.toBe(true);
+    await expect(breachedPasswordService.isRescreenDue(mockUser({ passwordScreenedAt: updatedAt + 1 }))).resolves.toBe(false);
+  });
+
+  it('should require a reset when a breached password is found under the block policy', async () => {
+    const user = mockUser();
+
+    await breachedPasswordService.rescreenOnLogin(user, BREACHED);
+
+    expect(user.passwordResetRequired).toBe(true);
+    expect(user.passwordBreachedAt).toEqual(expect.any(Number));
+    expect(mockEmailService.sendSecurityAlertEmail).not.toHaveBeenCalled();
+  });
+
+  it('should alert the user once under the warn policy', async () => {
+    config.breachedPasswords.policy = 'warn';
+    const user = mockUser();
+
+    await breachedPasswordService.rescreenOnLogin(user, BREACHED, { ipAddress: '198.51.100.7' });
+    user.passwordScreenedAt = null;
+    await breachedPasswordService.rescreenOnLogin(user, BREACHED);
+
+    expect(user.passwordResetRequired).toBe(false);
+    expect(mockEmailService.sendSecurityAlertEmail).toHaveBeenCalledTimes(1);
+    expect(mockEmailService.sendSecurityAlertEmail).toHaveBeenCalledWith(user, expect.objectContaining({
+      type: 'Password Found in a Data Breach',
+      ipAddress: '198.51.100.7'
+    }));
+  });
+});
+
+describe('Forced reset links', () => {
+  it('should not send another link while one is still valid', async () => {
+    const user = mockUser({ resetPasswordToken: 'pending', resetPasswordExpires: String(Date.now() + 60000) });
+
+    await expect(breachedPasswordService.requestPasswordReset(user)).resolves.toBe(false);
+    expect(mockEmailService.sendPasswordResetEmail).not.toHaveBeenCalled();
+  });
+
+  it('should replace expired links', async () => {
+    const user = mockUser({ resetPasswordToken: 'stale', resetPasswordExpires: Date.now() - 1 });
+
+    await expect(breachedPasswordService.requestPasswordReset(user)).resolves.toBe(true);
+    expect(user.resetPasswordToken).not.toBe('stale');
+    expect(user.resetPasswordExpires).toBeGreaterThan(Date.now());
+    expect(user.save).toHaveBeenCalled();
+  });
+});
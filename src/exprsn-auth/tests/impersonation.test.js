@@ -0,0 +1,442 @@
+/**
+ * Impersonation Tests
+ * Starting and ending time-boxed impersonation, the session
+ * middleware, and the actor carried by tokens issued during it
+ */
+
+jest.mock('../src/models', () => ({
+  User: { findByPk: jest.fn() },
+  Role: {},
+  ImpersonationSession: { create: jest.fn(), findByPk: jest.fn(), findAll: jest.fn(), update: jest.fn() },
+  OAuth2Client: {},
+  OAuth2Token: { findOne: jest.fn() },
+  OAuth2AuthorizationCode: {},
+  OAuth2DeviceCode: {}
+}));
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const axios = require('axios');
+const { User, ImpersonationSession, OAuth2Token } = require('../src/models');
+const config = require('../src/config');
+const impersonationService = require('../src/services/impersonationService');
+const oauth2Service = require('../src/services/oauth2Service');
+const tokenService = require('../src/services/tokenService');
+const {
+  beginImpersonation,
+  restoreActor,
+  loadImpersonation,
+  forbidDuringImpersonation
+} = require('../src/middleware/impersonation');
+
+const ADMIN_ID = '5d0c9b8a-7e6f-4a3b-9c2d-1e0f9a8b7c6d';
+const USER_ID = '0b7e3d2c-1a4f-4b6e-8d9c-7a6b5c4d3e2f';
+const SESSION_ID = '9f8e7d6c-5b4a-4c3d-8e2f-1a0b9c8d7e6f';
+const MINUTE = 60000;
+
+const admin = { id: ADMIN_ID, email: 'admin@exprsn.io', displayName: 'Admin', status: 'active' };
+
+function mockSubject(overrides = {}) {
+  return {
+    id: USER_ID,
+    email: 'ana@example.com',
+    status: 'active',
+    roles: [{ slug: 'user', name: 'User', permissions: ['profile:read'] }],
+    ...overrides
+  };
+}
+
+function mockSession(overrides = {}) {
+  const session = {
+    id: SESSION_ID,
+    actorId: ADMIN_ID,
+    actor: admin,
+    subjectId: USER_ID,
+    reason: 'Ticket #4821',
+    status: 'active',
+    createdAt: new Date(Date.now() - MINUTE),
+    expiresAt: new Date(Date.now() + 10 * MINUTE),
+    endedAt: null,
+    ...overrides
+  };
+  session.update = jest.fn(async values => Object.assign(session, values));
+  return session;
+}
+
+function mockRequest(overrides = {}) {
+  const req = {
+    method: 'GET',
+    originalUrl: '/dashboard',
+    session: {},
+    user: { id: USER_ID },
+    accepts: jest.fn(() => 'html'),
+    ...overrides
+  };
+  req.login = jest.fn((user, options, cb) => {
+    req.user = user;
+    cb();
+  });
+  req.logout = jest.fn(cb => {
+    req.user = null;
+    cb();
+  });
+  return req;
+}
+
+function mockResponse() {
+  const res = { locals: {} };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.redirect = jest.fn(() => res);
+  return res;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findByPk.mockResolvedValue(null);
+  ImpersonationSession.create.mockResolvedValue(null);
+  ImpersonationSession.findByPk.mockResolvedValue(null);
+  ImpersonationSession.findAll.mockResolvedValue([]);
+  ImpersonationSession.update.mockResolvedValue([0]);
+  OAuth2Token.findOne.mockResolvedValue(null);
+  axios.post.mockResolvedValue({ data: {} });
+});
+
+describe('Impersonation Service', () => {
+  describe('isPrivileged', () => {
+    it('treats configured admin roles as privileged', () => {
+      expect(impersonationService.isPrivileged(mockSubject({ roles: [{ slug: 'admin', permissions: [] }] }))).toBe(true);
+      expect(impersonationService.isPrivileged(mockSubject({ roles: [{ name: 'super-admin', permissions: [] }] }))).toBe(true);
+    });
+
+    it('treats wildcard and impersonation permissions as privileged', () => {
+      expect(impersonationService.isPrivileged(mockSubject({ roles: [{ slug: 'ops', permissions: ['*'] }] }))).toBe(true);
+      expect(impersonationService.isPrivileged(mockSubject({ roles: [{ slug: 'ops', permissions: ['admin:*'] }] }))).toBe(true);
+      expect(impersonationService.isPrivileged(mockSubject({ roles: [{ slug: 'support', permissions: ['user:impersonate'] }] }))).toBe(true);
+    });
+
+    it('does not treat ordinary users as privileged', () => {
+      expect(impersonationService.isPrivileged(mockSubject())).toBe(false);
+      expect(impersonationService.isPrivileged(mockSubject({ roles: undefined }))).toBe(false);
+    });
+  });
+
+  describe('startImpersonation', () => {
+    beforeEach(() => {
+      ImpersonationSession.create.mockImplementation(async values => ({ id: SESSION_ID, ...values }));
+    });
+
+    it('starts a session for an ordinary user', async () => {
+      const subject = mockSubject();
+      User.findByPk.mockResolvedValue(subject);
+
+      const result = await impersonationService.startImpersonation(admin, USER_ID, {
+        reason: '  Ticket #4821  ',
+        ipAddress: '203.0.113.9',
+        userAgent: 'Mozilla/5.0'
+      });
+
+      expect(result.subject).toBe(subject);
+      expect(ImpersonationSession.create).toHaveBeenCalledWith(expect.objectContaining({
+        actorId: ADMIN_ID,
+        subjectId: USER_ID,
+        reason: 'Ticket #4821',
+        ipAddress: '203.0.113.9'
+      }));
+
+      const { expiresAt } = ImpersonationSession.create.mock.calls[0][0];
+      expect(expiresAt.getTime() - Date.now()).toBeGreaterThan(config.impersonation.defaultDuration - 5000);
+      expect(expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(config.impersonation.defaultDuration);
+    });
+
+    it('requires a reason', async () => {
+      await expect(impersonationService.startImpersonation(admin, USER_ID, { reason: '   ' }))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'REASON_REQUIRED' });
+      expect(User.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('refuses to impersonate yourself', async () => {
+      await expect(impersonationService.startImpersonation(admin, ADMIN_ID, { reason: 'Testing' }))
+        .rejects.toMatchObject({ errorCode: 'INVALID_IMPERSONATION_TARGET' });
+    });
+
+    it('refuses unknown and inactive users', async () => {
+      User.findByPk.mockResolvedValue(null);
+      await expect(impersonationService.startImpersonation(admin, USER_ID, { reason: 'Testing' }))
+        .rejects.toMatchObject({ statusCode: 404, errorCode: 'USER_NOT_FOUND' });
+
+      User.findByPk.mockResolvedValue(mockSubject({ status: 'suspended' }));
+      await expect(impersonationService.startImpersonation(admin, USER_ID, { reason: 'Testing' }))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'INVALID_IMPERSONATION_TARGET' });
+    });
+
+    it('refuses privileged users', async () => {
+      User.findByPk.mockResolvedValue(mockSubject({ roles: [{ slug: 'admin', permissions: [] }] }));
+
+      await expect(impersonationService.startImpersonation(admin, USER_ID, { reason: 'Testing' }))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'PRIVILEGED_TARGET' });
+      expect(ImpersonationSession.create).not.toHaveBeenCalled();
+    });
+
+    it('clamps the duration to the configured bounds', async () => {
+      User.findByPk.mockResolvedValue(mockSubject());
+
+      await impersonationService.startImpersonation(admin, USER_ID, { reason: 'Testing', duration: 24 * 60 * MINUTE });
+      await impersonationService.startImpersonation(admin, USER_ID, { reason: 'Testing', duration: 1000 });
+
+      const [long, short] = ImpersonationSession.create.mock.calls.map(([values]) => values.expiresAt.getTime() - Date.now());
+      expect(long).toBeLessThanOrEqual(config.impersonation.maxDuration);
+      expect(long).toBeGreaterThan(config.impersonation.maxDuration - 5000);
+      expect(short).toBeLessThanOrEqual(MINUTE);
+      expect(short).toBeGreaterThan(MINUTE - 5000);
+    });
+
+    it('refuses when impersonation is disabled', async () => {
+      config.impersonation.enabled = false;
+
+      try {
+        await expect(impersonationService.startImpersonation(admin, USER_ID, { reason: 'Testing' }))
+          .rejects.toMatchObject({ statusCode: 403, errorCode: 'IMPERSONATION_DISABLED' });
+      } finally {
+        config.impersonation.enabled = true;
+      }
+    });
+  });
+
+  describe('getActiveImpersonation', () => {
+    it('returns running sessions', async () => {
+      const session = mockSession();
+      ImpersonationSession.findByPk.mockResolvedValue(session);
+
+      await expect(impersonationService.getActiveImpersonation(SESSION_ID)).resolves.toBe(session);
+    });
+
+    it('marks sessions past their expiry as expired', async () => {
+      const session = mockSession({ expiresAt: new Date(Date.now() - 1000) });
+      ImpersonationSession.findByPk.mockResolvedValue(session);
+
+      await expect(impersonationService.getActiveImpersonation(SESSION_ID)).resolves.toBeNull();
+      expect(session.update).toHaveBeenCalledWith({ status: 'expired', endedAt: session.expiresAt });
+    });
+
+    it('returns null for ended sessions', async () => {
+      ImpersonationSession.findByPk.mockResolvedValue(mockSession({ status: 'ended' }));
+
+      await expect(impersonationService.getActiveImpersonation(SESSION_ID)).resolves.toBeNull();
+      await expect(impersonationService.getActiveImpersonation(null)).resolves.toBeNull();
+    });
+  });
+
+  describe('endImpersonation', () => {
+    it('records who ended a session when it was not the actor', async () => {
+      const session = mockSession();
+      ImpersonationSession.findByPk.mockResolvedValue(session);
+
+      await impersonationService.endImpersonation(SESSION_ID, USER_ID);
+
+      expect(session.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'ended', endedBy: USER_ID }));
+    });
+
+    it('leaves endedBy empty when the actor ends their own session', async () => {
+      const session = mockSession();
+      ImpersonationSession.findByPk.mockResolvedValue(session);
+
+      await impersonationService.endImpersonation(SESSION_ID, ADMIN_ID);
+
+      expect(session.update).toHaveBeenCalledWith(expect.objectContaining({ endedBy: null }));
+    });
+
+    it('does not touch sessions that already ended', async () => {
+      const session = mockSession({ status: 'expired' });
+      ImpersonationSession.findByPk.mockResolvedValue(session);
+
+      await impersonationService.endImpersonation(SESSION_ID, ADMIN_ID);
+
+      expect(session.update).not.toHaveBeenCalled();
+    });
+
+    it('ends every running session of a user', async () => {
+      ImpersonationSession.update.mockResolvedValue([2]);
+
+      await expect(impersonationService.endAllForSubject(USER_ID, USER_ID)).resolves.toBe(2);
+      expect(ImpersonationSession.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'ended', endedBy: USER_ID }),
+        { where: { subjectId: USER_ID, status: 'active' } }
+      );
+    });
+  });
+
+  describe('listForSubject', () => {
+    it('reports sessions nobody ended as expired once their time is up', async () => {
+      ImpersonationSession.findAll.mockResolvedValue([
+        mockSession(),
+        mockSession({ id: 'stale', expiresAt: new Date(Date.now() - MINUTE) })
+      ]);
+
+      const sessions = await impersonationService.listForSubject(USER_ID, { limit: 500 });
+
+      expect(sessions.map(s => s.status)).toEqual(['active', 'expired']);
+      expect(sessions[0].actor).toEqual({ id: ADMIN_ID, email: 'admin@exprsn.io', displayName: 'Admin' });
+      expect(sessions[1].endedAt).toEqual(sessions[1].expiresAt);
+      expect(ImpersonationSession.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { subjectId: USER_ID },
+        limit: 200
+      }));
+    });
+  });
+
+  describe('token claims', () => {
+    it('carries the actor as an RFC 8693 act claim', () => {
+      expect(impersonationService.tokenClaims(mockSession())).toEqual({
+        act: { sub: ADMIN_ID, email: 'admin@exprsn.io' },
+        impersonationId: SESSION_ID
+      });
+    });
+
+    it('counts down the seconds left', () => {
+      const remaining = impersonationService.remainingSeconds(mockSession());
+
+      expect(remaining).toBeGreaterThan(590);
+      expect(remaining).toBeLessThanOrEqual(600);
+      expect(impersonationService.remainingSeconds(mockSession({ expiresAt: new Date(0) }))).toBe(0);
+    });
+  });
+});
+
+describe('Impersonation Middleware', () => {
+  it('switches the session to the subject and remembers the actor', async () => {
+    const req = mockRequest({ user: admin });
+    const subject = mockSubject();
+
+    await beginImpersonation(req, mockSession(), subject);
+
+    expect(req.login).toHaveBeenCalledWith(subject, { keepSessionInfo: true }, expect.any(Function));
+    expect(req.session.impersonation).toEqual({ id: SESSION_ID, actorId: ADMIN_ID, subjectId: USER_ID });
+  });
+
+  it('loads the running impersonation for views and audit', async () => {
+    const session = mockSession();
+    ImpersonationSession.findByPk.mockResolvedValue(session);
+    const req = mockRequest({ session: { impersonation: { id: SESSION_ID, actorId: ADMIN_ID, subjectId: USER_ID } } });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await loadImpersonation(req, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.impersonation).toMatchObject({ id: SESSION_ID, actorId: ADMIN_ID, subjectId: USER_ID, session });
+    expect(res.locals.impersonation).toBe(req.impersonation);
+  });
+
+  it('returns the admin to their own account when the impersonation ends', async () => {
+    ImpersonationSession.findByPk.mockResolvedValue(mockSession({ status: 'ended' }));
+    User.findByPk.mockResolvedValue(admin);
+    const req = mockRequest({ session: { impersonation: { id: SESSION_ID, actorId: ADMIN_ID, subjectId: USER_ID } } });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await loadImpersonation(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(req.user).toBe(admin);
+    expect(req.session.impersonation).toBeUndefined();
+    expect(res.redirect).toHaveBeenCalledWith(`/admin/users/${USER_ID}`);
+  });
+
+  it('answers API requests with 401 once the impersonation ends', async () => {
+    ImpersonationSession.findByPk.mockResolvedValue(null);
+    User.findByPk.mockResolvedValue(admin);
+    const req = mockRequest({
+      method: 'POST',
+      accepts: jest.fn(() => 'json'),
+      session: { impersonation: { id: SESSION_ID, actorId: ADMIN_ID, subjectId: USER_ID } }
+    });
+    const res = mockResponse();
+
+    await loadImpersonation(req, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'IMPERSONATION_ENDED' }));
+  });
+
+  it('logs out instead of restoring an actor who is no longer active', async () => {
+    User.findByPk.mockResolvedValue({ ...admin, status: 'suspended' });
+    const req = mockRequest({ session: { impersonation: { id: SESSION_ID, actorId: ADMIN_ID, subjectId: USER_ID } } });
+
+    await expect(restoreActor(req)).resolves.toMatchObject({ id: SESSION_ID });
+
+    expect(req.login).not.toHaveBeenCalled();
+    expect(req.logout).toHaveBeenCalled();
+    expect(req.user).toBeNull();
+  });
+
+  it('blocks credential changes while impersonating', () => {
+    const next = jest.fn();
+
+    expect(() => forbidDuringImpersonation(mockRequest({ impersonation: { id: SESSION_ID } }), mockResponse(), next))
+      .toThrow(expect.objectContaining({ statusCode: 403, errorCode: 'IMPERSONATION_FORBIDDEN' }));
+    expect(next).not.toHaveBeenCalled();
+
+    forbidDuringImpersonation(mockRequest(), mockResponse(), next);
+    expect(next).toHaveBeenCalledWith();
+  });
+});
+
+describe('Impersonation Tokens', () => {
+  function mockToken(overrides = {}) {
+    return {
+      accessToken: 'access-token',
+      accessTokenExpiresAt: new Date(Date.now() + 10 * MINUTE),
+      scope: 'read',
+      tokenType: 'Bearer',
+      client: { id: 'client-id', clientId: 'client' },
+      user: { id: USER_ID, email: 'ana@example.com' },
+      impersonationId: SESSION_ID,
+      impersonation: mockSession(),
+      ...overrides
+    };
+  }
+
+  it('carries the actor on OAuth2 access tokens', async () => {
+    OAuth2Token.findOne.mockResolvedValue(mockToken());
+
+    const token = await oauth2Service.getAccessToken('access-token');
+
+    expect(token.act).toEqual({ sub: ADMIN_ID });
+    expect(token.user.impersonationId).toBe(SESSION_ID);
+  });
+
+  it('rejects OAuth2 tokens once their impersonation ends', async () => {
+    OAuth2Token.findOne.mockResolvedValue(mockToken({ impersonation: mockSession({ status: 'ended' }) }));
+    await expect(oauth2Service.getAccessToken('access-token')).resolves.toBeNull();
+
+    OAuth2Token.findOne.mockResolvedValue(mockToken({ impersonation: mockSession({ expiresAt: new Date(Date.now() - 1000) }) }));
+    await expect(oauth2Service.getAccessToken('access-token')).resolves.toBeNull();
+
+    OAuth2Token.findOne.mockResolvedValue(mockToken({ impersonation: null }));
+    await expect(oauth2Service.getAccessToken('access-token')).resolves.toBeNull();
+  });
+
+  it('leaves ordinary OAuth2 tokens without an actor', async () => {
+    OAuth2Token.findOne.mockResolvedValue(mockToken({ impersonationId: null, impersonation: null }));
+
+    const token = await oauth2Service.getAccessToken('access-token');
+
+    expect(token.act).toBeNull();
+  });
+
+  it('adds the actor to CA tokens and caps their expiry', async () => {
+    axios.post.mockResolvedValue({ data: { token: { id: 'ca-token' } } });
+    const user = { ...mockSubject(), displayName: 'Ana', getGroups: jest.fn().mockResolvedValue([]) };
+
+    await tokenService.generateToken(user, { expirySeconds: 3600, impersonation: mockSession() });
+
+    const [, body] = axios.post.mock.calls[0];
+    expect(body.expirySeconds).toBeLessThanOrEqual(600);
+    expect(body.tokenData).toMatchObject({
+      act: { sub: ADMIN_ID, email: 'admin@exprsn.io' },
+      impersonationId: SESSION_ID,
+      email: 'ana@example.com'
+    });
+  });
+});
@@ -0,0 +1,547 @@
+/**
+ * Login Risk Tests
+ * IP ranges, geo lookup through atlas, risk scoring and the
+ * step-up, email confirmation and block flows
+ */
+
+jest.mock('@exprsn/shared', () => ({
+  ...jest.requireActual('@exprsn/shared'),
+  serviceRequest: jest.fn()
+}));
+
+jest.mock('../src/models', () => ({
+  User: { findOne: jest.fn(), findByPk: jest.fn() },
+  LoginEvent: { findAll: jest.fn(), count: jest.fn(), create: jest.fn(), findOne: jest.fn(), findByPk: jest.fn() },
+  WebAuthnCredential: { count: jest.fn(), findAll: jest.fn() }
+}));
+
+jest.mock('../src/utils/redis', () => ({
+  get: jest.fn(),
+  set: jest.fn()
+}));
+
+jest.mock('../src/services/smsService', () => ({
+  isValidPhoneNumber: jest.fn(),
+  sendSecurityAlert: jest.fn()
+}));
+
+const mockEmailService = { sendLoginConfirmationEmail: jest.fn() };
+jest.mock('../src/services/emailService', () => ({
+  getEmailService: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const speakeasy = require('speakeasy');
+const { serviceRequest } = require('@exprsn/shared');
+const { User, LoginEvent, WebAuthnCredential } = require('../src/models');
+const config = require('../src/config');
+const redis = require('../src/utils/redis');
+const smsService = require('../src/services/smsService');
+const { getEmailService } = require('../src/services/emailService');
+const webauthnService = require('../src/services/webauthnService');
+const geoIpService = require('../src/services/geoIpService');
+const loginRiskService = require('../src/services/loginRiskService');
+const { cidrContains, parseCidr, createIpMatcher, normalizeIp } = require('../src/utils/ipRange');
+
+const USER_ID = '0b7e3d2c-1a4f-4b6e-8d9c-7a6b5c4d3e2f';
+const HOUR = 3600000;
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'login-risk-'));
+const writeFile = (name, contents) => {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, contents);
+  return file;
+};
+
+const request = (overrides = {}) => ({
+  ipAddress: '198.51.100.7',
+  userAgent: 'Mozilla/5.0',
+  deviceId: 'device-known',
+  fingerprint: 'fingerprint-known',
+  ...overrides
+});
+
+function mockUser(overrides = {}) {
+  return {
+    id: USER_ID,
+    email: 'Ana@Example.com',
+    status: 'active',
+    mfaEnabled: false,
+    mfaSecret: null,
+    mfaBackupCodes: [],
+    metadata: { phoneNumber: '+15555550123' },
+    save: jest.fn().mockResolvedValue(undefined),
+    ...overrides
+  };
+}
+
+/**
+ * Sign-in history, newest first; counts default to a known device and no failures
+ */
+function mockHistory(history = [], { knownDevice = 1, knownFingerprint = 1, accountFailures = 0, ipFailures = 0 } = {}) {
+  LoginEvent.findAll.mockResolvedValue(history);
+  LoginEvent.count.mockImplementation(async ({ where }) => {
+    if (where.deviceId) return knownDevice;
+    if (where.fingerprint) return knownFingerprint;
+    if (where.email) return accountFailures;
+    return ipFailures;
+  });
+}
+
+function mockEvent(fields) {
+  const event = { id: 'event-1', createdAt: new Date(), ...fields };
+  event.update = jest.fn(async changes => Object.assign(event, changes));
+  return event;
+}
+
+const factorNames = assessment => assessment.factors.map(factor => factor.factor);
+
+beforeAll(() => {
+  config.loginRisk.enabled = true;
+  config.atlas.serviceToken = 'atlas-service-token';
+  config.loginRisk.geoRangesPath = writeFile('ranges.json', JSON.stringify([
+    { cidr: '198.51.100.0/24', location: 'Chicago, IL' },
+    { cidr: '203.0.113.0/24', location: 'Sydney, Australia', latitude: -33.87, longitude: 151.21 },
+    { cidr: '203.0.113.128/25', location: 'Melbourne, Australia', latitude: -37.81, longitude: 144.96 }
+  ]));
+  config.loginRisk.ipLists = {
+    blocked: writeFile('blocked.txt', '# Known bad\n192.0.2.0/24\n'),
+    suspicious: writeFile('suspicious.txt', '100.64.0.0/10 # Carrier NAT\n2001:db8::/32\n'),
+    trusted: writeFile('trusted.txt', '10.0.0.0/8\n')
+  };
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  serviceRequest.mockResolvedValue({
+    success: true,
+    data: { results: [{ latitude: 41.88, longitude: -87.63, formattedAddress: 'Chicago, IL, USA' }] }
+  });
+  redis.get.mockResolvedValue(null);
+  redis.set.mockResolvedValue(true);
+  smsService.isValidPhoneNumber.mockImplementation(phone => /^\+[1-9]\d{1,14}$/.test(phone));
+  smsService.sendSecurityAlert.mockResolvedValue({ success: true });
+  mockEmailService.sendLoginConfirmationEmail.mockResolvedValue(undefined);
+  getEmailService.mockResolvedValue(mockEmailService);
+  LoginEvent.create.mockImplementation(async fields => mockEvent(fields));
+  WebAuthnCredential.count.mockResolvedValue(0);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ipRange', () => {
+  it('should match IPv4 and IPv6 blocks', () => {
+    expect(cidrContains(parseCidr('10.1.0.0/16'), '10.1.200.3')).toBe(true);
+    expect(cidrContains(parseCidr('10.1.0.0/16'), '10.2.0.1')).toBe(false);
+    expect(cidrContains(parseCidr('2001:db8::/32'), '2001:db8:ffff::1')).toBe(true);
+    expect(cidrContains(parseCidr('2001:db8::/32'), '10.1.0.1')).toBe(false);
+  });
+
+  it('should normalize IPv4-mapped addresses', () => {
+    expect(normalizeIp('::ffff:10.0.0.1')).toBe('10.0.0.1');
+    expect(normalizeIp('not-an-ip')).toBeNull();
+  });
+
+  it('should skip invalid entries when building a matcher', () => {
+    const matcher = createIpMatcher(['10.0.0.0/8', 'garbage', '10.0.0.0/40']);
+
+    expect(matcher.size).toBe(1);
+    expect(matcher.check('10.9.9.9')).toBe(true);
+  });
+});
+
+describe('geoIpService', () => {
+  it('should prefer the most specific range', async () => {
+    const location = await geoIpService.locate('203.0.113.200');
+
+    expect(location).toEqual({ location: 'Melbourne, Australia', latitude: -37.81, longitude: 144.96 });
+    expect(serviceRequest).not.toHaveBeenCalled();
+  });
+
+  it('should geocode ranges without coordinates through atlas once', async () => {
+    const first = await geoIpService.locate('198.51.100.7');
+    const second = await geoIpService.locate('198.51.100.8');
+
+    expect(first).toEqual({ location: 'Chicago, IL', latitude: 41.88, longitude: -87.63 });
+    expect(second).toEqual(first);
+    expect(serviceRequest).toHaveBeenCalledTimes(1);
+    expect(serviceRequest).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'POST',
+      url: 'http://localhost:3019/api/bridge/geocode',
+      data: { address: 'Chicago, IL', validate: false },
+      token: 'atlas-service-token'
+    }));
+  });
+
+  it('should return null for unknown addresses', async () => {
+    await expect(geoIpService.locate('8.8.8.8')).resolves.toBeNull();
+  });
+});
+
+describe('assessLogin', () => {
+  it('should allow a familiar login', async () => {
+    mockHistory([]);
+
+    const assessment = await loginRiskService.assessLogin(mockUser(), request());
+
+    expect(assessment).toMatchObject({ score: 0, action: 'allow', newDevice: false });
+  });
+
+  it('should not treat the first sign-in as a new device', async () => {
+    mockHistory([], { knownDevice: 0, knownFingerprint: 0 });
+
+    const assessment = await loginRiskService.assessLogin(mockUser(), request());
+
+    expect(assessment.newDevice).toBe(false);
+    expect(assessment.score).toBe(0);
+  });
+
+  it('should score a new device and step up to email without MFA', async () => {
+    mockHistory([{ createdAt: new Date(), latitude: null, longitude: null }], { knownDevice: 0, knownFingerprint: 0 });
+
+    const assessment = await loginRiskService.assessLogin(mockUser(), request({ ipAddress: '100.64.1.1' }));
+
+    expect(factorNames(assessment)).toEqual(['new_device', 'suspicious_ip']);
+    expect(assessment.score).toBe(55);
+    expect(assessment.action).toBe('email');
+    expect(assessment.newDevice).toBe(true);
+  });
+
+  it('should step up to MFA when the user has an authenticator', async () => {
+    mockHistory([{ createdAt: new Date(), latitude: null, longitude: null }], { knownDevice: 0, knownFingerprint: 0 });
+    const user = mockUser({ mfaEnabled: true, mfaSecret: 'JBSWY3DPEHPK3PXP' });
+
+    const assessment = await loginRiskService.assessLogin(user, request({ ipAddress: '2001:db8::1' }));
+
+    expect(assessment.action).toBe('mfa');
+  });
+
+  it('should step up to MFA when the user only has a security key', async () => {
+    mockHistory([{ createdAt: new Date(), latitude: null, longitude: null }], { knownDevice: 0, knownFingerprint: 0 });
+    WebAuthnCredential.count.mockResolvedValue(1);
+
+    const assessment = await loginRiskService.assessLogin(mockUser(), request({ ipAddress: '2001:db8::1' }));
+
+    expect(assessment.action).toBe('mfa');
+    expect(WebAuthnCredential.count).toHaveBeenCalledWith({ where: { userId: USER_ID } });
+  });
+
+  it('should weigh a familiar browser less than an unknown device', async () => {
+    mockHistory([{ createdAt: new Date(), latitude: null, longitude: null }], { knownDevice: 0, knownFingerprint: 3 });
+
+    const assessment = await loginRiskService.assessLogin(mockUser(), request());
+
+    expect(assessment.score).toBe(10);
+    expect(assessment.action).toBe('allow');
+  });
+
+  it('should block addresses on the blocked list', async () => {
+    const assessment = await loginRiskService.assessLogin(mockUser(), request({ ipAddress: '192.0.2.10' }));
+
+    expect(assessment).toMatchObject({ score: 100, action: 'block' });
+    expect(LoginEvent.findAll).not.toHaveBeenCalled();
+  });
+
+  it('should detect impossible travel', async () => {
+    mockHistory([{ createdAt: new Date(Date.now() - 2 * HOUR), location: 'Chicago, IL', latitude: 41.88, longitude: -87.63 }]);
+
+    const assessment = await loginRiskService.assessLogin(mockUser(), request({ ipAddress: '203.0.113.5' }));
+
+    expect(factorNames(assessment)).toEqual(['impossible_travel']);
+    expect(assessment.factors[0].detail).toMatch(/^\d+ km from Chicago, IL in 2\.0 h/);
+    expect(assessment.action).toBe('email');
+    expect(assessment.location.location).toBe('Sydney, Australia');
+  });
+
+  it('should allow travel that is physically possible', async () => {
+    mockHistory([{ createdAt: new Date(Date.now() - 20 * HOUR), location: 'Chicago, IL', latitude: 41.88, longitude: -87.63 }]);
+
+    const assessment = await loginRiskService.assessLogin(mockUser(), request({ ipAddress: '203.0.113.5' }));
+
+    expect(factorNames(assessment)).not.toContain('impossible_travel');
+  });
+
+  it('should cap the failed attempt score', async () => {
+    mockHistory([], { accountFailures: 4, ipFailures: 20 });
+
+    const assessment = await loginRiskService.assessLogin(mockUser(), request());
+
+    expect(factorNames(assessment)).toEqual(['failed_attempts']);
+    expect(assessment.score).toBe(30);
+  });
+
+  it('should flag sign-ins outside the usual hours', async () => {
+    const usual = new Date(Date.now() - 12 * HOUR);
+    mockHistory(Array.from({ length: 6 }, (_, day) => ({
+      createdAt: new Date(usual.getTime() - day * 24 * HOUR),
+      latitude: null,
+      longitude: null
+    })));
+
+    const assessment = await loginRiskService.assessLogin(mockUser(), request());
+
+    expect(factorNames(assessment)).toEqual(['unusual_time']);
+  });
+
+  it('should let trusted addresses offset risk without going negative', async () => {
+    mockHistory([]);
+
+    const assessment = await loginRiskService.assessLogin(mockUser(), request({ ipAddress: '10.2.3.4' }));
+
+    expect(factorNames(assessment)).toEqual(['trusted_ip']);
+    expect(assessment.score).toBe(0);
+  });
+});
+
+describe('evaluateLogin', () => {
+  it('should allow without assessment when disabled', async () => {
+    config.loginRisk.enabled = false;
+
+    try {
+      const result = await loginRiskService.evaluateLogin(mockUser(), request());
+      expect(result).toEqual({ action: 'allow', event: null, assessment: null });
+      expect(LoginEvent.create).not.toHaveBeenCalled();
+    } finally {
+      config.loginRisk.enabled = true;
+    }
+  });
+
+  it('should send the new_device SMS when a new device is allowed', async () => {
+    mockHistory([{ createdAt: new Date(), latitude: null, longitude: null }], { knownDevice: 0, knownFingerprint: 2 });
+
+    const { action, event } = await loginRiskService.evaluateLogin(mockUser(), request());
+
+    expect(action).toBe('allow');
+    expect(event).toMatchObject({ status: 'allowed', email: 'ana@example.com', riskScore: 10 });
+    expect(smsService.sendSecurityAlert).toHaveBeenCalledWith('+15555550123', 'new_device');
+  });
+
+  it('should not fail the login when the SMS cannot be sent', async () => {
+    mockHistory([{ createdAt: new Date(), latitude: null, longitude: null }], { knownDevice: 0, knownFingerprint: 2 });
+    smsService.sendSecurityAlert.mockRejectedValueOnce(new Error('Twilio down'));
+
+    await expect(loginRiskService.evaluateLogin(mockUser(), request())).resolves.toMatchObject({ action: 'allow' });
+  });
+
+  it('should email a confirmation link for email challenges', async () => {
+    mockHistory([{ createdAt: new Date(), latitude: null, longitude: null }], { knownDevice: 0, knownFingerprint: 0 });
+
+    const { action, event } = await loginRiskService.evaluateLogin(mockUser(), request({ ipAddress: '100.64.1.1' }));
+
+    expect(action).toBe('email');
+    expect(event.status).toBe('challenged');
+    expect(event.challengeHash).toMatch(/^[0-9a-f]{64}$/);
+
+    const [, token] = mockEmailService.sendLoginConfirmationEmail.mock.calls[0];
+    expect(require('crypto').createHash('sha256').update(token).digest('hex')).toBe(event.challengeHash);
+    expect(smsService.sendSecurityAlert).not.toHaveBeenCalled();
+  });
+
+  it('should record blocked logins', async () => {
+    const { action, event } = await loginRiskService.evaluateLogin(mockUser(), request({ ipAddress: '192.0.2.10' }));
+
+    expect(action).toBe('block');
+    expect(event).toMatchObject({ status: 'blocked', action: 'block', riskScore: 100 });
+  });
+
+  it('should let a passkey login satisfy the MFA step-up', async () => {
+    mockHistory([{ createdAt: new Date(), latitude: null, longitude: null }], { knownDevice: 0, knownFingerprint: 0 });
+    WebAuthnCredential.count.mockResolvedValue(1);
+
+    const { action, event } = await loginRiskService.evaluateLogin(mockUser(), request({ ipAddress: '2001:db8::1' }), {
+      mfaMethod: 'webauthn'
+    });
+
+    expect(action).toBe('allow');
+    expect(event).toMatchObject({ status: 'verified', action: 'mfa', riskScore: 55 });
+    expect(smsService.sendSecurityAlert).toHaveBeenCalledWith('+15555550123', 'new_device');
+  });
+
+  it('should still email-challenge risky passkey logins', async () => {
+    mockHistory([{ createdAt: new Date(), latitude: null, longitude: null }], { knownDevice: 0, knownFingerprint: 0, accountFailures: 2 });
+    WebAuthnCredential.count.mockResolvedValue(1);
+
+    const { action, event } = await loginRiskService.evaluateLogin(mockUser(), request({ ipAddress: '100.64.1.1' }), {
+      mfaMethod: 'webauthn'
+    });
+
+    expect(action).toBe('email');
+    expect(event.status).toBe('challenged');
+    expect(mockEmailService.sendLoginConfirmationEmail).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('recordFailure', () => {
+  it('should record failures against the email and known user', async () => {
+    User.findOne.mockResolvedValue(mockUser());
+
+    await loginRiskService.recordFailure('Ana@Example.com', request());
+
+    expect(LoginEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: USER_ID,
+      email: 'ana@example.com',
+      status: 'failed',
+      ipAddress: '198.51.100.7'
+    }));
+  });
+});
+
+describe('pending logins', () => {
+  const session = () => ({ session: {} });
+
+  it('should verify MFA step-ups with a TOTP code', async () => {
+    const secret = speakeasy.generateSecret().base32;
+    const user = mockUser({ mfaEnabled: true, mfaSecret: secret });
+    const event = mockEvent({ userId: USER_ID, status: 'challenged', action: 'mfa', riskFactors: [] });
+    User.findByPk.mockResolvedValue(user);
+    LoginEvent.findByPk.mockResolvedValue(event);
+
+    const req = session();
+    loginRiskService.setPendingLogin(req, event, '/dashboard');
+
+    await expect(loginRiskService.verifyPendingLogin(req, '000000')).rejects.toMatchObject({ errorCode: 'INVALID_MFA_TOKEN' });
+
+    const code = speakeasy.totp({ secret, encoding: 'base32' });
+    const result = await loginRiskService.verifyPendingLogin(req, code);
+
+    expect(result).toMatchObject({ user, mfaMethod: 'totp' });
+    expect(event.status).toBe('verified');
+    expect(req.session.pendingLogin).toBeUndefined();
+  });
+
+  it('should consume backup codes', async () => {
+    const user = mockUser({ mfaEnabled: true, mfaSecret: 'JBSWY3DPEHPK3PXP', mfaBackupCodes: ['ABCD1234', 'EFGH5678'] });
+    const event = mockEvent({ userId: USER_ID, status: 'challenged', action: 'mfa', riskFactors: [] });
+    User.findByPk.mockResolvedValue(user);
+    LoginEvent.findByPk.mockResolvedValue(event);
+
+    const req = session();
+    loginRiskService.setPendingLogin(req, event);
+
+    const result = await loginRiskService.verifyPendingLogin(req, 'abcd1234');
+
+    expect(result.mfaMethod).toBe('backup_code');
+    expect(user.mfaBackupCodes).toEqual(['EFGH5678']);
+  });
+
+  it('should verify MFA step-ups with a security key', async () => {
+    const user = mockUser();
+    const event = mockEvent({ userId: USER_ID, status: 'challenged', action: 'mfa', riskFactors: [] });
+    const credential = { id: 'credential-1', response: {} };
+    User.findByPk.mockResolvedValue(user);
+    LoginEvent.findByPk.mockResolvedValue(event);
+    WebAuthnCredential.findAll.mockResolvedValue([{ credentialId: 'credential-1', transports: ['usb'] }]);
+    jest.spyOn(webauthnService, 'authenticateCredential').mockResolvedValue({ userId: USER_ID });
+
+    const req = session();
+    loginRiskService.setPendingLogin(req, event, '/dashboard');
+
+    const options = await loginRiskService.startWebAuthnChallenge(req);
+    expect(options.allowCredentials).toEqual([{ type: 'public-key', id: 'credential-1', transports: ['usb'] }]);
+
+    const result = await loginRiskService.verifyPendingLogin(req, null, credential);
+
+    expect(webauthnService.authenticateCredential).toHaveBeenCalledWith(credential, options.challenge, { userId: USER_ID });
+    expect(result).toMatchObject({ user, mfaMethod: 'webauthn' });
+    expect(event.status).toBe('verified');
+  });
+
+  it('should reject security key assertions without a pending challenge', async () => {
+    const event = mockEvent({ userId: USER_ID, status: 'challenged', action: 'mfa', riskFactors: [] });
+    User.findByPk.mockResolvedValue(mockUser());
+    LoginEvent.findByPk.mockResolvedValue(event);
+    jest.spyOn(webauthnService, 'authenticateCredential');
+
+    const req = session();
+    loginRiskService.setPendingLogin(req, event);
+
+    await expect(loginRiskService.verifyPendingLogin(req, null, { id: 'credential-1' })).rejects.toMatchObject({
+      errorCode: 'CHALLENGE_EXPIRED'
+    });
+    expect(webauthnService.authenticateCredential).not.toHaveBeenCalled();
+    expect(event.status).toBe('challenged');
+  });
+
+  it('should not start a security key challenge without registered keys', async () => {
+    WebAuthnCredential.findAll.mockResolvedValue([]);
+
+    const req = session();
+    loginRiskService.setPendingLogin(req, mockEvent({ userId: USER_ID, action: 'mfa' }));
+
+    await expect(loginRiskService.startWebAuthnChallenge(req)).rejects.toMatchObject({ errorCode: 'WEBAUTHN_NOT_ENABLED' });
+  });
+
+  it('should keep the passkey factor through an email challenge', async () => {
+    const event = mockEvent({ userId: USER_ID, status: 'verified', action: 'email', riskFactors: [] });
+    User.findByPk.mockResolvedValue(mockUser());
+    LoginEvent.findByPk.mockResolvedValue(event);
+
+    const req = session();
+    loginRiskService.setPendingLogin(req, event, '/dashboard', 'webauthn');
+
+    const result = await loginRiskService.verifyPendingLogin(req);
+
+    expect(result.mfaMethod).toBe('webauthn');
+  });
+
+  it('should wait for the emailed link before completing email challenges', async () => {
+    const event = mockEvent({ userId: USER_ID, status: 'challenged', action: 'email', riskFactors: [{ factor: 'new_device' }] });
+    User.findByPk.mockResolvedValue(mockUser());
+    LoginEvent.findByPk.mockResolvedValue(event);
+
+    const req = session();
+    loginRiskService.setPendingLogin(req, event);
+
+    await expect(loginRiskService.verifyPendingLogin(req)).rejects.toMatchObject({
+      statusCode: 403,
+      errorCode: 'LOGIN_CONFIRMATION_PENDING'
+    });
+
+    event.status = 'verified';
+    const result = await loginRiskService.verifyPendingLogin(req);
+
+    expect(result.mfaMethod).toBeNull();
+    expect(smsService.sendSecurityAlert).toHaveBeenCalledWith('+15555550123', 'new_device');
+  });
+
+  it('should expire pending logins', async () => {
+    const req = session();
+    loginRiskService.setPendingLogin(req, mockEvent({ userId: USER_ID, action: 'mfa' }));
+    req.session.pendingLogin.expiresAt = Date.now() - 1;
+
+    expect(loginRiskService.getPendingLogin(req)).toBeNull();
+    await expect(loginRiskService.verifyPendingLogin(req, '123456')).rejects.toMatchObject({ errorCode: 'NO_PENDING_LOGIN' });
+  });
+});
+
+describe('confirmEmailChallenge', () => {
+  it('should verify the event for a valid token', async () => {
+    const event = mockEvent({
+      userId: USER_ID,
+      status: 'challenged',
+      challengeHash: 'hash',
+      challengeExpiresAt: new Date(Date.now() + 60000)
+    });
+    LoginEvent.findOne.mockResolvedValue(event);
+
+    await loginRiskService.confirmEmailChallenge('token');
+
+    expect(event).toMatchObject({ status: 'verified', challengeHash: null });
+  });
+
+  it('should reject expired and unknown tokens', async () => {
+    LoginEvent.findOne.mockResolvedValue(mockEvent({ status: 'challenged', challengeExpiresAt: new Date(Date.now() - 1) }));
+    await expect(loginRiskService.confirmEmailChallenge('token')).rejects.toMatchObject({ errorCode: 'INVALID_LOGIN_CONFIRMATION' });
+
+    LoginEvent.findOne.mockResolvedValue(null);
+    await expect(loginRiskService.confirmEmailChallenge('token')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * OAuth2 Extension Grant Tests
+ * Device authorization grant (RFC 8628) and token exchange (RFC 8693)
+ */
+
+jest.mock('../src/models', () => ({
+  OAuth2Client: { findOne: jest.fn() },
+  OAuth2Token: {},
+  OAuth2AuthorizationCode: {},
+  OAuth2DeviceCode: { findOne: jest.fn(), create: jest.fn(), update: jest.fn() },
+  User: { findByPk: jest.fn() }
+}));
+
+jest.mock('../src/services/tokenService', () => ({
+  generateToken: jest.fn()
+}));
+
+const crypto = require('crypto');
+const { OAuth2Client, OAuth2DeviceCode, User } = require('../src/models');
+const tokenService = require('../src/services/tokenService');
+const oauth2Service = require('../src/services/oauth2Service');
+const {
+  GRANT_TYPES,
+  TOKEN_TYPES,
+  DeviceCodeGrantType,
+  TokenExchangeGrantType,
+  scopesToPermissions
+} = require('../src/services/oauth2Grants');
+
+const USER_ID = '7b0f2a6e-3c1d-4e5f-8a9b-0c1d2e3f4a5b';
+
+const cliClient = {
+  id: 'c1a2b3c4-0000-4000-8000-000000000001',
+  clientId: 'exprsn-cli',
+  grants: [GRANT_TYPES.DEVICE_CODE, 'refresh_token'],
+  scopes: ['read', 'write']
+};
+
+const serviceClient = {
+  id: 'c1a2b3c4-0000-4000-8000-000000000002',
+  clientId: 'timeline-service',
+  grants: [GRANT_TYPES.TOKEN_EXCHANGE],
+  scopes: ['read', 'write', 'delete']
+};
+
+function grant(Type) {
+  return new Type({
+    accessTokenLifetime: 3600,
+    refreshTokenLifetime: 86400,
+    model: {
+      saveToken: jest.fn(async (token, client, user) => ({ ...token, client: { id: client.id }, user: { id: user.id } }))
+    }
+  });
+}
+
+function deviceRecord(overrides = {}) {
+  const record = {
+    id: 'd0000000-0000-4000-8000-000000000001',
+    userCode: 'BCDFGHJK',
+    clientId: cliClient.id,
+    scope: ['read'],
+    status: 'pending',
+    interval: 5,
+    lastPolledAt: null,
+    expiresAt: new Date(Date.now() + 60000),
+    ...overrides
+  };
+  record.update = jest.fn(async changes => Object.assign(record, changes));
+  return record;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  OAuth2Client.findOne.mockResolvedValue(null);
+  OAuth2DeviceCode.findOne.mockResolvedValue(null);
+  OAuth2DeviceCode.create.mockImplementation(async data => data);
+  OAuth2DeviceCode.update.mockResolvedValue([0]);
+  User.findByPk.mockResolvedValue(null);
+  tokenService.generateToken.mockResolvedValue(null);
+});
+
+describe('Device Authorization', () => {
+  describe('createDeviceAuthorization', () => {
+    it('issues a device code and a consonant-only user code', async () => {
+      OAuth2Client.findOne.mockResolvedValue({ ...cliClient, type: 'public', status: 'active' });
+
+      const result = await oauth2Service.createDeviceAuthorization('exprsn-cli', null, 'read');
+
+      expect(result.user_code).toMatch(/^[BCDFGHJKLMNPQRSTVWXZ]{4}-[BCDFGHJKLMNPQRSTVWXZ]{4}$/);
+      expect(result.device_code).toMatch(/^[0-9a-f]{64}$/);
+      expect(result.verification_uri).toBe('http://localhost:3001/device');
+      expect(result.verification_uri_complete).toBe(`http://localhost:3001/device?user_code=${result.user_code}`);
+      expect(result.expires_in).toBe(600);
+      expect(result.interval).toBe(5);
+
+      const stored = OAuth2DeviceCode.create.mock.calls[0][0];
+      expect(stored.deviceCodeHash).toBe(crypto.createHash('sha256').update(result.device_code).digest('hex'));
+      expect(stored.userCode).toBe(result.user_code.replace('-', ''));
+      expect(stored.scope).toEqual(['read']);
+    });
+
+    it('rejects unknown clients, clients without the grant and excess scope', async () => {
+      OAuth2Client.findOne.mockResolvedValue(null);
+      await expect(oauth2Service.createDeviceAuthorization('nope', null))
+        .rejects.toMatchObject({ name: 'invalid_client' });
+
+      OAuth2Client.findOne.mockResolvedValue({ ...cliClient, type: 'confidential', clientSecret: 's3cret' });
+      await expect(oauth2Service.createDeviceAuthorization('exprsn-cli', 'wrong'))
+        .rejects.toMatchObject({ name: 'invalid_client' });
+
+      OAuth2Client.findOne.mockResolvedValue({ ...cliClient, type: 'public', grants: ['authorization_code'] });
+      await expect(oauth2Service.createDeviceAuthorization('exprsn-cli', null))
+        .rejects.toMatchObject({ name: 'unauthorized_client' });
+
+      OAuth2Client.findOne.mockResolvedValue({ ...cliClient, type: 'public' });
+      await expect(oauth2Service.createDeviceAuthorization('exprsn-cli', null, 'read admin'))
+        .rejects.toMatchObject({ name: 'invalid_scope' });
+    });
+  });
+
+  describe('DeviceCodeGrantType', () => {
+    const poll = () => grant(DeviceCodeGrantType).handle({ body: { device_code: 'abc' } }, cliClient);
+
+    it('requires a device code', async () => {
+      await expect(grant(DeviceCodeGrantType).handle({ body: {} }, cliClient))
+        .rejects.toMatchObject({ name: 'invalid_request' });
+    });
+
+    it('reports authorization_pending until the user decides', async () => {
+      const record = deviceRecord();
+      OAuth2DeviceCode.findOne.mockResolvedValue(record);
+
+      await expect(poll()).rejects.toMatchObject({ name: 'authorization_pending', code: 400 });
+      expect(record.lastPolledAt).toBeInstanceOf(Date);
+    });
+
+    it('answers slow_down and widens the interval when polled too fast', async () => {
+      const record = deviceRecord({ lastPolledAt: new Date(Date.now() - 1000) });
+      OAuth2DeviceCode.findOne.mockResolvedValue(record);
+
+      await expect(poll()).rejects.toMatchObject({ name: 'slow_down' });
+      expect(record.interval).toBe(10);
+    });
+
+    it('reports denied and expired codes', async () => {
+      OAuth2DeviceCode.findOne.mockResolvedValue(deviceRecord({ status: 'denied' }));
+      await expect(poll()).rejects.toMatchObject({ name: 'access_denied' });
+
+      OAuth2DeviceCode.findOne.mockResolvedValue(deviceRecord({ expiresAt: new Date(Date.now() - 1) }));
+      await expect(poll()).rejects.toMatchObject({ name: 'expired_token' });
+
+      OAuth2DeviceCode.findOne.mockResolvedValue(null);
+      await expect(poll()).rejects.toMatchObject({ name: 'invalid_grant' });
+    });
+
+    it('issues tokens once for an approved code', async () => {
+      OAuth2DeviceCode.findOne.mockImplementation(async () => deviceRecord({ status: 'approved', userId: USER_ID }));
+      OAuth2DeviceCode.update.mockResolvedValue([1]);
+
+      const token = await poll();
+
+      expect(OAuth2DeviceCode.update).toHaveBeenCalledWith({ status: 'consumed' }, {
+        where: { id: 'd0000000-0000-4000-8000-000000000001', status: 'approved' }
+      });
+      expect(token.user).toEqual({ id: USER_ID });
+      expect(token.scope).toEqual(['read']);
+      expect(token.accessToken).toEqual(expect.any(String));
+      expect(token.refreshToken).toEqual(expect.any(String));
+
+      // A concurrent poll that lost the race
+      OAuth2DeviceCode.update.mockResolvedValue([0]);
+      await expect(poll()).rejects.toMatchObject({ name: 'invalid_grant' });
+    });
+  });
+});
+
+describe('Token Exchange', () => {
+  const subject = {
+    accessToken: 'user-access-token',
+    accessTokenExpiresAt: new Date(Date.now() + 300000),
+    scope: ['read', 'write'],
+    client: { id: cliClient.id, clientId: 'exprsn-web' },
+    user: { id: USER_ID }
+  };
+
+  const exchange = body => grant(TokenExchangeGrantType).handle({
+    body: {
+      subject_token: 'user-access-token',
+      subject_token_type: TOKEN_TYPES.ACCESS_TOKEN,
+      ...body
+    }
+  }, serviceClient);
+
+  beforeEach(() => {
+    jest.spyOn(oauth2Service, 'getAccessToken').mockResolvedValue(subject);
+    User.findByPk.mockResolvedValue({ id: USER_ID, status: 'active' });
+    tokenService.generateToken.mockResolvedValue({ id: 'ca-token-id' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('maps scopes onto CA permissions', () => {
+    expect(scopesToPermissions(['read'])).toEqual({
+      read: true, write: false, append: false, update: false, delete: false
+    });
+    expect(scopesToPermissions(['write', 'openid'])).toEqual({
+      read: false, write: true, append: true, update: true, delete: false
+    });
+  });
+
+  it('swaps an access token for a downscoped CA token by default', async () => {
+    const token = await exchange({ scope: 'read', resource: 'https://timeline.exprsn.io/api', audience: 'timeline' });
+
+    expect(token).toMatchObject({
+      accessToken: 'ca-token-id',
+      issuedTokenType: TOKEN_TYPES.CA_TOKEN,
+      scope: ['read'],
+      user: { id: USER_ID }
+    });
+
+    const [, options] = tokenService.generateToken.mock.calls[0];
+    expect(options).toMatchObject({
+      permissions: { read: true, write: false, append: false, update: false, delete: false },
+      resourceValue: 'https://timeline.exprsn.io/api',
+      downscope: true,
+      tokenData: { exchangedBy: 'timeline-service', audience: 'timeline', scope: ['read'] }
+    });
+
+    // Never outlives the subject token
+    expect(options.expirySeconds).toBeLessThanOrEqual(300);
+    expect(token.accessTokenExpiresAt.getTime()).toBeLessThanOrEqual(subject.accessTokenExpiresAt.getTime());
+  });
+
+  it('can issue a downscoped access token instead', async () => {
+    const token = await exchange({ requested_token_type: TOKEN_TYPES.ACCESS_TOKEN });
+
+    expect(token.issuedTokenType).toBe(TOKEN_TYPES.ACCESS_TOKEN);
+    expect(token.scope).toEqual(['read', 'write']);
+    expect(token.refreshToken).toBeUndefined();
+    expect(tokenService.generateToken).not.toHaveBeenCalled();
+  });
+
+  it('refuses to widen scope', async () => {
+    await expect(exchange({ scope: 'read delete' })).rejects.toMatchObject({ name: 'invalid_scope' });
+  });
+
+  it('validates the request parameters', async () => {
+    await expect(exchange({ subject_token: undefined })).rejects.toMatchObject({ name: 'invalid_request' });
+    await expect(exchange({ subject_token_type: 'urn:ietf:params:oauth:token-type:id_token' }))
+      .rejects.toMatchObject({ name: 'invalid_request' });
+    await expect(exchange({ requested_token_type: 'urn:example:unknown' }))
+      .rejects.toMatchObject({ name: 'invalid_request' });
+    await expect(exchange({ actor_token: 'x' })).rejects.toMatchObject({ name: 'invalid_request' });
+    await expect(exchange({ resource: 'timeline' })).rejects.toMatchObject({ name: 'invalid_target' });
+  });
+
+  it('rejects invalid subject tokens and inactive users', async () => {
+    oauth2Service.getAccessToken.mockResolvedValue(null);
+    await expect(exchange()).rejects.toMatchObject({ name: 'invalid_grant' });
+
+    User.findByPk.mockResolvedValue({ id: USER_ID, status: 'suspended' });
+    await expect(exchange()).rejects.toMatchObject({ name: 'invalid_grant' });
+  });
+});
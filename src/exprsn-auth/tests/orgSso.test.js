@@ -0,0 +1,446 @@
+/**
+ * Organization SSO Tests
+ * Domain verification, sign-in routing, enforcement and
+ * just-in-time membership through SAML, OIDC and LDAP
+ */
+
+jest.mock('../src/models', () => ({
+  User: { findOne: jest.fn(), create: jest.fn() },
+  Organization: { findByPk: jest.fn() },
+  OrganizationMember: { findOne: jest.fn() },
+  OrganizationDomain: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn(), count: jest.fn() },
+  OrganizationSsoConfig: { findOne: jest.fn(), create: jest.fn() },
+  LdapConfig: { findByPk: jest.fn() }
+}));
+jest.mock('../src/services/organizationService', () => ({ addMember: jest.fn() }));
+jest.mock('../src/services/ldapService', () => ({ authenticateUser: jest.fn() }));
+jest.mock('../src/config/saml', () => ({ identityProviders: { okta: {} } }));
+jest.mock('axios', () => ({ get: jest.fn(), post: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const axios = require('axios');
+const {
+  User,
+  Organization,
+  OrganizationMember,
+  OrganizationDomain,
+  OrganizationSsoConfig,
+  LdapConfig
+} = require('../src/models');
+const organizationService = require('../src/services/organizationService');
+const ldapService = require('../src/services/ldapService');
+const config = require('../src/config');
+const domainVerificationService = require('../src/services/domainVerificationService');
+const orgSsoService = require('../src/services/orgSsoService');
+
+const ORG_ID = 'org-1';
+const ISSUER = 'https://idp.acme.test';
+const CLIENT_SECRET = 'oidc-client-secret-value-for-tests';
+
+const defaults = JSON.parse(JSON.stringify(config.sso));
+
+function mockRecord(fields) {
+  return {
+    ...fields,
+    update: jest.fn(async function(updates) {
+      Object.assign(this, updates);
+      return this;
+    }),
+    destroy: jest.fn().mockResolvedValue(undefined)
+  };
+}
+
+function mockDomain(overrides = {}) {
+  return mockRecord({
+    id: 'domain-1',
+    organizationId: ORG_ID,
+    domain: 'acme.test',
+    verificationMethod: 'dns',
+    verificationToken: 'a1b2c3',
+    status: 'pending',
+    ...overrides
+  });
+}
+
+function mockSso(overrides = {}) {
+  return mockRecord({
+    organizationId: ORG_ID,
+    providerType: 'saml',
+    samlIdpKey: 'okta',
+    oidcIssuer: ISSUER,
+    oidcClientId: 'exprsn',
+    oidcClientSecret: CLIENT_SECRET,
+    oidcScopes: 'openid email profile',
+    enabled: true,
+    enforced: false,
+    jitProvisioning: true,
+    defaultRole: 'member',
+    ...overrides
+  });
+}
+
+const organization = { id: ORG_ID, name: 'Acme', status: 'active' };
+
+/**
+ * Wire the models so acme.test is verified by ORG_ID with the given SSO settings
+ */
+function setupOrg(sso) {
+  OrganizationDomain.findOne.mockImplementation(async ({ where }) =>
+    where.domain === 'acme.test' && where.status === 'verified' &&
+    (!where.organizationId || where.organizationId === ORG_ID)
+      ? mockDomain({ status: 'verified' })
+      : null
+  );
+  OrganizationSsoConfig.findOne.mockResolvedValue(sso);
+  Organization.findByPk.mockResolvedValue(organization);
+}
+
+/**
+ * Answer domain lookups by id with the record, and verified claims with another organization's
+ */
+function mockDomainLookups({ record = null, claimedElsewhere = null } = {}) {
+  OrganizationDomain.findOne.mockImplementation(async ({ where }) => {
+    if (where.status === 'verified') return claimedElsewhere;
+    if (where.id) return record;
+    return null;
+  });
+}
+
+describe('Organization SSO', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findOne.mockResolvedValue(null);
+    User.create.mockImplementation(async fields => mockRecord({ id: 'user-1', status: 'active', ...fields }));
+    Organization.findByPk.mockResolvedValue(null);
+    OrganizationMember.findOne.mockResolvedValue(null);
+    mockDomainLookups();
+    OrganizationDomain.findAll.mockResolvedValue([]);
+    OrganizationDomain.create.mockImplementation(async fields => mockDomain(fields));
+    OrganizationDomain.count.mockResolvedValue(0);
+    OrganizationSsoConfig.findOne.mockResolvedValue(null);
+    OrganizationSsoConfig.create.mockImplementation(async fields => mockSso(fields));
+    LdapConfig.findByPk.mockResolvedValue(null);
+    organizationService.addMember.mockResolvedValue(undefined);
+    ldapService.authenticateUser.mockResolvedValue({ success: false });
+    axios.get.mockResolvedValue({ data: {} });
+    axios.post.mockResolvedValue({ data: {} });
+  });
+
+  afterEach(() => {
+    config.sso = JSON.parse(JSON.stringify(defaults));
+    domainVerificationService.setResolver(null);
+  });
+
+  describe('domain verification', () => {
+    it('normalizes domains and rejects non-hostnames', () => {
+      expect(domainVerificationService.normalizeDomain(' Acme.TEST. ')).toBe('acme.test');
+      expect(domainVerificationService.normalizeDomain('localhost')).toBeNull();
+      expect(domainVerificationService.normalizeDomain('http://acme.test')).toBeNull();
+      expect(domainVerificationService.emailDomain('Jane@Mail.Acme.test')).toBe('mail.acme.test');
+      expect(domainVerificationService.emailDomain('no-at-sign')).toBeNull();
+    });
+
+    it('issues a TXT challenge when a domain is claimed', async () => {
+      const record = await domainVerificationService.addDomain(ORG_ID, 'ACME.test', { createdBy: 'user-1' });
+
+      expect(record.domain).toBe('acme.test');
+      expect(record.verificationToken).toMatch(/^[0-9a-f]{48}$/);
+      expect(domainVerificationService.challengeFor(record)).toEqual({
+        method: 'dns',
+        type: 'TXT',
+        name: '_exprsn-verification.acme.test',
+        value: `exprsn-verification=${record.verificationToken}`
+      });
+    });
+
+    it('refuses domains another organization has verified', async () => {
+      mockDomainLookups({ claimedElsewhere: mockDomain({ organizationId: 'org-2', status: 'verified' }) });
+
+      await expect(domainVerificationService.addDomain(ORG_ID, 'acme.test'))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'DOMAIN_CLAIMED' });
+      expect(OrganizationDomain.create).not.toHaveBeenCalled();
+    });
+
+    it('verifies a domain through a pluggable resolver', async () => {
+      const record = mockDomain();
+      mockDomainLookups({ record });
+      domainVerificationService.setResolver({
+        resolveTxt: jest.fn(async name =>
+          name === '_exprsn-verification.acme.test' ? ['v=spf1 -all', 'exprsn-verification=a1b2c3'] : []
+        ),
+        fetchFile: jest.fn()
+      });
+
+      await domainVerificationService.verifyDomain(ORG_ID, 'domain-1');
+
+      expect(record.status).toBe('verified');
+      expect(record.verifiedAt).toBeInstanceOf(Date);
+      expect(record.lastError).toBeNull();
+    });
+
+    it('records why verification failed', async () => {
+      const record = mockDomain();
+      mockDomainLookups({ record });
+      domainVerificationService.setResolver({ resolveTxt: jest.fn(async () => ['exprsn-verification=wrong']) });
+
+      await domainVerificationService.verifyDomain(ORG_ID, 'domain-1');
+
+      expect(record.status).toBe('failed');
+      expect(record.verifiedAt).toBeNull();
+      expect(record.lastError).toMatch(/No TXT record/);
+    });
+
+    it('reads file challenges from a static records file', async () => {
+      const recordsPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'org-sso-')), 'records.json');
+      fs.writeFileSync(recordsPath, JSON.stringify({
+        files: {
+          'https://acme.test/.well-known/exprsn-domain-verification.txt': 'exprsn-verification=a1b2c3\n'
+        }
+      }));
+      config.sso.domainVerification.resolver = 'static';
+      config.sso.domainVerification.staticRecordsPath = recordsPath;
+
+      const record = mockDomain({ verificationMethod: 'file' });
+      mockDomainLookups({ record });
+
+      await domainVerificationService.verifyDomain(ORG_ID, 'domain-1');
+
+      expect(record.status).toBe('verified');
+    });
+  });
+
+  describe('sign-in routing', () => {
+    it('leaves emails outside verified domains alone', async () => {
+      setupOrg(mockSso({ enforced: true }));
+
+      await expect(orgSsoService.getLoginRoute('jane@other.test')).resolves.toBeNull();
+    });
+
+    it('routes verified domains to the organization provider', async () => {
+      setupOrg(mockSso({ enforced: true }));
+
+      const route = await orgSsoService.getLoginRoute('jane@acme.test', { redirect: '/apps' });
+
+      expect(route).toMatchObject({ organizationId: ORG_ID, providerType: 'saml', enforced: true });
+      expect(route.loginUrl).toBe(`/api/sso/orgs/${ORG_ID}/login?login_hint=jane%40acme.test&redirect=%2Fapps`);
+    });
+
+    it('ignores disabled SSO settings', async () => {
+      setupOrg(mockSso({ enabled: false, enforced: true }));
+
+      await expect(orgSsoService.getLoginRoute('jane@acme.test')).resolves.toBeNull();
+    });
+
+    it('keeps LDAP organizations on the password form', async () => {
+      setupOrg(mockSso({ providerType: 'ldap', ldapConfigId: 'ldap-1' }));
+
+      const route = await orgSsoService.getLoginRoute('jane@acme.test');
+
+      expect(route.providerType).toBe('ldap');
+      expect(route.loginUrl).toBeNull();
+    });
+
+    it('will not enforce SSO without a verified domain', async () => {
+      OrganizationSsoConfig.findOne.mockResolvedValue(null);
+      OrganizationDomain.count.mockResolvedValue(0);
+
+      await expect(orgSsoService.saveSsoConfig(ORG_ID, { providerType: 'saml', samlIdpKey: 'okta', enforced: true }))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'NO_VERIFIED_DOMAIN' });
+      expect(OrganizationSsoConfig.create).not.toHaveBeenCalled();
+    });
+
+    it('only accepts LDAP directories belonging to the organization', async () => {
+      OrganizationSsoConfig.findOne.mockResolvedValue(null);
+      LdapConfig.findByPk.mockResolvedValue({ id: 'ldap-2', organizationId: 'org-2' });
+
+      await expect(orgSsoService.saveSsoConfig(ORG_ID, { providerType: 'ldap', ldapConfigId: 'ldap-2' }))
+        .rejects.toMatchObject({ errorCode: 'INVALID_LDAP_CONFIG' });
+    });
+  });
+
+  describe('just-in-time provisioning', () => {
+    const newUser = () => mockRecord({ id: 'user-1', email: 'jane@acme.test', status: 'active', emailVerified: true });
+
+    beforeEach(() => {
+      setupOrg(mockSso());
+    });
+
+    it('creates the user and adds them with the default role', async () => {
+      const user = await orgSsoService.provisionUser(
+        { organization, ssoConfig: mockSso({ defaultRole: 'guest' }) },
+        { email: 'Jane@Acme.test', firstName: 'Jane', lastName: 'Doe' }
+      );
+
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'jane@acme.test',
+        emailVerified: true,
+        displayName: 'Jane Doe'
+      }));
+      expect(organizationService.addMember).toHaveBeenCalledWith(ORG_ID, user.id, { role: 'guest' });
+    });
+
+    it('leaves existing members as they are', async () => {
+      User.findOne.mockResolvedValue(newUser());
+      OrganizationMember.findOne.mockResolvedValue({ status: 'active', role: 'admin' });
+
+      await orgSsoService.provisionUser({ organization, ssoConfig: mockSso() }, { email: 'jane@acme.test' });
+
+      expect(organizationService.addMember).not.toHaveBeenCalled();
+    });
+
+    it('requires membership when JIT provisioning is off', async () => {
+      User.findOne.mockResolvedValue(newUser());
+
+      await expect(orgSsoService.provisionUser(
+        { organization, ssoConfig: mockSso({ jitProvisioning: false }) },
+        { email: 'jane@acme.test' }
+      )).rejects.toMatchObject({ statusCode: 403, errorCode: 'NOT_A_MEMBER' });
+    });
+
+    it('does not re-add suspended members', async () => {
+      User.findOne.mockResolvedValue(newUser());
+      OrganizationMember.findOne.mockResolvedValue({ status: 'suspended' });
+
+      await expect(orgSsoService.provisionUser({ organization, ssoConfig: mockSso() }, { email: 'jane@acme.test' }))
+        .rejects.toMatchObject({ errorCode: 'MEMBERSHIP_INACTIVE' });
+      expect(organizationService.addMember).not.toHaveBeenCalled();
+    });
+
+    it('rejects addresses outside the organization domains', async () => {
+      await expect(orgSsoService.provisionUser({ organization, ssoConfig: mockSso() }, { email: 'eve@evil.test' }))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'DOMAIN_NOT_VERIFIED' });
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('provisions LDAP users from directory attributes', async () => {
+      ldapService.authenticateUser.mockResolvedValue({
+        success: true,
+        attributes: { email: 'jane@acme.test', displayName: 'Jane from LDAP' }
+      });
+      const match = { organization, ssoConfig: mockSso({ providerType: 'ldap', ldapConfigId: 'ldap-1' }) };
+
+      const user = await orgSsoService.authenticateLdap(match, 'jane@acme.test', 'directory-password');
+
+      expect(ldapService.authenticateUser).toHaveBeenCalledWith('jane@acme.test', 'directory-password', 'ldap-1');
+      expect(user.displayName).toBe('Jane from LDAP');
+      expect(organizationService.addMember).toHaveBeenCalled();
+    });
+
+    it('applies organization rules to SAML sign-ins started for it', async () => {
+      const req = { session: { orgSso: { organizationId: ORG_ID, providerType: 'saml', expiresAt: Date.now() + 60000 } } };
+      User.findOne.mockResolvedValue(newUser());
+
+      await orgSsoService.completeSamlLogin(req, { email: 'jane@acme.test' });
+
+      expect(req.session.orgSso).toBeUndefined();
+      expect(organizationService.addMember).toHaveBeenCalledWith(ORG_ID, 'user-1', { role: 'member' });
+    });
+
+    it('passes through SAML sign-ins not started for an organization', async () => {
+      const user = { email: 'jane@elsewhere.test' };
+
+      await expect(orgSsoService.completeSamlLogin({ session: {} }, user)).resolves.toBe(user);
+      expect(organizationService.addMember).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('OIDC sign-in', () => {
+    const metadata = {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`
+    };
+
+    async function start() {
+      const req = { session: {} };
+      const url = new URL(await orgSsoService.startLogin(req, ORG_ID, {
+        redirect: '/apps',
+        loginHint: 'jane@acme.test'
+      }));
+      return { req, url };
+    }
+
+    function idToken(claims) {
+      return jwt.sign({
+        iss: ISSUER,
+        aud: 'exprsn',
+        sub: 'idp-user-1',
+        email: 'jane@acme.test',
+        name: 'Jane Doe',
+        ...claims
+      }, CLIENT_SECRET, { algorithm: 'HS256', expiresIn: 300 });
+    }
+
+    beforeEach(() => {
+      setupOrg(mockSso({ providerType: 'oidc' }));
+      axios.get.mockResolvedValue({ data: metadata });
+    });
+
+    it('redirects to the provider with state, nonce and PKCE', async () => {
+      const { req, url } = await start();
+
+      expect(url.origin + url.pathname).toBe(`${ISSUER}/authorize`);
+      expect(url.searchParams.get('client_id')).toBe('exprsn');
+      expect(url.searchParams.get('state')).toBe(req.session.orgSso.state);
+      expect(url.searchParams.get('nonce')).toBe(req.session.orgSso.nonce);
+      expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+      expect(url.searchParams.get('login_hint')).toBe('jane@acme.test');
+      expect(url.searchParams.get('redirect_uri')).toBe(`${config.sso.baseUrl}/api/sso/orgs/${ORG_ID}/oidc/callback`);
+    });
+
+    it('exchanges the code and provisions the member', async () => {
+      const { req, url } = await start();
+      axios.post.mockResolvedValue({ data: { id_token: idToken({ nonce: req.session.orgSso.nonce }) } });
+
+      const { user, redirect } = await orgSsoService.completeOidcLogin(req, ORG_ID, {
+        code: 'auth-code',
+        state: url.searchParams.get('state')
+      });
+
+      const [tokenUrl, body, { headers }] = axios.post.mock.calls[0];
+      expect(tokenUrl).toBe(`${ISSUER}/token`);
+      expect(body).toContain('code_verifier=');
+      expect(headers.Authorization).toMatch(/^Basic /);
+      expect(user.email).toBe('jane@acme.test');
+      expect(redirect).toBe('/apps');
+      expect(organizationService.addMember).toHaveBeenCalledWith(ORG_ID, 'user-1', { role: 'member' });
+      expect(req.session.orgSso).toBeUndefined();
+    });
+
+    it('rejects a mismatched state', async () => {
+      const { req } = await start();
+
+      await expect(orgSsoService.completeOidcLogin(req, ORG_ID, { code: 'auth-code', state: 'forged' }))
+        .rejects.toMatchObject({ errorCode: 'SSO_STATE_INVALID' });
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('rejects ID tokens with the wrong nonce or audience', async () => {
+      let { req, url } = await start();
+      axios.post.mockResolvedValue({ data: { id_token: idToken({ nonce: 'replayed' }) } });
+
+      await expect(orgSsoService.completeOidcLogin(req, ORG_ID, { code: 'c', state: url.searchParams.get('state') }))
+        .rejects.toMatchObject({ errorCode: 'OIDC_INVALID_TOKEN' });
+
+      ({ req, url } = await start());
+      axios.post.mockResolvedValue({ data: { id_token: idToken({ nonce: req.session.orgSso.nonce, aud: 'other-app' }) } });
+
+      await expect(orgSsoService.completeOidcLogin(req, ORG_ID, { code: 'c', state: url.searchParams.get('state') }))
+        .rejects.toMatchObject({ errorCode: 'OIDC_INVALID_TOKEN' });
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects addresses the provider has not verified', async () => {
+      const { req, url } = await start();
+      axios.post.mockResolvedValue({
+        data: { id_token: idToken({ nonce: req.session.orgSso.nonce, email_verified: false }) }
+      });
+
+      await expect(orgSsoService.completeOidcLogin(req, ORG_ID, { code: 'c', state: url.searchParams.get('state') }))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'EMAIL_NOT_VERIFIED' });
+    });
+  });
+});
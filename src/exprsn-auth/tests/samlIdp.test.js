@@ -0,0 +1,479 @@
+/**
+ * SAML Identity Provider Tests
+ * SP registration, AuthnRequest handling, signed assertions and Single Logout
+ */
+
+jest.mock('../src/models', () => ({
+  Application: { findOne: jest.fn(), findByPk: jest.fn() },
+  User: { findByPk: jest.fn() },
+  Group: {},
+  Session: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn() }
+}));
+
+jest.mock('../src/services/rbacService', () => ({
+  checkApplicationAccess: jest.fn(),
+  getUserPermissions: jest.fn()
+}));
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { DOMParser } = require('@xmldom/xmldom');
+const { SignedXml } = require('xml-crypto');
+const { IDP_CERT, IDP_KEY, SP_CERT, SP_KEY } = require('./helpers/samlCredentials');
+
+// The service reads its signing credentials from disk
+const credentialsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saml-idp-'));
+fs.writeFileSync(path.join(credentialsDir, 'idp.crt'), IDP_CERT);
+fs.writeFileSync(path.join(credentialsDir, 'idp.key'), IDP_KEY);
+
+process.env.SAML_PROVIDER_ENABLED = 'true';
+process.env.SAML_PROVIDER_ENTITY_ID = 'https://auth.exprsn.test/saml';
+process.env.SAML_PROVIDER_BASE_URL = 'https://auth.exprsn.test/api/saml/idp';
+process.env.SAML_PROVIDER_CERT_PATH = path.join(credentialsDir, 'idp.crt');
+process.env.SAML_PROVIDER_KEY_PATH = path.join(credentialsDir, 'idp.key');
+
+const { Application, User, Session } = require('../src/models');
+const rbacService = require('../src/services/rbacService');
+const samlIdpService = require('../src/services/samlIdpService');
+
+const { BINDINGS, NAMEID_FORMATS } = samlIdpService;
+
+const SP_ENTITY_ID = 'https://sp.example.com/metadata';
+const ACS_URL = 'https://sp.example.com/acs';
+const SLO_URL = 'https://sp.example.com/slo';
+const SIG_ALG = 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256';
+
+const user = {
+  id: '5b0e6f2c-1f1a-4c53-9a58-5a1f8a0c2f11',
+  email: 'ada@example.com',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  displayName: 'Ada Lovelace'
+};
+
+function derOf(pem) {
+  return new crypto.X509Certificate(pem).raw.toString('base64');
+}
+
+function application(overrides = {}) {
+  return {
+    id: 'app-1',
+    organizationId: 'org-1',
+    samlEntityId: SP_ENTITY_ID,
+    samlServiceProvider: {
+      acsUrl: ACS_URL,
+      sloUrl: SLO_URL,
+      certificate: derOf(SP_CERT),
+      nameIdFormat: NAMEID_FORMATS.EMAIL,
+      signResponse: false,
+      authnRequestsSigned: false,
+      attributes: null,
+      ...overrides
+    },
+    update: jest.fn(async function(values) { Object.assign(this, values); })
+  };
+}
+
+function authnRequest(attributes = '') {
+  return '<samlp:AuthnRequest xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" ' +
+    'xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="_req1" Version="2.0" ' +
+    `IssueInstant="${new Date().toISOString()}" AssertionConsumerServiceURL="${ACS_URL}"${attributes}>` +
+    `<saml:Issuer>${SP_ENTITY_ID}</saml:Issuer>` +
+    `<samlp:NameIDPolicy Format="${NAMEID_FORMATS.PERSISTENT}" AllowCreate="true"/>` +
+    '</samlp:AuthnRequest>';
+}
+
+function logoutRequest(nameId, sessionIndex) {
+  return '<samlp:LogoutRequest xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" ' +
+    'xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="_logout1" Version="2.0" ' +
+    `IssueInstant="${new Date().toISOString()}">` +
+    `<saml:Issuer>${SP_ENTITY_ID}</saml:Issuer>` +
+    `<saml:NameID Format="${NAMEID_FORMATS.EMAIL}">${nameId}</saml:NameID>` +
+    `<samlp:SessionIndex>${sessionIndex}</samlp:SessionIndex>` +
+    '</samlp:LogoutRequest>';
+}
+
+/**
+ * Build a Redirect binding request, signed with the SP key unless unsigned
+ */
+function redirectRequest(xml, { relayState, signed = true } = {}) {
+  let rawQuery = `SAMLRequest=${encodeURIComponent(zlib.deflateRawSync(xml).toString('base64'))}`;
+  if (relayState) {
+    rawQuery += `&RelayState=${encodeURIComponent(relayState)}`;
+  }
+
+  if (signed) {
+    rawQuery += `&SigAlg=${encodeURIComponent(SIG_ALG)}`;
+    const signature = crypto.sign('sha256', Buffer.from(rawQuery), SP_KEY).toString('base64');
+    rawQuery += `&Signature=${encodeURIComponent(signature)}`;
+  }
+
+  const params = Object.fromEntries(new URLSearchParams(rawQuery));
+  return { params, rawQuery, binding: BINDINGS.REDIRECT };
+}
+
+function verifySignature(xml, signature, certificate) {
+  const signedXml = new SignedXml();
+  signedXml.keyInfoProvider = { getKeyInfo: () => '', getKey: () => certificate };
+  signedXml.loadSignature(signature);
+  return signedXml.checkSignature(xml);
+}
+
+function decodeRedirect(url, field) {
+  const params = new URL(url).searchParams;
+  return zlib.inflateRawSync(Buffer.from(params.get(field), 'base64')).toString();
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(credentialsDir, { recursive: true, force: true });
+});
+
+describe('Identity provider metadata', () => {
+  it('publishes the signing certificate and SSO/SLO endpoints', () => {
+    const metadata = samlIdpService.generateMetadata();
+
+    expect(metadata).toContain('entityID="https://auth.exprsn.test/saml"');
+    expect(metadata).toContain(derOf(IDP_CERT));
+    expect(metadata).toContain('Location="https://auth.exprsn.test/api/saml/idp/sso"');
+    expect(metadata).toContain('Location="https://auth.exprsn.test/api/saml/idp/slo"');
+  });
+});
+
+describe('Service provider registration', () => {
+  const spMetadata = `<md:EntityDescriptor xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata" entityID="${SP_ENTITY_ID}">
+    <md:SPSSODescriptor AuthnRequestsSigned="true" protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol">
+      <md:KeyDescriptor use="signing">
+        <ds:KeyInfo xmlns:ds="http://www.w3.org/2000/09/xmldsig#"><ds:X509Data>
+          <ds:X509Certificate>${derOf(SP_CERT)}</ds:X509Certificate>
+        </ds:X509Data></ds:KeyInfo>
+      </md:KeyDescriptor>
+      <md:SingleLogoutService Binding="${BINDINGS.REDIRECT}" Location="${SLO_URL}"/>
+      <md:NameIDFormat>${NAMEID_FORMATS.PERSISTENT}</md:NameIDFormat>
+      <md:AssertionConsumerService Binding="${BINDINGS.POST}" Location="${ACS_URL}" index="0"/>
+    </md:SPSSODescriptor>
+  </md:EntityDescriptor>`;
+
+  it('registers a service provider from SP metadata', async () => {
+    Application.findOne.mockResolvedValue(null);
+    const app = { id: 'app-1', update: jest.fn(async function(values) { Object.assign(this, values); }) };
+
+    const registered = await samlIdpService.registerServiceProvider(app, {
+      metadata: spMetadata,
+      attributes: { email: 'email', memberOf: 'groups' }
+    });
+
+    expect(registered).toMatchObject({
+      entityId: SP_ENTITY_ID,
+      acsUrl: ACS_URL,
+      sloUrl: SLO_URL,
+      certificate: derOf(SP_CERT),
+      nameIdFormat: NAMEID_FORMATS.PERSISTENT,
+      authnRequestsSigned: true,
+      attributes: { email: 'email', memberOf: 'groups' }
+    });
+  });
+
+  it('rejects unknown attribute sources and entity IDs in use', async () => {
+    const app = { id: 'app-1', update: jest.fn() };
+
+    await expect(samlIdpService.registerServiceProvider(app, {
+      entityId: SP_ENTITY_ID,
+      acsUrl: ACS_URL,
+      attributes: { secret: 'passwordHash' }
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    Application.findOne.mockResolvedValue({ id: 'app-2' });
+    await expect(samlIdpService.registerServiceProvider(app, {
+      entityId: SP_ENTITY_ID,
+      acsUrl: ACS_URL
+    })).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(app.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('Receiving messages', () => {
+  it('reads a signed Redirect binding AuthnRequest', async () => {
+    Application.findOne.mockResolvedValue(application());
+
+    const message = await samlIdpService.receiveMessage({
+      ...redirectRequest(authnRequest(), { relayState: '/home' }),
+      endpoint: 'sso'
+    });
+
+    expect(message).toMatchObject({
+      type: 'AuthnRequest',
+      id: '_req1',
+      issuer: SP_ENTITY_ID,
+      relayState: '/home',
+      verified: true,
+      nameIdFormat: NAMEID_FORMATS.PERSISTENT,
+      isPassive: false
+    });
+  });
+
+  it('rejects a Redirect binding signature over altered parameters', async () => {
+    Application.findOne.mockResolvedValue(application());
+
+    const request = redirectRequest(authnRequest(), { relayState: '/home' });
+    request.rawQuery = request.rawQuery.replace('RelayState=%2Fhome', 'RelayState=%2Fadmin');
+
+    await expect(samlIdpService.receiveMessage({ ...request, endpoint: 'sso' }))
+      .rejects.toMatchObject({ errorCode: 'SAML_INVALID_SIGNATURE' });
+  });
+
+  it('verifies an enveloped signature on a POST binding AuthnRequest', async () => {
+    Application.findOne.mockResolvedValue(application({ authnRequestsSigned: true }));
+
+    const signedXml = new SignedXml();
+    signedXml.signatureAlgorithm = SIG_ALG;
+    signedXml.signingKey = SP_KEY;
+    signedXml.addReference("/*[local-name(.)='AuthnRequest']", [
+      'http://www.w3.org/2000/09/xmldsig#enveloped-signature',
+      'http://www.w3.org/2001/10/xml-exc-c14n#'
+    ], 'http://www.w3.org/2001/04/xmlenc#sha256');
+    signedXml.computeSignature(authnRequest(), {
+      location: { reference: "/*/*[local-name(.)='Issuer']", action: 'after' }
+    });
+
+    const message = await samlIdpService.receiveMessage({
+      params: { SAMLRequest: Buffer.from(signedXml.getSignedXml()).toString('base64') },
+      binding: BINDINGS.POST,
+      endpoint: 'sso'
+    });
+
+    expect(message.verified).toBe(true);
+  });
+
+  it('requires signed AuthnRequests when the SP registered so', async () => {
+    Application.findOne.mockResolvedValue(application({ authnRequestsSigned: true }));
+
+    await expect(samlIdpService.receiveMessage({
+      ...redirectRequest(authnRequest(), { signed: false }),
+      endpoint: 'sso'
+    })).rejects.toMatchObject({ errorCode: 'SAML_SIGNATURE_REQUIRED' });
+  });
+
+  it('rejects an unregistered AssertionConsumerServiceURL', async () => {
+    Application.findOne.mockResolvedValue(application());
+
+    const xml = authnRequest().replace(ACS_URL, 'https://evil.example.com/acs');
+
+    await expect(samlIdpService.receiveMessage({ ...redirectRequest(xml), endpoint: 'sso' }))
+      .rejects.toMatchObject({ errorCode: 'SAML_INVALID_ACS' });
+  });
+
+  it('rejects messages from unknown service providers', async () => {
+    Application.findOne.mockResolvedValue(null);
+
+    await expect(samlIdpService.receiveMessage({ ...redirectRequest(authnRequest()), endpoint: 'sso' }))
+      .rejects.toMatchObject({ errorCode: 'SAML_UNKNOWN_SERVICE_PROVIDER' });
+  });
+});
+
+describe('Assertions', () => {
+  const context = {
+    sessionId: 'browser-session',
+    ipAddress: '203.0.113.7',
+    userAgent: 'jest',
+    expiresAt: new Date(Date.now() + 3600000)
+  };
+
+  let session;
+
+  beforeEach(() => {
+    session = {
+      id: '0e7f2d1c-8b9a-4c6d-a5e4-f3b2c1d0e9f8',
+      sessionId: 'browser-session',
+      data: {},
+      update: jest.fn(async function(values) { Object.assign(this, values); })
+    };
+    Session.findOne.mockResolvedValue(session);
+    User.findByPk.mockResolvedValue({ groups: [{ name: 'Engineering' }] });
+    rbacService.getUserPermissions.mockResolvedValue({
+      roles: [{ slug: 'developer' }, { slug: 'developer' }, { slug: 'admin' }]
+    });
+  });
+
+  it('issues a signed assertion with mapped user, group and role attributes', async () => {
+    const app = application();
+
+    const response = await samlIdpService.createSsoResponse(user, app, context, { inResponseTo: '_req1' });
+    const xml = Buffer.from(response, 'base64').toString();
+    const doc = new DOMParser().parseFromString(xml);
+    const assertion = doc.getElementsByTagNameNS('urn:oasis:names:tc:SAML:2.0:assertion', 'Assertion')[0];
+    const signature = assertion.getElementsByTagNameNS('http://www.w3.org/2000/09/xmldsig#', 'Signature')[0];
+
+    expect(verifySignature(xml, signature, IDP_CERT)).toBe(true);
+    expect(xml).toContain(`InResponseTo="_req1"`);
+    expect(xml).toContain(`<saml:Audience>${SP_ENTITY_ID}</saml:Audience>`);
+    expect(xml).toContain(`Recipient="${ACS_URL}"`);
+    expect(xml).toContain(`>${user.email}</saml:NameID>`);
+    expect(xml).toContain(`SessionIndex="${session.id}"`);
+    expect(xml).toContain('>Engineering</saml:AttributeValue>');
+    expect(xml.match(/>developer</g)).toHaveLength(1);
+
+    // Groups are scoped to the application's organization
+    expect(User.findByPk.mock.calls[0][1].include[0].where).toEqual({ organizationId: 'org-1' });
+
+    expect(session.data.saml.participants).toEqual([expect.objectContaining({
+      applicationId: 'app-1',
+      entityId: SP_ENTITY_ID,
+      nameId: user.email
+    })]);
+  });
+
+  it('detects tampering with a signed assertion', async () => {
+    const response = await samlIdpService.createSsoResponse(user, application(), context);
+    const xml = Buffer.from(response, 'base64').toString().replace(user.email, 'mallory@example.com');
+    const doc = new DOMParser().parseFromString(xml);
+    const signature = doc.getElementsByTagNameNS('http://www.w3.org/2000/09/xmldsig#', 'Signature')[0];
+
+    expect(verifySignature(xml, signature, IDP_CERT)).toBe(false);
+  });
+
+  it('gives each service provider its own persistent NameID', async () => {
+    const nameIdOf = async (app) => {
+      const xml = Buffer.from(await samlIdpService.createSsoResponse(user, app, context, {
+        nameIdFormat: NAMEID_FORMATS.PERSISTENT
+      }), 'base64').toString();
+      return /<saml:NameID[^>]*>([^<]+)</.exec(xml)[1];
+    };
+
+    const first = await nameIdOf(application());
+    const again = await nameIdOf(application());
+    const other = await nameIdOf({ ...application(), id: 'app-2', samlEntityId: 'https://other.example.com' });
+
+    expect(first).toBe(again);
+    expect(first).not.toBe(other);
+    expect(first).not.toContain(user.id);
+  });
+
+  it('starts an IdP session when the browser session has none', async () => {
+    Session.findOne.mockResolvedValue(null);
+    Session.create.mockResolvedValue(session);
+
+    await samlIdpService.createSsoResponse(user, application(), context);
+
+    expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({
+      sessionId: 'browser-session',
+      userId: user.id,
+      ipAddress: '203.0.113.7'
+    }));
+  });
+});
+
+describe('Single Logout', () => {
+  const otherParticipant = {
+    applicationId: 'app-2',
+    entityId: 'https://wiki.example.com',
+    nameId: 'opaque-id',
+    nameIdFormat: NAMEID_FORMATS.PERSISTENT
+  };
+
+  function idpSession(id, sessionId) {
+    return {
+      id,
+      sessionId,
+      data: {
+        saml: {
+          participants: [
+            { applicationId: 'app-1', entityId: SP_ENTITY_ID, nameId: user.email, nameIdFormat: NAMEID_FORMATS.EMAIL },
+            otherParticipant
+          ]
+        }
+      },
+      update: jest.fn()
+    };
+  }
+
+  it('ends the IdP sessions a signed LogoutRequest names and returns the other participants', async () => {
+    const sessionIndex = '0e7f2d1c-8b9a-4c6d-a5e4-f3b2c1d0e9f8';
+    const session = idpSession(sessionIndex, 'other-browser');
+    Application.findOne.mockResolvedValue(application());
+    Session.findAll.mockResolvedValue([session]);
+
+    const message = await samlIdpService.receiveMessage({
+      ...redirectRequest(logoutRequest(user.email, sessionIndex)),
+      endpoint: 'slo'
+    });
+    const sessionStore = { destroy: jest.fn((sid, callback) => callback()) };
+
+    const participants = await samlIdpService.endSessions(message, { sessionId: 'this-browser', sessionStore });
+
+    expect(Session.findAll.mock.calls[0][0].where).toEqual({ id: [sessionIndex], active: true });
+    expect(participants).toEqual([{ ...otherParticipant, sessionIndex }]);
+    expect(session.update).toHaveBeenCalledWith({ active: false });
+    expect(sessionStore.destroy).toHaveBeenCalledWith('other-browser', expect.any(Function));
+  });
+
+  it('requires logout messages to be signed when the SP registered a certificate', async () => {
+    Application.findOne.mockResolvedValue(application());
+
+    await expect(samlIdpService.receiveMessage({
+      ...redirectRequest(logoutRequest(user.email, 'any'), { signed: false }),
+      endpoint: 'slo'
+    })).rejects.toMatchObject({ errorCode: 'SAML_SIGNATURE_REQUIRED' });
+  });
+
+  it('limits unsigned logout to the browser session and its named subject', async () => {
+    Application.findOne.mockResolvedValue(application({ certificate: null }));
+    const session = idpSession('0e7f2d1c-8b9a-4c6d-a5e4-f3b2c1d0e9f8', 'this-browser');
+    Session.findAll.mockResolvedValue([session]);
+
+    const forged = await samlIdpService.receiveMessage({
+      ...redirectRequest(logoutRequest('someone@example.com', session.id), { signed: false }),
+      endpoint: 'slo'
+    });
+
+    expect(await samlIdpService.endSessions(forged, { sessionId: 'this-browser' })).toEqual([]);
+    expect(Session.findAll.mock.calls[0][0].where).toEqual({ sessionId: 'this-browser', active: true });
+    expect(session.update).not.toHaveBeenCalled();
+  });
+
+  it('propagates logout with a signed Redirect binding LogoutRequest', async () => {
+    Application.findByPk.mockResolvedValue(application());
+
+    const request = await samlIdpService.createLogoutRequest({
+      applicationId: 'app-1',
+      nameId: user.email,
+      nameIdFormat: NAMEID_FORMATS.EMAIL,
+      sessionIndex: 'session-1'
+    });
+
+    const url = new URL(request.url);
+    const signedOctets = url.search.slice(1).split('&Signature=')[0];
+    const signature = Buffer.from(url.searchParams.get('Signature'), 'base64');
+
+    expect(url.origin + url.pathname).toBe(SLO_URL);
+    expect(crypto.verify('sha256', Buffer.from(signedOctets), IDP_CERT, signature)).toBe(true);
+    expect(decodeRedirect(request.url, 'SAMLRequest')).toContain(`ID="${request.id}"`);
+    expect(decodeRedirect(request.url, 'SAMLRequest')).toContain('<samlp:SessionIndex>session-1</samlp:SessionIndex>');
+  });
+
+  it('skips participants without a logout endpoint', async () => {
+    Application.findByPk.mockResolvedValue(application({ sloUrl: null }));
+
+    expect(await samlIdpService.createLogoutRequest({ applicationId: 'app-1' })).toBeNull();
+  });
+});
+
+describe('Resume state', () => {
+  it('round-trips and rejects tampering', () => {
+    const state = samlIdpService.createResumeState({ applicationId: 'app-1', requestId: '_req1' });
+
+    expect(samlIdpService.readResumeState(state)).toMatchObject({ applicationId: 'app-1', requestId: '_req1' });
+
+    const [payload, mac] = state.split('.');
+    const forged = Buffer.from(JSON.stringify({ applicationId: 'app-2', exp: 9999999999 })).toString('base64url');
+    expect(samlIdpService.readResumeState(`${forged}.${mac}`)).toBeNull();
+    expect(samlIdpService.readResumeState(payload)).toBeNull();
+  });
+});
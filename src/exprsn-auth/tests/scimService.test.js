@@ -0,0 +1,397 @@
+/**
+ * SCIM Service Tests
+ * Filters, PATCH operations, list responses and bulk requests
+ */
+
+jest.mock('../src/models', () => ({
+  User: { findAll: jest.fn(), findOne: jest.fn(), findByPk: jest.fn(), create: jest.fn() },
+  Group: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  UserGroup: { findAll: jest.fn(), destroy: jest.fn(), bulkCreate: jest.fn() },
+  Organization: { findByPk: jest.fn() },
+  OrganizationMember: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  OrganizationDomain: { findOne: jest.fn() },
+  Application: {},
+  ScimToken: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn() }
+}));
+
+const { User, Group, OrganizationMember, OrganizationDomain } = require('../src/models');
+const { parseFilter, parsePath, evaluate } = require('../src/utils/scimFilter');
+const scimService = require('../src/services/scimService');
+
+const ORG_ID = '1d7c6a3e-2b4f-4c8d-9e0a-1b2c3d4e5f60';
+const USER_ID = '2819c223-7f76-453a-919d-413861904646';
+const OTHER_ID = '902c246b-6245-4190-8e05-00816be7344a';
+
+const bjensen = {
+  schemas: [scimService.SCHEMAS.USER],
+  id: USER_ID,
+  externalId: 'bjensen',
+  userName: 'Bjensen@example.com',
+  name: { givenName: 'Barbara', familyName: 'Jensen' },
+  displayName: 'Babs Jensen',
+  emails: [
+    { value: 'bjensen@example.com', type: 'work', primary: true },
+    { value: 'babs@jensen.org', type: 'home' }
+  ],
+  active: true,
+  meta: { resourceType: 'User', created: '2025-01-23T04:56:22.000Z' }
+};
+
+const patch = operations => ({ schemas: [scimService.SCHEMAS.PATCH_OP], Operations: operations });
+
+describe('SCIM Filter', () => {
+  const matches = filter => evaluate(parseFilter(filter), bjensen);
+
+  it('compares strings case-insensitively except for caseExact attributes', () => {
+    expect(matches('userName eq "bjensen@example.com"')).toBe(true);
+    expect(matches('externalId eq "BJENSEN"')).toBe(false);
+    expect(matches('externalId eq "bjensen"')).toBe(true);
+  });
+
+  it('supports string, presence and ordering operators', () => {
+    expect(matches('name.familyName co "ens"')).toBe(true);
+    expect(matches('userName sw "bjen"')).toBe(true);
+    expect(matches('userName ew "example.com"')).toBe(true);
+    expect(matches('title pr')).toBe(false);
+    expect(matches('meta.created gt "2025-01-01T00:00:00Z"')).toBe(true);
+    expect(matches('active eq true')).toBe(true);
+  });
+
+  it('combines expressions with and, or, not and grouping', () => {
+    expect(matches('userName sw "x" or (active eq true and displayName pr)')).toBe(true);
+    expect(matches('not (active eq true)')).toBe(false);
+    expect(matches('active eq true and not (userName sw "b")')).toBe(false);
+  });
+
+  it('matches any value of a multi-valued attribute', () => {
+    expect(matches('emails co "jensen.org"')).toBe(true);
+    expect(matches('emails.type eq "home"')).toBe(true);
+    expect(matches('emails[type eq "work" and value ew "example.com"]')).toBe(true);
+    expect(matches('emails[type eq "home" and primary eq true]')).toBe(false);
+  });
+
+  it('treats ne as true when no value equals the operand', () => {
+    expect(matches('emails.type ne "work"')).toBe(false);
+    expect(matches('title ne "Manager"')).toBe(true);
+  });
+
+  it('accepts schema-qualified attribute paths', () => {
+    expect(matches('urn:ietf:params:scim:schemas:core:2.0:User:userName eq "bjensen@example.com"')).toBe(true);
+  });
+
+  it('rejects malformed filters', () => {
+    expect(() => parseFilter('userName eq')).toThrow();
+    expect(() => parseFilter('userName xx "a"')).toThrow(/Unsupported filter operator/);
+    expect(() => parseFilter('(userName eq "a"')).toThrow();
+    expect(() => parseFilter('userName eq "a" extra')).toThrow();
+
+    try {
+      parseFilter('userName eq "unterminated');
+    } catch (error) {
+      expect(error.scimType).toBe('invalidFilter');
+    }
+  });
+
+  it('parses PATCH paths with value filters and sub-attributes', () => {
+    expect(parsePath('emails[type eq "work"].value')).toMatchObject({
+      attribute: 'emails',
+      subAttribute: 'value',
+      filter: { op: 'eq', value: 'work' }
+    });
+    expect(parsePath('name.givenName')).toMatchObject({ attribute: 'name', subAttribute: 'givenName', filter: null });
+    expect(() => parsePath('members[value eq "a"')).toThrow();
+  });
+});
+
+describe('SCIM Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('applyPatch', () => {
+    it('replaces simple and complex attributes', () => {
+      const result = scimService.applyPatch(bjensen, patch([
+        { op: 'replace', path: 'displayName', value: 'Barbara J.' },
+        { op: 'replace', path: 'name', value: { givenName: 'Barb' } },
+        { op: 'Replace', path: 'active', value: 'False' }
+      ]), scimService.USER_SCHEMA);
+
+      expect(result.displayName).toBe('Barbara J.');
+      expect(result.name).toEqual({ givenName: 'Barb', familyName: 'Jensen' });
+      expect(result.active).toBe('False');
+      expect(bjensen.displayName).toBe('Babs Jensen');
+    });
+
+    it('applies value-only operations, including dotted keys', () => {
+      const result = scimService.applyPatch(bjensen, patch([
+        { op: 'replace', value: { id: 'ignored', 'name.familyName': 'Smith', userName: 'bsmith@example.com' } }
+      ]), scimService.USER_SCHEMA);
+
+      expect(result.id).toBe(USER_ID);
+      expect(result.name.familyName).toBe('Smith');
+      expect(result.userName).toBe('bsmith@example.com');
+    });
+
+    it('targets multi-valued items by filter and creates missing ones', () => {
+      const result = scimService.applyPatch(bjensen, patch([
+        { op: 'replace', path: 'emails[type eq "work"].value', value: 'barbara@example.com' },
+        { op: 'add', path: 'emails[type eq "other"].value', value: 'b@other.example' },
+        { op: 'remove', path: 'emails[type eq "home"]' }
+      ]), scimService.USER_SCHEMA);
+
+      expect(result.emails).toEqual([
+        { value: 'barbara@example.com', type: 'work', primary: true },
+        { type: 'other', value: 'b@other.example' }
+      ]);
+    });
+
+    it('adds and removes group members', () => {
+      const group = {
+        schemas: [scimService.SCHEMAS.GROUP],
+        id: 'e9e30dba-f08f-4109-8486-d5c6a331660a',
+        displayName: 'Tour Guides',
+        members: [{ value: USER_ID, display: 'Babs Jensen' }]
+      };
+
+      const added = scimService.applyPatch(group, patch([
+        { op: 'add', path: 'members', value: [{ value: OTHER_ID }, { value: USER_ID }] }
+      ]), scimService.GROUP_SCHEMA);
+      expect(added.members.map(member => member.value)).toEqual([USER_ID, OTHER_ID]);
+
+      const filtered = scimService.applyPatch(added, patch([
+        { op: 'remove', path: `members[value eq "${USER_ID}"]` }
+      ]), scimService.GROUP_SCHEMA);
+      expect(filtered.members.map(member => member.value)).toEqual([OTHER_ID]);
+
+      // Azure AD style: remove with a value list instead of a filter
+      const listed = scimService.applyPatch(added, patch([
+        { op: 'remove', path: 'members', value: [{ value: OTHER_ID }] }
+      ]), scimService.GROUP_SCHEMA);
+      expect(listed.members.map(member => member.value)).toEqual([USER_ID]);
+    });
+
+    it('rejects read-only attributes and malformed requests', () => {
+      expect(() => scimService.applyPatch(bjensen, patch([
+        { op: 'replace', path: 'groups', value: [] }
+      ]), scimService.USER_SCHEMA)).toThrow(/read-only/);
+
+      expect(() => scimService.applyPatch(bjensen, patch([
+        { op: 'remove' }
+      ]), scimService.USER_SCHEMA)).toThrow(/require a path/);
+
+      expect(() => scimService.applyPatch(bjensen, patch([
+        { op: 'move', path: 'displayName' }
+      ]), scimService.USER_SCHEMA)).toThrow(/Unsupported PATCH op/);
+
+      expect(() => scimService.applyPatch(bjensen, { Operations: [] }, scimService.USER_SCHEMA))
+        .toThrow(/PatchOp/);
+    });
+  });
+
+  describe('listResponse', () => {
+    const resources = ['carol', 'alice', 'bob', 'dave'].map((name, index) => ({
+      id: String(index),
+      userName: `${name}@example.com`,
+      active: name !== 'dave',
+      emails: [{ value: `${name}@example.com`, primary: true }]
+    }));
+
+    it('filters, sorts and paginates', () => {
+      const result = scimService.listResponse(resources, {
+        filter: 'active eq true',
+        sortBy: 'userName',
+        startIndex: '2',
+        count: '5'
+      });
+
+      expect(result.totalResults).toBe(3);
+      expect(result.startIndex).toBe(2);
+      expect(result.itemsPerPage).toBe(2);
+      expect(result.Resources.map(resource => resource.userName)).toEqual(['bob@example.com', 'carol@example.com']);
+    });
+
+    it('sorts descending by a multi-valued attribute\'s primary value', () => {
+      const result = scimService.listResponse(resources, { sortBy: 'emails', sortOrder: 'descending' });
+      expect(result.Resources[0].userName).toBe('dave@example.com');
+    });
+
+    it('returns only the total for count=0', () => {
+      const result = scimService.listResponse(resources, { count: '0' });
+      expect(result.totalResults).toBe(4);
+      expect(result.Resources).toEqual([]);
+    });
+
+    it('projects requested attributes', () => {
+      const result = scimService.listResponse(resources, { attributes: 'userName,emails.value', count: '1' });
+      expect(result.Resources[0]).toEqual({
+        id: '0',
+        userName: 'carol@example.com',
+        emails: [{ value: 'carol@example.com' }]
+      });
+
+      const excluded = scimService.project(bjensen, undefined, 'emails,name.givenName');
+      expect(excluded.emails).toBeUndefined();
+      expect(excluded.name).toEqual({ familyName: 'Jensen' });
+    });
+  });
+
+  describe('parseUser', () => {
+    it('takes the primary email and coerces string booleans', () => {
+      expect(scimService.parseUser({ ...bjensen, active: 'false' })).toEqual({
+        userName: 'Bjensen@example.com',
+        email: 'bjensen@example.com',
+        firstName: 'Barbara',
+        lastName: 'Jensen',
+        displayName: 'Babs Jensen',
+        active: false,
+        externalId: 'bjensen'
+      });
+    });
+
+    it('falls back to an email-shaped userName', () => {
+      expect(scimService.parseUser({ userName: 'ann@example.com' }).email).toBe('ann@example.com');
+      expect(() => scimService.parseUser({ userName: 'ann' })).toThrow(/valid email/);
+      expect(() => scimService.parseUser({ schemas: [scimService.SCHEMAS.GROUP], userName: 'ann@example.com' }))
+        .toThrow(/schema/);
+    });
+  });
+
+  describe('toScimError', () => {
+    it('renders RFC 7644 error bodies', () => {
+      expect(scimService.toScimError(scimService.scimError(409, 'Taken', 'uniqueness'))).toEqual({
+        schemas: [scimService.SCHEMAS.ERROR],
+        status: '409',
+        scimType: 'uniqueness',
+        detail: 'Taken'
+      });
+
+      let filterError;
+      try {
+        parseFilter('userName eq');
+      } catch (error) {
+        filterError = error;
+      }
+      expect(scimService.toScimError(filterError)).toMatchObject({ status: '400', scimType: 'invalidFilter' });
+
+      expect(scimService.toScimError(new Error('connection refused'))).toEqual({
+        schemas: [scimService.SCHEMAS.ERROR],
+        status: '500',
+        detail: 'Internal server error'
+      });
+    });
+  });
+
+  describe('createUser', () => {
+    const existingUser = {
+      id: OTHER_ID,
+      email: 'ann@example.com',
+      status: 'active',
+      metadata: {},
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    beforeEach(() => {
+      OrganizationMember.findAll.mockResolvedValue([]);
+      OrganizationMember.findOne.mockResolvedValue(null);
+      OrganizationMember.create.mockImplementation(async data => ({ ...data, updatedAt: new Date() }));
+      OrganizationDomain.findOne.mockResolvedValue(null);
+      User.findAll.mockResolvedValue([]);
+      User.findOne.mockResolvedValue(existingUser);
+    });
+
+    it('links an existing account when the organization verified its domain', async () => {
+      OrganizationDomain.findOne.mockResolvedValue({ organizationId: ORG_ID, domain: 'example.com', status: 'verified' });
+
+      const result = await scimService.createUser(ORG_ID, { userName: 'ann@example.com' });
+
+      expect(result.id).toBe(OTHER_ID);
+      expect(OrganizationDomain.findOne).toHaveBeenCalledWith({
+        where: { organizationId: ORG_ID, domain: 'example.com', status: 'verified' }
+      });
+      expect(OrganizationMember.create).toHaveBeenCalledWith(expect.objectContaining({ organizationId: ORG_ID, userId: OTHER_ID }));
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses to link an existing account outside its verified domains', async () => {
+      await expect(scimService.createUser(ORG_ID, { userName: 'ann@example.com' })).rejects.toMatchObject({
+        statusCode: 409,
+        scimType: 'uniqueness'
+      });
+      expect(OrganizationMember.create).not.toHaveBeenCalled();
+    });
+
+    it('reports accounts that are already provisioned', async () => {
+      OrganizationMember.findOne.mockResolvedValue({ organizationId: ORG_ID, userId: OTHER_ID });
+
+      await expect(scimService.createUser(ORG_ID, { userName: 'ann@example.com' })).rejects.toMatchObject({
+        statusCode: 409,
+        scimType: 'uniqueness'
+      });
+    });
+  });
+
+  describe('processBulk', () => {
+    const bulk = (operations, extra = {}) => ({
+      schemas: [scimService.SCHEMAS.BULK_REQUEST],
+      Operations: operations,
+      ...extra
+    });
+
+    beforeEach(() => {
+      OrganizationMember.findAll.mockResolvedValue([]);
+      OrganizationMember.findOne.mockResolvedValue(null);
+      OrganizationMember.create.mockImplementation(async data => ({ ...data, updatedAt: new Date() }));
+      User.findAll.mockResolvedValue([]);
+      User.findOne.mockResolvedValue(null);
+      User.create.mockImplementation(async data => ({
+        id: USER_ID,
+        status: 'active',
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        ...data
+      }));
+    });
+
+    it('runs operations in order and reports per-operation status', async () => {
+      const result = await scimService.processBulk(ORG_ID, bulk([
+        { method: 'POST', path: '/Users', bulkId: 'qwerty', data: { userName: 'ann@example.com' } },
+        { method: 'POST', path: '/Users', data: { userName: 'bob@example.com' } },
+        { method: 'DELETE', path: '/Widgets/1' }
+      ]), { applicationId: 'app-1' });
+
+      expect(result.schemas).toEqual([scimService.SCHEMAS.BULK_RESPONSE]);
+      expect(result.Operations[0]).toMatchObject({ method: 'POST', bulkId: 'qwerty', status: '201' });
+      expect(result.Operations[0].location).toMatch(new RegExp(`/Users/${USER_ID}$`));
+      expect(result.Operations[1]).toMatchObject({ status: '400', response: { scimType: 'invalidValue' } });
+      expect(result.Operations[2]).toMatchObject({ status: '400', response: { scimType: 'invalidPath' } });
+
+      expect(OrganizationMember.create).toHaveBeenCalledWith(expect.objectContaining({
+        organizationId: ORG_ID,
+        userId: USER_ID,
+        status: 'active',
+        metadata: { scim: { userName: 'ann@example.com', externalId: null, applicationId: 'app-1' } }
+      }));
+    });
+
+    it('resolves bulkId references and stops after failOnErrors', async () => {
+      Group.findOne.mockResolvedValue(null);
+
+      const result = await scimService.processBulk(ORG_ID, bulk([
+        { method: 'POST', path: '/Groups', bulkId: 'g1', data: { displayName: 'Ops', members: [{ value: 'bulkId:missing' }] } },
+        { method: 'POST', path: '/Users', bulkId: 'u1', data: { userName: 'ann@example.com' } }
+      ], { failOnErrors: 1 }));
+
+      expect(result.Operations).toHaveLength(1);
+      expect(result.Operations[0]).toMatchObject({ status: '409', response: { detail: 'Unresolved reference bulkId:missing' } });
+      expect(Group.create).not.toHaveBeenCalled();
+    });
+
+    it('enforces the bulk request schema and operation limit', async () => {
+      await expect(scimService.processBulk(ORG_ID, { Operations: [] })).rejects.toMatchObject({ statusCode: 400 });
+
+      const operations = new Array(1001).fill({ method: 'DELETE', path: `/Users/${USER_ID}` });
+      await expect(scimService.processBulk(ORG_ID, bulk(operations))).rejects.toMatchObject({ statusCode: 413 });
+    });
+  });
+});
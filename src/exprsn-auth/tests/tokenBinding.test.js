@@ -0,0 +1,280 @@
+/**
+ * Sender-Constrained Token Tests
+ * DPoP proofs (RFC 9449) and certificate-bound tokens (RFC 8705)
+ */
+
+jest.mock('../src/models', () => ({
+  OAuth2Client: { findOne: jest.fn() },
+  OAuth2Token: { findOne: jest.fn() }
+}));
+
+jest.mock('../src/utils/redis', () => ({
+  setIfAbsent: jest.fn()
+}));
+
+const crypto = require('crypto');
+const { OAuth2Client, OAuth2Token } = require('../src/models');
+const redisClient = require('../src/utils/redis');
+const dpop = require('../../shared/utils/dpop');
+const tokenBindingService = require('../src/services/tokenBindingService');
+
+const HOST = 'auth.exprsn.io';
+const TOKEN_URL = `https://${HOST}/api/oauth2/token`;
+const USERINFO_URL = `https://${HOST}/api/oauth2/userinfo`;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const jwk = publicKey.export({ format: 'jwk' });
+const jkt = dpop.jwkThumbprint(jwk);
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function createProof(claims = {}, header = {}, key = privateKey) {
+  const signingInput = `${encode({ typ: 'dpop+jwt', alg: 'ES256', jwk, ...header })}.${encode({
+    jti: crypto.randomUUID(),
+    htm: 'POST',
+    htu: TOKEN_URL,
+    iat: Math.floor(Date.now() / 1000),
+    ...claims
+  })}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), { key, dsaEncoding: 'ieee-p1363' });
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+function createRequest({ method = 'POST', path = '/api/oauth2/token', proof, socket = {} } = {}) {
+  return {
+    method,
+    protocol: 'https',
+    originalUrl: path,
+    headers: proof ? { dpop: proof } : {},
+    socket,
+    get: () => HOST
+  };
+}
+
+const verify = (proof, options = {}) => dpop.verifyProof(proof, { method: 'POST', url: TOKEN_URL, ...options });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  // Fresh jti store for every test, with SET NX semantics
+  const seen = new Set();
+  redisClient.setIfAbsent.mockImplementation(async key => {
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  OAuth2Client.findOne.mockResolvedValue(null);
+  OAuth2Token.findOne.mockResolvedValue(null);
+});
+
+describe('DPoP Proofs', () => {
+  it('computes RFC 7638 thumbprints', () => {
+    // RFC 7638 §3.1 example key
+    const rfcKey = {
+      kty: 'RSA',
+      e: 'AQAB',
+      alg: 'RS256',
+      kid: '2011-04-29',
+      n: '0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tSoc_BJECPebWKRXjBZCiFV4n3oknjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65YGjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZHzu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdkt-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8awapJzKnqDKgw'
+    };
+
+    expect(dpop.jwkThumbprint(rfcKey)).toBe('NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs');
+  });
+
+  it('accepts a valid proof and ignores the query string in htu', async () => {
+    const result = await dpop.verifyProof(createProof({ htu: `${TOKEN_URL}?x=1` }), {
+      method: 'post',
+      url: `${TOKEN_URL}?y=2#f`
+    });
+
+    expect(result.jkt).toBe(jkt);
+  });
+
+  it('rejects proofs for another request or outside the iat window', async () => {
+    await expect(verify(createProof({ htm: 'GET' }))).rejects.toMatchObject({ code: 'invalid_dpop_proof' });
+    await expect(verify(createProof({ htu: USERINFO_URL }))).rejects.toMatchObject({ code: 'invalid_dpop_proof' });
+    await expect(verify(createProof({ iat: Math.floor(Date.now() / 1000) - 600 })))
+      .rejects.toMatchObject({ code: 'invalid_dpop_proof' });
+    await expect(verify(createProof({ iat: Math.floor(Date.now() / 1000) + 120 })))
+      .rejects.toMatchObject({ code: 'invalid_dpop_proof' });
+  });
+
+  it('rejects bad headers and signatures', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const privateJwk = privateKey.export({ format: 'jwk' });
+
+    await expect(verify(createProof({}, { typ: 'JWT' }))).rejects.toThrow('typ');
+    await expect(verify(createProof({}, { alg: 'HS256' }))).rejects.toThrow('algorithm');
+    await expect(verify(createProof({}, { jwk: privateJwk }))).rejects.toThrow('public key');
+    await expect(verify(createProof({}, {}, otherKey))).rejects.toThrow('signature');
+    await expect(verify('not-a-proof')).rejects.toMatchObject({ code: 'invalid_dpop_proof' });
+  });
+
+  it('binds proofs to the access token with ath', async () => {
+    const ath = dpop.accessTokenHash('access-token');
+
+    await expect(verify(createProof({ ath }), { accessToken: 'access-token' })).resolves.toMatchObject({ jkt });
+    await expect(verify(createProof({ ath }), { accessToken: 'other-token' })).rejects.toThrow('ath');
+    await expect(verify(createProof(), { accessToken: 'access-token' })).rejects.toThrow('ath');
+  });
+
+  it('detects replayed jti values', async () => {
+    const replayCache = new dpop.MemoryReplayCache();
+    const proof = createProof();
+
+    await expect(verify(proof, { replayCache })).resolves.toMatchObject({ jkt });
+    await expect(verify(proof, { replayCache })).rejects.toThrow('already been used');
+  });
+
+  it('challenges proofs without a current server nonce', async () => {
+    const nonceSecret = 'nonce-secret';
+    const nonce = dpop.createNonce(nonceSecret);
+
+    await expect(verify(createProof(), { nonceSecret })).rejects.toMatchObject({ code: 'use_dpop_nonce' });
+    await expect(verify(createProof({ nonce: 'forged.nonce' }), { nonceSecret }))
+      .rejects.toMatchObject({ code: 'use_dpop_nonce' });
+    await expect(verify(createProof({ nonce }), { nonceSecret })).resolves.toMatchObject({ jkt });
+    expect(dpop.verifyNonce(nonce, 'other-secret')).toBe(false);
+  });
+});
+
+describe('Token Binding Service', () => {
+  const certificate = Buffer.from('client certificate DER');
+  const thumbprint = crypto.createHash('sha256').update(certificate).digest('base64url');
+  const tlsSocket = { authorized: true, getPeerCertificate: () => ({ raw: certificate }) };
+
+  describe('getTokenRequestConfirmation', () => {
+    it('binds tokens to the DPoP key of the token request', async () => {
+      const confirmation = await tokenBindingService.getTokenRequestConfirmation(
+        createRequest({ proof: createProof() }), null
+      );
+
+      expect(confirmation).toEqual({ jkt });
+    });
+
+    it('issues plain bearer tokens without a proof', async () => {
+      await expect(tokenBindingService.getTokenRequestConfirmation(createRequest(), null)).resolves.toBeNull();
+    });
+
+    it('rejects invalid proofs as OAuth2 errors', async () => {
+      await expect(tokenBindingService.getTokenRequestConfirmation(
+        createRequest({ proof: createProof({ htm: 'GET' }) }), null
+      )).rejects.toMatchObject({ name: 'invalid_dpop_proof', code: 400 });
+
+      await expect(tokenBindingService.getTokenRequestConfirmation(
+        createRequest({ proof: `${createProof()}, ${createProof()}` }), null
+      )).rejects.toMatchObject({ name: 'invalid_dpop_proof' });
+    });
+
+    it('enforces the client binding policy', async () => {
+      await expect(tokenBindingService.getTokenRequestConfirmation(createRequest(), { dpop: true, mtls: false }))
+        .rejects.toMatchObject({ name: 'invalid_request' });
+
+      await expect(tokenBindingService.getTokenRequestConfirmation(createRequest(), { dpop: false, mtls: true }))
+        .rejects.toMatchObject({ name: 'invalid_request' });
+
+      const confirmation = await tokenBindingService.getTokenRequestConfirmation(
+        createRequest({ proof: createProof(), socket: tlsSocket }), { dpop: true, mtls: true }
+      );
+      expect(confirmation).toEqual({ jkt, 'x5t#S256': thumbprint });
+    });
+
+    it('ignores certificates the TLS handshake did not verify', async () => {
+      const socket = { ...tlsSocket, authorized: false };
+
+      await expect(tokenBindingService.getTokenRequestConfirmation(createRequest({ socket }), { mtls: true }))
+        .rejects.toMatchObject({ name: 'invalid_request' });
+    });
+  });
+
+  describe('getClientPolicy', () => {
+    it('reads binding requirements from client metadata', async () => {
+      OAuth2Client.findOne.mockResolvedValue({ metadata: { dpopBoundAccessTokens: true } });
+
+      await expect(tokenBindingService.getClientPolicy('cli')).resolves.toEqual({ dpop: true, mtls: false });
+      await expect(tokenBindingService.getClientPolicy(undefined)).resolves.toBeNull();
+    });
+  });
+
+  describe('verifyRefreshBinding', () => {
+    it('keeps refresh tokens bound to their key', async () => {
+      OAuth2Token.findOne.mockResolvedValue({ confirmation: { jkt } });
+
+      await expect(tokenBindingService.verifyRefreshBinding('refresh', { jkt })).resolves.toBeUndefined();
+      await expect(tokenBindingService.verifyRefreshBinding('refresh', null))
+        .rejects.toMatchObject({ name: 'invalid_grant' });
+      await expect(tokenBindingService.verifyRefreshBinding('refresh', { jkt: 'other' }))
+        .rejects.toMatchObject({ name: 'invalid_grant' });
+    });
+  });
+
+  describe('replay cache', () => {
+    it('rejects a proof replayed against the token endpoint', async () => {
+      const proof = createProof();
+
+      await expect(tokenBindingService.getTokenRequestConfirmation(createRequest({ proof }), null))
+        .resolves.toEqual({ jkt });
+      await expect(tokenBindingService.getTokenRequestConfirmation(createRequest({ proof }), null))
+        .rejects.toMatchObject({ name: 'invalid_dpop_proof' });
+      expect(redisClient.setIfAbsent).toHaveBeenCalledWith(expect.stringMatching(/^dpop:jti:/), 1, expect.any(Number));
+    });
+  });
+
+  describe('verifyAccessToken', () => {
+    const bound = { accessToken: 'access-token', confirmation: { jkt } };
+    const resourceProof = () => createProof({
+      htm: 'GET',
+      htu: USERINFO_URL,
+      ath: dpop.accessTokenHash('access-token')
+    });
+    const resourceRequest = (options = {}) => createRequest({ method: 'GET', path: '/api/oauth2/userinfo', ...options });
+
+    it('accepts a DPoP-bound token with a matching proof', async () => {
+      await expect(tokenBindingService.verifyAccessToken(resourceRequest({ proof: resourceProof() }), bound, 'DPoP'))
+        .resolves.toBeUndefined();
+    });
+
+    it('rejects DPoP-bound tokens used as bearer tokens', async () => {
+      const req = resourceRequest({ proof: resourceProof() });
+
+      await expect(tokenBindingService.verifyAccessToken(req, bound, 'Bearer'))
+        .rejects.toMatchObject({ name: 'invalid_token', code: 401 });
+    });
+
+    it('rejects proofs from another key and the DPoP scheme for unbound tokens', async () => {
+      const { privateKey: otherKey, publicKey: otherPublic } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const otherProof = createProof({
+        htm: 'GET',
+        htu: USERINFO_URL,
+        ath: dpop.accessTokenHash('access-token')
+      }, { jwk: otherPublic.export({ format: 'jwk' }) }, otherKey);
+
+      await expect(tokenBindingService.verifyAccessToken(resourceRequest({ proof: otherProof }), bound, 'DPoP'))
+        .rejects.toMatchObject({ name: 'invalid_dpop_proof' });
+
+      await expect(tokenBindingService.verifyAccessToken(
+        resourceRequest({ proof: resourceProof() }), { accessToken: 'access-token' }, 'DPoP'
+      )).rejects.toMatchObject({ name: 'invalid_token' });
+    });
+
+    it('requires the bound client certificate', async () => {
+      const token = { accessToken: 'access-token', confirmation: { 'x5t#S256': thumbprint } };
+      const otherSocket = { authorized: true, getPeerCertificate: () => ({ raw: Buffer.from('other') }) };
+
+      await expect(tokenBindingService.verifyAccessToken(resourceRequest({ socket: tlsSocket }), token, 'Bearer'))
+        .resolves.toBeUndefined();
+      await expect(tokenBindingService.verifyAccessToken(resourceRequest({ socket: otherSocket }), token, 'Bearer'))
+        .rejects.toMatchObject({ name: 'invalid_token' });
+    });
+
+    it('builds challenges for the presented scheme', () => {
+      const error = { name: 'invalid_token', message: 'bad "token"' };
+
+      expect(tokenBindingService.challenge('Bearer', error)).toBe('Bearer error="invalid_token", error_description="bad token"');
+      expect(tokenBindingService.challenge('DPoP', error)).toMatch(/^DPoP error="invalid_token".*algs="ES256 /);
+    });
+  });
+});
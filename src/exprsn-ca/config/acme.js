@@ -0,0 +1,77 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * ACME Configuration Module
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * ACME (Automatic Certificate Management Environment) configuration
+ * RFC 8555 - Automatic Certificate Management Environment
+ */
+module.exports = {
+  /**
+   * Enable the ACME server
+   * @type {boolean}
+   */
+  enabled: process.env.ACME_ENABLED === 'true',
+
+  /**
+   * Externally reachable base URL of the ACME directory (without trailing slash)
+   * @type {string}
+   */
+  baseUrl: process.env.ACME_BASE_URL || 'https://ca.exprsn.io/acme',
+
+  /**
+   * Issuing CA certificate ID; defaults to the active root when unset
+   * @type {string|null}
+   */
+  issuerId: process.env.ACME_ISSUER_ID || null,
+
+  /**
+   * Validity of certificates issued through ACME (days)
+   * @type {number} - Default: 90 days
+   */
+  validityDays: parseInt(process.env.ACME_VALIDITY_DAYS, 10) || 90,
+
+  /**
+   * Terms of service URL advertised in the directory meta
+   * @type {string|null}
+   */
+  termsOfService: process.env.ACME_TERMS_OF_SERVICE || null,
+
+  /**
+   * Replay-Nonce lifetime (seconds)
+   * @type {number} - Default: 3600 seconds (1 hour)
+   */
+  nonceTtl: parseInt(process.env.ACME_NONCE_TTL, 10) || 3600,
+
+  /**
+   * Order / authorization lifetime (hours)
+   * @type {number} - Default: 168 hours (7 days)
+   */
+  orderLifetimeHours: parseInt(process.env.ACME_ORDER_LIFETIME_HOURS, 10) || 168,
+
+  /**
+   * Challenge validation configuration
+   */
+  challenges: {
+    /**
+     * Port used for http-01 validation (RFC 8555 Section 8.3 mandates 80)
+     * @type {number}
+     */
+    httpPort: parseInt(process.env.ACME_HTTP01_PORT, 10) || 80,
+
+    /**
+     * Timeout for a single validation attempt (milliseconds)
+     * @type {number} - Default: 10000ms
+     */
+    timeout: parseInt(process.env.ACME_CHALLENGE_TIMEOUT, 10) || 10000,
+
+    /**
+     * Module exporting `resolveTxt(name)` used for dns-01 validation.
+     * Resolved relative to the working directory; system DNS is used when unset.
+     * @type {string|null}
+     */
+    dnsHook: process.env.ACME_DNS_HOOK || null
+  }
+};
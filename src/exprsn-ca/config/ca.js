@@ -21,6 +21,12 @@ module.exports = {
   organizationalUnit: process.env.CA_ORGANIZATIONAL_UNIT || 'Certificate Authority',
   email: process.env.CA_EMAIL || 'ca@exprsn.io',
 
+  /**
+   * Base URL where issuer certificates are published (authorityInfoAccess caIssuers)
+   * @type {string}
+   */
+  issuersUrl: process.env.CA_ISSUERS_URL || 'http://ca.exprsn.io/ca/issuers',
+
   /**
    * Certificate validity periods (in days)
    */
@@ -65,5 +71,43 @@ module.exports = {
      * @type {number} - Default: 2048 bits
      */
     entity: parseInt(process.env.CA_ENTITY_KEY_SIZE, 10) || 2048
+  },
+
+  /**
+   * Certificate profiles (issuance policy)
+   */
+  profiles: {
+    /**
+     * Reject entity issuance that does not resolve to a profile
+     * @type {boolean}
+     */
+    required: process.env.CA_PROFILES_REQUIRED === 'true',
+
+    /**
+     * Profile applied when a request names a certificate type but no profile
+     * @type {Object<string, string>}
+     */
+    defaults: {
+      server: process.env.CA_PROFILE_SERVER || 'tls-server',
+      client: process.env.CA_PROFILE_CLIENT || 'client-auth',
+      code_signing: process.env.CA_PROFILE_CODE_SIGNING || 'code-signing'
+    }
+  },
+
+  /**
+   * Key ceremony (M-of-N custody of the root CA key)
+   */
+  keyCeremony: {
+    /**
+     * Minutes an unsealed root key stays in memory before it is sealed again
+     * @type {number} - Default: 60 minutes (0 keeps it unsealed until sealed manually)
+     */
+    unsealTtlMinutes: parseInt(process.env.CA_KEY_CEREMONY_UNSEAL_TTL, 10) || 60,
+
+    /**
+     * Minutes submitted shares are kept while waiting for the threshold
+     * @type {number} - Default: 30 minutes
+     */
+    shareTtlMinutes: parseInt(process.env.CA_KEY_CEREMONY_SHARE_TTL, 10) || 30
   }
 };
@@ -31,5 +31,35 @@ module.exports = {
    * Days until next CRL update
    * @type {number} - Default: 7 days
    */
-  nextUpdateDays: parseInt(process.env.CRL_NEXT_UPDATE_DAYS, 10) || 7
+  nextUpdateDays: parseInt(process.env.CRL_NEXT_UPDATE_DAYS, 10) || 7,
+
+  /**
+   * Omit entries for certificates that have already expired
+   * (RFC 5280 Section 3.3 - expired certificates may be removed from CRLs)
+   * @type {boolean}
+   */
+  pruneExpired: process.env.CRL_PRUNE_EXPIRED !== 'false',
+
+  /**
+   * Delta CRL configuration (RFC 5280 Section 5.2.4)
+   */
+  delta: {
+    /**
+     * Publish delta CRLs between full CRLs
+     * @type {boolean}
+     */
+    enabled: process.env.CRL_DELTA_ENABLED !== 'false',
+
+    /**
+     * Delta CRL update interval (seconds)
+     * @type {number} - Default: 900 seconds (15 minutes)
+     */
+    updateInterval: parseInt(process.env.CRL_DELTA_UPDATE_INTERVAL, 10) || 900,
+
+    /**
+     * Hours until next delta CRL update
+     * @type {number} - Default: 24 hours
+     */
+    nextUpdateHours: parseInt(process.env.CRL_DELTA_NEXT_UPDATE_HOURS, 10) || 24
+  }
 };
@@ -17,6 +17,9 @@
  *   - storage.js      - Storage backends
  *   - ocsp.js         - OCSP responder
  *   - crl.js          - CRL configuration
+ *   - acme.js         - ACME server
+ *   - transparency.js - Issuance transparency log
+ *   - renewal.js      - Expiry monitoring and automatic renewal
  *   - logging.js      - Logging configuration
  *   - token.js        - Token specification settings
  *   - permissions.js  - Permissions system
@@ -48,6 +51,9 @@ const jwt = require('./jwt');
 const storage = require('./storage');
 const ocsp = require('./ocsp');
 const crl = require('./crl');
+const acme = require('./acme');
+const transparency = require('./transparency');
+const renewal = require('./renewal');
 const logging = require('./logging');
 const token = require('./token');
 const permissions = require('./permissions');
@@ -74,6 +80,9 @@ const config = {
   storage,
   ocsp,
   crl,
+  acme,
+  transparency,
+  renewal,
   logging,
   token,
   permissions
@@ -135,6 +144,9 @@ module.exports.modules = {
   storage,
   ocsp,
   crl,
+  acme,
+  transparency,
+  renewal,
   logging,
   token,
   permissions
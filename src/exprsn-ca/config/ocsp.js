@@ -27,6 +27,29 @@ module.exports = {
    */
   url: process.env.OCSP_URL || 'http://ocsp.exprsn.io:2560',
 
+  /**
+   * Validity window advertised in signed responses (nextUpdate - thisUpdate)
+   * @type {number} - Default: 3600 seconds (1 hour)
+   */
+  responseValidity: parseInt(process.env.OCSP_RESPONSE_VALIDITY, 10) || 3600,
+
+  /**
+   * Delegated OCSP signing certificate configuration
+   */
+  signer: {
+    /**
+     * Validity of responder certificates issued by each CA (days)
+     * @type {number} - Default: 90 days
+     */
+    validityDays: parseInt(process.env.OCSP_SIGNER_VALIDITY_DAYS, 10) || 90,
+
+    /**
+     * Re-issue the responder certificate when it expires within this many days
+     * @type {number} - Default: 7 days
+     */
+    renewBeforeDays: parseInt(process.env.OCSP_SIGNER_RENEW_DAYS, 10) || 7
+  },
+
   /**
    * Batch OCSP request configuration
    */
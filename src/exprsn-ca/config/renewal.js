@@ -0,0 +1,94 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Renewal Configuration Module
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+function parseList(value, fallback) {
+  return (value || fallback).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Certificate expiry monitoring and automatic renewal
+ */
+module.exports = {
+  /**
+   * Run the expiry scanner
+   * @type {boolean}
+   */
+  enabled: process.env.CA_RENEWAL_ENABLED !== 'false',
+
+  /**
+   * Scan interval (seconds)
+   * @type {number} - Default: 3600 seconds (1 hour)
+   */
+  scanInterval: parseInt(process.env.CA_RENEWAL_SCAN_INTERVAL, 10) || 3600,
+
+  /**
+   * Days before expiry that owners are warned, one notification per tier
+   * @type {number[]} - Default: 30, 14, 7 and 1 days
+   */
+  warningDays: parseList(process.env.CA_RENEWAL_WARNING_DAYS, '30,14,7,1')
+    .map(days => parseInt(days, 10))
+    .filter(days => days > 0)
+    .sort((a, b) => b - a),
+
+  /**
+   * Days before expiry that auto-renew certificates are renewed
+   * @type {number} - Default: 30 days
+   */
+  renewBeforeDays: parseInt(process.env.CA_RENEWAL_BEFORE_DAYS, 10) || 30,
+
+  /**
+   * Revoke the superseded certificate on automatic renewal (as superseded);
+   * by default it stays valid until expiry so services can reload first
+   * @type {boolean}
+   */
+  revokeSuperseded: process.env.CA_RENEWAL_REVOKE_SUPERSEDED === 'true',
+
+  /**
+   * Maximum certificates renewed per scan
+   * @type {number}
+   */
+  batchSize: parseInt(process.env.CA_RENEWAL_BATCH_SIZE, 10) || 50,
+
+  /**
+   * Publish certificate.renewed over the shared IPC worker
+   * @type {boolean}
+   */
+  publishEvents: process.env.CA_RENEWAL_PUBLISH_EVENTS !== 'false',
+
+  /**
+   * Notifications sent through exprsn-herald
+   */
+  notify: {
+    /**
+     * Herald channels (in-app, email, push, sms)
+     * @type {string[]}
+     */
+    channels: parseList(process.env.CA_RENEWAL_NOTIFY_CHANNELS, 'in-app'),
+
+    /**
+     * Users notified about every certificate, in addition to its owner
+     * @type {string[]}
+     */
+    userIds: parseList(process.env.CA_RENEWAL_NOTIFY_USERS, '')
+  },
+
+  /**
+   * exprsn-herald endpoint
+   */
+  herald: {
+    /**
+     * @type {string}
+     */
+    url: process.env.HERALD_SERVICE_URL || 'http://localhost:3014',
+
+    /**
+     * CA token (ID) with access to /notifications; notifications are only
+     * logged while unset
+     * @type {string}
+     */
+    token: process.env.HERALD_SERVICE_TOKEN || ''
+  }
+};
@@ -56,5 +56,64 @@ module.exports = {
      * @type {number} - Default: 10
      */
     maxUses: parseInt(process.env.DEFAULT_TOKEN_MAX_USES, 10) || 10
+  },
+
+  /**
+   * Delegation: holders derive attenuated child tokens
+   */
+  delegation: {
+    /**
+     * Allow delegation
+     * @type {boolean}
+     */
+    enabled: process.env.TOKEN_DELEGATION_ENABLED !== 'false',
+
+    /**
+     * Longest delegation chain below a directly issued token
+     * @type {number} - Default: 5
+     */
+    maxDepth: parseInt(process.env.TOKEN_DELEGATION_MAX_DEPTH, 10) || 5
+  },
+
+  /**
+   * Compact tokens (Token Specification v2.0), verified offline by services
+   */
+  compact: {
+    /**
+     * Issue compact tokens
+     * @type {boolean}
+     */
+    enabled: process.env.TOKEN_COMPACT_ENABLED !== 'false',
+
+    /**
+     * CA certificate whose key signs compact tokens and revocation filters;
+     * defaults to the newest active intermediate, then the root
+     * @type {string|null}
+     */
+    signingCertificateId: process.env.TOKEN_COMPACT_SIGNING_CERT_ID || null,
+
+    /**
+     * Longest lifetime of a compact token (seconds); offline holders only
+     * learn of revocation through the filter, so keep this short
+     * @type {number} - Default: 86400 seconds (1 day)
+     */
+    maxExpirySeconds: parseInt(process.env.TOKEN_COMPACT_MAX_EXPIRY_SECONDS, 10) || 86400,
+
+    /**
+     * Revocation filter pushed to services
+     */
+    revocationFilter: {
+      /**
+       * Publish interval (seconds); revocations are also pushed immediately
+       * @type {number} - Default: 60 seconds
+       */
+      interval: parseInt(process.env.TOKEN_REVOCATION_FILTER_INTERVAL, 10) || 60,
+
+      /**
+       * Target false positive rate; positives fall back to online validation
+       * @type {number} - Default: 0.001
+       */
+      falsePositiveRate: parseFloat(process.env.TOKEN_REVOCATION_FILTER_FP_RATE) || 0.001
+    }
   }
 };
@@ -0,0 +1,28 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Transparency Log Configuration Module
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Append-only issuance log (RFC 6962 / RFC 9162 style)
+ */
+module.exports = {
+  /**
+   * Append every issued certificate to the log
+   * @type {boolean}
+   */
+  enabled: process.env.TLOG_ENABLED !== 'false',
+
+  /**
+   * ECDSA P-256 key that signs tree heads; generated on first use when missing
+   * @type {string}
+   */
+  signingKeyPath: process.env.TLOG_SIGNING_KEY_PATH || './data/ca/transparency/log.key',
+
+  /**
+   * Maximum entries returned by a single get-entries request
+   * @type {number}
+   */
+  maxEntriesPerRequest: parseInt(process.env.TLOG_MAX_ENTRIES, 10) || 256
+};
@@ -0,0 +1,143 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Exprsn Certificate Authority - Shared ASN.1 Helpers
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const forge = require('node-forge');
+const { asn1 } = forge;
+
+const { Class, Type } = asn1;
+
+/**
+ * Convert a Node.js Buffer to a forge binary string
+ * @param {Buffer|string} buffer
+ * @returns {string}
+ */
+function toBinary(buffer) {
+  return Buffer.isBuffer(buffer) ? buffer.toString('binary') : buffer;
+}
+
+/**
+ * Create an OBJECT IDENTIFIER node
+ * @param {string} oid - Dotted OID
+ */
+function oid(value) {
+  return asn1.create(Class.UNIVERSAL, Type.OID, false, asn1.oidToDer(value).getBytes());
+}
+
+/**
+ * Create a Time node (UTCTime through 2049, GeneralizedTime after, RFC 5280 Section 4.1.2.5)
+ * @param {Date} date
+ */
+function time(date) {
+  if (date.getUTCFullYear() < 2050) {
+    return asn1.create(Class.UNIVERSAL, Type.UTCTIME, false, asn1.dateToUtcTime(date));
+  }
+  return generalizedTime(date);
+}
+
+/**
+ * Create a GeneralizedTime node
+ * @param {Date} date
+ */
+function generalizedTime(date) {
+  return asn1.create(Class.UNIVERSAL, Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(date));
+}
+
+/**
+ * Create an Extension node
+ * @param {string} extnId - Dotted OID
+ * @param {boolean} critical
+ * @param {Object} value - ASN.1 node wrapped in the extnValue OCTET STRING
+ */
+function extension(extnId, critical, value) {
+  const fields = [oid(extnId)];
+
+  if (critical) {
+    fields.push(asn1.create(Class.UNIVERSAL, Type.BOOLEAN, false, String.fromCharCode(0xff)));
+  }
+
+  fields.push(asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, asn1.toDer(value).getBytes()));
+
+  return asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, fields);
+}
+
+/**
+ * Create a GeneralName uniformResourceIdentifier [6] node
+ * @param {string} uri
+ */
+function uriName(uri) {
+  return asn1.create(Class.CONTEXT_SPECIFIC, 6, false, uri);
+}
+
+/**
+ * Build a CRLDistributionPoints / FreshestCRL value (SEQUENCE OF DistributionPoint)
+ * @param {string[]} urls - One distribution point per URL
+ */
+function distributionPoints(urls) {
+  return asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, urls.map(url =>
+    asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+      // distributionPoint [0] { fullName [0] GeneralNames }
+      asn1.create(Class.CONTEXT_SPECIFIC, 0, true, [
+        asn1.create(Class.CONTEXT_SPECIFIC, 0, true, [uriName(url)])
+      ])
+    ])
+  ));
+}
+
+/**
+ * Build a NameConstraints value (RFC 5280 Section 4.2.1.10)
+ * Subtrees are DNS names; a leading dot is not required ("example.com"
+ * matches the domain and all of its subdomains).
+ * @param {Object} constraints
+ * @param {string[]} [constraints.permitted] - Permitted DNS subtrees
+ * @param {string[]} [constraints.excluded] - Excluded DNS subtrees
+ */
+function nameConstraints(constraints) {
+  const subtrees = names => names.map(name =>
+    asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+      // base GeneralName dNSName [2]
+      asn1.create(Class.CONTEXT_SPECIFIC, 2, false, name)
+    ])
+  );
+
+  const fields = [];
+
+  if (constraints.permitted && constraints.permitted.length > 0) {
+    fields.push(asn1.create(Class.CONTEXT_SPECIFIC, 0, true, subtrees(constraints.permitted)));
+  }
+
+  if (constraints.excluded && constraints.excluded.length > 0) {
+    fields.push(asn1.create(Class.CONTEXT_SPECIFIC, 1, true, subtrees(constraints.excluded)));
+  }
+
+  return asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, fields);
+}
+
+/**
+ * Extract the raw subject Name node from a PEM certificate
+ * Re-encoding the parsed subject can change string types, so the original
+ * DER is used wherever the name must match byte for byte.
+ * @param {string} certificatePem
+ */
+function subjectFromPem(certificatePem) {
+  const der = forge.pem.decode(certificatePem)[0].body;
+  const tbs = asn1.fromDer(der).value[0];
+
+  // Subject follows serial, signature, issuer and validity (and the optional [0] version)
+  const offset = tbs.value[0].tagClass === Class.CONTEXT_SPECIFIC ? 1 : 0;
+  return tbs.value[offset + 4];
+}
+
+module.exports = {
+  toBinary,
+  oid,
+  time,
+  generalizedTime,
+  extension,
+  uriName,
+  distributionPoints,
+  nameConstraints,
+  subjectFromPem
+};
@@ -0,0 +1,463 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Exprsn Certificate Authority - Certificate Bundles
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Encoding and decoding of PEM bundles, PKCS#7 certificate chains (.p7b),
+ * PKCS#12 key stores (.p12/.pfx) and Java key stores (JKS).
+ *
+ * Certificates are handled as DER buffers so that chains containing non-RSA
+ * certificates survive a round trip; PKCS#12 export relies on forge and
+ * therefore needs RSA keys and certificates.
+ */
+
+const forge = require('node-forge');
+const crypto = require('crypto');
+const { pki, asn1 } = forge;
+
+const OID_PKCS7_DATA = '1.2.840.113549.1.7.1';
+const OID_PKCS7_SIGNED_DATA = '1.2.840.113549.1.7.2';
+
+const JKS_MAGIC = 0xfeedfeed;
+const JKS_PRIVATE_KEY_ENTRY = 1;
+const JKS_TRUSTED_CERT_ENTRY = 2;
+const JKS_KEY_PROTECTOR_OID = '1.3.6.1.4.1.42.2.17.1.1';
+const JKS_INTEGRITY_SALT = Buffer.from('Mighty Aphrodite', 'utf8');
+
+function toBuffer(asn1Object) {
+  return Buffer.from(asn1.toDer(asn1Object).getBytes(), 'binary');
+}
+
+function fromBuffer(buffer) {
+  return asn1.fromDer(forge.util.createBuffer(buffer.toString('binary')));
+}
+
+/**
+ * Convert a PEM certificate to DER
+ * @param {string} pem
+ * @returns {Buffer}
+ */
+function certificateToDer(pem) {
+  return new crypto.X509Certificate(pem).raw;
+}
+
+/**
+ * Convert a DER certificate to PEM
+ * @param {Buffer} der
+ * @returns {string}
+ */
+function certificateToPem(der) {
+  const body = der.toString('base64').match(/.{1,64}/g).join('\r\n');
+  return `-----BEGIN CERTIFICATE-----\r\n${body}\r\n-----END CERTIFICATE-----\r\n`;
+}
+
+/**
+ * PEM for a PKCS#8 PrivateKeyInfo, keeping the PKCS#1 form for RSA keys
+ */
+function privateKeyFromPkcs8(der) {
+  const key = crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs8' });
+  return key.export({ type: key.asymmetricKeyType === 'rsa' ? 'pkcs1' : 'pkcs8', format: 'pem' });
+}
+
+function privateKeyToPkcs8(privateKeyPem) {
+  return crypto.createPrivateKey(privateKeyPem).export({ type: 'pkcs8', format: 'der' });
+}
+
+const SIGNATURE_ALGORITHMS = {
+  '1.2.840.113549.1.1.5': 'RSA-SHA1',
+  '1.2.840.113549.1.1.10': 'RSA-PSS',
+  '1.2.840.113549.1.1.11': 'RSA-SHA256',
+  '1.2.840.113549.1.1.12': 'RSA-SHA384',
+  '1.2.840.113549.1.1.13': 'RSA-SHA512',
+  '1.2.840.10045.4.3.2': 'ECDSA-SHA256',
+  '1.2.840.10045.4.3.3': 'ECDSA-SHA384',
+  '1.2.840.10045.4.3.4': 'ECDSA-SHA512',
+  '1.3.101.112': 'Ed25519'
+};
+
+const CURVE_SIZES = {
+  prime256v1: 256,
+  secp384r1: 384,
+  secp521r1: 521
+};
+
+/**
+ * Inventory fields of a certificate of any key type
+ * @param {string} pem
+ * @returns {Object}
+ */
+function describeCertificate(pem) {
+  const x509 = new crypto.X509Certificate(pem);
+  const keyDetails = x509.publicKey.asymmetricKeyDetails || {};
+
+  const subject = {};
+  for (const line of x509.subject.split('\n')) {
+    const separator = line.indexOf('=');
+    if (separator > 0 && !(line.slice(0, separator) in subject)) {
+      subject[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  }
+
+  // Same notation as buildSubjectAltNameExtension: bare DNS names, 'IP:' and 'email:'
+  const subjectAltNames = (x509.subjectAltName || '').split(', ').filter(Boolean).map(name => {
+    if (name.startsWith('DNS:')) return name.substring(4);
+    if (name.startsWith('IP Address:')) return `IP:${name.substring(11)}`;
+    return name;
+  });
+
+  const signatureOid = asn1.derToOid(fromBuffer(x509.raw).value[1].value[0].value);
+
+  return {
+    serialNumber: x509.serialNumber.toLowerCase(),
+    fingerprint: crypto.createHash('sha256').update(x509.raw).digest('hex'),
+    subject,
+    issuer: x509.issuer.split('\n').join(', '),
+    subjectAltNames,
+    notBefore: new Date(x509.validFrom),
+    notAfter: new Date(x509.validTo),
+    isCA: x509.ca,
+    keyType: x509.publicKey.asymmetricKeyType,
+    keySize: keyDetails.modulusLength || CURVE_SIZES[keyDetails.namedCurve] || 0,
+    algorithm: SIGNATURE_ALGORITHMS[signatureOid] || signatureOid,
+    extendedKeyUsage: x509.keyUsage || [],
+    publicKey: x509.publicKey.export({ type: 'spki', format: 'pem' })
+  };
+}
+
+/**
+ * Split a PEM bundle into its certificates and private key
+ * @param {string} text
+ * @returns {{certificates: string[], privateKey: string|null}}
+ */
+function parsePemBundle(text) {
+  const blocks = text.match(/-----BEGIN ([A-Z0-9 ]+)-----[\s\S]+?-----END \1-----/g) || [];
+  const certificates = [];
+  let privateKey = null;
+
+  for (const block of blocks) {
+    const label = block.match(/-----BEGIN ([A-Z0-9 ]+)-----/)[1];
+
+    if (label === 'CERTIFICATE') {
+      certificates.push(certificateToPem(certificateToDer(block)));
+    } else if (label.endsWith('PRIVATE KEY') && !privateKey) {
+      privateKey = block;
+    }
+  }
+
+  return { certificates, privateKey };
+}
+
+/**
+ * Encode certificates as a degenerate PKCS#7 SignedData (RFC 2315 Section 9.1)
+ * @param {string[]} certificatePems
+ * @returns {Buffer} DER
+ */
+function toPkcs7(certificatePems) {
+  const certificates = certificatePems.map(pem => fromBuffer(certificateToDer(pem)));
+
+  const signedData = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, []),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OID_PKCS7_DATA).getBytes())
+    ]),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, certificates),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [])
+  ]);
+
+  return toBuffer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OID_PKCS7_SIGNED_DATA).getBytes()),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [signedData])
+  ]));
+}
+
+/**
+ * Read the certificates of a PKCS#7 SignedData
+ * @param {Buffer} der
+ * @returns {string[]} PEM certificates
+ */
+function fromPkcs7(der) {
+  const contentInfo = fromBuffer(der);
+  const [contentType, content] = contentInfo.value;
+
+  if (asn1.derToOid(contentType.value) !== OID_PKCS7_SIGNED_DATA || !content) {
+    throw new Error('Not a PKCS#7 SignedData structure');
+  }
+
+  const signedData = content.value[0];
+  const certificates = signedData.value.find(node =>
+    node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+
+  return certificates ? certificates.value.map(node => certificateToPem(toBuffer(node))) : [];
+}
+
+/**
+ * Encode a PKCS#12 key store
+ * @param {Object} options
+ * @param {string} [options.privateKeyPem] - RSA private key, omitted for a certificate-only store
+ * @param {string[]} options.certificatePems - Entity certificate first, then its chain
+ * @param {string} options.password
+ * @param {string} [options.friendlyName]
+ * @param {string} [options.algorithm] - '3des' (widest support) or 'aes256'
+ * @returns {Buffer} DER
+ */
+function toPkcs12({ privateKeyPem, certificatePems, password, friendlyName, algorithm = '3des' }) {
+  const privateKey = privateKeyPem ? pki.privateKeyFromPem(privateKeyPem) : null;
+  const certificates = certificatePems.map(pem => pki.certificateFromPem(pem));
+
+  // forge writes the attribute whenever the option is present, even if undefined
+  const options = { algorithm, generateLocalKeyId: true };
+  if (friendlyName) {
+    options.friendlyName = friendlyName;
+  }
+
+  return toBuffer(forge.pkcs12.toPkcs12Asn1(privateKey, certificates, password, options));
+}
+
+/**
+ * Read a PKCS#12 key store
+ * @param {Buffer} der
+ * @param {string} password
+ * @returns {{certificates: string[], privateKey: string|null}}
+ */
+function fromPkcs12(der, password) {
+  const p12 = forge.pkcs12.pkcs12FromAsn1(fromBuffer(der), false, password);
+
+  const certificates = p12.getBags({ bagType: pki.oids.certBag })[pki.oids.certBag]
+    .map(bag => bag.cert ? pki.certificateToPem(bag.cert) : certificateToPem(toBuffer(bag.asn1)));
+
+  const keyBags = [
+    ...p12.getBags({ bagType: pki.oids.pkcs8ShroudedKeyBag })[pki.oids.pkcs8ShroudedKeyBag],
+    ...p12.getBags({ bagType: pki.oids.keyBag })[pki.oids.keyBag]
+  ];
+
+  let privateKey = null;
+  if (keyBags.length > 0) {
+    const bag = keyBags[0];
+    privateKey = bag.key ? pki.privateKeyToPem(bag.key) : privateKeyFromPkcs8(toBuffer(bag.asn1));
+  }
+
+  return { certificates, privateKey };
+}
+
+/**
+ * Key store passwords are hashed as big-endian UTF-16 code units
+ */
+function jksPassword(password) {
+  return Buffer.from(password, 'utf16le').swap16();
+}
+
+function sha1(...parts) {
+  return crypto.createHash('sha1').update(Buffer.concat(parts)).digest();
+}
+
+/**
+ * XOR keystream of the JKS key protector: SHA-1 chained over the salt
+ */
+function jksKeystream(passwordBytes, salt, length) {
+  const blocks = [];
+  let digest = salt;
+
+  for (let produced = 0; produced < length; produced += digest.length) {
+    digest = sha1(passwordBytes, digest);
+    blocks.push(digest);
+  }
+
+  return Buffer.concat(blocks).subarray(0, length);
+}
+
+function xor(a, b) {
+  return Buffer.from(a.map((byte, i) => byte ^ b[i]));
+}
+
+/**
+ * Protect a PKCS#8 key the way the JKS KeyProtector does
+ * @returns {Buffer} EncryptedPrivateKeyInfo DER
+ */
+function jksProtectKey(pkcs8, password) {
+  const passwordBytes = jksPassword(password);
+  const salt = crypto.randomBytes(20);
+  const encrypted = xor(pkcs8, jksKeystream(passwordBytes, salt, pkcs8.length));
+  const check = sha1(passwordBytes, pkcs8);
+
+  return toBuffer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(JKS_KEY_PROTECTOR_OID).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+    ]),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+      Buffer.concat([salt, encrypted, check]).toString('binary'))
+  ]));
+}
+
+/**
+ * Recover a PKCS#8 key protected by the JKS KeyProtector
+ */
+function jksRecoverKey(encryptedKeyInfo, password) {
+  const [algorithm, data] = fromBuffer(encryptedKeyInfo).value;
+
+  if (asn1.derToOid(algorithm.value[0].value) !== JKS_KEY_PROTECTOR_OID) {
+    throw new Error('Unsupported key protection algorithm in key store');
+  }
+
+  const protectedKey = Buffer.from(data.value, 'binary');
+  const passwordBytes = jksPassword(password);
+  const salt = protectedKey.subarray(0, 20);
+  const encrypted = protectedKey.subarray(20, protectedKey.length - 20);
+  const pkcs8 = xor(encrypted, jksKeystream(passwordBytes, salt, encrypted.length));
+
+  if (!sha1(passwordBytes, pkcs8).equals(protectedKey.subarray(protectedKey.length - 20))) {
+    throw new Error('Key store password is incorrect');
+  }
+
+  return pkcs8;
+}
+
+/**
+ * Encode a JKS key store
+ * With a private key the store holds one key entry carrying the chain;
+ * without one every certificate becomes a trusted certificate entry.
+ * @param {Object} options
+ * @param {string} [options.privateKeyPem]
+ * @param {string[]} options.certificatePems - Entity certificate first, then its chain
+ * @param {string} options.password - Store password, also used for the key entry
+ * @param {string} options.alias
+ * @returns {Buffer}
+ */
+function toJks({ privateKeyPem, certificatePems, password, alias }) {
+  const parts = [];
+  const timestamp = Date.now();
+
+  const u16 = value => {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value);
+    return buffer;
+  };
+  const u32 = value => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value);
+    return buffer;
+  };
+  const utf = value => {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([u16(bytes.length), bytes]);
+  };
+  const u64 = value => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(value));
+    return buffer;
+  };
+  const certificate = pem => {
+    const der = certificateToDer(pem);
+    return Buffer.concat([utf('X.509'), u32(der.length), der]);
+  };
+
+  const storeAlias = alias.toLowerCase();
+
+  if (privateKeyPem) {
+    const protectedKey = jksProtectKey(privateKeyToPkcs8(privateKeyPem), password);
+
+    parts.push(u32(JKS_MAGIC), u32(2), u32(1));
+    parts.push(u32(JKS_PRIVATE_KEY_ENTRY), utf(storeAlias), u64(timestamp));
+    parts.push(u32(protectedKey.length), protectedKey, u32(certificatePems.length));
+    parts.push(...certificatePems.map(certificate));
+  } else {
+    parts.push(u32(JKS_MAGIC), u32(2), u32(certificatePems.length));
+
+    certificatePems.forEach((pem, index) => {
+      const entryAlias = index === 0 ? storeAlias : `${storeAlias}-ca${index}`;
+      parts.push(u32(JKS_TRUSTED_CERT_ENTRY), utf(entryAlias), u64(timestamp), certificate(pem));
+    });
+  }
+
+  const body = Buffer.concat(parts);
+  return Buffer.concat([body, sha1(jksPassword(password), JKS_INTEGRITY_SALT, body)]);
+}
+
+/**
+ * Read a JKS key store
+ * The first key entry wins; a store without one yields its trusted certificates.
+ * @param {Buffer} data
+ * @param {string} password
+ * @returns {{certificates: string[], privateKey: string|null}}
+ */
+function fromJks(data, password) {
+  if (data.length < 32 || data.readUInt32BE(0) !== JKS_MAGIC) {
+    throw new Error('Not a JKS key store');
+  }
+
+  const body = data.subarray(0, data.length - 20);
+  if (!sha1(jksPassword(password), JKS_INTEGRITY_SALT, body).equals(data.subarray(data.length - 20))) {
+    throw new Error('Key store password is incorrect or the key store is corrupt');
+  }
+
+  const version = data.readUInt32BE(4);
+  if (version !== 1 && version !== 2) {
+    throw new Error(`Unsupported JKS version: ${version}`);
+  }
+
+  let offset = 12;
+  const read = length => {
+    if (offset + length > body.length) {
+      throw new Error('Truncated JKS key store');
+    }
+    const value = body.subarray(offset, offset + length);
+    offset += length;
+    return value;
+  };
+  const readU32 = () => read(4).readUInt32BE();
+  const readUtf = () => read(read(2).readUInt16BE()).toString('utf8');
+  const readCertificate = () => {
+    const type = version === 2 ? readUtf() : 'X.509';
+    const der = read(readU32());
+    if (type !== 'X.509') {
+      throw new Error(`Unsupported certificate type in key store: ${type}`);
+    }
+    return certificateToPem(der);
+  };
+
+  const trusted = [];
+  const count = data.readUInt32BE(8);
+
+  for (let i = 0; i < count; i++) {
+    const tag = readU32();
+    readUtf();   // alias
+    read(8);     // timestamp
+
+    if (tag === JKS_PRIVATE_KEY_ENTRY) {
+      const protectedKey = read(readU32());
+      const chainLength = readU32();
+      const certificates = [];
+
+      for (let j = 0; j < chainLength; j++) {
+        certificates.push(readCertificate());
+      }
+
+      return {
+        certificates,
+        privateKey: privateKeyFromPkcs8(jksRecoverKey(protectedKey, password))
+      };
+    }
+
+    if (tag !== JKS_TRUSTED_CERT_ENTRY) {
+      throw new Error(`Unsupported JKS entry type: ${tag}`);
+    }
+
+    trusted.push(readCertificate());
+  }
+
+  return { certificates: trusted, privateKey: null };
+}
+
+module.exports = {
+  certificateToDer,
+  certificateToPem,
+  describeCertificate,
+  parsePemBundle,
+  toPkcs7,
+  fromPkcs7,
+  toPkcs12,
+  fromPkcs12,
+  toJks,
+  fromJks
+};
@@ -0,0 +1,149 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Exprsn Certificate Authority - CRL Encoding (RFC 5280 Section 5)
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const forge = require('node-forge');
+const { pki, asn1 } = forge;
+const helpers = require('./asn1');
+
+const { Class, Type } = asn1;
+
+const OID = {
+  authorityKeyIdentifier: '2.5.29.35',
+  cRLNumber: '2.5.29.20',
+  deltaCRLIndicator: '2.5.29.27',
+  freshestCRL: '2.5.29.46',
+  reasonCode: '2.5.29.21',
+  invalidityDate: '2.5.29.24',
+  sha256WithRSAEncryption: '1.2.840.113549.1.1.11'
+};
+
+/**
+ * Create an INTEGER node from a JavaScript number
+ */
+function integer(value) {
+  return asn1.create(Class.UNIVERSAL, Type.INTEGER, false, asn1.integerToDer(value).getBytes());
+}
+
+/**
+ * Build a revokedCertificates entry
+ * @param {Object} entry - {serialNumber, revokedAt, reasonCode, invalidityDate}
+ */
+function revokedEntryToAsn1(entry) {
+  const fields = [
+    // Serials are written with the same raw bytes the certificate carries
+    asn1.create(Class.UNIVERSAL, Type.INTEGER, false, forge.util.hexToBytes(entry.serialNumber)),
+    helpers.time(new Date(entry.revokedAt))
+  ];
+
+  const extensions = [];
+
+  if (typeof entry.reasonCode === 'number' && entry.reasonCode !== 0) {
+    extensions.push(helpers.extension(OID.reasonCode, false,
+      asn1.create(Class.UNIVERSAL, Type.ENUMERATED, false, String.fromCharCode(entry.reasonCode))));
+  }
+
+  if (entry.invalidityDate) {
+    extensions.push(helpers.extension(OID.invalidityDate, false,
+      helpers.generalizedTime(new Date(entry.invalidityDate))));
+  }
+
+  if (extensions.length > 0) {
+    fields.push(asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, extensions));
+  }
+
+  return asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, fields);
+}
+
+/**
+ * Build and sign a full or delta CRL
+ * @param {Object} options
+ * @param {string} options.issuerCertPem - PEM of the issuing CA
+ * @param {string} options.issuerKeyPem - PEM of the issuing CA private key
+ * @param {Object[]} options.entries - [{serialNumber, revokedAt, reasonCode, invalidityDate}]
+ * @param {number} options.crlNumber - Monotonic CRL number shared by full and delta CRLs
+ * @param {Date} options.thisUpdate
+ * @param {Date} options.nextUpdate
+ * @param {number} [options.baseCRLNumber] - When set, a delta CRL against this base is produced
+ * @param {string[]} [options.freshestCRLUrls] - Delta CRL locations advertised by a full CRL
+ * @returns {{der: Buffer, pem: string}}
+ */
+function buildCRL(options) {
+  const {
+    issuerCertPem,
+    issuerKeyPem,
+    entries = [],
+    crlNumber,
+    thisUpdate,
+    nextUpdate,
+    baseCRLNumber = null,
+    freshestCRLUrls = []
+  } = options;
+
+  const issuerCert = pki.certificateFromPem(issuerCertPem);
+  const issuerKey = pki.privateKeyFromPem(issuerKeyPem);
+
+  const signatureAlgorithm = asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+    helpers.oid(OID.sha256WithRSAEncryption),
+    asn1.create(Class.UNIVERSAL, Type.NULL, false, '')
+  ]);
+
+  const crlExtensions = [
+    helpers.extension(OID.authorityKeyIdentifier, false,
+      asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+        asn1.create(Class.CONTEXT_SPECIFIC, 0, false,
+          issuerCert.generateSubjectKeyIdentifier().getBytes())
+      ])),
+    helpers.extension(OID.cRLNumber, false, integer(crlNumber))
+  ];
+
+  if (baseCRLNumber !== null) {
+    crlExtensions.push(helpers.extension(OID.deltaCRLIndicator, true, integer(baseCRLNumber)));
+  } else if (freshestCRLUrls.length > 0) {
+    crlExtensions.push(helpers.extension(OID.freshestCRL, false,
+      helpers.distributionPoints(freshestCRLUrls)));
+  }
+
+  const tbsFields = [
+    integer(1), // v2
+    signatureAlgorithm,
+    helpers.subjectFromPem(issuerCertPem),
+    helpers.time(thisUpdate),
+    helpers.time(nextUpdate)
+  ];
+
+  // revokedCertificates is omitted entirely when empty
+  if (entries.length > 0) {
+    tbsFields.push(asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, entries.map(revokedEntryToAsn1)));
+  }
+
+  tbsFields.push(asn1.create(Class.CONTEXT_SPECIFIC, 0, true, [
+    asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, crlExtensions)
+  ]));
+
+  const tbsCertList = asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, tbsFields);
+
+  const digest = forge.md.sha256.create();
+  digest.update(asn1.toDer(tbsCertList).getBytes());
+  const signature = issuerKey.sign(digest);
+
+  const certificateList = asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+    tbsCertList,
+    signatureAlgorithm,
+    asn1.create(Class.UNIVERSAL, Type.BITSTRING, false, String.fromCharCode(0x00) + signature)
+  ]);
+
+  const der = asn1.toDer(certificateList).getBytes();
+
+  return {
+    der: Buffer.from(der, 'binary'),
+    pem: forge.pem.encode({ type: 'X509 CRL', body: der })
+  };
+}
+
+module.exports = {
+  OID,
+  buildCRL
+};
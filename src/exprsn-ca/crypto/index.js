@@ -7,6 +7,7 @@
 const forge = require('node-forge');
 const crypto = require('crypto');
 const { pki, asn1, md } = forge;
+const asn1Helpers = require('./asn1');
 
 /**
  * Generate RSA key pair
@@ -33,6 +34,145 @@ async function generateKeyPair(keySize = 2048) {
   });
 }
 
+/**
+ * Build revocation-checking extensions (RFC 5280 Sections 4.2.1.13, 4.2.1.15, 4.2.2.1)
+ * @param {Object} distributionPoints
+ * @param {string[]} [distributionPoints.crl] - cRLDistributionPoints URLs
+ * @param {string[]} [distributionPoints.freshestCrl] - Delta CRL URLs
+ * @param {string[]} [distributionPoints.ocsp] - OCSP responder URLs
+ * @param {string[]} [distributionPoints.caIssuers] - Issuer certificate URLs
+ * @returns {Object[]} forge extension definitions
+ */
+function buildDistributionExtensions(distributionPoints = {}) {
+  const { crl = [], freshestCrl = [], ocsp = [], caIssuers = [] } = distributionPoints;
+  const extensions = [];
+
+  if (crl.length > 0) {
+    extensions.push({ id: '2.5.29.31', value: asn1Helpers.distributionPoints(crl) });
+  }
+
+  if (freshestCrl.length > 0) {
+    extensions.push({ id: '2.5.29.46', value: asn1Helpers.distributionPoints(freshestCrl) });
+  }
+
+  const accessDescriptions = [
+    ...ocsp.map(url => ['1.3.6.1.5.5.7.48.1', url]),
+    ...caIssuers.map(url => ['1.3.6.1.5.5.7.48.2', url])
+  ].map(([method, url]) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1Helpers.oid(method),
+    asn1Helpers.uriName(url)
+  ]));
+
+  if (accessDescriptions.length > 0) {
+    extensions.push({
+      id: '1.3.6.1.5.5.7.1.1', // authorityInfoAccess
+      value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, accessDescriptions)
+    });
+  }
+
+  return extensions;
+}
+
+/**
+ * Build keyUsage/extKeyUsage extensions for an entity certificate type
+ * @param {string} type - client, server, code_signing, ocsp_signing
+ * @param {Object} [usage] - Explicit usages from a certificate profile
+ * @param {string[]} [usage.keyUsage] - e.g. ['digitalSignature', 'keyEncipherment']
+ * @param {string[]} [usage.extendedKeyUsage] - e.g. ['serverAuth', 'emailProtection']
+ * @returns {Object[]} forge extension definitions
+ */
+function buildKeyUsageExtensions(type, usage = null) {
+  const extensions = [];
+
+  if (usage && (usage.keyUsage || usage.extendedKeyUsage)) {
+    if (usage.keyUsage && usage.keyUsage.length > 0) {
+      const keyUsage = { name: 'keyUsage', critical: true };
+      usage.keyUsage.forEach(bit => { keyUsage[bit] = true; });
+      extensions.push(keyUsage);
+    }
+
+    if (usage.extendedKeyUsage && usage.extendedKeyUsage.length > 0) {
+      const extKeyUsage = { name: 'extKeyUsage' };
+      usage.extendedKeyUsage.forEach(purpose => { extKeyUsage[purpose] = true; });
+      extensions.push(extKeyUsage);
+    }
+
+    return extensions;
+  }
+
+  if (type === 'client') {
+    extensions.push({
+      name: 'keyUsage',
+      digitalSignature: true,
+      keyEncipherment: true,
+      critical: true
+    });
+    extensions.push({
+      name: 'extKeyUsage',
+      clientAuth: true
+    });
+  } else if (type === 'server') {
+    extensions.push({
+      name: 'keyUsage',
+      digitalSignature: true,
+      keyEncipherment: true,
+      critical: true
+    });
+    extensions.push({
+      name: 'extKeyUsage',
+      serverAuth: true
+    });
+  } else if (type === 'code_signing') {
+    extensions.push({
+      name: 'keyUsage',
+      digitalSignature: true,
+      critical: true
+    });
+    extensions.push({
+      name: 'extKeyUsage',
+      codeSigning: true
+    });
+  } else if (type === 'ocsp_signing') {
+    extensions.push({
+      name: 'keyUsage',
+      digitalSignature: true,
+      critical: true
+    });
+    extensions.push({
+      name: 'extKeyUsage',
+      '1.3.6.1.5.5.7.3.9': true // id-kp-OCSPSigning
+    });
+    extensions.push({
+      id: '1.3.6.1.5.5.7.48.1.5', // id-pkix-ocsp-nocheck (RFC 6960 Section 4.2.2.2.1)
+      value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+    });
+  }
+
+  return extensions;
+}
+
+/**
+ * Build a subjectAltName extension
+ * @param {string[]} subjectAltNames - DNS names, 'IP:<addr>' or 'email:<addr>'
+ * @returns {Object} forge extension definition
+ */
+function buildSubjectAltNameExtension(subjectAltNames) {
+  const altNames = subjectAltNames.map(name => {
+    if (name.startsWith('IP:')) {
+      return { type: 7, ip: name.substring(3) };
+    } else if (name.startsWith('email:')) {
+      return { type: 1, value: name.substring(6) };
+    } else {
+      return { type: 2, value: name }; // DNS
+    }
+  });
+
+  return {
+    name: 'subjectAltName',
+    altNames
+  };
+}
+
 /**
  * Generate root CA certificate
  * @param {Object} options - Certificate options
@@ -134,7 +274,9 @@ async function generateIntermediateCertificate(options) {
     validityDays = 3650, // 10 years
     issuerCert,
     issuerKey,
-    pathLen = 0
+    pathLen = 0,
+    nameConstraints = null,
+    distributionPoints = {}
   } = options;
 
   if (!issuerCert || !issuerKey) {
@@ -174,7 +316,7 @@ async function generateIntermediateCertificate(options) {
   cert.setIssuer(issuerCertObj.subject.attributes);
 
   // Extensions for intermediate CA
-  cert.setExtensions([
+  const extensions = [
     {
       name: 'basicConstraints',
       cA: true,
@@ -194,8 +336,20 @@ async function generateIntermediateCertificate(options) {
     {
       name: 'authorityKeyIdentifier',
       keyIdentifier: issuerCertObj.generateSubjectKeyIdentifier().getBytes()
-    }
-  ]);
+    },
+    ...buildDistributionExtensions(distributionPoints)
+  ];
+
+  if (nameConstraints) {
+    // RFC 5280 Section 4.2.1.10 - MUST be critical
+    extensions.push({
+      id: '2.5.29.30',
+      critical: true,
+      value: asn1Helpers.nameConstraints(nameConstraints)
+    });
+  }
+
+  cert.setExtensions(extensions);
 
   // Sign certificate
   cert.sign(issuerKeyObj, md.sha256.create());
@@ -216,7 +370,7 @@ async function generateIntermediateCertificate(options) {
 }
 
 /**
- * Generate entity certificate (client, server, code signing)
+ * Generate entity certificate (client, server, code signing, OCSP signing)
  * @param {Object} options - Certificate options
  * @returns {Promise<Object>}
  */
@@ -230,11 +384,15 @@ async function generateEntityCertificate(options) {
     organizationalUnit,
     email,
     subjectAltNames = [],
-    type = 'client', // client, server, code_signing
+    type = 'client', // client, server, code_signing, ocsp_signing
     keySize = 2048,
     validityDays = 365,
     issuerCert,
-    issuerKey
+    issuerKey,
+    keyUsage = null,
+    extendedKeyUsage = null,
+    distributionPoints = {},
+    publicKey = null // Re-certify an existing RSA key instead of generating one
   } = options;
 
   if (!issuerCert || !issuerKey) {
@@ -245,8 +403,10 @@ async function generateEntityCertificate(options) {
   const issuerCertObj = pki.certificateFromPem(issuerCert);
   const issuerKeyObj = pki.privateKeyFromPem(issuerKey);
 
-  // Generate key pair
-  const { privateKeyObj, publicKeyObj, privateKey } = await generateKeyPair(keySize);
+  // Generate key pair, unless the subject keeps its current key
+  const { publicKeyObj, privateKey } = publicKey
+    ? { publicKeyObj: pki.publicKeyFromPem(publicKey), privateKey: null }
+    : await generateKeyPair(keySize);
 
   // Create certificate
   const cert = pki.createCertificate();
@@ -291,59 +451,15 @@ async function generateEntityCertificate(options) {
     }
   ];
 
-  // Key usage based on type
-  if (type === 'client') {
-    extensions.push({
-      name: 'keyUsage',
-      digitalSignature: true,
-      keyEncipherment: true,
-      critical: true
-    });
-    extensions.push({
-      name: 'extKeyUsage',
-      clientAuth: true
-    });
-  } else if (type === 'server') {
-    extensions.push({
-      name: 'keyUsage',
-      digitalSignature: true,
-      keyEncipherment: true,
-      critical: true
-    });
-    extensions.push({
-      name: 'extKeyUsage',
-      serverAuth: true
-    });
-  } else if (type === 'code_signing') {
-    extensions.push({
-      name: 'keyUsage',
-      digitalSignature: true,
-      critical: true
-    });
-    extensions.push({
-      name: 'extKeyUsage',
-      codeSigning: true
-    });
-  }
+  extensions.push(...buildKeyUsageExtensions(type, { keyUsage, extendedKeyUsage }));
 
   // Add Subject Alternative Names
   if (subjectAltNames.length > 0) {
-    const altNames = subjectAltNames.map(name => {
-      if (name.startsWith('IP:')) {
-        return { type: 7, ip: name.substring(3) };
-      } else if (name.startsWith('email:')) {
-        return { type: 1, value: name.substring(6) };
-      } else {
-        return { type: 2, value: name }; // DNS
-      }
-    });
-
-    extensions.push({
-      name: 'subjectAltName',
-      altNames
-    });
+    extensions.push(buildSubjectAltNameExtension(subjectAltNames));
   }
 
+  extensions.push(...buildDistributionExtensions(distributionPoints));
+
   cert.setExtensions(extensions);
 
   // Sign certificate
@@ -364,12 +480,250 @@ async function generateEntityCertificate(options) {
   };
 }
 
+/**
+ * Parse and verify a PKCS#10 certification request
+ * Supports RSA and EC keys; node-forge alone only understands RSA requests.
+ * @param {string} csrPem - PEM-encoded CSR
+ * @returns {Object} Parsed request with raw subject/SPKI nodes for re-use when signing
+ */
+function parseCertificateRequest(csrPem) {
+  const der = forge.pem.decode(csrPem).find(msg => msg.type === 'CERTIFICATE REQUEST' ||
+    msg.type === 'NEW CERTIFICATE REQUEST');
+
+  if (!der) {
+    throw new Error('Invalid CSR: PEM block not found');
+  }
+
+  // Keep BIT STRINGs opaque so ECDSA signatures and RSA keys are not re-parsed
+  const request = asn1.fromDer(der.body, { decodeBitStrings: false });
+  const info = request.value[0];
+  const [, subjectNode, spkiNode, attributesNode] = info.value;
+
+  // Verify proof of possession with the embedded key
+  const publicKey = crypto.createPublicKey({
+    key: Buffer.from(asn1.toDer(spkiNode).getBytes(), 'binary'),
+    format: 'der',
+    type: 'spki'
+  });
+
+  const signatureOid = asn1.derToOid(request.value[1].value[0].value);
+  const hashAlgorithm = {
+    '1.2.840.113549.1.1.5': 'sha1',
+    '1.2.840.113549.1.1.11': 'sha256',
+    '1.2.840.113549.1.1.12': 'sha384',
+    '1.2.840.113549.1.1.13': 'sha512',
+    '1.2.840.10045.4.3.2': 'sha256',
+    '1.2.840.10045.4.3.3': 'sha384',
+    '1.2.840.10045.4.3.4': 'sha512'
+  }[signatureOid];
+
+  if (!hashAlgorithm) {
+    throw new Error(`Invalid CSR: unsupported signature algorithm ${signatureOid}`);
+  }
+
+  const signature = Buffer.from(request.value[2].value.substring(1), 'binary');
+  const verified = crypto.verify(
+    hashAlgorithm,
+    Buffer.from(asn1.toDer(info).getBytes(), 'binary'),
+    publicKey,
+    signature
+  );
+
+  if (!verified) {
+    throw new Error('Invalid CSR: signature verification failed');
+  }
+
+  // Subject attributes
+  const subject = {};
+  const shortNames = {
+    CN: 'commonName',
+    O: 'organization',
+    OU: 'organizationalUnit',
+    C: 'country',
+    ST: 'state',
+    L: 'locality',
+    E: 'email'
+  };
+  for (const attr of pki.RDNAttributesAsArray(subjectNode)) {
+    const key = shortNames[attr.shortName] || (attr.name === 'emailAddress' ? 'email' : null);
+    if (key) subject[key] = attr.value;
+  }
+
+  // Requested extensions (and subjectAltName) from the extensionRequest attribute
+  const subjectAlternativeNames = [];
+  const requestedExtensions = [];
+  if (attributesNode && Array.isArray(attributesNode.value)) {
+    for (const attribute of attributesNode.value) {
+      if (asn1.derToOid(attribute.value[0].value) !== '1.2.840.113549.1.9.14') continue;
+
+      for (const extension of attribute.value[1].value[0].value) {
+        const extnId = asn1.derToOid(extension.value[0].value);
+        requestedExtensions.push(pki.oids[extnId] || extnId);
+
+        if (extnId !== '2.5.29.17') continue;
+
+        const generalNames = asn1.fromDer(extension.value[extension.value.length - 1].value);
+        for (const name of generalNames.value) {
+          if (name.type === 2) {
+            subjectAlternativeNames.push(name.value);
+          } else if (name.type === 7) {
+            subjectAlternativeNames.push(`IP:${forge.util.bytesToIP(name.value)}`);
+          } else if (name.type === 1) {
+            subjectAlternativeNames.push(`email:${name.value}`);
+          }
+        }
+      }
+    }
+  }
+
+  const details = publicKey.asymmetricKeyDetails || {};
+  const keyType = publicKey.asymmetricKeyType;
+  const keySize = keyType === 'rsa'
+    ? details.modulusLength
+    : { prime256v1: 256, secp384r1: 384, secp521r1: 521 }[details.namedCurve] || 0;
+
+  return {
+    subject,
+    subjectAlternativeNames,
+    requestedExtensions,
+    keyType,
+    keySize,
+    namedCurve: details.namedCurve || null,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    subjectNode,
+    spkiNode
+  };
+}
+
+/**
+ * Sign a PKCS#10 certification request
+ * @param {Object} options
+ * @param {string} options.csrPem - PEM-encoded CSR
+ * @param {string} options.type - client, server, code_signing
+ * @param {number} options.validityDays - Validity period
+ * @param {string} options.issuerCert - PEM of the issuing CA
+ * @param {string} options.issuerKey - PEM of the issuing CA key
+ * @param {string[]} [options.subjectAltNames] - Override the SANs requested in the CSR
+ * @param {Object} [options.distributionPoints] - CRL/OCSP/caIssuers locations
+ * @returns {Promise<Object>}
+ */
+async function signCertificateRequest(options) {
+  const {
+    csrPem,
+    type = 'client',
+    validityDays = 365,
+    issuerCert,
+    issuerKey,
+    keyUsage = null,
+    extendedKeyUsage = null,
+    distributionPoints = {}
+  } = options;
+
+  if (!issuerCert || !issuerKey) {
+    throw new Error('Issuer certificate and key are required');
+  }
+
+  const csr = parseCertificateRequest(csrPem);
+  const subjectAltNames = options.subjectAltNames || csr.subjectAlternativeNames;
+
+  if (!csr.subject.commonName && subjectAltNames.length === 0) {
+    throw new Error('Invalid CSR: a common name or subjectAltName is required');
+  }
+
+  const issuerCertObj = pki.certificateFromPem(issuerCert);
+  const issuerKeyObj = pki.privateKeyFromPem(issuerKey);
+
+  const cert = pki.createCertificate();
+  cert.serialNumber = generateSerialNumber();
+
+  const notBefore = new Date();
+  const notAfter = new Date();
+  notAfter.setDate(notBefore.getDate() + validityDays);
+
+  cert.validity.notBefore = notBefore;
+  cert.validity.notAfter = notAfter;
+  cert.setIssuer(issuerCertObj.subject.attributes);
+
+  // Subject key identifier: SHA-1 of the subjectPublicKey BIT STRING (RFC 5280 Section 4.2.1.2)
+  const subjectPublicKey = csr.spkiNode.value[1].value.substring(1);
+  const subjectKeyIdentifier = crypto.createHash('sha1').update(subjectPublicKey, 'binary').digest('binary');
+
+  const usageExtensions = buildKeyUsageExtensions(type, { keyUsage, extendedKeyUsage });
+  if (csr.keyType !== 'rsa') {
+    // keyEncipherment only applies to RSA key transport
+    usageExtensions.filter(e => e.name === 'keyUsage').forEach(e => { delete e.keyEncipherment; });
+  }
+
+  const extensions = [
+    {
+      name: 'basicConstraints',
+      cA: false,
+      critical: true
+    },
+    {
+      id: '2.5.29.14',
+      value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, subjectKeyIdentifier)
+    },
+    {
+      name: 'authorityKeyIdentifier',
+      keyIdentifier: issuerCertObj.generateSubjectKeyIdentifier().getBytes()
+    },
+    ...usageExtensions
+  ];
+
+  if (subjectAltNames.length > 0) {
+    extensions.push(buildSubjectAltNameExtension(subjectAltNames));
+  }
+
+  extensions.push(...buildDistributionExtensions(distributionPoints));
+
+  cert.setExtensions(extensions);
+
+  // forge only encodes RSA keys, so encode with the issuer key and splice in the
+  // requested subject and SubjectPublicKeyInfo verbatim
+  cert.publicKey = issuerCertObj.publicKey;
+  cert.siginfo.algorithmOid = pki.oids.sha256WithRSAEncryption;
+  const tbs = pki.getTBSCertificate(cert);
+  tbs.value[5] = csr.subjectNode;
+  tbs.value[6] = csr.spkiNode;
+
+  const digest = md.sha256.create();
+  digest.update(asn1.toDer(tbs).getBytes());
+  const signature = issuerKeyObj.sign(digest);
+
+  const signatureAlgorithm = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1Helpers.oid(pki.oids.sha256WithRSAEncryption),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+  ]);
+
+  const der = asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    tbs,
+    signatureAlgorithm,
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false, String.fromCharCode(0x00) + signature)
+  ])).getBytes();
+
+  return {
+    certificate: forge.pem.encode({ type: 'CERTIFICATE', body: der }),
+    serialNumber: cert.serialNumber,
+    fingerprint: crypto.createHash('sha256').update(der, 'binary').digest('hex'),
+    subject: csr.subject,
+    subjectAlternativeNames: subjectAltNames,
+    keyType: csr.keyType,
+    keySize: csr.keySize,
+    publicKey: csr.publicKey,
+    notBefore,
+    notAfter
+  };
+}
+
 /**
  * Generate serial number for certificate
  * @returns {string} Hex serial number
  */
 function generateSerialNumber() {
   const bytes = crypto.randomBytes(16);
+  // Serials must be positive (RFC 5280 Section 4.1.2.2); a set top bit would encode as negative
+  bytes[0] &= 0x7f;
   return bytes.toString('hex');
 }
 
@@ -470,6 +824,18 @@ function verifyCertificateChain(certPem, chainPems) {
   }
 }
 
+/**
+ * Whether a private key and a certificate share a public key
+ * @param {string} privateKeyPem - PEM-encoded private key
+ * @param {string} certificatePem - PEM-encoded certificate
+ * @returns {boolean} Match result
+ */
+function keyMatchesCertificate(privateKeyPem, certificatePem) {
+  const fromKey = crypto.createPublicKey(privateKeyPem).export({ type: 'spki', format: 'der' });
+  const fromCert = crypto.createPublicKey(certificatePem).export({ type: 'spki', format: 'der' });
+  return fromKey.equals(fromCert);
+}
+
 /**
  * Encrypt private key with password
  * @param {string} privateKeyPem - PEM-encoded private key
@@ -496,15 +862,21 @@ function decryptPrivateKey(encryptedPem, password) {
 
 module.exports = {
   generateKeyPair,
+  buildDistributionExtensions,
+  buildKeyUsageExtensions,
+  buildSubjectAltNameExtension,
   generateRootCertificate,
   generateIntermediateCertificate,
   generateEntityCertificate,
+  parseCertificateRequest,
+  signCertificateRequest,
   generateSerialNumber,
   calculateFingerprint,
   signData,
   verifySignature,
   calculateChecksum,
   verifyCertificateChain,
+  keyMatchesCertificate,
   encryptPrivateKey,
   decryptPrivateKey
 };
@@ -0,0 +1,117 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Exprsn Certificate Authority - JSON Web Signature (RFC 7515 / RFC 7638)
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Supported JWS algorithms mapped to Node.js verify parameters
+ */
+const ALGORITHMS = {
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  RS384: { hash: 'sha384', kty: 'RSA' },
+  RS512: { hash: 'sha512', kty: 'RSA' },
+  PS256: { hash: 'sha256', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', kty: 'EC', crv: 'P-256' },
+  ES384: { hash: 'sha384', kty: 'EC', crv: 'P-384' },
+  ES512: { hash: 'sha512', kty: 'EC', crv: 'P-521' }
+};
+
+/**
+ * Decode a base64url string
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function base64urlDecode(value) {
+  return Buffer.from(value, 'base64url');
+}
+
+/**
+ * Decode a flattened JWS JSON serialization without verifying it
+ * @param {Object} jws - {protected, payload, signature}
+ * @returns {{header: Object, payload: Object|null, rawPayload: string}}
+ */
+function decode(jws) {
+  if (!jws || typeof jws.protected !== 'string' || typeof jws.payload !== 'string' ||
+      typeof jws.signature !== 'string') {
+    throw new Error('Malformed JWS: expected flattened JSON serialization');
+  }
+
+  const header = JSON.parse(base64urlDecode(jws.protected).toString('utf8'));
+
+  // An empty payload is a POST-as-GET request (RFC 8555 Section 6.3)
+  const rawPayload = base64urlDecode(jws.payload).toString('utf8');
+  const payload = rawPayload === '' ? null : JSON.parse(rawPayload);
+
+  return { header, payload, rawPayload };
+}
+
+/**
+ * Verify a flattened JWS against a public JWK
+ * @param {Object} jws - {protected, payload, signature}
+ * @param {Object} jwk - Public key in JWK form
+ * @returns {boolean}
+ */
+function verify(jws, jwk) {
+  const header = JSON.parse(base64urlDecode(jws.protected).toString('utf8'));
+  const algorithm = ALGORITHMS[header.alg];
+
+  if (!algorithm) {
+    throw new Error(`Unsupported JWS algorithm: ${header.alg}`);
+  }
+
+  if (algorithm.kty !== jwk.kty || (algorithm.crv && algorithm.crv !== jwk.crv)) {
+    throw new Error(`JWS algorithm ${header.alg} does not match key type`);
+  }
+
+  const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  const signingInput = Buffer.from(`${jws.protected}.${jws.payload}`, 'ascii');
+
+  return crypto.verify(algorithm.hash, signingInput, {
+    key,
+    padding: algorithm.padding,
+    // JWS carries raw r||s for ECDSA rather than a DER SEQUENCE
+    dsaEncoding: 'ieee-p1363'
+  }, base64urlDecode(jws.signature));
+}
+
+/**
+ * Compute the RFC 7638 JWK thumbprint (SHA-256, base64url)
+ * @param {Object} jwk - Public key in JWK form
+ * @returns {string}
+ */
+function thumbprint(jwk) {
+  let members;
+
+  if (jwk.kty === 'RSA') {
+    members = { e: jwk.e, kty: jwk.kty, n: jwk.n };
+  } else if (jwk.kty === 'EC') {
+    members = { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y };
+  } else if (jwk.kty === 'OKP') {
+    members = { crv: jwk.crv, kty: jwk.kty, x: jwk.x };
+  } else {
+    throw new Error(`Unsupported JWK key type: ${jwk.kty}`);
+  }
+
+  // Required members in lexicographic order, no whitespace
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+}
+
+/**
+ * Reduce a JWK to its public members
+ * @param {Object} jwk
+ * @returns {Object}
+ */
+function publicJwk(jwk) {
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ format: 'jwk' });
+}
+
+module.exports = {
+  ALGORITHMS,
+  decode,
+  verify,
+  thumbprint,
+  publicJwk
+};
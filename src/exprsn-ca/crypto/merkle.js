@@ -0,0 +1,306 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Exprsn Certificate Authority - Merkle Tree (RFC 6962 / RFC 9162)
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Tree hashing, audit paths and consistency proofs over a list of leaf
+ * hashes, plus the TLS encodings of log leaves and tree head signatures.
+ */
+
+const crypto = require('crypto');
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function sha256(...parts) {
+  return crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+}
+
+/**
+ * Hash of a leaf: SHA-256(0x00 || leaf)
+ * @param {Buffer} leafInput
+ * @returns {Buffer}
+ */
+function leafHash(leafInput) {
+  return sha256(LEAF_PREFIX, leafInput);
+}
+
+/**
+ * Hash of an interior node: SHA-256(0x01 || left || right)
+ */
+function nodeHash(left, right) {
+  return sha256(NODE_PREFIX, left, right);
+}
+
+/**
+ * Largest power of two strictly smaller than n (n > 1)
+ */
+function split(n) {
+  let k = 1;
+  while (k << 1 < n) {
+    k <<= 1;
+  }
+  return k;
+}
+
+/**
+ * Merkle Tree Hash of hashes[start, end)
+ */
+function subtreeHash(hashes, start, end) {
+  const n = end - start;
+
+  if (n === 0) {
+    return sha256(Buffer.alloc(0));
+  }
+  if (n === 1) {
+    return hashes[start];
+  }
+
+  const k = split(n);
+  return nodeHash(subtreeHash(hashes, start, start + k), subtreeHash(hashes, start + k, end));
+}
+
+/**
+ * Root hash of a tree
+ * @param {Buffer[]} hashes - Leaf hashes in log order
+ * @returns {Buffer}
+ */
+function rootHash(hashes) {
+  return subtreeHash(hashes, 0, hashes.length);
+}
+
+function path(index, hashes, start, end) {
+  const n = end - start;
+
+  if (n <= 1) {
+    return [];
+  }
+
+  const k = split(n);
+  if (index < k) {
+    return [...path(index, hashes, start, start + k), subtreeHash(hashes, start + k, end)];
+  }
+  return [...path(index - k, hashes, start + k, end), subtreeHash(hashes, start, start + k)];
+}
+
+/**
+ * Audit path proving inclusion of one leaf (RFC 6962 Section 2.1.1)
+ * @param {number} index - Leaf index
+ * @param {Buffer[]} hashes - Leaf hashes of the tree the proof is for
+ * @returns {Buffer[]}
+ */
+function inclusionProof(index, hashes) {
+  if (index < 0 || index >= hashes.length) {
+    throw new Error('Leaf index is outside the tree');
+  }
+  return path(index, hashes, 0, hashes.length);
+}
+
+function subproof(m, hashes, start, end, complete) {
+  const n = end - start;
+
+  if (m === n) {
+    return complete ? [] : [subtreeHash(hashes, start, end)];
+  }
+
+  const k = split(n);
+  if (m <= k) {
+    return [...subproof(m, hashes, start, start + k, complete), subtreeHash(hashes, start + k, end)];
+  }
+  return [...subproof(m - k, hashes, start + k, end, false), subtreeHash(hashes, start, start + k)];
+}
+
+/**
+ * Proof that the first m leaves are a prefix of the tree (RFC 6962 Section 2.1.2)
+ * @param {number} m - Size of the older tree
+ * @param {Buffer[]} hashes - Leaf hashes of the newer tree
+ * @returns {Buffer[]}
+ */
+function consistencyProof(m, hashes) {
+  if (m < 1 || m > hashes.length) {
+    throw new Error('Tree sizes are not consistent');
+  }
+  return subproof(m, hashes, 0, hashes.length, true);
+}
+
+/**
+ * Verify an audit path (RFC 9162 Section 2.1.3.2)
+ * @returns {boolean}
+ */
+function verifyInclusion(hash, index, treeSize, proof, root) {
+  if (index >= treeSize) {
+    return false;
+  }
+
+  let fn = index;
+  let sn = treeSize - 1;
+  let r = hash;
+
+  for (const p of proof) {
+    if (sn === 0) {
+      return false;
+    }
+
+    if (fn % 2 === 1 || fn === sn) {
+      r = nodeHash(p, r);
+      if (fn % 2 === 0) {
+        while (fn % 2 === 0 && fn !== 0) {
+          fn = Math.floor(fn / 2);
+          sn = Math.floor(sn / 2);
+        }
+      }
+    } else {
+      r = nodeHash(r, p);
+    }
+
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+
+  return sn === 0 && r.equals(root);
+}
+
+/**
+ * Verify a consistency proof between two tree heads (RFC 9162 Section 2.1.4.2)
+ * @returns {boolean}
+ */
+function verifyConsistency(firstSize, secondSize, firstRoot, secondRoot, proof) {
+  if (firstSize > secondSize) {
+    return false;
+  }
+  if (firstSize === secondSize) {
+    return proof.length === 0 && firstRoot.equals(secondRoot);
+  }
+  if (firstSize === 0) {
+    return proof.length === 0;
+  }
+
+  const nodes = (firstSize & (firstSize - 1)) === 0 ? [firstRoot, ...proof] : [...proof];
+  if (nodes.length === 0) {
+    return false;
+  }
+
+  let fn = firstSize - 1;
+  let sn = secondSize - 1;
+
+  while (fn % 2 === 1) {
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+
+  let fr = nodes[0];
+  let sr = nodes[0];
+
+  for (const c of nodes.slice(1)) {
+    if (sn === 0) {
+      return false;
+    }
+
+    if (fn % 2 === 1 || fn === sn) {
+      fr = nodeHash(c, fr);
+      sr = nodeHash(c, sr);
+      if (fn % 2 === 0) {
+        while (fn % 2 === 0 && fn !== 0) {
+          fn = Math.floor(fn / 2);
+          sn = Math.floor(sn / 2);
+        }
+      }
+    } else {
+      sr = nodeHash(sr, c);
+    }
+
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+
+  return sn === 0 && fr.equals(firstRoot) && sr.equals(secondRoot);
+}
+
+function uint64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(value));
+  return buffer;
+}
+
+/**
+ * Encode a MerkleTreeLeaf for an X.509 entry (RFC 6962 Section 3.4)
+ * @param {Object} entry - {timestamp (ms), certificateDer}
+ * @returns {Buffer}
+ */
+function encodeLeaf({ timestamp, certificateDer }) {
+  const length = Buffer.alloc(3);
+  length.writeUIntBE(certificateDer.length, 0, 3);
+
+  return Buffer.concat([
+    Buffer.from([0, 0]),      // version v1, leaf_type timestamped_entry
+    uint64(timestamp),
+    Buffer.from([0, 0]),      // entry_type x509_entry
+    length,
+    certificateDer,
+    Buffer.from([0, 0])       // no extensions
+  ]);
+}
+
+/**
+ * Decode a MerkleTreeLeaf produced by encodeLeaf
+ * @param {Buffer} leafInput
+ * @returns {{timestamp: number, certificateDer: Buffer}}
+ */
+function decodeLeaf(leafInput) {
+  if (leafInput.length < 15 || leafInput[0] !== 0 || leafInput[1] !== 0 || leafInput.readUInt16BE(10) !== 0) {
+    throw new Error('Unsupported log leaf');
+  }
+
+  const length = leafInput.readUIntBE(12, 3);
+
+  return {
+    timestamp: Number(leafInput.readBigUInt64BE(2)),
+    certificateDer: leafInput.subarray(15, 15 + length)
+  };
+}
+
+/**
+ * Data covered by a tree head signature (RFC 6962 Section 3.5)
+ */
+function treeHeadSignatureInput({ timestamp, treeSize, rootHash: root }) {
+  return Buffer.concat([
+    Buffer.from([0, 1]),      // version v1, signature_type tree_hash
+    uint64(timestamp),
+    uint64(treeSize),
+    root
+  ]);
+}
+
+/**
+ * Wrap an ECDSA-SHA256 signature in a TLS DigitallySigned struct
+ */
+function encodeDigitallySigned(signature) {
+  const header = Buffer.from([4, 3, 0, 0]); // sha256, ecdsa
+  header.writeUInt16BE(signature.length, 2);
+  return Buffer.concat([header, signature]);
+}
+
+/**
+ * Extract the signature from a DigitallySigned struct
+ */
+function decodeDigitallySigned(digitallySigned) {
+  if (digitallySigned[0] !== 4 || digitallySigned[1] !== 3) {
+    throw new Error('Unsupported tree head signature algorithm');
+  }
+  return digitallySigned.subarray(4, 4 + digitallySigned.readUInt16BE(2));
+}
+
+module.exports = {
+  leafHash,
+  nodeHash,
+  rootHash,
+  inclusionProof,
+  consistencyProof,
+  verifyInclusion,
+  verifyConsistency,
+  encodeLeaf,
+  decodeLeaf,
+  treeHeadSignatureInput,
+  encodeDigitallySigned,
+  decodeDigitallySigned
+};
@@ -0,0 +1,270 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Exprsn Certificate Authority - OCSP Message Encoding (RFC 6960)
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const forge = require('node-forge');
+const crypto = require('crypto');
+const { pki, asn1 } = forge;
+const { toBinary, subjectFromPem } = require('./asn1');
+
+const OID = {
+  basicResponse: '1.3.6.1.5.5.7.48.1.1',
+  nonce: '1.3.6.1.5.5.7.48.1.2',
+  sha1: '1.3.14.3.2.26',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  sha256WithRSAEncryption: '1.2.840.113549.1.1.11'
+};
+
+/**
+ * OCSPResponseStatus values (RFC 6960 Section 4.2.1)
+ */
+const RESPONSE_STATUS = {
+  successful: 0,
+  malformedRequest: 1,
+  internalError: 2,
+  tryLater: 3,
+  sigRequired: 5,
+  unauthorized: 6
+};
+
+const HASH_ALGORITHMS = {
+  [OID.sha1]: 'sha1',
+  [OID.sha256]: 'sha256'
+};
+
+/**
+ * Normalize INTEGER content bytes to the hex form stored in `serial_number`
+ * @param {string} bytes - Raw INTEGER content bytes
+ * @returns {string} Lowercase hex serial number
+ */
+function serialFromBytes(bytes) {
+  let hex = forge.util.bytesToHex(bytes).toLowerCase();
+
+  // A leading zero octet is only present to keep the INTEGER positive
+  if (hex.length > 2 && hex.startsWith('00')) {
+    hex = hex.substring(2);
+  }
+
+  return hex;
+}
+
+/**
+ * Parse a DER-encoded OCSPRequest
+ * @param {Buffer|string} der - DER bytes (Buffer or forge binary string)
+ * @returns {{requests: Object[], nonce: string|null}}
+ */
+function parseRequest(der) {
+  const root = asn1.fromDer(toBinary(der));
+  const tbsRequest = root.value[0];
+
+  if (!tbsRequest || !Array.isArray(tbsRequest.value)) {
+    throw new Error('Malformed OCSPRequest: missing tbsRequest');
+  }
+
+  let requestList = null;
+  let nonce = null;
+
+  for (const field of tbsRequest.value) {
+    if (field.tagClass === asn1.Class.UNIVERSAL && field.type === asn1.Type.SEQUENCE) {
+      requestList = field;
+    } else if (field.tagClass === asn1.Class.CONTEXT_SPECIFIC && field.type === 2) {
+      // requestExtensions [2] EXPLICIT Extensions
+      for (const extension of field.value[0].value) {
+        const extnId = asn1.derToOid(extension.value[0].value);
+        if (extnId === OID.nonce) {
+          nonce = extension.value[extension.value.length - 1].value;
+        }
+      }
+    }
+  }
+
+  if (!requestList || requestList.value.length === 0) {
+    throw new Error('Malformed OCSPRequest: empty requestList');
+  }
+
+  const requests = requestList.value.map(request => {
+    const certId = request.value[0];
+    const hashOid = asn1.derToOid(certId.value[0].value[0].value);
+    const hashAlgorithm = HASH_ALGORITHMS[hashOid];
+
+    if (!hashAlgorithm) {
+      throw new Error(`Unsupported CertID hash algorithm: ${hashOid}`);
+    }
+
+    return {
+      certId,
+      hashAlgorithm,
+      issuerNameHash: forge.util.bytesToHex(certId.value[1].value),
+      issuerKeyHash: forge.util.bytesToHex(certId.value[2].value),
+      serialNumber: serialFromBytes(certId.value[3].value)
+    };
+  });
+
+  return { requests, nonce };
+}
+
+/**
+ * Compute the CertID issuer hashes for a CA certificate
+ * @param {string} certificatePem - PEM-encoded issuer certificate
+ * @param {string} hashAlgorithm - 'sha1' or 'sha256'
+ * @returns {{issuerNameHash: string, issuerKeyHash: string}}
+ */
+function issuerHashes(certificatePem, hashAlgorithm = 'sha1') {
+  const subjectDer = asn1.toDer(subjectFromPem(certificatePem)).getBytes();
+
+  const publicKey = pki.certificateFromPem(certificatePem).publicKey;
+  const keyDer = asn1.toDer(pki.publicKeyToRSAPublicKey(publicKey)).getBytes();
+
+  return {
+    issuerNameHash: crypto.createHash(hashAlgorithm).update(subjectDer, 'binary').digest('hex'),
+    issuerKeyHash: crypto.createHash(hashAlgorithm).update(keyDer, 'binary').digest('hex')
+  };
+}
+
+/**
+ * Build an OCSPResponse carrying only a status (no responseBytes)
+ * @param {string} status - Key of RESPONSE_STATUS
+ * @returns {Buffer} DER-encoded OCSPResponse
+ */
+function buildErrorResponse(status) {
+  const response = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false,
+      String.fromCharCode(RESPONSE_STATUS[status]))
+  ]);
+
+  return Buffer.from(asn1.toDer(response).getBytes(), 'binary');
+}
+
+/**
+ * Build the CertStatus CHOICE for a single response
+ */
+function certStatusToAsn1(result) {
+  if (result.status === 'revoked') {
+    const revokedInfo = [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false,
+        asn1.dateToGeneralizedTime(new Date(result.revokedAt)))
+    ];
+
+    if (typeof result.reasonCode === 'number') {
+      revokedInfo.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false,
+          String.fromCharCode(result.reasonCode))
+      ]));
+    }
+
+    return asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, revokedInfo);
+  }
+
+  // good [0] IMPLICIT NULL, unknown [2] IMPLICIT NULL
+  return asn1.create(asn1.Class.CONTEXT_SPECIFIC, result.status === 'good' ? 0 : 2, false, '');
+}
+
+/**
+ * Build a signed, successful OCSPResponse wrapping a BasicOCSPResponse
+ * @param {Object} options
+ * @param {Object[]} options.responses - [{certId, status, revokedAt, reasonCode, thisUpdate, nextUpdate}]
+ * @param {string} options.signerCertPem - PEM of the delegated OCSP signing certificate
+ * @param {string} options.signerKeyPem - PEM of the signing key
+ * @param {string|null} options.nonce - Raw nonce extnValue bytes to echo back
+ * @returns {Buffer} DER-encoded OCSPResponse
+ */
+function buildResponse(options) {
+  const { responses, signerCertPem, signerKeyPem, nonce = null } = options;
+
+  const signerCert = pki.certificateFromPem(signerCertPem);
+  const signerKey = pki.privateKeyFromPem(signerKeyPem);
+
+  const responderKeyHash = pki.getPublicKeyFingerprint(signerCert.publicKey, {
+    type: 'RSAPublicKey',
+    md: forge.md.sha1.create()
+  }).getBytes();
+
+  const singleResponses = responses.map(result => {
+    const fields = [
+      result.certId,
+      certStatusToAsn1(result),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false,
+        asn1.dateToGeneralizedTime(result.thisUpdate))
+    ];
+
+    if (result.nextUpdate) {
+      fields.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false,
+          asn1.dateToGeneralizedTime(result.nextUpdate))
+      ]));
+    }
+
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, fields);
+  });
+
+  const responseData = [
+    // responderID byKey [2] EXPLICIT KeyHash
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 2, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, responderKeyHash)
+    ]),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false,
+      asn1.dateToGeneralizedTime(new Date())),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, singleResponses)
+  ];
+
+  if (nonce) {
+    responseData.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OID.nonce).getBytes()),
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, nonce)
+        ])
+      ])
+    ]));
+  }
+
+  const tbsResponseData = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, responseData);
+
+  // sha256WithRSAEncryption over the DER of tbsResponseData
+  const digest = forge.md.sha256.create();
+  digest.update(asn1.toDer(tbsResponseData).getBytes());
+  const signature = signerKey.sign(digest);
+
+  const basicResponse = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    tbsResponseData,
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false,
+        asn1.oidToDer(OID.sha256WithRSAEncryption).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+    ]),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false,
+      String.fromCharCode(0x00) + signature),
+    // certs [0] EXPLICIT SEQUENCE OF Certificate - lets clients validate the delegation
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        pki.certificateToAsn1(signerCert)
+      ])
+    ])
+  ]);
+
+  const ocspResponse = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false,
+      String.fromCharCode(RESPONSE_STATUS.successful)),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false,
+          asn1.oidToDer(OID.basicResponse).getBytes()),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+          asn1.toDer(basicResponse).getBytes())
+      ])
+    ])
+  ]);
+
+  return Buffer.from(asn1.toDer(ocspResponse).getBytes(), 'binary');
+}
+
+module.exports = {
+  OID,
+  RESPONSE_STATUS,
+  parseRequest,
+  issuerHashes,
+  buildResponse,
+  buildErrorResponse
+};
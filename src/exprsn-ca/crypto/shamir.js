@@ -0,0 +1,129 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Exprsn Certificate Authority - Shamir Secret Sharing
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Splits a secret into N shares of which any M recover it, byte by byte
+ * over GF(2^8) (AES polynomial x^8 + x^4 + x^3 + x + 1).
+ *
+ * A share is hex: one byte of x coordinate followed by the y bytes.
+ */
+
+const crypto = require('crypto');
+
+const EXP = new Array(510);
+const LOG = new Array(256);
+
+// Generator 3 walks every non-zero element of the field
+(function buildTables() {
+  let value = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = value;
+    LOG[value] = i;
+    value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+    value &= 0xff;
+  }
+  for (let i = 255; i < 510; i++) {
+    EXP[i] = EXP[i - 255];
+  }
+})();
+
+function multiply(a, b) {
+  if (a === 0 || b === 0) return 0;
+  return EXP[LOG[a] + LOG[b]];
+}
+
+function divide(a, b) {
+  if (b === 0) throw new Error('Division by zero in GF(256)');
+  if (a === 0) return 0;
+  return EXP[LOG[a] + 255 - LOG[b]];
+}
+
+/**
+ * Split a secret into shares
+ * @param {Buffer} secret
+ * @param {number} shares - Total number of shares (N)
+ * @param {number} threshold - Shares required to recover (M)
+ * @returns {string[]} Hex-encoded shares
+ */
+function split(secret, shares, threshold) {
+  if (!Buffer.isBuffer(secret) || secret.length === 0) {
+    throw new Error('Secret must be a non-empty Buffer');
+  }
+  if (!Number.isInteger(threshold) || threshold < 2) {
+    throw new Error('Threshold must be at least 2');
+  }
+  if (!Number.isInteger(shares) || shares < threshold || shares > 255) {
+    throw new Error('Share count must be between the threshold and 255');
+  }
+
+  const outputs = [];
+  for (let x = 1; x <= shares; x++) {
+    outputs.push(Buffer.alloc(secret.length + 1));
+    outputs[x - 1][0] = x;
+  }
+
+  for (let i = 0; i < secret.length; i++) {
+    // Random polynomial of degree M-1 whose constant term is the secret byte
+    const coefficients = [secret[i], ...crypto.randomBytes(threshold - 1)];
+
+    for (let x = 1; x <= shares; x++) {
+      let y = 0;
+      for (let c = coefficients.length - 1; c >= 0; c--) {
+        y = multiply(y, x) ^ coefficients[c];
+      }
+      outputs[x - 1][i + 1] = y;
+    }
+  }
+
+  return outputs.map(output => output.toString('hex'));
+}
+
+/**
+ * Recover a secret from at least M shares
+ * Fewer than M shares yield an unrelated value rather than an error, so callers
+ * must verify the result.
+ * @param {string[]} shares - Hex-encoded shares
+ * @returns {Buffer}
+ */
+function combine(shares) {
+  const points = shares.map(share => Buffer.from(share, 'hex'));
+
+  if (points.length < 2) {
+    throw new Error('At least two shares are required');
+  }
+
+  const length = points[0].length;
+  if (length < 2 || points.some(point => point.length !== length)) {
+    throw new Error('Shares are malformed or of different lengths');
+  }
+
+  const xs = points.map(point => point[0]);
+  if (xs.includes(0) || new Set(xs).size !== xs.length) {
+    throw new Error('Shares must have distinct, non-zero indexes');
+  }
+
+  const secret = Buffer.alloc(length - 1);
+
+  for (let i = 1; i < length; i++) {
+    // Lagrange interpolation at x = 0
+    let value = 0;
+    for (let j = 0; j < points.length; j++) {
+      let basis = 1;
+      for (let k = 0; k < points.length; k++) {
+        if (j !== k) {
+          basis = multiply(basis, divide(xs[k], xs[j] ^ xs[k]));
+        }
+      }
+      value ^= multiply(points[j][i], basis);
+    }
+    secret[i - 1] = value;
+  }
+
+  return secret;
+}
+
+module.exports = {
+  split,
+  combine
+};
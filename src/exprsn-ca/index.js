@@ -242,8 +242,12 @@ app.use('/roles', require('./routes/roles'));
 app.use('/tickets', require('./routes/tickets'));
 app.use('/ocsp', require('./routes/ocsp'));
 app.use('/crl', require('./routes/crl'));
+app.use('/acme', require('./routes/acme'));
+app.use('/ct/v1', require('./routes/transparency'));
 app.use('/api', require('./routes/api'));
 app.use('/api/config', require('./routes/config'));
+app.use('/api/certificate-profiles', require('./routes/certificateProfiles'));
+app.use('/api/renewals', require('./routes/renewals'));
 app.use('/admin', require('./routes/admin'));
 
 // ───────────────────────────────────────────────────────────────────────
@@ -412,6 +416,24 @@ async function initialize() {
     } catch (error) {
       logger.warn('CRL service initialization failed (will retry when root cert is available):', error.message);
     }
+    try {
+      await require('./services/certificateProfile').ensureDefaults();
+      logger.info('Certificate profiles initialized successfully');
+    } catch (error) {
+      logger.warn('Certificate profile initialization failed:', error.message);
+    }
+    try {
+      await require('./services/renewal').initialize({ ipc });
+      logger.info('Renewal service initialized successfully');
+    } catch (error) {
+      logger.warn('Renewal service initialization failed:', error.message);
+    }
+    try {
+      await require('./services/compactToken').initialize({ ipc });
+      logger.info('Compact token service initialized successfully');
+    } catch (error) {
+      logger.warn('Compact token service initialization failed:', error.message);
+    }
     logger.info('Services initialized successfully');
 
     logger.info('Exprsn Certificate Authority initialized successfully');
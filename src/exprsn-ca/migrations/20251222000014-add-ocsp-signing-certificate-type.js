@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Migration: Add OCSP Signing Certificate Type
+ * ═══════════════════════════════════════════════════════════════════════
+ * Delegated OCSP responder certificates (RFC 6960 Section 4.2.2.2)
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      ALTER TYPE "enum_certificates_type"
+      ADD VALUE IF NOT EXISTS 'ocsp_signing';
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // PostgreSQL cannot drop a value from an ENUM type; retire the rows instead
+    await queryInterface.sequelize.query(`
+      UPDATE certificates SET status = 'revoked', revoked_at = NOW(),
+        revocation_reason = 'cessationOfOperation'
+      WHERE type = 'ocsp_signing' AND status = 'active';
+    `);
+  }
+};
@@ -0,0 +1,275 @@
+'use strict';
+
+/**
+ * Migration: Create ACME Tables
+ * ═══════════════════════════════════════════════════════════════════════
+ * Accounts, orders, authorizations and challenges for the RFC 8555 server
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('acme_accounts', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      key_thumbprint: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      jwk: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      contact: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        defaultValue: []
+      },
+      status: {
+        type: Sequelize.ENUM('valid', 'deactivated', 'revoked'),
+        defaultValue: 'valid',
+        allowNull: false
+      },
+      terms_of_service_agreed: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false,
+        allowNull: false
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('acme_orders', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      account_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'acme_accounts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'ready', 'processing', 'valid', 'invalid'),
+        defaultValue: 'pending',
+        allowNull: false
+      },
+      identifiers: {
+        type: Sequelize.JSONB,
+        defaultValue: [],
+        allowNull: false
+      },
+      not_before: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      not_after: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      certificate_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'certificates',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      error: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('acme_authorizations', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'acme_orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      account_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'acme_accounts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      identifier_type: {
+        type: Sequelize.STRING(16),
+        defaultValue: 'dns',
+        allowNull: false
+      },
+      identifier_value: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      wildcard: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'valid', 'invalid', 'deactivated', 'expired', 'revoked'),
+        defaultValue: 'pending',
+        allowNull: false
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('acme_challenges', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      authorization_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'acme_authorizations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('http-01', 'dns-01'),
+        allowNull: false
+      },
+      token: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processing', 'valid', 'invalid'),
+        defaultValue: 'pending',
+        allowNull: false
+      },
+      validated_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Create indexes
+    await queryInterface.addIndex('acme_accounts', ['status'], {
+      name: 'acme_accounts_status_idx'
+    });
+
+    await queryInterface.addIndex('acme_orders', ['account_id'], {
+      name: 'acme_orders_account_id_idx'
+    });
+
+    await queryInterface.addIndex('acme_orders', ['status'], {
+      name: 'acme_orders_status_idx'
+    });
+
+    await queryInterface.addIndex('acme_orders', ['expires_at'], {
+      name: 'acme_orders_expires_at_idx'
+    });
+
+    await queryInterface.addIndex('acme_authorizations', ['order_id'], {
+      name: 'acme_authorizations_order_id_idx'
+    });
+
+    await queryInterface.addIndex('acme_authorizations', ['account_id'], {
+      name: 'acme_authorizations_account_id_idx'
+    });
+
+    await queryInterface.addIndex('acme_authorizations', ['status'], {
+      name: 'acme_authorizations_status_idx'
+    });
+
+    await queryInterface.addIndex('acme_challenges', ['authorization_id'], {
+      name: 'acme_challenges_authorization_id_idx'
+    });
+
+    await queryInterface.addIndex('acme_challenges', ['status'], {
+      name: 'acme_challenges_status_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('acme_challenges');
+    await queryInterface.dropTable('acme_authorizations');
+    await queryInterface.dropTable('acme_orders');
+    await queryInterface.dropTable('acme_accounts');
+  }
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Migration: Create Certificate Profiles Table
+ * ═══════════════════════════════════════════════════════════════════════
+ * Named issuance policies (key types, validity, extensions, SANs, roles)
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('certificate_profiles', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      display_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      certificate_type: {
+        type: Sequelize.ENUM('client', 'server', 'code_signing', 'entity', 'san', 'intermediate'),
+        allowNull: false
+      },
+      key_usage: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        defaultValue: []
+      },
+      extended_key_usage: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        defaultValue: []
+      },
+      key_algorithms: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: { rsa: [2048, 3072, 4096] }
+      },
+      max_validity_days: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 365
+      },
+      required_extensions: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        defaultValue: []
+      },
+      forbidden_extensions: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        defaultValue: []
+      },
+      common_name_pattern: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      san_patterns: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        defaultValue: []
+      },
+      name_constraints: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      allowed_roles: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        defaultValue: []
+      },
+      allowed_groups: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        defaultValue: []
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'disabled'),
+        defaultValue: 'active',
+        allowNull: false
+      },
+      is_system: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false,
+        allowNull: false
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Create indexes
+    await queryInterface.addIndex('certificate_profiles', ['certificate_type'], {
+      name: 'certificate_profiles_type_idx'
+    });
+
+    await queryInterface.addIndex('certificate_profiles', ['status'], {
+      name: 'certificate_profiles_status_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('certificate_profiles');
+  }
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Migration: Create Key Ceremonies Table
+ * ═══════════════════════════════════════════════════════════════════════
+ * Shamir M-of-N custody records for sealed CA private keys
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('key_ceremonies', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      certificate_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'certificates',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      threshold: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      share_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      share_digests: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        allowNull: false
+      },
+      custodians: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'retired'),
+        defaultValue: 'active',
+        allowNull: false
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      last_unsealed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      retired_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Create indexes
+    await queryInterface.addIndex('key_ceremonies', ['certificate_id'], {
+      name: 'key_ceremonies_certificate_id_idx'
+    });
+
+    await queryInterface.addIndex('key_ceremonies', ['status'], {
+      name: 'key_ceremonies_status_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('key_ceremonies');
+  }
+};
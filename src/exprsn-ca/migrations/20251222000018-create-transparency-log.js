@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Migration: Create Transparency Log Tables
+ * ═══════════════════════════════════════════════════════════════════════
+ * Append-only Merkle log of issued certificates and its signed tree heads
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('transparency_log_entries', {
+      leaf_index: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        allowNull: false
+      },
+      certificate_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      serial_number: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      timestamp: {
+        type: Sequelize.BIGINT,
+        allowNull: false
+      },
+      leaf_input: {
+        type: Sequelize.BLOB,
+        allowNull: false
+      },
+      leaf_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('transparency_tree_heads', {
+      tree_size: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        allowNull: false
+      },
+      timestamp: {
+        type: Sequelize.BIGINT,
+        allowNull: false
+      },
+      root_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      signature: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Create indexes
+    await queryInterface.addIndex('transparency_log_entries', ['leaf_hash'], {
+      name: 'transparency_log_entries_leaf_hash_idx'
+    });
+
+    await queryInterface.addIndex('transparency_log_entries', ['certificate_id'], {
+      name: 'transparency_log_entries_certificate_id_idx'
+    });
+
+    // Both tables are append-only: refuse UPDATE and DELETE at the database
+    await queryInterface.sequelize.query(`
+      CREATE OR REPLACE FUNCTION transparency_log_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'transparency log tables are append-only';
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    for (const table of ['transparency_log_entries', 'transparency_tree_heads']) {
+      await queryInterface.sequelize.query(`
+        CREATE TRIGGER ${table}_append_only
+        BEFORE UPDATE OR DELETE OR TRUNCATE ON ${table}
+        FOR EACH STATEMENT EXECUTE FUNCTION transparency_log_append_only();
+      `);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('transparency_tree_heads');
+    await queryInterface.dropTable('transparency_log_entries');
+    await queryInterface.sequelize.query('DROP FUNCTION IF EXISTS transparency_log_append_only();');
+  }
+};
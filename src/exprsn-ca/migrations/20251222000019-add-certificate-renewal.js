@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Migration: Add Certificate Renewal Tracking
+ * ═══════════════════════════════════════════════════════════════════════
+ * Auto-renew flags and expiry warning state on certificates, plus a log
+ * of renewal attempts
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('certificates', 'auto_renew', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('certificates', 'auto_renew_rekey', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('certificates', 'renewed_by_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'certificates',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('certificates', 'expiry_notified_days', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('certificates', ['auto_renew'], {
+      name: 'certificates_auto_renew_idx'
+    });
+
+    await queryInterface.createTable('certificate_renewals', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      certificate_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'certificates',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      new_certificate_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'certificates',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      trigger: {
+        type: Sequelize.ENUM('auto', 'manual'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('success', 'failed'),
+        allowNull: false
+      },
+      rekeyed: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Create indexes
+    await queryInterface.addIndex('certificate_renewals', ['certificate_id'], {
+      name: 'certificate_renewals_certificate_id_idx'
+    });
+
+    await queryInterface.addIndex('certificate_renewals', ['status'], {
+      name: 'certificate_renewals_status_idx'
+    });
+
+    await queryInterface.addIndex('certificate_renewals', ['created_at'], {
+      name: 'certificate_renewals_created_at_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('certificate_renewals');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_certificate_renewals_trigger";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_certificate_renewals_status";');
+
+    await queryInterface.removeIndex('certificates', 'certificates_auto_renew_idx');
+    await queryInterface.removeColumn('certificates', 'expiry_notified_days');
+    await queryInterface.removeColumn('certificates', 'renewed_by_id');
+    await queryInterface.removeColumn('certificates', 'auto_renew_rekey');
+    await queryInterface.removeColumn('certificates', 'auto_renew');
+  }
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Migration: Add Token Delegation
+ * ═══════════════════════════════════════════════════════════════════════
+ * Parent link, depth and accumulated caveats for attenuated child tokens
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('tokens', 'parent_token_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'tokens',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    });
+
+    await queryInterface.addColumn('tokens', 'depth', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.addColumn('tokens', 'caveats', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: []
+    });
+
+    await queryInterface.addIndex('tokens', ['parent_token_id'], {
+      name: 'tokens_parent_token_id_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('tokens', 'tokens_parent_token_id_idx');
+    await queryInterface.removeColumn('tokens', 'caveats');
+    await queryInterface.removeColumn('tokens', 'depth');
+    await queryInterface.removeColumn('tokens', 'parent_token_id');
+  }
+};
@@ -0,0 +1,76 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * AcmeAccount Model - ACME (RFC 8555) client accounts
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const AcmeAccount = sequelize.define('AcmeAccount', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: () => uuidv4()
+    },
+    keyThumbprint: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'key_thumbprint',
+      comment: 'RFC 7638 SHA-256 thumbprint of the account key'
+    },
+    jwk: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: 'Public account key in JWK form'
+    },
+    contact: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: []
+    },
+    status: {
+      type: DataTypes.ENUM('valid', 'deactivated', 'revoked'),
+      defaultValue: 'valid',
+      allowNull: false
+    },
+    termsOfServiceAgreed: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+      field: 'terms_of_service_agreed'
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    tableName: 'acme_accounts',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['key_thumbprint'], unique: true },
+      { fields: ['status'] }
+    ]
+  });
+
+  // Instance methods
+  AcmeAccount.prototype.isValid = function() {
+    return this.status === 'valid';
+  };
+
+  return AcmeAccount;
+};
@@ -0,0 +1,89 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * AcmeAuthorization Model - ACME (RFC 8555) identifier authorizations
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const AcmeAuthorization = sequelize.define('AcmeAuthorization', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: () => uuidv4()
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'order_id',
+      references: {
+        model: 'acme_orders',
+        key: 'id'
+      }
+    },
+    accountId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'account_id',
+      references: {
+        model: 'acme_accounts',
+        key: 'id'
+      }
+    },
+    identifierType: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      defaultValue: 'dns',
+      field: 'identifier_type'
+    },
+    identifierValue: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      field: 'identifier_value'
+    },
+    wildcard: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'valid', 'invalid', 'deactivated', 'expired', 'revoked'),
+      defaultValue: 'pending',
+      allowNull: false
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expires_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    tableName: 'acme_authorizations',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['order_id'] },
+      { fields: ['account_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  // Instance methods
+  AcmeAuthorization.prototype.isExpired = function() {
+    return new Date() > this.expiresAt;
+  };
+
+  return AcmeAuthorization;
+};
@@ -0,0 +1,79 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * AcmeChallenge Model - ACME (RFC 8555) validation challenges
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+
+module.exports = (sequelize, DataTypes) => {
+  const AcmeChallenge = sequelize.define('AcmeChallenge', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: () => uuidv4()
+    },
+    authorizationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'authorization_id',
+      references: {
+        model: 'acme_authorizations',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('http-01', 'dns-01'),
+      allowNull: false
+    },
+    token: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: () => AcmeChallenge.generateToken()
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'valid', 'invalid'),
+      defaultValue: 'pending',
+      allowNull: false
+    },
+    validatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'validated_at'
+    },
+    error: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'ACME problem document from the last failed validation'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    tableName: 'acme_challenges',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['authorization_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  // Class methods
+  AcmeChallenge.generateToken = function() {
+    // At least 128 bits of entropy, base64url (RFC 8555 Section 8.3)
+    return crypto.randomBytes(32).toString('base64url');
+  };
+
+  return AcmeChallenge;
+};
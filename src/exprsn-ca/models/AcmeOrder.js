@@ -0,0 +1,94 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * AcmeOrder Model - ACME (RFC 8555) certificate orders
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const AcmeOrder = sequelize.define('AcmeOrder', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: () => uuidv4()
+    },
+    accountId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'account_id',
+      references: {
+        model: 'acme_accounts',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'ready', 'processing', 'valid', 'invalid'),
+      defaultValue: 'pending',
+      allowNull: false
+    },
+    identifiers: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Requested identifiers [{type, value}]'
+    },
+    notBefore: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'not_before'
+    },
+    notAfter: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'not_after'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expires_at'
+    },
+    certificateId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'certificate_id',
+      references: {
+        model: 'certificates',
+        key: 'id'
+      }
+    },
+    error: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'ACME problem document when the order is invalid'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    tableName: 'acme_orders',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['account_id'] },
+      { fields: ['status'] },
+      { fields: ['expires_at'] }
+    ]
+  });
+
+  // Instance methods
+  AcmeOrder.prototype.isExpired = function() {
+    return new Date() > this.expiresAt;
+  };
+
+  return AcmeOrder;
+};
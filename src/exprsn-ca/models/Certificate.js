@@ -20,7 +20,7 @@ module.exports = (sequelize, DataTypes) => {
       field: 'serial_number'
     },
     type: {
-      type: DataTypes.ENUM('root', 'intermediate', 'entity', 'san', 'code_signing', 'client', 'server'),
+      type: DataTypes.ENUM('root', 'intermediate', 'entity', 'san', 'code_signing', 'client', 'server', 'ocsp_signing'),
       allowNull: false
     },
     userId: {
@@ -153,6 +153,32 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       field: 'revocation_reason'
     },
+    // Expiry monitoring and automatic renewal
+    autoRenew: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'auto_renew'
+    },
+    autoRenewRekey: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'auto_renew_rekey',
+      comment: 'Generate a new key pair on automatic renewal'
+    },
+    renewedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'renewed_by_id',
+      comment: 'The certificate that replaced this one on renewal'
+    },
+    expiryNotifiedDays: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'expiry_notified_days',
+      comment: 'Smallest expiry warning tier already sent'
+    },
     // Storage location (for external storage like S3)
     storagePath: {
       type: DataTypes.STRING(500),
@@ -189,7 +215,8 @@ module.exports = (sequelize, DataTypes) => {
       { fields: ['status'] },
       { fields: ['not_before'] },
       { fields: ['not_after'] },
-      { fields: ['common_name'] }
+      { fields: ['common_name'] },
+      { fields: ['auto_renew'] }
     ]
   });
 
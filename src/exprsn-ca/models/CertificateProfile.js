@@ -0,0 +1,147 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * CertificateProfile Model - Named issuance policies
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const CertificateProfile = sequelize.define('CertificateProfile', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: () => uuidv4()
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[a-z0-9-]+$/
+      }
+    },
+    displayName: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      field: 'display_name'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    certificateType: {
+      type: DataTypes.ENUM('client', 'server', 'code_signing', 'entity', 'san', 'intermediate'),
+      allowNull: false,
+      field: 'certificate_type'
+    },
+    keyUsage: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: [],
+      field: 'key_usage',
+      comment: 'keyUsage bits stamped into issued certificates'
+    },
+    extendedKeyUsage: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: [],
+      field: 'extended_key_usage',
+      comment: 'extKeyUsage purposes stamped into issued certificates'
+    },
+    keyAlgorithms: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: { rsa: [2048, 3072, 4096] },
+      field: 'key_algorithms',
+      comment: 'Allowed key sizes per key type, e.g. {"rsa": [2048, 4096], "ec": [256]}'
+    },
+    maxValidityDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 365,
+      field: 'max_validity_days'
+    },
+    requiredExtensions: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: [],
+      field: 'required_extensions'
+    },
+    forbiddenExtensions: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: [],
+      field: 'forbidden_extensions'
+    },
+    commonNamePattern: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      field: 'common_name_pattern'
+    },
+    sanPatterns: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: [],
+      field: 'san_patterns',
+      comment: 'Every SAN must match at least one pattern (empty allows any)'
+    },
+    nameConstraints: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'name_constraints',
+      comment: 'Intermediate profiles only: {"permitted": [...], "excluded": [...]}'
+    },
+    allowedRoles: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: [],
+      field: 'allowed_roles',
+      comment: 'Role slugs allowed to issue (empty allows any authenticated user)'
+    },
+    allowedGroups: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: [],
+      field: 'allowed_groups',
+      comment: 'Group slugs allowed to issue'
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'disabled'),
+      defaultValue: 'active',
+      allowNull: false
+    },
+    isSystem: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      field: 'is_system',
+      comment: 'Built-in profiles cannot be deleted'
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    tableName: 'certificate_profiles',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['name'], unique: true },
+      { fields: ['certificate_type'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  // Instance methods
+  CertificateProfile.prototype.isActive = function() {
+    return this.status === 'active';
+  };
+
+  return CertificateProfile;
+};
@@ -0,0 +1,76 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * CertificateRenewal Model - Renewal attempts, automatic and manual
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const CertificateRenewal = sequelize.define('CertificateRenewal', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: () => uuidv4()
+    },
+    certificateId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'certificate_id',
+      references: {
+        model: 'certificates',
+        key: 'id'
+      }
+    },
+    newCertificateId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'new_certificate_id',
+      references: {
+        model: 'certificates',
+        key: 'id'
+      }
+    },
+    trigger: {
+      type: DataTypes.ENUM('auto', 'manual'),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('success', 'failed'),
+      allowNull: false
+    },
+    rekeyed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'user_id',
+      comment: 'User who requested a manual renewal'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    }
+  }, {
+    tableName: 'certificate_renewals',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    indexes: [
+      { fields: ['certificate_id'] },
+      { fields: ['status'] },
+      { fields: ['created_at'] }
+    ]
+  });
+
+  return CertificateRenewal;
+};
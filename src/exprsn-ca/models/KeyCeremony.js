@@ -0,0 +1,100 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * KeyCeremony Model - M-of-N custody of a CA private key
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const KeyCeremony = sequelize.define('KeyCeremony', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: () => uuidv4()
+    },
+    certificateId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'certificate_id',
+      references: {
+        model: 'certificates',
+        key: 'id'
+      }
+    },
+    threshold: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Shares required to unseal (M)'
+    },
+    shareCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'share_count',
+      comment: 'Shares issued to custodians (N)'
+    },
+    shareDigests: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      field: 'share_digests',
+      comment: 'SHA-256 of each share, used to recognise submitted shares'
+    },
+    custodians: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Custodian names in share order'
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'retired'),
+      defaultValue: 'active',
+      allowNull: false
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'created_by'
+    },
+    lastUnsealedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_unsealed_at'
+    },
+    retiredAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'retired_at'
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    tableName: 'key_ceremonies',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['certificate_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  // Instance methods
+  KeyCeremony.prototype.isActive = function() {
+    return this.status === 'active';
+  };
+
+  return KeyCeremony;
+};
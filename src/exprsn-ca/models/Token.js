@@ -154,6 +154,29 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       field: 'revoked_reason'
     },
+    // Delegation (attenuated child tokens)
+    parentTokenId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'parent_token_id',
+      references: {
+        model: 'tokens',
+        key: 'id'
+      },
+      comment: 'Token this one was delegated from'
+    },
+    depth: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Delegation depth (0 for tokens issued directly)'
+    },
+    caveats: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Accumulated caveats (ip, service) the chain imposes'
+    },
     metadata: {
       type: DataTypes.JSONB,
       defaultValue: {},
@@ -183,6 +206,7 @@ module.exports = (sequelize, DataTypes) => {
       { fields: ['expires_at'] },
       { fields: ['resource_type'] },
       { fields: ['resource_value'] },
+      { fields: ['parent_token_id'] },
       { fields: ['created_at'] }
     ]
   });
@@ -0,0 +1,74 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * TransparencyLogEntry Model - Append-only issuance log leaves
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const TransparencyLogEntry = sequelize.define('TransparencyLogEntry', {
+    leafIndex: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      field: 'leaf_index',
+      get() {
+        return Number(this.getDataValue('leafIndex'));
+      }
+    },
+    certificateId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'certificate_id',
+      comment: 'Issued certificate; kept as a plain reference so the log outlives edits'
+    },
+    serialNumber: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      field: 'serial_number'
+    },
+    timestamp: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: 'Milliseconds since the epoch, as encoded in the leaf',
+      get() {
+        return Number(this.getDataValue('timestamp'));
+      }
+    },
+    leafInput: {
+      type: DataTypes.BLOB,
+      allowNull: false,
+      field: 'leaf_input',
+      comment: 'RFC 6962 MerkleTreeLeaf'
+    },
+    leafHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      field: 'leaf_hash'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    }
+  }, {
+    tableName: 'transparency_log_entries',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    indexes: [
+      { fields: ['leaf_hash'] },
+      { fields: ['certificate_id'] }
+    ],
+    hooks: {
+      // The database refuses these too; fail early with a clear message
+      beforeUpdate() {
+        throw new Error('Transparency log entries are append-only');
+      },
+      beforeDestroy() {
+        throw new Error('Transparency log entries are append-only');
+      }
+    }
+  });
+
+  return TransparencyLogEntry;
+};
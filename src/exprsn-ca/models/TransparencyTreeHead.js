@@ -0,0 +1,48 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * TransparencyTreeHead Model - Signed tree heads of the issuance log
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const TransparencyTreeHead = sequelize.define('TransparencyTreeHead', {
+    treeSize: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      field: 'tree_size',
+      get() {
+        return Number(this.getDataValue('treeSize'));
+      }
+    },
+    timestamp: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      get() {
+        return Number(this.getDataValue('timestamp'));
+      }
+    },
+    rootHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      field: 'root_hash'
+    },
+    signature: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'Base64 TLS DigitallySigned over the tree head'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    }
+  }, {
+    tableName: 'transparency_tree_heads',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true
+  });
+
+  return TransparencyTreeHead;
+};
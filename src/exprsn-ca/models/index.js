@@ -40,6 +40,15 @@ const RevocationList = require('./RevocationList')(sequelize, Sequelize.DataType
 const AuditLog = require('./AuditLog')(sequelize, Sequelize.DataTypes);
 const RateLimit = require('./RateLimit')(sequelize, Sequelize.DataTypes);
 const PasswordReset = require('./PasswordReset')(sequelize, Sequelize.DataTypes);
+const AcmeAccount = require('./AcmeAccount')(sequelize, Sequelize.DataTypes);
+const AcmeOrder = require('./AcmeOrder')(sequelize, Sequelize.DataTypes);
+const AcmeAuthorization = require('./AcmeAuthorization')(sequelize, Sequelize.DataTypes);
+const AcmeChallenge = require('./AcmeChallenge')(sequelize, Sequelize.DataTypes);
+const CertificateProfile = require('./CertificateProfile')(sequelize, Sequelize.DataTypes);
+const KeyCeremony = require('./KeyCeremony')(sequelize, Sequelize.DataTypes);
+const TransparencyLogEntry = require('./TransparencyLogEntry')(sequelize, Sequelize.DataTypes);
+const TransparencyTreeHead = require('./TransparencyTreeHead')(sequelize, Sequelize.DataTypes);
+const CertificateRenewal = require('./CertificateRenewal')(sequelize, Sequelize.DataTypes);
 
 // ═══════════════════════════════════════════════════════════════════════
 // Model Associations
@@ -81,6 +90,10 @@ Certificate.hasMany(Token, { foreignKey: 'certificateId', as: 'tokens' });
 Token.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 User.hasMany(Token, { foreignKey: 'userId', as: 'tokens' });
 
+// Token <-> Token (delegation tree)
+Token.belongsTo(Token, { foreignKey: 'parentTokenId', as: 'parent' });
+Token.hasMany(Token, { foreignKey: 'parentTokenId', as: 'children' });
+
 // Ticket <-> User (Many-to-One)
 Ticket.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 User.hasMany(Ticket, { foreignKey: 'userId', as: 'tickets' });
@@ -113,6 +126,36 @@ User.hasMany(PasswordReset, { foreignKey: 'userId', as: 'passwordResets' });
 PasswordReset.belongsTo(User, { foreignKey: 'initiatedBy', as: 'initiator' });
 User.hasMany(PasswordReset, { foreignKey: 'initiatedBy', as: 'initiatedResets' });
 
+// AcmeOrder <-> AcmeAccount (Many-to-One)
+AcmeOrder.belongsTo(AcmeAccount, { foreignKey: 'accountId', as: 'account' });
+AcmeAccount.hasMany(AcmeOrder, { foreignKey: 'accountId', as: 'orders', onDelete: 'CASCADE' });
+
+// AcmeOrder <-> Certificate (Many-to-One)
+AcmeOrder.belongsTo(Certificate, { foreignKey: 'certificateId', as: 'certificate' });
+
+// AcmeAuthorization <-> AcmeOrder (Many-to-One)
+AcmeAuthorization.belongsTo(AcmeOrder, { foreignKey: 'orderId', as: 'order' });
+AcmeOrder.hasMany(AcmeAuthorization, { foreignKey: 'orderId', as: 'authorizations', onDelete: 'CASCADE' });
+
+// AcmeAuthorization <-> AcmeAccount (Many-to-One)
+AcmeAuthorization.belongsTo(AcmeAccount, { foreignKey: 'accountId', as: 'account' });
+
+// AcmeChallenge <-> AcmeAuthorization (Many-to-One)
+AcmeChallenge.belongsTo(AcmeAuthorization, { foreignKey: 'authorizationId', as: 'authorization' });
+AcmeAuthorization.hasMany(AcmeChallenge, { foreignKey: 'authorizationId', as: 'challenges', onDelete: 'CASCADE' });
+
+// KeyCeremony <-> Certificate (Many-to-One)
+KeyCeremony.belongsTo(Certificate, { foreignKey: 'certificateId', as: 'certificate' });
+Certificate.hasMany(KeyCeremony, { foreignKey: 'certificateId', as: 'keyCeremonies' });
+
+// CertificateRenewal <-> Certificate (Many-to-One, renewed and replacement)
+CertificateRenewal.belongsTo(Certificate, { foreignKey: 'certificateId', as: 'certificate' });
+CertificateRenewal.belongsTo(Certificate, { foreignKey: 'newCertificateId', as: 'newCertificate' });
+Certificate.hasMany(CertificateRenewal, { foreignKey: 'certificateId', as: 'renewals' });
+
+// Certificate -> replacement Certificate
+Certificate.belongsTo(Certificate, { foreignKey: 'renewedById', as: 'renewedBy' });
+
 const db = {
   sequelize,
   Sequelize,
@@ -127,7 +170,16 @@ const db = {
   RevocationList,
   AuditLog,
   RateLimit,
-  PasswordReset
+  PasswordReset,
+  AcmeAccount,
+  AcmeOrder,
+  AcmeAuthorization,
+  AcmeChallenge,
+  CertificateProfile,
+  KeyCeremony,
+  TransparencyLogEntry,
+  TransparencyTreeHead,
+  CertificateRenewal
 };
 
 module.exports = db;
@@ -0,0 +1,270 @@
+/**
+ * Renewal Dashboard JavaScript
+ * Handles expiry tracking, auto-renew settings and manual renewal
+ */
+
+let dashboard = null;
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', () => {
+    loadDashboard();
+});
+
+// Load dashboard data
+async function loadDashboard() {
+    try {
+        const response = await fetch('/api/renewals');
+        const data = await response.json();
+
+        if (data.success) {
+            dashboard = data;
+            updateStatistics();
+            renderUpcoming(data.upcoming || []);
+            renderRenewals(data.renewals || []);
+        } else {
+            showError(data.message || 'Failed to load renewal dashboard');
+        }
+    } catch (error) {
+        console.error('Error loading renewal dashboard:', error);
+        showError('Error loading renewal dashboard: ' + error.message);
+    }
+}
+
+// Update statistics
+function updateStatistics() {
+    document.getElementById('statExpiring').textContent = dashboard.stats.expiringSoon;
+    document.getElementById('statAutoRenew').textContent = dashboard.stats.autoRenew;
+    document.getElementById('statExpired').textContent = dashboard.stats.expired;
+    document.getElementById('statFailed').textContent = dashboard.stats.failedLastWeek;
+
+    const settings = dashboard.settings;
+    let status = settings.enabled
+        ? `Scanning every ${Math.round(settings.scanInterval / 60)} minutes; renewing ${settings.renewBeforeDays} days before expiry; warnings at ${settings.warningDays.join(', ')} days.`
+        : 'Automatic scanning is disabled.';
+
+    if (dashboard.lastScan) {
+        status += ` Last scan ${new Date(dashboard.lastScan.finishedAt).toLocaleString()}: ` +
+            `${dashboard.lastScan.renewed} renewed, ${dashboard.lastScan.failed} failed, ${dashboard.lastScan.warned} warned.`;
+    }
+
+    document.getElementById('scanStatus').textContent = status;
+}
+
+// Render upcoming expiries
+function renderUpcoming(certs) {
+    const tbody = document.getElementById('upcomingList');
+
+    if (certs.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="7" class="text-center py-4 text-muted">
+                    <i class="bi bi-check2-circle fs-1 d-block mb-2"></i>
+                    Nothing expiring soon
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    tbody.innerHTML = certs.map(cert => `
+        <tr>
+            <td><strong>${escapeHtml(cert.commonName)}</strong></td>
+            <td>${escapeHtml(cert.type)}</td>
+            <td><span class="serial">${escapeHtml(cert.serialNumber.substring(0, 16))}...</span></td>
+            <td>
+                <span class="days-badge ${daysClass(cert.daysLeft)}">${cert.daysLeft} days</span>
+                <small class="text-muted ms-1">${new Date(cert.notAfter).toLocaleDateString()}</small>
+            </td>
+            <td>
+                <div class="form-check form-switch">
+                    <input class="form-check-input" type="checkbox" ${cert.autoRenew ? 'checked' : ''}
+                        ${cert.renewable ? '' : 'disabled'}
+                        onchange="updateSettings('${cert.id}', { autoRenew: this.checked })">
+                </div>
+            </td>
+            <td>
+                <div class="form-check form-switch">
+                    <input class="form-check-input" type="checkbox" ${cert.autoRenewRekey ? 'checked' : ''}
+                        ${cert.renewable ? '' : 'disabled'}
+                        onchange="updateSettings('${cert.id}', { rekey: this.checked })">
+                </div>
+            </td>
+            <td>
+                ${cert.renewable ? `
+                <button class="btn btn-sm btn-outline-primary" onclick="renewNow('${cert.id}', ${cert.autoRenewRekey})" title="Renew now">
+                    <i class="bi bi-arrow-repeat"></i> Renew
+                </button>` : '<span class="text-muted small">Manual</span>'}
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Render renewal history
+function renderRenewals(renewals) {
+    const tbody = document.getElementById('renewalList');
+
+    if (renewals.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="text-center py-4 text-muted">No renewals yet</td>
+            </tr>
+        `;
+        return;
+    }
+
+    tbody.innerHTML = renewals.map(renewal => `
+        <tr>
+            <td>${new Date(renewal.createdAt).toLocaleString()}</td>
+            <td>${renewal.certificate ? escapeHtml(renewal.certificate.commonName) : '-'}</td>
+            <td>${escapeHtml(renewal.trigger)}</td>
+            <td><span class="status-badge status-${renewal.status}">${escapeHtml(renewal.status)}</span></td>
+            <td>${renewal.rekeyed ? '<i class="bi bi-key-fill text-primary"></i>' : '-'}</td>
+            <td>
+                ${renewal.status === 'failed'
+                    ? `<small class="text-danger">${escapeHtml(renewal.error || '')}</small>`
+                    : renewal.newCertificate
+                        ? `<small class="text-muted">Valid until ${new Date(renewal.newCertificate.notAfter).toLocaleDateString()}</small>`
+                        : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Update auto-renew settings
+async function updateSettings(certificateId, settings) {
+    try {
+        const response = await fetch(`/api/renewals/${certificateId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(settings)
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            showSuccess('Renewal settings updated');
+        } else {
+            showError(data.message || 'Failed to update renewal settings');
+        }
+        loadDashboard();
+    } catch (error) {
+        console.error('Error updating renewal settings:', error);
+        showError('Error updating renewal settings: ' + error.message);
+    }
+}
+
+// Renew a certificate now
+async function renewNow(certificateId, rekey) {
+    const message = rekey
+        ? 'Renew this certificate with a new key pair? The new key must be deployed with the certificate.'
+        : 'Renew this certificate, keeping its current key?';
+
+    if (!confirm(message)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/renewals/${certificateId}/renew`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rekey })
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            showSuccess(`Certificate renewed, valid until ${new Date(data.certificate.notAfter).toLocaleDateString()}`);
+            if (data.privateKey) {
+                downloadFile(`${data.certificate.commonName}.key`, data.privateKey);
+            }
+            loadDashboard();
+        } else {
+            showError(data.message || 'Failed to renew certificate');
+        }
+    } catch (error) {
+        console.error('Error renewing certificate:', error);
+        showError('Error renewing certificate: ' + error.message);
+    }
+}
+
+// Run an expiry scan now (admin)
+async function runScan() {
+    try {
+        const response = await fetch('/api/renewals/scan', { method: 'POST' });
+        const data = await response.json();
+
+        if (!data.success) {
+            showError(data.message || 'Renewal scan failed');
+        } else if (data.scan.skipped) {
+            showError('A scan is already running');
+        } else {
+            showSuccess(`Scan complete: ${data.scan.renewed} renewed, ${data.scan.warned} warned`);
+            loadDashboard();
+        }
+    } catch (error) {
+        console.error('Error running renewal scan:', error);
+        showError('Error running renewal scan: ' + error.message);
+    }
+}
+
+// Utility functions
+function daysClass(daysLeft) {
+    if (daysLeft <= 7) return 'days-critical';
+    if (daysLeft <= 30) return 'days-warning';
+    return 'days-ok';
+}
+
+function downloadFile(filename, content) {
+    const blob = new Blob([content], { type: 'application/x-pem-file' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function showSuccess(message) {
+    showToast(message, 'success');
+}
+
+function showError(message) {
+    showToast(message, 'danger');
+}
+
+function showToast(message, type, autohide = 3000) {
+    const toastContainer = document.getElementById('toastContainer') || createToastContainer();
+
+    const toastId = 'toast-' + Date.now();
+    const toastHtml = `
+        <div id="${toastId}" class="toast align-items-center text-white bg-${type} border-0" role="alert" ${autohide ? `data-bs-autohide="true" data-bs-delay="${autohide}"` : 'data-bs-autohide="false"'}>
+            <div class="d-flex">
+                <div class="toast-body">
+                    ${escapeHtml(message)}
+                </div>
+                <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>
+            </div>
+        </div>
+    `;
+
+    toastContainer.insertAdjacentHTML('beforeend', toastHtml);
+    const toastElement = document.getElementById(toastId);
+    const toast = new bootstrap.Toast(toastElement);
+    toast.show();
+
+    toastElement.addEventListener('hidden.bs.toast', () => {
+        toastElement.remove();
+    });
+}
+
+function createToastContainer() {
+    const container = document.createElement('div');
+    container.id = 'toastContainer';
+    container.className = 'toast-container position-fixed bottom-0 end-0 p-3';
+    container.style.zIndex = '9999';
+    document.body.appendChild(container);
+    return container;
+}
@@ -0,0 +1,204 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * ACME Routes (RFC 8555)
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const express = require('express');
+const router = express.Router();
+const acmeService = require('../services/acme');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const JOSE_TYPE = 'application/jose+json';
+
+const jose = express.json({ type: JOSE_TYPE, limit: '64kb' });
+
+/**
+ * Send an RFC 7807 problem document
+ */
+function sendProblem(res, error) {
+  const status = error.acmeType ? error.status || 400 : 500;
+
+  res.status(status).type('application/problem+json').send(JSON.stringify({
+    type: `${acmeService.ERROR_NAMESPACE}${error.acmeType || 'serverInternal'}`,
+    detail: error.acmeType ? error.message : 'Internal server error',
+    status
+  }));
+}
+
+/**
+ * Wrap a handler: every response carries a fresh nonce and the directory link,
+ * and failures are reported as ACME problem documents
+ */
+function handle(fn) {
+  return async (req, res) => {
+    try {
+      res.setHeader('Replay-Nonce', await acmeService.createNonce());
+      res.setHeader('Link', `<${acmeService.url('/directory')}>;rel="index"`);
+      res.setHeader('Cache-Control', 'no-store');
+
+      await fn(req, res);
+    } catch (error) {
+      if (!error.acmeType) {
+        logger.error('ACME request failed:', error);
+      }
+      sendProblem(res, error);
+    }
+  };
+}
+
+/**
+ * Authenticate a POST against the URL it was received on
+ */
+function verify(req, options) {
+  if (!req.is(JOSE_TYPE)) {
+    const error = new Error(`Content-Type must be ${JOSE_TYPE}`);
+    error.acmeType = 'malformed';
+    error.status = 415;
+    throw error;
+  }
+
+  return acmeService.verifyRequest(req.body, acmeService.url(req.path), options);
+}
+
+// ACME is opt-in
+router.use((req, res, next) => {
+  if (!config.acme.enabled) {
+    return res.status(404).json({
+      error: 'ACME_DISABLED',
+      message: 'ACME server is not enabled'
+    });
+  }
+  next();
+});
+
+/**
+ * GET /acme/directory - Directory object
+ */
+router.get('/directory', handle(async (req, res) => {
+  res.json(acmeService.getDirectory());
+}));
+
+/**
+ * HEAD|GET /acme/new-nonce - Fresh anti-replay nonce
+ */
+router.head('/new-nonce', handle(async (req, res) => {
+  res.status(200).end();
+}));
+
+router.get('/new-nonce', handle(async (req, res) => {
+  res.status(204).end();
+}));
+
+/**
+ * POST /acme/new-account - Create or find an account
+ */
+router.post('/new-account', jose, handle(async (req, res) => {
+  const { payload, jwk } = await verify(req, { allowJwk: true, requireJwk: true });
+  const { account, created } = await acmeService.newAccount(jwk, payload);
+
+  res.setHeader('Location', acmeService.url(`/account/${account.id}`));
+  res.status(created ? 201 : 200).json(acmeService.formatAccount(account));
+}));
+
+/**
+ * POST /acme/account/:id - Fetch, update or deactivate an account
+ */
+router.post('/account/:id', jose, handle(async (req, res) => {
+  const { payload, account } = await verify(req);
+  const updated = await acmeService.updateAccount(account, req.params.id, payload);
+
+  res.json(acmeService.formatAccount(updated));
+}));
+
+/**
+ * POST /acme/account/:id/orders - List the account's orders
+ */
+router.post('/account/:id/orders', jose, handle(async (req, res) => {
+  const { account } = await verify(req);
+
+  res.json(await acmeService.listOrders(account, req.params.id));
+}));
+
+/**
+ * POST /acme/new-order - Apply for a certificate
+ */
+router.post('/new-order', jose, handle(async (req, res) => {
+  const { payload, account } = await verify(req);
+  const { order, authorizations } = await acmeService.newOrder(account, payload);
+
+  res.setHeader('Location', acmeService.url(`/order/${order.id}`));
+  res.status(201).json(acmeService.formatOrder(order, authorizations));
+}));
+
+/**
+ * POST /acme/order/:id - Fetch an order (POST-as-GET)
+ */
+router.post('/order/:id', jose, handle(async (req, res) => {
+  const { account } = await verify(req);
+  const order = await acmeService.getOrder(account, req.params.id);
+
+  res.json(acmeService.formatOrder(order, order.authorizations));
+}));
+
+/**
+ * POST /acme/order/:id/finalize - Submit the CSR for a ready order
+ */
+router.post('/order/:id/finalize', jose, handle(async (req, res) => {
+  const { payload, account } = await verify(req);
+  await acmeService.finalizeOrder(account, req.params.id, payload);
+  const order = await acmeService.getOrder(account, req.params.id);
+
+  res.setHeader('Location', acmeService.url(`/order/${order.id}`));
+  res.json(acmeService.formatOrder(order, order.authorizations));
+}));
+
+/**
+ * POST /acme/authz/:id - Fetch or deactivate an authorization
+ */
+router.post('/authz/:id', jose, handle(async (req, res) => {
+  const { payload, account } = await verify(req);
+  const authorization = await acmeService.getAuthorization(account, req.params.id, payload);
+
+  res.json(acmeService.formatAuthorization(authorization, authorization.challenges));
+}));
+
+/**
+ * POST /acme/chall/:id - Respond to a challenge ({} payload) or poll it (POST-as-GET)
+ */
+router.post('/chall/:id', jose, handle(async (req, res) => {
+  const { payload, account } = await verify(req);
+
+  const challenge = payload === null
+    ? await acmeService.getChallenge(account, req.params.id)
+    : await acmeService.respondToChallenge(account, req.params.id);
+
+  res.setHeader('Link', [
+    `<${acmeService.url('/directory')}>;rel="index"`,
+    `<${acmeService.url(`/authz/${challenge.authorizationId}`)}>;rel="up"`
+  ]);
+  res.json(acmeService.formatChallenge(challenge));
+}));
+
+/**
+ * POST /acme/cert/:id - Download the issued certificate chain
+ */
+router.post('/cert/:id', jose, handle(async (req, res) => {
+  const { account } = await verify(req);
+  const chain = await acmeService.getCertificateChain(account, req.params.id);
+
+  res.type('application/pem-certificate-chain').send(chain);
+}));
+
+/**
+ * POST /acme/revoke-cert - Revoke with the account key or the certificate key
+ */
+router.post('/revoke-cert', jose, handle(async (req, res) => {
+  const context = await verify(req, { allowJwk: true });
+  await acmeService.revokeCertificate(context.payload, context);
+
+  res.status(200).end();
+}));
+
+module.exports = router;
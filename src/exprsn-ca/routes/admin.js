@@ -14,6 +14,8 @@ const {
   generateCertificateSchema,
   generateTokenSchema,
   revokeTokenSchema,
+  beginKeyCeremonySchema,
+  submitKeyShareSchema,
   validate
 } = require('../validators');
 
@@ -739,17 +741,15 @@ router.get('/api/ocsp/status', requireAuth, requireAdmin, async (req, res) => {
 router.get('/api/crl/status', requireAuth, requireAdmin, async (req, res) => {
   try {
     const config = require('../config');
-    const RevocationList = require('../models').RevocationList;
-
-    const latestCRL = await RevocationList.findOne({
-      order: [['createdAt', 'DESC']]
-    });
+    const crlInfo = require('../services/crl').getCRLInfo();
 
     const status = {
       enabled: config.crl.enabled,
       url: config.crl.url,
-      latestGenerated: latestCRL ? latestCRL.createdAt : null,
-      revokedCount: latestCRL ? latestCRL.revokedCertificates.length : 0
+      deltaEnabled: config.crl.delta.enabled,
+      latestGenerated: crlInfo ? crlInfo.thisUpdate : null,
+      revokedCount: crlInfo ? crlInfo.revokedCount : 0,
+      issuers: crlInfo ? crlInfo.issuers : []
     };
 
     res.json(status);
@@ -766,13 +766,111 @@ router.post('/api/crl/generate', requireAuth, requireAdmin, async (req, res) =>
   try {
     const crlService = require('../services/crl');
 
-    await crlService.generateCRL();
+    await crlService.updateCRL(req.body.issuerId || null);
 
     req.logger.info('CRL generated');
     res.json({ success: true, message: 'CRL generated successfully' });
   } catch (error) {
     req.logger.error('Failed to generate CRL:', error);
-    res.status(500).json({ error: error.message || 'Failed to generate CRL' });
+    res.status(error.status || 500).json({ error: error.message || 'Failed to generate CRL' });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Key Ceremony (M-of-N root key custody)
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Respond with a key ceremony service error
+ */
+function sendCeremonyError(req, res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.code, message: error.message });
+  }
+
+  req.logger.error(`${message}:`, error);
+  res.status(500).json({ error: error.message || message });
+}
+
+/**
+ * API: List key ceremonies and their sealed state
+ */
+router.get('/api/key-ceremonies', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const keyCeremonyService = require('../services/keyCeremony');
+
+    res.json({ ceremonies: await keyCeremonyService.listCeremonies() });
+  } catch (error) {
+    sendCeremonyError(req, res, error, 'Failed to list key ceremonies');
+  }
+});
+
+/**
+ * API: Seal the root key under M-of-N custody
+ * The shares are returned once and never stored.
+ */
+router.post('/api/key-ceremonies',
+  requireAuth,
+  requireAdmin,
+  validate(beginKeyCeremonySchema),
+  async (req, res) => {
+  try {
+    const keyCeremonyService = require('../services/keyCeremony');
+
+    const { ceremony, shares } = await keyCeremonyService.begin(req.body, req.session.user.id);
+
+    res.status(201).json({
+      success: true,
+      ceremony: keyCeremonyService.describe(ceremony),
+      shares: shares.map((share, index) => ({
+        index: index + 1,
+        custodian: (req.body.custodians || [])[index] || null,
+        share
+      }))
+    });
+  } catch (error) {
+    sendCeremonyError(req, res, error, 'Failed to run key ceremony');
+  }
+});
+
+/**
+ * API: Submit a custodian share; the key unseals once the threshold is reached
+ */
+router.post('/api/key-ceremonies/:id/shares',
+  requireAuth,
+  requireAdmin,
+  validate(submitKeyShareSchema),
+  async (req, res) => {
+  try {
+    const keyCeremonyService = require('../services/keyCeremony');
+
+    const ceremony = await keyCeremonyService.submitShare(
+      req.params.id,
+      req.body.share,
+      req.session.user.id,
+      req.body.custodian
+    );
+
+    res.json({ success: true, ceremony });
+  } catch (error) {
+    sendCeremonyError(req, res, error, 'Failed to submit key share');
+  }
+});
+
+/**
+ * API: Seal the root key again
+ */
+router.post('/api/key-ceremonies/:id/seal', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const keyCeremonyService = require('../services/keyCeremony');
+
+    const ceremony = await keyCeremonyService.seal(req.params.id, req.session.user.id);
+
+    res.json({ success: true, ceremony });
+  } catch (error) {
+    sendCeremonyError(req, res, error, 'Failed to seal key');
   }
 });
 
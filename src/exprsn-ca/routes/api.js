@@ -1,13 +1,16 @@
 /**
  * ═══════════════════════════════════════════════════════════════════════
- * API Routes - Token Generation and Validation (Spec v1.0)
+ * API Routes - Token Generation and Validation (Spec v1.0 and v2.0)
  * ═══════════════════════════════════════════════════════════════════════
  */
 
 const express = require('express');
 const router = express.Router();
 const tokenService = require('../services/token');
+const compactTokenService = require('../services/compactToken');
+const { isCompactToken } = require('../../shared/utils/compactToken');
 const certificateService = require('../services/certificate');
+const certificateBundleService = require('../services/certificateBundle');
 const { Certificate } = require('../models');
 const { strictLimiter, standardLimiter } = require('../../shared');
 const {
@@ -17,12 +20,35 @@ const {
   generateIntermediateCertificateSchema,
   generateCertificateSchema,
   generateTokenSchema,
+  generateCompactTokenSchema,
+  delegateTokenSchema,
   validateTokenSchema,
   revokeTokenSchema,
   refreshTokenSchema,
+  exportCertificateSchema,
+  importCertificateSchema,
   validate
 } = require('../validators');
 
+/**
+ * Respond to a service error that carries a status and code
+ * (profile or name constraint violations, bundle errors)
+ * @returns {boolean} Whether a response was sent
+ */
+function sendPolicyError(res, error) {
+  if (!error.status || !error.code) {
+    return false;
+  }
+
+  res.status(error.status).json({
+    success: false,
+    error: error.code,
+    message: error.message,
+    details: error.details
+  });
+  return true;
+}
+
 /**
  * POST /api/tokens/generate - Generate token (Section 8.3)
  */
@@ -62,7 +88,7 @@ router.post('/tokens/validate',
   validate(validateTokenSchema),
   async (req, res) => {
   try {
-    const { token, tokenId, requiredPermissions, resource, resourceValue } = req.body;
+    const { token, tokenId, requiredPermissions, resource, resourceValue, clientIp, serviceName } = req.body;
 
     // Support both token ID (for internal use) and full token object (for service-to-service)
     let tokenIdentifier = tokenId;
@@ -89,6 +115,21 @@ router.post('/tokens/validate',
       });
     }
 
+    // Compact (v2.0) tokens validate online as the grant they encode
+    if (isCompactToken(tokenIdentifier)) {
+      try {
+        tokenIdentifier = (await compactTokenService.verify(tokenIdentifier)).jti;
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          valid: false,
+          error: error.code || 'INVALID_TOKEN',
+          message: error.message,
+          reason: error.message
+        });
+      }
+    }
+
     // Build validation parameters
     const validationParams = {};
 
@@ -110,6 +151,10 @@ router.post('/tokens/validate',
       validationParams.resourceValue = resource || resourceValue;
     }
 
+    // Request context for delegation caveats
+    validationParams.clientIp = clientIp;
+    validationParams.serviceName = serviceName;
+
     const result = await tokenService.validateToken(tokenIdentifier, validationParams);
 
     if (result.valid) {
@@ -140,6 +185,118 @@ router.post('/tokens/validate',
   }
 });
 
+/**
+ * POST /api/tokens/compact - Generate compact token (Spec v2.0)
+ */
+router.post('/tokens/compact',
+  validate(generateCompactTokenSchema),
+  async (req, res) => {
+  try {
+    if (!req.session.user) {
+      return res.status(401).json({
+        error: 'UNAUTHORIZED',
+        message: 'Authentication required'
+      });
+    }
+
+    const result = await compactTokenService.issue(req.body, req.session.user.id);
+
+    res.status(201).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (sendPolicyError(res, error)) return;
+
+    req.logger.error('Compact token generation failed:', error);
+
+    res.status(500).json({
+      error: error.message,
+      message: 'Failed to generate compact token'
+    });
+  }
+});
+
+/**
+ * POST /api/tokens/delegate - Derive an attenuated child token
+ * Presenting the parent token authorizes the delegation.
+ */
+router.post('/tokens/delegate',
+  standardLimiter,
+  validate(delegateTokenSchema),
+  async (req, res) => {
+  try {
+    const { parentToken, ...params } = req.body;
+    let parentTokenId = parentToken;
+
+    if (isCompactToken(parentToken)) {
+      parentTokenId = (await compactTokenService.verify(parentToken)).jti;
+    }
+
+    const token = await tokenService.delegateToken(parentTokenId, params, req.session?.user?.id);
+
+    res.status(201).json({
+      success: true,
+      token
+    });
+  } catch (error) {
+    if (sendPolicyError(res, error)) return;
+
+    req.logger.error('Token delegation failed:', error);
+
+    res.status(500).json({
+      error: error.message,
+      message: 'Failed to delegate token'
+    });
+  }
+});
+
+/**
+ * GET /api/tokens/keys - Keys for offline compact token verification
+ */
+router.get('/tokens/keys', async (req, res) => {
+  try {
+    const keys = await compactTokenService.getKeys();
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({
+      success: true,
+      keys
+    });
+  } catch (error) {
+    req.logger.error('Failed to list token keys:', error);
+
+    res.status(500).json({
+      error: error.message,
+      message: 'Failed to list token keys'
+    });
+  }
+});
+
+/**
+ * GET /api/tokens/revocations - Signed revocation filter for compact tokens
+ */
+router.get('/tokens/revocations', async (req, res) => {
+  try {
+    const { document } = await compactTokenService.getRevocationFilter();
+
+    res.set('Cache-Control', 'no-cache');
+    res.json({
+      success: true,
+      document
+    });
+  } catch (error) {
+    if (sendPolicyError(res, error)) return;
+
+    req.logger.error('Failed to build revocation filter:', error);
+
+    res.status(500).json({
+      error: error.message,
+      message: 'Failed to build revocation filter'
+    });
+  }
+});
+
 /**
  * POST /api/tokens/revoke - Revoke token
  */
@@ -291,6 +448,8 @@ router.post('/certificates/generate-intermediate',
       }
     });
   } catch (error) {
+    if (sendPolicyError(res, error)) return;
+
     req.logger.error('Intermediate certificate generation failed:', error);
 
     res.status(500).json({
@@ -303,13 +462,19 @@ router.post('/certificates/generate-intermediate',
 
 /**
  * POST /api/certificates/generate-code-signing - Generate code signing certificate
- * Note: For initial setup and admin use only
+ * Note: Issuance is restricted by the code-signing certificate profile
  */
 router.post('/certificates/generate-code-signing',
   validate(generateCertificateSchema),
   async (req, res) => {
   try {
-    const userId = req.session.user ? req.session.user.id : null;
+    // Profiles restrict code signing to authorized roles, so the caller must be known
+    if (!req.session.user) {
+      return res.status(401).json({
+        error: 'UNAUTHORIZED',
+        message: 'Authentication required'
+      });
+    }
 
     // Set type to code_signing
     const options = {
@@ -319,7 +484,7 @@ router.post('/certificates/generate-code-signing',
 
     const result = await certificateService.createEntityCertificate(
       options,
-      userId
+      req.session.user.id
     );
 
     res.status(201).json({
@@ -339,6 +504,8 @@ router.post('/certificates/generate-code-signing',
       privateKey: result.privateKey
     });
   } catch (error) {
+    if (sendPolicyError(res, error)) return;
+
     req.logger.error('Code signing certificate generation failed:', error);
 
     res.status(500).json({
@@ -377,11 +544,15 @@ router.post('/certificates/generate',
         fingerprint: result.certificate.fingerprint,
         notBefore: result.certificate.notBefore,
         notAfter: result.certificate.notAfter,
+        type: result.certificate.type,
+        profile: (result.certificate.metadata || {}).profile || null,
         pem: result.certificate.certificatePem
       },
       privateKey: result.privateKey
     });
   } catch (error) {
+    if (sendPolicyError(res, error)) return;
+
     req.logger.error('Certificate generation failed:', error);
 
     res.status(500).json({
@@ -442,14 +613,15 @@ router.post('/certificates/csr',
         });
       }
 
-      const { csr, validityDays, type } = req.body;
+      const { csr, validityDays, type, profile } = req.body;
 
       const certificate = await certificateService.processCsr(
         csr,
         {
           issuerId: req.body.issuerId,
           validityDays,
-          type
+          type,
+          profile
         },
         req.session.user.id
       );
@@ -469,6 +641,8 @@ router.post('/certificates/csr',
         }
       });
     } catch (error) {
+      if (sendPolicyError(res, error)) return;
+
       req.logger.error('CSR processing failed:', error);
 
       res.status(500).json({
@@ -552,52 +726,39 @@ router.get('/certificates/:id/chain', async (req, res) => {
   }
 });
 
+/**
+ * Send an exported bundle as a file download
+ */
+function sendBundle(res, exported) {
+  res.setHeader('Content-Type', exported.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+  res.send(exported.data);
+}
+
 /**
  * GET /api/certificates/:id/download - Download certificate with chain
+ * Key-less formats only; use POST /api/certificates/:id/export for key stores.
  */
 router.get('/certificates/:id/download', async (req, res) => {
   try {
     const format = req.query.format || 'pem';
 
-    if (!['pem', 'der'].includes(format)) {
+    if (!['pem', 'der', 'p7b'].includes(format)) {
       return res.status(400).json({
         error: 'INVALID_FORMAT',
-        message: 'Format must be pem or der'
-      });
-    }
-
-    const chain = await certificateService.getCertificateChain(req.params.id);
-
-    if (chain.length === 0) {
-      return res.status(404).json({
-        error: 'CERTIFICATE_NOT_FOUND',
-        message: 'Certificate not found'
+        message: 'Format must be pem, der, or p7b'
       });
     }
 
-    if (format === 'pem') {
-      // Concatenate all certificates in PEM format
-      const pemChain = chain.map(cert => cert.pem).join('\n');
-
-      res.setHeader('Content-Type', 'application/x-pem-file');
-      res.setHeader('Content-Disposition', `attachment; filename="certificate-chain.pem"`);
-      res.send(pemChain);
-    } else {
-      // DER format - only return entity certificate (not full chain)
-      const cert = chain[0];
-      const derBuffer = Buffer.from(
-        cert.pem
-          .replace(/-----BEGIN CERTIFICATE-----/, '')
-          .replace(/-----END CERTIFICATE-----/, '')
-          .replace(/\s/g, ''),
-        'base64'
-      );
+    const exported = await certificateBundleService.exportCertificate(req.params.id, {
+      format,
+      includeKey: false
+    });
 
-      res.setHeader('Content-Type', 'application/x-x509-ca-cert');
-      res.setHeader('Content-Disposition', `attachment; filename="certificate.der"`);
-      res.send(derBuffer);
-    }
+    sendBundle(res, exported);
   } catch (error) {
+    if (sendPolicyError(res, error)) return;
+
     req.logger.error('Failed to download certificate:', error);
 
     res.status(500).json({
@@ -608,6 +769,78 @@ router.get('/certificates/:id/download', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/certificates/:id/export - Export as PEM, DER, PKCS#7, PKCS#12 or JKS
+ */
+router.post('/certificates/:id/export',
+  validate(exportCertificateSchema),
+  async (req, res) => {
+    try {
+      const userId = req.session.user ? req.session.user.id : null;
+      const exported = await certificateBundleService.exportCertificate(req.params.id, req.body, userId);
+
+      sendBundle(res, exported);
+    } catch (error) {
+      if (sendPolicyError(res, error)) return;
+
+      req.logger.error('Failed to export certificate:', error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        message: 'Failed to export certificate'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/certificates/import - Import an externally issued certificate (admin)
+ */
+router.post('/certificates/import',
+  validate(importCertificateSchema),
+  async (req, res) => {
+    try {
+      if (!req.session.user) {
+        return res.status(401).json({
+          error: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        });
+      }
+
+      const result = await certificateBundleService.importCertificate(req.body, req.session.user.id);
+
+      res.status(201).json({
+        success: true,
+        certificate: {
+          id: result.certificate.id,
+          serialNumber: result.certificate.serialNumber,
+          commonName: result.certificate.commonName,
+          fingerprint: result.certificate.fingerprint,
+          notBefore: result.certificate.notBefore,
+          notAfter: result.certificate.notAfter,
+          type: result.certificate.type,
+          status: result.certificate.status,
+          issuerId: result.certificate.issuerId,
+          external: result.certificate.metadata.imported.external
+        },
+        hasPrivateKey: result.hasPrivateKey,
+        chainLength: result.chainLength
+      });
+    } catch (error) {
+      if (sendPolicyError(res, error)) return;
+
+      req.logger.error('Certificate import failed:', error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        message: 'Failed to import certificate'
+      });
+    }
+  }
+);
+
 /**
  * POST /api/tokens/:id/refresh - Refresh token expiration
  */
@@ -35,6 +35,14 @@ router.get('/certificates/dashboard', (req, res) => {
   });
 });
 
+router.get('/renewals/dashboard', (req, res) => {
+  if (!req.session.user) return res.redirect('/auth/login');
+  res.render('ca/renewal-dashboard', {
+    title: 'Renewal Dashboard',
+    user: req.session.user
+  });
+});
+
 router.get('/tokens/dashboard', (req, res) => {
   if (!req.session.user) return res.redirect('/auth/login');
   res.render('ca/token-dashboard', {
@@ -43,4 +51,34 @@ router.get('/tokens/dashboard', (req, res) => {
   });
 });
 
+/**
+ * GET /ca/issuers/:id.crt - Issuer certificate (authorityInfoAccess caIssuers)
+ */
+router.get('/issuers/:id.crt', async (req, res) => {
+  try {
+    const { Certificate } = require('../models');
+    const issuer = await Certificate.findOne({
+      where: { id: req.params.id, type: ['root', 'intermediate'] }
+    });
+
+    if (!issuer) {
+      return res.status(404).json({ error: 'ISSUER_NOT_FOUND', message: 'Issuer certificate not found' });
+    }
+
+    const der = Buffer.from(
+      issuer.certificatePem
+        .replace(/-----BEGIN CERTIFICATE-----/, '')
+        .replace(/-----END CERTIFICATE-----/, '')
+        .replace(/\s/g, ''),
+      'base64'
+    );
+
+    res.setHeader('Content-Type', 'application/pkix-cert');
+    res.send(der);
+  } catch (error) {
+    req.logger.error('Issuer certificate download failed:', error);
+    res.status(500).json({ error: 'ISSUER_UNAVAILABLE', message: 'Failed to load issuer certificate' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,246 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Certificate Profile Routes - Issuance policy management
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const express = require('express');
+const router = express.Router();
+const certificateProfileService = require('../services/certificateProfile');
+const certificateService = require('../services/certificate');
+const {
+  createCertificateProfileSchema,
+  updateCertificateProfileSchema,
+  checkCertificateProfileSchema,
+  validate
+} = require('../validators');
+
+/**
+ * Format a profile for API responses
+ */
+function formatProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    displayName: profile.displayName,
+    description: profile.description,
+    certificateType: profile.certificateType,
+    keyUsage: profile.keyUsage,
+    extendedKeyUsage: profile.extendedKeyUsage,
+    keyAlgorithms: profile.keyAlgorithms,
+    maxValidityDays: profile.maxValidityDays,
+    requiredExtensions: profile.requiredExtensions,
+    forbiddenExtensions: profile.forbiddenExtensions,
+    commonNamePattern: profile.commonNamePattern,
+    sanPatterns: profile.sanPatterns,
+    nameConstraints: profile.nameConstraints,
+    allowedRoles: profile.allowedRoles,
+    allowedGroups: profile.allowedGroups,
+    status: profile.status,
+    isSystem: profile.isSystem
+  };
+}
+
+/**
+ * Send a service error, keeping its status and code when it has one
+ */
+function sendError(req, res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.code,
+      message: error.message,
+      details: error.details
+    });
+  }
+
+  req.logger.error(`${message}:`, error);
+
+  res.status(500).json({
+    success: false,
+    error: error.message,
+    message
+  });
+}
+
+/**
+ * Middleware: Require a signed-in user
+ */
+function requireUser(req, res, next) {
+  if (!req.session.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'UNAUTHORIZED',
+      message: 'Authentication required'
+    });
+  }
+  next();
+}
+
+/**
+ * Middleware: Require the admin role to change issuance policy
+ */
+async function requireAdmin(req, res, next) {
+  try {
+    const access = await certificateProfileService.getUserAccess(req.session.user.id);
+
+    if (!access.admin) {
+      return res.status(403).json({
+        success: false,
+        error: 'FORBIDDEN',
+        message: 'Admin access required'
+      });
+    }
+    next();
+  } catch (error) {
+    sendError(req, res, error, 'Failed to verify admin access');
+  }
+}
+
+router.use(requireUser);
+
+/**
+ * GET /api/certificate-profiles - List profiles
+ */
+router.get('/', async (req, res) => {
+  try {
+    const profiles = await certificateProfileService.listProfiles({
+      status: req.query.status,
+      certificateType: req.query.type
+    });
+
+    res.json({
+      success: true,
+      profiles: profiles.map(formatProfile)
+    });
+  } catch (error) {
+    sendError(req, res, error, 'Failed to list certificate profiles');
+  }
+});
+
+/**
+ * GET /api/certificate-profiles/:name - Get a profile
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const profile = await certificateProfileService.getProfile(req.params.name);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'PROFILE_NOT_FOUND',
+        message: 'Certificate profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      profile: formatProfile(profile)
+    });
+  } catch (error) {
+    sendError(req, res, error, 'Failed to get certificate profile');
+  }
+});
+
+/**
+ * POST /api/certificate-profiles/:name/check - Dry-run a request against a profile
+ */
+router.post('/:name/check',
+  validate(checkCertificateProfileSchema),
+  async (req, res) => {
+    try {
+      const { subjectAlternativeNames, issuerId, ...request } = req.body;
+
+      const result = await certificateProfileService.check(req.params.name, {
+        ...request,
+        subjectAltNames: subjectAlternativeNames
+      }, req.session.user.id);
+
+      // Names must also fall within the issuing chain's name constraints
+      const issuer = issuerId ? await certificateService.getCertificate(issuerId) : null;
+
+      if (issuer) {
+        result.violations.push(...await certificateProfileService.checkNameConstraints(issuer, subjectAlternativeNames));
+      }
+
+      res.json({
+        success: true,
+        profile: result.profile.name,
+        allowed: result.violations.length === 0,
+        authorized: result.authorized,
+        violations: result.violations
+      });
+    } catch (error) {
+      sendError(req, res, error, 'Failed to check certificate profile');
+    }
+  }
+);
+
+/**
+ * POST /api/certificate-profiles - Create a profile (admin)
+ */
+router.post('/',
+  requireAdmin,
+  validate(createCertificateProfileSchema),
+  async (req, res) => {
+    try {
+      const profile = await certificateProfileService.createProfile(req.body, req.session.user.id);
+
+      res.status(201).json({
+        success: true,
+        profile: formatProfile(profile)
+      });
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          success: false,
+          error: 'PROFILE_EXISTS',
+          message: `Certificate profile already exists: ${req.body.name}`
+        });
+      }
+      sendError(req, res, error, 'Failed to create certificate profile');
+    }
+  }
+);
+
+/**
+ * PUT /api/certificate-profiles/:name - Update a profile (admin)
+ */
+router.put('/:name',
+  requireAdmin,
+  validate(updateCertificateProfileSchema),
+  async (req, res) => {
+    try {
+      const profile = await certificateProfileService.updateProfile(
+        req.params.name,
+        req.body,
+        req.session.user.id
+      );
+
+      res.json({
+        success: true,
+        profile: formatProfile(profile)
+      });
+    } catch (error) {
+      sendError(req, res, error, 'Failed to update certificate profile');
+    }
+  }
+);
+
+/**
+ * DELETE /api/certificate-profiles/:name - Delete a custom profile (admin)
+ */
+router.delete('/:name', requireAdmin, async (req, res) => {
+  try {
+    await certificateProfileService.deleteProfile(req.params.name, req.session.user.id);
+
+    res.json({
+      success: true,
+      message: 'Certificate profile deleted'
+    });
+  } catch (error) {
+    sendError(req, res, error, 'Failed to delete certificate profile');
+  }
+});
+
+module.exports = router;
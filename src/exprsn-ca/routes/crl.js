@@ -76,4 +76,49 @@ router.get('/info', (req, res) => {
   }
 });
 
+/**
+ * Send an issuer's CRL in DER (default) or PEM format
+ */
+async function sendIssuerCRL(req, res, delta) {
+  try {
+    const crl = await crlService.getCRL(req.params.issuerId, { delta });
+
+    if (!crl) {
+      return res.status(404).json({
+        error: 'ISSUER_NOT_FOUND',
+        message: 'No active issuing CA with this ID'
+      });
+    }
+
+    const filename = `${req.params.issuerId}${delta ? '-delta' : ''}.crl`;
+
+    if (req.query.format === 'pem') {
+      res.setHeader('Content-Type', 'application/x-pem-file');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(crl.pem);
+    }
+
+    res.setHeader('Content-Type', 'application/pkix-crl');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(crl.der);
+  } catch (error) {
+    req.logger.error('CRL download failed:', error);
+
+    res.status(500).json({
+      error: 'CRL_UNAVAILABLE',
+      message: 'Certificate Revocation List is not available'
+    });
+  }
+}
+
+/**
+ * GET /crl/:issuerId.crl - Download an issuing CA's full CRL (cRLDistributionPoints)
+ */
+router.get('/:issuerId.crl', (req, res) => sendIssuerCRL(req, res, false));
+
+/**
+ * GET /crl/:issuerId/delta.crl - Download an issuing CA's delta CRL (freshestCRL)
+ */
+router.get('/:issuerId/delta.crl', (req, res) => sendIssuerCRL(req, res, true));
+
 module.exports = router;
@@ -7,11 +7,36 @@
 const express = require('express');
 const router = express.Router();
 const ocspService = require('../services/ocsp');
+const ocspEncoding = require('../crypto/ocsp');
+const config = require('../config');
+
+const OCSP_REQUEST_TYPE = 'application/ocsp-request';
+const OCSP_RESPONSE_TYPE = 'application/ocsp-response';
+
+/**
+ * Send a DER-encoded OCSPResponse
+ */
+function sendOCSPResponse(res, der, cacheable) {
+  res.setHeader('Content-Type', OCSP_RESPONSE_TYPE);
+  if (cacheable) {
+    res.setHeader('Cache-Control', `max-age=${config.ocsp.responseValidity}, public, no-transform, must-revalidate`);
+  } else {
+    res.setHeader('Cache-Control', 'no-cache');
+  }
+  res.status(200).send(der);
+}
 
 /**
  * POST /ocsp - OCSP responder endpoint
+ * Accepts a DER OCSPRequest (application/ocsp-request) or a JSON
+ * { serialNumber } status query.
  */
-router.post('/', async (req, res) => {
+router.post('/', express.raw({ type: OCSP_REQUEST_TYPE, limit: '64kb' }), async (req, res) => {
+  if (req.is(OCSP_REQUEST_TYPE)) {
+    const der = await ocspService.respond(req.body);
+    return sendOCSPResponse(res, der, false);
+  }
+
   try {
     const { serialNumber } = req.body;
 
@@ -74,8 +99,32 @@ router.get('/status', (req, res) => {
   res.status(200).json({
     status: 'operational',
     cache: stats,
-    url: require('../config').ocsp.url
+    url: config.ocsp.url
   });
 });
 
+/**
+ * GET /ocsp/{base64 DER OCSPRequest} - RFC 6960 Appendix A.1 GET binding
+ */
+// Matched without route params: Express would reject bad percent-escapes in a param before this handler runs
+router.get(/^\/.*/, async (req, res) => {
+  let der;
+  try {
+    der = Buffer.from(decodeURIComponent(req.path.slice(1)), 'base64');
+  } catch (error) {
+    // Malformed percent-escapes, answered like undecodable DER on POST
+    return sendOCSPResponse(res, ocspEncoding.buildErrorResponse('malformedRequest'), false);
+  }
+
+  if (der.length === 0) {
+    return res.status(400).json({
+      error: 'INVALID_REQUEST',
+      message: 'Base64-encoded OCSP request is required'
+    });
+  }
+
+  const response = await ocspService.respond(der);
+  sendOCSPResponse(res, response, true);
+});
+
 module.exports = router;
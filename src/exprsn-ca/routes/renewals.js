@@ -0,0 +1,159 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Renewal Routes - Expiry monitoring and automatic renewal
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const express = require('express');
+const router = express.Router();
+const renewalService = require('../services/renewal');
+const certificateProfileService = require('../services/certificateProfile');
+const {
+  updateRenewalSettingsSchema,
+  renewNowSchema,
+  validate
+} = require('../validators');
+
+/**
+ * Send a service error, keeping its status and code when it has one
+ */
+function sendError(req, res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.code,
+      message: error.message
+    });
+  }
+
+  req.logger.error(`${message}:`, error);
+
+  res.status(500).json({
+    success: false,
+    error: error.message,
+    message
+  });
+}
+
+/**
+ * Middleware: Require a signed-in user
+ */
+function requireUser(req, res, next) {
+  if (!req.session.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'UNAUTHORIZED',
+      message: 'Authentication required'
+    });
+  }
+  next();
+}
+
+router.use(requireUser);
+
+/**
+ * GET /api/renewals - Renewal dashboard data (admins see every certificate)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const access = await certificateProfileService.getUserAccess(req.session.user.id);
+    const dashboard = await renewalService.getDashboard({
+      userId: access.admin ? null : req.session.user.id
+    });
+
+    res.json({
+      success: true,
+      ...dashboard
+    });
+  } catch (error) {
+    sendError(req, res, error, 'Failed to load renewal dashboard');
+  }
+});
+
+/**
+ * POST /api/renewals/scan - Run an expiry scan now (admin)
+ */
+router.post('/scan', async (req, res) => {
+  try {
+    const access = await certificateProfileService.getUserAccess(req.session.user.id);
+    if (!access.admin) {
+      return res.status(403).json({
+        success: false,
+        error: 'FORBIDDEN',
+        message: 'Admin access required'
+      });
+    }
+
+    const result = await renewalService.scan();
+
+    res.json({
+      success: true,
+      scan: result
+    });
+  } catch (error) {
+    sendError(req, res, error, 'Renewal scan failed');
+  }
+});
+
+/**
+ * PUT /api/renewals/:certificateId - Update auto-renew settings
+ */
+router.put('/:certificateId',
+  validate(updateRenewalSettingsSchema),
+  async (req, res) => {
+    try {
+      const certificate = await renewalService.setAutoRenew(
+        req.params.certificateId,
+        req.body,
+        req.session.user.id
+      );
+
+      res.json({
+        success: true,
+        certificate: {
+          id: certificate.id,
+          autoRenew: certificate.autoRenew,
+          autoRenewRekey: certificate.autoRenewRekey
+        }
+      });
+    } catch (error) {
+      sendError(req, res, error, 'Failed to update renewal settings');
+    }
+  }
+);
+
+/**
+ * POST /api/renewals/:certificateId/renew - Renew now
+ */
+router.post('/:certificateId/renew',
+  validate(renewNowSchema),
+  async (req, res) => {
+    try {
+      const result = await renewalService.renew(req.params.certificateId, {
+        trigger: 'manual',
+        rekey: req.body.rekey,
+        userId: req.session.user.id
+      });
+
+      res.status(201).json({
+        success: true,
+        rekeyed: result.rekeyed,
+        certificate: {
+          id: result.certificate.id,
+          serialNumber: result.certificate.serialNumber,
+          commonName: result.certificate.commonName,
+          fingerprint: result.certificate.fingerprint,
+          notBefore: result.certificate.notBefore,
+          notAfter: result.certificate.notAfter,
+          status: result.certificate.status,
+          pem: result.certificate.certificatePem
+        },
+        privateKey: result.privateKey
+      });
+    } catch (error) {
+      sendError(req, res, error, 'Failed to renew certificate');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,99 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Transparency Log Routes (RFC 6962 Section 4)
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const express = require('express');
+const router = express.Router();
+const transparencyService = require('../services/transparency');
+const config = require('../config');
+
+/**
+ * Wrap a handler, reporting service errors with their status
+ */
+function handle(fn) {
+  return async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.code,
+          message: error.message
+        });
+      }
+
+      req.logger.error('Transparency log request failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: 'Transparency log request failed'
+      });
+    }
+  };
+}
+
+function integer(value) {
+  return /^\d+$/.test(value || '') ? parseInt(value, 10) : NaN;
+}
+
+router.use((req, res, next) => {
+  if (!config.transparency.enabled) {
+    return res.status(404).json({
+      error: 'TRANSPARENCY_LOG_DISABLED',
+      message: 'Transparency log is not enabled'
+    });
+  }
+  next();
+});
+
+/**
+ * GET /ct/v1/get-sth - Latest signed tree head
+ */
+router.get('/get-sth', handle(async (req, res) => {
+  const treeHead = await transparencyService.getSignedTreeHead();
+  res.json(transparencyService.formatTreeHead(treeHead));
+}));
+
+/**
+ * GET /ct/v1/get-sth-consistency?first=&second= - Consistency proof between tree heads
+ */
+const getConsistency = handle(async (req, res) => {
+  res.json(await transparencyService.getConsistency(integer(req.query.first), integer(req.query.second)));
+});
+
+router.get('/get-sth-consistency', getConsistency);
+router.get('/get-consistency', getConsistency);
+
+/**
+ * GET /ct/v1/get-proof-by-hash?hash=&tree_size= - Inclusion proof for a leaf
+ */
+router.get('/get-proof-by-hash', handle(async (req, res) => {
+  if (!req.query.hash) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_HASH',
+      message: 'hash is required'
+    });
+  }
+
+  res.json(await transparencyService.getProofByHash(req.query.hash, integer(req.query.tree_size)));
+}));
+
+/**
+ * GET /ct/v1/get-entries?start=&end= - Raw log entries
+ */
+router.get('/get-entries', handle(async (req, res) => {
+  res.json(await transparencyService.getEntries(integer(req.query.start), integer(req.query.end)));
+}));
+
+/**
+ * GET /ct/v1/get-log-key - Log ID and tree head verification key (not in RFC 6962)
+ */
+router.get('/get-log-key', handle(async (req, res) => {
+  res.json(await transparencyService.getLogKey());
+}));
+
+module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Transparency Log Audit - Check the issuance log against the database
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Usage: node scripts/audit-transparency-log.js [--json]
+ * Exits with status 1 when the audit finds problems.
+ */
+
+const db = require('../models');
+const transparencyService = require('../services/transparency');
+
+async function main() {
+  const json = process.argv.includes('--json');
+  let result;
+
+  try {
+    result = await transparencyService.audit();
+  } catch (error) {
+    if (json) {
+      console.log(JSON.stringify({ ok: false, error: error.message }));
+    } else {
+      console.error('\n✗ Audit failed:', error.message);
+    }
+    await db.sequelize.close();
+    process.exit(2);
+  }
+
+  if (json) {
+    console.log(JSON.stringify(result));
+  } else {
+    console.log(`\nTree size:          ${result.treeSize}`);
+    console.log(`Root hash:          ${result.rootHash}`);
+    console.log(`Tree heads checked: ${result.treeHeadsChecked}\n`);
+
+    if (result.ok) {
+      console.log('✓ Log is consistent with its tree heads and the certificates table\n');
+    } else {
+      console.log(`✗ ${result.problems.length} problem(s) found:\n`);
+      result.problems.forEach(problem => console.log(`  [${problem.type}] ${problem.message}`));
+      console.log();
+    }
+  }
+
+  await db.sequelize.close();
+  process.exit(result.ok ? 0 : 1);
+}
+
+main();
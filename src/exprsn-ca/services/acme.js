@@ -0,0 +1,891 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * ACME (Automatic Certificate Management Environment) Service
+ * RFC 8555 - accounts, orders, http-01 / dns-01 validation and issuance
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const nodeCrypto = require('crypto');
+const path = require('path');
+const axios = require('axios');
+const forge = require('node-forge');
+const {
+  Certificate,
+  AcmeAccount,
+  AcmeOrder,
+  AcmeAuthorization,
+  AcmeChallenge
+} = require('../models');
+const crypto = require('../crypto');
+const jws = require('../crypto/jws');
+const certificateService = require('./certificate');
+const redisClient = require('../utils/redis');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const ERROR_NAMESPACE = 'urn:ietf:params:acme:error:';
+
+/**
+ * RFC 5280 CRLReason codes, indexed by code (7 is unused)
+ */
+const REVOCATION_REASONS = [
+  'unspecified',
+  'keyCompromise',
+  'caCompromise',
+  'affiliationChanged',
+  'superseded',
+  'cessationOfOperation',
+  'certificateHold',
+  null,
+  'removeFromCRL',
+  'privilegeWithdrawn',
+  'aaCompromise'
+];
+
+const DNS_NAME = /^(\*\.)?([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Create an error carrying an ACME problem type (RFC 8555 Section 6.7)
+ * @param {string} type - Error type without the URN namespace
+ * @param {string} detail - Human-readable description
+ * @param {number} status - HTTP status code
+ */
+function acmeError(type, detail, status = 400) {
+  const error = new Error(detail);
+  error.acmeType = type;
+  error.status = status;
+  return error;
+}
+
+class AcmeService {
+  constructor() {
+    this.nonces = new Map();
+    this.dnsResolver = null;
+  }
+
+  // ───────────────────────────────────────────────────────────────────────
+  // URLs and resource representations
+  // ───────────────────────────────────────────────────────────────────────
+
+  /**
+   * Absolute URL for a resource below the ACME base URL
+   */
+  url(resourcePath) {
+    return `${config.acme.baseUrl}${resourcePath}`;
+  }
+
+  /**
+   * Directory object (RFC 8555 Section 7.1.1)
+   */
+  getDirectory() {
+    const meta = {};
+
+    if (config.acme.termsOfService) {
+      meta.termsOfService = config.acme.termsOfService;
+    }
+    meta.caaIdentities = [config.ca.domain];
+    meta.externalAccountRequired = false;
+
+    return {
+      newNonce: this.url('/new-nonce'),
+      newAccount: this.url('/new-account'),
+      newOrder: this.url('/new-order'),
+      revokeCert: this.url('/revoke-cert'),
+      meta
+    };
+  }
+
+  formatAccount(account) {
+    return {
+      status: account.status,
+      contact: account.contact || [],
+      termsOfServiceAgreed: account.termsOfServiceAgreed,
+      orders: this.url(`/account/${account.id}/orders`)
+    };
+  }
+
+  formatOrder(order, authorizations) {
+    const body = {
+      status: order.status,
+      expires: order.expiresAt.toISOString(),
+      identifiers: order.identifiers,
+      authorizations: authorizations.map(authz => this.url(`/authz/${authz.id}`)),
+      finalize: this.url(`/order/${order.id}/finalize`)
+    };
+
+    if (order.notBefore) body.notBefore = order.notBefore.toISOString();
+    if (order.notAfter) body.notAfter = order.notAfter.toISOString();
+    if (order.error) body.error = order.error;
+    if (order.status === 'valid' && order.certificateId) {
+      body.certificate = this.url(`/cert/${order.id}`);
+    }
+
+    return body;
+  }
+
+  formatAuthorization(authorization, challenges) {
+    const body = {
+      identifier: {
+        type: authorization.identifierType,
+        value: authorization.identifierValue
+      },
+      status: authorization.status,
+      expires: authorization.expiresAt.toISOString(),
+      challenges: challenges.map(challenge => this.formatChallenge(challenge))
+    };
+
+    if (authorization.wildcard) body.wildcard = true;
+
+    return body;
+  }
+
+  formatChallenge(challenge) {
+    const body = {
+      type: challenge.type,
+      url: this.url(`/chall/${challenge.id}`),
+      status: challenge.status,
+      token: challenge.token
+    };
+
+    if (challenge.validatedAt) body.validated = challenge.validatedAt.toISOString();
+    if (challenge.error) body.error = challenge.error;
+
+    return body;
+  }
+
+  // ───────────────────────────────────────────────────────────────────────
+  // Nonces (RFC 8555 Section 7.2)
+  // ───────────────────────────────────────────────────────────────────────
+
+  /**
+   * Issue a fresh Replay-Nonce
+   * @returns {Promise<string>}
+   */
+  async createNonce() {
+    const nonce = nodeCrypto.randomBytes(16).toString('base64url');
+
+    if (redisClient.isEnabled && redisClient.isConnected) {
+      await redisClient.set(`acme:nonce:${nonce}`, 1, config.acme.nonceTtl);
+    } else {
+      this.pruneNonces();
+      this.nonces.set(nonce, Date.now() + config.acme.nonceTtl * 1000);
+    }
+
+    return nonce;
+  }
+
+  /**
+   * Consume a nonce; each nonce is accepted exactly once
+   * @param {string} nonce
+   * @returns {Promise<boolean>}
+   */
+  async consumeNonce(nonce) {
+    if (typeof nonce !== 'string' || nonce.length === 0) {
+      return false;
+    }
+
+    if (redisClient.isEnabled && redisClient.isConnected) {
+      // DEL reports whether the key existed, which makes consumption atomic
+      const deleted = await redisClient.client.del(`acme:nonce:${nonce}`);
+      return deleted === 1;
+    }
+
+    const expiresAt = this.nonces.get(nonce);
+    this.nonces.delete(nonce);
+    return Boolean(expiresAt) && expiresAt > Date.now();
+  }
+
+  pruneNonces() {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of this.nonces) {
+      if (expiresAt <= now) this.nonces.delete(nonce);
+    }
+  }
+
+  // ───────────────────────────────────────────────────────────────────────
+  // Request authentication (RFC 8555 Section 6.2)
+  // ───────────────────────────────────────────────────────────────────────
+
+  /**
+   * Verify a JWS-wrapped request
+   * @param {Object} body - Flattened JWS
+   * @param {string} requestUrl - URL the request was received on
+   * @param {Object} options
+   * @param {boolean} options.allowJwk - Accept an embedded key (newAccount, revokeCert)
+   * @param {boolean} options.requireJwk - Require an embedded key (newAccount)
+   * @returns {Promise<{header: Object, payload: Object|null, account: Object|null, jwk: Object}>}
+   */
+  async verifyRequest(body, requestUrl, options = {}) {
+    let decoded;
+    try {
+      decoded = jws.decode(body);
+    } catch (error) {
+      throw acmeError('malformed', error.message);
+    }
+
+    const { header, payload } = decoded;
+
+    if (!jws.ALGORITHMS[header.alg]) {
+      throw acmeError('badSignatureAlgorithm', `Unsupported JWS algorithm: ${header.alg}`);
+    }
+
+    if (!(await this.consumeNonce(header.nonce))) {
+      throw acmeError('badNonce', 'JWS has an invalid or reused anti-replay nonce');
+    }
+
+    if (header.url !== requestUrl) {
+      throw acmeError('unauthorized', 'JWS url header does not match the request URL', 401);
+    }
+
+    if (Boolean(header.jwk) === Boolean(header.kid)) {
+      throw acmeError('malformed', 'JWS must contain exactly one of "jwk" or "kid"');
+    }
+
+    let account = null;
+    let jwk;
+
+    if (header.jwk) {
+      if (!options.allowJwk) {
+        throw acmeError('malformed', 'This resource requires a "kid" header');
+      }
+      jwk = header.jwk;
+    } else {
+      if (options.requireJwk) {
+        throw acmeError('malformed', 'newAccount requests must use a "jwk" header');
+      }
+
+      const prefix = this.url('/account/');
+      if (!header.kid.startsWith(prefix)) {
+        throw acmeError('accountDoesNotExist', 'Unknown account URL', 400);
+      }
+
+      account = await AcmeAccount.findByPk(header.kid.substring(prefix.length));
+      if (!account) {
+        throw acmeError('accountDoesNotExist', 'Account does not exist', 400);
+      }
+      if (!account.isValid()) {
+        throw acmeError('unauthorized', `Account is ${account.status}`, 401);
+      }
+      jwk = account.jwk;
+    }
+
+    let verified;
+    try {
+      verified = jws.verify(body, jwk);
+    } catch (error) {
+      throw acmeError('badSignatureAlgorithm', error.message);
+    }
+
+    if (!verified) {
+      throw acmeError('malformed', 'JWS signature is invalid');
+    }
+
+    return { header, payload, account, jwk };
+  }
+
+  // ───────────────────────────────────────────────────────────────────────
+  // Accounts (RFC 8555 Section 7.3)
+  // ───────────────────────────────────────────────────────────────────────
+
+  /**
+   * Create or look up an account for the embedded key
+   * @returns {Promise<{account: Object, created: boolean}>}
+   */
+  async newAccount(jwk, payload = {}) {
+    const keyThumbprint = jws.thumbprint(jwk);
+    const existing = await AcmeAccount.findOne({ where: { keyThumbprint } });
+
+    if (existing) {
+      return { account: existing, created: false };
+    }
+
+    if (payload && payload.onlyReturnExisting) {
+      throw acmeError('accountDoesNotExist', 'No account exists for this key');
+    }
+
+    if (config.acme.termsOfService && !(payload && payload.termsOfServiceAgreed)) {
+      throw acmeError('userActionRequired', `Terms of service must be agreed to: ${config.acme.termsOfService}`, 403);
+    }
+
+    const contact = this.validateContact(payload && payload.contact);
+
+    const account = await AcmeAccount.create({
+      keyThumbprint,
+      jwk: jws.publicJwk(jwk),
+      contact,
+      termsOfServiceAgreed: Boolean(payload && payload.termsOfServiceAgreed)
+    });
+
+    logger.info('ACME account created', { accountId: account.id });
+
+    return { account, created: true };
+  }
+
+  /**
+   * Update contacts or deactivate an account (RFC 8555 Sections 7.3.2 and 7.3.6)
+   */
+  async updateAccount(account, accountId, payload) {
+    this.assertAccountUrl(account, accountId);
+
+    if (!payload) {
+      return account;
+    }
+
+    if (payload.contact !== undefined) {
+      account.contact = this.validateContact(payload.contact);
+    }
+
+    if (payload.status === 'deactivated') {
+      account.status = 'deactivated';
+      await AcmeAuthorization.update(
+        { status: 'deactivated' },
+        { where: { accountId: account.id, status: ['pending', 'valid'] } }
+      );
+      logger.info('ACME account deactivated', { accountId: account.id });
+    } else if (payload.status !== undefined && payload.status !== account.status) {
+      throw acmeError('malformed', `Account status cannot be set to "${payload.status}"`);
+    }
+
+    await account.save();
+
+    return account;
+  }
+
+  /**
+   * List order URLs for an account (RFC 8555 Section 7.1.2.1)
+   */
+  async listOrders(account, accountId) {
+    this.assertAccountUrl(account, accountId);
+
+    const orders = await AcmeOrder.findAll({
+      where: { accountId: account.id, status: ['pending', 'ready', 'processing', 'valid'] },
+      order: [['createdAt', 'DESC']],
+      limit: 100
+    });
+
+    return { orders: orders.map(order => this.url(`/order/${order.id}`)) };
+  }
+
+  assertAccountUrl(account, accountId) {
+    if (account.id !== accountId) {
+      throw acmeError('unauthorized', 'Requests may only target the signing account', 403);
+    }
+  }
+
+  validateContact(contact) {
+    if (contact === undefined || contact === null) {
+      return [];
+    }
+
+    if (!Array.isArray(contact)) {
+      throw acmeError('malformed', 'contact must be an array of URLs');
+    }
+
+    for (const entry of contact) {
+      if (typeof entry !== 'string' || !entry.startsWith('mailto:')) {
+        throw acmeError('unsupportedContact', `Unsupported contact URL: ${entry}`);
+      }
+      if (!/^mailto:[^@\s,?]+@[^@\s,?]+$/.test(entry)) {
+        throw acmeError('invalidContact', `Invalid contact URL: ${entry}`);
+      }
+    }
+
+    return contact;
+  }
+
+  // ───────────────────────────────────────────────────────────────────────
+  // Orders and authorizations (RFC 8555 Sections 7.4 and 7.5)
+  // ───────────────────────────────────────────────────────────────────────
+
+  /**
+   * Create an order with one authorization per identifier
+   */
+  async newOrder(account, payload) {
+    if (!payload || !Array.isArray(payload.identifiers) || payload.identifiers.length === 0) {
+      throw acmeError('malformed', 'Order must contain at least one identifier');
+    }
+
+    const identifiers = [];
+    const seen = new Set();
+
+    for (const identifier of payload.identifiers) {
+      if (!identifier || identifier.type !== 'dns') {
+        throw acmeError('unsupportedIdentifier', `Unsupported identifier type: ${identifier && identifier.type}`);
+      }
+
+      const value = String(identifier.value || '').toLowerCase();
+      if (!DNS_NAME.test(value)) {
+        throw acmeError('rejectedIdentifier', `Invalid DNS identifier: ${identifier.value}`);
+      }
+
+      if (!seen.has(value)) {
+        seen.add(value);
+        identifiers.push({ type: 'dns', value });
+      }
+    }
+
+    const expiresAt = new Date(Date.now() + config.acme.orderLifetimeHours * 3600 * 1000);
+
+    const order = await AcmeOrder.create({
+      accountId: account.id,
+      identifiers,
+      notBefore: payload.notBefore ? new Date(payload.notBefore) : null,
+      notAfter: payload.notAfter ? new Date(payload.notAfter) : null,
+      expiresAt
+    });
+
+    const authorizations = [];
+
+    for (const identifier of identifiers) {
+      const wildcard = identifier.value.startsWith('*.');
+
+      const authorization = await AcmeAuthorization.create({
+        orderId: order.id,
+        accountId: account.id,
+        identifierType: identifier.type,
+        identifierValue: wildcard ? identifier.value.substring(2) : identifier.value,
+        wildcard,
+        expiresAt
+      });
+
+      // Wildcard names can only be proven through DNS (RFC 8555 Section 7.1.3)
+      const types = wildcard ? ['dns-01'] : ['http-01', 'dns-01'];
+      for (const type of types) {
+        await AcmeChallenge.create({ authorizationId: authorization.id, type });
+      }
+
+      authorizations.push(authorization);
+    }
+
+    logger.info('ACME order created', {
+      orderId: order.id,
+      accountId: account.id,
+      identifiers: identifiers.map(i => i.value)
+    });
+
+    return { order, authorizations };
+  }
+
+  /**
+   * Load an order owned by the account, expiring it when past its lifetime
+   */
+  async getOrder(account, orderId) {
+    const order = await AcmeOrder.findByPk(orderId, {
+      include: [{ association: 'authorizations' }]
+    });
+
+    if (!order || order.accountId !== account.id) {
+      throw acmeError('malformed', 'Order not found', 404);
+    }
+
+    if (['pending', 'ready'].includes(order.status) && order.isExpired()) {
+      order.status = 'invalid';
+      order.error = { type: `${ERROR_NAMESPACE}malformed`, detail: 'Order expired' };
+      await order.save();
+    }
+
+    return order;
+  }
+
+  async getAuthorization(account, authorizationId, payload = null) {
+    const authorization = await AcmeAuthorization.findByPk(authorizationId, {
+      include: [{ association: 'challenges' }]
+    });
+
+    if (!authorization || authorization.accountId !== account.id) {
+      throw acmeError('malformed', 'Authorization not found', 404);
+    }
+
+    if (authorization.status === 'pending' && authorization.isExpired()) {
+      authorization.status = 'expired';
+      await authorization.save();
+    }
+
+    // Deactivation (RFC 8555 Section 7.5.2)
+    if (payload && payload.status === 'deactivated') {
+      if (!['pending', 'valid'].includes(authorization.status)) {
+        throw acmeError('malformed', `Authorization is ${authorization.status}`);
+      }
+      authorization.status = 'deactivated';
+      await authorization.save();
+    }
+
+    return authorization;
+  }
+
+  // ───────────────────────────────────────────────────────────────────────
+  // Challenges (RFC 8555 Section 8)
+  // ───────────────────────────────────────────────────────────────────────
+
+  async getChallenge(account, challengeId) {
+    const challenge = await AcmeChallenge.findByPk(challengeId, {
+      include: [{ association: 'authorization' }]
+    });
+
+    if (!challenge || challenge.authorization.accountId !== account.id) {
+      throw acmeError('malformed', 'Challenge not found', 404);
+    }
+
+    return challenge;
+  }
+
+  /**
+   * Client signalled readiness; validation runs asynchronously
+   */
+  async respondToChallenge(account, challengeId) {
+    const challenge = await this.getChallenge(account, challengeId);
+    const authorization = challenge.authorization;
+
+    if (challenge.status === 'pending' && authorization.status === 'pending') {
+      if (authorization.isExpired()) {
+        authorization.status = 'expired';
+        await authorization.save();
+        throw acmeError('malformed', 'Authorization has expired');
+      }
+
+      challenge.status = 'processing';
+      await challenge.save();
+
+      setImmediate(() => {
+        this.validateChallenge(challenge, authorization, account).catch(error => {
+          logger.error('ACME challenge validation failed unexpectedly:', error);
+        });
+      });
+    }
+
+    return challenge;
+  }
+
+  /**
+   * Key authorization for a challenge token (RFC 8555 Section 8.1)
+   */
+  keyAuthorization(token, jwk) {
+    return `${token}.${jws.thumbprint(jwk)}`;
+  }
+
+  async validateChallenge(challenge, authorization, account) {
+    const keyAuthorization = this.keyAuthorization(challenge.token, account.jwk);
+
+    try {
+      if (challenge.type === 'http-01') {
+        await this.validateHttp01(authorization.identifierValue, challenge.token, keyAuthorization);
+      } else {
+        await this.validateDns01(authorization.identifierValue, keyAuthorization);
+      }
+
+      challenge.status = 'valid';
+      challenge.validatedAt = new Date();
+      challenge.error = null;
+      await challenge.save();
+
+      authorization.status = 'valid';
+      await authorization.save();
+
+      logger.info('ACME challenge validated', {
+        challengeId: challenge.id,
+        type: challenge.type,
+        identifier: authorization.identifierValue
+      });
+    } catch (error) {
+      challenge.status = 'invalid';
+      challenge.error = {
+        type: `${ERROR_NAMESPACE}${error.acmeType || 'serverInternal'}`,
+        detail: error.message
+      };
+      await challenge.save();
+
+      authorization.status = 'invalid';
+      await authorization.save();
+
+      logger.warn('ACME challenge failed', {
+        challengeId: challenge.id,
+        type: challenge.type,
+        identifier: authorization.identifierValue,
+        error: error.message
+      });
+    }
+
+    await this.refreshOrderStatus(authorization.orderId);
+  }
+
+  /**
+   * http-01: fetch the key authorization from the identifier (RFC 8555 Section 8.3)
+   */
+  async validateHttp01(domain, token, keyAuthorization) {
+    const port = config.acme.challenges.httpPort;
+    const url = `http://${domain}${port === 80 ? '' : `:${port}`}/.well-known/acme-challenge/${token}`;
+
+    let response;
+    try {
+      response = await axios.get(url, {
+        timeout: config.acme.challenges.timeout,
+        maxRedirects: 10,
+        responseType: 'text',
+        transformResponse: data => data,
+        maxContentLength: 8192,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      throw acmeError('connection', `Fetching ${url}: ${error.message}`);
+    }
+
+    if (response.status !== 200) {
+      throw acmeError('unauthorized', `Fetching ${url}: HTTP ${response.status}`);
+    }
+
+    if (String(response.data).trim() !== keyAuthorization) {
+      throw acmeError('incorrectResponse', `Fetching ${url}: key authorization does not match`);
+    }
+  }
+
+  /**
+   * dns-01: look up the TXT record at _acme-challenge (RFC 8555 Section 8.4)
+   */
+  async validateDns01(domain, keyAuthorization) {
+    const name = `_acme-challenge.${domain}`;
+    const expected = nodeCrypto.createHash('sha256').update(keyAuthorization).digest('base64url');
+
+    let records;
+    try {
+      records = await this.getDnsResolver().resolveTxt(name);
+    } catch (error) {
+      throw acmeError('dns', `TXT lookup for ${name} failed: ${error.message}`);
+    }
+
+    // TXT records arrive as arrays of character-strings
+    const values = (records || []).map(record => (Array.isArray(record) ? record.join('') : String(record)));
+
+    if (!values.includes(expected)) {
+      throw acmeError('incorrectResponse', `No TXT record for ${name} matches the key authorization`);
+    }
+  }
+
+  /**
+   * Resolver used for dns-01. A hook module configured via ACME_DNS_HOOK
+   * (or set with setDnsResolver) must export `resolveTxt(name)`.
+   */
+  getDnsResolver() {
+    if (!this.dnsResolver) {
+      const hook = config.acme.challenges.dnsHook;
+      this.dnsResolver = hook
+        ? require(path.resolve(process.cwd(), hook))
+        : require('dns').promises;
+    }
+
+    return this.dnsResolver;
+  }
+
+  setDnsResolver(resolver) {
+    if (!resolver || typeof resolver.resolveTxt !== 'function') {
+      throw new Error('DNS resolver must implement resolveTxt(name)');
+    }
+    this.dnsResolver = resolver;
+  }
+
+  /**
+   * Move an order to ready/invalid once its authorizations settle
+   */
+  async refreshOrderStatus(orderId) {
+    const order = await AcmeOrder.findByPk(orderId, {
+      include: [{ association: 'authorizations' }]
+    });
+
+    if (!order || order.status !== 'pending') {
+      return order;
+    }
+
+    const statuses = order.authorizations.map(authz => authz.status);
+
+    if (statuses.every(status => status === 'valid')) {
+      order.status = 'ready';
+    } else if (statuses.some(status => ['invalid', 'deactivated', 'expired', 'revoked'].includes(status))) {
+      order.status = 'invalid';
+      order.error = {
+        type: `${ERROR_NAMESPACE}unauthorized`,
+        detail: 'One or more authorizations failed'
+      };
+    } else {
+      return order;
+    }
+
+    await order.save();
+    return order;
+  }
+
+  // ───────────────────────────────────────────────────────────────────────
+  // Issuance (RFC 8555 Section 7.4)
+  // ───────────────────────────────────────────────────────────────────────
+
+  async getIssuer() {
+    const issuer = config.acme.issuerId
+      ? await Certificate.findByPk(config.acme.issuerId)
+      : await Certificate.findOne({ where: { type: 'root', status: 'active' } });
+
+    if (!issuer) {
+      throw acmeError('serverInternal', 'No issuing CA is configured', 500);
+    }
+
+    return issuer;
+  }
+
+  /**
+   * Finalize a ready order with the client's CSR
+   */
+  async finalizeOrder(account, orderId, payload) {
+    const order = await this.getOrder(account, orderId);
+
+    if (order.status !== 'ready') {
+      throw acmeError('orderNotReady', `Order is ${order.status}`, 403);
+    }
+
+    if (!payload || typeof payload.csr !== 'string') {
+      throw acmeError('malformed', 'Finalize payload must contain a "csr"');
+    }
+
+    const csrPem = forge.pem.encode({
+      type: 'CERTIFICATE REQUEST',
+      body: Buffer.from(payload.csr, 'base64url').toString('binary')
+    });
+
+    let csr;
+    try {
+      csr = crypto.parseCertificateRequest(csrPem);
+    } catch (error) {
+      throw acmeError('badCSR', error.message);
+    }
+
+    // The CSR must request exactly the identifiers in the order
+    const requested = new Set(csr.subjectAlternativeNames.map(name => name.toLowerCase()));
+    if (csr.subject.commonName) {
+      requested.add(csr.subject.commonName.toLowerCase());
+    }
+    const ordered = order.identifiers.map(identifier => identifier.value);
+
+    if (requested.size !== ordered.length || !ordered.every(value => requested.has(value))) {
+      throw acmeError('badCSR', 'CSR identifiers do not match the order');
+    }
+
+    if (csr.keyType === 'rsa' && csr.keySize < 2048) {
+      throw acmeError('badPublicKey', 'RSA keys must be at least 2048 bits');
+    }
+
+    order.status = 'processing';
+    await order.save();
+
+    try {
+      const issuer = await this.getIssuer();
+
+      const certificate = await certificateService.processCsr(csrPem, {
+        issuerId: issuer.id,
+        type: 'server',
+        validityDays: config.acme.validityDays,
+        subjectAltNames: ordered,
+        metadata: { acme: { accountId: account.id, orderId: order.id } }
+      }, null);
+
+      order.certificateId = certificate.id;
+      order.status = 'valid';
+      await order.save();
+
+      logger.info('ACME order finalized', { orderId: order.id, certificateId: certificate.id });
+    } catch (error) {
+      // Issuance policy rejections are the client's problem, not ours
+      const policyType = {
+        PROFILE_VIOLATION: 'badCSR',
+        NAME_CONSTRAINT_VIOLATION: 'rejectedIdentifier'
+      }[error.code];
+      const detail = error.details ? `${error.message}: ${error.details.join('; ')}` : error.message;
+
+      order.status = 'invalid';
+      order.error = { type: `${ERROR_NAMESPACE}${policyType || 'serverInternal'}`, detail };
+      await order.save();
+
+      throw policyType ? acmeError(policyType, detail) : error;
+    }
+
+    return order;
+  }
+
+  /**
+   * PEM chain for a finalized order (application/pem-certificate-chain)
+   */
+  async getCertificateChain(account, orderId) {
+    const order = await this.getOrder(account, orderId);
+
+    if (order.status !== 'valid' || !order.certificateId) {
+      throw acmeError('malformed', 'Certificate not found', 404);
+    }
+
+    const chain = [];
+    let current = await Certificate.findByPk(order.certificateId);
+
+    while (current) {
+      chain.push(current.certificatePem.trim());
+      current = current.issuerId && current.issuerId !== current.id
+        ? await Certificate.findByPk(current.issuerId)
+        : null;
+    }
+
+    return `${chain.join('\n')}\n`;
+  }
+
+  // ───────────────────────────────────────────────────────────────────────
+  // Revocation (RFC 8555 Section 7.6)
+  // ───────────────────────────────────────────────────────────────────────
+
+  /**
+   * Revoke a certificate signed by the issuing account or by the certificate key
+   */
+  async revokeCertificate(payload, { account, jwk }) {
+    if (!payload || typeof payload.certificate !== 'string') {
+      throw acmeError('malformed', 'Revocation payload must contain a "certificate"');
+    }
+
+    const reasonCode = payload.reason === undefined ? 0 : payload.reason;
+    const reason = REVOCATION_REASONS[reasonCode];
+    if (!reason) {
+      throw acmeError('badRevocationReason', `Unsupported revocation reason: ${payload.reason}`);
+    }
+
+    const der = Buffer.from(payload.certificate, 'base64url');
+    const fingerprint = nodeCrypto.createHash('sha256').update(der).digest('hex');
+    const certificate = await Certificate.findOne({ where: { fingerprint } });
+
+    if (!certificate) {
+      throw acmeError('malformed', 'Certificate was not issued by this CA', 404);
+    }
+
+    const acme = (certificate.metadata && certificate.metadata.acme) || {};
+    let authorized = false;
+
+    if (account) {
+      authorized = acme.accountId === account.id;
+    } else {
+      // Signed with the certificate's own key
+      const requestKey = nodeCrypto.createPublicKey({ key: jwk, format: 'jwk' })
+        .export({ type: 'spki', format: 'der' });
+      const certificateKey = nodeCrypto.createPublicKey(certificate.publicKey)
+        .export({ type: 'spki', format: 'der' });
+      authorized = requestKey.equals(certificateKey);
+    }
+
+    if (!authorized) {
+      throw acmeError('unauthorized', 'Not authorized to revoke this certificate', 403);
+    }
+
+    if (certificate.status === 'revoked') {
+      throw acmeError('alreadyRevoked', 'Certificate is already revoked');
+    }
+
+    await certificateService.revokeCertificate(certificate.id, reason, null);
+
+    logger.info('ACME certificate revoked', {
+      certificateId: certificate.id,
+      reason,
+      accountId: account ? account.id : null
+    });
+  }
+}
+
+module.exports = new AcmeService();
+module.exports.ERROR_NAMESPACE = ERROR_NAMESPACE;
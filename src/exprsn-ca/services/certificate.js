@@ -7,6 +7,10 @@
 const crypto = require('../crypto');
 const { Certificate, AuditLog } = require('../models');
 const { getStorage } = require('../storage');
+const crlService = require('./crl');
+const certificateProfileService = require('./certificateProfile');
+const keyCeremonyService = require('./keyCeremony');
+const transparencyService = require('./transparency');
 const config = require('../config');
 const logger = require('../utils/logger');
 
@@ -53,6 +57,9 @@ class CertificateService {
         status: 'active'
       });
 
+      // Append to the transparency log
+      await transparencyService.record(certificate);
+
       // Save to storage
       const storage = getStorage();
       await storage.saveCertificate(certificate.id, certData.certificate);
@@ -129,14 +136,32 @@ class CertificateService {
         throw new Error('Root CA certificate is not valid');
       }
 
-      // Get issuer private key from storage
+      // Get issuer private key (sealed root keys need custodian shares first)
       const storage = getStorage();
-      const issuerKey = await storage.getPrivateKey(issuer.id);
+      const issuerKey = await keyCeremonyService.getSigningKey(issuer);
 
       // Calculate validity days from years
       const validityYears = options.validityYears || 10;
       const validityDays = validityYears * 365;
 
+      // Intermediate profiles are opt-in and may carry name constraints
+      let profile = null;
+      if (options.profile) {
+        profile = await certificateProfileService.resolve({ profile: options.profile, type: 'intermediate' });
+
+        if (profile.certificateType !== 'intermediate') {
+          throw new Error(`Profile ${profile.name} cannot issue intermediate CA certificates`);
+        }
+
+        await certificateProfileService.enforce(profile, {
+          keyType: 'rsa',
+          keySize: config.ca.keySize.intermediate || config.ca.keySize.root,
+          validityDays,
+          commonName: options.commonName
+        }, userId);
+      }
+      const nameConstraints = profile ? profile.nameConstraints : null;
+
       // Generate certificate using crypto module
       const certData = await crypto.generateIntermediateCertificate({
         commonName: options.commonName || `${config.ca.name} Intermediate CA`,
@@ -149,7 +174,9 @@ class CertificateService {
         validityDays,
         issuerCert: issuer.certificatePem,
         issuerKey,
-        pathLen: options.pathLen || 0
+        pathLen: options.pathLen || 0,
+        nameConstraints,
+        distributionPoints: crlService.getDistributionPoints(issuer)
       });
 
       // Save to database
@@ -172,9 +199,14 @@ class CertificateService {
         fingerprint: certData.fingerprint,
         notBefore: certData.notBefore,
         notAfter: certData.notAfter,
-        status: 'active'
+        status: 'active',
+        // Enforced at issuance for everything this CA signs
+        metadata: profile ? { profile: profile.name, nameConstraints } : {}
       });
 
+      // Append to the transparency log
+      await transparencyService.record(certificate);
+
       // Save to storage
       await storage.saveCertificate(certificate.id, certData.certificate);
       await storage.savePrivateKey(certificate.id, certData.privateKey);
@@ -247,9 +279,29 @@ class CertificateService {
         throw new Error('Issuer certificate is not valid');
       }
 
-      // Get issuer private key from storage
+      // Apply the certificate profile (issuance policy)
+      const subjectAltNames = options.subjectAltNames || options.subjectAlternativeNames || [];
+      const profile = await certificateProfileService.resolve(options);
+      const keySize = options.keySize || certificateProfileService.defaultKeySize(profile);
+      const validityDays = options.validityDays || certificateProfileService.defaultValidityDays(profile);
+
+      const policy = profile
+        ? await certificateProfileService.enforce(profile, {
+          keyType: 'rsa',
+          keySize,
+          validityDays,
+          commonName: options.commonName,
+          subjectAltNames
+        }, userId)
+        : null;
+
+      await certificateProfileService.assertNameConstraints(issuer, subjectAltNames);
+
+      const type = policy ? policy.type : (options.type || 'client');
+
+      // Get issuer private key (sealed root keys need custodian shares first)
       const storage = getStorage();
-      const issuerKey = await storage.getPrivateKey(issuer.id);
+      const issuerKey = await keyCeremonyService.getSigningKey(issuer);
 
       // Generate certificate
       const certData = await crypto.generateEntityCertificate({
@@ -260,12 +312,18 @@ class CertificateService {
         organization: options.organization,
         organizationalUnit: options.organizationalUnit,
         email: options.email,
-        subjectAltNames: options.subjectAltNames || [],
-        type: options.type || 'client',
-        keySize: config.ca.keySize.entity,
-        validityDays: options.validityDays || config.ca.validity.entity,
+        subjectAltNames,
+        type,
+        keySize,
+        validityDays,
+        keyUsage: policy ? policy.keyUsage : null,
+        extendedKeyUsage: policy ? policy.extendedKeyUsage : null,
         issuerCert: issuer.certificatePem,
-        issuerKey
+        issuerKey,
+        // Responder certificates carry id-pkix-ocsp-nocheck instead of an OCSP pointer
+        distributionPoints: crlService.getDistributionPoints(issuer, {
+          ocsp: type !== 'ocsp_signing'
+        })
       });
 
       // Encrypt private key if password provided
@@ -277,18 +335,18 @@ class CertificateService {
       // Save to database
       const certificate = await Certificate.create({
         serialNumber: certData.serialNumber,
-        type: options.type || 'client',
+        type,
         userId,
         issuerId: issuer.id,
         commonName: options.commonName,
-        subjectAlternativeNames: options.subjectAltNames || [],
+        subjectAlternativeNames: subjectAltNames,
         organization: options.organization,
         organizationalUnit: options.organizationalUnit,
         country: options.country,
         state: options.state,
         locality: options.locality,
         email: options.email,
-        keySize: config.ca.keySize.entity,
+        keySize,
         algorithm: 'RSA-SHA256',
         publicKey: certData.publicKey,
         privateKeyEncrypted,
@@ -296,9 +354,13 @@ class CertificateService {
         fingerprint: certData.fingerprint,
         notBefore: certData.notBefore,
         notAfter: certData.notAfter,
-        status: 'active'
+        status: 'active',
+        metadata: profile ? { profile: profile.name } : {}
       });
 
+      // Append to the transparency log
+      await transparencyService.record(certificate);
+
       // Save to storage
       await storage.saveCertificate(certificate.id, certData.certificate);
       if (!options.password) {
@@ -396,8 +458,28 @@ class CertificateService {
         reason
       });
 
-      // Trigger CRL update
-      await require('./crl').updateCRL();
+      // Drop any cached OCSP status and publish on the issuing CA's CRL
+      require('./ocsp').invalidate(certificate.serialNumber);
+
+      // Imported certificates from other CAs are tracked here but revoked at their issuer
+      const imported = (certificate.metadata || {}).imported;
+      if (imported && imported.external) {
+        logger.warn('Revocation recorded for externally issued certificate; notify its issuer', {
+          certificateId: certificate.id,
+          issuer: imported.issuer
+        });
+        return certificate;
+      }
+
+      try {
+        await crlService.publishRevocation(certificate.issuerId || certificate.id);
+      } catch (publishError) {
+        // OCSP reflects the revocation at once; the CRL follows once the key is unsealed
+        if (publishError.code !== 'KEY_SEALED') throw publishError;
+        logger.warn('Revocation recorded but CRL not published: issuer key is sealed', {
+          certificateId: certificate.id
+        });
+      }
 
       return certificate;
     } catch (error) {
@@ -456,26 +538,52 @@ class CertificateService {
         throw new Error('Issuer certificate is not valid');
       }
 
-      // Get issuer private key from storage
+      // Apply the certificate profile to what the CSR asks for
+      const csr = crypto.parseCertificateRequest(csrPem);
+      const subjectAltNames = options.subjectAltNames || csr.subjectAlternativeNames;
+      const profile = await certificateProfileService.resolve(options);
+      const validityDays = options.validityDays || certificateProfileService.defaultValidityDays(profile);
+
+      const policy = profile
+        ? await certificateProfileService.enforce(profile, {
+          keyType: csr.keyType,
+          keySize: csr.keySize,
+          validityDays,
+          commonName: csr.subject.commonName,
+          subjectAltNames,
+          requestedExtensions: csr.requestedExtensions
+        }, userId)
+        : null;
+
+      await certificateProfileService.assertNameConstraints(issuer, subjectAltNames);
+
+      const type = policy ? policy.type : (options.type || 'client');
+
+      // Get issuer private key (sealed root keys need custodian shares first)
       const storage = getStorage();
-      const issuerKey = await storage.getPrivateKey(issuer.id);
+      const issuerKey = await keyCeremonyService.getSigningKey(issuer);
 
       // Sign CSR using crypto module
       const certData = await crypto.signCertificateRequest({
         csrPem,
-        type: options.type || 'client',
-        validityDays: options.validityDays || config.ca.validity.entity,
+        type,
+        validityDays,
         issuerCert: issuer.certificatePem,
-        issuerKey
+        issuerKey,
+        subjectAltNames,
+        keyUsage: policy ? policy.keyUsage : null,
+        extendedKeyUsage: policy ? policy.extendedKeyUsage : null,
+        distributionPoints: crlService.getDistributionPoints(issuer)
       });
 
       // Save to database
       const certificate = await Certificate.create({
         serialNumber: certData.serialNumber,
-        type: options.type || 'client',
+        type,
         userId,
         issuerId: issuer.id,
-        commonName: certData.subject.commonName,
+        // SAN-only requests (common for ACME) carry no subject CN
+        commonName: certData.subject.commonName || certData.subjectAlternativeNames[0],
         subjectAlternativeNames: certData.subjectAlternativeNames || [],
         organization: certData.subject.organization,
         organizationalUnit: certData.subject.organizationalUnit,
@@ -484,15 +592,22 @@ class CertificateService {
         locality: certData.subject.locality,
         email: certData.subject.email,
         keySize: certData.keySize,
-        algorithm: 'RSA-SHA256',
+        algorithm: certData.keyType === 'ec' ? 'ECDSA-SHA256' : 'RSA-SHA256',
         publicKey: certData.publicKey,
         certificatePem: certData.certificate,
         fingerprint: certData.fingerprint,
         notBefore: certData.notBefore,
         notAfter: certData.notAfter,
-        status: 'active'
+        status: 'active',
+        metadata: {
+          ...(options.metadata || {}),
+          ...(profile && { profile: profile.name })
+        }
       });
 
+      // Append to the transparency log
+      await transparencyService.record(certificate);
+
       // Save to storage
       await storage.saveCertificate(certificate.id, certData.certificate);
 
@@ -540,9 +655,16 @@ class CertificateService {
 
   /**
    * Renew certificate
+   * @param {string} certificateId
+   * @param {Object} options
+   * @param {boolean} [options.rekey=true] - Generate a new key pair; otherwise re-certify the current key
+   * @param {boolean} [options.revokePrevious=true] - Revoke the old certificate as superseded
+   * @param {string} userId - User requesting the renewal (null for the renewal scheduler)
    */
   async renewCertificate(certificateId, options, userId) {
     try {
+      const { rekey = true, revokePrevious = true } = options;
+
       logger.info('Renewing certificate...', { certificateId, userId });
 
       // Get existing certificate
@@ -561,9 +683,10 @@ class CertificateService {
         throw new Error('Issuer certificate is not valid');
       }
 
-      // Get issuer private key from storage
+      // Get issuer private key (sealed root keys need custodian shares first)
       const storage = getStorage();
-      const issuerKey = await storage.getPrivateKey(issuer.id);
+      const issuerKey = await keyCeremonyService.getSigningKey(issuer);
+      const metadata = oldCert.metadata || {};
 
       // Generate new certificate with same subject but new validity
       const certData = await crypto.generateEntityCertificate({
@@ -579,14 +702,16 @@ class CertificateService {
         keySize: options.keySize || oldCert.keySize,
         validityDays: options.validityDays || config.ca.validity.entity,
         issuerCert: issuer.certificatePem,
-        issuerKey
+        issuerKey,
+        distributionPoints: crlService.getDistributionPoints(issuer),
+        publicKey: rekey ? null : oldCert.publicKey
       });
 
       // Save new certificate to database
       const newCert = await Certificate.create({
         serialNumber: certData.serialNumber,
         type: oldCert.type,
-        userId,
+        userId: oldCert.userId || userId,
         issuerId: issuer.id,
         commonName: oldCert.commonName,
         subjectAlternativeNames: oldCert.subjectAlternativeNames || [],
@@ -596,25 +721,46 @@ class CertificateService {
         state: oldCert.state,
         locality: oldCert.locality,
         email: oldCert.email,
-        keySize: options.keySize || oldCert.keySize,
+        keySize: rekey ? (options.keySize || oldCert.keySize) : oldCert.keySize,
         algorithm: 'RSA-SHA256',
         publicKey: certData.publicKey,
         certificatePem: certData.certificate,
         fingerprint: certData.fingerprint,
         notBefore: certData.notBefore,
         notAfter: certData.notAfter,
-        status: 'active'
+        status: 'active',
+        autoRenew: oldCert.autoRenew,
+        autoRenewRekey: oldCert.autoRenewRekey,
+        metadata: metadata.profile ? { profile: metadata.profile } : {}
       });
 
-      // Save to storage
+      // Append to the transparency log
+      await transparencyService.record(newCert);
+
+      // Save to storage; a kept key moves over as-is (still encrypted if it was)
       await storage.saveCertificate(newCert.id, certData.certificate);
-      await storage.savePrivateKey(newCert.id, certData.privateKey);
+      if (rekey) {
+        await storage.savePrivateKey(newCert.id, certData.privateKey);
+      } else {
+        const keptKey = await storage.getPrivateKey(oldCert.id).catch(() => null);
+        if (keptKey) {
+          await storage.savePrivateKey(newCert.id, keptKey);
+        }
+        if (oldCert.privateKeyEncrypted) {
+          newCert.privateKeyEncrypted = oldCert.privateKeyEncrypted;
+        }
+      }
 
       newCert.storagePath = `certs/${newCert.id}.pem`;
       await newCert.save();
 
-      // Revoke old certificate
-      await oldCert.revoke('superseded');
+      // Link the successor, then revoke the old certificate
+      oldCert.renewedById = newCert.id;
+      await oldCert.save();
+
+      if (revokePrevious) {
+        await oldCert.revoke('superseded');
+      }
 
       // Audit log
       await AuditLog.log({
@@ -629,7 +775,8 @@ class CertificateService {
           oldCertificateId: oldCert.id,
           oldSerialNumber: oldCert.serialNumber,
           newSerialNumber: newCert.serialNumber,
-          newFingerprint: newCert.fingerprint
+          newFingerprint: newCert.fingerprint,
+          rekeyed: rekey
         }
       });
 
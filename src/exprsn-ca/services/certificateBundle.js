@@ -0,0 +1,384 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Certificate Bundle Service - Export and import of certificates and keys
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Exports a certificate with its chain (and optionally its key) as PEM, DER,
+ * PKCS#7, PKCS#12 or JKS, and imports externally issued certificates into
+ * the inventory so they can be tracked and revoked.
+ */
+
+const { X509Certificate } = require('crypto');
+const { Op } = require('sequelize');
+const crypto = require('../crypto');
+const bundle = require('../crypto/bundle');
+const { Certificate, AuditLog } = require('../models');
+const { getStorage } = require('../storage');
+const certificateService = require('./certificate');
+const certificateProfileService = require('./certificateProfile');
+const logger = require('../utils/logger');
+
+const FORMATS = {
+  pem: { contentType: 'application/x-pem-file', extension: 'pem' },
+  der: { contentType: 'application/x-x509-ca-cert', extension: 'der' },
+  p7b: { contentType: 'application/x-pkcs7-certificates', extension: 'p7b' },
+  p12: { contentType: 'application/x-pkcs12', extension: 'p12', keyStore: true },
+  pfx: { contentType: 'application/x-pkcs12', extension: 'pfx', keyStore: true },
+  jks: { contentType: 'application/x-java-keystore', extension: 'jks', keyStore: true }
+};
+
+const EXTENDED_KEY_USAGE_TYPES = [
+  ['1.3.6.1.5.5.7.3.3', 'code_signing'],
+  ['1.3.6.1.5.5.7.3.1', 'server'],
+  ['1.3.6.1.5.5.7.3.2', 'client']
+];
+
+/**
+ * Create an error carrying a status/code for the API layer
+ */
+function bundleError(code, message, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+function safeName(certificate) {
+  return certificate.commonName.replace(/[^A-Za-z0-9._-]+/g, '_') || certificate.serialNumber;
+}
+
+class CertificateBundleService {
+  /**
+   * Export a certificate
+   * @param {string} certificateId
+   * @param {Object} options - {format, password, includeChain, includeKey, keyPassword, alias, encryption}
+   * @param {string|null} userId - Required when the export carries the private key
+   * @returns {Promise<{data: Buffer|string, contentType: string, filename: string}>}
+   */
+  async exportCertificate(certificateId, options, userId = null) {
+    const format = FORMATS[options.format];
+    if (!format) {
+      throw bundleError('INVALID_FORMAT', 'Format must be pem, der, p7b, p12, pfx, or jks', 400);
+    }
+
+    const certificate = await Certificate.findByPk(certificateId);
+    if (!certificate) {
+      throw bundleError('CERTIFICATE_NOT_FOUND', 'Certificate not found', 404);
+    }
+
+    const chain = await certificateService.getCertificateChain(certificate.id);
+    const certificatePems = options.includeChain === false
+      ? [certificate.certificatePem]
+      : chain.map(entry => entry.pem);
+
+    const includeKey = options.includeKey !== undefined ? options.includeKey : Boolean(format.keyStore);
+    const privateKeyPem = includeKey
+      ? await this.getExportableKey(certificate, userId, options.keyPassword)
+      : null;
+
+    let data;
+    switch (options.format) {
+      case 'pem':
+        data = certificatePems.join('\n');
+        if (privateKeyPem) {
+          const keyPem = options.password
+            ? crypto.encryptPrivateKey(privateKeyPem, options.password)
+            : privateKeyPem;
+          data = `${keyPem.trim()}\n${data}`;
+        }
+        break;
+      case 'der':
+        data = bundle.certificateToDer(certificate.certificatePem);
+        break;
+      case 'p7b':
+        data = bundle.toPkcs7(certificatePems);
+        break;
+      case 'jks':
+        data = bundle.toJks({
+          privateKeyPem,
+          certificatePems,
+          password: options.password,
+          alias: options.alias || safeName(certificate)
+        });
+        break;
+      default:
+        data = bundle.toPkcs12({
+          privateKeyPem,
+          certificatePems,
+          password: options.password,
+          friendlyName: options.alias || certificate.commonName,
+          algorithm: options.encryption
+        });
+    }
+
+    if (privateKeyPem) {
+      await AuditLog.log({
+        userId,
+        action: 'certificate.export',
+        resourceType: 'certificate',
+        resourceId: certificate.id,
+        status: 'success',
+        severity: 'warning',
+        message: `Certificate exported with private key: ${certificate.commonName}`,
+        details: {
+          serialNumber: certificate.serialNumber,
+          format: options.format,
+          includeChain: certificatePems.length > 1
+        }
+      });
+    }
+
+    return {
+      data,
+      contentType: format.contentType,
+      filename: `${safeName(certificate)}.${format.extension}`
+    };
+  }
+
+  /**
+   * Private key of a certificate, for its owner or an admin
+   * CA keys never leave the CA.
+   */
+  async getExportableKey(certificate, userId, keyPassword) {
+    if (!userId) {
+      throw bundleError('UNAUTHORIZED', 'Authentication required to export a private key', 401);
+    }
+
+    if (['root', 'intermediate'].includes(certificate.type)) {
+      throw bundleError('KEY_EXPORT_FORBIDDEN', 'CA private keys cannot be exported', 403);
+    }
+
+    if (certificate.userId !== userId) {
+      const access = await certificateProfileService.getUserAccess(userId);
+      if (!access.admin) {
+        throw bundleError('FORBIDDEN', 'Only the certificate owner or an admin can export its private key', 403);
+      }
+    }
+
+    let privateKeyPem = null;
+    try {
+      privateKeyPem = await getStorage().getPrivateKey(certificate.id);
+    } catch (error) {
+      // Disk and S3 storage throw for keys they never stored
+      privateKeyPem = null;
+    }
+
+    // Password-protected keys live only on the certificate record
+    privateKeyPem = privateKeyPem || certificate.privateKeyEncrypted;
+
+    if (!privateKeyPem) {
+      throw bundleError('KEY_UNAVAILABLE', 'The CA does not hold the private key for this certificate', 404);
+    }
+
+    if (!privateKeyPem.includes('ENCRYPTED')) {
+      return privateKeyPem;
+    }
+
+    if (!keyPassword) {
+      throw bundleError('KEY_PASSWORD_REQUIRED', 'The private key is encrypted; provide keyPassword', 400);
+    }
+
+    try {
+      return crypto.decryptPrivateKey(privateKeyPem, keyPassword);
+    } catch (error) {
+      throw bundleError('INVALID_KEY_PASSWORD', 'Private key password is incorrect', 400);
+    }
+  }
+
+  /**
+   * Decode a bundle into certificates and an optional private key
+   */
+  decode(options) {
+    const { format, data, password } = options;
+
+    try {
+      let decoded;
+      switch (format) {
+        case 'pem':
+          decoded = bundle.parsePemBundle(data);
+          break;
+        case 'der':
+          decoded = { certificates: [bundle.certificateToPem(Buffer.from(data, 'base64'))], privateKey: null };
+          break;
+        case 'p7b':
+          decoded = { certificates: bundle.fromPkcs7(Buffer.from(data, 'base64')), privateKey: null };
+          break;
+        case 'jks':
+          decoded = bundle.fromJks(Buffer.from(data, 'base64'), password);
+          break;
+        case 'p12':
+        case 'pfx':
+          decoded = bundle.fromPkcs12(Buffer.from(data, 'base64'), password);
+          break;
+        default:
+          throw new Error('Format must be pem, der, p7b, p12, pfx, or jks');
+      }
+
+      // Reject malformed certificates here rather than half-way through the import
+      decoded.certificates.forEach(pem => new X509Certificate(pem));
+      return decoded;
+    } catch (error) {
+      throw bundleError('INVALID_BUNDLE', `Could not read ${format} bundle: ${error.message}`, 400);
+    }
+  }
+
+  /**
+   * The entity certificate of a bundle: the one matching the key, otherwise
+   * the one that issued none of the others
+   */
+  selectEntityCertificate(certificates, privateKeyPem) {
+    if (privateKeyPem) {
+      const match = certificates.find(pem => crypto.keyMatchesCertificate(privateKeyPem, pem));
+      if (!match) {
+        throw bundleError('KEY_MISMATCH', 'The private key does not match any certificate in the bundle', 400);
+      }
+      return match;
+    }
+
+    const parsed = certificates.map(pem => new X509Certificate(pem));
+
+    const leaf = parsed.find(candidate =>
+      !parsed.some(other => other !== candidate && other.checkIssued(candidate)));
+
+    return leaf ? leaf.toString() : certificates[0];
+  }
+
+  /**
+   * Inventory CA that signed a certificate, if it was issued here
+   */
+  async findIssuer(certificatePem) {
+    const certificate = new X509Certificate(certificatePem);
+
+    const authorities = await Certificate.findAll({
+      where: { type: { [Op.in]: ['root', 'intermediate'] } }
+    });
+
+    return authorities.find(authority => {
+      const issuer = new X509Certificate(authority.certificatePem);
+      return certificate.checkIssued(issuer) && certificate.verify(issuer.publicKey);
+    }) || null;
+  }
+
+  /**
+   * Import an externally issued certificate (and key) into the inventory
+   * @param {Object} options - {format, data, password, privateKey, keyPassword, ownerId, type}
+   * @param {string} userId - Importing admin
+   * @returns {Promise<Object>} {certificate, hasPrivateKey, chainLength}
+   */
+  async importCertificate(options, userId) {
+    const access = await certificateProfileService.getUserAccess(userId);
+    if (!access.admin) {
+      throw bundleError('FORBIDDEN', 'Admin access required to import certificates', 403);
+    }
+
+    const decoded = this.decode(options);
+    let privateKeyPem = decoded.privateKey || options.privateKey || null;
+
+    if (decoded.certificates.length === 0) {
+      throw bundleError('INVALID_BUNDLE', 'The bundle contains no certificates', 400);
+    }
+
+    if (privateKeyPem && privateKeyPem.includes('ENCRYPTED')) {
+      try {
+        privateKeyPem = crypto.decryptPrivateKey(privateKeyPem, options.keyPassword || '');
+      } catch (error) {
+        throw bundleError('INVALID_KEY_PASSWORD', 'Could not decrypt the private key; check keyPassword', 400);
+      }
+    }
+
+    const certificatePem = this.selectEntityCertificate(decoded.certificates, privateKeyPem);
+    const details = bundle.describeCertificate(certificatePem);
+
+    // A CA in the inventory is treated as an issuer by the CRL and OCSP services
+    if (details.isCA) {
+      throw bundleError('CA_IMPORT_UNSUPPORTED', 'CA certificates cannot be imported into the inventory', 400);
+    }
+
+    const existing = await Certificate.findOne({
+      where: {
+        [Op.or]: [{ fingerprint: details.fingerprint }, { serialNumber: details.serialNumber }]
+      }
+    });
+    if (existing) {
+      throw bundleError('CERTIFICATE_EXISTS', `Certificate is already in the inventory: ${existing.id}`, 409);
+    }
+
+    const issuer = await this.findIssuer(certificatePem);
+    const usageType = EXTENDED_KEY_USAGE_TYPES.find(([oid]) => details.extendedKeyUsage.includes(oid));
+    const type = options.type || (usageType ? usageType[1] : 'entity');
+    const now = new Date();
+
+    const certificate = await Certificate.create({
+      serialNumber: details.serialNumber,
+      type,
+      userId: options.ownerId || userId,
+      issuerId: issuer ? issuer.id : null,
+      commonName: details.subject.CN || details.serialNumber,
+      subjectAlternativeNames: details.subjectAltNames,
+      organization: details.subject.O,
+      organizationalUnit: details.subject.OU,
+      country: details.subject.C,
+      state: details.subject.ST,
+      locality: details.subject.L,
+      email: details.subject.emailAddress,
+      keySize: details.keySize,
+      algorithm: details.algorithm,
+      publicKey: details.publicKey,
+      certificatePem,
+      fingerprint: details.fingerprint,
+      notBefore: details.notBefore,
+      notAfter: details.notAfter,
+      status: details.notAfter < now ? 'expired' : 'active',
+      metadata: {
+        imported: {
+          format: options.format,
+          issuer: details.issuer,
+          external: !issuer,
+          importedBy: userId,
+          importedAt: now.toISOString()
+        }
+      }
+    });
+
+    const storage = getStorage();
+    await storage.saveCertificate(certificate.id, certificatePem);
+    if (privateKeyPem) {
+      await storage.savePrivateKey(certificate.id, privateKeyPem);
+    }
+
+    certificate.storagePath = `certs/${certificate.id}.pem`;
+    await certificate.save();
+
+    await AuditLog.log({
+      userId,
+      action: 'certificate.import',
+      resourceType: 'certificate',
+      resourceId: certificate.id,
+      status: 'success',
+      severity: 'info',
+      message: `Certificate imported: ${certificate.commonName}`,
+      details: {
+        serialNumber: certificate.serialNumber,
+        fingerprint: certificate.fingerprint,
+        format: options.format,
+        issuer: details.issuer,
+        issuerId: certificate.issuerId,
+        hasPrivateKey: Boolean(privateKeyPem)
+      }
+    });
+
+    logger.info('Certificate imported', {
+      id: certificate.id,
+      serialNumber: certificate.serialNumber,
+      external: !issuer
+    });
+
+    return {
+      certificate,
+      hasPrivateKey: Boolean(privateKeyPem),
+      chainLength: decoded.certificates.length
+    };
+  }
+}
+
+module.exports = new CertificateBundleService();
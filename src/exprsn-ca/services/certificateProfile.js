@@ -0,0 +1,521 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Certificate Profile Service - Issuance policy enforcement
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const { Op } = require('sequelize');
+const { CertificateProfile, Certificate, User, AuditLog } = require('../models');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Certificate types issued by the CA itself, never subject to profiles
+ */
+const INTERNAL_TYPES = ['ocsp_signing'];
+
+/**
+ * Extensions present in every entity certificate the CA issues
+ */
+const BASE_EXTENSIONS = [
+  'basicConstraints',
+  'subjectKeyIdentifier',
+  'authorityKeyIdentifier',
+  'cRLDistributionPoints',
+  'authorityInfoAccess'
+];
+
+const DNS_SAN_PATTERN = '^(\\*\\.)?([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\\.)+[a-z]{2,63}$';
+
+/**
+ * Built-in profiles created on first start
+ */
+const DEFAULT_PROFILES = [
+  {
+    name: 'tls-server',
+    displayName: 'TLS Server',
+    description: 'Web and service endpoints (serverAuth)',
+    certificateType: 'server',
+    keyUsage: ['digitalSignature', 'keyEncipherment'],
+    extendedKeyUsage: ['serverAuth'],
+    keyAlgorithms: { rsa: [2048, 3072, 4096], ec: [256, 384] },
+    maxValidityDays: 398,
+    requiredExtensions: ['subjectAltName'],
+    forbiddenExtensions: ['nameConstraints'],
+    sanPatterns: [DNS_SAN_PATTERN, '^IP:']
+  },
+  {
+    name: 'client-auth',
+    displayName: 'Client Authentication',
+    description: 'Users and services authenticating with mutual TLS (clientAuth)',
+    certificateType: 'client',
+    keyUsage: ['digitalSignature', 'keyEncipherment'],
+    extendedKeyUsage: ['clientAuth'],
+    keyAlgorithms: { rsa: [2048, 3072, 4096], ec: [256, 384] },
+    maxValidityDays: 825,
+    forbiddenExtensions: ['nameConstraints']
+  },
+  {
+    name: 'code-signing',
+    displayName: 'Code Signing',
+    description: 'Signing release artifacts and plugins (codeSigning)',
+    certificateType: 'code_signing',
+    keyUsage: ['digitalSignature'],
+    extendedKeyUsage: ['codeSigning'],
+    keyAlgorithms: { rsa: [2048, 3072, 4096], ec: [256, 384] },
+    maxValidityDays: 1095,
+    forbiddenExtensions: ['subjectAltName', 'nameConstraints'],
+    allowedRoles: ['code-signing']
+  },
+  {
+    name: 'smime',
+    displayName: 'S/MIME',
+    description: 'Email signing and encryption (emailProtection)',
+    certificateType: 'client',
+    keyUsage: ['digitalSignature', 'keyEncipherment'],
+    extendedKeyUsage: ['emailProtection'],
+    keyAlgorithms: { rsa: [2048, 3072, 4096], ec: [256, 384] },
+    maxValidityDays: 825,
+    requiredExtensions: ['subjectAltName'],
+    forbiddenExtensions: ['nameConstraints'],
+    sanPatterns: ['^email:[^@\\s]+@[^@\\s]+$']
+  }
+];
+
+/**
+ * Create an error carrying a status/code for the API layer
+ */
+function profileError(code, message, status, details) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+}
+
+/**
+ * Whether a DNS name falls within a name constraint subtree
+ */
+function withinSubtree(name, base) {
+  const host = name.replace(/^\*\./, '').toLowerCase();
+  const subtree = base.replace(/^\./, '').toLowerCase();
+  return host === subtree || host.endsWith(`.${subtree}`);
+}
+
+class CertificateProfileService {
+  /**
+   * Create missing built-in profiles
+   */
+  async ensureDefaults() {
+    for (const defaults of DEFAULT_PROFILES) {
+      const [, created] = await CertificateProfile.findOrCreate({
+        where: { name: defaults.name },
+        defaults: { ...defaults, isSystem: true }
+      });
+
+      if (created) {
+        logger.info('Created default certificate profile', { name: defaults.name });
+      }
+    }
+  }
+
+  async listProfiles(filters = {}) {
+    const where = {};
+
+    if (filters.status) where.status = filters.status;
+    if (filters.certificateType) where.certificateType = filters.certificateType;
+
+    return await CertificateProfile.findAll({
+      where,
+      order: [['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Look up a profile by name or ID
+   */
+  async getProfile(nameOrId) {
+    const where = /^[0-9a-f-]{36}$/i.test(nameOrId)
+      ? { [Op.or]: [{ id: nameOrId }, { name: nameOrId }] }
+      : { name: nameOrId };
+
+    return await CertificateProfile.findOne({ where });
+  }
+
+  async createProfile(data, userId = null) {
+    this.validateDefinition(data);
+
+    const profile = await CertificateProfile.create({ ...data, isSystem: false });
+
+    await AuditLog.log({
+      userId,
+      action: 'certificate_profile.create',
+      resourceType: 'certificate_profile',
+      resourceId: profile.id,
+      status: 'success',
+      severity: 'info',
+      message: `Certificate profile created: ${profile.name}`
+    });
+
+    return profile;
+  }
+
+  async updateProfile(nameOrId, data, userId = null) {
+    const profile = await this.getProfile(nameOrId);
+    if (!profile) {
+      throw profileError('PROFILE_NOT_FOUND', 'Certificate profile not found', 404);
+    }
+
+    this.validateDefinition({ ...profile.toJSON(), ...data });
+
+    // The name is the stable reference used by callers and the CLI
+    const { name, isSystem, ...changes } = data;
+    await profile.update(changes);
+
+    await AuditLog.log({
+      userId,
+      action: 'certificate_profile.update',
+      resourceType: 'certificate_profile',
+      resourceId: profile.id,
+      status: 'success',
+      severity: 'info',
+      message: `Certificate profile updated: ${profile.name}`,
+      details: { changes: Object.keys(changes) }
+    });
+
+    return profile;
+  }
+
+  async deleteProfile(nameOrId, userId = null) {
+    const profile = await this.getProfile(nameOrId);
+    if (!profile) {
+      throw profileError('PROFILE_NOT_FOUND', 'Certificate profile not found', 404);
+    }
+
+    if (profile.isSystem) {
+      throw profileError('PROFILE_PROTECTED', 'Built-in profiles can be disabled but not deleted', 400);
+    }
+
+    await profile.destroy();
+
+    await AuditLog.log({
+      userId,
+      action: 'certificate_profile.delete',
+      resourceType: 'certificate_profile',
+      resourceId: profile.id,
+      status: 'success',
+      severity: 'warning',
+      message: `Certificate profile deleted: ${profile.name}`
+    });
+  }
+
+  /**
+   * Reject definitions whose patterns would fail at issuance time
+   */
+  validateDefinition(data) {
+    const patterns = [...(data.sanPatterns || [])];
+    if (data.commonNamePattern) patterns.push(data.commonNamePattern);
+
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw profileError('INVALID_PROFILE', `Invalid pattern "${pattern}": ${error.message}`, 400);
+      }
+    }
+
+    if (data.nameConstraints && data.certificateType !== 'intermediate') {
+      throw profileError('INVALID_PROFILE', 'Name constraints only apply to intermediate profiles', 400);
+    }
+  }
+
+  // ───────────────────────────────────────────────────────────────────────
+  // Enforcement
+  // ───────────────────────────────────────────────────────────────────────
+
+  /**
+   * Resolve the profile governing an issuance request
+   * @param {Object} options - Issuance options ({profile, type})
+   * @returns {Promise<Object|null>} Active profile, or null when none applies
+   */
+  async resolve(options) {
+    const type = options.type || 'client';
+    const name = options.profile || config.ca.profiles.defaults[type];
+
+    if (!name) {
+      if (config.ca.profiles.required && !INTERNAL_TYPES.includes(type)) {
+        throw profileError('PROFILE_REQUIRED', `A certificate profile is required to issue ${type} certificates`, 400);
+      }
+      return null;
+    }
+
+    const profile = await this.getProfile(name);
+
+    if (!profile) {
+      // A missing default only matters when profiles are mandatory
+      if (options.profile || config.ca.profiles.required) {
+        throw profileError('PROFILE_NOT_FOUND', `Certificate profile not found: ${name}`, 400);
+      }
+      return null;
+    }
+
+    if (!profile.isActive()) {
+      throw profileError('PROFILE_DISABLED', `Certificate profile is disabled: ${profile.name}`, 400);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Role and group slugs held by a user, directly or through group role sets
+   */
+  async getUserAccess(userId) {
+    const user = await User.findByPk(userId, {
+      include: [
+        { association: 'roles', through: { attributes: [] } },
+        {
+          association: 'groups',
+          include: [{ association: 'roleSets', include: [{ association: 'roles' }] }]
+        }
+      ]
+    });
+
+    const roles = new Set();
+    const groups = new Set();
+
+    if (!user) {
+      return { roles, groups, admin: false };
+    }
+
+    (user.roles || []).forEach(role => roles.add(role.slug));
+    (user.groups || []).forEach(group => {
+      groups.add(group.slug);
+      (group.roleSets || []).forEach(roleSet => {
+        (roleSet.roles || []).forEach(role => roles.add(role.slug));
+      });
+    });
+
+    return { roles, groups, admin: roles.has('admin') };
+  }
+
+  /**
+   * Check a user may issue under a profile
+   * System callers (userId null) are trusted; API routes always pass the session user.
+   */
+  async authorize(profile, userId) {
+    if (!userId) {
+      return;
+    }
+
+    const allowedRoles = profile.allowedRoles || [];
+    const allowedGroups = profile.allowedGroups || [];
+
+    if (allowedRoles.length === 0 && allowedGroups.length === 0) {
+      return;
+    }
+
+    const access = await this.getUserAccess(userId);
+
+    if (access.admin ||
+        allowedRoles.some(role => access.roles.has(role)) ||
+        allowedGroups.some(group => access.groups.has(group))) {
+      return;
+    }
+
+    throw profileError('PROFILE_FORBIDDEN', `Not authorized to issue certificates with profile ${profile.name}`, 403);
+  }
+
+  /**
+   * Evaluate a request against a profile
+   * @param {Object} profile
+   * @param {Object} request - {keyType, keySize, validityDays, commonName, subjectAltNames, requestedExtensions}
+   * @returns {string[]} Violations (empty when compliant)
+   */
+  evaluate(profile, request) {
+    const violations = [];
+    const subjectAltNames = request.subjectAltNames || [];
+
+    // Key type and size
+    const allowedSizes = (profile.keyAlgorithms || {})[request.keyType];
+    if (!allowedSizes) {
+      violations.push(`Key type ${request.keyType} is not allowed (allowed: ${Object.keys(profile.keyAlgorithms || {}).join(', ')})`);
+    } else if (!allowedSizes.includes(request.keySize)) {
+      violations.push(`${request.keyType.toUpperCase()} key size ${request.keySize} is not allowed (allowed: ${allowedSizes.join(', ')})`);
+    }
+
+    // Validity
+    if (request.validityDays > profile.maxValidityDays) {
+      violations.push(`Validity of ${request.validityDays} days exceeds the maximum of ${profile.maxValidityDays}`);
+    }
+
+    // Subject
+    if (profile.commonNamePattern && request.commonName &&
+        !new RegExp(profile.commonNamePattern, 'i').test(request.commonName)) {
+      violations.push(`Common name "${request.commonName}" is not allowed by this profile`);
+    }
+
+    if (profile.sanPatterns && profile.sanPatterns.length > 0) {
+      const patterns = profile.sanPatterns.map(pattern => new RegExp(pattern, 'i'));
+      for (const name of subjectAltNames) {
+        if (!patterns.some(pattern => pattern.test(name))) {
+          violations.push(`Subject alternative name "${name}" is not allowed by this profile`);
+        }
+      }
+    }
+
+    // Extensions: what the certificate will carry plus anything the CSR asked for
+    const extensions = new Set([...BASE_EXTENSIONS, ...(request.requestedExtensions || [])]);
+    if (profile.keyUsage && profile.keyUsage.length > 0) extensions.add('keyUsage');
+    if (profile.extendedKeyUsage && profile.extendedKeyUsage.length > 0) extensions.add('extKeyUsage');
+    if (subjectAltNames.length > 0) extensions.add('subjectAltName');
+    if (profile.nameConstraints) extensions.add('nameConstraints');
+
+    for (const extension of profile.requiredExtensions || []) {
+      if (!extensions.has(extension)) {
+        violations.push(`Required extension ${extension} is missing`);
+      }
+    }
+
+    for (const extension of profile.forbiddenExtensions || []) {
+      if (extensions.has(extension)) {
+        violations.push(`Extension ${extension} is forbidden by this profile`);
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Check DNS names against the name constraints of the issuing chain
+   * @param {Object} issuer - Issuing Certificate
+   * @param {string[]} names - Subject alternative names
+   * @returns {Promise<string[]>} Violations
+   */
+  async checkNameConstraints(issuer, names) {
+    const violations = [];
+    const dnsNames = names.filter(name => !name.includes(':'));
+    let current = issuer;
+
+    while (current) {
+      const constraints = current.metadata && current.metadata.nameConstraints;
+
+      if (constraints) {
+        for (const name of dnsNames) {
+          const permitted = constraints.permitted || [];
+          if (permitted.length > 0 && !permitted.some(base => withinSubtree(name, base))) {
+            violations.push(`${name} is outside the permitted names of ${current.commonName}`);
+          }
+          if ((constraints.excluded || []).some(base => withinSubtree(name, base))) {
+            violations.push(`${name} is excluded by ${current.commonName}`);
+          }
+        }
+      }
+
+      current = current.issuerId && current.issuerId !== current.id
+        ? await Certificate.findByPk(current.issuerId)
+        : null;
+    }
+
+    return violations;
+  }
+
+  /**
+   * Throw when names violate the issuing chain's name constraints
+   */
+  async assertNameConstraints(issuer, names) {
+    const violations = await this.checkNameConstraints(issuer, names);
+
+    if (violations.length > 0) {
+      throw profileError('NAME_CONSTRAINT_VIOLATION', 'Requested names violate issuer name constraints', 400, violations);
+    }
+  }
+
+  /**
+   * Authorize and validate an issuance request
+   * @returns {Promise<Object>} {profile, type, keyUsage, extendedKeyUsage, validityDays}
+   */
+  async enforce(profile, request, userId) {
+    await this.authorize(profile, userId);
+
+    const violations = this.evaluate(profile, request);
+
+    if (violations.length > 0) {
+      throw profileError('PROFILE_VIOLATION', `Request violates certificate profile ${profile.name}`, 400, violations);
+    }
+
+    return {
+      profile,
+      type: profile.certificateType,
+      keyUsage: profile.keyUsage && profile.keyUsage.length > 0 ? profile.keyUsage : null,
+      extendedKeyUsage: profile.extendedKeyUsage && profile.extendedKeyUsage.length > 0 ? profile.extendedKeyUsage : null
+    };
+  }
+
+  /**
+   * Dry-run a request against a profile without issuing anything
+   * @param {string} nameOrId - Profile name or ID
+   * @param {Object} request - Same shape as evaluate(); key and validity default as issuance would
+   * @param {string|null} userId
+   * @returns {Promise<Object>} {profile, allowed, authorized, violations}
+   */
+  async check(nameOrId, request, userId) {
+    const profile = await this.getProfile(nameOrId);
+    if (!profile) {
+      throw profileError('PROFILE_NOT_FOUND', 'Certificate profile not found', 404);
+    }
+
+    const violations = [];
+    let authorized = true;
+
+    if (!profile.isActive()) {
+      violations.push(`Certificate profile is disabled: ${profile.name}`);
+    }
+
+    try {
+      await this.authorize(profile, userId);
+    } catch (error) {
+      if (error.code !== 'PROFILE_FORBIDDEN') throw error;
+      authorized = false;
+      violations.push(error.message);
+    }
+
+    violations.push(...this.evaluate(profile, {
+      ...request,
+      keyType: request.keyType || 'rsa',
+      keySize: request.keySize || this.defaultKeySize(profile),
+      validityDays: request.validityDays || this.defaultValidityDays(profile)
+    }));
+
+    return {
+      profile,
+      allowed: violations.length === 0,
+      authorized,
+      violations
+    };
+  }
+
+  /**
+   * RSA key size to generate for a profile when the caller did not choose one
+   */
+  defaultKeySize(profile) {
+    const sizes = (profile && profile.keyAlgorithms && profile.keyAlgorithms.rsa) || [];
+
+    if (sizes.length === 0 || sizes.includes(config.ca.keySize.entity)) {
+      return config.ca.keySize.entity;
+    }
+
+    return Math.min(...sizes);
+  }
+
+  /**
+   * Validity to use when the caller did not choose one
+   */
+  defaultValidityDays(profile) {
+    return profile
+      ? Math.min(config.ca.validity.entity, profile.maxValidityDays)
+      : config.ca.validity.entity;
+  }
+}
+
+module.exports = new CertificateProfileService();
+module.exports.DEFAULT_PROFILES = DEFAULT_PROFILES;
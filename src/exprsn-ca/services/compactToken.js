@@ -0,0 +1,291 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Compact Token Service - Token Specification v2.0
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * A compact token is a v1 token grant re-encoded as a PS256 JWS signed by a
+ * CA key, so services verify it offline against the keys published at
+ * /api/tokens/keys instead of calling /api/tokens/validate per request.
+ * Revocation reaches services as a signed bloom filter of revoked token
+ * IDs, pushed over IPC on every revocation and on a fixed interval; a
+ * filter hit falls back to online validation.
+ */
+
+const { Op } = require('sequelize');
+const { Token, Certificate } = require('../models');
+const tokenService = require('./token');
+const keyCeremonyService = require('./keyCeremony');
+const compactToken = require('../../shared/utils/compactToken');
+const BloomFilter = require('../../shared/utils/bloomFilter');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Coalesce bursts of revocations into one push
+const REFRESH_DELAY = 1000;
+
+/**
+ * Create an error carrying a status/code for the API layer
+ */
+function compactError(code, message, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+function seconds(ms) {
+  return ms === null || ms === undefined ? undefined : Math.floor(Number(ms) / 1000);
+}
+
+class CompactTokenService {
+  constructor() {
+    this.ipc = null;
+    this.publishTimer = null;
+    this.refreshTimer = null;
+    this.current = null;
+  }
+
+  /**
+   * Initialize compact token service
+   * @param {Object} options
+   * @param {Object} [options.ipc] - IPCWorker used to push revocation filters
+   */
+  async initialize({ ipc = null } = {}) {
+    this.ipc = ipc;
+
+    if (!config.token.compact.enabled) {
+      return;
+    }
+
+    await this.publishRevocationFilter();
+
+    const interval = config.token.compact.revocationFilter.interval;
+    this.publishTimer = setInterval(() => {
+      this.publishRevocationFilter().catch(error => {
+        logger.error('Scheduled revocation filter publish failed:', error);
+      });
+    }, interval * 1000);
+
+    logger.info(`Token revocation filter published every ${interval} seconds`);
+  }
+
+  /**
+   * CA certificate that signs compact tokens
+   */
+  async getSigningCertificate() {
+    const { signingCertificateId } = config.token.compact;
+
+    const certificate = signingCertificateId
+      ? await Certificate.findByPk(signingCertificateId)
+      : await Certificate.findOne({
+        where: { type: 'intermediate', status: 'active' },
+        order: [['createdAt', 'DESC']]
+      }) || await Certificate.findOne({
+        where: { type: 'root', status: 'active' },
+        order: [['createdAt', 'DESC']]
+      });
+
+    if (!certificate || !certificate.isValid()) {
+      throw compactError('SIGNING_CERTIFICATE_UNAVAILABLE', 'No valid certificate is available to sign compact tokens', 503);
+    }
+
+    return certificate;
+  }
+
+  /**
+   * Issue a compact token
+   * @param {Object} params - Token generation parameters (see tokenService.generateToken)
+   * @param {string} userId
+   * @returns {Promise<{token: string, tokenId: string, expiresAt: number}>}
+   */
+  async issue(params, userId) {
+    const { enabled, maxExpirySeconds } = config.token.compact;
+
+    if (!enabled) {
+      throw compactError('COMPACT_TOKENS_DISABLED', 'Compact tokens are not enabled', 403);
+    }
+
+    const expiryType = params.expiryType || 'time';
+    if (expiryType !== 'time') {
+      throw compactError('COMPACT_UNSUPPORTED', 'Compact tokens must be time-based; use-based and persistent tokens need online validation', 400);
+    }
+
+    const expirySeconds = params.expirySeconds || config.token.defaults.expirySeconds;
+    if (expirySeconds > maxExpirySeconds) {
+      throw compactError('EXPIRY_TOO_LONG', `Compact tokens may not outlive ${maxExpirySeconds} seconds`, 400);
+    }
+
+    // Resolve the signing key before recording the grant
+    const signer = await this.getSigningCertificate();
+    const signingKey = await keyCeremonyService.getSigningKey(signer);
+
+    const grant = await tokenService.generateToken({ ...params, expiryType, expirySeconds }, userId);
+    const [resourceType, resourceValue] = Object.entries(grant.resource)[0];
+
+    const payload = {
+      ver: '2.0',
+      jti: grant.id,
+      iss: config.ca.domain,
+      sub: userId,
+      iat: seconds(grant.issuedAt),
+      nbf: seconds(grant.notBefore),
+      exp: seconds(grant.expiresAt),
+      prm: compactToken.encodePermissions(grant.permissions),
+      rt: resourceType,
+      rv: resourceValue
+    };
+
+    if (grant.data) {
+      payload.dat = grant.data;
+    }
+
+    logger.info('Compact token issued', { tokenId: grant.id, kid: signer.serialNumber });
+
+    return {
+      token: compactToken.sign(payload, signingKey, signer.serialNumber),
+      tokenId: grant.id,
+      expiresAt: grant.expiresAt
+    };
+  }
+
+  /**
+   * Verify a compact token's signature against the CA's keys
+   * @param {string} token - Compact token
+   * @returns {Promise<Object>} Verified payload
+   */
+  async verify(token) {
+    const decoded = compactToken.decode(token);
+
+    const signer = await Certificate.findOne({
+      where: { serialNumber: decoded.header.kid, status: 'active' }
+    });
+
+    if (!signer || !compactToken.verify(decoded, signer.certificatePem)) {
+      throw compactError('INVALID_SIGNATURE', 'Compact token signature verification failed', 401);
+    }
+
+    return decoded.payload;
+  }
+
+  /**
+   * Keys services use to verify compact tokens and revocation filters
+   */
+  async getKeys() {
+    const where = {
+      status: 'active',
+      notAfter: { [Op.gt]: new Date() },
+      [Op.or]: [{ type: { [Op.in]: ['root', 'intermediate'] } }]
+    };
+
+    if (config.token.compact.signingCertificateId) {
+      where[Op.or].push({ id: config.token.compact.signingCertificateId });
+    }
+
+    const certificates = await Certificate.findAll({ where, order: [['createdAt', 'DESC']] });
+
+    return certificates.map(certificate => ({
+      kid: certificate.serialNumber,
+      alg: compactToken.ALGORITHM,
+      use: 'sig',
+      certificate: certificate.certificatePem,
+      notAfter: certificate.notAfter
+    }));
+  }
+
+  /**
+   * Build and sign the revocation filter
+   * Covers revoked tokens that have not yet expired on their own.
+   */
+  async buildRevocationFilter() {
+    const { interval, falsePositiveRate } = config.token.compact.revocationFilter;
+    const now = Date.now();
+
+    const revoked = await Token.findAll({
+      where: {
+        status: 'revoked',
+        [Op.or]: [
+          { expiresAt: null },
+          { expiresAt: { [Op.gt]: now } }
+        ]
+      },
+      attributes: ['id']
+    });
+
+    // Leave headroom so the rate holds until the next rebuild
+    const filter = BloomFilter.forCapacity(Math.max(revoked.length * 2, 1024), falsePositiveRate);
+    revoked.forEach(token => filter.add(token.id));
+
+    const signer = await this.getSigningCertificate();
+    const signingKey = await keyCeremonyService.getSigningKey(signer);
+
+    const document = compactToken.sign({
+      ver: '2.0',
+      iss: config.ca.domain,
+      issuedAt: now,
+      // Services treat the filter as stale (and validate online) after this
+      nextUpdate: now + interval * 2 * 1000,
+      filter: filter.toJSON()
+    }, signingKey, signer.serialNumber, compactToken.REVOCATIONS_TYPE);
+
+    this.current = { document, issuedAt: now, count: revoked.length };
+    return this.current;
+  }
+
+  /**
+   * Current signed revocation filter
+   */
+  async getRevocationFilter() {
+    const maxAge = config.token.compact.revocationFilter.interval * 1000;
+
+    if (!this.current || Date.now() - this.current.issuedAt > maxAge) {
+      await this.buildRevocationFilter();
+    }
+
+    return this.current;
+  }
+
+  /**
+   * Rebuild the filter and push it to services
+   */
+  async publishRevocationFilter() {
+    try {
+      const { document, count } = await this.buildRevocationFilter();
+
+      if (this.ipc) {
+        await this.ipc.emit('token.revocations', { document }, { target: 'broadcast' });
+      }
+
+      logger.debug('Token revocation filter published', { revoked: count });
+    } catch (error) {
+      logger.warn('Failed to publish token revocation filter', { error: error.message });
+    }
+  }
+
+  /**
+   * Push a fresh filter shortly after a revocation
+   */
+  refresh() {
+    if (!config.token.compact.enabled || this.refreshTimer) {
+      return;
+    }
+
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.publishRevocationFilter();
+    }, REFRESH_DELAY);
+  }
+
+  /**
+   * Shutdown service
+   */
+  shutdown() {
+    if (this.publishTimer) {
+      clearInterval(this.publishTimer);
+    }
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+    }
+  }
+}
+
+module.exports = new CompactTokenService();
@@ -2,19 +2,26 @@
  * ═══════════════════════════════════════════════════════════════════════
  * CRL (Certificate Revocation List) Service
  * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Each issuing CA (root and intermediates) publishes its own full CRL and,
+ * between full CRLs, a delta CRL listing revocations not yet published in
+ * the base (RFC 5280 Sections 5.2.4 and 5.2.6).
  */
 
-const forge = require('node-forge');
+const { Op } = require('sequelize');
 const { Certificate, RevocationList } = require('../models');
 const { getStorage } = require('../storage');
+const { buildCRL } = require('../crypto/crl');
+const keyCeremonyService = require('./keyCeremony');
 const config = require('../config');
 const logger = require('../utils/logger');
 
 class CRLService {
   constructor() {
     this.currentCRL = null;
-    this.crlNumber = 0;
+    this.issuers = new Map();
     this.updateTimer = null;
+    this.deltaTimer = null;
   }
 
   /**
@@ -23,10 +30,10 @@ class CRLService {
   async initialize() {
     logger.info('Initializing CRL service...');
 
-    // Load current CRL number
-    await this.loadCRLNumber();
+    // Load current CRL numbers
+    await this.loadCRLNumbers();
 
-    // Generate initial CRL
+    // Generate initial CRLs
     await this.updateCRL();
 
     // Schedule automatic updates
@@ -39,118 +46,300 @@ class CRLService {
 
       logger.info(`CRL updates scheduled every ${config.crl.updateInterval} seconds`);
     }
+
+    if (config.crl.enabled && config.crl.delta.enabled && config.crl.delta.updateInterval > 0) {
+      this.deltaTimer = setInterval(() => {
+        this.updateDeltaCRL().catch(error => {
+          logger.error('Scheduled delta CRL update failed:', error);
+        });
+      }, config.crl.delta.updateInterval * 1000);
+
+      logger.info(`Delta CRL updates scheduled every ${config.crl.delta.updateInterval} seconds`);
+    }
+  }
+
+  /**
+   * Get the issuing CAs that publish CRLs
+   * @param {string|null} issuerId - Restrict to one CA
+   */
+  async getIssuers(issuerId = null) {
+    const where = {
+      type: { [Op.in]: ['root', 'intermediate'] },
+      status: 'active'
+    };
+
+    if (issuerId) {
+      where.id = issuerId;
+    }
+
+    return Certificate.findAll({ where, order: [['createdAt', 'ASC']] });
   }
 
   /**
-   * Update/regenerate CRL
+   * Update/regenerate full CRLs
+   * @param {string|null} issuerId - Only regenerate this CA's CRL
+   * @returns {Promise<Object>} Root CA CRL (or the requested issuer's CRL)
    */
-  async updateCRL() {
+  async updateCRL(issuerId = null) {
     try {
-      logger.info('Updating CRL...');
+      logger.info('Updating CRL...', { issuerId });
 
-      // Get root CA certificate
-      const rootCA = await Certificate.findOne({
-        where: { type: 'root', status: 'active' }
-      });
+      const issuers = await this.getIssuers(issuerId);
 
-      if (!rootCA) {
-        throw new Error('Root CA certificate not found');
+      if (issuers.length === 0) {
+        throw new Error(issuerId ? 'Issuing CA certificate not found' : 'Root CA certificate not found');
       }
 
-      // Get root CA private key
-      const storage = getStorage();
-      const privateKeyPem = await storage.getPrivateKey(rootCA.id);
-      const privateKey = forge.pki.privateKeyFromPem(privateKeyPem);
-      const caCert = forge.pki.certificateFromPem(rootCA.certificatePem);
+      let result = null;
 
-      // Get all revoked certificates
-      const revocations = await RevocationList.findAll({
-        order: [['revokedAt', 'ASC']]
-      });
+      for (const issuer of issuers) {
+        const published = await this.publishSkippingSealed(issuer, issuerId, () => this.publishFullCRL(issuer));
+        if (!published) continue;
 
-      // Create CRL
-      const crl = forge.pki.createCertificateRevocationList();
-
-      // Set issuer
-      crl.issuer = caCert.subject;
-
-      // Set validity
-      crl.thisUpdate = new Date();
-      const nextUpdate = new Date();
-      nextUpdate.setDate(nextUpdate.getDate() + config.crl.nextUpdateDays);
-      crl.nextUpdate = nextUpdate;
-
-      // Increment CRL number
-      this.crlNumber++;
-
-      // Add extensions
-      crl.setExtensions([
-        {
-          name: 'authorityKeyIdentifier',
-          keyIdentifier: caCert.generateSubjectKeyIdentifier().getBytes()
-        },
-        {
-          name: 'cRLNumber',
-          cRLNumber: this.crlNumber
+        if (issuer.type === 'root') {
+          this.currentCRL = published;
         }
-      ]);
-
-      // Add revoked certificates
-      for (const revocation of revocations) {
-        const revokedCert = {
-          serialNumber: revocation.serialNumber,
-          revocationDate: new Date(revocation.revokedAt)
-        };
-
-        // Add revocation reason extension
-        if (revocation.reason && revocation.reason !== 'unspecified') {
-          revokedCert.extensions = [
-            {
-              name: 'cRLReason',
-              cRLReason: this.getReasonCode(revocation.reason)
-            }
-          ];
+
+        if (!result || issuer.id === issuerId) {
+          result = published;
+        }
+      }
+
+      return issuerId ? result : (this.currentCRL || result);
+    } catch (error) {
+      logger.error('Failed to update CRL:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update delta CRLs
+   * @param {string|null} issuerId - Only regenerate this CA's delta CRL
+   */
+  async updateDeltaCRL(issuerId = null) {
+    try {
+      const issuers = await this.getIssuers(issuerId);
+      const results = [];
+
+      for (const issuer of issuers) {
+        const state = await this.getIssuerState(issuer);
+
+        // A delta is meaningless until a base CRL exists
+        const published = await this.publishSkippingSealed(issuer, issuerId, () =>
+          state.full ? this.publishDeltaCRL(issuer) : this.publishFullCRL(issuer));
+
+        if (published) {
+          results.push(published);
         }
+      }
+
+      return issuerId ? results[0] : results;
+    } catch (error) {
+      logger.error('Failed to update delta CRL:', error);
+      throw error;
+    }
+  }
 
-        crl.addCertificate(revokedCert);
+  /**
+   * Run a publish step; scheduled runs over every CA skip those whose key is
+   * sealed by a key ceremony instead of failing the whole run
+   */
+  async publishSkippingSealed(issuer, issuerId, publish) {
+    try {
+      return await publish();
+    } catch (error) {
+      if (error.code !== 'KEY_SEALED' || issuerId) {
+        throw error;
       }
 
-      // Sign CRL
-      crl.sign(privateKey, forge.md.sha256.create());
+      logger.warn('Skipping CRL for sealed CA key', { issuerId: issuer.id });
+      return null;
+    }
+  }
+
+  /**
+   * Publish after a revocation - a delta CRL when enabled, otherwise a full CRL
+   * @param {string} issuerId - CA that issued the revoked certificate
+   */
+  async publishRevocation(issuerId) {
+    if (config.crl.delta.enabled) {
+      return this.updateDeltaCRL(issuerId);
+    }
+    return this.updateCRL(issuerId);
+  }
+
+  /**
+   * Build, sign and store a full CRL for one issuer
+   */
+  async publishFullCRL(issuer) {
+    const state = await this.getIssuerState(issuer);
+    const privateKeyPem = await keyCeremonyService.getSigningKey(issuer);
+
+    const thisUpdate = new Date();
+    const nextUpdate = new Date(thisUpdate);
+    nextUpdate.setDate(nextUpdate.getDate() + config.crl.nextUpdateDays);
+
+    const revocations = await this.getRevocations(issuer.id, {}, thisUpdate);
+    const crlNumber = state.crlNumber + 1;
+
+    const crl = buildCRL({
+      issuerCertPem: issuer.certificatePem,
+      issuerKeyPem: privateKeyPem,
+      entries: revocations.included,
+      crlNumber,
+      thisUpdate,
+      nextUpdate,
+      freshestCRLUrls: config.crl.delta.enabled ? [this.getDeltaCRLUrl(issuer.id)] : []
+    });
+
+    await getStorage().saveCRL(crl.der, issuer.type === 'root' ? 'ca' : issuer.id);
+
+    // Everything fetched is now covered by this base - later deltas start from here
+    const publishedIds = revocations.all.filter(r => r.crlNumber === null).map(r => r.id);
+    if (publishedIds.length > 0) {
+      await RevocationList.update({ crlNumber }, { where: { id: { [Op.in]: publishedIds } } });
+    }
 
-      // Convert to PEM
-      const crlPem = forge.pki.pemFromCrl(crl);
+    state.crlNumber = crlNumber;
+    state.baseCRLNumber = crlNumber;
+    state.full = this.describe(crl, crlNumber, thisUpdate, nextUpdate, revocations);
+    state.delta = null;
+    await this.saveIssuerState(issuer, state);
+
+    logger.info('CRL updated successfully', {
+      issuerId: issuer.id,
+      crlNumber,
+      revokedCount: revocations.included.length,
+      prunedCount: revocations.pruned,
+      nextUpdate
+    });
+
+    return state.full;
+  }
+
+  /**
+   * Build, sign and store a delta CRL for one issuer
+   */
+  async publishDeltaCRL(issuer) {
+    const state = await this.getIssuerState(issuer);
+    const privateKeyPem = await keyCeremonyService.getSigningKey(issuer);
+
+    const thisUpdate = new Date();
+    const nextUpdate = new Date(thisUpdate.getTime() + config.crl.delta.nextUpdateHours * 60 * 60 * 1000);
+
+    // Entries not yet published in any full CRL
+    const revocations = await this.getRevocations(issuer.id, { crlNumber: null }, thisUpdate);
+    const crlNumber = state.crlNumber + 1;
+
+    const crl = buildCRL({
+      issuerCertPem: issuer.certificatePem,
+      issuerKeyPem: privateKeyPem,
+      entries: revocations.included,
+      crlNumber,
+      thisUpdate,
+      nextUpdate,
+      baseCRLNumber: state.baseCRLNumber
+    });
+
+    await getStorage().saveCRL(crl.der, `${issuer.type === 'root' ? 'ca' : issuer.id}-delta`);
+
+    state.crlNumber = crlNumber;
+    state.delta = {
+      ...this.describe(crl, crlNumber, thisUpdate, nextUpdate, revocations),
+      baseCRLNumber: state.baseCRLNumber
+    };
+    await this.saveIssuerState(issuer, state);
 
-      // Convert to DER for binary distribution
-      const crlDer = forge.asn1.toDer(forge.pki.crlToAsn1(crl)).getBytes();
+    logger.info('Delta CRL updated successfully', {
+      issuerId: issuer.id,
+      crlNumber,
+      baseCRLNumber: state.baseCRLNumber,
+      revokedCount: revocations.included.length
+    });
 
-      // Save to storage
-      await storage.saveCRL(Buffer.from(crlDer, 'binary'));
+    return state.delta;
+  }
 
-      this.currentCRL = {
-        pem: crlPem,
-        der: crlDer,
-        crlNumber: this.crlNumber,
-        thisUpdate: crl.thisUpdate,
-        nextUpdate: crl.nextUpdate,
-        revokedCount: revocations.length
-      };
+  /**
+   * Fetch revocation entries for an issuer, pruning expired certificates
+   * @returns {Promise<{all: Object[], included: Object[], pruned: number}>}
+   */
+  async getRevocations(issuerId, where, now) {
+    const all = await RevocationList.findAll({
+      where: { issuerId, ...where },
+      include: [{ association: 'certificate', attributes: ['id', 'notAfter'] }],
+      order: [['revokedAt', 'ASC']]
+    });
+
+    const included = [];
+    let pruned = 0;
+
+    for (const revocation of all) {
+      if (config.crl.pruneExpired && revocation.certificate &&
+          new Date(revocation.certificate.notAfter) < now) {
+        pruned++;
+        continue;
+      }
 
-      logger.info('CRL updated successfully', {
-        crlNumber: this.crlNumber,
-        revokedCount: revocations.length,
-        nextUpdate: crl.nextUpdate
+      included.push({
+        serialNumber: revocation.serialNumber,
+        revokedAt: revocation.revokedAt,
+        reasonCode: this.getReasonCode(revocation.reason),
+        invalidityDate: revocation.invalidityDate
       });
+    }
 
-      return this.currentCRL;
-    } catch (error) {
-      logger.error('Failed to update CRL:', error);
-      throw error;
+    return { all, included, pruned };
+  }
+
+  /**
+   * Summarize a generated CRL for in-memory serving
+   */
+  describe(crl, crlNumber, thisUpdate, nextUpdate, revocations) {
+    return {
+      pem: crl.pem,
+      der: crl.der,
+      crlNumber,
+      thisUpdate,
+      nextUpdate,
+      revokedCount: revocations.included.length,
+      prunedCount: revocations.pruned
+    };
+  }
+
+  /**
+   * Get the in-memory CRL state for an issuer
+   */
+  async getIssuerState(issuer) {
+    if (!this.issuers.has(issuer.id)) {
+      const persisted = (issuer.metadata && issuer.metadata.crl) || {};
+      this.issuers.set(issuer.id, {
+        crlNumber: parseInt(persisted.crlNumber, 10) || 0,
+        baseCRLNumber: parseInt(persisted.baseCRLNumber, 10) || 0,
+        full: null,
+        delta: null
+      });
     }
+    return this.issuers.get(issuer.id);
+  }
+
+  /**
+   * Persist CRL numbers on the issuer so they survive restarts
+   */
+  async saveIssuerState(issuer, state) {
+    issuer.metadata = {
+      ...(issuer.metadata || {}),
+      crl: {
+        crlNumber: state.crlNumber,
+        baseCRLNumber: state.baseCRLNumber,
+        thisUpdate: state.delta ? state.delta.thisUpdate : state.full.thisUpdate
+      }
+    };
+    await issuer.save();
   }
 
   /**
-   * Get current CRL
+   * Get current root CA CRL
    */
   getCurrentCRL(format = 'pem') {
     if (!this.currentCRL) {
@@ -158,12 +347,37 @@ class CRLService {
     }
 
     if (format === 'der') {
-      return Buffer.from(this.currentCRL.der, 'binary');
+      return this.currentCRL.der;
     }
 
     return this.currentCRL.pem;
   }
 
+  /**
+   * Get an issuer's full or delta CRL, generating it on first request
+   * @param {string} issuerId - Issuing CA certificate ID
+   * @param {Object} options - { delta: boolean }
+   * @returns {Promise<Object|null>} CRL descriptor or null when the issuer is unknown
+   */
+  async getCRL(issuerId, options = {}) {
+    const [issuer] = await this.getIssuers(issuerId);
+    if (!issuer) {
+      return null;
+    }
+
+    const state = await this.getIssuerState(issuer);
+
+    if (!state.full) {
+      await this.publishFullCRL(issuer);
+    }
+
+    if (options.delta) {
+      return state.delta || this.publishDeltaCRL(issuer);
+    }
+
+    return state.full;
+  }
+
   /**
    * Get CRL metadata
    */
@@ -177,17 +391,70 @@ class CRLService {
       thisUpdate: this.currentCRL.thisUpdate,
       nextUpdate: this.currentCRL.nextUpdate,
       revokedCount: this.currentCRL.revokedCount,
-      url: config.crl.url
+      url: config.crl.url,
+      issuers: Array.from(this.issuers.entries()).map(([issuerId, state]) => ({
+        issuerId,
+        crlNumber: state.crlNumber,
+        baseCRLNumber: state.baseCRLNumber,
+        full: state.full ? {
+          url: this.getCRLUrl(issuerId),
+          thisUpdate: state.full.thisUpdate,
+          nextUpdate: state.full.nextUpdate,
+          revokedCount: state.full.revokedCount,
+          prunedCount: state.full.prunedCount
+        } : null,
+        delta: state.delta ? {
+          url: this.getDeltaCRLUrl(issuerId),
+          crlNumber: state.delta.crlNumber,
+          thisUpdate: state.delta.thisUpdate,
+          nextUpdate: state.delta.nextUpdate,
+          revokedCount: state.delta.revokedCount
+        } : null
+      }))
+    };
+  }
+
+  /**
+   * Full CRL URL for an issuer
+   */
+  getCRLUrl(issuerId) {
+    return `${config.crl.url}/${issuerId}.crl`;
+  }
+
+  /**
+   * Delta CRL URL for an issuer
+   */
+  getDeltaCRLUrl(issuerId) {
+    return `${config.crl.url}/${issuerId}/delta.crl`;
+  }
+
+  /**
+   * Revocation-checking locations stamped into certificates issued by a CA
+   * @param {Object} issuer - Issuing CA Certificate
+   * @param {Object} options - { ocsp: boolean } include the OCSP responder
+   * @returns {{crl: string[], freshestCrl: string[], ocsp: string[], caIssuers: string[]}}
+   */
+  getDistributionPoints(issuer, options = {}) {
+    const { ocsp = true } = options;
+
+    return {
+      crl: config.crl.enabled ? [this.getCRLUrl(issuer.id)] : [],
+      freshestCrl: config.crl.enabled && config.crl.delta.enabled ? [this.getDeltaCRLUrl(issuer.id)] : [],
+      ocsp: ocsp && config.ocsp.enabled ? [config.ocsp.url] : [],
+      caIssuers: [`${config.ca.issuersUrl}/${issuer.id}.crt`]
     };
   }
 
   /**
-   * Load CRL number from database or storage
+   * Load CRL numbers persisted on each issuing CA
    */
-  async loadCRLNumber() {
-    // In production, this would load from persistent storage
-    // For now, start from 1
-    this.crlNumber = 1;
+  async loadCRLNumbers() {
+    this.issuers.clear();
+
+    const issuers = await this.getIssuers();
+    for (const issuer of issuers) {
+      await this.getIssuerState(issuer);
+    }
   }
 
   /**
@@ -216,8 +483,11 @@ class CRLService {
   shutdown() {
     if (this.updateTimer) {
       clearInterval(this.updateTimer);
-      logger.info('CRL service shut down');
     }
+    if (this.deltaTimer) {
+      clearInterval(this.deltaTimer);
+    }
+    logger.info('CRL service shut down');
   }
 }
 
@@ -0,0 +1,81 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Herald Client
+ * Sends notifications through the Exprsn Herald service
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Herald Client
+ * Notification delivery is best-effort: failures are logged, never thrown
+ */
+class HeraldClient {
+  constructor() {
+    this.heraldUrl = config.renewal.herald.url;
+    this.token = config.renewal.herald.token;
+  }
+
+  /**
+   * Notify a user on each configured channel
+   * @param {string} userId - Recipient user ID
+   * @param {Object} notification
+   * @param {string} notification.type - info, success, warning, error, system
+   * @param {string} notification.title
+   * @param {string} notification.body
+   * @param {Object} [notification.data]
+   * @param {string} [notification.priority] - low, normal, high, urgent
+   * @returns {Promise<number>} Number of channels the notification was accepted on
+   */
+  async notify(userId, notification) {
+    if (!this.token) {
+      logger.info('Herald token not configured, notification not sent', {
+        userId,
+        title: notification.title
+      });
+      return 0;
+    }
+
+    let delivered = 0;
+
+    for (const channel of config.renewal.notify.channels) {
+      try {
+        await axios.post(
+          `${this.heraldUrl}/api/notifications`,
+          {
+            userId,
+            type: notification.type || 'info',
+            channel,
+            title: notification.title,
+            body: notification.body,
+            data: notification.data || {},
+            priority: notification.priority || 'normal'
+          },
+          {
+            headers: {
+              Authorization: `Bearer ${this.token}`,
+              'Content-Type': 'application/json'
+            },
+            timeout: 10000
+          }
+        );
+
+        delivered++;
+      } catch (error) {
+        logger.warn('Failed to send notification through Herald', {
+          userId,
+          channel,
+          error: error.response ? error.response.status : error.message
+        });
+      }
+    }
+
+    return delivered;
+  }
+}
+
+// Export singleton instance
+module.exports = new HeraldClient();
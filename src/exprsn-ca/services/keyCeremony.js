@@ -0,0 +1,317 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Key Ceremony Service - M-of-N custody of the root CA key
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * A ceremony encrypts the root private key in storage under a random secret
+ * and splits that secret into N Shamir shares held by custodians. The key is
+ * only usable after M custodians submit their shares; the decrypted key is
+ * held in memory by this process until it is sealed again.
+ *
+ * Unsealed state is per process - in cluster mode each worker that signs
+ * with the root key must be unsealed.
+ */
+
+const nodeCrypto = require('crypto');
+const { Certificate, KeyCeremony, AuditLog } = require('../models');
+const { getStorage } = require('../storage');
+const cryptoLib = require('../crypto');
+const shamir = require('../crypto/shamir');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Create an error carrying a status/code for the API layer
+ */
+function ceremonyError(code, message, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+function digest(share) {
+  return nodeCrypto.createHash('sha256').update(share.trim().toLowerCase()).digest('hex');
+}
+
+class KeyCeremonyService {
+  constructor() {
+    // ceremonyId -> {shares: Map<digest, share>, startedAt}
+    this.pending = new Map();
+    // ceremonyId -> {privateKey, unsealedAt, expiresAt, timer}
+    this.unsealed = new Map();
+  }
+
+  async audit(userId, action, ceremony, message, details = {}, severity = 'warning') {
+    try {
+      await AuditLog.log({
+        userId,
+        action,
+        resourceType: 'key_ceremony',
+        resourceId: ceremony.id,
+        status: severity === 'error' ? 'failure' : 'success',
+        severity,
+        message,
+        details: { certificateId: ceremony.certificateId, ...details }
+      });
+    } catch (auditError) {
+      logger.warn('Audit logging failed (non-fatal):', auditError.message);
+    }
+  }
+
+  /**
+   * Active ceremony protecting a certificate's key, if any
+   */
+  async getActiveCeremony(certificateId) {
+    return await KeyCeremony.findOne({
+      where: { certificateId, status: 'active' }
+    });
+  }
+
+  async getCeremony(ceremonyId) {
+    const ceremony = await KeyCeremony.findByPk(ceremonyId);
+    if (!ceremony) {
+      throw ceremonyError('CEREMONY_NOT_FOUND', 'Key ceremony not found', 404);
+    }
+    return ceremony;
+  }
+
+  /**
+   * Seal a root key under M-of-N custody
+   * The returned shares are never stored and must be handed to custodians now.
+   * @param {Object} options - {certificateId, threshold, shares, custodians}
+   * @param {string} userId
+   * @returns {Promise<Object>} {ceremony, shares}
+   */
+  async begin(options, userId) {
+    const { certificateId, threshold, shares: shareCount } = options;
+    const custodians = options.custodians || [];
+
+    const certificate = await Certificate.findByPk(certificateId);
+    if (!certificate) {
+      throw ceremonyError('CERTIFICATE_NOT_FOUND', 'Certificate not found', 404);
+    }
+
+    if (certificate.type !== 'root') {
+      throw ceremonyError('INVALID_CERTIFICATE', 'Key ceremonies protect root CA keys only', 400);
+    }
+
+    if (await this.getActiveCeremony(certificate.id)) {
+      throw ceremonyError('CEREMONY_EXISTS', 'This key is already under a key ceremony', 409);
+    }
+
+    if (custodians.length > 0 && custodians.length !== shareCount) {
+      throw ceremonyError('INVALID_CEREMONY', 'Provide one custodian per share', 400);
+    }
+
+    const storage = getStorage();
+    const privateKeyPem = await storage.getPrivateKey(certificate.id);
+
+    if (!privateKeyPem || privateKeyPem.includes('ENCRYPTED')) {
+      throw ceremonyError('KEY_UNAVAILABLE', 'Root private key is missing or already encrypted', 400);
+    }
+
+    const secret = nodeCrypto.randomBytes(32);
+    const shares = shamir.split(secret, shareCount, threshold);
+
+    await storage.savePrivateKey(certificate.id, cryptoLib.encryptPrivateKey(privateKeyPem, secret.toString('hex')));
+    secret.fill(0);
+
+    const ceremony = await KeyCeremony.create({
+      certificateId: certificate.id,
+      threshold,
+      shareCount,
+      shareDigests: shares.map(digest),
+      custodians,
+      createdBy: userId
+    });
+
+    await this.audit(userId, 'key_ceremony.begin', ceremony,
+      `Root CA key sealed under ${threshold}-of-${shareCount} custody: ${certificate.commonName}`,
+      { threshold, shareCount, custodians });
+
+    logger.info('Key ceremony completed', { ceremonyId: ceremony.id, threshold, shareCount });
+
+    return { ceremony, shares };
+  }
+
+  /**
+   * Accept one custodian's share; unseals once the threshold is reached
+   * @returns {Promise<Object>} Ceremony status
+   */
+  async submitShare(ceremonyId, share, userId, custodian = null) {
+    const ceremony = await this.getCeremony(ceremonyId);
+
+    if (!ceremony.isActive()) {
+      throw ceremonyError('CEREMONY_RETIRED', 'Key ceremony has been retired', 400);
+    }
+
+    if (this.unsealed.has(ceremony.id)) {
+      return this.describe(ceremony);
+    }
+
+    const shareDigest = digest(share);
+    const index = ceremony.shareDigests.indexOf(shareDigest);
+
+    if (index === -1) {
+      await this.audit(userId, 'key_ceremony.share.rejected', ceremony,
+        'Unrecognised key share submitted', { custodian }, 'error');
+      throw ceremonyError('INVALID_SHARE', 'Share does not belong to this key ceremony', 400);
+    }
+
+    let pending = this.pending.get(ceremony.id);
+    const shareTtl = config.ca.keyCeremony.shareTtlMinutes * 60 * 1000;
+
+    if (!pending || Date.now() - pending.startedAt > shareTtl) {
+      pending = { shares: new Map(), startedAt: Date.now() };
+      this.pending.set(ceremony.id, pending);
+    }
+
+    pending.shares.set(shareDigest, share.trim().toLowerCase());
+
+    await this.audit(userId, 'key_ceremony.share', ceremony,
+      `Key share ${index + 1} of ${ceremony.shareCount} submitted (${pending.shares.size}/${ceremony.threshold})`,
+      { shareIndex: index + 1, custodian: custodian || (ceremony.custodians || [])[index] || null }, 'info');
+
+    if (pending.shares.size >= ceremony.threshold) {
+      await this.unseal(ceremony, [...pending.shares.values()], userId);
+    }
+
+    return this.describe(ceremony);
+  }
+
+  /**
+   * Recover the key from shares and hold it in memory
+   */
+  async unseal(ceremony, shares, userId) {
+    this.pending.delete(ceremony.id);
+
+    const certificate = await Certificate.findByPk(ceremony.certificateId);
+    const encryptedPem = await getStorage().getPrivateKey(ceremony.certificateId);
+    const secret = shamir.combine(shares);
+
+    let privateKey;
+    try {
+      privateKey = cryptoLib.decryptPrivateKey(encryptedPem, secret.toString('hex'));
+    } catch (error) {
+      privateKey = null;
+    } finally {
+      secret.fill(0);
+    }
+
+    if (!privateKey || !cryptoLib.keyMatchesCertificate(privateKey, certificate.certificatePem)) {
+      await this.audit(userId, 'key_ceremony.unseal', ceremony,
+        'Key shares did not recover the root CA key', {}, 'error');
+      throw ceremonyError('UNSEAL_FAILED', 'Submitted shares did not recover the root CA key', 400);
+    }
+
+    const ttl = config.ca.keyCeremony.unsealTtlMinutes * 60 * 1000;
+    const state = {
+      privateKey,
+      unsealedAt: new Date(),
+      expiresAt: ttl > 0 ? new Date(Date.now() + ttl) : null,
+      timer: null
+    };
+
+    if (ttl > 0) {
+      state.timer = setTimeout(() => {
+        this.seal(ceremony.id, null, 'expired').catch(error => {
+          logger.error('Automatic key seal failed:', error);
+        });
+      }, ttl);
+      state.timer.unref();
+    }
+
+    this.unsealed.set(ceremony.id, state);
+    await ceremony.update({ lastUnsealedAt: state.unsealedAt });
+
+    await this.audit(userId, 'key_ceremony.unseal', ceremony,
+      `Root CA key unsealed: ${certificate.commonName}`,
+      { expiresAt: state.expiresAt }, 'critical');
+
+    logger.warn('Root CA key unsealed', { ceremonyId: ceremony.id, expiresAt: state.expiresAt });
+  }
+
+  /**
+   * Drop the in-memory key and any collected shares
+   * @param {string} reason - 'manual' or 'expired'
+   */
+  async seal(ceremonyId, userId, reason = 'manual') {
+    const ceremony = await this.getCeremony(ceremonyId);
+    const state = this.unsealed.get(ceremony.id);
+    const hadShares = this.pending.delete(ceremony.id);
+
+    if (state) {
+      clearTimeout(state.timer);
+      this.unsealed.delete(ceremony.id);
+    }
+
+    if (state || hadShares) {
+      await this.audit(userId, 'key_ceremony.seal', ceremony,
+        state ? `Root CA key sealed (${reason})` : `Pending key shares discarded (${reason})`,
+        { reason }, 'info');
+
+      logger.info('Root CA key sealed', { ceremonyId: ceremony.id, reason });
+    }
+
+    return this.describe(ceremony);
+  }
+
+  /**
+   * Signing key for a CA certificate, honouring key ceremony custody
+   * @param {Object} certificate - Issuing Certificate
+   * @returns {Promise<string>} PEM private key
+   */
+  async getSigningKey(certificate) {
+    const ceremony = await this.getActiveCeremony(certificate.id);
+
+    if (!ceremony) {
+      return await getStorage().getPrivateKey(certificate.id);
+    }
+
+    const state = this.unsealed.get(ceremony.id);
+    if (!state) {
+      throw ceremonyError('KEY_SEALED',
+        `The key for ${certificate.commonName} is sealed; ${ceremony.threshold} custodians must submit shares`, 423);
+    }
+
+    return state.privateKey;
+  }
+
+  /**
+   * Ceremony state safe to return to clients
+   */
+  describe(ceremony) {
+    const state = this.unsealed.get(ceremony.id);
+    const pending = this.pending.get(ceremony.id);
+
+    return {
+      id: ceremony.id,
+      certificateId: ceremony.certificateId,
+      threshold: ceremony.threshold,
+      shareCount: ceremony.shareCount,
+      custodians: ceremony.custodians,
+      status: ceremony.status,
+      sealed: !state,
+      sharesReceived: pending ? pending.shares.size : 0,
+      unsealedAt: state ? state.unsealedAt : null,
+      expiresAt: state ? state.expiresAt : null,
+      lastUnsealedAt: ceremony.lastUnsealedAt,
+      createdAt: ceremony.createdAt
+    };
+  }
+
+  async listCeremonies() {
+    const ceremonies = await KeyCeremony.findAll({
+      include: [{ association: 'certificate', attributes: ['id', 'commonName', 'serialNumber'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    return ceremonies.map(ceremony => ({
+      ...this.describe(ceremony),
+      certificate: ceremony.certificate
+    }));
+  }
+}
+
+module.exports = new KeyCeremonyService();
@@ -4,13 +4,17 @@
  * ═══════════════════════════════════════════════════════════════════════
  */
 
+const { Op } = require('sequelize');
 const { Certificate, RevocationList } = require('../models');
+const { getStorage } = require('../storage');
+const ocspEncoding = require('../crypto/ocsp');
 const config = require('../config');
 const logger = require('../utils/logger');
 
 class OCSPService {
   constructor() {
     this.cache = new Map();
+    this.signers = new Map();
     this.batchQueue = [];
     this.batchTimeout = null;
   }
@@ -56,18 +60,20 @@ class OCSPService {
 
       let response;
 
-      if (revocation) {
+      if (revocation || certificate.status === 'revoked') {
         response = {
           status: 'revoked',
           serialNumber,
-          revokedAt: revocation.revokedAt,
-          reason: revocation.reason,
+          issuerId: certificate.issuerId,
+          revokedAt: revocation ? revocation.revokedAt : certificate.revokedAt,
+          reason: revocation ? revocation.reason : (certificate.revocationReason || 'unspecified'),
           message: 'Certificate has been revoked'
         };
       } else if (certificate.status === 'active' && !certificate.isExpired()) {
         response = {
           status: 'good',
           serialNumber,
+          issuerId: certificate.issuerId,
           validUntil: certificate.notAfter,
           message: 'Certificate is valid'
         };
@@ -75,6 +81,7 @@ class OCSPService {
         response = {
           status: 'expired',
           serialNumber,
+          issuerId: certificate.issuerId,
           expiredAt: certificate.notAfter,
           message: 'Certificate has expired'
         };
@@ -91,6 +98,159 @@ class OCSPService {
     }
   }
 
+  /**
+   * Answer a DER-encoded OCSPRequest (RFC 6960)
+   * @param {Buffer} requestDer - DER-encoded OCSPRequest
+   * @returns {Promise<Buffer>} DER-encoded OCSPResponse
+   */
+  async respond(requestDer) {
+    let request;
+    try {
+      request = ocspEncoding.parseRequest(requestDer);
+    } catch (error) {
+      logger.warn('Malformed OCSP request', { error: error.message });
+      return ocspEncoding.buildErrorResponse('malformedRequest');
+    }
+
+    try {
+      // All CertIDs in one response are signed by the first issuer's delegated responder
+      const issuer = await this.findIssuer(request.requests[0]);
+      if (!issuer) {
+        logger.debug('OCSP request for unknown issuer', {
+          issuerKeyHash: request.requests[0].issuerKeyHash
+        });
+        return ocspEncoding.buildErrorResponse('unauthorized');
+      }
+
+      const issuerHashes = {};
+      const responses = [];
+      const thisUpdate = new Date();
+      const nextUpdate = new Date(thisUpdate.getTime() + config.ocsp.responseValidity * 1000);
+
+      for (const single of request.requests) {
+        if (!issuerHashes[single.hashAlgorithm]) {
+          issuerHashes[single.hashAlgorithm] = ocspEncoding.issuerHashes(issuer.certificatePem, single.hashAlgorithm);
+        }
+
+        const expected = issuerHashes[single.hashAlgorithm];
+        const sameIssuer = expected.issuerNameHash === single.issuerNameHash &&
+          expected.issuerKeyHash === single.issuerKeyHash;
+
+        let result = { status: 'unknown' };
+        if (sameIssuer) {
+          result = await this.checkStatus(single.serialNumber);
+          if (result.issuerId && result.issuerId !== issuer.id) {
+            result = { status: 'unknown' };
+          }
+        }
+
+        responses.push({
+          certId: single.certId,
+          // Expiry is not a revocation state; relying parties check validity themselves
+          status: result.status === 'expired' ? 'good' : result.status,
+          revokedAt: result.revokedAt,
+          reasonCode: result.status === 'revoked'
+            ? require('./crl').getReasonCode(result.reason)
+            : undefined,
+          thisUpdate,
+          nextUpdate
+        });
+      }
+
+      const signer = await this.getSigner(issuer);
+
+      logger.debug('OCSP response signed', {
+        issuerId: issuer.id,
+        count: responses.length,
+        nonce: Boolean(request.nonce)
+      });
+
+      return ocspEncoding.buildResponse({
+        responses,
+        signerCertPem: signer.certificatePem,
+        signerKeyPem: signer.privateKey,
+        nonce: request.nonce
+      });
+    } catch (error) {
+      logger.error('OCSP response generation failed:', error);
+      return ocspEncoding.buildErrorResponse('internalError');
+    }
+  }
+
+  /**
+   * Locate the CA certificate identified by a CertID's issuer hashes
+   * @param {Object} single - Parsed single request
+   * @returns {Promise<Object|null>} Issuer Certificate
+   */
+  async findIssuer(single) {
+    const authorities = await Certificate.findAll({
+      where: {
+        type: { [Op.in]: ['root', 'intermediate'] },
+        status: 'active'
+      }
+    });
+
+    return authorities.find(authority => {
+      const hashes = ocspEncoding.issuerHashes(authority.certificatePem, single.hashAlgorithm);
+      return hashes.issuerNameHash === single.issuerNameHash &&
+        hashes.issuerKeyHash === single.issuerKeyHash;
+    }) || null;
+  }
+
+  /**
+   * Get (issuing if necessary) the delegated OCSP signing certificate for a CA
+   * @param {Object} issuer - Issuer Certificate
+   * @returns {Promise<{certificatePem: string, privateKey: string, notAfter: Date}>}
+   */
+  async getSigner(issuer) {
+    const renewBefore = Date.now() + config.ocsp.signer.renewBeforeDays * 24 * 60 * 60 * 1000;
+
+    const cached = this.signers.get(issuer.id);
+    if (cached && new Date(cached.notAfter).getTime() > renewBefore) {
+      return cached;
+    }
+
+    let signerCert = await Certificate.findOne({
+      where: {
+        type: 'ocsp_signing',
+        issuerId: issuer.id,
+        status: 'active',
+        notAfter: { [Op.gt]: new Date(renewBefore) }
+      },
+      order: [['notAfter', 'DESC']]
+    });
+
+    let privateKey;
+
+    if (signerCert) {
+      privateKey = await getStorage().getPrivateKey(signerCert.id);
+    } else {
+      logger.info('Issuing delegated OCSP signing certificate', { issuerId: issuer.id });
+
+      const result = await require('./certificate').createEntityCertificate({
+        type: 'ocsp_signing',
+        issuerId: issuer.id,
+        commonName: `${issuer.commonName} OCSP Responder`,
+        organization: issuer.organization,
+        organizationalUnit: issuer.organizationalUnit,
+        country: issuer.country,
+        validityDays: config.ocsp.signer.validityDays
+      }, null);
+
+      signerCert = result.certificate;
+      privateKey = result.privateKey;
+    }
+
+    const signer = {
+      certificatePem: signerCert.certificatePem,
+      privateKey,
+      notAfter: signerCert.notAfter
+    };
+
+    this.signers.set(issuer.id, signer);
+    return signer;
+  }
+
   /**
    * Batch OCSP check (Section 14.3 of spec)
    * @param {string[]} serialNumbers - Array of certificate serial numbers
@@ -168,11 +328,19 @@ class OCSPService {
     }
   }
 
+  /**
+   * Drop a cached status (e.g. after revocation)
+   */
+  invalidate(serialNumber) {
+    this.cache.delete(serialNumber);
+  }
+
   /**
    * Clear cache
    */
   clearCache() {
     this.cache.clear();
+    this.signers.clear();
     logger.info('OCSP cache cleared');
   }
 
@@ -183,7 +351,8 @@ class OCSPService {
     return {
       size: this.cache.size,
       enabled: config.ocsp.cache.enabled,
-      ttl: config.ocsp.cache.ttl
+      ttl: config.ocsp.cache.ttl,
+      signers: this.signers.size
     };
   }
 }
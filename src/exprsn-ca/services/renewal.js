@@ -0,0 +1,511 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Renewal Service - Expiry monitoring and automatic renewal
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * A periodic scan marks lapsed certificates expired, renews certificates
+ * flagged autoRenew once they enter the renewal window, and warns owners
+ * through exprsn-herald as expiry approaches (one notification per tier).
+ * Renewals are announced as certificate.renewed over the IPC worker so
+ * services can swap their TLS certificate without a restart.
+ */
+
+const nodeCrypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, Certificate, CertificateRenewal } = require('../models');
+const certificateService = require('./certificate');
+const certificateProfileService = require('./certificateProfile');
+const heraldClient = require('./heraldClient');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Arbitrary key for the advisory lock that keeps one scan running across processes
+const SCAN_LOCK = 5280;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const CA_TYPES = ['root', 'intermediate'];
+
+/**
+ * Create an error carrying a status/code for the API layer
+ */
+function renewalError(code, message, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+function daysUntil(date) {
+  return Math.ceil((new Date(date).getTime() - Date.now()) / DAY);
+}
+
+function isExternal(certificate) {
+  const imported = (certificate.metadata || {}).imported;
+  return Boolean(imported && imported.external);
+}
+
+class RenewalService {
+  constructor() {
+    this.ipc = null;
+    this.scanTimer = null;
+    this.lastScan = null;
+  }
+
+  /**
+   * Initialize renewal service
+   * @param {Object} options
+   * @param {Object} [options.ipc] - IPCWorker used to publish certificate.renewed
+   */
+  async initialize({ ipc = null } = {}) {
+    this.ipc = ipc;
+
+    if (!config.renewal.enabled || config.renewal.scanInterval <= 0) {
+      logger.info('Certificate renewal scanning disabled');
+      return;
+    }
+
+    this.scanTimer = setInterval(() => {
+      this.scan().catch(error => {
+        logger.error('Scheduled renewal scan failed:', error);
+      });
+    }, config.renewal.scanInterval * 1000);
+
+    logger.info(`Certificate renewal scans scheduled every ${config.renewal.scanInterval} seconds`);
+
+    // First scan runs in the background so startup is not held up by renewals
+    this.scan().catch(error => {
+      logger.error('Initial renewal scan failed:', error);
+    });
+  }
+
+  /**
+   * Run one scan: expire, auto-renew, warn
+   * @returns {Promise<Object>} Scan summary; skipped when another process holds the scan
+   */
+  async scan() {
+    const startedAt = new Date();
+
+    const result = await sequelize.transaction(async transaction => {
+      const [row] = await sequelize.query('SELECT pg_try_advisory_xact_lock(:lock) AS acquired', {
+        replacements: { lock: SCAN_LOCK },
+        type: sequelize.QueryTypes.SELECT,
+        transaction
+      });
+
+      if (!row.acquired) {
+        return { skipped: true };
+      }
+
+      const expired = await this.markExpired();
+      const { renewed, failed } = await this.renewDue();
+      const warned = await this.sendWarnings();
+
+      return { skipped: false, expired, renewed, failed, warned };
+    });
+
+    if (!result.skipped) {
+      this.lastScan = { startedAt, finishedAt: new Date(), ...result };
+      logger.info('Renewal scan completed', result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Mark active certificates past notAfter as expired
+   */
+  async markExpired() {
+    const [count] = await Certificate.update(
+      { status: 'expired' },
+      { where: { status: 'active', notAfter: { [Op.lt]: new Date() } } }
+    );
+
+    return count;
+  }
+
+  /**
+   * Renew autoRenew certificates inside the renewal window
+   */
+  async renewDue() {
+    const due = await Certificate.findAll({
+      where: {
+        autoRenew: true,
+        status: 'active',
+        renewedById: null,
+        type: { [Op.notIn]: CA_TYPES },
+        notAfter: { [Op.lte]: new Date(Date.now() + config.renewal.renewBeforeDays * DAY) }
+      },
+      order: [['notAfter', 'ASC']],
+      limit: config.renewal.batchSize
+    });
+
+    let renewed = 0;
+    let failed = 0;
+
+    for (const certificate of due.filter(cert => !isExternal(cert))) {
+      try {
+        await this.renew(certificate.id, { trigger: 'auto' });
+        renewed++;
+      } catch (error) {
+        failed++;
+      }
+    }
+
+    return { renewed, failed };
+  }
+
+  /**
+   * Send the next due expiry warning tier for each certificate
+   */
+  async sendWarnings() {
+    const tiers = config.renewal.warningDays;
+    if (tiers.length === 0) {
+      return 0;
+    }
+
+    const expiring = await Certificate.findAll({
+      where: {
+        status: 'active',
+        renewedById: null,
+        notAfter: { [Op.lte]: new Date(Date.now() + tiers[0] * DAY) }
+      },
+      order: [['notAfter', 'ASC']]
+    });
+
+    let warned = 0;
+
+    for (const certificate of expiring) {
+      const daysLeft = daysUntil(certificate.notAfter);
+      // Tiers are sorted descending; the smallest tier still covering daysLeft
+      const tier = tiers.filter(days => days >= daysLeft).pop();
+
+      if (certificate.expiryNotifiedDays !== null && certificate.expiryNotifiedDays <= tier) {
+        continue;
+      }
+
+      const lastTier = tier === tiers[tiers.length - 1];
+      await this.notify(certificate, {
+        type: lastTier ? 'error' : 'warning',
+        priority: lastTier ? 'urgent' : (tier <= 7 ? 'high' : 'normal'),
+        title: `Certificate expiring in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+        body: certificate.autoRenew
+          ? `${certificate.commonName} expires on ${certificate.notAfter.toISOString()} and is set to renew automatically.`
+          : `${certificate.commonName} expires on ${certificate.notAfter.toISOString()}. Renew it before then to avoid an outage.`,
+        data: {
+          event: 'certificate.expiring',
+          daysLeft
+        }
+      });
+
+      certificate.expiryNotifiedDays = tier;
+      await certificate.save();
+      warned++;
+    }
+
+    return warned;
+  }
+
+  /**
+   * Renew a certificate and announce it
+   * @param {string} certificateId
+   * @param {Object} options
+   * @param {string} [options.trigger] - auto or manual
+   * @param {boolean} [options.rekey] - Defaults to the certificate's autoRenewRekey setting
+   * @param {string|null} [options.userId] - User requesting a manual renewal (owner or admin)
+   * @returns {Promise<{certificate: Object, privateKey: string|null, rekeyed: boolean}>}
+   */
+  async renew(certificateId, { trigger = 'manual', rekey, userId = null } = {}) {
+    const certificate = await Certificate.findByPk(certificateId);
+    if (!certificate) {
+      throw renewalError('CERTIFICATE_NOT_FOUND', 'Certificate not found', 404);
+    }
+
+    if (userId) {
+      await this.assertCanManage(certificate, userId);
+    }
+
+    if (CA_TYPES.includes(certificate.type)) {
+      throw renewalError('RENEWAL_UNSUPPORTED', 'CA certificates are not renewed by the scheduler', 400);
+    }
+
+    if (isExternal(certificate)) {
+      throw renewalError('RENEWAL_UNSUPPORTED', 'Certificates issued by an external CA cannot be renewed here', 400);
+    }
+
+    if (certificate.renewedById) {
+      throw renewalError('ALREADY_RENEWED', 'Certificate has already been renewed', 409);
+    }
+
+    if (certificate.status === 'revoked') {
+      throw renewalError('CERTIFICATE_REVOKED', 'Revoked certificates cannot be renewed', 409);
+    }
+
+    const rekeyed = rekey === undefined ? certificate.autoRenewRekey : rekey;
+
+    if (!rekeyed && nodeCrypto.createPublicKey(certificate.publicKey).asymmetricKeyType !== 'rsa') {
+      throw renewalError('REKEY_REQUIRED', 'Only RSA keys can be re-certified; renew with a new key', 400);
+    }
+
+    let result;
+    try {
+      result = await certificateService.renewCertificate(certificate.id, {
+        rekey: rekeyed,
+        revokePrevious: config.renewal.revokeSuperseded
+      }, userId);
+    } catch (error) {
+      await CertificateRenewal.create({
+        certificateId: certificate.id,
+        trigger,
+        status: 'failed',
+        rekeyed,
+        error: error.message,
+        userId
+      });
+
+      await this.notify(certificate, {
+        type: 'error',
+        priority: 'high',
+        title: 'Certificate renewal failed',
+        body: `${certificate.commonName} could not be renewed: ${error.message}`,
+        data: { event: 'certificate.renewal_failed', trigger }
+      });
+
+      throw error;
+    }
+
+    const renewed = result.certificate;
+
+    await CertificateRenewal.create({
+      certificateId: certificate.id,
+      newCertificateId: renewed.id,
+      trigger,
+      status: 'success',
+      rekeyed,
+      userId
+    });
+
+    await this.publishRenewed(certificate, renewed, { rekeyed, trigger });
+
+    await this.notify(renewed, {
+      type: 'success',
+      title: 'Certificate renewed',
+      body: rekeyed
+        ? `${renewed.commonName} was renewed with a new key pair, valid until ${renewed.notAfter.toISOString()}. Download the new key to deploy it.`
+        : `${renewed.commonName} was renewed, valid until ${renewed.notAfter.toISOString()}.`,
+      data: {
+        event: 'certificate.renewed',
+        previousCertificateId: certificate.id,
+        rekeyed,
+        trigger
+      }
+    });
+
+    logger.info('Certificate renewal recorded', {
+      certificateId: certificate.id,
+      newCertificateId: renewed.id,
+      trigger,
+      rekeyed
+    });
+
+    return { certificate: renewed, privateKey: result.privateKey, rekeyed };
+  }
+
+  /**
+   * Broadcast certificate.renewed so services can reload their TLS certificate.
+   * The payload never carries a private key.
+   */
+  async publishRenewed(previous, renewed, { rekeyed, trigger }) {
+    if (!config.renewal.publishEvents || !this.ipc) {
+      return;
+    }
+
+    try {
+      const chain = await certificateService.getCertificateChain(renewed.id);
+      const chainPem = chain.slice(1)
+        .filter(cert => cert.type !== 'root')
+        .map(cert => cert.pem)
+        .join('');
+
+      await this.ipc.emit('certificate.renewed', {
+        certificateId: renewed.id,
+        previousCertificateId: previous.id,
+        serialNumber: renewed.serialNumber,
+        previousSerialNumber: previous.serialNumber,
+        fingerprint: renewed.fingerprint,
+        previousFingerprint: previous.fingerprint,
+        commonName: renewed.commonName,
+        subjectAlternativeNames: renewed.subjectAlternativeNames || [],
+        notBefore: renewed.notBefore,
+        notAfter: renewed.notAfter,
+        rekeyed,
+        certificatePem: renewed.certificatePem,
+        chainPem,
+        trigger
+      }, { target: 'broadcast' });
+    } catch (error) {
+      logger.error('Failed to publish certificate.renewed', {
+        certificateId: renewed.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Notify the certificate owner and the configured watchers
+   */
+  async notify(certificate, notification) {
+    const recipients = new Set(config.renewal.notify.userIds);
+    if (certificate.userId) {
+      recipients.add(certificate.userId);
+    }
+
+    const data = {
+      certificateId: certificate.id,
+      serialNumber: certificate.serialNumber,
+      commonName: certificate.commonName,
+      notAfter: certificate.notAfter,
+      ...notification.data
+    };
+
+    for (const userId of recipients) {
+      await heraldClient.notify(userId, { ...notification, data });
+    }
+  }
+
+  /**
+   * Update a certificate's auto-renew settings (owner or admin)
+   */
+  async setAutoRenew(certificateId, { autoRenew, rekey }, userId) {
+    const certificate = await Certificate.findByPk(certificateId);
+    if (!certificate) {
+      throw renewalError('CERTIFICATE_NOT_FOUND', 'Certificate not found', 404);
+    }
+
+    await this.assertCanManage(certificate, userId);
+
+    if (CA_TYPES.includes(certificate.type) || isExternal(certificate)) {
+      throw renewalError('RENEWAL_UNSUPPORTED', 'Only entity certificates issued by this CA can renew automatically', 400);
+    }
+
+    if (autoRenew !== undefined) certificate.autoRenew = autoRenew;
+    if (rekey !== undefined) certificate.autoRenewRekey = rekey;
+    await certificate.save();
+
+    return certificate;
+  }
+
+  /**
+   * Check a user may manage a certificate's renewal
+   */
+  async assertCanManage(certificate, userId) {
+    if (certificate.userId === userId) {
+      return;
+    }
+
+    const access = await certificateProfileService.getUserAccess(userId);
+    if (!access.admin) {
+      throw renewalError('FORBIDDEN', 'Only the certificate owner or an admin can manage its renewal', 403);
+    }
+  }
+
+  /**
+   * Dashboard data: upcoming expiries, recent renewals, scheduler state
+   * @param {Object} options
+   * @param {string|null} [options.userId] - Restrict to one owner's certificates
+   */
+  async getDashboard({ userId = null } = {}) {
+    const horizon = Math.max(config.renewal.renewBeforeDays, ...config.renewal.warningDays);
+    const owner = userId ? { userId } : {};
+
+    const upcoming = await Certificate.findAll({
+      where: {
+        ...owner,
+        status: 'active',
+        renewedById: null,
+        notAfter: { [Op.lte]: new Date(Date.now() + horizon * DAY) }
+      },
+      attributes: [
+        'id', 'serialNumber', 'commonName', 'type', 'userId', 'notAfter',
+        'autoRenew', 'autoRenewRekey', 'expiryNotifiedDays', 'metadata'
+      ],
+      order: [['notAfter', 'ASC']],
+      limit: 200
+    });
+
+    const renewals = await CertificateRenewal.findAll({
+      where: userId ? { '$certificate.user_id$': userId } : {},
+      include: [
+        { association: 'certificate', attributes: ['id', 'commonName', 'serialNumber'] },
+        { association: 'newCertificate', attributes: ['id', 'serialNumber', 'notAfter'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: 50
+    });
+
+    const [autoRenewCount, expiredCount, failedCount] = await Promise.all([
+      Certificate.count({ where: { ...owner, autoRenew: true, status: 'active', renewedById: null } }),
+      Certificate.count({ where: { ...owner, status: 'expired', renewedById: null } }),
+      CertificateRenewal.count({
+        where: {
+          status: 'failed',
+          createdAt: { [Op.gte]: new Date(Date.now() - 7 * DAY) },
+          ...(userId ? { '$certificate.user_id$': userId } : {})
+        },
+        include: userId ? [{ association: 'certificate', attributes: [] }] : []
+      })
+    ]);
+
+    return {
+      settings: {
+        enabled: config.renewal.enabled,
+        scanInterval: config.renewal.scanInterval,
+        warningDays: config.renewal.warningDays,
+        renewBeforeDays: config.renewal.renewBeforeDays,
+        revokeSuperseded: config.renewal.revokeSuperseded
+      },
+      lastScan: this.lastScan,
+      stats: {
+        expiringSoon: upcoming.filter(cert => daysUntil(cert.notAfter) <= config.renewal.renewBeforeDays).length,
+        autoRenew: autoRenewCount,
+        expired: expiredCount,
+        failedLastWeek: failedCount
+      },
+      upcoming: upcoming.map(cert => ({
+        id: cert.id,
+        serialNumber: cert.serialNumber,
+        commonName: cert.commonName,
+        type: cert.type,
+        userId: cert.userId,
+        notAfter: cert.notAfter,
+        daysLeft: daysUntil(cert.notAfter),
+        autoRenew: cert.autoRenew,
+        autoRenewRekey: cert.autoRenewRekey,
+        expiryNotifiedDays: cert.expiryNotifiedDays,
+        renewable: !CA_TYPES.includes(cert.type) && !isExternal(cert)
+      })),
+      renewals: renewals.map(renewal => ({
+        id: renewal.id,
+        trigger: renewal.trigger,
+        status: renewal.status,
+        rekeyed: renewal.rekeyed,
+        error: renewal.error,
+        createdAt: renewal.createdAt,
+        certificate: renewal.certificate,
+        newCertificate: renewal.newCertificate
+      }))
+    };
+  }
+
+  /**
+   * Shutdown service
+   */
+  shutdown() {
+    if (this.scanTimer) {
+      clearInterval(this.scanTimer);
+    }
+    logger.info('Renewal service shut down');
+  }
+}
+
+module.exports = new RenewalService();
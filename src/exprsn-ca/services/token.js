@@ -1,17 +1,45 @@
 /**
  * ═══════════════════════════════════════════════════════════════════════
  * Token Service - Implementation of Exprsn CA Token Specification v1.0
- * See: TOKEN_SPECIFICATION_V1.0.md
+ * See: TOKEN_SPECIFICATION_V1.0.md (compact v2.0 encoding: ./compactToken.js)
  * ═══════════════════════════════════════════════════════════════════════
  */
 
+const net = require('net');
+const { Op } = require('sequelize');
 const { Token, Certificate, AuditLog } = require('../models');
 const crypto = require('../crypto');
-const { getStorage } = require('../storage');
+const keyCeremonyService = require('./keyCeremony');
 const config = require('../config');
 const logger = require('../utils/logger');
 const redisClient = require('../utils/redis');
 
+/**
+ * Create an error carrying a status/code for the API layer
+ */
+function tokenError(code, message, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Serialize caveats with sorted keys (JSONB does not preserve key order)
+ */
+function canonicalCaveats(caveats) {
+  return JSON.stringify((caveats || []).map(caveat =>
+    Object.fromEntries(Object.keys(caveat).sort().map(key => [key, caveat[key]]))
+  ));
+}
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix (::ffff:10.0.0.1)
+ */
+function normalizeIp(ip) {
+  return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+}
+
 class TokenService {
   /**
    * Generate token (Section 8 of specification)
@@ -33,9 +61,8 @@ class TokenService {
         throw new Error('CERTIFICATE_INVALID');
       }
 
-      // Get private key from storage
-      const storage = getStorage();
-      const privateKey = await storage.getPrivateKey(certificate.id);
+      // Get private key (sealed root keys need custodian shares first)
+      const privateKey = await keyCeremonyService.getSigningKey(certificate);
 
       // Generate timestamps
       const issuedAt = Date.now();
@@ -74,35 +101,16 @@ class TokenService {
         usesRemaining,
         maxUses,
         tokenData: params.data || null,
+        parentTokenId: params.parentTokenId || null,
+        depth: params.depth || 0,
+        caveats: params.caveats || [],
         status: 'active',
         checksum: '', // Will be calculated below
         signature: '' // Will be calculated below
       });
 
       // Build token object for checksum (Section 8.5)
-      const tokenForChecksum = {
-        id: token.id,
-        version: token.version,
-        issuer: {
-          domain: config.ca.domain,
-          certificateSerial: certificate.serialNumber
-        },
-        permissions: token.getPermissions(),
-        resource: {
-          [token.resourceType]: token.resourceValue
-        },
-        data: token.tokenData,
-        issuedAt: token.issuedAt,
-        notBefore: token.notBefore,
-        expiresAt: token.expiresAt,
-        expiryType: token.expiryType
-      };
-
-      // Add use-based fields if applicable
-      if (token.expiryType === 'use') {
-        tokenForChecksum.usesRemaining = token.usesRemaining;
-        tokenForChecksum.maxUses = token.maxUses;
-      }
+      const tokenForChecksum = this.signedFields(token, certificate);
 
       // Calculate checksum (Section 4.2.5)
       const checksum = crypto.calculateChecksum(tokenForChecksum);
@@ -134,12 +142,19 @@ class TokenService {
       logger.info('Token generated successfully', { tokenId: token.id });
 
       // Return full token object (Section 8.7)
-      return {
+      const result = {
         ...tokenForChecksum,
         checksum,
         signature
       };
 
+      if (token.parentTokenId) {
+        result.caveats = token.caveats;
+        result.depth = token.depth;
+      }
+
+      return result;
+
     } catch (error) {
       logger.error('Failed to generate token:', error);
 
@@ -167,7 +182,8 @@ class TokenService {
     try {
       logger.info('Validating token...', { tokenId });
 
-      // Check cache first (skip for use-based tokens to ensure atomic decrement)
+      // Check cache first (skip for use-based tokens to ensure atomic decrement;
+      // tokens with caveats are never cached since each request is checked)
       const cacheKey = `token:validation:${tokenId}`;
       const cachedResult = await redisClient.get(cacheKey);
 
@@ -243,6 +259,14 @@ class TokenService {
         };
       }
 
+      // Step 5a: Verify the delegation chain
+      if (token.parentTokenId) {
+        const chainFailure = await this.checkChain(token);
+        if (chainFailure) {
+          return chainFailure;
+        }
+      }
+
       // Step 6: Verify certificate (Section 9.1.5)
       const certificate = token.certificate;
       if (!certificate) {
@@ -272,28 +296,7 @@ class TokenService {
       }
 
       // Step 7: Verify signature (Section 9.1.6)
-      const tokenForVerification = {
-        id: token.id,
-        version: token.version,
-        issuer: {
-          domain: config.ca.domain,
-          certificateSerial: certificate.serialNumber
-        },
-        permissions: token.getPermissions(),
-        resource: {
-          [token.resourceType]: token.resourceValue
-        },
-        data: token.tokenData,
-        issuedAt: token.issuedAt,
-        notBefore: token.notBefore,
-        expiresAt: token.expiresAt,
-        expiryType: token.expiryType
-      };
-
-      if (token.expiryType === 'use') {
-        tokenForVerification.usesRemaining = token.usesRemaining;
-        tokenForVerification.maxUses = token.maxUses;
-      }
+      const tokenForVerification = this.signedFields(token, certificate);
 
       const canonicalData = JSON.stringify(tokenForVerification, Object.keys(tokenForVerification).sort());
       const signatureValid = crypto.verifySignature(canonicalData, token.signature, certificate.publicKey);
@@ -361,6 +364,12 @@ class TokenService {
         }
       }
 
+      // Step 9a: Check caveats imposed by delegation
+      const caveatFailure = this.checkCaveats(token.caveats, validationParams);
+      if (caveatFailure) {
+        return caveatFailure;
+      }
+
       // Step 10: Update token usage (Section 9.3)
       if (token.expiryType === 'use') {
         // Atomic decrement (Section 9.3)
@@ -373,7 +382,7 @@ class TokenService {
           {
             where: {
               id: token.id,
-              usesRemaining: { [require('sequelize').Op.gt]: 0 },
+              usesRemaining: { [Op.gt]: 0 },
               status: 'active'
             }
           }
@@ -429,12 +438,15 @@ class TokenService {
           expiresAt: token.expiresAt,
           usesRemaining: token.usesRemaining,
           useCount: token.useCount,
-          data: token.tokenData
+          data: token.tokenData,
+          parentId: token.parentTokenId,
+          depth: token.depth,
+          caveats: token.caveats
         }
       };
 
-      // Cache validation result (skip use-based tokens)
-      if (token.expiryType !== 'use') {
+      // Cache validation result (skip use-based tokens and tokens with caveats)
+      if (token.expiryType !== 'use' && token.caveats.length === 0) {
         // Calculate TTL based on token expiry
         let cacheTTL = config.redis.ttl.token;
 
@@ -495,8 +507,351 @@ class TokenService {
     return false;
   }
 
+  /**
+   * Fields covered by the checksum and signature (Section 8.5)
+   * Delegated tokens also bind their parent and caveats.
+   * @param {Object} token - Token record
+   * @param {Object} certificate - Signing certificate
+   * @returns {Object}
+   */
+  signedFields(token, certificate) {
+    const fields = {
+      id: token.id,
+      version: token.version,
+      issuer: {
+        domain: config.ca.domain,
+        certificateSerial: certificate.serialNumber
+      },
+      permissions: token.getPermissions(),
+      resource: {
+        [token.resourceType]: token.resourceValue
+      },
+      data: token.tokenData,
+      issuedAt: token.issuedAt,
+      notBefore: token.notBefore,
+      expiresAt: token.expiresAt,
+      expiryType: token.expiryType
+    };
+
+    // Add use-based fields if applicable
+    if (token.expiryType === 'use') {
+      fields.usesRemaining = token.usesRemaining;
+      fields.maxUses = token.maxUses;
+    }
+
+    if (token.parentTokenId) {
+      fields.parentId = token.parentTokenId;
+      // Serialized, since the canonical form keeps only top-level keys
+      fields.caveats = canonicalCaveats(token.caveats);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Check every ancestor of a delegated token is still in force
+   * Exhausted use-based ancestors stay valid: their uses moved to children.
+   * @param {Object} token - Token record
+   * @returns {Promise<Object|null>} Failure result, or null when the chain holds
+   */
+  async checkChain(token) {
+    let parentId = token.parentTokenId;
+
+    while (parentId) {
+      const parent = await Token.findByPk(parentId);
+
+      if (!parent) {
+        return {
+          valid: false,
+          error: 'PARENT_INVALID',
+          message: 'Parent token no longer exists',
+          parentId
+        };
+      }
+
+      if (parent.status === 'revoked') {
+        return {
+          valid: false,
+          error: 'TOKEN_REVOKED',
+          message: 'A parent token has been revoked',
+          parentId,
+          revokedAt: parent.revokedAt
+        };
+      }
+
+      if (parent.status === 'expired' || (parent.expiryType === 'time' && Date.now() >= parent.expiresAt)) {
+        return {
+          valid: false,
+          error: 'PARENT_INVALID',
+          message: 'A parent token has expired',
+          parentId
+        };
+      }
+
+      parentId = parent.parentTokenId;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check delegation caveats against the request context
+   * Unknown caveat types and missing context fail closed.
+   * @param {Array} caveats - Token caveats
+   * @param {Object} context - { clientIp, serviceName }
+   * @returns {Object|null} Failure result, or null when all caveats hold
+   */
+  checkCaveats(caveats = [], context = {}) {
+    for (const caveat of caveats) {
+      let satisfied = false;
+
+      if (caveat.type === 'ip' && context.clientIp) {
+        const clientIp = normalizeIp(context.clientIp);
+        const family = net.isIPv6(clientIp) ? 'ipv6' : 'ipv4';
+        const blockList = new net.BlockList();
+
+        for (const cidr of caveat.cidrs) {
+          const [address, prefix] = cidr.split('/');
+          const addressFamily = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+          if (prefix === undefined) {
+            blockList.addAddress(address, addressFamily);
+          } else {
+            blockList.addSubnet(address, parseInt(prefix, 10), addressFamily);
+          }
+        }
+
+        satisfied = net.isIP(clientIp) !== 0 && blockList.check(clientIp, family);
+      } else if (caveat.type === 'service' && context.serviceName) {
+        satisfied = caveat.services.includes(context.serviceName);
+      }
+
+      if (!satisfied) {
+        return {
+          valid: false,
+          error: 'CAVEAT_NOT_SATISFIED',
+          message: `Token ${caveat.type} caveat is not satisfied`,
+          caveat
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a child resource grants no more than its parent's
+   * A prefix grant is only narrower under a prefix grant.
+   */
+  narrowsResource(childResource, parentResource) {
+    if (childResource === parentResource) {
+      return true;
+    }
+
+    if (childResource.endsWith('/') && (parentResource.includes('*') || !parentResource.endsWith('/'))) {
+      return false;
+    }
+
+    return this.matchesResource(childResource, parentResource);
+  }
+
+  /**
+   * Derive an attenuated child token
+   * The child may only narrow its parent: a subset of permissions, a
+   * resource within the parent's, an expiry or use count inside the
+   * parent's, and the parent's caveats plus any new ones.
+   * @param {string} parentTokenId - Token being delegated
+   * @param {Object} params - Attenuation (permissions, resourceValue, expiryType,
+   *   expirySeconds, maxUses, notBefore, data, caveats)
+   * @param {string} [actorId] - User performing the delegation, for audit
+   * @returns {Promise<Object>} Generated child token
+   */
+  async delegateToken(parentTokenId, params = {}, actorId = null) {
+    const { enabled, maxDepth } = config.token.delegation;
+
+    if (!enabled) {
+      throw tokenError('DELEGATION_DISABLED', 'Token delegation is not enabled', 403);
+    }
+
+    const parent = await Token.findByPk(parentTokenId);
+    if (!parent) {
+      throw tokenError('TOKEN_NOT_FOUND', 'Parent token does not exist', 404);
+    }
+
+    if (parent.status !== 'active') {
+      throw tokenError('PARENT_INVALID', `Cannot delegate a ${parent.status} token`, 409);
+    }
+
+    if (parent.expiryType === 'time' && Date.now() >= parent.expiresAt) {
+      throw tokenError('PARENT_INVALID', 'Cannot delegate an expired token', 409);
+    }
+
+    const chainFailure = await this.checkChain(parent);
+    if (chainFailure) {
+      throw tokenError('PARENT_INVALID', chainFailure.message, 409);
+    }
+
+    const depth = parent.depth + 1;
+    if (depth > maxDepth) {
+      throw tokenError('DELEGATION_DEPTH_EXCEEDED', `Delegation chains may not exceed ${maxDepth} levels`, 403);
+    }
+
+    // Permissions: a subset of the parent's
+    const parentPermissions = parent.getPermissions();
+    const permissions = params.permissions || parentPermissions;
+    const widened = Object.keys(parentPermissions).filter(name => permissions[name] && !parentPermissions[name]);
+
+    if (widened.length > 0) {
+      throw tokenError('ATTENUATION_VIOLATION', `Parent token does not grant: ${widened.join(', ')}`, 400);
+    }
+
+    // Resource: within the parent's
+    const resourceValue = params.resourceValue || parent.resourceValue;
+    if (!this.narrowsResource(resourceValue, parent.resourceValue)) {
+      throw tokenError('ATTENUATION_VIOLATION', `Resource ${resourceValue} is outside ${parent.resourceValue}`, 400);
+    }
+
+    // Expiry: inside the parent's
+    const expiryType = params.expiryType || parent.expiryType;
+    let expirySeconds;
+    let maxUses;
+
+    if (parent.expiryType === 'use' && expiryType !== 'use') {
+      throw tokenError('ATTENUATION_VIOLATION', 'Use-based tokens may only delegate use-based tokens', 400);
+    }
+
+    if (expiryType === 'persistent' && parent.expiryType !== 'persistent') {
+      throw tokenError('ATTENUATION_VIOLATION', 'Only persistent tokens may delegate persistent tokens', 400);
+    }
+
+    if (expiryType === 'time') {
+      expirySeconds = params.expirySeconds || config.token.defaults.expirySeconds;
+
+      if (parent.expiryType === 'time') {
+        const parentRemaining = Math.floor((parent.expiresAt - Date.now()) / 1000);
+
+        if (params.expirySeconds > parentRemaining) {
+          throw tokenError('ATTENUATION_VIOLATION', `Parent token expires in ${parentRemaining} seconds`, 400);
+        }
+
+        expirySeconds = Math.min(expirySeconds, parentRemaining);
+      }
+    }
+
+    if (expiryType === 'use') {
+      maxUses = params.maxUses || config.token.defaults.maxUses;
+
+      // Children draw their uses from the parent's remaining uses
+      if (parent.expiryType === 'use') {
+        if (!params.maxUses) {
+          maxUses = Math.min(maxUses, parent.usesRemaining);
+        }
+
+        if (maxUses < 1) {
+          throw tokenError('INSUFFICIENT_USES', 'Parent token has no uses remaining', 409);
+        }
+
+        const [reserved] = await Token.update(
+          { usesRemaining: Token.sequelize.literal(`uses_remaining - ${Number(maxUses)}`) },
+          {
+            where: {
+              id: parent.id,
+              usesRemaining: { [Op.gte]: maxUses },
+              status: 'active'
+            }
+          }
+        );
+
+        if (reserved === 0) {
+          throw tokenError('INSUFFICIENT_USES', 'Parent token does not have enough uses remaining', 409);
+        }
+      }
+    }
+
+    const notBefore = Math.max(Number(parent.notBefore) || 0, params.notBefore || 0) || undefined;
+    const caveats = [...parent.caveats, ...(params.caveats || [])];
+
+    let child;
+    try {
+      child = await this.generateToken({
+        certificateId: parent.certificateId,
+        permissions,
+        resourceType: parent.resourceType,
+        resourceValue,
+        expiryType,
+        expirySeconds,
+        maxUses,
+        notBefore,
+        data: params.data || parent.tokenData,
+        parentTokenId: parent.id,
+        depth,
+        caveats
+      }, parent.userId);
+    } catch (error) {
+      if (parent.expiryType === 'use') {
+        await Token.increment('usesRemaining', { by: maxUses, where: { id: parent.id } });
+      }
+      throw error;
+    }
+
+    await AuditLog.log({
+      userId: actorId || parent.userId,
+      action: 'token.delegate',
+      resourceType: 'token',
+      resourceId: child.id,
+      status: 'success',
+      severity: 'info',
+      message: `Token delegated from ${parent.id}`,
+      details: {
+        tokenId: child.id,
+        parentId: parent.id,
+        depth,
+        permissions,
+        resourceValue,
+        caveats
+      }
+    });
+
+    logger.info('Token delegated', { tokenId: child.id, parentId: parent.id, depth });
+
+    return child;
+  }
+
+  /**
+   * Revoke every token delegated (directly or transitively) from a token
+   * @param {string} tokenId - Root of the delegation tree
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeDescendants(tokenId) {
+    let revoked = 0;
+    let frontier = [tokenId];
+
+    while (frontier.length > 0) {
+      const children = await Token.findAll({
+        where: { parentTokenId: { [Op.in]: frontier } },
+        attributes: ['id', 'status']
+      });
+
+      frontier = children.map(child => child.id);
+      const active = children.filter(child => child.status !== 'revoked').map(child => child.id);
+
+      if (active.length > 0) {
+        await Token.update(
+          { status: 'revoked', revokedAt: Date.now(), revokedReason: 'Parent token revoked' },
+          { where: { id: { [Op.in]: active } } }
+        );
+
+        await Promise.all(active.map(id => redisClient.del(`token:validation:${id}`)));
+        revoked += active.length;
+      }
+    }
+
+    return revoked;
+  }
+
   /**
    * Revoke token
+   * Tokens delegated from it are revoked with it.
    */
   async revokeToken(tokenId, reason, userId = null) {
     const token = await Token.findByPk(tokenId);
@@ -514,6 +869,11 @@ class TokenService {
     await redisClient.del(cacheKey);
     logger.debug('Token validation cache invalidated', { tokenId });
 
+    const descendantsRevoked = await this.revokeDescendants(token.id);
+
+    // Push the revocation to services verifying compact tokens offline
+    require('./compactToken').refresh();
+
     await AuditLog.log({
       userId,
       action: 'token.revoke',
@@ -522,7 +882,7 @@ class TokenService {
       status: 'success',
       severity: 'warning',
       message: `Token revoked: ${reason}`,
-      details: { tokenId: token.id, reason }
+      details: { tokenId: token.id, reason, descendantsRevoked }
     });
 
     return token;
@@ -662,6 +1022,9 @@ class TokenService {
         expiresAt: token.expiresAt,
         lastUsedAt: token.lastUsedAt,
         useCount: token.useCount,
+        parentId: token.parentTokenId,
+        depth: token.depth,
+        caveats: token.caveats,
         createdAt: token.createdAt,
         updatedAt: token.updatedAt
       };
@@ -0,0 +1,465 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Transparency Log Service - Append-only Merkle log of issuance
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Every certificate the CA issues is appended as an RFC 6962 MerkleTreeLeaf.
+ * Signed tree heads commit to the log contents, so editing or deleting a
+ * logged certificate - or the log itself - is detectable with inclusion and
+ * consistency proofs.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, Certificate, TransparencyLogEntry, TransparencyTreeHead } = require('../models');
+const merkle = require('../crypto/merkle');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Arbitrary key for the advisory lock that serialises appends across processes
+const APPEND_LOCK = 6962;
+
+/**
+ * Create an error carrying a status/code for the API layer
+ */
+function logError(code, message, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+function certificateDer(certificatePem) {
+  return new crypto.X509Certificate(certificatePem).raw;
+}
+
+class TransparencyService {
+  constructor() {
+    this.signingKey = null;
+    // Leaf hashes in log order; entries never change, so the cache only grows
+    this.hashes = [];
+  }
+
+  // ───────────────────────────────────────────────────────────────────────
+  // Log key
+  // ───────────────────────────────────────────────────────────────────────
+
+  /**
+   * Load the tree head signing key, creating it on first use
+   */
+  async getSigningKey() {
+    if (this.signingKey) {
+      return this.signingKey;
+    }
+
+    const keyPath = path.resolve(config.transparency.signingKeyPath);
+    let privateKeyPem;
+
+    try {
+      privateKeyPem = await fs.readFile(keyPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+
+      const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+      privateKeyPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+      await fs.mkdir(path.dirname(keyPath), { recursive: true });
+      await fs.writeFile(keyPath, privateKeyPem, { mode: 0o600, flag: 'wx' }).catch(async writeError => {
+        // Another process created it first
+        if (writeError.code !== 'EEXIST') throw writeError;
+        privateKeyPem = await fs.readFile(keyPath, 'utf8');
+      });
+
+      logger.info('Generated transparency log signing key', { path: keyPath });
+    }
+
+    const privateKey = crypto.createPrivateKey(privateKeyPem);
+    const publicKeyDer = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+
+    this.signingKey = {
+      privateKey,
+      publicKeyDer,
+      // RFC 6962 Section 3.2: the log ID is the SHA-256 of the public key
+      logId: crypto.createHash('sha256').update(publicKeyDer).digest()
+    };
+
+    return this.signingKey;
+  }
+
+  async getLogKey() {
+    const { publicKeyDer, logId } = await this.getSigningKey();
+
+    return {
+      log_id: logId.toString('base64'),
+      key: publicKeyDer.toString('base64')
+    };
+  }
+
+  // ───────────────────────────────────────────────────────────────────────
+  // Appending
+  // ───────────────────────────────────────────────────────────────────────
+
+  /**
+   * Append an issued certificate to the log
+   * @param {Object} certificate - Certificate row
+   * @returns {Promise<Object|null>} Log entry, or null when the log is disabled
+   */
+  async append(certificate) {
+    if (!config.transparency.enabled) {
+      return null;
+    }
+
+    const timestamp = Date.now();
+    const leafInput = merkle.encodeLeaf({
+      timestamp,
+      certificateDer: certificateDer(certificate.certificatePem)
+    });
+
+    const entry = await sequelize.transaction(async transaction => {
+      await sequelize.query('SELECT pg_advisory_xact_lock(:lock)', {
+        replacements: { lock: APPEND_LOCK },
+        transaction
+      });
+
+      const last = await TransparencyLogEntry.max('leafIndex', { transaction });
+      const leafIndex = last === null || last === undefined ? 0 : Number(last) + 1;
+
+      return await TransparencyLogEntry.create({
+        leafIndex,
+        certificateId: certificate.id,
+        serialNumber: certificate.serialNumber,
+        timestamp,
+        leafInput,
+        leafHash: merkle.leafHash(leafInput).toString('hex')
+      }, { transaction });
+    });
+
+    logger.info('Certificate appended to transparency log', {
+      certificateId: certificate.id,
+      leafIndex: entry.leafIndex
+    });
+
+    return entry;
+  }
+
+  /**
+   * Append without failing the issuance that triggered it; the audit reports
+   * certificates that are missing from the log
+   */
+  async record(certificate) {
+    try {
+      return await this.append(certificate);
+    } catch (error) {
+      logger.error('Failed to append certificate to transparency log:', {
+        certificateId: certificate.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  // ───────────────────────────────────────────────────────────────────────
+  // Tree
+  // ───────────────────────────────────────────────────────────────────────
+
+  async getTreeSize() {
+    const last = await TransparencyLogEntry.max('leafIndex');
+    return last === null || last === undefined ? 0 : Number(last) + 1;
+  }
+
+  /**
+   * Leaf hashes of the first treeSize entries
+   * @returns {Promise<Buffer[]>}
+   */
+  async getLeafHashes(treeSize) {
+    if (this.hashes.length < treeSize) {
+      const entries = await TransparencyLogEntry.findAll({
+        attributes: ['leafIndex', 'leafHash'],
+        where: { leafIndex: { [Op.gte]: this.hashes.length, [Op.lt]: treeSize } },
+        order: [['leafIndex', 'ASC']],
+        raw: true
+      });
+
+      for (const entry of entries) {
+        if (Number(entry.leafIndex) !== this.hashes.length) {
+          throw new Error(`Transparency log is missing leaf ${this.hashes.length}`);
+        }
+        this.hashes.push(Buffer.from(entry.leafHash, 'hex'));
+      }
+    }
+
+    return this.hashes.slice(0, treeSize);
+  }
+
+  /**
+   * Sign a tree head
+   */
+  async signTreeHead(treeSize, timestamp, rootHash) {
+    const { privateKey } = await this.getSigningKey();
+    const signature = crypto.sign('sha256', merkle.treeHeadSignatureInput({ timestamp, treeSize, rootHash }), privateKey);
+    return merkle.encodeDigitallySigned(signature).toString('base64');
+  }
+
+  /**
+   * Verify a stored tree head's signature
+   */
+  async verifyTreeHead(treeHead) {
+    const { publicKeyDer } = await this.getSigningKey();
+    const publicKey = crypto.createPublicKey({ key: publicKeyDer, format: 'der', type: 'spki' });
+
+    return crypto.verify(
+      'sha256',
+      merkle.treeHeadSignatureInput({
+        timestamp: treeHead.timestamp,
+        treeSize: treeHead.treeSize,
+        rootHash: Buffer.from(treeHead.rootHash, 'hex')
+      }),
+      publicKey,
+      merkle.decodeDigitallySigned(Buffer.from(treeHead.signature, 'base64'))
+    );
+  }
+
+  /**
+   * Latest signed tree head, signing a new one when the log has grown
+   * @returns {Promise<Object>} TransparencyTreeHead
+   */
+  async getSignedTreeHead() {
+    const treeSize = await this.getTreeSize();
+
+    const existing = await TransparencyTreeHead.findByPk(treeSize);
+    if (existing) {
+      return existing;
+    }
+
+    const rootHash = merkle.rootHash(await this.getLeafHashes(treeSize)).toString('hex');
+    const timestamp = Date.now();
+
+    const [treeHead] = await TransparencyTreeHead.findOrCreate({
+      where: { treeSize },
+      defaults: {
+        treeSize,
+        timestamp,
+        rootHash,
+        signature: await this.signTreeHead(treeSize, timestamp, Buffer.from(rootHash, 'hex'))
+      }
+    });
+
+    return treeHead;
+  }
+
+  formatTreeHead(treeHead) {
+    return {
+      tree_size: treeHead.treeSize,
+      timestamp: treeHead.timestamp,
+      sha256_root_hash: Buffer.from(treeHead.rootHash, 'hex').toString('base64'),
+      tree_head_signature: treeHead.signature
+    };
+  }
+
+  /**
+   * Audit path for a leaf (get-proof-by-hash)
+   * @param {string} hash - Base64 leaf hash
+   * @param {number} treeSize
+   */
+  async getProofByHash(hash, treeSize) {
+    const currentSize = await this.getTreeSize();
+
+    if (!Number.isInteger(treeSize) || treeSize < 1 || treeSize > currentSize) {
+      throw logError('INVALID_TREE_SIZE', `tree_size must be between 1 and ${currentSize}`, 400);
+    }
+
+    const entry = await TransparencyLogEntry.findOne({
+      where: {
+        leafHash: Buffer.from(hash, 'base64').toString('hex'),
+        leafIndex: { [Op.lt]: treeSize }
+      },
+      order: [['leafIndex', 'ASC']]
+    });
+
+    if (!entry) {
+      throw logError('LEAF_NOT_FOUND', 'No leaf with this hash in the requested tree', 404);
+    }
+
+    const proof = merkle.inclusionProof(entry.leafIndex, await this.getLeafHashes(treeSize));
+
+    return {
+      leaf_index: entry.leafIndex,
+      audit_path: proof.map(node => node.toString('base64'))
+    };
+  }
+
+  /**
+   * Consistency proof between two tree sizes (get-sth-consistency)
+   */
+  async getConsistency(first, second) {
+    const currentSize = await this.getTreeSize();
+
+    if (!Number.isInteger(first) || !Number.isInteger(second) ||
+        first < 1 || first > second || second > currentSize) {
+      throw logError('INVALID_TREE_SIZE', `Require 1 <= first <= second <= ${currentSize}`, 400);
+    }
+
+    const proof = merkle.consistencyProof(first, await this.getLeafHashes(second));
+
+    return {
+      consistency: proof.map(node => node.toString('base64'))
+    };
+  }
+
+  /**
+   * Log entries in [start, end] (get-entries)
+   */
+  async getEntries(start, end) {
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start) {
+      throw logError('INVALID_RANGE', 'Require 0 <= start <= end', 400);
+    }
+
+    const last = Math.min(end, start + config.transparency.maxEntriesPerRequest - 1);
+
+    const entries = await TransparencyLogEntry.findAll({
+      where: { leafIndex: { [Op.between]: [start, last] } },
+      order: [['leafIndex', 'ASC']]
+    });
+
+    return {
+      entries: entries.map(entry => ({
+        leaf_input: Buffer.from(entry.leafInput).toString('base64'),
+        extra_data: ''
+      }))
+    };
+  }
+
+  // ───────────────────────────────────────────────────────────────────────
+  // Audit
+  // ───────────────────────────────────────────────────────────────────────
+
+  /**
+   * Check the log against itself, its tree heads and the certificates table
+   * @returns {Promise<Object>} {ok, treeSize, rootHash, treeHeadsChecked, problems}
+   */
+  async audit() {
+    const problems = [];
+    const hashes = [];
+    const loggedCertificates = new Set();
+    const batchSize = 1000;
+
+    for (let offset = 0; ; offset += batchSize) {
+      const entries = await TransparencyLogEntry.findAll({
+        order: [['leafIndex', 'ASC']],
+        offset,
+        limit: batchSize
+      });
+
+      if (entries.length === 0) break;
+
+      const certificates = await Certificate.findAll({
+        where: { id: entries.map(entry => entry.certificateId).filter(Boolean) },
+        attributes: ['id', 'serialNumber', 'fingerprint', 'certificatePem']
+      });
+      const byId = new Map(certificates.map(certificate => [certificate.id, certificate]));
+
+      for (const entry of entries) {
+        const leafInput = Buffer.from(entry.leafInput);
+        const leafIndex = entry.leafIndex;
+
+        if (leafIndex !== hashes.length) {
+          problems.push({ type: 'gap', leafIndex: hashes.length, message: `Leaf ${hashes.length} is missing` });
+        }
+
+        const computed = merkle.leafHash(leafInput);
+        if (computed.toString('hex') !== entry.leafHash) {
+          problems.push({ type: 'leaf_hash', leafIndex, message: 'Stored leaf hash does not match the leaf' });
+        }
+        hashes.push(computed);
+
+        let der;
+        try {
+          der = merkle.decodeLeaf(leafInput).certificateDer;
+        } catch (error) {
+          problems.push({ type: 'leaf', leafIndex, message: error.message });
+          continue;
+        }
+
+        const certificate = byId.get(entry.certificateId);
+        if (!certificate) {
+          problems.push({
+            type: 'missing_certificate',
+            leafIndex,
+            certificateId: entry.certificateId,
+            message: `Logged certificate ${entry.serialNumber} is missing from the certificates table`
+          });
+          continue;
+        }
+
+        loggedCertificates.add(certificate.id);
+
+        const fingerprint = crypto.createHash('sha256').update(der).digest('hex');
+        let stored = null;
+        try {
+          stored = certificateDer(certificate.certificatePem);
+        } catch (error) {
+          // Reported below as a mismatch
+        }
+
+        if (fingerprint !== certificate.fingerprint || !stored || !stored.equals(der) ||
+            certificate.serialNumber !== entry.serialNumber) {
+          problems.push({
+            type: 'modified_certificate',
+            leafIndex,
+            certificateId: certificate.id,
+            message: `Certificate ${certificate.serialNumber} differs from its logged copy`
+          });
+        }
+      }
+    }
+
+    // Issued certificates the log never saw
+    const unlogged = await Certificate.findAll({
+      attributes: ['id', 'serialNumber', 'commonName', 'metadata'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    for (const certificate of unlogged) {
+      // Imported certificates were not issued by this CA
+      if ((certificate.metadata || {}).imported) continue;
+
+      if (!loggedCertificates.has(certificate.id)) {
+        problems.push({
+          type: 'unlogged_certificate',
+          certificateId: certificate.id,
+          message: `Certificate ${certificate.serialNumber} (${certificate.commonName}) is not in the log`
+        });
+      }
+    }
+
+    // Every published tree head must still match the log and its signature
+    const treeHeads = await TransparencyTreeHead.findAll({ order: [['treeSize', 'ASC']] });
+
+    for (const treeHead of treeHeads) {
+      if (treeHead.treeSize > hashes.length) {
+        problems.push({ type: 'tree_head', treeSize: treeHead.treeSize, message: 'Tree head is larger than the log' });
+        continue;
+      }
+
+      if (merkle.rootHash(hashes.slice(0, treeHead.treeSize)).toString('hex') !== treeHead.rootHash) {
+        problems.push({ type: 'tree_head', treeSize: treeHead.treeSize, message: 'Log no longer matches this signed tree head' });
+      }
+
+      if (!await this.verifyTreeHead(treeHead)) {
+        problems.push({ type: 'tree_head_signature', treeSize: treeHead.treeSize, message: 'Tree head signature is invalid' });
+      }
+    }
+
+    return {
+      ok: problems.length === 0,
+      treeSize: hashes.length,
+      rootHash: merkle.rootHash(hashes).toString('hex'),
+      treeHeadsChecked: treeHeads.length,
+      problems
+    };
+  }
+}
+
+module.exports = new TransparencyService();
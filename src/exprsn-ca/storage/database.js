@@ -24,7 +24,8 @@ class DatabaseStorage {
   }
 
   async savePrivateKey(id, data) {
-    // Private keys are stored encrypted in Certificate model
+    // Private keys are stored in the Certificate model
+    await db.Certificate.update({ privateKeyEncrypted: data }, { where: { id } });
     return id;
   }
 
@@ -33,12 +34,12 @@ class DatabaseStorage {
     return cert ? cert.privateKeyEncrypted : null;
   }
 
-  async saveCRL(data) {
+  async saveCRL(data, name = 'ca') {
     // CRL is generated from RevocationList entries
     return 'database';
   }
 
-  async getCRL() {
+  async getCRL(name = 'ca') {
     // Generate CRL from RevocationList entries
     return Buffer.from('');
   }
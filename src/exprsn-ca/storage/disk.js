@@ -48,14 +48,14 @@ class DiskStorage {
     return await fs.readFile(filePath, 'utf8');
   }
 
-  async saveCRL(data) {
-    const filePath = path.join(this.crlPath, 'ca.crl');
+  async saveCRL(data, name = 'ca') {
+    const filePath = path.join(this.crlPath, `${name}.crl`);
     await fs.writeFile(filePath, data);
     return filePath;
   }
 
-  async getCRL() {
-    const filePath = path.join(this.crlPath, 'ca.crl');
+  async getCRL(name = 'ca') {
+    const filePath = path.join(this.crlPath, `${name}.crl`);
     return await fs.readFile(filePath);
   }
 
@@ -68,8 +68,8 @@ class S3Storage {
     return result.Body.toString('utf8');
   }
 
-  async saveCRL(data) {
-    const key = `${this.prefix}crl/ca.crl`;
+  async saveCRL(data, name = 'ca') {
+    const key = `${this.prefix}crl/${name}.crl`;
     await this.s3.putObject({
       Bucket: this.bucket,
       Key: key,
@@ -79,8 +79,8 @@ class S3Storage {
     return key;
   }
 
-  async getCRL() {
-    const key = `${this.prefix}crl/ca.crl`;
+  async getCRL(name = 'ca') {
+    const key = `${this.prefix}crl/${name}.crl`;
     const result = await this.s3.getObject({
       Bucket: this.bucket,
       Key: key
@@ -0,0 +1,349 @@
+/**
+ * ACME Tests
+ * JWS request authentication, replay nonces, orders and challenge validation (RFC 8555)
+ */
+
+jest.mock('../models', () => ({
+  Certificate: {},
+  AcmeAccount: {
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn()
+  },
+  AcmeOrder: {
+    findByPk: jest.fn(),
+    create: jest.fn()
+  },
+  AcmeAuthorization: {
+    create: jest.fn()
+  },
+  AcmeChallenge: {
+    create: jest.fn()
+  }
+}));
+
+jest.mock('../services/certificate', () => ({}));
+
+jest.mock('../utils/redis', () => ({
+  isEnabled: false,
+  isConnected: false,
+  set: jest.fn(),
+  client: { del: jest.fn() }
+}));
+
+const nodeCrypto = require('crypto');
+const { AcmeAccount, AcmeOrder, AcmeAuthorization, AcmeChallenge } = require('../models');
+const redisClient = require('../utils/redis');
+const jws = require('../crypto/jws');
+const acmeService = require('../services/acme');
+
+const rsaKey = nodeCrypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ecKey = nodeCrypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const jwkOf = key => key.publicKey.export({ format: 'jwk' });
+
+/**
+ * Produce a flattened JWS the way an ACME client does
+ */
+function sign(header, payload, key = rsaKey) {
+  const alg = header.alg || (key === ecKey ? 'ES256' : 'RS256');
+  const encode = value => Buffer.from(value).toString('base64url');
+  const protectedHeader = encode(JSON.stringify({ alg, ...header }));
+  const encodedPayload = payload === null ? '' : encode(JSON.stringify(payload));
+
+  const signature = nodeCrypto.sign(jws.ALGORITHMS[alg].hash, Buffer.from(`${protectedHeader}.${encodedPayload}`), {
+    key: key.privateKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  return { protected: protectedHeader, payload: encodedPayload, signature: signature.toString('base64url') };
+}
+
+describe('ACME', () => {
+  beforeEach(() => {
+    acmeService.nonces.clear();
+    redisClient.isEnabled = false;
+    redisClient.isConnected = false;
+  });
+
+  describe('JWS', () => {
+    it('should compute the RFC 7638 thumbprint', () => {
+      // RFC 7638 Section 3.1 example key
+      const jwk = {
+        kty: 'RSA',
+        n: '0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tSoc_BJECPebWKRXjBZCiFV4n3oknjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65YGjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZHzu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdkt-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8awapJzKnqDKgw',
+        e: 'AQAB',
+        alg: 'RS256',
+        kid: '2011-04-29'
+      };
+
+      expect(jws.thumbprint(jwk)).toBe('NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs');
+    });
+
+    it('should verify RS256 and ES256 signatures', () => {
+      expect(jws.verify(sign({ nonce: 'n' }, { a: 1 }), jwkOf(rsaKey))).toBe(true);
+      expect(jws.verify(sign({ nonce: 'n' }, { a: 1 }, ecKey), jwkOf(ecKey))).toBe(true);
+    });
+
+    it('should reject a tampered payload', () => {
+      const body = sign({ nonce: 'n' }, { a: 1 });
+      body.payload = Buffer.from(JSON.stringify({ a: 2 })).toString('base64url');
+
+      expect(jws.verify(body, jwkOf(rsaKey))).toBe(false);
+    });
+
+    it('should reject an algorithm that does not fit the key', () => {
+      expect(() => jws.verify(sign({ nonce: 'n' }, {}), jwkOf(ecKey))).toThrow('does not match key type');
+    });
+
+    it('should decode POST-as-GET requests with a null payload', () => {
+      expect(jws.decode(sign({ nonce: 'n' }, null)).payload).toBeNull();
+    });
+  });
+
+  describe('nonces', () => {
+    it('should accept each nonce exactly once', async () => {
+      const nonce = await acmeService.createNonce();
+
+      expect(await acmeService.consumeNonce(nonce)).toBe(true);
+      expect(await acmeService.consumeNonce(nonce)).toBe(false);
+    });
+
+    it('should reject unknown and expired nonces', async () => {
+      const nonce = await acmeService.createNonce();
+      acmeService.nonces.set(nonce, Date.now() - 1);
+
+      expect(await acmeService.consumeNonce(nonce)).toBe(false);
+      expect(await acmeService.consumeNonce('never-issued')).toBe(false);
+      expect(await acmeService.consumeNonce('')).toBe(false);
+    });
+
+    it('should consume Redis nonces with a single DEL', async () => {
+      const keys = new Set();
+      redisClient.isEnabled = true;
+      redisClient.isConnected = true;
+      redisClient.set.mockImplementation(async key => keys.add(key));
+      redisClient.client.del.mockImplementation(async key => (keys.delete(key) ? 1 : 0));
+
+      const nonce = await acmeService.createNonce();
+
+      expect(redisClient.set).toHaveBeenCalledWith(`acme:nonce:${nonce}`, 1, expect.any(Number));
+      expect(await acmeService.consumeNonce(nonce)).toBe(true);
+      expect(await acmeService.consumeNonce(nonce)).toBe(false);
+      expect(acmeService.nonces.size).toBe(0);
+    });
+  });
+
+  describe('verifyRequest', () => {
+    const newAccountUrl = acmeService.url('/new-account');
+    const newOrderUrl = acmeService.url('/new-order');
+    const account = {
+      id: 'acct-1',
+      jwk: jwkOf(ecKey),
+      isValid: () => true
+    };
+
+    beforeEach(() => {
+      AcmeAccount.findByPk.mockImplementation(async id => (id === account.id ? account : null));
+    });
+
+    it('should accept an embedded key for newAccount', async () => {
+      const nonce = await acmeService.createNonce();
+      const body = sign({ nonce, url: newAccountUrl, jwk: jwkOf(rsaKey) }, { termsOfServiceAgreed: true });
+
+      const result = await acmeService.verifyRequest(body, newAccountUrl, { allowJwk: true, requireJwk: true });
+
+      expect(result.account).toBeNull();
+      expect(result.jwk).toEqual(jwkOf(rsaKey));
+      expect(result.payload).toEqual({ termsOfServiceAgreed: true });
+    });
+
+    it('should look up the account named by kid', async () => {
+      const nonce = await acmeService.createNonce();
+      const body = sign({ nonce, url: newOrderUrl, kid: acmeService.url('/account/acct-1') }, { identifiers: [] }, ecKey);
+
+      const result = await acmeService.verifyRequest(body, newOrderUrl);
+
+      expect(AcmeAccount.findByPk).toHaveBeenCalledWith('acct-1');
+      expect(result.account).toBe(account);
+    });
+
+    it('should reject a replayed nonce', async () => {
+      const nonce = await acmeService.createNonce();
+      const body = sign({ nonce, url: newOrderUrl, kid: acmeService.url('/account/acct-1') }, {}, ecKey);
+
+      await acmeService.verifyRequest(body, newOrderUrl);
+
+      await expect(acmeService.verifyRequest(body, newOrderUrl)).rejects.toMatchObject({ acmeType: 'badNonce' });
+    });
+
+    it('should reject a url header for another resource', async () => {
+      const nonce = await acmeService.createNonce();
+      const body = sign({ nonce, url: newAccountUrl, kid: acmeService.url('/account/acct-1') }, {}, ecKey);
+
+      await expect(acmeService.verifyRequest(body, newOrderUrl)).rejects.toMatchObject({
+        acmeType: 'unauthorized',
+        status: 401
+      });
+    });
+
+    it('should require exactly one of jwk and kid', async () => {
+      const nonce = await acmeService.createNonce();
+      const body = sign({ nonce, url: newOrderUrl, jwk: jwkOf(ecKey), kid: acmeService.url('/account/acct-1') }, {}, ecKey);
+
+      await expect(acmeService.verifyRequest(body, newOrderUrl)).rejects.toMatchObject({ acmeType: 'malformed' });
+    });
+
+    it('should reject an embedded key outside newAccount and revokeCert', async () => {
+      const nonce = await acmeService.createNonce();
+      const body = sign({ nonce, url: newOrderUrl, jwk: jwkOf(ecKey) }, {}, ecKey);
+
+      await expect(acmeService.verifyRequest(body, newOrderUrl)).rejects.toThrow('requires a "kid" header');
+    });
+
+    it('should reject a request signed by a key other than the account key', async () => {
+      const nonce = await acmeService.createNonce();
+      const other = nodeCrypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const body = sign({ alg: 'ES256', nonce, url: newOrderUrl, kid: acmeService.url('/account/acct-1') }, {}, other);
+
+      await expect(acmeService.verifyRequest(body, newOrderUrl)).rejects.toThrow('JWS signature is invalid');
+    });
+
+    it('should reject unknown accounts', async () => {
+      const nonce = await acmeService.createNonce();
+      const body = sign({ nonce, url: newOrderUrl, kid: acmeService.url('/account/acct-9') }, {}, ecKey);
+
+      await expect(acmeService.verifyRequest(body, newOrderUrl)).rejects.toMatchObject({
+        acmeType: 'accountDoesNotExist'
+      });
+    });
+  });
+
+  describe('orders', () => {
+    const account = { id: 'acct-1', jwk: jwkOf(ecKey) };
+
+    beforeEach(() => {
+      let sequence = 0;
+      AcmeOrder.create.mockImplementation(async values => ({ id: 'order-1', ...values }));
+      AcmeAuthorization.create.mockImplementation(async values => ({ id: `authz-${++sequence}`, ...values }));
+      AcmeChallenge.create.mockResolvedValue({});
+    });
+
+    it('should create one authorization per distinct identifier', async () => {
+      const { order, authorizations } = await acmeService.newOrder(account, {
+        identifiers: [
+          { type: 'dns', value: 'WWW.Example.com' },
+          { type: 'dns', value: 'www.example.com' },
+          { type: 'dns', value: 'api.example.com' }
+        ]
+      });
+
+      expect(order.identifiers).toEqual([
+        { type: 'dns', value: 'www.example.com' },
+        { type: 'dns', value: 'api.example.com' }
+      ]);
+      expect(authorizations).toHaveLength(2);
+      expect(AcmeChallenge.create.mock.calls.map(call => call[0])).toEqual([
+        { authorizationId: 'authz-1', type: 'http-01' },
+        { authorizationId: 'authz-1', type: 'dns-01' },
+        { authorizationId: 'authz-2', type: 'http-01' },
+        { authorizationId: 'authz-2', type: 'dns-01' }
+      ]);
+    });
+
+    it('should only offer dns-01 for wildcard names', async () => {
+      const { authorizations } = await acmeService.newOrder(account, {
+        identifiers: [{ type: 'dns', value: '*.example.com' }]
+      });
+
+      expect(authorizations[0]).toMatchObject({ identifierValue: 'example.com', wildcard: true });
+      expect(AcmeChallenge.create).toHaveBeenCalledTimes(1);
+      expect(AcmeChallenge.create).toHaveBeenCalledWith({ authorizationId: 'authz-1', type: 'dns-01' });
+    });
+
+    it('should reject identifiers that are not DNS names', async () => {
+      await expect(acmeService.newOrder(account, { identifiers: [{ type: 'ip', value: '10.0.0.1' }] }))
+        .rejects.toMatchObject({ acmeType: 'unsupportedIdentifier' });
+      await expect(acmeService.newOrder(account, { identifiers: [{ type: 'dns', value: '10.0.0.1' }] }))
+        .rejects.toMatchObject({ acmeType: 'rejectedIdentifier' });
+      await expect(acmeService.newOrder(account, { identifiers: [] }))
+        .rejects.toMatchObject({ acmeType: 'malformed' });
+    });
+
+    it('should move an order to ready once every authorization is valid', async () => {
+      const order = {
+        status: 'pending',
+        authorizations: [{ status: 'valid' }, { status: 'valid' }],
+        save: jest.fn().mockResolvedValue(undefined)
+      };
+      AcmeOrder.findByPk.mockResolvedValue(order);
+
+      await acmeService.refreshOrderStatus('order-1');
+
+      expect(order.status).toBe('ready');
+      expect(order.save).toHaveBeenCalled();
+    });
+
+    it('should invalidate an order when an authorization fails', async () => {
+      const order = {
+        status: 'pending',
+        authorizations: [{ status: 'valid' }, { status: 'invalid' }],
+        save: jest.fn().mockResolvedValue(undefined)
+      };
+      AcmeOrder.findByPk.mockResolvedValue(order);
+
+      await acmeService.refreshOrderStatus('order-1');
+
+      expect(order.status).toBe('invalid');
+      expect(order.error.type).toBe(`${acmeService.ERROR_NAMESPACE}unauthorized`);
+    });
+
+    it('should leave an order pending while authorizations are outstanding', async () => {
+      const order = {
+        status: 'pending',
+        authorizations: [{ status: 'valid' }, { status: 'pending' }],
+        save: jest.fn()
+      };
+      AcmeOrder.findByPk.mockResolvedValue(order);
+
+      await acmeService.refreshOrderStatus('order-1');
+
+      expect(order.status).toBe('pending');
+      expect(order.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dns-01 validation', () => {
+    const keyAuthorization = acmeService.keyAuthorization('token-1', jwkOf(ecKey));
+    const digest = nodeCrypto.createHash('sha256').update(keyAuthorization).digest('base64url');
+
+    afterEach(() => {
+      acmeService.dnsResolver = null;
+    });
+
+    it('should bind the key authorization to the account key thumbprint', () => {
+      expect(keyAuthorization).toBe(`token-1.${jws.thumbprint(jwkOf(ecKey))}`);
+    });
+
+    it('should accept a matching TXT record split into character-strings', async () => {
+      const resolveTxt = jest.fn().mockResolvedValue([['unrelated'], [digest.slice(0, 10), digest.slice(10)]]);
+      acmeService.setDnsResolver({ resolveTxt });
+
+      await expect(acmeService.validateDns01('example.com', keyAuthorization)).resolves.toBeUndefined();
+      expect(resolveTxt).toHaveBeenCalledWith('_acme-challenge.example.com');
+    });
+
+    it('should reject when no TXT record matches', async () => {
+      acmeService.setDnsResolver({ resolveTxt: jest.fn().mockResolvedValue([['nope']]) });
+
+      await expect(acmeService.validateDns01('example.com', keyAuthorization))
+        .rejects.toMatchObject({ acmeType: 'incorrectResponse' });
+    });
+
+    it('should report lookup failures as dns errors', async () => {
+      acmeService.setDnsResolver({ resolveTxt: jest.fn().mockRejectedValue(new Error('ENOTFOUND')) });
+
+      await expect(acmeService.validateDns01('example.com', keyAuthorization))
+        .rejects.toMatchObject({ acmeType: 'dns' });
+    });
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * Certificate Bundle Tests
+ * PEM, PKCS#7, PKCS#12 and JKS encodings, export and import
+ */
+
+jest.mock('../models', () => ({
+  Certificate: {
+    findByPk: jest.fn(),
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn()
+  },
+  AuditLog: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../storage', () => ({
+  getStorage: jest.fn()
+}));
+
+jest.mock('../services/certificate', () => ({
+  getCertificateChain: jest.fn()
+}));
+
+jest.mock('../services/certificateProfile', () => ({
+  getUserAccess: jest.fn()
+}));
+
+const tls = require('tls');
+const nodeCrypto = require('crypto');
+const forge = require('node-forge');
+const { Certificate, AuditLog } = require('../models');
+const { getStorage } = require('../storage');
+const certificateService = require('../services/certificate');
+const certificateProfileService = require('../services/certificateProfile');
+const bundleService = require('../services/certificateBundle');
+const bundle = require('../crypto/bundle');
+const cryptoLib = require('../crypto');
+const { createRootCA, issueCertificate, fromDer } = require('./helpers/pki');
+
+const fingerprint = pem => new nodeCrypto.X509Certificate(pem).fingerprint256;
+
+describe('Certificate Bundles', () => {
+  let root;
+  let leaf;
+
+  beforeAll(async () => {
+    root = await createRootCA();
+    leaf = await issueCertificate(root, {
+      commonName: 'app.exprsn.test',
+      subjectAltNames: ['app.exprsn.test', 'IP:10.0.0.5']
+    });
+  });
+
+  describe('PEM', () => {
+    it('should split certificates from the private key', () => {
+      const { certificates, privateKey } = bundle.parsePemBundle(`${leaf.privateKey}\n${leaf.certificate}\n${root.certificate}`);
+
+      expect(certificates.map(fingerprint)).toEqual([fingerprint(leaf.certificate), fingerprint(root.certificate)]);
+      expect(cryptoLib.keyMatchesCertificate(privateKey, leaf.certificate)).toBe(true);
+    });
+
+    it('should describe a certificate for the inventory', () => {
+      const details = bundle.describeCertificate(leaf.certificate);
+
+      expect(details).toMatchObject({
+        serialNumber: leaf.serialNumber.toLowerCase(),
+        subject: { CN: 'app.exprsn.test' },
+        subjectAltNames: ['app.exprsn.test', 'IP:10.0.0.5'],
+        isCA: false,
+        keyType: 'rsa',
+        keySize: 2048,
+        algorithm: 'RSA-SHA256'
+      });
+      expect(details.fingerprint).toBe(nodeCrypto.createHash('sha256').update(bundle.certificateToDer(leaf.certificate)).digest('hex'));
+    });
+  });
+
+  describe('PKCS#7', () => {
+    it('should encode a certificate chain forge can read', () => {
+      const der = bundle.toPkcs7([leaf.certificate, root.certificate]);
+      const message = forge.pkcs7.messageFromAsn1(fromDer(der));
+
+      expect(message.type).toBe(forge.pki.oids.signedData);
+      expect(message.certificates.map(cert => cert.subject.getField('CN').value))
+        .toEqual(['app.exprsn.test', 'Exprsn Test Root CA']);
+    });
+
+    it('should round-trip the chain byte for byte', () => {
+      const certificates = bundle.fromPkcs7(bundle.toPkcs7([leaf.certificate, root.certificate]));
+
+      expect(certificates.map(fingerprint)).toEqual([fingerprint(leaf.certificate), fingerprint(root.certificate)]);
+    });
+
+    it('should reject other content types', () => {
+      expect(() => bundle.fromPkcs7(bundle.certificateToDer(leaf.certificate))).toThrow();
+    });
+  });
+
+  describe('PKCS#12', () => {
+    it.each(['3des', 'aes256'])('should produce a %s key store OpenSSL accepts', algorithm => {
+      const pfx = bundle.toPkcs12({
+        privateKeyPem: leaf.privateKey,
+        certificatePems: [leaf.certificate, root.certificate],
+        password: 'correct horse',
+        algorithm
+      });
+
+      expect(() => tls.createSecureContext({ pfx, passphrase: 'correct horse' })).not.toThrow();
+      expect(() => tls.createSecureContext({ pfx, passphrase: 'wrong' })).toThrow();
+    });
+
+    it('should round-trip the key and chain', () => {
+      const pfx = bundle.toPkcs12({
+        privateKeyPem: leaf.privateKey,
+        certificatePems: [leaf.certificate, root.certificate],
+        password: 'secret',
+        friendlyName: 'app'
+      });
+      const { certificates, privateKey } = bundle.fromPkcs12(pfx, 'secret');
+
+      expect(certificates.map(fingerprint)).toEqual([fingerprint(leaf.certificate), fingerprint(root.certificate)]);
+      expect(cryptoLib.keyMatchesCertificate(privateKey, leaf.certificate)).toBe(true);
+    });
+
+    it('should hold certificates only when no key is given', () => {
+      const pfx = bundle.toPkcs12({ certificatePems: [root.certificate], password: 'secret' });
+
+      expect(bundle.fromPkcs12(pfx, 'secret')).toEqual({
+        certificates: [expect.any(String)],
+        privateKey: null
+      });
+    });
+
+    it('should refuse the wrong password', () => {
+      const pfx = bundle.toPkcs12({ privateKeyPem: leaf.privateKey, certificatePems: [leaf.certificate], password: 'secret' });
+
+      expect(() => bundle.fromPkcs12(pfx, 'guess')).toThrow();
+    });
+  });
+
+  describe('JKS', () => {
+    const jksIntegrity = (body, password) => nodeCrypto.createHash('sha1')
+      .update(Buffer.from(password, 'utf16le').swap16())
+      .update('Mighty Aphrodite')
+      .update(body)
+      .digest();
+
+    it('should write a version 2 store with a key entry', () => {
+      const store = bundle.toJks({
+        privateKeyPem: leaf.privateKey,
+        certificatePems: [leaf.certificate, root.certificate],
+        password: 'changeit',
+        alias: 'App'
+      });
+      const body = store.subarray(0, store.length - 20);
+
+      expect(store.readUInt32BE(0)).toBe(0xfeedfeed);
+      expect(store.readUInt32BE(4)).toBe(2);
+      expect(store.readUInt32BE(8)).toBe(1);
+      expect(store.readUInt32BE(12)).toBe(1); // PrivateKeyEntry
+      expect(store.subarray(16, 21)).toEqual(Buffer.from([0, 3, ...Buffer.from('app')]));
+      expect(store.subarray(store.length - 20)).toEqual(jksIntegrity(body, 'changeit'));
+    });
+
+    it('should round-trip the key and chain', () => {
+      const store = bundle.toJks({
+        privateKeyPem: leaf.privateKey,
+        certificatePems: [leaf.certificate, root.certificate],
+        password: 'changeit',
+        alias: 'app'
+      });
+      const { certificates, privateKey } = bundle.fromJks(store, 'changeit');
+
+      expect(certificates.map(fingerprint)).toEqual([fingerprint(leaf.certificate), fingerprint(root.certificate)]);
+      expect(cryptoLib.keyMatchesCertificate(privateKey, leaf.certificate)).toBe(true);
+    });
+
+    it('should store trusted certificates without a key', () => {
+      const store = bundle.toJks({ certificatePems: [leaf.certificate, root.certificate], password: 'changeit', alias: 'app' });
+
+      expect(store.readUInt32BE(8)).toBe(2);
+      expect(store.readUInt32BE(12)).toBe(2); // TrustedCertEntry
+      expect(bundle.fromJks(store, 'changeit')).toEqual({
+        certificates: [expect.any(String), expect.any(String)],
+        privateKey: null
+      });
+    });
+
+    it('should refuse a wrong password or a corrupted store', () => {
+      const store = bundle.toJks({ privateKeyPem: leaf.privateKey, certificatePems: [leaf.certificate], password: 'changeit', alias: 'app' });
+      const corrupted = Buffer.from(store);
+      corrupted[40] ^= 0xff;
+
+      expect(() => bundle.fromJks(store, 'guess')).toThrow('Key store password is incorrect');
+      expect(() => bundle.fromJks(corrupted, 'changeit')).toThrow('Key store password is incorrect or the key store is corrupt');
+      expect(() => bundle.fromJks(Buffer.alloc(40), 'changeit')).toThrow('Not a JKS key store');
+    });
+  });
+
+  describe('CertificateBundleService', () => {
+    let storage;
+    let certificate;
+
+    beforeEach(() => {
+      storage = {
+        getPrivateKey: jest.fn().mockResolvedValue(leaf.privateKey),
+        saveCertificate: jest.fn().mockResolvedValue(undefined),
+        savePrivateKey: jest.fn().mockResolvedValue(undefined)
+      };
+      getStorage.mockReturnValue(storage);
+
+      certificate = {
+        id: 'cert-1',
+        type: 'client',
+        userId: 'owner-1',
+        commonName: 'app.exprsn.test',
+        serialNumber: leaf.serialNumber,
+        certificatePem: leaf.certificate
+      };
+
+      Certificate.findByPk.mockImplementation(async id => (id === certificate.id ? certificate : null));
+      Certificate.findAll.mockResolvedValue([{ id: 'root-1', certificatePem: root.certificate }]);
+      Certificate.findOne.mockResolvedValue(null);
+      Certificate.create.mockImplementation(async values => ({ id: 'cert-2', ...values, save: jest.fn() }));
+      certificateService.getCertificateChain.mockResolvedValue([
+        { pem: leaf.certificate },
+        { pem: root.certificate }
+      ]);
+      certificateProfileService.getUserAccess.mockResolvedValue({ roles: new Set(), groups: new Set(), admin: false });
+      AuditLog.log.mockResolvedValue(undefined);
+    });
+
+    describe('exportCertificate', () => {
+      it('should export a PKCS#12 store with key and chain for the owner', async () => {
+        const result = await bundleService.exportCertificate('cert-1', { format: 'p12', password: 'secret' }, 'owner-1');
+        const { certificates, privateKey } = bundle.fromPkcs12(result.data, 'secret');
+
+        expect(result).toMatchObject({ contentType: 'application/x-pkcs12', filename: 'app.exprsn.test.p12' });
+        expect(certificates).toHaveLength(2);
+        expect(cryptoLib.keyMatchesCertificate(privateKey, leaf.certificate)).toBe(true);
+        expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({
+          action: 'certificate.export',
+          details: expect.objectContaining({ format: 'p12', includeChain: true })
+        }));
+      });
+
+      it('should export certificates without a key or audit entry', async () => {
+        const result = await bundleService.exportCertificate('cert-1', { format: 'p7b', includeChain: false });
+
+        expect(bundle.fromPkcs7(result.data).map(fingerprint)).toEqual([fingerprint(leaf.certificate)]);
+        expect(storage.getPrivateKey).not.toHaveBeenCalled();
+        expect(AuditLog.log).not.toHaveBeenCalled();
+      });
+
+      it('should keep private keys from other users and anonymous callers', async () => {
+        await expect(bundleService.exportCertificate('cert-1', { format: 'jks', password: 'changeit' }, 'user-2'))
+          .rejects.toMatchObject({ code: 'FORBIDDEN', status: 403 });
+        await expect(bundleService.exportCertificate('cert-1', { format: 'jks', password: 'changeit' }))
+          .rejects.toMatchObject({ code: 'UNAUTHORIZED', status: 401 });
+      });
+
+      it('should never export CA keys', async () => {
+        certificate.type = 'intermediate';
+
+        await expect(bundleService.exportCertificate('cert-1', { format: 'pfx', password: 'x' }, 'owner-1'))
+          .rejects.toMatchObject({ code: 'KEY_EXPORT_FORBIDDEN' });
+      });
+
+      it('should require the key password for encrypted keys', async () => {
+        storage.getPrivateKey.mockResolvedValue(cryptoLib.encryptPrivateKey(leaf.privateKey, 'key-pass'));
+
+        await expect(bundleService.exportCertificate('cert-1', { format: 'p12', password: 'x' }, 'owner-1'))
+          .rejects.toMatchObject({ code: 'KEY_PASSWORD_REQUIRED' });
+        await expect(bundleService.exportCertificate('cert-1', { format: 'p12', password: 'x', keyPassword: 'nope' }, 'owner-1'))
+          .rejects.toMatchObject({ code: 'INVALID_KEY_PASSWORD' });
+
+        const result = await bundleService.exportCertificate('cert-1', { format: 'jks', password: 'x', keyPassword: 'key-pass' }, 'owner-1');
+        expect(cryptoLib.keyMatchesCertificate(bundle.fromJks(result.data, 'x').privateKey, leaf.certificate)).toBe(true);
+      });
+
+      it('should reject unknown formats', async () => {
+        await expect(bundleService.exportCertificate('cert-1', { format: 'zip' })).rejects.toMatchObject({ code: 'INVALID_FORMAT' });
+      });
+    });
+
+    describe('importCertificate', () => {
+      const jksImport = () => ({
+        format: 'jks',
+        password: 'changeit',
+        data: bundle.toJks({
+          privateKeyPem: leaf.privateKey,
+          certificatePems: [leaf.certificate, root.certificate],
+          password: 'changeit',
+          alias: 'app'
+        }).toString('base64')
+      });
+
+      beforeEach(() => {
+        certificateProfileService.getUserAccess.mockResolvedValue({ roles: new Set(['admin']), groups: new Set(), admin: true });
+      });
+
+      it('should import a key store and link it to its issuer', async () => {
+        const result = await bundleService.importCertificate(jksImport(), 'admin-1');
+
+        expect(result).toMatchObject({ hasPrivateKey: true, chainLength: 2 });
+        expect(Certificate.create).toHaveBeenCalledWith(expect.objectContaining({
+          type: 'client',
+          issuerId: 'root-1',
+          commonName: 'app.exprsn.test',
+          fingerprint: bundle.describeCertificate(leaf.certificate).fingerprint
+        }));
+        expect(storage.saveCertificate).toHaveBeenCalledWith('cert-2', expect.stringContaining('BEGIN CERTIFICATE'));
+        expect(storage.savePrivateKey).toHaveBeenCalledWith('cert-2', expect.stringContaining('PRIVATE KEY'));
+      });
+
+      it('should pick the leaf from an unordered chain', async () => {
+        const data = `${root.certificate}\n${leaf.certificate}`;
+
+        const result = await bundleService.importCertificate({ format: 'pem', data }, 'admin-1');
+
+        expect(fingerprint(result.certificate.certificatePem)).toBe(fingerprint(leaf.certificate));
+        expect(result.hasPrivateKey).toBe(false);
+      });
+
+      it('should require admin access', async () => {
+        certificateProfileService.getUserAccess.mockResolvedValue({ roles: new Set(), groups: new Set(), admin: false });
+
+        await expect(bundleService.importCertificate(jksImport(), 'user-1')).rejects.toMatchObject({ code: 'FORBIDDEN' });
+      });
+
+      it('should reject CA certificates, duplicates, bad passwords and mismatched keys', async () => {
+        await expect(bundleService.importCertificate({ format: 'pem', data: root.certificate }, 'admin-1'))
+          .rejects.toMatchObject({ code: 'CA_IMPORT_UNSUPPORTED' });
+
+        await expect(bundleService.importCertificate({ ...jksImport(), password: 'guess' }, 'admin-1'))
+          .rejects.toMatchObject({ code: 'INVALID_BUNDLE' });
+
+        await expect(bundleService.importCertificate({ format: 'pem', data: `${root.privateKey}\n${leaf.certificate}` }, 'admin-1'))
+          .rejects.toMatchObject({ code: 'KEY_MISMATCH' });
+
+        Certificate.findOne.mockResolvedValue({ id: 'cert-1' });
+        await expect(bundleService.importCertificate(jksImport(), 'admin-1'))
+          .rejects.toMatchObject({ code: 'CERTIFICATE_EXISTS', status: 409 });
+      });
+    });
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * Certificate Profile Tests
+ * Issuance policy: key, validity, subject and extension rules, access and name constraints
+ */
+
+jest.mock('../models', () => ({
+  CertificateProfile: {
+    findOne: jest.fn()
+  },
+  Certificate: {
+    findByPk: jest.fn()
+  },
+  User: {
+    findByPk: jest.fn()
+  },
+  AuditLog: {
+    log: jest.fn()
+  }
+}));
+
+const { CertificateProfile, Certificate, User } = require('../models');
+const profileService = require('../services/certificateProfile');
+const config = require('../config');
+
+const { DEFAULT_PROFILES } = profileService;
+
+/**
+ * A built-in profile as the model would return it
+ */
+function profile(name, overrides = {}) {
+  const definition = { ...DEFAULT_PROFILES.find(p => p.name === name), status: 'active', ...overrides };
+  return { ...definition, isActive: () => definition.status === 'active' };
+}
+
+const compliantServerRequest = {
+  keyType: 'rsa',
+  keySize: 2048,
+  validityDays: 365,
+  commonName: 'www.example.com',
+  subjectAltNames: ['www.example.com', 'IP:10.0.0.1']
+};
+
+describe('Certificate Profiles', () => {
+  beforeEach(() => {
+    CertificateProfile.findOne.mockResolvedValue(null);
+    Certificate.findByPk.mockResolvedValue(null);
+    User.findByPk.mockResolvedValue(null);
+  });
+
+  describe('evaluate', () => {
+    it('should accept a compliant TLS server request', () => {
+      expect(profileService.evaluate(profile('tls-server'), compliantServerRequest)).toEqual([]);
+    });
+
+    it('should reject key types and sizes outside the profile', () => {
+      const server = profile('tls-server');
+
+      expect(profileService.evaluate(server, { ...compliantServerRequest, keySize: 1024 }))
+        .toEqual(['RSA key size 1024 is not allowed (allowed: 2048, 3072, 4096)']);
+      expect(profileService.evaluate(server, { ...compliantServerRequest, keyType: 'ed25519' }))
+        .toEqual(['Key type ed25519 is not allowed (allowed: rsa, ec)']);
+    });
+
+    it('should cap validity at the profile maximum', () => {
+      expect(profileService.evaluate(profile('tls-server'), { ...compliantServerRequest, validityDays: 399 }))
+        .toEqual(['Validity of 399 days exceeds the maximum of 398']);
+    });
+
+    it('should check every subject alternative name against the patterns', () => {
+      const violations = profileService.evaluate(profile('tls-server'), {
+        ...compliantServerRequest,
+        subjectAltNames: ['www.example.com', 'email:ops@example.com', 'bad_name']
+      });
+
+      expect(violations).toEqual([
+        'Subject alternative name "email:ops@example.com" is not allowed by this profile',
+        'Subject alternative name "bad_name" is not allowed by this profile'
+      ]);
+    });
+
+    it('should enforce the common name pattern', () => {
+      const server = profile('tls-server', { commonNamePattern: '\\.example\\.com$' });
+
+      expect(profileService.evaluate(server, { ...compliantServerRequest, commonName: 'www.other.org' }))
+        .toEqual(['Common name "www.other.org" is not allowed by this profile']);
+    });
+
+    it('should require and forbid extensions', () => {
+      expect(profileService.evaluate(profile('tls-server'), { ...compliantServerRequest, subjectAltNames: [] }))
+        .toEqual(['Required extension subjectAltName is missing']);
+      expect(profileService.evaluate(profile('code-signing'), {
+        keyType: 'rsa',
+        keySize: 3072,
+        validityDays: 365,
+        subjectAltNames: ['example.com']
+      })).toEqual(['Extension subjectAltName is forbidden by this profile']);
+    });
+
+    it('should count extensions requested in the CSR', () => {
+      expect(profileService.evaluate(profile('client-auth'), {
+        keyType: 'ec',
+        keySize: 256,
+        validityDays: 30,
+        requestedExtensions: ['nameConstraints']
+      })).toEqual(['Extension nameConstraints is forbidden by this profile']);
+    });
+  });
+
+  describe('authorize', () => {
+    const userWith = ({ roles = [], groups = [] }) => ({
+      roles: roles.map(slug => ({ slug })),
+      groups: groups.map(({ slug, roles: groupRoles = [] }) => ({
+        slug,
+        roleSets: [{ roles: groupRoles.map(role => ({ slug: role })) }]
+      }))
+    });
+
+    it('should allow anyone when the profile has no access list', async () => {
+      await expect(profileService.authorize(profile('tls-server'), 'user-1')).resolves.toBeUndefined();
+      expect(User.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('should allow users holding an allowed role directly or through a group', async () => {
+      User.findByPk.mockResolvedValue(userWith({ roles: ['code-signing'] }));
+      await expect(profileService.authorize(profile('code-signing'), 'user-1')).resolves.toBeUndefined();
+
+      User.findByPk.mockResolvedValue(userWith({ groups: [{ slug: 'release', roles: ['code-signing'] }] }));
+      await expect(profileService.authorize(profile('code-signing'), 'user-2')).resolves.toBeUndefined();
+    });
+
+    it('should allow members of an allowed group and admins', async () => {
+      User.findByPk.mockResolvedValue(userWith({ groups: [{ slug: 'release' }] }));
+      await expect(profileService.authorize(profile('code-signing', { allowedGroups: ['release'] }), 'user-1'))
+        .resolves.toBeUndefined();
+
+      User.findByPk.mockResolvedValue(userWith({ roles: ['admin'] }));
+      await expect(profileService.authorize(profile('code-signing'), 'user-2')).resolves.toBeUndefined();
+    });
+
+    it('should reject users outside the access list', async () => {
+      User.findByPk.mockResolvedValue(userWith({ roles: ['developer'] }));
+
+      await expect(profileService.authorize(profile('code-signing'), 'user-1')).rejects.toMatchObject({
+        code: 'PROFILE_FORBIDDEN',
+        status: 403
+      });
+    });
+
+    it('should trust system callers', async () => {
+      await expect(profileService.authorize(profile('code-signing'), null)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('resolve', () => {
+    it('should apply the default profile for the certificate type', async () => {
+      const server = profile('tls-server');
+      CertificateProfile.findOne.mockResolvedValue(server);
+
+      await expect(profileService.resolve({ type: 'server' })).resolves.toBe(server);
+      expect(CertificateProfile.findOne).toHaveBeenCalledWith({ where: { name: 'tls-server' } });
+    });
+
+    it('should reject unknown and disabled profiles', async () => {
+      await expect(profileService.resolve({ profile: 'missing' })).rejects.toMatchObject({ code: 'PROFILE_NOT_FOUND' });
+
+      CertificateProfile.findOne.mockResolvedValue(profile('smime', { status: 'disabled' }));
+      await expect(profileService.resolve({ profile: 'smime' })).rejects.toMatchObject({ code: 'PROFILE_DISABLED' });
+    });
+
+    it('should require a profile when configured to', async () => {
+      const { required } = config.ca.profiles;
+      config.ca.profiles.required = true;
+
+      try {
+        await expect(profileService.resolve({ type: 'email' })).rejects.toMatchObject({ code: 'PROFILE_REQUIRED' });
+        await expect(profileService.resolve({ type: 'ocsp_signing' })).resolves.toBeNull();
+      } finally {
+        config.ca.profiles.required = required;
+      }
+    });
+  });
+
+  describe('enforce', () => {
+    it('should return the profile key usage for issuance', async () => {
+      const result = await profileService.enforce(profile('smime'), {
+        keyType: 'rsa',
+        keySize: 2048,
+        validityDays: 365,
+        subjectAltNames: ['email:alice@example.com']
+      }, null);
+
+      expect(result).toMatchObject({
+        type: 'client',
+        keyUsage: ['digitalSignature', 'keyEncipherment'],
+        extendedKeyUsage: ['emailProtection']
+      });
+    });
+
+    it('should list every violation', async () => {
+      await expect(profileService.enforce(profile('tls-server'), {
+        ...compliantServerRequest,
+        keySize: 1024,
+        validityDays: 825
+      }, null)).rejects.toMatchObject({
+        code: 'PROFILE_VIOLATION',
+        details: [
+          'RSA key size 1024 is not allowed (allowed: 2048, 3072, 4096)',
+          'Validity of 825 days exceeds the maximum of 398'
+        ]
+      });
+    });
+  });
+
+  describe('check', () => {
+    it('should dry-run with issuance defaults', async () => {
+      CertificateProfile.findOne.mockResolvedValue(profile('tls-server'));
+
+      const result = await profileService.check('tls-server', { subjectAltNames: ['api.example.com'] }, null);
+
+      expect(result.allowed).toBe(true);
+      expect(result.violations).toEqual([]);
+    });
+
+    it('should report disabled profiles and missing access instead of throwing', async () => {
+      CertificateProfile.findOne.mockResolvedValue(profile('code-signing', { status: 'disabled' }));
+      User.findByPk.mockResolvedValue({ roles: [], groups: [] });
+
+      const result = await profileService.check('code-signing', {}, 'user-1');
+
+      expect(result.allowed).toBe(false);
+      expect(result.authorized).toBe(false);
+      expect(result.violations).toEqual([
+        'Certificate profile is disabled: code-signing',
+        'Not authorized to issue certificates with profile code-signing'
+      ]);
+    });
+  });
+
+  describe('name constraints', () => {
+    const root = { id: 'root-1', commonName: 'Root', issuerId: 'root-1', metadata: { nameConstraints: { excluded: ['internal.example.com'] } } };
+    const intermediate = {
+      id: 'int-1',
+      commonName: 'Issuing CA',
+      issuerId: 'root-1',
+      metadata: { nameConstraints: { permitted: ['example.com'] } }
+    };
+
+    beforeEach(() => {
+      Certificate.findByPk.mockImplementation(async id => (id === 'root-1' ? root : null));
+    });
+
+    it('should accept names inside every permitted subtree', async () => {
+      await expect(profileService.checkNameConstraints(intermediate, ['example.com', '*.api.example.com', 'IP:10.0.0.1']))
+        .resolves.toEqual([]);
+    });
+
+    it('should apply constraints from the whole issuing chain', async () => {
+      await expect(profileService.checkNameConstraints(intermediate, ['www.example.org', 'db.internal.example.com']))
+        .resolves.toEqual([
+          'www.example.org is outside the permitted names of Issuing CA',
+          'db.internal.example.com is excluded by Root'
+        ]);
+    });
+
+    it('should not treat a suffix match as a subtree', async () => {
+      await expect(profileService.checkNameConstraints(intermediate, ['badexample.com']))
+        .resolves.toEqual(['badexample.com is outside the permitted names of Issuing CA']);
+    });
+
+    it('should throw with the violations', async () => {
+      await expect(profileService.assertNameConstraints(intermediate, ['www.example.org'])).rejects.toMatchObject({
+        code: 'NAME_CONSTRAINT_VIOLATION',
+        details: ['www.example.org is outside the permitted names of Issuing CA']
+      });
+    });
+  });
+
+  describe('validateDefinition', () => {
+    it('should reject invalid patterns and misplaced name constraints', () => {
+      expect(() => profileService.validateDefinition({ sanPatterns: ['(unclosed'] })).toThrow('Invalid pattern');
+      expect(() => profileService.validateDefinition({ certificateType: 'server', nameConstraints: { permitted: ['example.com'] } }))
+        .toThrow('Name constraints only apply to intermediate profiles');
+    });
+  });
+});
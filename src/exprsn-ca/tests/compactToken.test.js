@@ -0,0 +1,370 @@
+/**
+ * Compact Token Tests
+ * PS256 token encoding, bloom filter revocations and offline verification
+ */
+
+jest.mock('../models', () => ({
+  Token: {
+    findAll: jest.fn()
+  },
+  Certificate: {
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    findAll: jest.fn()
+  }
+}));
+
+jest.mock('../services/token', () => ({
+  generateToken: jest.fn()
+}));
+
+jest.mock('../services/keyCeremony', () => ({
+  getSigningKey: jest.fn()
+}));
+
+jest.mock('axios', () => ({
+  get: jest.fn(),
+  post: jest.fn()
+}));
+
+const nodeCrypto = require('crypto');
+const axios = require('axios');
+const { Token, Certificate } = require('../models');
+const tokenService = require('../services/token');
+const keyCeremonyService = require('../services/keyCeremony');
+const compactTokenService = require('../services/compactToken');
+const config = require('../config');
+const compactToken = require('../../shared/utils/compactToken');
+const BloomFilter = require('../../shared/utils/bloomFilter');
+const { CATokenValidator } = require('../../shared/utils/caTokenValidator');
+const { createRootCA } = require('./helpers/pki');
+
+const segment = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('Compact Tokens', () => {
+  let ca;
+
+  beforeAll(async () => {
+    ca = await createRootCA();
+  });
+
+  describe('encoding', () => {
+    const payload = { jti: 'token-1', sub: 'user-1', prm: 3 };
+
+    it('should sign a PS256 JWS with the key ID in the header', () => {
+      const token = compactToken.sign(payload, ca.privateKey, ca.serialNumber);
+      const decoded = compactToken.decode(token);
+
+      expect(compactToken.isCompactToken(token)).toBe(true);
+      expect(decoded.header).toEqual({ alg: 'PS256', typ: 'exprsn-ca+jwt', kid: ca.serialNumber });
+      expect(decoded.payload).toEqual(payload);
+      // RFC 7518 Section 3.5: RSASSA-PSS, SHA-256, MGF1 with SHA-256, 32-byte salt
+      expect(nodeCrypto.verify('sha256', Buffer.from(decoded.signingInput), {
+        key: ca.certificate,
+        padding: nodeCrypto.constants.RSA_PKCS1_PSS_PADDING,
+        saltLength: 32
+      }, decoded.signature)).toBe(true);
+      expect(compactToken.verify(decoded, ca.certificate)).toBe(true);
+    });
+
+    it('should reject tampered claims and other keys', () => {
+      const token = compactToken.sign(payload, ca.privateKey, ca.serialNumber);
+      const [header, , signature] = token.split('.');
+      const forged = compactToken.decode(`${header}.${segment({ ...payload, prm: 31 })}.${signature}`);
+      const other = nodeCrypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).publicKey;
+
+      expect(compactToken.verify(forged, ca.certificate)).toBe(false);
+      expect(compactToken.verify(compactToken.decode(token), other)).toBe(false);
+    });
+
+    it('should bind the algorithm and token type', () => {
+      const token = compactToken.sign(payload, ca.privateKey, ca.serialNumber);
+      const [, body, signature] = token.split('.');
+      const unsigned = compactToken.decode(`${segment({ alg: 'none', typ: 'exprsn-ca+jwt', kid: ca.serialNumber })}.${body}.${signature}`);
+
+      expect(compactToken.verify(unsigned, ca.certificate)).toBe(false);
+      expect(compactToken.verify(compactToken.decode(token), ca.certificate, compactToken.REVOCATIONS_TYPE)).toBe(false);
+    });
+
+    it('should reject malformed tokens', () => {
+      expect(compactToken.isCompactToken('550e8400-e29b-41d4-a716-446655440000')).toBe(false);
+      expect(() => compactToken.decode('a.b')).toThrow('Not a compact token');
+      expect(() => compactToken.decode('bm90.anNvbg.c2ln')).toThrow('Compact token segments are not valid JSON');
+    });
+
+    it('should pack permissions into a bitmask', () => {
+      const permissions = { read: true, write: false, append: true, delete: false, update: true };
+
+      expect(compactToken.encodePermissions(permissions)).toBe(1 | 4 | 16);
+      expect(compactToken.decodePermissions(21)).toEqual(permissions);
+      expect(compactToken.encodePermissions()).toBe(0);
+    });
+  });
+
+  describe('BloomFilter', () => {
+    it('should size the filter for the target false positive rate', () => {
+      // m = -n ln p / (ln 2)^2, k = (m / n) ln 2
+      const filter = BloomFilter.forCapacity(1000, 0.001);
+
+      expect(filter.size).toBe(14378);
+      expect(filter.hashes).toBe(10);
+      expect(filter.bits.length).toBe(Math.ceil(14378 / 8));
+    });
+
+    it('should never report a false negative', () => {
+      const filter = BloomFilter.forCapacity(1000, 0.001);
+      const members = Array.from({ length: 1000 }, (_, i) => `token-${i}`);
+      members.forEach(member => filter.add(member));
+
+      expect(members.every(member => filter.has(member))).toBe(true);
+      expect(filter.count).toBe(1000);
+    });
+
+    it('should stay near the target false positive rate at capacity', () => {
+      const filter = BloomFilter.forCapacity(1000, 0.01);
+      for (let i = 0; i < 1000; i++) filter.add(`member-${i}`);
+
+      let falsePositives = 0;
+      for (let i = 0; i < 20000; i++) {
+        if (filter.has(`outsider-${i}`)) falsePositives++;
+      }
+
+      expect(falsePositives / 20000).toBeLessThan(0.02);
+    });
+
+    it('should round-trip through JSON', () => {
+      const filter = BloomFilter.forCapacity(10);
+      filter.add('revoked-1');
+
+      const restored = BloomFilter.fromJSON(JSON.parse(JSON.stringify(filter)));
+
+      expect(restored.has('revoked-1')).toBe(true);
+      expect(restored.has('revoked-2')).toBe(false);
+      expect(restored.count).toBe(1);
+    });
+
+    it('should reject filters whose bits do not match their size', () => {
+      const json = BloomFilter.forCapacity(10).toJSON();
+
+      expect(() => BloomFilter.fromJSON({ ...json, size: json.size + 64 })).toThrow('Invalid bloom filter');
+      expect(() => BloomFilter.fromJSON({ ...json, hashes: 0 })).toThrow('Invalid bloom filter');
+    });
+  });
+
+  describe('CompactTokenService', () => {
+    let signer;
+    let grant;
+
+    beforeEach(() => {
+      compactTokenService.current = null;
+
+      signer = {
+        id: 'root-1',
+        serialNumber: ca.serialNumber,
+        certificatePem: ca.certificate,
+        notAfter: new Date(Date.now() + 86400000),
+        isValid: () => true
+      };
+      grant = {
+        id: 'token-1',
+        permissions: { read: true, write: true, append: false, delete: false, update: false },
+        resource: { url: 'https://api.exprsn.test/*' },
+        data: { plan: 'pro' },
+        issuedAt: 1767225600000,
+        notBefore: 1767225600000,
+        expiresAt: 1767229200000
+      };
+
+      Certificate.findOne.mockImplementation(async ({ where }) =>
+        (where.type === 'root' || where.serialNumber === signer.serialNumber ? signer : null));
+      Certificate.findByPk.mockResolvedValue(null);
+      Certificate.findAll.mockResolvedValue([signer]);
+      Token.findAll.mockResolvedValue([]);
+      keyCeremonyService.getSigningKey.mockResolvedValue(ca.privateKey);
+      tokenService.generateToken.mockImplementation(async () => grant);
+    });
+
+    describe('issue', () => {
+      it('should encode the grant as signed claims', async () => {
+        const issued = await compactTokenService.issue({ expirySeconds: 3600 }, 'user-1');
+        const payload = await compactTokenService.verify(issued.token);
+
+        expect(issued).toMatchObject({ tokenId: 'token-1', expiresAt: grant.expiresAt });
+        expect(payload).toEqual({
+          ver: '2.0',
+          jti: 'token-1',
+          iss: config.ca.domain,
+          sub: 'user-1',
+          iat: 1767225600,
+          nbf: 1767225600,
+          exp: 1767229200,
+          prm: 3,
+          rt: 'url',
+          rv: 'https://api.exprsn.test/*',
+          dat: { plan: 'pro' }
+        });
+        expect(tokenService.generateToken).toHaveBeenCalledWith(
+          { expiryType: 'time', expirySeconds: 3600 },
+          'user-1'
+        );
+      });
+
+      it('should only issue short-lived time-based tokens', async () => {
+        await expect(compactTokenService.issue({ expiryType: 'use' }, 'user-1'))
+          .rejects.toMatchObject({ code: 'COMPACT_UNSUPPORTED' });
+        await expect(compactTokenService.issue({ expirySeconds: config.token.compact.maxExpirySeconds + 1 }, 'user-1'))
+          .rejects.toMatchObject({ code: 'EXPIRY_TOO_LONG' });
+        expect(tokenService.generateToken).not.toHaveBeenCalled();
+      });
+
+      it('should not record a grant when no signer is available', async () => {
+        signer.isValid = () => false;
+
+        await expect(compactTokenService.issue({}, 'user-1'))
+          .rejects.toMatchObject({ code: 'SIGNING_CERTIFICATE_UNAVAILABLE', status: 503 });
+        expect(tokenService.generateToken).not.toHaveBeenCalled();
+      });
+    });
+
+    it('should reject tokens from unknown signers', async () => {
+      const { token } = await compactTokenService.issue({}, 'user-1');
+      Certificate.findOne.mockResolvedValue(null);
+
+      await expect(compactTokenService.verify(token)).rejects.toMatchObject({ code: 'INVALID_SIGNATURE', status: 401 });
+    });
+
+    it('should sign a filter of revoked, unexpired tokens', async () => {
+      Token.findAll.mockResolvedValue([{ id: 'revoked-1' }, { id: 'revoked-2' }]);
+
+      const { document, count } = await compactTokenService.buildRevocationFilter();
+      const decoded = compactToken.decode(document);
+      const filter = BloomFilter.fromJSON(decoded.payload.filter);
+
+      expect(count).toBe(2);
+      expect(decoded.header.typ).toBe(compactToken.REVOCATIONS_TYPE);
+      expect(compactToken.verify(decoded, ca.certificate, compactToken.REVOCATIONS_TYPE)).toBe(true);
+      expect(filter.has('revoked-1') && filter.has('revoked-2')).toBe(true);
+      expect(filter.has('token-1')).toBe(false);
+      expect(decoded.payload.nextUpdate - decoded.payload.issuedAt)
+        .toBe(config.token.compact.revocationFilter.interval * 2 * 1000);
+    });
+
+    it('should push the filter to services', async () => {
+      compactTokenService.ipc = { emit: jest.fn().mockResolvedValue(undefined) };
+
+      try {
+        await compactTokenService.publishRevocationFilter();
+
+        expect(compactTokenService.ipc.emit).toHaveBeenCalledWith(
+          'token.revocations',
+          { document: compactTokenService.current.document },
+          { target: 'broadcast' }
+        );
+      } finally {
+        compactTokenService.ipc = null;
+      }
+    });
+  });
+
+  describe('offline verification', () => {
+    let validator;
+    let token;
+
+    const claims = overrides => ({
+      ver: '2.0',
+      jti: 'token-1',
+      sub: 'user-1',
+      iat: Math.floor(Date.now() / 1000),
+      exp: Math.floor(Date.now() / 1000) + 3600,
+      prm: compactToken.encodePermissions({ read: true }),
+      rt: 'url',
+      rv: 'https://api.exprsn.test/*',
+      ...overrides
+    });
+
+    const filterDocument = (revoked, issuedAt = Date.now()) => {
+      const filter = BloomFilter.forCapacity(1024);
+      revoked.forEach(id => filter.add(id));
+      return compactToken.sign({ issuedAt, nextUpdate: issuedAt + 120000, filter: filter.toJSON() },
+        ca.privateKey, ca.serialNumber, compactToken.REVOCATIONS_TYPE);
+    };
+
+    beforeEach(() => {
+      validator = new CATokenValidator({ caBaseUrl: 'http://ca.exprsn.test', cacheEnabled: false });
+      token = compactToken.sign(claims(), ca.privateKey, ca.serialNumber);
+
+      axios.get.mockImplementation(async url => {
+        if (url.endsWith('/api/tokens/keys')) {
+          return { data: { keys: [{ kid: ca.serialNumber, certificate: ca.certificate }] } };
+        }
+        return { data: { document: filterDocument([]) } };
+      });
+      axios.post.mockResolvedValue({ data: { valid: false, error: 'TOKEN_REVOKED', message: 'Token has been revoked' } });
+    });
+
+    it('should accept a valid token without calling the CA', async () => {
+      const result = await validator.validateToken(token, {
+        requiredPermissions: { read: true },
+        resource: 'https://api.exprsn.test/files'
+      });
+
+      expect(result).toMatchObject({ valid: true, offline: true, tokenId: 'token-1', userId: 'user-1' });
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('should enforce permissions and expiry offline', async () => {
+      await expect(validator.validateToken(token, { requiredPermissions: { write: true } }))
+        .resolves.toMatchObject({ valid: false, error: 'INSUFFICIENT_PERMISSIONS' });
+
+      const expired = compactToken.sign(claims({ exp: Math.floor(Date.now() / 1000) - 1 }), ca.privateKey, ca.serialNumber);
+      await expect(validator.validateToken(expired)).resolves.toMatchObject({ valid: false, error: 'TOKEN_EXPIRED' });
+    });
+
+    it('should validate online when the filter reports a revocation', async () => {
+      await validator.setRevocationFilter(filterDocument(['token-1']));
+
+      const result = await validator.validateToken(token);
+
+      expect(result).toMatchObject({ valid: false, error: 'TOKEN_REVOKED' });
+      expect(axios.post).toHaveBeenCalledWith(
+        'http://ca.exprsn.test/api/tokens/validate',
+        expect.objectContaining({ tokenId: 'token-1' }),
+        expect.any(Object)
+      );
+    });
+
+    it('should accept a filter built by the CA', async () => {
+      Token.findAll.mockResolvedValue([{ id: 'token-1' }]);
+      Certificate.findOne.mockResolvedValue({ serialNumber: ca.serialNumber, isValid: () => true });
+      keyCeremonyService.getSigningKey.mockResolvedValue(ca.privateKey);
+
+      const { document } = await compactTokenService.buildRevocationFilter();
+
+      await expect(validator.setRevocationFilter(document)).resolves.toBe(true);
+      expect(validator.revocations.filter.has('token-1')).toBe(true);
+    });
+
+    it('should refuse unsigned, mistyped and out-of-order filters', async () => {
+      const newer = filterDocument([], Date.now());
+      const older = filterDocument(['token-1'], Date.now() - 60000);
+      const mistyped = compactToken.sign({ issuedAt: Date.now(), nextUpdate: Date.now(), filter: {} }, ca.privateKey, ca.serialNumber);
+      const [header, body] = newer.split('.');
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(validator.setRevocationFilter(mistyped)).resolves.toBe(false);
+      await expect(validator.setRevocationFilter(`${header}.${body}.${Buffer.from('x').toString('base64url')}`)).resolves.toBe(false);
+      await expect(validator.setRevocationFilter(newer)).resolves.toBe(true);
+      await expect(validator.setRevocationFilter(older)).resolves.toBe(false);
+      expect(validator.revocations.filter.has('token-1')).toBe(false);
+      expect(consoleError).toHaveBeenCalled();
+    });
+
+    it('should reject tokens signed by unknown keys', async () => {
+      const other = nodeCrypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+        .privateKey.export({ type: 'pkcs1', format: 'pem' });
+      const foreign = compactToken.sign(claims(), other, 'unknown-kid');
+
+      await expect(validator.validateToken(foreign)).resolves.toMatchObject({ valid: false, error: 'UNKNOWN_SIGNING_KEY' });
+    });
+  });
+});
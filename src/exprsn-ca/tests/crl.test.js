@@ -0,0 +1,293 @@
+/**
+ * CRL Tests
+ * Full and delta CRL encoding (RFC 5280 Section 5) and per-issuer publishing
+ */
+
+jest.mock('../models', () => ({
+  Certificate: {
+    findAll: jest.fn(),
+    findOne: jest.fn()
+  },
+  RevocationList: {
+    findAll: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+jest.mock('../storage', () => ({
+  getStorage: jest.fn()
+}));
+
+jest.mock('../services/keyCeremony', () => ({
+  getSigningKey: jest.fn()
+}));
+
+const forge = require('node-forge');
+const { Op } = require('sequelize');
+const { RevocationList } = require('../models');
+const { getStorage } = require('../storage');
+const keyCeremonyService = require('../services/keyCeremony');
+const crlService = require('../services/crl');
+const config = require('../config');
+const { buildCRL, OID } = require('../crypto/crl');
+const { createRootCA, verifySha256Signature, bitStringBytes, fromDer } = require('./helpers/pki');
+
+const { pki, asn1 } = forge;
+
+/**
+ * Decode a DER CRL into the fields the tests look at
+ */
+function decodeCRL(der) {
+  const [tbs, , signature] = fromDer(der).value;
+  const fields = tbs.value;
+  const hasEntries = fields[5].tagClass === asn1.Class.UNIVERSAL;
+  const extensions = {};
+
+  for (const extension of fields[hasEntries ? 6 : 5].value[0].value) {
+    const critical = extension.value.length === 3;
+    extensions[asn1.derToOid(extension.value[0].value)] = {
+      critical,
+      value: asn1.fromDer(extension.value[critical ? 2 : 1].value)
+    };
+  }
+
+  return {
+    version: asn1.derToInteger(fields[0].value),
+    issuer: fields[2],
+    thisUpdate: asn1.utcTimeToDate(fields[3].value),
+    nextUpdate: asn1.utcTimeToDate(fields[4].value),
+    entries: hasEntries ? fields[5].value.map(entry => ({
+      serialNumber: forge.util.bytesToHex(entry.value[0].value),
+      revokedAt: asn1.utcTimeToDate(entry.value[1].value),
+      extensions: entry.value[2] ? entry.value[2].value.map(ext => asn1.derToOid(ext.value[0].value)) : [],
+      reasonCode: entry.value[2] ? asn1.fromDer(entry.value[2].value[0].value[1].value).value.charCodeAt(0) : null
+    })) : null,
+    extensions,
+    tbsDer: asn1.toDer(tbs).getBytes(),
+    signature: bitStringBytes(signature)
+  };
+}
+
+describe('CRL', () => {
+  let ca;
+
+  beforeAll(async () => {
+    ca = await createRootCA();
+  });
+
+  describe('buildCRL', () => {
+    const thisUpdate = new Date('2026-01-01T00:00:00Z');
+    const nextUpdate = new Date('2026-01-08T00:00:00Z');
+
+    const build = (options = {}) => buildCRL({
+      issuerCertPem: ca.certificate,
+      issuerKeyPem: ca.privateKey,
+      crlNumber: 7,
+      thisUpdate,
+      nextUpdate,
+      ...options
+    });
+
+    it('should produce a v2 CRL signed by the issuer', () => {
+      const crl = decodeCRL(build().der);
+
+      expect(crl.version).toBe(1);
+      expect(crl.thisUpdate).toEqual(thisUpdate);
+      expect(crl.nextUpdate).toEqual(nextUpdate);
+      expect(verifySha256Signature(ca.certificate, crl.tbsDer, crl.signature)).toBe(true);
+    });
+
+    it('should name the issuer by its certificate subject', () => {
+      const crl = decodeCRL(build().der);
+      const subject = pki.distinguishedNameToAsn1(pki.certificateFromPem(ca.certificate).subject);
+
+      expect(asn1.toDer(crl.issuer).getBytes()).toBe(asn1.toDer(subject).getBytes());
+    });
+
+    it('should match the DER in the PEM form', () => {
+      const { der, pem } = build();
+
+      expect(pem).toMatch(/^-----BEGIN X509 CRL-----/);
+      expect(Buffer.from(forge.pem.decode(pem)[0].body, 'binary')).toEqual(der);
+    });
+
+    it('should carry the CRL number and authority key identifier', () => {
+      const crl = decodeCRL(build().der);
+      const keyId = pki.certificateFromPem(ca.certificate).generateSubjectKeyIdentifier().getBytes();
+
+      expect(asn1.derToInteger(crl.extensions[OID.cRLNumber].value.value)).toBe(7);
+      expect(crl.extensions[OID.authorityKeyIdentifier].value.value[0].value).toBe(keyId);
+    });
+
+    it('should omit revokedCertificates when nothing is revoked', () => {
+      expect(decodeCRL(build().der).entries).toBeNull();
+    });
+
+    it('should list revoked serials with reason codes', () => {
+      const revokedAt = new Date('2025-12-30T10:00:00Z');
+      const crl = decodeCRL(build({
+        entries: [
+          { serialNumber: '0a1b2c', revokedAt, reasonCode: 1, invalidityDate: new Date('2025-12-29T00:00:00Z') },
+          { serialNumber: '0d0e0f', revokedAt, reasonCode: 0 }
+        ]
+      }).der);
+
+      expect(crl.entries).toEqual([
+        {
+          serialNumber: '0a1b2c',
+          revokedAt,
+          extensions: [OID.reasonCode, OID.invalidityDate],
+          reasonCode: 1
+        },
+        // unspecified (0) is expressed by leaving reasonCode out
+        { serialNumber: '0d0e0f', revokedAt, extensions: [], reasonCode: null }
+      ]);
+    });
+
+    it('should point full CRLs at the delta CRL', () => {
+      const crl = decodeCRL(build({ freshestCRLUrls: ['http://crl.exprsn.test/ca/delta.crl'] }).der);
+      const freshest = crl.extensions[OID.freshestCRL];
+      const uri = freshest.value.value[0].value[0].value[0].value[0];
+
+      expect(freshest.critical).toBe(false);
+      expect(uri.value).toBe('http://crl.exprsn.test/ca/delta.crl');
+      expect(crl.extensions[OID.deltaCRLIndicator]).toBeUndefined();
+    });
+
+    it('should mark delta CRLs with a critical base CRL number', () => {
+      const crl = decodeCRL(build({
+        crlNumber: 9,
+        baseCRLNumber: 7,
+        freshestCRLUrls: ['http://crl.exprsn.test/ca/delta.crl']
+      }).der);
+      const indicator = crl.extensions[OID.deltaCRLIndicator];
+
+      expect(indicator.critical).toBe(true);
+      expect(asn1.derToInteger(indicator.value.value)).toBe(7);
+      expect(asn1.derToInteger(crl.extensions[OID.cRLNumber].value.value)).toBe(9);
+      expect(crl.extensions[OID.freshestCRL]).toBeUndefined();
+    });
+  });
+
+  describe('CRLService publishing', () => {
+    let storage;
+    let issuer;
+
+    const revocation = (id, serialNumber, crlNumber = null, notAfter = '2099-01-01T00:00:00Z') => ({
+      id,
+      serialNumber,
+      revokedAt: new Date('2026-01-01T00:00:00Z'),
+      reason: 'keyCompromise',
+      invalidityDate: null,
+      crlNumber,
+      certificate: { id: `cert-${id}`, notAfter: new Date(notAfter) }
+    });
+
+    beforeEach(() => {
+      crlService.issuers.clear();
+
+      storage = { saveCRL: jest.fn().mockResolvedValue(undefined) };
+      getStorage.mockReturnValue(storage);
+      keyCeremonyService.getSigningKey.mockResolvedValue(ca.privateKey);
+      RevocationList.findAll.mockResolvedValue([]);
+      RevocationList.update.mockResolvedValue([0]);
+
+      issuer = {
+        id: 'root-1',
+        type: 'root',
+        certificatePem: ca.certificate,
+        metadata: { crl: { crlNumber: 4, baseCRLNumber: 3 } },
+        save: jest.fn().mockResolvedValue(undefined)
+      };
+    });
+
+    it('should publish a full CRL and mark its entries as published', async () => {
+      RevocationList.findAll.mockResolvedValue([revocation('r1', '01'), revocation('r2', '02', 3)]);
+
+      const full = await crlService.publishFullCRL(issuer);
+
+      expect(full.crlNumber).toBe(5);
+      expect(full.revokedCount).toBe(2);
+      expect(storage.saveCRL).toHaveBeenCalledWith(full.der, 'ca');
+      expect(RevocationList.update).toHaveBeenCalledWith(
+        { crlNumber: 5 },
+        { where: { id: { [Op.in]: ['r1'] } } }
+      );
+      expect(issuer.metadata.crl).toMatchObject({ crlNumber: 5, baseCRLNumber: 5 });
+      expect(issuer.save).toHaveBeenCalled();
+    });
+
+    it('should prune revocations of expired certificates', async () => {
+      const pruneExpired = config.crl.pruneExpired;
+      config.crl.pruneExpired = true;
+
+      try {
+        RevocationList.findAll.mockResolvedValue([
+          revocation('r1', '01'),
+          revocation('r2', '02', null, '2020-01-01T00:00:00Z')
+        ]);
+
+        const full = await crlService.publishFullCRL(issuer);
+
+        expect(full.revokedCount).toBe(1);
+        expect(full.prunedCount).toBe(1);
+        expect(decodeCRL(full.der).entries.map(entry => entry.serialNumber)).toEqual(['01']);
+      } finally {
+        config.crl.pruneExpired = pruneExpired;
+      }
+    });
+
+    it('should publish a delta against the last full CRL', async () => {
+      await crlService.publishFullCRL(issuer);
+      RevocationList.findAll.mockClear();
+      RevocationList.findAll.mockResolvedValue([revocation('r3', '03')]);
+
+      const delta = await crlService.publishDeltaCRL(issuer);
+      const crl = decodeCRL(delta.der);
+
+      expect(RevocationList.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { issuerId: 'root-1', crlNumber: null }
+      }));
+      expect(delta.crlNumber).toBe(6);
+      expect(delta.baseCRLNumber).toBe(5);
+      expect(asn1.derToInteger(crl.extensions[OID.deltaCRLIndicator].value.value)).toBe(5);
+      expect(crl.entries.map(entry => entry.serialNumber)).toEqual(['03']);
+      expect(storage.saveCRL).toHaveBeenLastCalledWith(delta.der, 'ca-delta');
+      expect(issuer.metadata.crl).toMatchObject({ crlNumber: 6, baseCRLNumber: 5 });
+    });
+
+    it('should keep CRL numbers increasing across deltas', async () => {
+      const first = await crlService.publishDeltaCRL(issuer);
+      const second = await crlService.publishDeltaCRL(issuer);
+
+      expect([first.crlNumber, second.crlNumber]).toEqual([5, 6]);
+      expect([first.baseCRLNumber, second.baseCRLNumber]).toEqual([3, 3]);
+    });
+
+    it('should store intermediate CRLs under the issuer id', async () => {
+      issuer.type = 'intermediate';
+
+      await crlService.publishFullCRL(issuer);
+      await crlService.publishDeltaCRL(issuer);
+
+      expect(storage.saveCRL.mock.calls.map(call => call[1])).toEqual(['root-1', 'root-1-delta']);
+    });
+  });
+
+  describe('getDistributionPoints', () => {
+    it('should advertise the issuer CRL and delta CRL URLs', () => {
+      const { enabled } = config.crl;
+      config.crl.enabled = true;
+
+      try {
+        const points = crlService.getDistributionPoints({ id: 'int-1' }, { ocsp: false });
+
+        expect(points.crl).toEqual([`${config.crl.url}/int-1.crl`]);
+        expect(points.freshestCrl).toEqual(config.crl.delta.enabled ? [`${config.crl.url}/int-1/delta.crl`] : []);
+        expect(points.ocsp).toEqual([]);
+      } finally {
+        config.crl.enabled = enabled;
+      }
+    });
+  });
+});
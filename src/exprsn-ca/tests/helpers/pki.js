@@ -0,0 +1,74 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Test PKI Helpers
+ * Small root CA and leaf certificates for crypto unit tests
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const forge = require('node-forge');
+const crypto = require('../../crypto');
+
+const { pki, asn1 } = forge;
+
+// 2048 rather than the 4096-bit CA default keeps the suites fast; OpenSSL rejects
+// anything smaller when the PKCS#12 tests load their bundles
+const KEY_SIZE = 2048;
+
+/**
+ * Create a self-signed root CA
+ * @param {string} [commonName]
+ */
+async function createRootCA(commonName = 'Exprsn Test Root CA') {
+  return crypto.generateRootCertificate({ commonName, keySize: KEY_SIZE, validityDays: 30 });
+}
+
+/**
+ * Issue a leaf certificate from an issuer returned by createRootCA()
+ * @param {Object} issuer - { certificate, privateKey }
+ * @param {Object} [options] - Extra generateEntityCertificate() options
+ */
+async function issueCertificate(issuer, options = {}) {
+  return crypto.generateEntityCertificate({
+    commonName: 'leaf.exprsn.test',
+    keySize: KEY_SIZE,
+    validityDays: 7,
+    ...options,
+    issuerCert: issuer.certificate,
+    issuerKey: issuer.privateKey
+  });
+}
+
+/**
+ * Verify a sha256WithRSAEncryption signature over DER bytes
+ * @param {string} signerPem - PEM certificate of the signer
+ * @param {string} tbsDer - Signed bytes (forge binary string)
+ * @param {string} signature - Signature bytes (forge binary string)
+ */
+function verifySha256Signature(signerPem, tbsDer, signature) {
+  const digest = forge.md.sha256.create();
+  digest.update(tbsDer);
+  return pki.certificateFromPem(signerPem).publicKey.verify(digest.digest().getBytes(), signature);
+}
+
+/**
+ * Strip the unused-bits octet from a BIT STRING node's value
+ * (forge decodes BIT STRINGs that happen to hold DER, so prefer the raw contents)
+ */
+function bitStringBytes(node) {
+  return (node.bitStringContents || node.value).substring(1);
+}
+
+/**
+ * Decode DER (Buffer or binary string) to a forge ASN.1 tree
+ */
+function fromDer(der) {
+  return asn1.fromDer(Buffer.isBuffer(der) ? der.toString('binary') : der);
+}
+
+module.exports = {
+  createRootCA,
+  issueCertificate,
+  verifySha256Signature,
+  bitStringBytes,
+  fromDer
+};
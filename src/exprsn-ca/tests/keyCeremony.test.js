@@ -0,0 +1,227 @@
+/**
+ * Key Ceremony Tests
+ * Shamir M-of-N sharing over GF(2^8) and root key custody
+ */
+
+jest.mock('../models', () => ({
+  Certificate: {
+    findByPk: jest.fn()
+  },
+  KeyCeremony: {
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn()
+  },
+  AuditLog: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../storage', () => ({
+  getStorage: jest.fn()
+}));
+
+const nodeCrypto = require('crypto');
+const { Certificate, KeyCeremony, AuditLog } = require('../models');
+const { getStorage } = require('../storage');
+const shamir = require('../crypto/shamir');
+const keyCeremonyService = require('../services/keyCeremony');
+const { createRootCA } = require('./helpers/pki');
+
+/**
+ * Every k-element subset of items
+ */
+function combinations(items, k) {
+  if (k === 0) return [[]];
+  if (items.length < k) return [];
+  const [first, ...rest] = items;
+  return [
+    ...combinations(rest, k - 1).map(subset => [first, ...subset]),
+    ...combinations(rest, k)
+  ];
+}
+
+describe('Key Ceremony', () => {
+  describe('Shamir secret sharing', () => {
+    const secret = nodeCrypto.randomBytes(32);
+
+    it('should recover the secret from every set of threshold shares', () => {
+      const shares = shamir.split(secret, 5, 3);
+
+      expect(shares).toHaveLength(5);
+      for (const subset of combinations(shares, 3)) {
+        expect(shamir.combine(subset).equals(secret)).toBe(true);
+      }
+    });
+
+    it('should recover the secret from more than threshold shares', () => {
+      const shares = shamir.split(secret, 5, 3);
+
+      expect(shamir.combine(shares).equals(secret)).toBe(true);
+    });
+
+    it('should not recover the secret from threshold - 1 shares', () => {
+      const shares = shamir.split(secret, 5, 3);
+
+      for (const subset of combinations(shares, 2)) {
+        expect(shamir.combine(subset).equals(secret)).toBe(false);
+      }
+    });
+
+    it('should interpolate over the AES field', () => {
+      // f(x) = 0x2a + 0x57x; FIPS-197 Section 4.2: {57} * {83} = {c1}
+      const shares = [
+        Buffer.from([0x01, 0x2a ^ 0x57]).toString('hex'),
+        Buffer.from([0x83, 0x2a ^ 0xc1]).toString('hex')
+      ];
+
+      expect(shamir.combine(shares)).toEqual(Buffer.from([0x2a]));
+    });
+
+    it('should encode the share index in the first byte', () => {
+      const shares = shamir.split(secret, 3, 2).map(share => Buffer.from(share, 'hex'));
+
+      expect(shares.map(share => share[0])).toEqual([1, 2, 3]);
+      expect(shares.every(share => share.length === secret.length + 1)).toBe(true);
+    });
+
+    it('should reject invalid parameters and shares', () => {
+      expect(() => shamir.split(secret, 3, 1)).toThrow('Threshold must be at least 2');
+      expect(() => shamir.split(secret, 2, 3)).toThrow('Share count must be between the threshold and 255');
+      expect(() => shamir.split(Buffer.alloc(0), 3, 2)).toThrow('non-empty Buffer');
+
+      const shares = shamir.split(secret, 3, 2);
+      expect(() => shamir.combine([shares[0]])).toThrow('At least two shares are required');
+      expect(() => shamir.combine([shares[0], shares[0]])).toThrow('distinct, non-zero indexes');
+      expect(() => shamir.combine([shares[0], shares[1].slice(0, -2)])).toThrow('different lengths');
+    });
+  });
+
+  describe('KeyCeremonyService', () => {
+    let root;
+    let certificate;
+    let ceremony;
+    let keys;
+
+    beforeAll(async () => {
+      root = await createRootCA();
+    });
+
+    beforeEach(() => {
+      keyCeremonyService.pending.clear();
+      keyCeremonyService.unsealed.forEach(state => clearTimeout(state.timer));
+      keyCeremonyService.unsealed.clear();
+
+      keys = new Map([['root-1', root.privateKey]]);
+      getStorage.mockReturnValue({
+        getPrivateKey: jest.fn(async id => keys.get(id)),
+        savePrivateKey: jest.fn(async (id, pem) => keys.set(id, pem))
+      });
+
+      certificate = { id: 'root-1', type: 'root', commonName: 'Exprsn Test Root CA', certificatePem: root.certificate };
+      ceremony = null;
+
+      Certificate.findByPk.mockImplementation(async id => (id === certificate.id ? certificate : null));
+      KeyCeremony.findOne.mockImplementation(async () => ceremony);
+      KeyCeremony.findByPk.mockImplementation(async id => (ceremony && ceremony.id === id ? ceremony : null));
+      KeyCeremony.create.mockImplementation(async values => {
+        ceremony = {
+          id: 'ceremony-1',
+          status: 'active',
+          ...values,
+          isActive() { return this.status === 'active'; },
+          update: jest.fn(async changes => Object.assign(ceremony, changes))
+        };
+        return ceremony;
+      });
+      AuditLog.log.mockResolvedValue(undefined);
+    });
+
+    async function begin(threshold = 3, shares = 5) {
+      return keyCeremonyService.begin({ certificateId: 'root-1', threshold, shares }, 'admin-1');
+    }
+
+    it('should encrypt the root key and hand out the shares', async () => {
+      const { shares } = await begin();
+
+      expect(shares).toHaveLength(5);
+      expect(keys.get('root-1')).toContain('ENCRYPTED');
+      expect(ceremony.shareDigests).toHaveLength(5);
+      expect(ceremony.shareDigests).not.toContain(shares[0]);
+    });
+
+    it('should keep the key sealed until threshold shares arrive', async () => {
+      const { shares } = await begin();
+
+      await keyCeremonyService.submitShare('ceremony-1', shares[4], 'custodian-5');
+      const status = await keyCeremonyService.submitShare('ceremony-1', shares[1], 'custodian-2');
+
+      expect(status).toMatchObject({ sealed: true, sharesReceived: 2 });
+      await expect(keyCeremonyService.getSigningKey(certificate)).rejects.toMatchObject({
+        code: 'KEY_SEALED',
+        status: 423
+      });
+    });
+
+    it('should unseal the root key with threshold shares', async () => {
+      const { shares } = await begin();
+
+      await keyCeremonyService.submitShare('ceremony-1', shares[4], 'custodian-5');
+      await keyCeremonyService.submitShare('ceremony-1', shares[1], 'custodian-2');
+      const status = await keyCeremonyService.submitShare('ceremony-1', shares[2].toUpperCase(), 'custodian-3');
+
+      expect(status.sealed).toBe(false);
+      await expect(keyCeremonyService.getSigningKey(certificate)).resolves.toBe(root.privateKey);
+    });
+
+    it('should count a resubmitted share once', async () => {
+      const { shares } = await begin();
+
+      await keyCeremonyService.submitShare('ceremony-1', shares[0], 'custodian-1');
+      await keyCeremonyService.submitShare('ceremony-1', shares[0], 'custodian-1');
+      const status = await keyCeremonyService.submitShare('ceremony-1', shares[1], 'custodian-2');
+
+      expect(status).toMatchObject({ sealed: true, sharesReceived: 2 });
+    });
+
+    it('should refuse to unseal from threshold - 1 shares', async () => {
+      const { shares } = await begin();
+
+      await expect(keyCeremonyService.unseal(ceremony, shares.slice(0, 2), 'admin-1')).rejects.toMatchObject({
+        code: 'UNSEAL_FAILED'
+      });
+      expect(keyCeremonyService.unsealed.size).toBe(0);
+    });
+
+    it('should reject shares from another ceremony', async () => {
+      await begin();
+      const foreign = shamir.split(nodeCrypto.randomBytes(32), 5, 3)[0];
+
+      await expect(keyCeremonyService.submitShare('ceremony-1', foreign, 'custodian-1')).rejects.toMatchObject({
+        code: 'INVALID_SHARE'
+      });
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'key_ceremony.share.rejected' }));
+    });
+
+    it('should drop the key when sealed again', async () => {
+      const { shares } = await begin(2, 3);
+
+      await keyCeremonyService.submitShare('ceremony-1', shares[0], 'custodian-1');
+      await keyCeremonyService.submitShare('ceremony-1', shares[2], 'custodian-3');
+      const status = await keyCeremonyService.seal('ceremony-1', 'admin-1');
+
+      expect(status.sealed).toBe(true);
+      await expect(keyCeremonyService.getSigningKey(certificate)).rejects.toMatchObject({ code: 'KEY_SEALED' });
+    });
+
+    it('should only protect root keys', async () => {
+      certificate.type = 'intermediate';
+
+      await expect(begin()).rejects.toMatchObject({ code: 'INVALID_CERTIFICATE' });
+    });
+
+    it('should use the stored key when no ceremony applies', async () => {
+      await expect(keyCeremonyService.getSigningKey(certificate)).resolves.toBe(root.privateKey);
+    });
+  });
+});
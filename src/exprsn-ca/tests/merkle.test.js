@@ -0,0 +1,252 @@
+/**
+ * Merkle Tree Tests
+ * Tree hashing and proofs against the RFC 6962 / RFC 9162 reference vectors
+ */
+
+const merkle = require('../crypto/merkle');
+
+const hex = value => Buffer.from(value, 'hex');
+const hexAll = values => values.map(hex);
+
+// Reference leaves and roots from the certificate-transparency test suite
+const LEAVES = [
+  '',
+  '00',
+  '10',
+  '2021',
+  '3031',
+  '40414243',
+  '5051525354555657',
+  '606162636465666768696a6b6c6d6e6f'
+].map(leaf => merkle.leafHash(hex(leaf)));
+
+const ROOTS = hexAll([
+  '6e340b9cffb37a989ca544e6bb780a2c78901d3fb33738768511a30617afa01d',
+  'fac54203e7cc696cf0dfcb42c92a1d9dbaf70ad9e621f4bd8d98662f00e3c125',
+  'aeb6bcfe274b70a14fb067a5e5578264db0fa9b51af5e0ba159158f329e06e77',
+  'd37ee418976dd95753c1c73862b9398fa2a2cf9b4ff0fdfe8b30cd95209614b7',
+  '4e3bbb1f7b478dcfe71fb631631519a3bca12c9aefca1612bfce4c13a86264d4',
+  '76e67dadbcdf1e10e1b74ddc608abd2f98dfb16fbce75277b5232a127f2087ef',
+  'ddb89be403809e325750d3d263cd78929c2942b7942a34b77e122c9594a74c8c',
+  '5dc9da79a70659a9ad559cb701ded9a2ab9d823aad2f4960cfe370eff4604328'
+]);
+
+const INCLUSION_PROOFS = [
+  { index: 0, treeSize: 1, proof: [] },
+  {
+    index: 0,
+    treeSize: 8,
+    proof: hexAll([
+      '96a296d224f285c67bee93c30f8a309157f0daa35dc5b87e410b78630a09cfc7',
+      '5f083f0a1a33ca076a95279832580db3e0ef4584bdff1f54c8a360f50de3031e',
+      '6b47aaf29ee3c2af9af889bc1fb9254dabd31177f16232dd6aab035ca39bf6e4'
+    ])
+  },
+  {
+    index: 5,
+    treeSize: 8,
+    proof: hexAll([
+      'bc1a0643b12e4d2d7c77918f44e0f4f79a838b6cf9ec5b5c283e1f4d88599e6b',
+      'ca854ea128ed050b41b35ffc1b87b8eb2bde461e9e3b5596ece6b9d5975a0ae0',
+      'd37ee418976dd95753c1c73862b9398fa2a2cf9b4ff0fdfe8b30cd95209614b7'
+    ])
+  },
+  {
+    index: 2,
+    treeSize: 3,
+    proof: hexAll(['fac54203e7cc696cf0dfcb42c92a1d9dbaf70ad9e621f4bd8d98662f00e3c125'])
+  },
+  {
+    index: 1,
+    treeSize: 5,
+    proof: hexAll([
+      '6e340b9cffb37a989ca544e6bb780a2c78901d3fb33738768511a30617afa01d',
+      '5f083f0a1a33ca076a95279832580db3e0ef4584bdff1f54c8a360f50de3031e',
+      'bc1a0643b12e4d2d7c77918f44e0f4f79a838b6cf9ec5b5c283e1f4d88599e6b'
+    ])
+  }
+];
+
+const CONSISTENCY_PROOFS = [
+  { firstSize: 1, secondSize: 1, proof: [] },
+  {
+    firstSize: 1,
+    secondSize: 8,
+    proof: hexAll([
+      '96a296d224f285c67bee93c30f8a309157f0daa35dc5b87e410b78630a09cfc7',
+      '5f083f0a1a33ca076a95279832580db3e0ef4584bdff1f54c8a360f50de3031e',
+      '6b47aaf29ee3c2af9af889bc1fb9254dabd31177f16232dd6aab035ca39bf6e4'
+    ])
+  },
+  {
+    firstSize: 6,
+    secondSize: 8,
+    proof: hexAll([
+      '0ebc5d3437fbe2db158b9f126a1d118e308181031d0a949f8dededebc558ef6a',
+      'ca854ea128ed050b41b35ffc1b87b8eb2bde461e9e3b5596ece6b9d5975a0ae0',
+      'd37ee418976dd95753c1c73862b9398fa2a2cf9b4ff0fdfe8b30cd95209614b7'
+    ])
+  },
+  {
+    firstSize: 2,
+    secondSize: 5,
+    proof: hexAll([
+      '5f083f0a1a33ca076a95279832580db3e0ef4584bdff1f54c8a360f50de3031e',
+      'bc1a0643b12e4d2d7c77918f44e0f4f79a838b6cf9ec5b5c283e1f4d88599e6b'
+    ])
+  }
+];
+
+const rootOf = size => ROOTS[size - 1];
+
+describe('Merkle Tree', () => {
+  describe('hashing', () => {
+    it('should domain-separate leaves and interior nodes', () => {
+      expect(merkle.leafHash(Buffer.alloc(0))).toEqual(
+        hex('6e340b9cffb37a989ca544e6bb780a2c78901d3fb33738768511a30617afa01d')
+      );
+      expect(merkle.nodeHash(LEAVES[0], LEAVES[1])).toEqual(ROOTS[1]);
+    });
+
+    it('should hash the empty tree to SHA-256 of the empty string', () => {
+      expect(merkle.rootHash([])).toEqual(
+        hex('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855')
+      );
+    });
+
+    it('should match the reference root for every tree size', () => {
+      ROOTS.forEach((root, i) => {
+        expect(merkle.rootHash(LEAVES.slice(0, i + 1))).toEqual(root);
+      });
+    });
+  });
+
+  describe('inclusion proofs', () => {
+    it.each(INCLUSION_PROOFS)('should build and verify leaf $index in a tree of $treeSize', ({ index, treeSize, proof }) => {
+      expect(merkle.inclusionProof(index, LEAVES.slice(0, treeSize))).toEqual(proof);
+      expect(merkle.verifyInclusion(LEAVES[index], index, treeSize, proof, rootOf(treeSize))).toBe(true);
+    });
+
+    it('should verify every leaf of every tree size', () => {
+      for (let size = 1; size <= LEAVES.length; size++) {
+        for (let index = 0; index < size; index++) {
+          const proof = merkle.inclusionProof(index, LEAVES.slice(0, size));
+          expect(merkle.verifyInclusion(LEAVES[index], index, size, proof, rootOf(size))).toBe(true);
+        }
+      }
+    });
+
+    it('should reject proofs for the wrong leaf, index, size or root', () => {
+      const { index, treeSize, proof } = INCLUSION_PROOFS[2];
+      const root = rootOf(treeSize);
+
+      expect(merkle.verifyInclusion(LEAVES[4], index, treeSize, proof, root)).toBe(false);
+      expect(merkle.verifyInclusion(LEAVES[index], index - 1, treeSize, proof, root)).toBe(false);
+      expect(merkle.verifyInclusion(LEAVES[index], index, treeSize - 2, proof, root)).toBe(false);
+      expect(merkle.verifyInclusion(LEAVES[index], index, treeSize, proof, rootOf(7))).toBe(false);
+      expect(merkle.verifyInclusion(LEAVES[index], treeSize, treeSize, proof, root)).toBe(false);
+    });
+
+    it('should reject truncated, extended and tampered proofs', () => {
+      const { index, treeSize, proof } = INCLUSION_PROOFS[2];
+      const root = rootOf(treeSize);
+      const tampered = proof.map(node => Buffer.from(node));
+      tampered[1][0] ^= 0x01;
+
+      expect(merkle.verifyInclusion(LEAVES[index], index, treeSize, proof.slice(0, -1), root)).toBe(false);
+      expect(merkle.verifyInclusion(LEAVES[index], index, treeSize, [...proof, LEAVES[0]], root)).toBe(false);
+      expect(merkle.verifyInclusion(LEAVES[index], index, treeSize, tampered, root)).toBe(false);
+    });
+
+    it('should refuse indexes outside the tree', () => {
+      expect(() => merkle.inclusionProof(8, LEAVES)).toThrow('Leaf index is outside the tree');
+      expect(() => merkle.inclusionProof(-1, LEAVES)).toThrow('Leaf index is outside the tree');
+    });
+  });
+
+  describe('consistency proofs', () => {
+    it.each(CONSISTENCY_PROOFS)('should build and verify $firstSize -> $secondSize', ({ firstSize, secondSize, proof }) => {
+      expect(merkle.consistencyProof(firstSize, LEAVES.slice(0, secondSize))).toEqual(proof);
+      expect(merkle.verifyConsistency(firstSize, secondSize, rootOf(firstSize), rootOf(secondSize), proof)).toBe(true);
+    });
+
+    it('should verify every pair of tree sizes', () => {
+      for (let second = 1; second <= LEAVES.length; second++) {
+        for (let first = 1; first <= second; first++) {
+          const proof = merkle.consistencyProof(first, LEAVES.slice(0, second));
+          expect(merkle.verifyConsistency(first, second, rootOf(first), rootOf(second), proof)).toBe(true);
+        }
+      }
+    });
+
+    it('should reject proofs against the wrong roots or sizes', () => {
+      const { firstSize, secondSize, proof } = CONSISTENCY_PROOFS[2];
+
+      expect(merkle.verifyConsistency(firstSize, secondSize, rootOf(5), rootOf(secondSize), proof)).toBe(false);
+      expect(merkle.verifyConsistency(firstSize, secondSize, rootOf(firstSize), rootOf(7), proof)).toBe(false);
+      expect(merkle.verifyConsistency(firstSize - 1, secondSize, rootOf(firstSize), rootOf(secondSize), proof)).toBe(false);
+      expect(merkle.verifyConsistency(secondSize, firstSize, rootOf(secondSize), rootOf(firstSize), proof)).toBe(false);
+    });
+
+    it('should reject truncated, padded and tampered proofs', () => {
+      const { firstSize, secondSize, proof } = CONSISTENCY_PROOFS[2];
+      const tampered = proof.map(node => Buffer.from(node));
+      tampered[0][31] ^= 0x80;
+
+      const verify = nodes => merkle.verifyConsistency(firstSize, secondSize, rootOf(firstSize), rootOf(secondSize), nodes);
+
+      expect(verify(proof.slice(0, -1))).toBe(false);
+      expect(verify([...proof, LEAVES[0]])).toBe(false);
+      expect(verify(tampered)).toBe(false);
+      expect(verify([])).toBe(false);
+    });
+
+    it('should require an empty proof for equal trees', () => {
+      expect(merkle.verifyConsistency(4, 4, rootOf(4), rootOf(4), [LEAVES[0]])).toBe(false);
+      expect(merkle.verifyConsistency(4, 4, rootOf(4), rootOf(5), [])).toBe(false);
+    });
+
+    it('should refuse sizes that cannot be consistent', () => {
+      expect(() => merkle.consistencyProof(0, LEAVES)).toThrow('Tree sizes are not consistent');
+      expect(() => merkle.consistencyProof(9, LEAVES)).toThrow('Tree sizes are not consistent');
+    });
+  });
+
+  describe('TLS encodings', () => {
+    it('should round-trip an X.509 log leaf', () => {
+      const certificateDer = Buffer.from('3082010a0282010100', 'hex');
+      const leaf = merkle.encodeLeaf({ timestamp: 1767225600000, certificateDer });
+
+      expect(leaf.subarray(0, 2)).toEqual(Buffer.from([0, 0]));
+      expect(leaf.readUIntBE(12, 3)).toBe(certificateDer.length);
+      expect(merkle.decodeLeaf(leaf)).toEqual({ timestamp: 1767225600000, certificateDer });
+    });
+
+    it('should refuse leaves that are not timestamped X.509 entries', () => {
+      const leaf = merkle.encodeLeaf({ timestamp: 1, certificateDer: Buffer.from([0x30, 0x00]) });
+      leaf[11] = 1; // precert_entry
+
+      expect(() => merkle.decodeLeaf(leaf)).toThrow('Unsupported log leaf');
+      expect(() => merkle.decodeLeaf(Buffer.alloc(4))).toThrow('Unsupported log leaf');
+    });
+
+    it('should encode the tree head signature input', () => {
+      const input = merkle.treeHeadSignatureInput({ timestamp: 1000, treeSize: 8, rootHash: rootOf(8) });
+
+      expect(input.length).toBe(2 + 8 + 8 + 32);
+      expect(input.subarray(0, 2)).toEqual(Buffer.from([0, 1]));
+      expect(input.readBigUInt64BE(2)).toBe(1000n);
+      expect(input.readBigUInt64BE(10)).toBe(8n);
+      expect(input.subarray(18)).toEqual(rootOf(8));
+    });
+
+    it('should wrap ECDSA signatures in a DigitallySigned struct', () => {
+      const signature = Buffer.from('3045022100aa', 'hex');
+      const wrapped = merkle.encodeDigitallySigned(signature);
+
+      expect(wrapped.subarray(0, 4)).toEqual(Buffer.from([4, 3, 0, signature.length]));
+      expect(merkle.decodeDigitallySigned(wrapped)).toEqual(signature);
+      expect(() => merkle.decodeDigitallySigned(Buffer.from([4, 1, 0, 0]))).toThrow('Unsupported tree head signature algorithm');
+    });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * OCSP Message Encoding Tests
+ * Round-trips RFC 6960 requests and responses through node-forge's DER parser
+ */
+
+const nodeCrypto = require('crypto');
+const forge = require('node-forge');
+const ocsp = require('../crypto/ocsp');
+const { createRootCA, issueCertificate, verifySha256Signature, bitStringBytes, fromDer } = require('./helpers/pki');
+
+const { pki, asn1 } = forge;
+const { Class, Type } = asn1;
+
+const NONCE = '\x04\x10' + 'exprsn-nonce-016';
+
+/**
+ * Encode an OCSPRequest for one certificate, as an OCSP client would
+ */
+function buildRequest(issuerPem, serialNumber, { hashOid = ocsp.OID.sha1, nonce = null } = {}) {
+  const tbs = asn1.toDer(pki.certificateToAsn1(pki.certificateFromPem(issuerPem))).getBytes();
+  const tbsFields = asn1.fromDer(tbs).value[0].value;
+  const subjectDer = asn1.toDer(tbsFields[5]).getBytes();
+  const keyBytes = bitStringBytes(tbsFields[6].value[1]);
+  const hashName = hashOid === ocsp.OID.sha1 ? 'sha1' : 'sha256';
+  const hash = bytes => nodeCrypto.createHash(hashName).update(bytes, 'binary').digest('binary');
+
+  const certId = asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+    asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+      asn1.create(Class.UNIVERSAL, Type.OID, false, asn1.oidToDer(hashOid).getBytes()),
+      asn1.create(Class.UNIVERSAL, Type.NULL, false, '')
+    ]),
+    asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, hash(subjectDer)),
+    asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, hash(keyBytes)),
+    asn1.create(Class.UNIVERSAL, Type.INTEGER, false, forge.util.hexToBytes(`00${serialNumber}`))
+  ]);
+
+  const tbsRequest = [
+    asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+      asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [certId])
+    ])
+  ];
+
+  if (nonce) {
+    tbsRequest.push(asn1.create(Class.CONTEXT_SPECIFIC, 2, true, [
+      asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+        asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+          asn1.create(Class.UNIVERSAL, Type.OID, false, asn1.oidToDer(ocsp.OID.nonce).getBytes()),
+          asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, nonce)
+        ])
+      ])
+    ]));
+  }
+
+  const request = asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+    asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, tbsRequest)
+  ]);
+
+  return Buffer.from(asn1.toDer(request).getBytes(), 'binary');
+}
+
+/**
+ * Decode an OCSPResponse down to its BasicOCSPResponse parts
+ */
+function decodeResponse(der) {
+  const root = fromDer(der);
+  const responseBytes = root.value[1].value[0];
+  const basic = asn1.fromDer(responseBytes.value[1].value);
+  const [tbs, signatureAlgorithm, signature, certs] = basic.value;
+
+  return {
+    status: root.value[0].value.charCodeAt(0),
+    responseType: asn1.derToOid(responseBytes.value[0].value),
+    tbs,
+    tbsDer: asn1.toDer(tbs).getBytes(),
+    signatureOid: asn1.derToOid(signatureAlgorithm.value[0].value),
+    signature: bitStringBytes(signature),
+    certs: certs.value[0].value.map(cert => pki.certificateFromAsn1(cert)),
+    singleResponses: tbs.value[2].value,
+    extensions: tbs.value[3] ? tbs.value[3].value[0].value : []
+  };
+}
+
+describe('OCSP Encoding', () => {
+  let ca;
+  let signer;
+  let leaf;
+
+  beforeAll(async () => {
+    ca = await createRootCA();
+    signer = await issueCertificate(ca, { commonName: 'Exprsn Test OCSP Signer', type: 'ocsp_signing' });
+    leaf = await issueCertificate(ca);
+  });
+
+  describe('issuerHashes', () => {
+    it('should hash the issuer name and key the way clients build CertIDs', () => {
+      const request = ocsp.parseRequest(buildRequest(ca.certificate, leaf.serialNumber));
+
+      expect(ocsp.issuerHashes(ca.certificate, 'sha1')).toEqual({
+        issuerNameHash: request.requests[0].issuerNameHash,
+        issuerKeyHash: request.requests[0].issuerKeyHash
+      });
+    });
+
+    it('should support SHA-256 CertIDs', () => {
+      const der = buildRequest(ca.certificate, leaf.serialNumber, { hashOid: ocsp.OID.sha256 });
+      const [request] = ocsp.parseRequest(der).requests;
+
+      expect(request.hashAlgorithm).toBe('sha256');
+      expect(request.issuerKeyHash).toBe(ocsp.issuerHashes(ca.certificate, 'sha256').issuerKeyHash);
+    });
+  });
+
+  describe('parseRequest', () => {
+    it('should read the serial number without the sign octet', () => {
+      const { requests, nonce } = ocsp.parseRequest(buildRequest(ca.certificate, leaf.serialNumber));
+
+      expect(requests).toHaveLength(1);
+      expect(requests[0].hashAlgorithm).toBe('sha1');
+      expect(requests[0].serialNumber).toBe(leaf.serialNumber.replace(/^00/, '').toLowerCase());
+      expect(nonce).toBeNull();
+    });
+
+    it('should return the nonce extension value', () => {
+      const { nonce } = ocsp.parseRequest(buildRequest(ca.certificate, leaf.serialNumber, { nonce: NONCE }));
+
+      expect(nonce).toBe(NONCE);
+    });
+
+    it('should reject unsupported hash algorithms', () => {
+      const der = buildRequest(ca.certificate, leaf.serialNumber, { hashOid: '1.2.840.113549.2.5' });
+
+      expect(() => ocsp.parseRequest(der)).toThrow('Unsupported CertID hash algorithm');
+    });
+
+    it('should reject requests without a requestList', () => {
+      const der = asn1.toDer(asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+        asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+          asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [])
+        ])
+      ])).getBytes();
+
+      expect(() => ocsp.parseRequest(der)).toThrow('Malformed OCSPRequest');
+    });
+  });
+
+  describe('buildResponse', () => {
+    const thisUpdate = new Date('2026-01-01T00:00:00Z');
+    const nextUpdate = new Date('2026-01-01T01:00:00Z');
+
+    function respond(results, nonce = null) {
+      const der = buildRequest(ca.certificate, leaf.serialNumber, { nonce });
+      const { requests } = ocsp.parseRequest(der);
+
+      return ocsp.buildResponse({
+        responses: results.map(result => ({ certId: requests[0].certId, thisUpdate, nextUpdate, ...result })),
+        signerCertPem: signer.certificate,
+        signerKeyPem: signer.privateKey,
+        nonce
+      });
+    }
+
+    it('should produce a signed BasicOCSPResponse', () => {
+      const response = decodeResponse(respond([{ status: 'good' }]));
+
+      expect(response.status).toBe(ocsp.RESPONSE_STATUS.successful);
+      expect(response.responseType).toBe(ocsp.OID.basicResponse);
+      expect(response.signatureOid).toBe(ocsp.OID.sha256WithRSAEncryption);
+      expect(verifySha256Signature(signer.certificate, response.tbsDer, response.signature)).toBe(true);
+    });
+
+    it('should identify the delegated signer by key hash and include its certificate', () => {
+      const response = decodeResponse(respond([{ status: 'good' }]));
+      const responderId = response.tbs.value[0];
+      const keyHash = pki.getPublicKeyFingerprint(pki.certificateFromPem(signer.certificate).publicKey, {
+        type: 'RSAPublicKey',
+        md: forge.md.sha1.create()
+      }).getBytes();
+
+      expect(responderId.type).toBe(2);
+      expect(responderId.value[0].value).toBe(keyHash);
+      expect(response.certs).toHaveLength(1);
+      expect(pki.certificateToPem(response.certs[0])).toBe(signer.certificate);
+      expect(pki.certificateFromPem(ca.certificate).verify(response.certs[0])).toBe(true);
+    });
+
+    it('should echo the CertID and encode good as [0] NULL', () => {
+      const response = decodeResponse(respond([{ status: 'good' }]));
+      const [single] = response.singleResponses;
+      const certId = ocsp.parseRequest(buildRequest(ca.certificate, leaf.serialNumber)).requests[0].certId;
+
+      expect(asn1.toDer(single.value[0]).getBytes()).toBe(asn1.toDer(certId).getBytes());
+      expect(single.value[1].tagClass).toBe(Class.CONTEXT_SPECIFIC);
+      expect(single.value[1].type).toBe(0);
+      expect(single.value[1].value).toBe('');
+      expect(asn1.generalizedTimeToDate(single.value[2].value)).toEqual(thisUpdate);
+      expect(asn1.generalizedTimeToDate(single.value[3].value[0].value)).toEqual(nextUpdate);
+    });
+
+    it('should encode revoked with the revocation time and reason', () => {
+      const revokedAt = new Date('2025-12-31T12:00:00Z');
+      const response = decodeResponse(respond([{ status: 'revoked', revokedAt, reasonCode: 1 }]));
+      const revokedInfo = response.singleResponses[0].value[1];
+
+      expect(revokedInfo.type).toBe(1);
+      expect(asn1.generalizedTimeToDate(revokedInfo.value[0].value)).toEqual(revokedAt);
+      expect(revokedInfo.value[1].value[0].value.charCodeAt(0)).toBe(1);
+    });
+
+    it('should encode unknown as [2] NULL', () => {
+      const response = decodeResponse(respond([{ status: 'unknown' }]));
+
+      expect(response.singleResponses[0].value[1].type).toBe(2);
+    });
+
+    it('should echo the request nonce', () => {
+      const response = decodeResponse(respond([{ status: 'good' }], NONCE));
+      const [extension] = response.extensions;
+
+      expect(asn1.derToOid(extension.value[0].value)).toBe(ocsp.OID.nonce);
+      expect(extension.value[1].value).toBe(NONCE);
+    });
+  });
+
+  describe('buildErrorResponse', () => {
+    it('should carry only the response status', () => {
+      const root = fromDer(ocsp.buildErrorResponse('malformedRequest'));
+
+      expect(root.value).toHaveLength(1);
+      expect(root.value[0].type).toBe(Type.ENUMERATED);
+      expect(root.value[0].value.charCodeAt(0)).toBe(ocsp.RESPONSE_STATUS.malformedRequest);
+    });
+  });
+});
@@ -0,0 +1,357 @@
+/**
+ * Renewal Tests
+ * Expiry scanning, warning tiers, automatic renewal and certificate.renewed events
+ */
+
+jest.mock('../models', () => ({
+  sequelize: {
+    transaction: jest.fn(),
+    query: jest.fn(),
+    QueryTypes: { SELECT: 'SELECT' }
+  },
+  Certificate: {
+    update: jest.fn(),
+    findAll: jest.fn(),
+    findByPk: jest.fn()
+  },
+  CertificateRenewal: {
+    create: jest.fn()
+  }
+}));
+
+jest.mock('../services/certificate', () => ({
+  renewCertificate: jest.fn(),
+  getCertificateChain: jest.fn()
+}));
+
+jest.mock('../services/certificateProfile', () => ({
+  getUserAccess: jest.fn()
+}));
+
+jest.mock('../services/heraldClient', () => ({
+  notify: jest.fn()
+}));
+
+const nodeCrypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, Certificate, CertificateRenewal } = require('../models');
+const certificateService = require('../services/certificate');
+const certificateProfileService = require('../services/certificateProfile');
+const heraldClient = require('../services/heraldClient');
+const renewalService = require('../services/renewal');
+const cryptoLib = require('../crypto');
+const config = require('../config');
+const { createRootCA, issueCertificate } = require('./helpers/pki');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A minute short of whole days so the ceiling lands on `days`
+const expiresIn = days => new Date(Date.now() + days * DAY - 60 * 1000);
+
+describe('Renewal', () => {
+  let rsaPublicKey;
+  let certificates;
+
+  beforeAll(() => {
+    rsaPublicKey = nodeCrypto.generateKeyPairSync('rsa', { modulusLength: 1024 })
+      .publicKey.export({ type: 'spki', format: 'pem' });
+  });
+
+  const entity = (id, overrides = {}) => ({
+    id,
+    type: 'server',
+    status: 'active',
+    userId: 'owner-1',
+    commonName: `${id}.exprsn.test`,
+    serialNumber: `${id}-serial`,
+    fingerprint: `${id}-fingerprint`,
+    publicKey: rsaPublicKey,
+    notAfter: expiresIn(10),
+    autoRenew: true,
+    autoRenewRekey: false,
+    renewedById: null,
+    expiryNotifiedDays: null,
+    metadata: {},
+    save: jest.fn().mockResolvedValue(undefined),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    renewalService.ipc = null;
+    renewalService.lastScan = null;
+    certificates = new Map();
+
+    sequelize.transaction.mockImplementation(async callback => callback({}));
+    sequelize.query.mockResolvedValue([{ acquired: true }]);
+    Certificate.update.mockResolvedValue([0]);
+    Certificate.findAll.mockResolvedValue([]);
+    Certificate.findByPk.mockImplementation(async id => certificates.get(id) || null);
+    CertificateRenewal.create.mockResolvedValue({});
+    certificateService.renewCertificate.mockImplementation(async id => ({
+      certificate: {
+        ...certificates.get(id),
+        id: `${id}-renewed`,
+        serialNumber: `${id}-renewed-serial`,
+        notAfter: expiresIn(365)
+      },
+      privateKey: null
+    }));
+    certificateService.getCertificateChain.mockResolvedValue([]);
+    certificateProfileService.getUserAccess.mockResolvedValue({ roles: new Set(), groups: new Set(), admin: false });
+    heraldClient.notify.mockResolvedValue(undefined);
+  });
+
+  const add = certificate => {
+    certificates.set(certificate.id, certificate);
+    return certificate;
+  };
+
+  describe('scan', () => {
+    it('should expire, renew and warn under the advisory lock', async () => {
+      Certificate.update.mockResolvedValue([3]);
+
+      const result = await renewalService.scan();
+
+      expect(result).toEqual({ skipped: false, expired: 3, renewed: 0, failed: 0, warned: 0 });
+      expect(sequelize.query).toHaveBeenCalledWith(
+        expect.stringContaining('pg_try_advisory_xact_lock'),
+        expect.objectContaining({ replacements: { lock: 5280 } })
+      );
+      expect(Certificate.update).toHaveBeenCalledWith(
+        { status: 'expired' },
+        { where: { status: 'active', notAfter: { [Op.lt]: expect.any(Date) } } }
+      );
+      expect(renewalService.lastScan).toMatchObject({ expired: 3 });
+    });
+
+    it('should skip when another process holds the lock', async () => {
+      sequelize.query.mockResolvedValue([{ acquired: false }]);
+
+      await expect(renewalService.scan()).resolves.toEqual({ skipped: true });
+      expect(Certificate.update).not.toHaveBeenCalled();
+      expect(renewalService.lastScan).toBeNull();
+    });
+  });
+
+  describe('renewDue', () => {
+    it('should renew auto-renew certificates inside the window and count failures', async () => {
+      const due = [
+        add(entity('a')),
+        add(entity('b', { publicKey: null, autoRenewRekey: true })),
+        add(entity('external', { metadata: { imported: { external: true } } }))
+      ];
+      Certificate.findAll.mockResolvedValue(due);
+      certificateService.renewCertificate.mockImplementation(async id => {
+        if (id === 'b') throw new Error('Issuer certificate is not valid');
+        return { certificate: { ...certificates.get(id), id: `${id}-renewed` }, privateKey: null };
+      });
+
+      await expect(renewalService.renewDue()).resolves.toEqual({ renewed: 1, failed: 1 });
+
+      const [query] = Certificate.findAll.mock.calls[0];
+      expect(query.where).toMatchObject({ autoRenew: true, status: 'active', renewedById: null });
+      expect(query.where.notAfter[Op.lte].getTime())
+        .toBeGreaterThan(Date.now() + (config.renewal.renewBeforeDays - 1) * DAY);
+      expect(query.limit).toBe(config.renewal.batchSize);
+      expect(certificateService.renewCertificate).not.toHaveBeenCalledWith('external', expect.anything(), expect.anything());
+    });
+  });
+
+  describe('sendWarnings', () => {
+    const { warningDays } = config.renewal;
+
+    beforeEach(() => {
+      config.renewal.warningDays = [30, 14, 7, 1];
+    });
+
+    afterEach(() => {
+      config.renewal.warningDays = warningDays;
+    });
+
+    it('should send each tier once', async () => {
+      const fresh = entity('fresh', { notAfter: expiresIn(20) });
+      const notified = entity('notified', { notAfter: expiresIn(20), expiryNotifiedDays: 30 });
+      const nextTier = entity('next', { notAfter: expiresIn(6), expiryNotifiedDays: 14 });
+      Certificate.findAll.mockResolvedValue([fresh, notified, nextTier]);
+
+      await expect(renewalService.sendWarnings()).resolves.toBe(2);
+
+      expect(fresh.expiryNotifiedDays).toBe(30);
+      expect(nextTier.expiryNotifiedDays).toBe(7);
+      expect(notified.save).not.toHaveBeenCalled();
+      expect(heraldClient.notify).toHaveBeenCalledWith('owner-1', expect.objectContaining({
+        title: 'Certificate expiring in 6 days',
+        priority: 'high',
+        data: expect.objectContaining({ event: 'certificate.expiring', daysLeft: 6, certificateId: 'next' })
+      }));
+    });
+
+    it('should escalate the final tier', async () => {
+      Certificate.findAll.mockResolvedValue([entity('last', { notAfter: expiresIn(1), autoRenew: false })]);
+
+      await renewalService.sendWarnings();
+
+      expect(heraldClient.notify).toHaveBeenCalledWith('owner-1', expect.objectContaining({
+        type: 'error',
+        priority: 'urgent',
+        title: 'Certificate expiring in 1 day',
+        body: expect.stringContaining('Renew it before then')
+      }));
+    });
+
+    it('should also notify configured watchers', async () => {
+      const { userIds } = config.renewal.notify;
+      config.renewal.notify.userIds = ['ops-1'];
+
+      try {
+        Certificate.findAll.mockResolvedValue([entity('watched', { notAfter: expiresIn(25) })]);
+        await renewalService.sendWarnings();
+
+        expect(heraldClient.notify.mock.calls.map(([userId]) => userId)).toEqual(['ops-1', 'owner-1']);
+      } finally {
+        config.renewal.notify.userIds = userIds;
+      }
+    });
+  });
+
+  describe('renew', () => {
+    it('should record the renewal and notify the owner', async () => {
+      add(entity('cert'));
+
+      const result = await renewalService.renew('cert', { trigger: 'auto' });
+
+      expect(result).toMatchObject({ certificate: { id: 'cert-renewed' }, rekeyed: false });
+      expect(certificateService.renewCertificate).toHaveBeenCalledWith('cert', {
+        rekey: false,
+        revokePrevious: config.renewal.revokeSuperseded
+      }, null);
+      expect(CertificateRenewal.create).toHaveBeenCalledWith(expect.objectContaining({
+        certificateId: 'cert',
+        newCertificateId: 'cert-renewed',
+        trigger: 'auto',
+        status: 'success'
+      }));
+      expect(heraldClient.notify).toHaveBeenCalledWith('owner-1', expect.objectContaining({
+        type: 'success',
+        data: expect.objectContaining({ event: 'certificate.renewed', previousCertificateId: 'cert' })
+      }));
+    });
+
+    it('should broadcast certificate.renewed without the private key', async () => {
+      const { publishEvents } = config.renewal;
+      config.renewal.publishEvents = true;
+      renewalService.ipc = { emit: jest.fn().mockResolvedValue(undefined) };
+      certificateService.getCertificateChain.mockResolvedValue([
+        { type: 'server', pem: 'LEAF' },
+        { type: 'intermediate', pem: 'INTERMEDIATE' },
+        { type: 'root', pem: 'ROOT' }
+      ]);
+      certificateService.renewCertificate.mockResolvedValue({
+        certificate: { ...add(entity('cert')), id: 'cert-renewed', serialNumber: 'new-serial' },
+        privateKey: 'NEW KEY'
+      });
+
+      try {
+        await renewalService.renew('cert', { rekey: true });
+
+        const [event, payload, options] = renewalService.ipc.emit.mock.calls[0];
+        expect(event).toBe('certificate.renewed');
+        expect(options).toEqual({ target: 'broadcast' });
+        expect(payload).toMatchObject({
+          certificateId: 'cert-renewed',
+          previousCertificateId: 'cert',
+          serialNumber: 'new-serial',
+          previousSerialNumber: 'cert-serial',
+          rekeyed: true,
+          chainPem: 'INTERMEDIATE'
+        });
+        expect(JSON.stringify(payload)).not.toContain('NEW KEY');
+      } finally {
+        config.renewal.publishEvents = publishEvents;
+      }
+    });
+
+    it('should record and report failures', async () => {
+      add(entity('cert'));
+      certificateService.renewCertificate.mockRejectedValue(new Error('Issuer certificate is not valid'));
+
+      await expect(renewalService.renew('cert', { trigger: 'auto' })).rejects.toThrow('Issuer certificate is not valid');
+      expect(CertificateRenewal.create).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'failed',
+        error: 'Issuer certificate is not valid'
+      }));
+      expect(heraldClient.notify).toHaveBeenCalledWith('owner-1', expect.objectContaining({
+        title: 'Certificate renewal failed',
+        data: expect.objectContaining({ event: 'certificate.renewal_failed', trigger: 'auto' })
+      }));
+    });
+
+    it('should only renew live entity certificates issued here', async () => {
+      add(entity('ca', { type: 'intermediate' }));
+      add(entity('external', { metadata: { imported: { external: true } } }));
+      add(entity('renewed', { renewedById: 'next' }));
+      add(entity('revoked', { status: 'revoked' }));
+
+      await expect(renewalService.renew('ca')).rejects.toMatchObject({ code: 'RENEWAL_UNSUPPORTED' });
+      await expect(renewalService.renew('external')).rejects.toMatchObject({ code: 'RENEWAL_UNSUPPORTED' });
+      await expect(renewalService.renew('renewed')).rejects.toMatchObject({ code: 'ALREADY_RENEWED', status: 409 });
+      await expect(renewalService.renew('revoked')).rejects.toMatchObject({ code: 'CERTIFICATE_REVOKED' });
+      await expect(renewalService.renew('missing')).rejects.toMatchObject({ code: 'CERTIFICATE_NOT_FOUND' });
+      expect(certificateService.renewCertificate).not.toHaveBeenCalled();
+    });
+
+    it('should require a new key for non-RSA certificates', async () => {
+      const ecPublicKey = nodeCrypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+        .publicKey.export({ type: 'spki', format: 'pem' });
+      add(entity('ec', { publicKey: ecPublicKey }));
+
+      await expect(renewalService.renew('ec')).rejects.toMatchObject({ code: 'REKEY_REQUIRED' });
+      await expect(renewalService.renew('ec', { rekey: true })).resolves.toMatchObject({ rekeyed: true });
+    });
+
+    it('should let only the owner or an admin renew manually', async () => {
+      add(entity('cert'));
+
+      await expect(renewalService.renew('cert', { userId: 'user-2' })).rejects.toMatchObject({ code: 'FORBIDDEN' });
+
+      certificateProfileService.getUserAccess.mockResolvedValue({ roles: new Set(['admin']), groups: new Set(), admin: true });
+      await expect(renewalService.renew('cert', { userId: 'admin-1' })).resolves.toMatchObject({ rekeyed: false });
+    });
+  });
+
+  describe('setAutoRenew', () => {
+    it('should update the settings for the owner', async () => {
+      const certificate = add(entity('cert', { autoRenew: false }));
+
+      await renewalService.setAutoRenew('cert', { autoRenew: true, rekey: true }, 'owner-1');
+
+      expect(certificate).toMatchObject({ autoRenew: true, autoRenewRekey: true });
+      expect(certificate.save).toHaveBeenCalled();
+    });
+
+    it('should refuse CA certificates', async () => {
+      add(entity('root', { type: 'root' }));
+
+      await expect(renewalService.setAutoRenew('root', { autoRenew: true }, 'owner-1'))
+        .rejects.toMatchObject({ code: 'RENEWAL_UNSUPPORTED' });
+    });
+  });
+
+  describe('re-certification', () => {
+    it('should keep the existing key when renewing without rekey', async () => {
+      const root = await createRootCA();
+      const leaf = await issueCertificate(root);
+
+      const renewed = await cryptoLib.generateEntityCertificate({
+        commonName: 'leaf.exprsn.test',
+        validityDays: 30,
+        issuerCert: root.certificate,
+        issuerKey: root.privateKey,
+        publicKey: leaf.publicKey
+      });
+
+      expect(renewed.serialNumber).not.toBe(leaf.serialNumber);
+      expect(cryptoLib.keyMatchesCertificate(leaf.privateKey, renewed.certificate)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,15 @@
+/**
+ * Jest Test Setup
+ * Configure test environment and global mocks
+ */
+
+// Set test environment variables
+process.env.NODE_ENV = 'test';
+
+// Mock logger to prevent console spam during tests
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
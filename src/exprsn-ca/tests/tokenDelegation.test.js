@@ -0,0 +1,371 @@
+/**
+ * Token Delegation Tests
+ * Attenuated child tokens, caveats, chain validation and tree revocation
+ */
+
+jest.mock('../models', () => ({
+  Token: {
+    create: jest.fn(),
+    findByPk: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn(),
+    increment: jest.fn(),
+    sequelize: {
+      literal: jest.fn()
+    }
+  },
+  Certificate: {
+    findByPk: jest.fn()
+  },
+  AuditLog: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../services/keyCeremony', () => ({
+  getSigningKey: jest.fn()
+}));
+
+jest.mock('../services/compactToken', () => ({
+  refresh: jest.fn()
+}));
+
+jest.mock('../utils/redis', () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const { Token, Certificate, AuditLog } = require('../models');
+const keyCeremonyService = require('../services/keyCeremony');
+const compactTokenService = require('../services/compactToken');
+const redisClient = require('../utils/redis');
+const tokenService = require('../services/token');
+const config = require('../config');
+const { createRootCA } = require('./helpers/pki');
+
+/**
+ * Whether a stored token satisfies a Sequelize where clause
+ * (only the operators the token service uses)
+ */
+function matches(record, where) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (condition !== null && typeof condition === 'object') {
+      if (Op.in in condition) return condition[Op.in].includes(record[field]);
+      if (Op.gt in condition) return record[field] > condition[Op.gt];
+      if (Op.gte in condition) return record[field] >= condition[Op.gte];
+    }
+    return record[field] === condition;
+  });
+}
+
+describe('Token Delegation', () => {
+  let ca;
+  let tokens;
+  let certificate;
+
+  beforeAll(async () => {
+    ca = await createRootCA();
+  });
+
+  beforeEach(() => {
+    tokens = new Map();
+    certificate = {
+      id: 'root-1',
+      serialNumber: ca.serialNumber,
+      publicKey: ca.publicKey,
+      status: 'active',
+      isValid: () => true,
+      isExpired: () => false
+    };
+
+    Certificate.findByPk.mockImplementation(async id => (id === certificate.id ? certificate : null));
+    keyCeremonyService.getSigningKey.mockResolvedValue(ca.privateKey);
+    AuditLog.log.mockResolvedValue(undefined);
+    redisClient.get.mockResolvedValue(null);
+    redisClient.set.mockResolvedValue(undefined);
+    redisClient.del.mockResolvedValue(undefined);
+
+    Token.create.mockImplementation(async values => {
+      const record = {
+        id: `token-${tokens.size + 1}`,
+        useCount: 0,
+        ...values,
+        certificate,
+        getPermissions() {
+          return {
+            read: this.permissionRead,
+            write: this.permissionWrite,
+            append: this.permissionAppend,
+            delete: this.permissionDelete,
+            update: this.permissionUpdate
+          };
+        },
+        save: jest.fn().mockResolvedValue(undefined),
+        reload: jest.fn().mockResolvedValue(undefined)
+      };
+      tokens.set(record.id, record);
+      return record;
+    });
+    Token.findByPk.mockImplementation(async id => tokens.get(id) || null);
+    Token.findAll.mockImplementation(async ({ where }) => [...tokens.values()].filter(token => matches(token, where)));
+    Token.sequelize.literal.mockImplementation(sql => ({ sql }));
+    Token.update.mockImplementation(async (values, { where }) => {
+      const affected = [...tokens.values()].filter(token => matches(token, where));
+      for (const token of affected) {
+        for (const [field, value] of Object.entries(values)) {
+          // uses_remaining - N
+          token[field] = value && value.sql ? token[field] - Number(value.sql.split(' - ')[1]) : value;
+        }
+      }
+      return [affected.length];
+    });
+    Token.increment.mockImplementation(async (field, { by, where }) => {
+      tokens.get(where.id)[field] += by;
+    });
+  });
+
+  const issue = (overrides = {}) => tokenService.generateToken({
+    certificateId: 'root-1',
+    permissions: { read: true, write: true },
+    resourceType: 'url',
+    resourceValue: 'https://api.exprsn.test/*',
+    expiryType: 'time',
+    expirySeconds: 3600,
+    ...overrides
+  }, 'user-1');
+
+  describe('delegateToken', () => {
+    it('should derive a signed, attenuated child that validates', async () => {
+      const parent = await issue();
+
+      const child = await tokenService.delegateToken(parent.id, {
+        permissions: { read: true },
+        resourceValue: 'https://api.exprsn.test/files',
+        expirySeconds: 600,
+        caveats: [{ type: 'service', services: ['exprsn-timeline'] }]
+      }, 'user-2');
+
+      expect(child).toMatchObject({
+        parentId: parent.id,
+        depth: 1,
+        permissions: { read: true, write: false },
+        resource: { url: 'https://api.exprsn.test/files' },
+        caveats: [{ type: 'service', services: ['exprsn-timeline'] }]
+      });
+      expect(child.expiresAt - child.issuedAt).toBe(600 * 1000);
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-2',
+        action: 'token.delegate',
+        details: expect.objectContaining({ parentId: parent.id, depth: 1 })
+      }));
+
+      await expect(tokenService.validateToken(child.id, { serviceName: 'exprsn-timeline' }))
+        .resolves.toMatchObject({ valid: true, token: { parentId: parent.id, depth: 1 } });
+    });
+
+    it('should never widen permissions, resource or lifetime', async () => {
+      const parent = await issue({ permissions: { read: true } });
+
+      await expect(tokenService.delegateToken(parent.id, { permissions: { read: true, delete: true } }))
+        .rejects.toMatchObject({ code: 'ATTENUATION_VIOLATION', message: 'Parent token does not grant: delete' });
+      await expect(tokenService.delegateToken(parent.id, { resourceValue: 'https://other.exprsn.test/files' }))
+        .rejects.toMatchObject({ code: 'ATTENUATION_VIOLATION' });
+      await expect(tokenService.delegateToken(parent.id, { resourceValue: 'https://api.exprsn.test/files/' }))
+        .rejects.toMatchObject({ code: 'ATTENUATION_VIOLATION' });
+      await expect(tokenService.delegateToken(parent.id, { expirySeconds: 7200 }))
+        .rejects.toMatchObject({ code: 'ATTENUATION_VIOLATION' });
+      await expect(tokenService.delegateToken(parent.id, { expiryType: 'persistent' }))
+        .rejects.toMatchObject({ code: 'ATTENUATION_VIOLATION' });
+    });
+
+    it('should cap the default lifetime at the parent expiry', async () => {
+      const parent = await issue({ expirySeconds: 120 });
+
+      const child = await tokenService.delegateToken(parent.id);
+
+      expect(child.expiresAt).toBeLessThanOrEqual(parent.expiresAt);
+    });
+
+    it('should draw uses from a use-based parent', async () => {
+      const parent = await issue({ expiryType: 'use', maxUses: 5 });
+
+      const child = await tokenService.delegateToken(parent.id, { maxUses: 3 });
+
+      expect(child).toMatchObject({ expiryType: 'use', maxUses: 3, usesRemaining: 3 });
+      expect(tokens.get(parent.id).usesRemaining).toBe(2);
+      await expect(tokenService.delegateToken(parent.id, { maxUses: 3 }))
+        .rejects.toMatchObject({ code: 'INSUFFICIENT_USES' });
+      await expect(tokenService.delegateToken(parent.id, { expiryType: 'time' }))
+        .rejects.toMatchObject({ code: 'ATTENUATION_VIOLATION' });
+
+      const rest = await tokenService.delegateToken(parent.id);
+      expect(rest.maxUses).toBe(2);
+      expect(tokens.get(parent.id).usesRemaining).toBe(0);
+    });
+
+    it('should return reserved uses when the child cannot be issued', async () => {
+      const parent = await issue({ expiryType: 'use', maxUses: 5 });
+      keyCeremonyService.getSigningKey.mockRejectedValue(Object.assign(new Error('sealed'), { code: 'KEY_SEALED' }));
+
+      await expect(tokenService.delegateToken(parent.id, { maxUses: 2 })).rejects.toMatchObject({ code: 'KEY_SEALED' });
+      expect(tokens.get(parent.id).usesRemaining).toBe(5);
+    });
+
+    it('should limit the chain depth', async () => {
+      const { maxDepth } = config.token.delegation;
+      config.token.delegation.maxDepth = 2;
+
+      try {
+        const root = await issue();
+        const first = await tokenService.delegateToken(root.id);
+        const second = await tokenService.delegateToken(first.id);
+
+        expect(second.depth).toBe(2);
+        await expect(tokenService.delegateToken(second.id))
+          .rejects.toMatchObject({ code: 'DELEGATION_DEPTH_EXCEEDED', status: 403 });
+      } finally {
+        config.token.delegation.maxDepth = maxDepth;
+      }
+    });
+
+    it('should refuse revoked parents and disabled delegation', async () => {
+      const parent = await issue();
+      tokens.get(parent.id).status = 'revoked';
+
+      await expect(tokenService.delegateToken(parent.id)).rejects.toMatchObject({ code: 'PARENT_INVALID', status: 409 });
+      await expect(tokenService.delegateToken('missing')).rejects.toMatchObject({ code: 'TOKEN_NOT_FOUND' });
+
+      const { enabled } = config.token.delegation;
+      config.token.delegation.enabled = false;
+      try {
+        await expect(tokenService.delegateToken(parent.id)).rejects.toMatchObject({ code: 'DELEGATION_DISABLED' });
+      } finally {
+        config.token.delegation.enabled = enabled;
+      }
+    });
+  });
+
+  describe('caveats', () => {
+    it('should accumulate caveats down the chain', async () => {
+      const root = await issue();
+      const first = await tokenService.delegateToken(root.id, { caveats: [{ type: 'ip', cidrs: ['10.0.0.0/8'] }] });
+      const second = await tokenService.delegateToken(first.id, { caveats: [{ type: 'service', services: ['exprsn-spark'] }] });
+
+      expect(second.caveats).toEqual([
+        { type: 'ip', cidrs: ['10.0.0.0/8'] },
+        { type: 'service', services: ['exprsn-spark'] }
+      ]);
+      await expect(tokenService.validateToken(second.id, { clientIp: '10.2.3.4', serviceName: 'exprsn-spark' }))
+        .resolves.toMatchObject({ valid: true });
+      await expect(tokenService.validateToken(second.id, { clientIp: '10.2.3.4', serviceName: 'exprsn-timeline' }))
+        .resolves.toMatchObject({ valid: false, error: 'CAVEAT_NOT_SATISFIED' });
+    });
+
+    it('should match ip caveats by CIDR and address family', () => {
+      const caveats = [{ type: 'ip', cidrs: ['10.0.0.0/8', '192.168.1.7', '2001:db8::/32'] }];
+
+      expect(tokenService.checkCaveats(caveats, { clientIp: '10.200.0.1' })).toBeNull();
+      expect(tokenService.checkCaveats(caveats, { clientIp: '::ffff:10.200.0.1' })).toBeNull();
+      expect(tokenService.checkCaveats(caveats, { clientIp: '192.168.1.7' })).toBeNull();
+      expect(tokenService.checkCaveats(caveats, { clientIp: '2001:db8:1::5' })).toBeNull();
+      expect(tokenService.checkCaveats(caveats, { clientIp: '192.168.1.8' })).toMatchObject({ error: 'CAVEAT_NOT_SATISFIED' });
+      expect(tokenService.checkCaveats(caveats, { clientIp: 'not-an-ip' })).toMatchObject({ error: 'CAVEAT_NOT_SATISFIED' });
+    });
+
+    it('should fail closed without context or for unknown caveats', () => {
+      expect(tokenService.checkCaveats([{ type: 'ip', cidrs: ['10.0.0.0/8'] }], {}))
+        .toMatchObject({ error: 'CAVEAT_NOT_SATISFIED' });
+      expect(tokenService.checkCaveats([{ type: 'service', services: ['exprsn-spark'] }], {}))
+        .toMatchObject({ error: 'CAVEAT_NOT_SATISFIED' });
+      expect(tokenService.checkCaveats([{ type: 'time', after: 0 }], { clientIp: '10.0.0.1', serviceName: 'exprsn-spark' }))
+        .toMatchObject({ error: 'CAVEAT_NOT_SATISFIED' });
+    });
+
+    it('should bind caveats and parent into the signature', async () => {
+      const parent = await issue();
+      const child = await tokenService.delegateToken(parent.id, { caveats: [{ type: 'service', services: ['exprsn-spark'] }] });
+
+      tokens.get(child.id).caveats = [];
+
+      await expect(tokenService.validateToken(child.id))
+        .resolves.toMatchObject({ valid: false, error: 'INVALID_SIGNATURE' });
+    });
+
+    it('should not cache results for tokens with caveats', async () => {
+      const parent = await issue();
+      const child = await tokenService.delegateToken(parent.id, { caveats: [{ type: 'service', services: ['exprsn-spark'] }] });
+
+      await tokenService.validateToken(child.id, { serviceName: 'exprsn-spark' });
+
+      expect(redisClient.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('chain validation', () => {
+    it('should invalidate children of expired parents', async () => {
+      const parent = await issue();
+      const child = await tokenService.delegateToken(parent.id);
+
+      tokens.get(parent.id).expiresAt = Date.now() - 1000;
+
+      await expect(tokenService.validateToken(child.id))
+        .resolves.toMatchObject({ valid: false, error: 'PARENT_INVALID', parentId: parent.id });
+    });
+
+    it('should keep children of exhausted use-based parents valid', async () => {
+      const parent = await issue({ expiryType: 'use', maxUses: 2 });
+      const child = await tokenService.delegateToken(parent.id);
+
+      expect(tokens.get(parent.id).usesRemaining).toBe(0);
+      await expect(tokenService.validateToken(child.id)).resolves.toMatchObject({ valid: true });
+      expect(tokens.get(child.id).usesRemaining).toBe(1);
+    });
+  });
+
+  describe('tree revocation', () => {
+    it('should revoke every descendant with the token', async () => {
+      const root = await issue();
+      const a = await tokenService.delegateToken(root.id);
+      const b = await tokenService.delegateToken(a.id);
+      const c = await tokenService.delegateToken(root.id);
+
+      await tokenService.revokeToken(root.id, 'compromised', 'admin-1');
+
+      expect([a, b, c].map(token => tokens.get(token.id).status)).toEqual(['revoked', 'revoked', 'revoked']);
+      expect(tokens.get(b.id).revokedReason).toBe('Parent token revoked');
+      expect(redisClient.del).toHaveBeenCalledWith(`token:validation:${b.id}`);
+      expect(compactTokenService.refresh).toHaveBeenCalled();
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'token.revoke',
+        details: expect.objectContaining({ descendantsRevoked: 3 })
+      }));
+      await expect(tokenService.validateToken(b.id)).resolves.toMatchObject({ valid: false, error: 'TOKEN_REVOKED' });
+    });
+
+    it('should leave the rest of the tree alone', async () => {
+      const root = await issue();
+      const a = await tokenService.delegateToken(root.id);
+      const b = await tokenService.delegateToken(a.id);
+      const c = await tokenService.delegateToken(root.id);
+
+      await tokenService.revokeToken(a.id, 'no longer needed');
+
+      expect(tokens.get(b.id).status).toBe('revoked');
+      expect(tokens.get(root.id).status).toBe('active');
+      expect(tokens.get(c.id).status).toBe('active');
+      await expect(tokenService.validateToken(c.id)).resolves.toMatchObject({ valid: true });
+    });
+
+    it('should reject a child whose parent was revoked directly', async () => {
+      const parent = await issue();
+      const child = await tokenService.delegateToken(parent.id);
+
+      tokens.get(parent.id).status = 'revoked';
+
+      await expect(tokenService.validateToken(child.id))
+        .resolves.toMatchObject({ valid: false, error: 'TOKEN_REVOKED', message: 'A parent token has been revoked' });
+    });
+  });
+});
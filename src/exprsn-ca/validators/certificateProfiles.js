@@ -0,0 +1,163 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Certificate Profile Validation Schemas
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const Joi = require('joi');
+
+const slug = Joi.string()
+  .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+  .max(100);
+
+const slugList = Joi.array()
+  .items(slug)
+  .max(100)
+  .messages({
+    'string.pattern.base': 'Role and group references must be slugs'
+  });
+
+const extensionList = Joi.array()
+  .items(Joi.string().max(100))
+  .max(50);
+
+/**
+ * Profile definition fields shared by create and update
+ */
+const profileFields = {
+  displayName: Joi.string()
+    .min(1)
+    .max(255)
+    .messages({
+      'string.max': 'Display name must not exceed 255 characters'
+    }),
+  description: Joi.string()
+    .max(1000)
+    .allow('')
+    .messages({
+      'string.max': 'Description must not exceed 1000 characters'
+    }),
+  certificateType: Joi.string()
+    .valid('client', 'server', 'code_signing', 'entity', 'san', 'intermediate')
+    .messages({
+      'any.only': 'Type must be client, server, code_signing, entity, san, or intermediate'
+    }),
+  keyUsage: Joi.array()
+    .items(Joi.string().valid(
+      'digitalSignature', 'nonRepudiation', 'keyEncipherment', 'dataEncipherment',
+      'keyAgreement', 'keyCertSign', 'cRLSign', 'encipherOnly', 'decipherOnly'
+    ))
+    .messages({
+      'any.only': 'Unknown key usage'
+    }),
+  extendedKeyUsage: Joi.array()
+    .items(Joi.string().valid(
+      'serverAuth', 'clientAuth', 'codeSigning', 'emailProtection', 'timeStamping', 'OCSPSigning'
+    ))
+    .messages({
+      'any.only': 'Unknown extended key usage'
+    }),
+  keyAlgorithms: Joi.object({
+    rsa: Joi.array().items(Joi.number().valid(2048, 3072, 4096)).min(1),
+    ec: Joi.array().items(Joi.number().valid(256, 384, 521)).min(1)
+  }).min(1)
+    .messages({
+      'object.min': 'At least one key algorithm must be allowed',
+      'any.only': 'Unsupported key size'
+    }),
+  maxValidityDays: Joi.number()
+    .integer()
+    .min(1)
+    .max(7300)
+    .messages({
+      'number.min': 'Maximum validity must be at least 1 day',
+      'number.max': 'Maximum validity must not exceed 7300 days'
+    }),
+  requiredExtensions: extensionList,
+  forbiddenExtensions: extensionList,
+  commonNamePattern: Joi.string()
+    .max(500)
+    .allow(null, ''),
+  sanPatterns: Joi.array()
+    .items(Joi.string().max(500))
+    .max(50),
+  nameConstraints: Joi.object({
+    permitted: Joi.array().items(Joi.string().hostname()).default([]),
+    excluded: Joi.array().items(Joi.string().hostname()).default([])
+  }).allow(null)
+    .messages({
+      'string.hostname': 'Name constraints must be DNS names'
+    }),
+  allowedRoles: slugList,
+  allowedGroups: slugList,
+  status: Joi.string()
+    .valid('active', 'disabled')
+    .messages({
+      'any.only': 'Status must be active or disabled'
+    }),
+  metadata: Joi.object()
+    .messages({
+      'object.base': 'Metadata must be a valid JSON object'
+    })
+};
+
+/**
+ * Create certificate profile schema
+ */
+const createCertificateProfileSchema = Joi.object({
+  ...profileFields,
+  name: slug
+    .required()
+    .messages({
+      'string.pattern.base': 'Name must be lowercase alphanumeric with hyphens',
+      'any.required': 'Profile name is required'
+    }),
+  displayName: profileFields.displayName.required(),
+  certificateType: profileFields.certificateType.required(),
+  keyAlgorithms: profileFields.keyAlgorithms.default({ rsa: [2048, 3072, 4096] }),
+  maxValidityDays: profileFields.maxValidityDays.default(365)
+});
+
+/**
+ * Update certificate profile schema
+ */
+const updateCertificateProfileSchema = Joi.object(profileFields)
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+/**
+ * Profile dry-run schema
+ */
+const checkCertificateProfileSchema = Joi.object({
+  commonName: Joi.string()
+    .max(255)
+    .optional(),
+  subjectAlternativeNames: Joi.array()
+    .items(Joi.string().max(255))
+    .max(100)
+    .default([]),
+  keyType: Joi.string()
+    .valid('rsa', 'ec')
+    .optional(),
+  keySize: Joi.number()
+    .integer()
+    .optional(),
+  validityDays: Joi.number()
+    .integer()
+    .min(1)
+    .optional(),
+  issuerId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid issuer certificate ID format'
+    })
+});
+
+module.exports = {
+  createCertificateProfileSchema,
+  updateCertificateProfileSchema,
+  checkCertificateProfileSchema
+};
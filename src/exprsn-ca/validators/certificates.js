@@ -105,6 +105,13 @@ const generateIntermediateCertificateSchema = Joi.object({
       'string.guid': 'Invalid issuer certificate ID format',
       'any.required': 'Issuer certificate ID is required'
     }),
+  profile: Joi.string()
+    .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .max(100)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Profile must be a profile name such as tls-server'
+    }),
   keySize: Joi.number()
     .valid(2048, 4096)
     .default(4096)
@@ -153,17 +160,24 @@ const generateCertificateSchema = Joi.object({
     .messages({
       'string.guid': 'Invalid issuer certificate ID format'
     }),
+  profile: Joi.string()
+    .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .max(100)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Profile must be a profile name such as tls-server'
+    }),
   keySize: Joi.number()
-    .valid(2048, 4096)
-    .default(2048)
+    .valid(2048, 3072, 4096)
+    .optional()
     .messages({
-      'any.only': 'Key size must be 2048 or 4096 bits'
+      'any.only': 'Key size must be 2048, 3072, or 4096 bits'
     }),
   validityDays: Joi.number()
     .integer()
     .min(1)
     .max(825)
-    .default(365)
+    .optional()
     .messages({
       'number.min': 'Validity period must be at least 1 day',
       'number.max': 'Validity period must not exceed 825 days (per CA/Browser Forum baseline)'
@@ -221,7 +235,7 @@ const certificateSigningRequestSchema = Joi.object({
     .integer()
     .min(1)
     .max(825)
-    .default(365)
+    .optional()
     .messages({
       'number.min': 'Validity period must be at least 1 day',
       'number.max': 'Validity period must not exceed 825 days'
@@ -231,6 +245,19 @@ const certificateSigningRequestSchema = Joi.object({
     .default('entity')
     .messages({
       'any.only': 'Type must be entity, san, code_signing, client, or server'
+    }),
+  issuerId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid issuer certificate ID format'
+    }),
+  profile: Joi.string()
+    .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .max(100)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Profile must be a profile name such as tls-server'
     })
 });
 
@@ -262,11 +289,118 @@ const renewCertificateSchema = Joi.object({
     })
 });
 
+/**
+ * Bundle formats; key stores need a password
+ */
+const bundleFormats = ['pem', 'der', 'p7b', 'p12', 'pfx', 'jks'];
+const keyStoreFormats = ['p12', 'pfx', 'jks'];
+
+/**
+ * Certificate export schema
+ */
+const exportCertificateSchema = Joi.object({
+  format: Joi.string()
+    .valid(...bundleFormats)
+    .required()
+    .messages({
+      'any.only': 'Format must be pem, der, p7b, p12, pfx, or jks',
+      'any.required': 'Format is required'
+    }),
+  password: Joi.string()
+    .min(6)
+    .max(128)
+    .when('format', {
+      is: Joi.valid(...keyStoreFormats),
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    })
+    .messages({
+      'string.min': 'Password must be at least 6 characters',
+      'any.required': 'A password is required for PKCS#12 and JKS key stores'
+    }),
+  includeChain: Joi.boolean()
+    .default(true),
+  includeKey: Joi.boolean()
+    .when('format', {
+      is: Joi.valid('der', 'p7b'),
+      then: Joi.valid(false),
+      otherwise: Joi.optional()
+    })
+    .messages({
+      'any.only': 'DER and PKCS#7 exports cannot carry a private key'
+    }),
+  keyPassword: Joi.string()
+    .max(128)
+    .optional(),
+  alias: Joi.string()
+    .pattern(/^[A-Za-z0-9._-]+$/)
+    .max(64)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Alias may only contain letters, numbers, dots, dashes and underscores'
+    }),
+  encryption: Joi.string()
+    .valid('3des', 'aes256')
+    .default('3des')
+    .messages({
+      'any.only': 'Encryption must be 3des or aes256'
+    })
+});
+
+/**
+ * Certificate import schema
+ */
+const importCertificateSchema = Joi.object({
+  format: Joi.string()
+    .valid(...bundleFormats)
+    .required()
+    .messages({
+      'any.only': 'Format must be pem, der, p7b, p12, pfx, or jks',
+      'any.required': 'Format is required'
+    }),
+  data: Joi.string()
+    .max(5 * 1024 * 1024)
+    .required()
+    .messages({
+      'any.required': 'Bundle data is required (PEM text, otherwise base64)'
+    }),
+  password: Joi.string()
+    .max(128)
+    .when('format', {
+      is: Joi.valid(...keyStoreFormats),
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    })
+    .messages({
+      'any.required': 'A password is required for PKCS#12 and JKS key stores'
+    }),
+  privateKey: Joi.string()
+    .max(64 * 1024)
+    .optional(),
+  keyPassword: Joi.string()
+    .max(128)
+    .optional(),
+  ownerId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid owner user ID format'
+    }),
+  type: Joi.string()
+    .valid('entity', 'code_signing', 'client', 'server')
+    .optional()
+    .messages({
+      'any.only': 'Type must be entity, code_signing, client, or server'
+    })
+});
+
 module.exports = {
   generateRootCertificateSchema,
   generateIntermediateCertificateSchema,
   generateCertificateSchema,
   revokeCertificateSchema,
   certificateSigningRequestSchema,
-  renewCertificateSchema
+  renewCertificateSchema,
+  exportCertificateSchema,
+  importCertificateSchema
 };
@@ -7,6 +7,9 @@
 const authValidators = require('./auth');
 const tokenValidators = require('./tokens');
 const certificateValidators = require('./certificates');
+const certificateProfileValidators = require('./certificateProfiles');
+const keyCeremonyValidators = require('./keyCeremonies');
+const renewalValidators = require('./renewals');
 const ticketValidators = require('./tickets');
 const userValidators = require('./users');
 const groupValidators = require('./groups');
@@ -60,6 +63,15 @@ module.exports = {
   // Certificate validators
   ...certificateValidators,
 
+  // Certificate profile validators
+  ...certificateProfileValidators,
+
+  // Key ceremony validators
+  ...keyCeremonyValidators,
+
+  // Renewal validators
+  ...renewalValidators,
+
   // Ticket validators
   ...ticketValidators,
 
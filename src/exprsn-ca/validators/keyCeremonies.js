@@ -0,0 +1,70 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Key Ceremony Validation Schemas
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const Joi = require('joi');
+
+/**
+ * Begin key ceremony schema
+ */
+const beginKeyCeremonySchema = Joi.object({
+  certificateId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid certificate ID format',
+      'any.required': 'Root certificate ID is required'
+    }),
+  threshold: Joi.number()
+    .integer()
+    .min(2)
+    .max(255)
+    .required()
+    .messages({
+      'number.min': 'Threshold must be at least 2 shares',
+      'any.required': 'Threshold is required'
+    }),
+  shares: Joi.number()
+    .integer()
+    .min(Joi.ref('threshold'))
+    .max(255)
+    .required()
+    .messages({
+      'number.min': 'Share count must not be below the threshold',
+      'number.max': 'Share count must not exceed 255',
+      'any.required': 'Share count is required'
+    }),
+  custodians: Joi.array()
+    .items(Joi.string().max(255))
+    .max(255)
+    .optional()
+    .messages({
+      'string.max': 'Custodian names must not exceed 255 characters'
+    })
+});
+
+/**
+ * Submit key share schema
+ */
+const submitKeyShareSchema = Joi.object({
+  share: Joi.string()
+    .trim()
+    .hex()
+    .min(4)
+    .max(1024)
+    .required()
+    .messages({
+      'string.hex': 'Share must be hex-encoded',
+      'any.required': 'Share is required'
+    }),
+  custodian: Joi.string()
+    .max(255)
+    .optional()
+});
+
+module.exports = {
+  beginKeyCeremonySchema,
+  submitKeyShareSchema
+};
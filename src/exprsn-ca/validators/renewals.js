@@ -0,0 +1,34 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ * Certificate Renewal Validation Schemas
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const Joi = require('joi');
+
+/**
+ * Update auto-renew settings schema
+ */
+const updateRenewalSettingsSchema = Joi.object({
+  autoRenew: Joi.boolean()
+    .optional(),
+  rekey: Joi.boolean()
+    .optional()
+})
+  .or('autoRenew', 'rekey')
+  .messages({
+    'object.missing': 'Provide autoRenew or rekey'
+  });
+
+/**
+ * Manual renewal schema
+ */
+const renewNowSchema = Joi.object({
+  rekey: Joi.boolean()
+    .optional()
+});
+
+module.exports = {
+  updateRenewalSettingsSchema,
+  renewNowSchema
+};
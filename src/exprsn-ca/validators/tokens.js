@@ -89,6 +89,139 @@ const generateTokenSchema = Joi.object({
     })
 });
 
+/**
+ * Compact token (v2.0) generation schema
+ * Compact tokens are always time-based
+ */
+const generateCompactTokenSchema = Joi.object({
+  certificateId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid certificate ID format',
+      'any.required': 'Certificate ID is required'
+    }),
+  permissions: Joi.object({
+    read: Joi.boolean().default(false),
+    write: Joi.boolean().default(false),
+    append: Joi.boolean().default(false),
+    delete: Joi.boolean().default(false),
+    update: Joi.boolean().default(false)
+  }).required()
+    .messages({
+      'any.required': 'Permissions object is required'
+    }),
+  resourceType: Joi.string()
+    .valid('url', 'did', 'cid')
+    .required()
+    .messages({
+      'any.only': 'Resource type must be one of: url, did, cid',
+      'any.required': 'Resource type is required'
+    }),
+  resourceValue: Joi.string()
+    .max(1000)
+    .required()
+    .messages({
+      'string.max': 'Resource value must not exceed 1000 characters',
+      'any.required': 'Resource value is required'
+    }),
+  expirySeconds: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .messages({
+      'number.min': 'Expiry must be at least 1 second'
+    }),
+  notBefore: Joi.number()
+    .integer()
+    .min(Date.now())
+    .optional()
+    .messages({
+      'number.min': 'Not-before time must be in the future or present'
+    }),
+  data: Joi.object()
+    .optional()
+    .messages({
+      'object.base': 'Token data must be a valid JSON object'
+    })
+});
+
+/**
+ * Token delegation schema
+ * Omitted fields inherit the parent's; anything given may only narrow it
+ */
+const delegateTokenSchema = Joi.object({
+  parentToken: Joi.alternatives()
+    .try(
+      Joi.string().uuid(),
+      Joi.string().pattern(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/)
+    )
+    .required()
+    .messages({
+      'alternatives.match': 'Parent token must be a token ID or compact token',
+      'any.required': 'Parent token is required'
+    }),
+  permissions: Joi.object({
+    read: Joi.boolean().default(false),
+    write: Joi.boolean().default(false),
+    append: Joi.boolean().default(false),
+    delete: Joi.boolean().default(false),
+    update: Joi.boolean().default(false)
+  }).optional(),
+  resourceValue: Joi.string()
+    .max(1000)
+    .optional()
+    .messages({
+      'string.max': 'Resource value must not exceed 1000 characters'
+    }),
+  expiryType: Joi.string()
+    .valid('time', 'use', 'persistent')
+    .optional()
+    .messages({
+      'any.only': 'Expiry type must be one of: time, use, persistent'
+    }),
+  expirySeconds: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .messages({
+      'number.min': 'Expiry must be at least 1 second'
+    }),
+  maxUses: Joi.number()
+    .integer()
+    .min(1)
+    .max(1000000)
+    .optional()
+    .messages({
+      'number.min': 'Max uses must be at least 1',
+      'number.max': 'Max uses must not exceed 1,000,000'
+    }),
+  notBefore: Joi.number()
+    .integer()
+    .optional(),
+  data: Joi.object()
+    .optional()
+    .messages({
+      'object.base': 'Token data must be a valid JSON object'
+    }),
+  caveats: Joi.array()
+    .items(Joi.alternatives().try(
+      Joi.object({
+        type: Joi.string().valid('ip').required(),
+        cidrs: Joi.array().items(Joi.string().ip({ cidr: 'optional' })).min(1).required()
+      }),
+      Joi.object({
+        type: Joi.string().valid('service').required(),
+        services: Joi.array().items(Joi.string().max(100)).min(1).required()
+      })
+    ))
+    .max(20)
+    .default([])
+    .messages({
+      'alternatives.match': 'Caveats must be {type: "ip", cidrs: [...]} or {type: "service", services: [...]}'
+    })
+});
+
 /**
  * Token validation schema
  */
@@ -122,7 +255,16 @@ const validateTokenSchema = Joi.object({
     .optional()
     .messages({
       'string.max': 'Resource value must not exceed 1000 characters'
-    })
+    }),
+  clientIp: Joi.string()
+    .ip()
+    .optional()
+    .messages({
+      'string.ip': 'Client IP must be a valid IP address'
+    }),
+  serviceName: Joi.string()
+    .max(100)
+    .optional()
 }).or('token', 'tokenId')
   .messages({
     'object.missing': 'Either token or tokenId must be provided'
@@ -171,6 +313,8 @@ const refreshTokenSchema = Joi.object({
 
 module.exports = {
   generateTokenSchema,
+  generateCompactTokenSchema,
+  delegateTokenSchema,
   validateTokenSchema,
   revokeTokenSchema,
   refreshTokenSchema
@@ -40,6 +40,7 @@ const decisionTableRoutes = require('./routes/decisionTables');
 // Import Low-Code Platform
 const lowcodeRouter = require('./lowcode/index');
 const { configureLowCodeViews } = require('./lowcode/index');
+const lowcodeConfig = require('./lowcode/config');
 
 // Import Workflow Module
 const workflowRouter = require('./workflow/index');
@@ -213,6 +214,11 @@ function createApp() {
   // Mount Forge Business Platform (CRM, ERP, Groupware)
   app.use('/forge', forgeRouter);
 
+  // Git smart HTTP transport (clone/fetch/push of low-code repositories)
+  if (lowcodeConfig.git.http.enabled) {
+    app.use('/git', require('./lowcode/routes/gitTransport'));
+  }
+
   // Override CSP for Git Setup to allow inline event handlers
   app.use('/git', (req, res, next) => {
     res.setHeader('Content-Security-Policy',
@@ -437,6 +443,33 @@ async function startServer() {
     // Initialize Workflow Scheduler
     await initializeWorkflowScheduler();
 
+    // Start Git SSH server
+    let gitSSHServer;
+    if (lowcodeConfig.git.ssh.enabled) {
+      try {
+        const GitSSHServer = require('./lowcode/services/GitSSHServer');
+        const GitTransportService = require('./lowcode/services/GitTransportService');
+        gitSSHServer = new GitSSHServer(new GitTransportService(require('./lowcode/models')));
+        await gitSSHServer.start();
+      } catch (error) {
+        logger.warn('Failed to start Git SSH server:', error.message);
+        gitSSHServer = null;
+      }
+    }
+
+    // Schedule built-in security scans
+    let gitSecurityService;
+    if (lowcodeConfig.git.security.scheduledScans) {
+      try {
+        const GitSecurityService = require('./lowcode/services/GitSecurityService');
+        gitSecurityService = new GitSecurityService(require('./lowcode/models'));
+        await gitSecurityService.startScheduledScans();
+      } catch (error) {
+        logger.warn('Failed to schedule security scans:', error.message);
+        gitSecurityService = null;
+      }
+    }
+
     // Initialize Hot Reload System (development only)
     if (config.env === 'development') {
       const hotReload = require('./utils/hotReload');
@@ -480,6 +513,14 @@ async function startServer() {
 
       shutdownWorkflowServices();
 
+      if (gitSSHServer) {
+        gitSSHServer.stop().catch(error => logger.warn('Failed to stop Git SSH server:', error.message));
+      }
+
+      if (gitSecurityService) {
+        gitSecurityService.stopScheduledScans();
+      }
+
       // Close both HTTP and HTTPS servers if they exist
       let serversToClose = 0;
       let serversClosed = 0;
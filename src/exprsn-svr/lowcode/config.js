@@ -5,6 +5,8 @@
  * This includes settings for forms, applications, workflows, BPM, and automation.
  */
 
+const path = require('path');
+
 module.exports = {
   // Platform Settings
   platform: {
@@ -29,6 +31,10 @@ module.exports = {
   formula: {
     maxExecutionTime: 5000, // 5 seconds max formula execution
     maxRecursionDepth: 100,
+    maxSteps: 100000, // Evaluation steps per formula before #CALC!
+    maxArrayLength: 100000, // Largest array a formula may build
+    maxStringLength: 1000000, // Longest text a formula may build
+    maxFormulaLength: 10000, // Characters of formula source
     enableCaching: true,
     cacheTTL: 3600, // 1 hour cache TTL
     sandboxTimeout: 3000, // 3 seconds for sandboxed code
@@ -68,6 +74,46 @@ module.exports = {
     gitProvider: process.env.GIT_PROVIDER || 'github', // github, gitlab, bitbucket
   },
 
+  // Git Hosting Settings
+  git: {
+    repositoriesPath: process.env.GIT_REPOSITORIES_PATH || path.join(__dirname, '../../git-repositories'),
+    gitBinary: process.env.GIT_BINARY || 'git',
+
+    // Identity for commits the server writes (merges, applied suggestions,
+    // conflict resolutions) when the acting user has no name or email
+    committer: {
+      name: process.env.GIT_COMMITTER_NAME || 'Exprsn',
+      email: process.env.GIT_COMMITTER_EMAIL || 'noreply@exprsn.io',
+    },
+
+    // Smart HTTP transport (git clone https://host/git/<slug>.git)
+    http: {
+      enabled: process.env.GIT_HTTP_ENABLED !== 'false',
+    },
+
+    // SSH transport (git clone ssh://git@host:<port>/<slug>.git)
+    ssh: {
+      enabled: process.env.GIT_SSH_ENABLED === 'true',
+      host: process.env.GIT_SSH_HOST || '0.0.0.0',
+      port: parseInt(process.env.GIT_SSH_PORT) || 2222,
+      hostKeyPath: process.env.GIT_SSH_HOST_KEY_PATH || path.join(__dirname, '../keys/git-ssh-host-key.pem'),
+    },
+
+    // CI runners lease pipeline jobs and must renew the lease (by streaming
+    // logs or reporting status) before it expires
+    runners: {
+      leaseSeconds: parseInt(process.env.GIT_RUNNER_LEASE_SECONDS) || 120,
+      maxLogChunkBytes: 1024 * 1024, // 1MB per log upload
+      maxLogBytes: parseInt(process.env.GIT_RUNNER_MAX_LOG_BYTES) || 16 * 1024 * 1024,
+    },
+
+    // Built-in secret and dependency scanners
+    security: {
+      scheduledScans: process.env.GIT_SECURITY_SCHEDULED_SCANS !== 'false',
+      maxHistoryCommits: parseInt(process.env.GIT_SECURITY_MAX_HISTORY_COMMITS) || 10000,
+    },
+  },
+
   // Cards (Reusable Components) Settings
   cards: {
     maxCardSize: 5 * 1024 * 1024, // 5MB max card size
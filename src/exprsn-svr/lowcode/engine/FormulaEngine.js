@@ -1,19 +1,30 @@
 /**
  * Formula Engine
  *
- * Power Apps-style formula language parser and evaluator.
- * Supports 50+ functions for data manipulation, text processing, logic, and more.
+ * Power Apps-style formula language evaluator. Formulas are parsed and run
+ * by the sandboxed interpreter in ./formula, so they can only read the
+ * context, variables and collections held here and call library functions.
+ * Runtime problems come back as error values (#DIV/0!, #REF!, ...), and
+ * CPU and memory use is bounded by the limits in config.formula.
  */
 
-const { Parser } = require('expr-eval');
-const vm2 = require('vm2');
+const {
+  createInterpreter,
+  errors,
+  isFormulaError,
+  collectReferences,
+  collectFunctions,
+} = require('./formula');
+const { contextResolver } = require('./formula/Interpreter');
+const { isRecord } = require('./formula/values');
 
 class FormulaEngine {
   constructor() {
-    this.parser = new Parser();
     this.context = {};
     this.collections = new Map();
     this.variables = new Map();
+
+    this.interpreter = createInterpreter({ functions: this.stateFunctions() });
   }
 
   /**
@@ -40,196 +51,144 @@ class FormulaEngine {
 
   /**
    * Evaluate a formula expression
+   * @returns {*} The result, or a FormulaError value such as #DIV/0!
+   * @throws {Error} When the formula cannot be parsed
    */
   evaluate(formula, localContext = {}) {
+    let ast;
     try {
-      const fullContext = {
-        ...this.context,
-        ...localContext,
-        ...this.getBuiltInFunctions(),
-      };
-
-      // If formula is a simple variable reference
-      if (/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(formula)) {
-        return fullContext[formula];
-      }
-
-      // Parse and evaluate the formula
-      const expression = this.parser.parse(formula);
-      const result = expression.evaluate(fullContext);
-
-      return result;
+      ast = this.interpreter.compile(formula);
     } catch (error) {
-      console.error('Formula evaluation error:', error);
       throw new Error(`Formula error: ${error.message}`);
     }
+
+    return this.interpreter.evaluate(ast, { resolve: this.resolver(localContext) });
   }
 
   /**
-   * Get all built-in formula functions
+   * Check formula syntax without evaluating it
+   * @returns {{ valid: boolean, error?: string, position?: number, references?: string[], functions?: string[] }}
    */
-  getBuiltInFunctions() {
-    return {
-      // Data Functions
-      Filter: this.Filter.bind(this),
-      LookUp: this.LookUp.bind(this),
-      Sort: this.Sort.bind(this),
-      CountRows: this.CountRows.bind(this),
-      Sum: this.Sum.bind(this),
-      Average: this.Average.bind(this),
-      Min: this.Min.bind(this),
-      Max: this.Max.bind(this),
-      First: this.First.bind(this),
-      Last: this.Last.bind(this),
-
-      // Collection Functions
-      ClearCollect: this.ClearCollect.bind(this),
-      Collect: this.Collect.bind(this),
-      Remove: this.Remove.bind(this),
-      Clear: this.Clear.bind(this),
-
-      // Variable Functions
-      Set: this.Set.bind(this),
-      UpdateContext: this.UpdateContext.bind(this),
-
-      // Text Functions
-      Upper: this.Upper.bind(this),
-      Lower: this.Lower.bind(this),
-      Proper: this.Proper.bind(this),
-      Concatenate: this.Concatenate.bind(this),
-      Len: this.Len.bind(this),
-      Left: this.Left.bind(this),
-      Right: this.Right.bind(this),
-      Mid: this.Mid.bind(this),
-      Trim: this.Trim.bind(this),
-      Replace: this.Replace.bind(this),
-      Substitute: this.Substitute.bind(this),
-      Split: this.Split.bind(this),
-
-      // Logical Functions
-      If: this.If.bind(this),
-      Switch: this.Switch.bind(this),
-      And: this.And.bind(this),
-      Or: this.Or.bind(this),
-      Not: this.Not.bind(this),
-
-      // Date/Time Functions
-      Now: this.Now.bind(this),
-      Today: this.Today.bind(this),
-      DateAdd: this.DateAdd.bind(this),
-      DateDiff: this.DateDiff.bind(this),
-      Year: this.Year.bind(this),
-      Month: this.Month.bind(this),
-      Day: this.Day.bind(this),
-      Hour: this.Hour.bind(this),
-      Minute: this.Minute.bind(this),
-      Second: this.Second.bind(this),
-
-      // Math Functions
-      Abs: Math.abs,
-      Round: Math.round,
-      RoundUp: Math.ceil,
-      RoundDown: Math.floor,
-      Power: Math.pow,
-      Sqrt: Math.sqrt,
-      Exp: Math.exp,
-      Ln: Math.log,
-      Log: Math.log10,
-
-      // Validation Functions
-      IsBlank: this.IsBlank.bind(this),
-      IsEmpty: this.IsEmpty.bind(this),
-      IsNumeric: this.IsNumeric.bind(this),
-      IsToday: this.IsToday.bind(this),
-
-      // Utility Functions
-      Coalesce: this.Coalesce.bind(this),
-      Blank: this.Blank.bind(this),
-      Defaults: this.Defaults.bind(this),
-      RGBA: this.RGBA.bind(this),
-    };
-  }
-
-  // ============ DATA FUNCTIONS ============
-
-  Filter(collection, condition) {
-    const data = this.getCollection(collection);
-    // In a real implementation, condition would be evaluated for each row
-    // For now, accept a function
-    if (typeof condition === 'function') {
-      return data.filter(condition);
-    }
-    return data;
-  }
-
-  LookUp(collection, condition, returnField) {
-    const data = this.getCollection(collection);
-    const result = typeof condition === 'function'
-      ? data.find(condition)
-      : data[0];
-
-    if (returnField && result) {
-      return result[returnField];
+  validate(formula) {
+    try {
+      const ast = this.interpreter.compile(formula);
+      return { valid: true, references: collectReferences(ast), functions: collectFunctions(ast) };
+    } catch (error) {
+      return { valid: false, error: error.message, position: error.position };
     }
-    return result;
-  }
-
-  Sort(collection, field, direction = 'Ascending') {
-    const data = [...this.getCollection(collection)];
-    const sortDir = direction === 'Ascending' ? 1 : -1;
-
-    return data.sort((a, b) => {
-      const aVal = typeof field === 'function' ? field(a) : a[field];
-      const bVal = typeof field === 'function' ? field(b) : b[field];
-
-      if (aVal < bVal) return -1 * sortDir;
-      if (aVal > bVal) return 1 * sortDir;
-      return 0;
-    });
-  }
-
-  CountRows(collection) {
-    const data = this.getCollection(collection);
-    return data.length;
-  }
-
-  Sum(collection, field) {
-    const data = this.getCollection(collection);
-    return data.reduce((sum, item) => {
-      const val = typeof field === 'function' ? field(item) : item[field];
-      return sum + (Number(val) || 0);
-    }, 0);
   }
 
-  Average(collection, field) {
-    const count = this.CountRows(collection);
-    return count > 0 ? this.Sum(collection, field) / count : 0;
-  }
+  /**
+   * Names visible to a formula: local context, then the engine context
+   * (which includes variables), then collections
+   */
+  resolver(localContext) {
+    const local = contextResolver(localContext);
+    const shared = contextResolver(this.context);
 
-  Min(collection, field) {
-    const data = this.getCollection(collection);
-    const values = data.map(item =>
-      typeof field === 'function' ? field(item) : item[field]
+    return parts => local(parts) || shared(parts) || (
+      this.collections.has(parts[0]) ? { value: this.collections.get(parts[0]), consumed: 1 } : null
     );
-    return Math.min(...values);
   }
 
-  Max(collection, field) {
-    const data = this.getCollection(collection);
-    const values = data.map(item =>
-      typeof field === 'function' ? field(item) : item[field]
-    );
-    return Math.max(...values);
+  /**
+   * Get the built-in formula functions
+   * @returns {Array<{ name: string, category: string, minArgs: number, maxArgs: number|null }>}
+   */
+  getBuiltInFunctions() {
+    return [...this.interpreter.functions.values()].map(fn => ({
+      name: fn.name,
+      category: fn.category,
+      minArgs: fn.min,
+      maxArgs: fn.max === Infinity ? null : fn.max,
+    }));
   }
 
-  First(collection) {
-    const data = this.getCollection(collection);
-    return data[0];
-  }
+  /**
+   * Formula functions that change variables and collections. Their first
+   * argument is a name, not a value: Set(total, 5), Collect(cart, item).
+   */
+  stateFunctions() {
+    const nameOf = (thunk, what) => {
+      if (!thunk.ref || thunk.ref.includes('.')) throw errors.value(`Expected a ${what} name`);
+      return thunk.ref;
+    };
+
+    const valuesOf = thunks => {
+      const items = [];
+      for (const thunk of thunks) {
+        const value = thunk();
+        if (isFormulaError(value)) throw value;
+        items.push(...(Array.isArray(value) ? value : [value]));
+      }
+      return items;
+    };
 
-  Last(collection) {
-    const data = this.getCollection(collection);
-    return data[data.length - 1];
+    return {
+      Set: {
+        category: 'State',
+        min: 2,
+        max: 2,
+        lazy: true,
+        fn: ([name, value]) => {
+          const result = value();
+          return isFormulaError(result) ? result : this.Set(nameOf(name, 'variable'), result);
+        },
+      },
+      UpdateContext: {
+        category: 'State',
+        min: 1,
+        max: 1,
+        fn: ([updates]) => (isRecord(updates) ? this.UpdateContext(updates) : errors.value('Expected a record')),
+      },
+      Collect: {
+        category: 'State',
+        min: 2,
+        max: Infinity,
+        lazy: true,
+        fn: ([name, ...items]) => this.Collect(nameOf(name, 'collection'), valuesOf(items)),
+      },
+      ClearCollect: {
+        category: 'State',
+        min: 1,
+        max: Infinity,
+        lazy: true,
+        fn: ([name, ...items]) => this.ClearCollect(nameOf(name, 'collection'), valuesOf(items)),
+      },
+      Clear: {
+        category: 'State',
+        min: 1,
+        max: 1,
+        lazy: true,
+        fn: ([name]) => this.Clear(nameOf(name, 'collection')),
+      },
+      Remove: {
+        category: 'State',
+        min: 2,
+        max: Infinity,
+        lazy: true,
+        // Remove(collection, record, ...) drops records equal to those given
+        fn: ([name, ...records]) => {
+          const removed = valuesOf(records).map(record => JSON.stringify(record));
+          return this.Remove(nameOf(name, 'collection'), item => removed.includes(JSON.stringify(item)));
+        },
+      },
+      RemoveIf: {
+        category: 'State',
+        min: 2,
+        max: Infinity,
+        lazy: true,
+        fn: ([name, ...conditions], ctx) => {
+          const collection = nameOf(name, 'collection');
+          const items = this.getCollection(collection);
+          const matches = conditions.map(condition => ctx.perItem(condition, items));
+          const error = matches.flat().find(isFormulaError);
+          if (error) return error;
+
+          return this.Remove(collection, (item, i) => matches.every(results => results[i] === true));
+        },
+      },
+    };
   }
 
   // ============ COLLECTION FUNCTIONS ============
@@ -249,7 +208,7 @@ class FormulaEngine {
   Remove(collectionName, condition) {
     const data = this.collections.get(collectionName) || [];
     const filtered = typeof condition === 'function'
-      ? data.filter(item => !condition(item))
+      ? data.filter((item, i) => !condition(item, i))
       : data;
     this.collections.set(collectionName, filtered);
     return filtered;
@@ -276,207 +235,6 @@ class FormulaEngine {
     return updates;
   }
 
-  // ============ TEXT FUNCTIONS ============
-
-  Upper(text) {
-    return String(text).toUpperCase();
-  }
-
-  Lower(text) {
-    return String(text).toLowerCase();
-  }
-
-  Proper(text) {
-    return String(text).replace(/\w\S*/g, txt =>
-      txt.charAt(0).toUpperCase() + txt.substr(1).toLowerCase()
-    );
-  }
-
-  Concatenate(...args) {
-    return args.map(a => String(a)).join('');
-  }
-
-  Len(text) {
-    return String(text).length;
-  }
-
-  Left(text, count) {
-    return String(text).substring(0, count);
-  }
-
-  Right(text, count) {
-    const str = String(text);
-    return str.substring(str.length - count);
-  }
-
-  Mid(text, start, count) {
-    return String(text).substring(start, start + count);
-  }
-
-  Trim(text) {
-    return String(text).trim();
-  }
-
-  Replace(text, oldText, newText) {
-    return String(text).replace(new RegExp(oldText, 'g'), newText);
-  }
-
-  Substitute(text, oldText, newText, instanceNum) {
-    const str = String(text);
-    if (instanceNum) {
-      let count = 0;
-      return str.replace(new RegExp(oldText, 'g'), match => {
-        count++;
-        return count === instanceNum ? newText : match;
-      });
-    }
-    return str.replace(new RegExp(oldText, 'g'), newText);
-  }
-
-  Split(text, separator) {
-    return String(text).split(separator);
-  }
-
-  // ============ LOGICAL FUNCTIONS ============
-
-  If(condition, trueValue, falseValue) {
-    return condition ? trueValue : falseValue;
-  }
-
-  Switch(expression, ...pairs) {
-    for (let i = 0; i < pairs.length - 1; i += 2) {
-      if (expression === pairs[i]) {
-        return pairs[i + 1];
-      }
-    }
-    // Return default if provided (last argument if odd number)
-    return pairs.length % 2 === 1 ? pairs[pairs.length - 1] : undefined;
-  }
-
-  And(...conditions) {
-    return conditions.every(c => Boolean(c));
-  }
-
-  Or(...conditions) {
-    return conditions.some(c => Boolean(c));
-  }
-
-  Not(condition) {
-    return !condition;
-  }
-
-  // ============ DATE/TIME FUNCTIONS ============
-
-  Now() {
-    return new Date();
-  }
-
-  Today() {
-    const date = new Date();
-    date.setHours(0, 0, 0, 0);
-    return date;
-  }
-
-  DateAdd(date, amount, unit = 'days') {
-    const d = new Date(date);
-    switch (unit.toLowerCase()) {
-      case 'years': d.setFullYear(d.getFullYear() + amount); break;
-      case 'months': d.setMonth(d.getMonth() + amount); break;
-      case 'days': d.setDate(d.getDate() + amount); break;
-      case 'hours': d.setHours(d.getHours() + amount); break;
-      case 'minutes': d.setMinutes(d.getMinutes() + amount); break;
-      case 'seconds': d.setSeconds(d.getSeconds() + amount); break;
-    }
-    return d;
-  }
-
-  DateDiff(date1, date2, unit = 'days') {
-    const d1 = new Date(date1);
-    const d2 = new Date(date2);
-    const diff = d2 - d1;
-
-    switch (unit.toLowerCase()) {
-      case 'years': return diff / (365.25 * 24 * 60 * 60 * 1000);
-      case 'months': return diff / (30.44 * 24 * 60 * 60 * 1000);
-      case 'days': return diff / (24 * 60 * 60 * 1000);
-      case 'hours': return diff / (60 * 60 * 1000);
-      case 'minutes': return diff / (60 * 1000);
-      case 'seconds': return diff / 1000;
-      default: return diff;
-    }
-  }
-
-  Year(date) {
-    return new Date(date).getFullYear();
-  }
-
-  Month(date) {
-    return new Date(date).getMonth() + 1;
-  }
-
-  Day(date) {
-    return new Date(date).getDate();
-  }
-
-  Hour(date) {
-    return new Date(date).getHours();
-  }
-
-  Minute(date) {
-    return new Date(date).getMinutes();
-  }
-
-  Second(date) {
-    return new Date(date).getSeconds();
-  }
-
-  // ============ VALIDATION FUNCTIONS ============
-
-  IsBlank(value) {
-    return value === null || value === undefined || value === '' || (typeof value === 'string' && value.trim() === '');
-  }
-
-  IsEmpty(value) {
-    if (Array.isArray(value)) return value.length === 0;
-    if (typeof value === 'object') return Object.keys(value).length === 0;
-    return this.IsBlank(value);
-  }
-
-  IsNumeric(value) {
-    return !isNaN(parseFloat(value)) && isFinite(value);
-  }
-
-  IsToday(date) {
-    const d = new Date(date);
-    const today = new Date();
-    return d.getDate() === today.getDate() &&
-           d.getMonth() === today.getMonth() &&
-           d.getFullYear() === today.getFullYear();
-  }
-
-  // ============ UTILITY FUNCTIONS ============
-
-  Coalesce(...values) {
-    for (const val of values) {
-      if (!this.IsBlank(val)) return val;
-    }
-    return values[values.length - 1];
-  }
-
-  Blank() {
-    return '';
-  }
-
-  Defaults(entity) {
-    // Return default values for an entity
-    // In real implementation, this would fetch from entity schema
-    return {};
-  }
-
-  RGBA(r, g, b, a) {
-    return `rgba(${r}, ${g}, ${b}, ${a})`;
-  }
-
   // ============ HELPER METHODS ============
 
   getCollection(collectionName) {
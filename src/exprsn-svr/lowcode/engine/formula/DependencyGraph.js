@@ -0,0 +1,201 @@
+/**
+ * Dependency Graph
+ *
+ * Tracks which formulas read which names so a change recalculates only the
+ * formulas downstream of it, in dependency order. Keys are dotted,
+ * case-insensitive paths ("orderform.quantity", "customer.address.city").
+ *
+ * A formula that reads "customer" depends on a change to
+ * "customer.address.city", and one that reads "customer.address.city"
+ * depends on a change to "customer"; a change to "customer.name" touches
+ * neither "customer.address" readers nor "customer.phone" readers.
+ *
+ * Keys marked as holding their own value (a control's value, say) are not
+ * containers: changing "price.visible" does not affect readers of "price".
+ */
+
+function normalizeKey(key) {
+  return String(key).toLowerCase();
+}
+
+function prefixes(key) {
+  const parts = key.split('.');
+  return parts.map((_, i) => parts.slice(0, i + 1).join('.'));
+}
+
+function addToIndex(index, key, id) {
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(id);
+}
+
+function removeFromIndex(index, key, id) {
+  const ids = index.get(key);
+  if (!ids) return;
+  ids.delete(id);
+  if (!ids.size) index.delete(key);
+}
+
+class DependencyGraph {
+  constructor() {
+    // id -> the keys it reads
+    this.references = new Map();
+    // key -> ids reading exactly that key
+    this.exact = new Map();
+    // key -> ids reading that key or anything beneath it
+    this.within = new Map();
+    // keys holding a value of their own
+    this.valueKeys = new Set();
+  }
+
+  /**
+   * Mark a key as holding a value of its own rather than grouping the
+   * keys beneath it
+   */
+  addValueKey(key) {
+    this.valueKeys.add(normalizeKey(key));
+  }
+
+  removeValueKey(key) {
+    this.valueKeys.delete(normalizeKey(key));
+  }
+
+  /**
+   * Replace the keys a node reads
+   * @param {string} id - Node id; also the key other nodes use to read it
+   * @param {string[]} keys
+   */
+  setReferences(id, keys) {
+    const nodeId = normalizeKey(id);
+    this.remove(nodeId);
+
+    const normalized = [...new Set(keys.map(normalizeKey))];
+    this.references.set(nodeId, normalized);
+
+    for (const key of normalized) {
+      addToIndex(this.exact, key, nodeId);
+      prefixes(key).forEach(prefix => addToIndex(this.within, prefix, nodeId));
+    }
+  }
+
+  remove(id) {
+    const nodeId = normalizeKey(id);
+    const keys = this.references.get(nodeId);
+    if (!keys) return;
+
+    for (const key of keys) {
+      removeFromIndex(this.exact, key, nodeId);
+      prefixes(key).forEach(prefix => removeFromIndex(this.within, prefix, nodeId));
+    }
+    this.references.delete(nodeId);
+  }
+
+  has(id) {
+    return this.references.has(normalizeKey(id));
+  }
+
+  /**
+   * Nodes that read a key directly
+   * @returns {Set<string>}
+   */
+  dependentsOf(key) {
+    const changed = normalizeKey(key);
+    const result = new Set(this.within.get(changed) || []);
+
+    for (const prefix of prefixes(changed)) {
+      if (prefix !== changed && this.valueKeys.has(prefix)) continue;
+      (this.exact.get(prefix) || []).forEach(id => result.add(id));
+    }
+
+    return result;
+  }
+
+  /**
+   * Every node downstream of the changed keys
+   * @param {string[]} keys
+   * @returns {Set<string>}
+   */
+  affectedBy(keys) {
+    const affected = new Set();
+    const queue = keys.map(normalizeKey);
+
+    while (queue.length) {
+      for (const id of this.dependentsOf(queue.shift())) {
+        if (!affected.has(id)) {
+          affected.add(id);
+          queue.push(id);
+        }
+      }
+    }
+
+    return affected;
+  }
+
+  /**
+   * Order nodes so each comes after the nodes it reads. Nodes that read
+   * themselves, directly or through others, are reported as cycles.
+   * @param {Iterable<string>} ids
+   * @returns {{ order: string[], cycles: Set<string> }}
+   */
+  order(ids) {
+    const members = new Set([...ids].map(normalizeKey));
+    const order = [];
+    const cycles = new Set();
+
+    // Tarjan's algorithm yields strongly connected components with every
+    // component after those it reads from once reversed
+    const index = new Map();
+    const lowlink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let counter = 0;
+
+    const readers = id => [...this.dependentsOf(id)].filter(dependent => members.has(dependent));
+
+    const visit = id => {
+      index.set(id, counter);
+      lowlink.set(id, counter);
+      counter++;
+      stack.push(id);
+      onStack.add(id);
+
+      for (const next of readers(id)) {
+        if (!index.has(next)) {
+          visit(next);
+          lowlink.set(id, Math.min(lowlink.get(id), lowlink.get(next)));
+        } else if (onStack.has(next)) {
+          lowlink.set(id, Math.min(lowlink.get(id), index.get(next)));
+        }
+      }
+
+      if (lowlink.get(id) === index.get(id)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== id);
+        components.push(component);
+      }
+    };
+
+    members.forEach(id => {
+      if (!index.has(id)) visit(id);
+    });
+
+    for (const component of components.reverse()) {
+      if (component.length > 1 || this.dependentsOf(component[0]).has(component[0])) {
+        component.forEach(id => cycles.add(id));
+      }
+      order.push(...component);
+    }
+
+    return { order, cycles };
+  }
+}
+
+module.exports = {
+  DependencyGraph,
+  normalizeKey,
+};
@@ -0,0 +1,440 @@
+/**
+ * Formula Workbook
+ *
+ * Holds the inputs and formulas of one or more forms, grids, reports and
+ * entities, keyed by dotted path ("OrderForm.Quantity", "Orders.Total").
+ * Changing an input recalculates only the formulas that read it, directly
+ * or through other formulas, and reports which values changed.
+ *
+ * A formula sees its own namespace first, so "=Price * Quantity" inside
+ * OrderForm reads OrderForm.Price; other namespaces are reached by their
+ * full path ("=OrderForm.Total * 1.2" in a report).
+ */
+
+const { collectReferences } = require('./parser');
+const { errors, isFormulaError, FormulaSyntaxError } = require('./errors');
+const { isRecord, hasMember } = require('./values');
+const { Interpreter } = require('./Interpreter');
+const { DependencyGraph, normalizeKey } = require('./DependencyGraph');
+
+/**
+ * Formula text is any string starting with "="
+ */
+function isFormula(value) {
+  return typeof value === 'string' && value.trim().startsWith('=');
+}
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (isFormulaError(a) || isFormulaError(b)) {
+    return isFormulaError(a) && isFormulaError(b) && a.code === b.code && a.message === b.message;
+  }
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return false;
+}
+
+function namespaceOf(key) {
+  const index = key.lastIndexOf('.');
+  return index === -1 ? null : key.slice(0, index);
+}
+
+class FormulaWorkbook {
+  /**
+   * @param {object} [options]
+   * @param {Interpreter} [options.interpreter] - Shared interpreter; one is created otherwise
+   * @param {object} [options.limits] - Interpreter limits when creating one
+   * @param {Function} [options.resolve] - Fallback for names the workbook does not hold
+   */
+  constructor(options = {}) {
+    this.interpreter = options.interpreter || new Interpreter({ limits: options.limits });
+    this.fallback = options.resolve || null;
+    this.graph = new DependencyGraph();
+
+    // normalized key -> { key, value }
+    this.inputs = new Map();
+    // normalized key -> { key, source, ast, namespace, each, value }
+    this.cells = new Map();
+    // cells defined since the last recalculation
+    this.pending = new Set();
+  }
+
+  // ============ INPUTS ============
+
+  /**
+   * Set an input value and recalculate what depends on it
+   * @returns {object} Changed formula values by key
+   */
+  setValue(key, value) {
+    return this.setValues({ [key]: value });
+  }
+
+  /**
+   * Set several inputs, recalculating once
+   * @param {object} values - key -> value
+   * @returns {object} Changed formula values by key
+   */
+  setValues(values) {
+    const changedKeys = [];
+
+    for (const [key, value] of Object.entries(values)) {
+      const changed = this.writeInput(key, value);
+      if (changed) changedKeys.push(changed);
+    }
+
+    return this.recalculate(changedKeys);
+  }
+
+  /**
+   * Store an input; a path beneath an existing record input updates that
+   * record instead
+   * @returns {string|null} The key that changed
+   */
+  writeInput(key, value) {
+    const id = normalizeKey(key);
+
+    if (this.cells.has(id)) {
+      throw new Error(`"${key}" is a formula and cannot be set directly`);
+    }
+
+    const parts = key.split('.');
+    for (let i = parts.length - 1; i > 0; i--) {
+      const parent = this.inputs.get(normalizeKey(parts.slice(0, i).join('.')));
+      if (parent && isRecord(parent.value)) {
+        parent.value = this.withPath(parent.value, parts.slice(i), value);
+        return parent.key;
+      }
+    }
+
+    const existing = this.inputs.get(id);
+    if (existing && sameValue(existing.value, value)) return null;
+
+    this.inputs.set(id, { key, value });
+    this.graph.addValueKey(id);
+    return key;
+  }
+
+  withPath(record, path, value) {
+    const [field, ...rest] = path;
+    const current = hasMember(record, field) ? record[field] : undefined;
+    return {
+      ...record,
+      [field]: rest.length ? this.withPath(isRecord(current) ? current : {}, rest, value) : value,
+    };
+  }
+
+  // ============ FORMULAS ============
+
+  /**
+   * Define (or redefine) a formula
+   * @param {string} key - Where the result is published, e.g. "OrderForm.Total"
+   * @param {string} formula - Formula text; the leading "=" is optional
+   * @param {object} [options]
+   * @param {string} [options.namespace] - Namespace for short names; defaults to the key's parent
+   * @param {string} [options.each] - Key of a table to evaluate the formula over, one value per record
+   */
+  define(key, formula, options = {}) {
+    const id = normalizeKey(key);
+    const namespace = options.namespace !== undefined ? options.namespace : namespaceOf(key);
+    const cell = {
+      key,
+      source: formula,
+      ast: null,
+      namespace: namespace ? normalizeKey(namespace) : null,
+      each: options.each ? normalizeKey(options.each) : null,
+      value: null,
+      error: null,
+    };
+
+    try {
+      cell.ast = this.interpreter.compile(formula);
+    } catch (error) {
+      if (!(error instanceof FormulaSyntaxError)) throw error;
+      cell.error = error;
+    }
+
+    const references = cell.ast ? collectReferences(cell.ast) : [];
+    const keys = references.flatMap(reference => (
+      cell.namespace ? [`${cell.namespace}.${reference}`, reference] : [reference]
+    ));
+    if (cell.each) keys.push(cell.each);
+
+    this.inputs.delete(id);
+    this.cells.set(id, cell);
+    this.graph.setReferences(id, keys);
+    this.graph.addValueKey(id);
+    this.pending.add(id);
+
+    return this;
+  }
+
+  /**
+   * Remove a formula or input and recalculate what read it
+   * @returns {object} Changed formula values by key
+   */
+  remove(key) {
+    const id = normalizeKey(key);
+    if (!this.cells.has(id) && !this.inputs.has(id)) return {};
+
+    this.cells.delete(id);
+    this.inputs.delete(id);
+    this.pending.delete(id);
+    this.graph.remove(id);
+    this.graph.removeValueKey(id);
+
+    return this.recalculate([key]);
+  }
+
+  /**
+   * Calculate formulas defined since the last recalculation
+   * @returns {object} Changed formula values by key
+   */
+  calculate() {
+    return this.recalculate([]);
+  }
+
+  /**
+   * Recalculate new formulas and those downstream of the changed keys, in
+   * dependency order. A formula is evaluated only when something it reads
+   * actually changed.
+   * @param {string[]} changedKeys
+   * @returns {object} Changed formula values by key
+   */
+  recalculate(changedKeys) {
+    const dirty = new Set(this.pending);
+    changedKeys.forEach(key => this.graph.dependentsOf(key).forEach(id => dirty.add(id)));
+
+    const affected = this.graph.affectedBy([...changedKeys, ...this.pending]);
+    this.pending.forEach(id => affected.add(id));
+    this.pending.clear();
+
+    const { order, cycles } = this.graph.order(affected);
+    const changed = {};
+
+    for (const id of order) {
+      if (!dirty.has(id)) continue;
+
+      const cell = this.cells.get(id);
+      const value = cycles.has(id) ? errors.ref('Circular reference') : this.compute(cell);
+
+      if (sameValue(value, cell.value) && cell.calculated) continue;
+
+      cell.value = value;
+      cell.calculated = true;
+      changed[cell.key] = value;
+      this.graph.dependentsOf(id).forEach(dependent => dirty.add(dependent));
+    }
+
+    return changed;
+  }
+
+  compute(cell) {
+    if (cell.error) return errors.value(cell.error.message);
+
+    const resolve = this.resolver(cell.namespace);
+
+    if (!cell.each) {
+      return this.interpreter.evaluate(cell.ast, { resolve });
+    }
+
+    const rows = this.get(cell.each);
+    if (isFormulaError(rows)) return rows;
+    if (!Array.isArray(rows)) return [];
+
+    return rows.map(record => this.interpreter.evaluate(cell.ast, { resolve, record }));
+  }
+
+  /**
+   * Name lookup for formulas in a namespace: the longest stored key wins,
+   * the namespace's own keys before global ones
+   */
+  resolver(namespace) {
+    return parts => {
+      for (let i = parts.length; i > 0; i--) {
+        const path = normalizeKey(parts.slice(0, i).join('.'));
+        const candidates = namespace ? [`${namespace}.${path}`, path] : [path];
+
+        for (const candidate of candidates) {
+          const entry = this.cells.get(candidate) || this.inputs.get(candidate);
+          if (entry) return { value: entry.value, consumed: i };
+        }
+      }
+
+      return this.fallback ? this.fallback(parts) : null;
+    };
+  }
+
+  // ============ READING ============
+
+  /**
+   * Current value of an input or formula
+   */
+  get(key) {
+    const entry = this.cells.get(normalizeKey(key)) || this.inputs.get(normalizeKey(key));
+    return entry ? entry.value : undefined;
+  }
+
+  isFormula(key) {
+    return this.cells.has(normalizeKey(key));
+  }
+
+  /**
+   * All values, or those in one namespace keyed by their short name
+   * @param {string} [namespace]
+   * @returns {object}
+   */
+  getValues(namespace) {
+    const prefix = namespace ? `${normalizeKey(namespace)}.` : '';
+    const result = {};
+
+    for (const [id, entry] of [...this.inputs, ...this.cells]) {
+      if (!id.startsWith(prefix)) continue;
+      result[prefix ? entry.key.slice(prefix.length) : entry.key] = entry.value;
+    }
+
+    return result;
+  }
+
+  /**
+   * The formulas and what each reads
+   * @returns {Array<{ key: string, formula: string, references: string[], dependents: string[] }>}
+   */
+  getDependencies() {
+    return [...this.cells.entries()].map(([id, cell]) => ({
+      key: cell.key,
+      formula: cell.source,
+      references: this.graph.references.get(id) || [],
+      dependents: [...this.graph.dependentsOf(id)].map(dependent => this.cells.get(dependent).key),
+    }));
+  }
+
+  /**
+   * Rows of a grid or report with calculated columns filled in
+   * @param {string} namespace
+   * @returns {object[]}
+   */
+  getRows(namespace) {
+    const rows = this.get(`${namespace}.rows`);
+    if (!Array.isArray(rows)) return [];
+
+    const columns = [...this.cells.values()].filter(cell => cell.each === normalizeKey(`${namespace}.rows`));
+
+    return rows.map((row, i) => {
+      const merged = { ...row };
+      columns.forEach(cell => {
+        merged[cell.key.slice(namespace.length + 1)] = Array.isArray(cell.value) ? cell.value[i] : null;
+      });
+      return merged;
+    });
+  }
+
+  // ============ LOW-CODE ARTIFACTS ============
+
+  /**
+   * Load a form: control values become inputs, and any property holding
+   * formula text ("=Price * Quantity") becomes a formula. A formula in
+   * `value` or `defaultValue` makes the control itself calculated.
+   * @param {object} form - AppForm-like { name, controls }
+   * @returns {object} Changed formula values by key
+   */
+  addForm(form) {
+    const namespace = form.name || 'Form';
+    const changedKeys = [];
+
+    for (const control of form.controls || []) {
+      if (!control.name) continue;
+
+      const key = `${namespace}.${control.name}`;
+      const props = control.props || {};
+      const value = props.value !== undefined ? props.value : props.defaultValue;
+
+      if (isFormula(value)) {
+        this.define(key, value, { namespace });
+      } else {
+        changedKeys.push(this.writeInput(key, value === undefined ? null : value));
+      }
+
+      for (const [prop, propValue] of Object.entries(props)) {
+        if (prop === 'value' || prop === 'defaultValue' || !isFormula(propValue)) continue;
+        this.define(`${key}.${prop}`, propValue, { namespace });
+      }
+    }
+
+    return this.recalculate(changedKeys.filter(Boolean));
+  }
+
+  /**
+   * Load a grid: rows become `<grid>.rows`, and columns with a `formula`
+   * are calculated for every row
+   * @param {object} grid - Grid-like { name, columns }
+   * @param {object[]} [rows]
+   * @returns {object} Changed formula values by key
+   */
+  addGrid(grid, rows = []) {
+    return this.addTable(grid.name, grid.columns || [], rows);
+  }
+
+  /**
+   * Load a report: parameters become inputs, and calculated fields are
+   * evaluated for every row of `<report>.rows`
+   * @param {object} report - Report-like { name, parameters, queryConfig: { calculatedFields } }
+   * @param {object[]} [rows]
+   * @returns {object} Changed formula values by key
+   */
+  addReport(report, rows = []) {
+    const changedKeys = (report.parameters || [])
+      .filter(parameter => parameter.name)
+      .map(parameter => this.writeInput(
+        `${report.name}.${parameter.name}`,
+        parameter.defaultValue === undefined ? null : parameter.defaultValue
+      ));
+
+    const calculatedFields = (report.queryConfig && report.queryConfig.calculatedFields) || [];
+    return this.addTable(report.name, calculatedFields, rows, changedKeys);
+  }
+
+  addTable(namespace, columns, rows, changedKeys = []) {
+    changedKeys.push(this.writeInput(`${namespace}.rows`, rows));
+
+    for (const column of columns) {
+      const name = column.field || column.name;
+      if (!name || !column.formula) continue;
+      this.define(`${namespace}.${name}`, column.formula, { namespace, each: `${namespace}.rows` });
+    }
+
+    return this.recalculate(changedKeys.filter(Boolean));
+  }
+
+  /**
+   * Load an entity record: stored fields become inputs and calculated
+   * fields (`config.calculated` with `config.formula`) become formulas
+   * @param {object} entity - Entity-like { name, schema: { fields } }
+   * @param {object} [record]
+   * @returns {object} Changed formula values by key
+   */
+  addEntity(entity, record = {}) {
+    const fields = (entity.schema && entity.schema.fields) || [];
+    const changedKeys = [];
+
+    for (const field of fields) {
+      const key = `${entity.name}.${field.name}`;
+      const config = field.config || {};
+
+      if (config.calculated && config.formula) {
+        this.define(key, config.formula, { namespace: entity.name });
+      } else {
+        const value = hasMember(record, field.name) ? record[field.name] : field.defaultValue;
+        changedKeys.push(this.writeInput(key, value === undefined ? null : value));
+      }
+    }
+
+    return this.recalculate(changedKeys.filter(Boolean));
+  }
+}
+
+module.exports = {
+  FormulaWorkbook,
+  isFormula,
+};
@@ -0,0 +1,532 @@
+/**
+ * Formula Interpreter
+ *
+ * Walks a parsed formula and computes its value. No JavaScript is generated
+ * or evaluated: names resolve only to lexical bindings, the current record
+ * and whatever the caller's resolver exposes, and member access is limited
+ * to a record's own fields.
+ *
+ * Every evaluation runs against a budget of steps, call depth, wall-clock
+ * time and result size; exceeding it yields #CALC! instead of hanging.
+ */
+
+const { parse, referencePath } = require('./parser');
+const { errors, FormulaLimitError } = require('./errors');
+const {
+  Lambda,
+  isFormulaError,
+  isRecord,
+  hasMember,
+  toNumber,
+  toText,
+  toBoolean,
+  compare,
+  equals,
+} = require('./values');
+const { createFunctionTable } = require('./functions');
+
+const DEFAULT_LIMITS = {
+  maxSteps: 100000,
+  maxCallDepth: 100,
+  maxArrayLength: 100000,
+  maxStringLength: 1000000,
+  timeout: 1000,
+};
+
+const COMPILE_CACHE_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Look up a record field, exactly first and then ignoring case
+ * @returns {{ found: boolean, value?: * }}
+ */
+function memberOf(record, name) {
+  if (hasMember(record, name)) return { found: true, value: record[name] };
+
+  const lower = name.toLowerCase();
+  const key = Object.keys(record).find(candidate => candidate.toLowerCase() === lower);
+  return key && hasMember(record, key) ? { found: true, value: record[key] } : { found: false };
+}
+
+/**
+ * Lexical scope: LET and LAMBDA bindings, plus the record being visited
+ * by functions such as FILTER and SUM(table, expression)
+ */
+class Scope {
+  constructor(parent = null, bindings = new Map(), record = null) {
+    this.parent = parent;
+    this.bindings = bindings;
+    this.record = record;
+  }
+
+  lookup(name) {
+    const upper = name.toUpperCase();
+
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.bindings.has(upper)) return { found: true, value: scope.bindings.get(upper) };
+
+      if (scope.record !== null) {
+        if (upper === 'THISRECORD') return { found: true, value: scope.record };
+        if (isRecord(scope.record)) {
+          const member = memberOf(scope.record, name);
+          if (member.found) return member;
+        } else if (upper === 'VALUE') {
+          return { found: true, value: scope.record };
+        }
+      }
+    }
+
+    return { found: false };
+  }
+}
+
+/**
+ * Resolver over a plain object of named values
+ */
+function contextResolver(context) {
+  return parts => {
+    const member = isRecord(context) ? memberOf(context, parts[0]) : { found: false };
+    return member.found ? { value: member.value, consumed: 1 } : null;
+  };
+}
+
+/**
+ * State for a single evaluation: the budget and the resolver
+ */
+class Evaluation {
+  constructor(interpreter, options) {
+    this.functions = interpreter.functions;
+    this.limits = interpreter.limits;
+    this.resolvers = [options.resolve, options.context && contextResolver(options.context)].filter(Boolean);
+    this.steps = 0;
+    this.callDepth = 0;
+    this.deadline = Date.now() + this.limits.timeout;
+  }
+
+  tick() {
+    if (++this.steps > this.limits.maxSteps) {
+      throw new FormulaLimitError(`Formula exceeded ${this.limits.maxSteps} evaluation steps`);
+    }
+    if ((this.steps & 1023) === 0 && Date.now() > this.deadline) {
+      throw new FormulaLimitError(`Formula exceeded ${this.limits.timeout}ms`);
+    }
+  }
+
+  checkArray(array) {
+    if (array.length > this.limits.maxArrayLength) {
+      throw new FormulaLimitError(`Array exceeds ${this.limits.maxArrayLength} items`);
+    }
+    return array;
+  }
+
+  checkString(text) {
+    if (text.length > this.limits.maxStringLength) {
+      throw new FormulaLimitError(`Text exceeds ${this.limits.maxStringLength} characters`);
+    }
+    return text;
+  }
+
+  checkResult(value) {
+    if (typeof value === 'number' && !Number.isFinite(value)) return errors.num();
+    if (typeof value === 'string') return this.checkString(value);
+    if (Array.isArray(value)) return this.checkArray(value);
+    return value === undefined ? null : value;
+  }
+
+  evaluate(node, scope) {
+    this.tick();
+
+    switch (node.type) {
+      case 'Number':
+      case 'String':
+      case 'Boolean':
+        return node.value;
+
+      case 'Identifier':
+      case 'Member':
+        return this.evaluateReference(node, scope);
+
+      case 'Unary':
+        return this.unary(node.operator, this.evaluate(node.argument, scope));
+
+      case 'Percent':
+        return this.unary('%', this.evaluate(node.argument, scope));
+
+      case 'Binary':
+        return this.binary(node.operator, this.evaluate(node.left, scope), this.evaluate(node.right, scope));
+
+      case 'Logical':
+        return this.logical(node, scope);
+
+      case 'Call':
+        return this.evaluateCall(node, scope);
+
+      case 'Invoke': {
+        const callee = this.evaluate(node.callee, scope);
+        if (isFormulaError(callee)) return callee;
+        return this.call(callee, node.args.map(arg => this.evaluate(arg, scope)));
+      }
+
+      case 'Array': {
+        const rows = node.rows.map(row => row.map(element => this.evaluate(element, scope)));
+        return this.checkArray(rows.length === 1 ? rows[0] : rows);
+      }
+
+      case 'Record': {
+        const record = {};
+        for (const field of node.fields) {
+          if (!hasMember({ [field.key]: true }, field.key)) return errors.value(`Invalid field name "${field.key}"`);
+          record[field.key] = this.evaluate(field.value, scope);
+        }
+        return record;
+      }
+
+      default:
+        return errors.value(`Unsupported expression "${node.type}"`);
+    }
+  }
+
+  /**
+   * Resolve a name or dotted path: lexical bindings and the current
+   * record first, then the caller's resolvers
+   */
+  evaluateReference(node, scope) {
+    const path = referencePath(node);
+
+    if (!path) {
+      return this.member(this.evaluate(node.object, scope), [node.property]);
+    }
+
+    const parts = path.split('.');
+    const local = scope.lookup(parts[0]);
+    if (local.found) return this.member(local.value, parts.slice(1));
+
+    for (const resolve of this.resolvers) {
+      const resolved = resolve(parts);
+      if (resolved) return this.member(resolved.value, parts.slice(resolved.consumed));
+    }
+
+    return errors.name(parts[0]);
+  }
+
+  /**
+   * Walk record fields; on a table, take the field from every record
+   */
+  member(value, properties) {
+    let current = value;
+
+    for (const property of properties) {
+      this.tick();
+
+      if (isFormulaError(current)) return current;
+
+      if (isRecord(current)) {
+        const member = memberOf(current, property);
+        if (!member.found) return errors.ref(`No field "${property}"`);
+        current = member.value;
+      } else if (Array.isArray(current)) {
+        current = current.map(item => this.member(item, [property]));
+      } else {
+        return errors.ref(`Cannot read "${property}" of a ${current === null ? 'blank' : typeof current} value`);
+      }
+    }
+
+    return current === undefined ? null : current;
+  }
+
+  evaluateCall(node, scope) {
+    const name = node.name.toUpperCase();
+
+    if (name === 'LAMBDA') return this.makeLambda(node, scope);
+    if (name === 'LET') return this.evaluateLet(node, scope);
+
+    // LET/LAMBDA-bound names shadow library functions
+    const bound = scope.lookup(node.name);
+    if (bound.found) {
+      return this.call(bound.value, node.args.map(arg => this.evaluate(arg, scope)));
+    }
+
+    const fn = this.functions.get(name);
+    if (!fn) return errors.name(node.name);
+
+    if (node.args.length < fn.min || node.args.length > fn.max) {
+      const expected = fn.min === fn.max ? fn.min : `${fn.min} to ${fn.max === Infinity ? 'any' : fn.max}`;
+      return errors.value(`${name} expects ${expected} arguments, got ${node.args.length}`);
+    }
+
+    this.enterCall();
+    try {
+      let result;
+
+      if (fn.lazy) {
+        result = fn.fn(node.args.map(arg => this.thunk(arg, scope)), this);
+      } else {
+        const args = node.args.map(arg => this.evaluate(arg, scope));
+
+        if (fn.propagate !== false) {
+          const error = args.find(isFormulaError);
+          if (error) return error;
+        }
+
+        result = fn.fn(args, this);
+      }
+
+      return this.checkResult(result);
+    } catch (error) {
+      // Library helpers abort with the error value they hit
+      if (isFormulaError(error)) return error;
+      if (error instanceof FormulaLimitError || error instanceof RangeError) throw error;
+      return errors.value(`${name}: ${error.message}`);
+    } finally {
+      this.callDepth--;
+    }
+  }
+
+  enterCall() {
+    if (++this.callDepth > this.limits.maxCallDepth) {
+      this.callDepth--;
+      throw new FormulaLimitError(`Formula exceeded ${this.limits.maxCallDepth} nested calls`);
+    }
+  }
+
+  /**
+   * Deferred argument for lazy functions such as IF and FILTER
+   */
+  thunk(node, scope) {
+    const thunk = () => this.evaluate(node, scope);
+    thunk.node = node;
+    thunk.ref = node.type === 'String' ? node.value : referencePath(node);
+    thunk.withRecord = record => this.evaluate(node, new Scope(scope, new Map(), record));
+    return thunk;
+  }
+
+  makeLambda(node, scope) {
+    const params = node.args.slice(0, -1);
+
+    if (!node.args.length) return errors.value('LAMBDA needs a body');
+    if (params.some(param => param.type !== 'Identifier')) {
+      return errors.value('LAMBDA parameters must be names');
+    }
+
+    return new Lambda(params.map(param => param.name.toUpperCase()), node.args[node.args.length - 1], scope);
+  }
+
+  evaluateLet(node, scope) {
+    if (node.args.length < 3 || node.args.length % 2 === 0) {
+      return errors.value('LET expects name/value pairs followed by a calculation');
+    }
+
+    const bindings = new Map();
+    const letScope = new Scope(scope, bindings);
+
+    for (let i = 0; i < node.args.length - 1; i += 2) {
+      if (node.args[i].type !== 'Identifier') return errors.value('LET names must be names');
+      bindings.set(node.args[i].name.toUpperCase(), this.evaluate(node.args[i + 1], letScope));
+    }
+
+    return this.evaluate(node.args[node.args.length - 1], letScope);
+  }
+
+  /**
+   * Invoke a LAMBDA value
+   */
+  call(fn, args) {
+    if (isFormulaError(fn)) return fn;
+    if (!(fn instanceof Lambda)) return errors.value('Value is not a function');
+    if (args.length !== fn.params.length) {
+      return errors.value(`Function expects ${fn.params.length} arguments, got ${args.length}`);
+    }
+
+    this.enterCall();
+    try {
+      const bindings = new Map(fn.params.map((param, i) => [param, args[i]]));
+      return this.evaluate(fn.body, new Scope(fn.scope, bindings));
+    } finally {
+      this.callDepth--;
+    }
+  }
+
+  /**
+   * Per-item values of an argument that may be a LAMBDA, an array the same
+   * length as the items, or an expression over each record's fields
+   * @param {Function} thunk
+   * @param {Array} items
+   */
+  perItem(thunk, items) {
+    const outer = thunk();
+
+    if (outer instanceof Lambda) return items.map(item => this.call(outer, [item]));
+    if (Array.isArray(outer) && outer.length === items.length) return outer;
+
+    return items.map(item => thunk.withRecord(item));
+  }
+
+  unary(operator, value) {
+    if (Array.isArray(value)) return value.map(item => this.unary(operator, item));
+
+    this.tick();
+    if (isFormulaError(value)) return value;
+
+    if (operator === '!') {
+      const bool = toBoolean(value);
+      return isFormulaError(bool) ? bool : !bool;
+    }
+
+    const number = toNumber(value);
+    if (isFormulaError(number)) return number;
+
+    if (operator === '-') return -number;
+    if (operator === '%') return number / 100;
+    return number;
+  }
+
+  /**
+   * Binary operators, applied element-wise when either side is an array
+   */
+  binary(operator, left, right) {
+    if (Array.isArray(left) || Array.isArray(right)) {
+      const length = Math.max(Array.isArray(left) ? left.length : 1, Array.isArray(right) ? right.length : 1);
+      const at = (value, i) => {
+        if (!Array.isArray(value)) return value;
+        return i < value.length ? value[i] : errors.na('Arrays are different sizes');
+      };
+
+      return this.checkArray(
+        Array.from({ length }, (_, i) => this.binary(operator, at(left, i), at(right, i)))
+      );
+    }
+
+    this.tick();
+    if (isFormulaError(left)) return left;
+    if (isFormulaError(right)) return right;
+
+    switch (operator) {
+      case '&': {
+        const a = toText(left);
+        const b = toText(right);
+        if (isFormulaError(a)) return a;
+        if (isFormulaError(b)) return b;
+        return this.checkString(a + b);
+      }
+
+      case '=': return equals(left, right);
+      case '<>': return !equals(left, right);
+      case '<': return compare(left, right) < 0;
+      case '>': return compare(left, right) > 0;
+      case '<=': return compare(left, right) <= 0;
+      case '>=': return compare(left, right) >= 0;
+
+      default:
+        return this.arithmetic(operator, left, right);
+    }
+  }
+
+  arithmetic(operator, left, right) {
+    // Dates move by days, and subtracting dates gives days
+    if (left instanceof Date && (operator === '+' || operator === '-')) {
+      if (right instanceof Date && operator === '-') return (left - right) / DAY_MS;
+      const days = toNumber(right);
+      if (isFormulaError(days)) return days;
+      return new Date(left.getTime() + (operator === '+' ? days : -days) * DAY_MS);
+    }
+
+    const a = toNumber(left);
+    const b = toNumber(right);
+    if (isFormulaError(a)) return a;
+    if (isFormulaError(b)) return b;
+
+    let result;
+    switch (operator) {
+      case '+': result = a + b; break;
+      case '-': result = a - b; break;
+      case '*': result = a * b; break;
+      case '/':
+        if (b === 0) return errors.div0();
+        result = a / b;
+        break;
+      case '^': result = Math.pow(a, b); break;
+      default: return errors.value(`Unknown operator "${operator}"`);
+    }
+
+    return Number.isFinite(result) ? result : errors.num();
+  }
+
+  logical(node, scope) {
+    const left = toBoolean(this.evaluate(node.left, scope));
+    if (isFormulaError(left)) return left;
+
+    if (node.operator === '&&' && !left) return false;
+    if (node.operator === '||' && left) return true;
+
+    return toBoolean(this.evaluate(node.right, scope));
+  }
+}
+
+class Interpreter {
+  /**
+   * @param {object} [options]
+   * @param {Map} [options.functions] - Function table; defaults to the built-in library
+   * @param {object} [options.limits] - Overrides for DEFAULT_LIMITS
+   * @param {object} [options.parseLimits] - { maxLength, maxDepth } for the parser
+   */
+  constructor(options = {}) {
+    this.functions = options.functions || createFunctionTable();
+    this.limits = { ...DEFAULT_LIMITS, ...options.limits };
+    this.parseLimits = options.parseLimits || {};
+    this.compiled = new Map();
+  }
+
+  /**
+   * Parse a formula, reusing recent parses
+   * @throws {FormulaSyntaxError}
+   */
+  compile(source) {
+    if (this.compiled.has(source)) return this.compiled.get(source);
+
+    const ast = parse(source, this.parseLimits);
+
+    if (this.compiled.size >= COMPILE_CACHE_SIZE) {
+      this.compiled.delete(this.compiled.keys().next().value);
+    }
+    this.compiled.set(source, ast);
+
+    return ast;
+  }
+
+  /**
+   * Evaluate a parsed formula
+   * @param {object} ast
+   * @param {object} [options]
+   * @param {object} [options.context] - Named values visible to the formula
+   * @param {Function} [options.resolve] - (parts) => { value, consumed } | null, tried before context
+   * @param {object} [options.record] - Record whose fields are in scope, as in FILTER
+   * @returns {*} The value, or a FormulaError
+   */
+  evaluate(ast, options = {}) {
+    const evaluation = new Evaluation(this, options);
+    const scope = new Scope(null, new Map(), options.record === undefined ? null : options.record);
+
+    try {
+      return evaluation.checkResult(evaluation.evaluate(ast, scope));
+    } catch (error) {
+      if (error instanceof FormulaLimitError) return errors.calc(error.message);
+      if (error instanceof RangeError) return errors.calc('Formula recursed too deeply');
+      throw error;
+    }
+  }
+
+  /**
+   * Parse and evaluate formula text
+   * @throws {FormulaSyntaxError}
+   */
+  run(source, options = {}) {
+    return this.evaluate(this.compile(source), options);
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  Interpreter,
+  Scope,
+  contextResolver,
+};
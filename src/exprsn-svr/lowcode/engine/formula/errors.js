@@ -0,0 +1,81 @@
+/**
+ * Formula Errors
+ *
+ * Spreadsheet-style error values. Runtime errors are values that flow
+ * through formulas (and can be caught with IFERROR) rather than exceptions;
+ * only syntax errors are thrown.
+ */
+
+const ERROR_CODES = {
+  DIV0: '#DIV/0!',
+  VALUE: '#VALUE!',
+  REF: '#REF!',
+  NAME: '#NAME?',
+  NUM: '#NUM!',
+  NA: '#N/A',
+  CALC: '#CALC!',
+};
+
+class FormulaError {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} [message] - Human-readable detail
+   */
+  constructor(code, message) {
+    this.code = code;
+    this.message = message || code;
+  }
+
+  toString() {
+    return this.code;
+  }
+
+  toJSON() {
+    return { error: this.code, message: this.message };
+  }
+}
+
+/**
+ * Thrown by the parser; carries the offset the problem was found at
+ */
+class FormulaSyntaxError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`);
+    this.name = 'FormulaSyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Thrown inside the interpreter when a CPU or memory limit is hit,
+ * and turned into a #CALC! value at the top of the evaluation
+ */
+class FormulaLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FormulaLimitError';
+  }
+}
+
+function isFormulaError(value) {
+  return value instanceof FormulaError;
+}
+
+const errors = {
+  div0: () => new FormulaError(ERROR_CODES.DIV0, 'Division by zero'),
+  value: message => new FormulaError(ERROR_CODES.VALUE, message || 'Wrong type of argument'),
+  ref: message => new FormulaError(ERROR_CODES.REF, message || 'Invalid reference'),
+  name: name => new FormulaError(ERROR_CODES.NAME, `Unknown name "${name}"`),
+  num: message => new FormulaError(ERROR_CODES.NUM, message || 'Invalid numeric value'),
+  na: message => new FormulaError(ERROR_CODES.NA, message || 'Value not available'),
+  calc: message => new FormulaError(ERROR_CODES.CALC, message || 'Calculation failed'),
+};
+
+module.exports = {
+  ERROR_CODES,
+  FormulaError,
+  FormulaSyntaxError,
+  FormulaLimitError,
+  isFormulaError,
+  errors,
+};
@@ -0,0 +1,829 @@
+/**
+ * Formula Function Library
+ *
+ * Built-in spreadsheet functions. Names are case-insensitive, so Excel
+ * (SUM, XLOOKUP) and Power Apps (Sum, LookUp, CountRows) spellings resolve
+ * to the same implementation.
+ *
+ * Eager functions receive evaluated arguments and, unless they opt out with
+ * `propagate: false`, never see an error value: the first one is returned
+ * for them. Lazy functions receive thunks and decide what to evaluate, which
+ * is how IF short-circuits and FILTER evaluates its condition per record.
+ */
+
+const { errors, FormulaLimitError } = require('./errors');
+const {
+  Lambda,
+  isFormulaError,
+  isBlank,
+  isRecord,
+  toNumber,
+  toText,
+  toBoolean,
+  toDate,
+  flatten,
+  compare,
+  equals,
+} = require('./values');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const UNIT_MS = {
+  milliseconds: 1,
+  seconds: 1000,
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: DAY_MS,
+  weeks: 7 * DAY_MS,
+};
+
+// Coercions that abort the function with the error value; the interpreter
+// returns a thrown FormulaError as the function's result
+function expect(value) {
+  if (isFormulaError(value)) throw value;
+  return value;
+}
+
+const num = value => expect(toNumber(value));
+const text = value => expect(toText(value));
+const bool = value => expect(toBoolean(value));
+const date = value => expect(toDate(value));
+const int = value => Math.trunc(num(value));
+
+function list(value) {
+  if (isFormulaError(value)) throw value;
+  if (isBlank(value)) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function fn(value) {
+  if (isFormulaError(value)) throw value;
+  if (!(value instanceof Lambda)) throw errors.value('Expected a LAMBDA');
+  return value;
+}
+
+/**
+ * Numbers to aggregate: numbers and numeric text; blanks, booleans and
+ * other text are skipped as Excel does for ranges
+ */
+function numericValues(values) {
+  const numbers = [];
+  for (const value of values) {
+    if (typeof value === 'number') {
+      numbers.push(value);
+    } else if (typeof value === 'string' && value.trim() !== '') {
+      const number = toNumber(value);
+      if (!isFormulaError(number)) numbers.push(number);
+    }
+  }
+  return numbers;
+}
+
+const sum = numbers => numbers.reduce((total, n) => total + n, 0);
+
+function variance(numbers, sample) {
+  const count = numbers.length - (sample ? 1 : 0);
+  if (count <= 0) return errors.div0();
+  const mean = sum(numbers) / numbers.length;
+  return sum(numbers.map(n => (n - mean) ** 2)) / count;
+}
+
+/**
+ * Aggregate over its arguments, or over an expression per record when
+ * called as SUM(table, expression)
+ */
+function aggregate(reduce) {
+  return {
+    min: 1,
+    max: Infinity,
+    lazy: true,
+    fn: (args, ctx) => {
+      const first = args[0]();
+      let values;
+
+      if (args.length === 2 && Array.isArray(first) && first.length && first.every(isRecord)) {
+        values = ctx.perItem(args[1], first);
+      } else {
+        values = [first, ...args.slice(1).map(arg => arg())];
+      }
+
+      const flat = flatten(values);
+      const error = flat.find(isFormulaError);
+      return error || reduce(flat);
+    },
+  };
+}
+
+/**
+ * Round half away from zero, as spreadsheets do
+ */
+function round(value, digits, mode) {
+  const factor = 10 ** digits;
+  const scaled = Number((Math.abs(value) * factor).toPrecision(15));
+  const rounded = mode === 'up' ? Math.ceil(scaled) : mode === 'down' ? Math.floor(scaled) : Math.round(scaled);
+  return Math.sign(value) * rounded / factor;
+}
+
+function roundTo(value, significance, method) {
+  if (significance === 0) return 0;
+  return Math[method](value / significance) * significance;
+}
+
+function sortOrder(thunk) {
+  if (!thunk) return 1;
+  const value = thunk();
+  if (typeof value === 'number') return value < 0 ? -1 : 1;
+
+  const name = typeof value === 'string' ? value : thunk.ref || '';
+  return /desc(ending)?$/i.test(name) ? -1 : 1;
+}
+
+function addMonths(start, months) {
+  const result = new Date(start.getTime());
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  // Clamp to the end of shorter months: Jan 31 + 1 month = Feb 28/29
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+}
+
+function unitOf(value) {
+  const unit = text(value === undefined ? 'days' : value).toLowerCase();
+  return unit.endsWith('s') ? unit : `${unit}s`;
+}
+
+function uniqueBy(items, keys) {
+  const seen = [];
+  const result = [];
+
+  items.forEach((item, i) => {
+    const key = keys[i];
+    const match = isRecord(key) || Array.isArray(key)
+      ? seen.some(other => JSON.stringify(other) === JSON.stringify(key))
+      : seen.some(other => !isRecord(other) && !Array.isArray(other) && equals(other, key));
+
+    if (!match) {
+      seen.push(key);
+      result.push(item);
+    }
+  });
+
+  return result;
+}
+
+function position(args, caseSensitive) {
+  const needle = text(args[0]);
+  const haystack = text(args[1]);
+  const start = args.length > 2 ? int(args[2]) : 1;
+  if (start < 1 || start > haystack.length + 1) return errors.value('Start position is out of range');
+
+  const index = caseSensitive
+    ? haystack.indexOf(needle, start - 1)
+    : haystack.toLowerCase().indexOf(needle.toLowerCase(), start - 1);
+
+  return index === -1 ? errors.value(`"${needle}" was not found`) : index + 1;
+}
+
+const library = {
+  // ============ MATH ============
+
+  SUM: { category: 'Math', ...aggregate(values => sum(numericValues(values))) },
+  AVERAGE: {
+    category: 'Math',
+    ...aggregate(values => {
+      const numbers = numericValues(values);
+      return numbers.length ? sum(numbers) / numbers.length : errors.div0();
+    }),
+  },
+  MIN: {
+    category: 'Math',
+    ...aggregate(values => {
+      const numbers = numericValues(values);
+      return numbers.length ? numbers.reduce((min, n) => (n < min ? n : min)) : 0;
+    }),
+  },
+  MAX: {
+    category: 'Math',
+    ...aggregate(values => {
+      const numbers = numericValues(values);
+      return numbers.length ? numbers.reduce((max, n) => (n > max ? n : max)) : 0;
+    }),
+  },
+  COUNT: { category: 'Math', ...aggregate(values => values.filter(value => typeof value === 'number').length) },
+  COUNTA: { category: 'Math', ...aggregate(values => values.filter(value => !isBlank(value)).length) },
+  PRODUCT: {
+    category: 'Math',
+    ...aggregate(values => numericValues(values).reduce((product, n) => product * n, 1)),
+  },
+  MEDIAN: {
+    category: 'Math',
+    ...aggregate(values => {
+      const numbers = numericValues(values).sort((a, b) => a - b);
+      if (!numbers.length) return errors.num();
+      const middle = Math.floor(numbers.length / 2);
+      return numbers.length % 2 ? numbers[middle] : (numbers[middle - 1] + numbers[middle]) / 2;
+    }),
+  },
+  STDEV: {
+    category: 'Math',
+    ...aggregate(values => {
+      const result = variance(numericValues(values), true);
+      return isFormulaError(result) ? result : Math.sqrt(result);
+    }),
+  },
+  STDEVP: {
+    category: 'Math',
+    ...aggregate(values => {
+      const result = variance(numericValues(values), false);
+      return isFormulaError(result) ? result : Math.sqrt(result);
+    }),
+  },
+
+  ROUND: { category: 'Math', min: 1, max: 2, fn: ([n, d]) => round(num(n), d === undefined ? 0 : int(d)) },
+  ROUNDUP: { category: 'Math', min: 1, max: 2, fn: ([n, d]) => round(num(n), d === undefined ? 0 : int(d), 'up') },
+  ROUNDDOWN: { category: 'Math', min: 1, max: 2, fn: ([n, d]) => round(num(n), d === undefined ? 0 : int(d), 'down') },
+  INT: { category: 'Math', min: 1, max: 1, fn: ([n]) => Math.floor(num(n)) },
+  TRUNC: { category: 'Math', min: 1, max: 1, fn: ([n]) => Math.trunc(num(n)) },
+  ABS: { category: 'Math', min: 1, max: 1, fn: ([n]) => Math.abs(num(n)) },
+  SIGN: { category: 'Math', min: 1, max: 1, fn: ([n]) => Math.sign(num(n)) },
+  POWER: { category: 'Math', min: 2, max: 2, fn: ([n, p]) => num(n) ** num(p) },
+  SQRT: {
+    category: 'Math',
+    min: 1,
+    max: 1,
+    fn: ([n]) => (num(n) < 0 ? errors.num('SQRT of a negative number') : Math.sqrt(num(n))),
+  },
+  MOD: {
+    category: 'Math',
+    min: 2,
+    max: 2,
+    fn: ([n, d]) => {
+      const divisor = num(d);
+      if (divisor === 0) return errors.div0();
+      return num(n) - divisor * Math.floor(num(n) / divisor);
+    },
+  },
+  EXP: { category: 'Math', min: 1, max: 1, fn: ([n]) => Math.exp(num(n)) },
+  LN: { category: 'Math', min: 1, max: 1, fn: ([n]) => (num(n) <= 0 ? errors.num() : Math.log(num(n))) },
+  LOG: {
+    category: 'Math',
+    min: 1,
+    max: 2,
+    fn: ([n, base]) => {
+      const b = base === undefined ? 10 : num(base);
+      if (num(n) <= 0 || b <= 0 || b === 1) return errors.num();
+      return Math.log(num(n)) / Math.log(b);
+    },
+  },
+  LOG10: { category: 'Math', min: 1, max: 1, fn: ([n]) => (num(n) <= 0 ? errors.num() : Math.log10(num(n))) },
+  PI: { category: 'Math', min: 0, max: 0, fn: () => Math.PI },
+  CEILING: {
+    category: 'Math',
+    min: 1,
+    max: 2,
+    fn: ([n, s]) => roundTo(num(n), s === undefined ? 1 : num(s), 'ceil'),
+  },
+  FLOOR: {
+    category: 'Math',
+    min: 1,
+    max: 2,
+    fn: ([n, s]) => roundTo(num(n), s === undefined ? 1 : num(s), 'floor'),
+  },
+
+  // ============ TEXT ============
+
+  UPPER: { category: 'Text', min: 1, max: 1, fn: ([t]) => text(t).toUpperCase() },
+  LOWER: { category: 'Text', min: 1, max: 1, fn: ([t]) => text(t).toLowerCase() },
+  PROPER: {
+    category: 'Text',
+    min: 1,
+    max: 1,
+    fn: ([t]) => text(t).toLowerCase().replace(/(^|[^a-z])([a-z])/g, (_, before, letter) => before + letter.toUpperCase()),
+  },
+  LEFT: {
+    category: 'Text',
+    min: 1,
+    max: 2,
+    fn: ([t, n]) => {
+      const count = n === undefined ? 1 : int(n);
+      return count < 0 ? errors.value('Count cannot be negative') : text(t).slice(0, count);
+    },
+  },
+  RIGHT: {
+    category: 'Text',
+    min: 1,
+    max: 2,
+    fn: ([t, n]) => {
+      const count = n === undefined ? 1 : int(n);
+      if (count < 0) return errors.value('Count cannot be negative');
+      return count === 0 ? '' : text(t).slice(-count);
+    },
+  },
+  MID: {
+    category: 'Text',
+    min: 3,
+    max: 3,
+    fn: ([t, start, n]) => {
+      const from = int(start);
+      const count = int(n);
+      if (from < 1 || count < 0) return errors.value('MID start must be at least 1');
+      return text(t).substr(from - 1, count);
+    },
+  },
+  LEN: { category: 'Text', min: 1, max: 1, fn: ([t]) => text(t).length },
+  TRIM: { category: 'Text', min: 1, max: 1, fn: ([t]) => text(t).trim().replace(/ {2,}/g, ' ') },
+  CONCATENATE: { category: 'Text', min: 1, max: Infinity, fn: args => flatten(args).map(text).join('') },
+  CONCAT: { category: 'Text', min: 1, max: Infinity, fn: args => flatten(args).map(text).join('') },
+  TEXTJOIN: {
+    category: 'Text',
+    min: 3,
+    max: Infinity,
+    fn: ([delimiter, ignoreEmpty, ...values]) => {
+      const parts = flatten(values).map(text);
+      return (bool(ignoreEmpty) ? parts.filter(part => part !== '') : parts).join(text(delimiter));
+    },
+  },
+  SUBSTITUTE: {
+    category: 'Text',
+    min: 3,
+    max: 4,
+    fn: ([t, oldText, newText, instance]) => {
+      const source = text(t);
+      const find = text(oldText);
+      const replacement = text(newText);
+      if (find === '') return source;
+      if (instance === undefined) return source.split(find).join(replacement);
+
+      const occurrence = int(instance);
+      if (occurrence < 1) return errors.value('Instance must be at least 1');
+      let index = -1;
+      for (let i = 0; i < occurrence; i++) {
+        index = source.indexOf(find, index + 1);
+        if (index === -1) return source;
+      }
+      return source.slice(0, index) + replacement + source.slice(index + find.length);
+    },
+  },
+  REPLACE: {
+    category: 'Text',
+    min: 3,
+    max: 4,
+    fn: args => {
+      // Replace(text, old, new) is the older substitute-style form
+      if (args.length === 3) return library.SUBSTITUTE.fn(args);
+
+      const [t, start, n, newText] = args;
+      const from = int(start);
+      const count = int(n);
+      if (from < 1 || count < 0) return errors.value('REPLACE start must be at least 1');
+      const source = text(t);
+      return source.slice(0, from - 1) + text(newText) + source.slice(from - 1 + count);
+    },
+  },
+  FIND: { category: 'Text', min: 2, max: 3, fn: args => position(args, true) },
+  SEARCH: { category: 'Text', min: 2, max: 3, fn: args => position(args, false) },
+  REPT: {
+    category: 'Text',
+    min: 2,
+    max: 2,
+    fn: ([t, n], ctx) => {
+      const source = text(t);
+      const times = int(n);
+      if (times < 0) return errors.value('Count cannot be negative');
+      if (source.length * times > ctx.limits.maxStringLength) {
+        throw new FormulaLimitError(`Text exceeds ${ctx.limits.maxStringLength} characters`);
+      }
+      return source.repeat(times);
+    },
+  },
+  VALUE: { category: 'Text', min: 1, max: 1, fn: ([t]) => num(t) },
+  TEXT: { category: 'Text', min: 1, max: 1, fn: ([value]) => text(value) },
+  SPLIT: {
+    category: 'Text',
+    min: 2,
+    max: 2,
+    fn: ([t, separator], ctx) => ctx.checkArray(text(t).split(text(separator))),
+  },
+  EXACT: { category: 'Text', min: 2, max: 2, fn: ([a, b]) => text(a) === text(b) },
+
+  // ============ LOGIC ============
+
+  IF: {
+    category: 'Logical',
+    min: 2,
+    max: Infinity,
+    lazy: true,
+    // IF(cond, then, [cond2, then2, ...], [else])
+    fn: args => {
+      let i = 0;
+      for (; i + 1 < args.length; i += 2) {
+        const condition = toBoolean(args[i]());
+        if (isFormulaError(condition)) return condition;
+        if (condition) return args[i + 1]();
+      }
+      return i < args.length ? args[i]() : null;
+    },
+  },
+  IFS: {
+    category: 'Logical',
+    min: 2,
+    max: Infinity,
+    lazy: true,
+    fn: args => {
+      for (let i = 0; i + 1 < args.length; i += 2) {
+        const condition = toBoolean(args[i]());
+        if (isFormulaError(condition)) return condition;
+        if (condition) return args[i + 1]();
+      }
+      return errors.na('No condition was true');
+    },
+  },
+  SWITCH: {
+    category: 'Logical',
+    min: 3,
+    max: Infinity,
+    lazy: true,
+    fn: args => {
+      const value = args[0]();
+      if (isFormulaError(value)) return value;
+
+      let i = 1;
+      for (; i + 1 < args.length; i += 2) {
+        const candidate = args[i]();
+        if (isFormulaError(candidate)) return candidate;
+        if (equals(value, candidate)) return args[i + 1]();
+      }
+      return i < args.length ? args[i]() : errors.na('No case matched');
+    },
+  },
+  AND: { category: 'Logical', min: 1, max: Infinity, fn: args => flatten(args).every(value => bool(value)) },
+  OR: { category: 'Logical', min: 1, max: Infinity, fn: args => flatten(args).some(value => bool(value)) },
+  XOR: {
+    category: 'Logical',
+    min: 1,
+    max: Infinity,
+    fn: args => flatten(args).filter(value => bool(value)).length % 2 === 1,
+  },
+  NOT: { category: 'Logical', min: 1, max: 1, fn: ([value]) => !bool(value) },
+  IFERROR: {
+    category: 'Logical',
+    min: 2,
+    max: 2,
+    lazy: true,
+    fn: ([value, fallback]) => {
+      const result = value();
+      return isFormulaError(result) ? fallback() : result;
+    },
+  },
+  IFNA: {
+    category: 'Logical',
+    min: 2,
+    max: 2,
+    lazy: true,
+    fn: ([value, fallback]) => {
+      const result = value();
+      return isFormulaError(result) && result.code === errors.na().code ? fallback() : result;
+    },
+  },
+  COALESCE: {
+    category: 'Logical',
+    min: 1,
+    max: Infinity,
+    lazy: true,
+    fn: args => {
+      for (const arg of args) {
+        const value = arg();
+        if (!isBlank(value)) return value;
+      }
+      return null;
+    },
+  },
+  ISERROR: { category: 'Information', min: 1, max: 1, propagate: false, fn: ([value]) => isFormulaError(value) },
+  ISNA: {
+    category: 'Information',
+    min: 1,
+    max: 1,
+    propagate: false,
+    fn: ([value]) => isFormulaError(value) && value.code === errors.na().code,
+  },
+  ISBLANK: {
+    category: 'Information',
+    min: 1,
+    max: 1,
+    propagate: false,
+    fn: ([value]) => isBlank(value) || (typeof value === 'string' && value.trim() === ''),
+  },
+  ISEMPTY: {
+    category: 'Information',
+    min: 1,
+    max: 1,
+    propagate: false,
+    fn: ([value]) => {
+      if (Array.isArray(value)) return value.length === 0;
+      if (isRecord(value)) return Object.keys(value).length === 0;
+      return isBlank(value);
+    },
+  },
+  ISNUMBER: { category: 'Information', min: 1, max: 1, propagate: false, fn: ([value]) => typeof value === 'number' },
+  ISNUMERIC: {
+    category: 'Information',
+    min: 1,
+    max: 1,
+    propagate: false,
+    fn: ([value]) => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isFormulaError(toNumber(value))),
+  },
+  ISTEXT: { category: 'Information', min: 1, max: 1, propagate: false, fn: ([value]) => typeof value === 'string' },
+  ISLOGICAL: { category: 'Information', min: 1, max: 1, propagate: false, fn: ([value]) => typeof value === 'boolean' },
+  BLANK: { category: 'Information', min: 0, max: 0, fn: () => null },
+  NA: { category: 'Information', min: 0, max: 0, fn: () => errors.na() },
+
+  // ============ DATE & TIME ============
+
+  NOW: { category: 'Date & Time', min: 0, max: 0, fn: () => new Date() },
+  TODAY: {
+    category: 'Date & Time',
+    min: 0,
+    max: 0,
+    fn: () => {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      return today;
+    },
+  },
+  DATE: {
+    category: 'Date & Time',
+    min: 3,
+    max: 3,
+    fn: ([y, m, d]) => new Date(int(y), int(m) - 1, int(d)),
+  },
+  YEAR: { category: 'Date & Time', min: 1, max: 1, fn: ([d]) => date(d).getFullYear() },
+  MONTH: { category: 'Date & Time', min: 1, max: 1, fn: ([d]) => date(d).getMonth() + 1 },
+  DAY: { category: 'Date & Time', min: 1, max: 1, fn: ([d]) => date(d).getDate() },
+  HOUR: { category: 'Date & Time', min: 1, max: 1, fn: ([d]) => date(d).getHours() },
+  MINUTE: { category: 'Date & Time', min: 1, max: 1, fn: ([d]) => date(d).getMinutes() },
+  SECOND: { category: 'Date & Time', min: 1, max: 1, fn: ([d]) => date(d).getSeconds() },
+  WEEKDAY: { category: 'Date & Time', min: 1, max: 1, fn: ([d]) => date(d).getDay() + 1 },
+  ISTODAY: {
+    category: 'Date & Time',
+    min: 1,
+    max: 1,
+    fn: ([d]) => date(d).toDateString() === new Date().toDateString(),
+  },
+  DATEADD: {
+    category: 'Date & Time',
+    min: 2,
+    max: 3,
+    fn: ([d, amount, unit]) => {
+      const start = date(d);
+      const n = num(amount);
+      const u = unitOf(unit);
+
+      if (u === 'months') return addMonths(start, Math.trunc(n));
+      if (u === 'quarters') return addMonths(start, Math.trunc(n) * 3);
+      if (u === 'years') return addMonths(start, Math.trunc(n) * 12);
+      if (!UNIT_MS[u]) return errors.value(`Unknown unit "${u}"`);
+      return new Date(start.getTime() + n * UNIT_MS[u]);
+    },
+  },
+  DATEDIFF: {
+    category: 'Date & Time',
+    min: 2,
+    max: 3,
+    // Whole units from start to end; end date first, as in the function library
+    fn: ([e, s, unit]) => {
+      const start = date(s);
+      const end = date(e);
+      const u = unitOf(unit);
+
+      if (u === 'months' || u === 'quarters' || u === 'years') {
+        let months = (end.getFullYear() - start.getFullYear()) * 12 + end.getMonth() - start.getMonth();
+        if (months > 0 && addMonths(start, months) > end) months--;
+        if (months < 0 && addMonths(start, months) < end) months++;
+        if (u === 'months') return months;
+        return Math.trunc(months / (u === 'years' ? 12 : 3));
+      }
+
+      if (!UNIT_MS[u]) return errors.value(`Unknown unit "${u}"`);
+      return Math.trunc((end - start) / UNIT_MS[u]);
+    },
+  },
+
+  // ============ ARRAYS & TABLES ============
+
+  SEQUENCE: {
+    category: 'Array',
+    min: 1,
+    max: 4,
+    fn: ([r, c, s, st], ctx) => {
+      const rows = int(r);
+      const columns = c === undefined ? 1 : int(c);
+      const start = s === undefined ? 1 : num(s);
+      const step = st === undefined ? 1 : num(st);
+
+      if (rows < 1 || columns < 1) return errors.value('SEQUENCE needs at least one row and column');
+      if (rows * columns > ctx.limits.maxArrayLength) {
+        throw new FormulaLimitError(`Array exceeds ${ctx.limits.maxArrayLength} items`);
+      }
+
+      const at = (row, column) => start + (row * columns + column) * step;
+      if (columns === 1) return Array.from({ length: rows }, (_, i) => at(i, 0));
+      return Array.from({ length: rows }, (_, row) => Array.from({ length: columns }, (__, column) => at(row, column)));
+    },
+  },
+  MAP: {
+    category: 'Array',
+    min: 2,
+    max: 2,
+    lazy: true,
+    fn: ([items, mapper], ctx) => ctx.perItem(mapper, list(items())),
+  },
+  REDUCE: {
+    category: 'Array',
+    min: 3,
+    max: 3,
+    fn: ([initial, items, reducer], ctx) => {
+      const lambda = fn(reducer);
+      return list(items).reduce((accumulator, item) => ctx.call(lambda, [accumulator, item]), initial);
+    },
+  },
+  SCAN: {
+    category: 'Array',
+    min: 3,
+    max: 3,
+    fn: ([initial, items, reducer], ctx) => {
+      const lambda = fn(reducer);
+      let accumulator = initial;
+      return list(items).map(item => {
+        accumulator = ctx.call(lambda, [accumulator, item]);
+        return accumulator;
+      });
+    },
+  },
+  FILTER: {
+    category: 'Array',
+    min: 2,
+    max: Infinity,
+    lazy: true,
+    // FILTER(table, condition, ...) keeps rows where every condition holds
+    fn: ([table, ...conditions], ctx) => {
+      const items = list(table());
+      const keep = items.map(() => true);
+
+      for (const condition of conditions) {
+        const results = ctx.perItem(condition, items);
+        for (let i = 0; i < items.length; i++) {
+          if (keep[i]) keep[i] = bool(results[i]);
+        }
+      }
+
+      return items.filter((_, i) => keep[i]);
+    },
+  },
+  SORT: {
+    category: 'Array',
+    min: 1,
+    max: 3,
+    lazy: true,
+    // SORT(array, [order]), SORT(array, column, [order]) or SORT(table, expression, [order])
+    fn: ([table, by, order], ctx) => {
+      const items = list(table()).slice();
+      let keys = items;
+      let direction = 1;
+
+      if (by) {
+        const outer = by();
+        const orderOnly = !order && (typeof outer === 'number' ? Math.abs(outer) === 1 && !items.some(Array.isArray) : typeof outer === 'string');
+
+        if (orderOnly) {
+          direction = sortOrder(by);
+        } else if (typeof outer === 'number') {
+          keys = items.map(item => (Array.isArray(item) ? item[int(outer) - 1] : item));
+          direction = sortOrder(order);
+        } else {
+          keys = ctx.perItem(by, items);
+          direction = sortOrder(order);
+        }
+      }
+
+      return items
+        .map((item, i) => ({ item, key: keys[i], i }))
+        .sort((a, b) => compare(a.key, b.key) * direction || a.i - b.i)
+        .map(entry => entry.item);
+    },
+  },
+  UNIQUE: {
+    category: 'Array',
+    min: 1,
+    max: 2,
+    lazy: true,
+    fn: ([table, by], ctx) => {
+      const items = list(table());
+      if (!by) return uniqueBy(items, items);
+      return uniqueBy(ctx.perItem(by, items), ctx.perItem(by, items));
+    },
+  },
+  INDEX: {
+    category: 'Array',
+    min: 2,
+    max: 3,
+    fn: ([items, r, c]) => {
+      const array = list(items);
+      const row = int(r);
+      if (row < 1 || row > array.length) return errors.ref(`Row ${row} is out of range`);
+
+      const item = array[row - 1];
+      if (c === undefined) return item;
+
+      const column = int(c);
+      const cells = Array.isArray(item) ? item : [item];
+      if (column < 1 || column > cells.length) return errors.ref(`Column ${column} is out of range`);
+      return cells[column - 1];
+    },
+  },
+  FIRST: { category: 'Array', min: 1, max: 1, fn: ([items]) => (list(items).length ? list(items)[0] : null) },
+  LAST: {
+    category: 'Array',
+    min: 1,
+    max: 1,
+    fn: ([items]) => {
+      const array = list(items);
+      return array.length ? array[array.length - 1] : null;
+    },
+  },
+  COUNTROWS: { category: 'Array', min: 1, max: 1, fn: ([items]) => list(items).length },
+  LOOKUP: {
+    category: 'Array',
+    min: 2,
+    max: 3,
+    lazy: true,
+    // LOOKUP(table, condition, [result]): the first matching record, or blank
+    fn: ([table, condition, result], ctx) => {
+      const items = list(table());
+      const matches = ctx.perItem(condition, items);
+      const index = matches.findIndex(match => bool(match));
+
+      if (index === -1) return null;
+      return result ? result.withRecord(items[index]) : items[index];
+    },
+  },
+  XLOOKUP: {
+    category: 'Array',
+    min: 3,
+    max: 4,
+    propagate: false,
+    fn: ([value, lookupArray, returnArray, notFound]) => {
+      expect(value);
+      const keys = list(lookupArray);
+      const results = list(returnArray);
+      const index = keys.findIndex(key => !isFormulaError(key) && equals(key, value));
+
+      if (index === -1) return notFound === undefined ? errors.na(`${toText(value)} was not found`) : notFound;
+      return index < results.length ? results[index] : errors.ref('Return array is shorter than lookup array');
+    },
+  },
+  RGBA: {
+    category: 'Color',
+    min: 4,
+    max: 4,
+    fn: ([r, g, b, a]) => `rgba(${int(r)}, ${int(g)}, ${int(b)}, ${num(a)})`,
+  },
+};
+
+// Alternate spellings
+const aliases = {
+  DISTINCT: 'UNIQUE',
+};
+
+/**
+ * Build a function table: name (upper case) -> { min, max, lazy, propagate, category, fn }
+ * @param {object} [extra] - Additional or overriding definitions
+ * @returns {Map<string, object>}
+ */
+function createFunctionTable(extra = {}) {
+  const table = new Map();
+
+  const define = (name, definition) => {
+    table.set(name.toUpperCase(), {
+      min: 0,
+      max: Infinity,
+      lazy: false,
+      propagate: true,
+      category: 'Other',
+      ...definition,
+      name: name.toUpperCase(),
+    });
+  };
+
+  Object.entries(library).forEach(([name, definition]) => define(name, definition));
+  Object.entries(aliases).forEach(([alias, target]) => define(alias, library[target]));
+  Object.entries(extra).forEach(([name, definition]) => define(name, definition));
+
+  return table;
+}
+
+module.exports = {
+  createFunctionTable,
+  expect,
+};
@@ -0,0 +1,61 @@
+/**
+ * Formula Language
+ *
+ * Sandboxed parser and interpreter for the spreadsheet-style formula
+ * language, with dependency-tracked recalculation across forms, grids,
+ * reports and entities.
+ */
+
+const config = require('../../config');
+const { parse, tokenize, collectReferences, collectFunctions } = require('./parser');
+const { ERROR_CODES, FormulaError, FormulaSyntaxError, isFormulaError, errors } = require('./errors');
+const { Lambda } = require('./values');
+const { createFunctionTable } = require('./functions');
+const { Interpreter, DEFAULT_LIMITS } = require('./Interpreter');
+const { DependencyGraph } = require('./DependencyGraph');
+const { FormulaWorkbook, isFormula } = require('./FormulaWorkbook');
+
+/**
+ * Interpreter with the limits from config.formula
+ * @param {object} [options]
+ * @param {object} [options.functions] - Extra or overriding function definitions
+ */
+function createInterpreter(options = {}) {
+  const settings = config.formula || {};
+  const defined = object => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+  return new Interpreter({
+    functions: createFunctionTable(options.functions),
+    limits: defined({
+      timeout: settings.maxExecutionTime,
+      maxCallDepth: settings.maxRecursionDepth,
+      maxSteps: settings.maxSteps,
+      maxArrayLength: settings.maxArrayLength,
+      maxStringLength: settings.maxStringLength,
+    }),
+    parseLimits: defined({
+      maxLength: settings.maxFormulaLength,
+      maxDepth: settings.maxRecursionDepth,
+    }),
+  });
+}
+
+module.exports = {
+  createInterpreter,
+  parse,
+  tokenize,
+  collectReferences,
+  collectFunctions,
+  ERROR_CODES,
+  FormulaError,
+  FormulaSyntaxError,
+  isFormulaError,
+  errors,
+  Lambda,
+  createFunctionTable,
+  Interpreter,
+  DEFAULT_LIMITS,
+  DependencyGraph,
+  FormulaWorkbook,
+  isFormula,
+};
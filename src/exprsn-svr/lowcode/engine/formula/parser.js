@@ -0,0 +1,595 @@
+/**
+ * Formula Parser
+ *
+ * Tokenizer and recursive-descent parser for the Excel-like formula
+ * language. Produces a plain-object AST; nothing here executes code.
+ *
+ * Precedence, lowest first:
+ *   || or   &&  and   = == <> != < > <= >=   &   + -   * /   ^   unary - + ! not   postfix %
+ *
+ * Arrow functions are shorthand for LAMBDA: x => x * 2, (a, b) => a + b
+ */
+
+const { FormulaSyntaxError } = require('./errors');
+
+const DEFAULT_LIMITS = {
+  maxLength: 10000,
+  maxDepth: 100,
+};
+
+const OPERATORS = ['=>', '==', '<>', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '^', '&', '%', '=', '<', '>', '!'];
+const PUNCTUATION = '()[]{},;:.';
+const WORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+const COMPARISON = ['=', '==', '<>', '!=', '<', '>', '<=', '>='];
+
+/**
+ * Split a formula into tokens
+ * @param {string} source
+ * @returns {Array<{ type: string, value: *, pos: number }>}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Comments
+    if (source.startsWith('//', i)) {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+      continue;
+    }
+    if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+      if (end === -1) throw new FormulaSyntaxError('Unterminated comment', i);
+      i = end + 2;
+      continue;
+    }
+
+    // Numbers: 12, 1.5, .5, 1e3
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = /^(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)(?:[eE][+-]?[0-9]+)?/.exec(source.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]), pos: i });
+      i += match[0].length;
+      continue;
+    }
+
+    // Strings: "..." or '...', with the quote doubled to escape it
+    if (ch === '"' || ch === '\'') {
+      let value = '';
+      let j = i + 1;
+
+      for (;;) {
+        if (j >= source.length) throw new FormulaSyntaxError('Unterminated string', i);
+        if (source[j] === ch) {
+          if (source[j + 1] === ch) {
+            value += ch;
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += source[j++];
+      }
+
+      tokens.push({ type: 'string', value, pos: i });
+      i = j + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+      tokens.push({ type: 'identifier', value: match[0], pos: i });
+      i += match[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, pos: i });
+      i += operator.length;
+      continue;
+    }
+
+    if (PUNCTUATION.includes(ch)) {
+      tokens.push({ type: 'punctuation', value: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    throw new FormulaSyntaxError(`Unexpected character "${ch}"`, i);
+  }
+
+  tokens.push({ type: 'eof', value: null, pos: source.length });
+  return tokens;
+}
+
+class Parser {
+  constructor(source, limits) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+    this.depth = 0;
+    this.limits = limits;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  is(type, value) {
+    const token = this.peek();
+    return token.type === type && (value === undefined || token.value === value);
+  }
+
+  expect(type, value) {
+    const token = this.peek();
+    if (!this.is(type, value)) {
+      const found = token.type === 'eof' ? 'end of formula' : `"${token.value}"`;
+      throw new FormulaSyntaxError(`Expected "${value || type}" but found ${found}`, token.pos);
+    }
+    return this.next();
+  }
+
+  /**
+   * Operator at the cursor, with and/or/not words mapped to symbols
+   * A word followed by "(" is a function call instead
+   */
+  peekOperator() {
+    const token = this.peek();
+
+    if (token.type === 'operator') return token.value;
+
+    if (token.type === 'identifier') {
+      const word = WORD_OPERATORS[token.value.toLowerCase()];
+      const next = this.peek(1);
+      if (word && !(next.type === 'punctuation' && next.value === '(')) return word;
+    }
+
+    return null;
+  }
+
+  enter(pos) {
+    if (++this.depth > this.limits.maxDepth) {
+      throw new FormulaSyntaxError('Formula is nested too deeply', pos);
+    }
+  }
+
+  leave() {
+    this.depth--;
+  }
+
+  parseFormula() {
+    // A leading "=" is optional, as in a spreadsheet cell
+    if (this.is('operator', '=')) this.next();
+
+    if (this.is('eof')) throw new FormulaSyntaxError('Empty formula', 0);
+
+    const ast = this.parseExpression();
+
+    if (!this.is('eof')) {
+      const token = this.peek();
+      throw new FormulaSyntaxError(`Unexpected "${token.value}"`, token.pos);
+    }
+
+    return ast;
+  }
+
+  parseExpression() {
+    const pos = this.peek().pos;
+    this.enter(pos);
+    const node = this.parseOr();
+    this.leave();
+    return node;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.peekOperator() === '||') {
+      const { pos } = this.next();
+      left = { type: 'Logical', operator: '||', left, right: this.parseAnd(), pos };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseComparison();
+    while (this.peekOperator() === '&&') {
+      const { pos } = this.next();
+      left = { type: 'Logical', operator: '&&', left, right: this.parseComparison(), pos };
+    }
+    return left;
+  }
+
+  parseComparison() {
+    let left = this.parseConcat();
+    while (COMPARISON.includes(this.peekOperator())) {
+      const { value, pos } = this.next();
+      const operator = value === '==' ? '=' : value === '!=' ? '<>' : value;
+      left = { type: 'Binary', operator, left, right: this.parseConcat(), pos };
+    }
+    return left;
+  }
+
+  parseConcat() {
+    let left = this.parseAdditive();
+    while (this.peekOperator() === '&') {
+      const { pos } = this.next();
+      left = { type: 'Binary', operator: '&', left, right: this.parseAdditive(), pos };
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (['+', '-'].includes(this.peekOperator())) {
+      const { value, pos } = this.next();
+      left = { type: 'Binary', operator: value, left, right: this.parseMultiplicative(), pos };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parsePower();
+    while (['*', '/'].includes(this.peekOperator())) {
+      const { value, pos } = this.next();
+      left = { type: 'Binary', operator: value, left, right: this.parsePower(), pos };
+    }
+    return left;
+  }
+
+  // Left-associative, as in Excel: 2^3^2 is 64
+  parsePower() {
+    let left = this.parseUnary();
+    while (this.peekOperator() === '^') {
+      const { pos } = this.next();
+      left = { type: 'Binary', operator: '^', left, right: this.parseUnary(), pos };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    const operator = this.peekOperator();
+
+    if (['-', '+', '!'].includes(operator)) {
+      const { pos } = this.next();
+      this.enter(pos);
+      const argument = this.parseUnary();
+      this.leave();
+      return { type: 'Unary', operator, argument, pos };
+    }
+
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    for (;;) {
+      if (this.is('operator', '%')) {
+        const { pos } = this.next();
+        node = { type: 'Percent', argument: node, pos };
+      } else if (this.is('punctuation', '.')) {
+        const { pos } = this.next();
+        const property = this.expect('identifier').value;
+        node = { type: 'Member', object: node, property, pos };
+      } else if (this.is('punctuation', '(')) {
+        const { pos } = this.peek();
+        const args = this.parseArguments();
+        node = node.type === 'Identifier'
+          ? { type: 'Call', name: node.name, args, pos: node.pos }
+          : { type: 'Invoke', callee: node, args, pos };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseArguments() {
+    this.expect('punctuation', '(');
+    const args = [];
+
+    if (!this.is('punctuation', ')')) {
+      do {
+        args.push(this.parseExpression());
+      } while (this.is('punctuation', ',') && this.next());
+    }
+
+    this.expect('punctuation', ')');
+    return args;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    switch (token.type) {
+      case 'number':
+        this.next();
+        return { type: 'Number', value: token.value, pos: token.pos };
+
+      case 'string':
+        this.next();
+        return { type: 'String', value: token.value, pos: token.pos };
+
+      case 'identifier': {
+        if (this.peek(1).type === 'operator' && this.peek(1).value === '=>') {
+          return this.parseArrow([this.next()]);
+        }
+
+        this.next();
+        const lower = token.value.toLowerCase();
+        if (lower === 'true' || lower === 'false') {
+          return { type: 'Boolean', value: lower === 'true', pos: token.pos };
+        }
+        return { type: 'Identifier', name: token.value, pos: token.pos };
+      }
+
+      case 'punctuation':
+        if (token.value === '(') {
+          const params = this.arrowParameters();
+          if (params) return this.parseArrow(params);
+
+          this.next();
+          const expression = this.parseExpression();
+          this.expect('punctuation', ')');
+          return expression;
+        }
+        if (token.value === '[') return this.parseList('[', ']');
+        if (token.value === '{') return this.parseBraces();
+        break;
+
+      case 'eof':
+        throw new FormulaSyntaxError('Unexpected end of formula', token.pos);
+
+      default:
+        break;
+    }
+
+    throw new FormulaSyntaxError(`Unexpected "${token.value}"`, token.pos);
+  }
+
+  /**
+   * Parameter tokens of "(a, b) =>" at the cursor, or null when the
+   * parenthesis is not an arrow function's parameter list
+   */
+  arrowParameters() {
+    const params = [];
+    let offset = 1;
+
+    while (this.peek(offset).type === 'identifier') {
+      params.push(this.peek(offset));
+      offset++;
+      if (!(this.peek(offset).type === 'punctuation' && this.peek(offset).value === ',')) break;
+      offset++;
+    }
+
+    const close = this.peek(offset);
+    const arrow = this.peek(offset + 1);
+    if (close.type !== 'punctuation' || close.value !== ')' || arrow.type !== 'operator' || arrow.value !== '=>') {
+      return null;
+    }
+
+    this.index += offset + 1;
+    return params;
+  }
+
+  /**
+   * Body of an arrow function, as a LAMBDA call
+   */
+  parseArrow(params) {
+    const { pos } = this.expect('operator', '=>');
+    const args = params.map(param => ({ type: 'Identifier', name: param.value, pos: param.pos }));
+    args.push(this.parseExpression());
+    return { type: 'Call', name: 'LAMBDA', args, pos };
+  }
+
+  /**
+   * [a, b, c] - a one-dimensional array
+   */
+  parseList(open, close) {
+    const { pos } = this.expect('punctuation', open);
+    const elements = [];
+
+    if (!this.is('punctuation', close)) {
+      do {
+        elements.push(this.parseExpression());
+      } while (this.is('punctuation', ',') && this.next());
+    }
+
+    this.expect('punctuation', close);
+    return { type: 'Array', rows: [elements], pos };
+  }
+
+  /**
+   * { Name: expr, ... } is a record; {1, 2; 3, 4} is an Excel array constant
+   * whose rows are separated by semicolons
+   */
+  parseBraces() {
+    const next = this.peek(1);
+    const afterNext = this.peek(2);
+    const isRecord = (next.type === 'punctuation' && next.value === '}') ||
+      ((next.type === 'identifier' || next.type === 'string') &&
+        afterNext.type === 'punctuation' && afterNext.value === ':');
+
+    if (!isRecord) {
+      const { pos } = this.expect('punctuation', '{');
+      const rows = [];
+      let row = [];
+
+      for (;;) {
+        row.push(this.parseExpression());
+
+        if (this.is('punctuation', ',')) {
+          this.next();
+        } else if (this.is('punctuation', ';')) {
+          this.next();
+          rows.push(row);
+          row = [];
+        } else {
+          break;
+        }
+      }
+
+      rows.push(row);
+      this.expect('punctuation', '}');
+
+      if (rows.some(r => r.length !== rows[0].length)) {
+        throw new FormulaSyntaxError('Array rows must all be the same length', pos);
+      }
+      return { type: 'Array', rows, pos };
+    }
+
+    const { pos } = this.expect('punctuation', '{');
+    const fields = [];
+
+    if (!this.is('punctuation', '}')) {
+      do {
+        const key = this.next();
+        if (key.type !== 'identifier' && key.type !== 'string') {
+          throw new FormulaSyntaxError('Expected a field name', key.pos);
+        }
+        this.expect('punctuation', ':');
+        fields.push({ key: key.value, value: this.parseExpression() });
+      } while (this.is('punctuation', ',') && this.next());
+    }
+
+    this.expect('punctuation', '}');
+    return { type: 'Record', fields, pos };
+  }
+}
+
+/**
+ * Parse a formula into an AST
+ * @param {string} source - Formula text, optionally starting with "="
+ * @param {object} [limits] - { maxLength, maxDepth }
+ */
+function parse(source, limits = {}) {
+  const effective = { ...DEFAULT_LIMITS, ...limits };
+
+  if (typeof source !== 'string') {
+    throw new FormulaSyntaxError('Formula must be a string');
+  }
+  if (source.length > effective.maxLength) {
+    throw new FormulaSyntaxError(`Formula exceeds ${effective.maxLength} characters`);
+  }
+
+  return new Parser(source, effective).parseFormula();
+}
+
+/**
+ * Dotted path of a reference such as Customer.Address.City, or null when
+ * the expression is not a plain reference
+ */
+function referencePath(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'Member') {
+    const base = referencePath(node.object);
+    return base && `${base}.${node.property}`;
+  }
+  return null;
+}
+
+/**
+ * Names a formula reads from outside itself
+ * LAMBDA parameters and LET names are local and not included.
+ * @param {object} ast
+ * @returns {string[]} Dotted reference paths, longest form only
+ */
+function collectReferences(ast) {
+  const references = new Set();
+
+  const visit = (node, bound) => {
+    switch (node.type) {
+      case 'Identifier':
+      case 'Member': {
+        const path = referencePath(node);
+        if (path) {
+          if (!bound.has(path.split('.')[0].toUpperCase())) references.add(path);
+          return;
+        }
+        visit(node.object, bound);
+        return;
+      }
+
+      case 'Call': {
+        const name = node.name.toUpperCase();
+
+        if (name === 'LAMBDA') {
+          const params = node.args.slice(0, -1).map(arg => arg.name && arg.name.toUpperCase());
+          visit(node.args[node.args.length - 1], new Set([...bound, ...params]));
+          return;
+        }
+
+        if (name === 'LET') {
+          const scope = new Set(bound);
+          for (let i = 0; i < node.args.length - 1; i += 2) {
+            visit(node.args[i + 1], scope);
+            if (node.args[i].type === 'Identifier') scope.add(node.args[i].name.toUpperCase());
+          }
+          visit(node.args[node.args.length - 1], scope);
+          return;
+        }
+
+        node.args.forEach(arg => visit(arg, bound));
+        return;
+      }
+
+      default:
+        children(node).forEach(child => visit(child, bound));
+    }
+  };
+
+  visit(ast, new Set());
+  return [...references];
+}
+
+/**
+ * Direct child nodes of an AST node
+ */
+function children(node) {
+  switch (node.type) {
+    case 'Member': return [node.object];
+    case 'Call': return node.args;
+    case 'Invoke': return [node.callee, ...node.args];
+    case 'Unary':
+    case 'Percent': return [node.argument];
+    case 'Binary':
+    case 'Logical': return [node.left, node.right];
+    case 'Array': return node.rows.flat();
+    case 'Record': return node.fields.map(field => field.value);
+    default: return [];
+  }
+}
+
+/**
+ * Function names a formula calls, uppercased
+ */
+function collectFunctions(ast) {
+  const names = new Set();
+
+  const visit = node => {
+    if (node.type === 'Call') names.add(node.name.toUpperCase());
+    children(node).forEach(visit);
+  };
+
+  visit(ast);
+  return [...names];
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  tokenize,
+  parse,
+  referencePath,
+  collectReferences,
+  collectFunctions,
+};
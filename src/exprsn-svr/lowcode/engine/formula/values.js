@@ -0,0 +1,171 @@
+/**
+ * Formula Values
+ *
+ * Type coercion and comparison rules shared by the interpreter and the
+ * function library. Formula values are numbers, strings, booleans, null
+ * (blank), Dates, arrays, records (plain objects), lambdas and errors.
+ */
+
+const { FormulaError, isFormulaError, errors } = require('./errors');
+
+const BLOCKED_MEMBERS = new Set(['__proto__', 'prototype', 'constructor']);
+
+/**
+ * A LAMBDA value: parameters, body and the scope it closed over
+ */
+class Lambda {
+  constructor(params, body, scope) {
+    this.params = params;
+    this.body = body;
+    this.scope = scope;
+  }
+
+  toJSON() {
+    return { lambda: this.params };
+  }
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function isRecord(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof Lambda) && !isFormulaError(value);
+}
+
+/**
+ * Own, non-prototype member of a record
+ */
+function hasMember(record, name) {
+  return !BLOCKED_MEMBERS.has(name) && Object.prototype.hasOwnProperty.call(record, name);
+}
+
+/**
+ * @returns {number|FormulaError}
+ */
+function toNumber(value) {
+  if (isFormulaError(value)) return value;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : errors.num();
+  if (isBlank(value)) return 0;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.getTime();
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    const number = trimmed.endsWith('%') ? Number(trimmed.slice(0, -1)) / 100 : Number(trimmed);
+    return Number.isFinite(number) ? number : errors.value(`"${value}" is not a number`);
+  }
+
+  return errors.value('Expected a number');
+}
+
+/**
+ * @returns {string|FormulaError}
+ */
+function toText(value) {
+  if (isFormulaError(value)) return value;
+  if (isBlank(value)) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'number' || typeof value === 'string') return String(value);
+  if (value instanceof Date) return value.toISOString();
+  return errors.value('Expected text');
+}
+
+/**
+ * @returns {boolean|FormulaError}
+ */
+function toBoolean(value) {
+  if (isFormulaError(value)) return value;
+  if (typeof value === 'boolean') return value;
+  if (isBlank(value)) return false;
+  if (typeof value === 'number') return value !== 0;
+
+  if (typeof value === 'string') {
+    const lower = value.toLowerCase();
+    if (lower === 'true') return true;
+    if (lower === 'false') return false;
+  }
+
+  return errors.value('Expected TRUE or FALSE');
+}
+
+/**
+ * @returns {Date|FormulaError}
+ */
+function toDate(value) {
+  if (isFormulaError(value)) return value;
+  if (value instanceof Date) return value;
+  if (typeof value === 'string' || typeof value === 'number') {
+    const date = new Date(value);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+  return errors.value('Expected a date');
+}
+
+/**
+ * Flatten nested arrays into a list of scalars
+ */
+function flatten(values) {
+  const result = [];
+  const visit = value => (Array.isArray(value) ? value.forEach(visit) : result.push(value));
+  values.forEach(visit);
+  return result;
+}
+
+function firstError(values) {
+  return flatten(values).find(isFormulaError);
+}
+
+// Excel sorts numbers before text before booleans
+function typeRank(value) {
+  if (typeof value === 'number' || value instanceof Date) return 0;
+  if (typeof value === 'string') return 1;
+  if (typeof value === 'boolean') return 2;
+  return 3;
+}
+
+/**
+ * Compare two scalars: negative, zero or positive
+ * Text compares case-insensitively; blank matches 0, "" and FALSE
+ */
+function compare(a, b) {
+  if (isBlank(a) && isBlank(b)) return 0;
+  if (isBlank(a)) a = typeof b === 'string' ? '' : typeof b === 'boolean' ? false : 0;
+  if (isBlank(b)) b = typeof a === 'string' ? '' : typeof a === 'boolean' ? false : 0;
+
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+
+  if (typeof a === 'string') {
+    return a.localeCompare(b, undefined, { sensitivity: 'accent' });
+  }
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+function equals(a, b) {
+  if (typeRank(a) !== typeRank(b) && !isBlank(a) && !isBlank(b)) return false;
+  return compare(a, b) === 0;
+}
+
+module.exports = {
+  Lambda,
+  FormulaError,
+  isFormulaError,
+  isBlank,
+  isRecord,
+  hasMember,
+  toNumber,
+  toText,
+  toBoolean,
+  toDate,
+  flatten,
+  firstError,
+  compare,
+  equals,
+};
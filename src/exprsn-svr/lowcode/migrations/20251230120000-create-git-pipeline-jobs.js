@@ -0,0 +1,179 @@
+/**
+ * Migration: Create Git Pipeline Jobs
+ *
+ * Pipeline runs are now made of jobs parsed from .exprsn-ci.yml and leased
+ * to runners:
+ * - git_pipeline_jobs: one row per job, with its needs and runner lease
+ * - git_build_logs.pipeline_job_id / byte_offset: log chunks streamed by runners
+ * - git_pipeline_artifacts.pipeline_job_id: the job that uploaded an artifact
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('git_pipeline_jobs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      pipeline_run_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'git_pipeline_runs',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      repository_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'git_repositories',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      stage: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      needs: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        defaultValue: []
+      },
+      status: {
+        type: Sequelize.ENUM('created', 'pending', 'manual', 'running', 'success', 'failure', 'cancelled', 'skipped'),
+        defaultValue: 'created',
+        allowNull: false
+      },
+      when: {
+        type: Sequelize.ENUM('on_success', 'on_failure', 'always', 'manual'),
+        defaultValue: 'on_success',
+        allowNull: false
+      },
+      allow_failure: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      tags: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        defaultValue: []
+      },
+      configuration: {
+        type: Sequelize.JSONB,
+        defaultValue: {}
+      },
+      runner_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'git_runners',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      lease_token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      lease_expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      attempt: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      log_size: {
+        type: Sequelize.BIGINT,
+        defaultValue: 0
+      },
+      exit_code: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      failure_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      queued_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      finished_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      duration_seconds: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('git_pipeline_jobs', ['pipeline_run_id', 'name'], { unique: true });
+    await queryInterface.addIndex('git_pipeline_jobs', ['status', 'queued_at']);
+    await queryInterface.addIndex('git_pipeline_jobs', ['runner_id']);
+    await queryInterface.addIndex('git_pipeline_jobs', ['lease_token_hash']);
+    await queryInterface.addIndex('git_pipeline_jobs', ['tags'], { using: 'GIN' });
+
+    await queryInterface.addColumn('git_build_logs', 'pipeline_job_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'git_pipeline_jobs',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+
+    await queryInterface.addColumn('git_build_logs', 'byte_offset', {
+      type: Sequelize.BIGINT,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('git_build_logs', ['pipeline_job_id', 'byte_offset']);
+
+    await queryInterface.addColumn('git_pipeline_artifacts', 'pipeline_job_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'git_pipeline_jobs',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('git_pipeline_artifacts', 'pipeline_job_id');
+    await queryInterface.removeColumn('git_build_logs', 'byte_offset');
+    await queryInterface.removeColumn('git_build_logs', 'pipeline_job_id');
+    await queryInterface.dropTable('git_pipeline_jobs');
+  }
+};
@@ -0,0 +1,202 @@
+/**
+ * Migration: Add Git Security Scanners
+ *
+ * Secret and dependency scans now run inside the server:
+ * - git_security_scan_config: trigger, threshold and exclusion columns the
+ *   GitSecurityScanConfig model already declares
+ * - git_security_scan_results: per-config results with findings and
+ *   severity counts, as declared by GitSecurityScanResult
+ * - git_security_advisories: the local advisory database dependency scans
+ *   are matched against
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // ═══════════════════════════════════════════════════════════
+    // Scan configuration
+    // ═══════════════════════════════════════════════════════════
+    await queryInterface.addColumn('git_security_scan_config', 'scan_on_push', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: true
+    });
+
+    await queryInterface.addColumn('git_security_scan_config', 'scan_on_pr', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: true
+    });
+
+    await queryInterface.addColumn('git_security_scan_config', 'scan_schedule', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('git_security_scan_config', 'severity_threshold', {
+      type: Sequelize.STRING(50),
+      defaultValue: 'medium'
+    });
+
+    await queryInterface.addColumn('git_security_scan_config', 'fail_on_vulnerabilities', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('git_security_scan_config', 'excluded_paths', {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      defaultValue: []
+    });
+
+    await queryInterface.addColumn('git_security_scan_config', 'created_by', {
+      type: Sequelize.UUID,
+      allowNull: true
+    });
+
+    // ═══════════════════════════════════════════════════════════
+    // Scan results
+    // ═══════════════════════════════════════════════════════════
+    await queryInterface.addColumn('git_security_scan_results', 'config_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'git_security_scan_config',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+
+    await queryInterface.addColumn('git_security_scan_results', 'commit_sha', {
+      type: Sequelize.STRING(40),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('git_security_scan_results', 'vulnerabilities', {
+      type: Sequelize.JSONB,
+      defaultValue: {}
+    });
+
+    for (const column of ['critical_count', 'high_count', 'medium_count', 'low_count']) {
+      await queryInterface.addColumn('git_security_scan_results', column, {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      });
+    }
+
+    await queryInterface.addColumn('git_security_scan_results', 'report_url', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    // Superseded by the severity counts and vulnerabilities columns
+    await queryInterface.changeColumn('git_security_scan_results', 'severity', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+
+    await queryInterface.changeColumn('git_security_scan_results', 'results_data', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('git_security_scan_results', ['config_id', 'commit_sha']);
+
+    // ═══════════════════════════════════════════════════════════
+    // Advisory database
+    // ═══════════════════════════════════════════════════════════
+    await queryInterface.createTable('git_security_advisories', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      advisory_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      aliases: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        defaultValue: []
+      },
+      ecosystem: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: 'npm'
+      },
+      package_name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      severity: {
+        type: Sequelize.ENUM('critical', 'high', 'medium', 'low'),
+        allowNull: false,
+        defaultValue: 'medium'
+      },
+      summary: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      url: {
+        type: Sequelize.STRING(1000),
+        allowNull: true
+      },
+      ranges: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      versions: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        defaultValue: []
+      },
+      source: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      published_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      modified_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      withdrawn_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('git_security_advisories', ['advisory_id', 'package_name'], { unique: true });
+    await queryInterface.addIndex('git_security_advisories', ['ecosystem', 'package_name']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('git_security_advisories');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_git_security_advisories_severity";');
+
+    await queryInterface.removeIndex('git_security_scan_results', ['config_id', 'commit_sha']);
+    for (const column of [
+      'report_url', 'low_count', 'medium_count', 'high_count', 'critical_count',
+      'vulnerabilities', 'commit_sha', 'config_id'
+    ]) {
+      await queryInterface.removeColumn('git_security_scan_results', column);
+    }
+
+    for (const column of [
+      'created_by', 'excluded_paths', 'fail_on_vulnerabilities', 'severity_threshold',
+      'scan_schedule', 'scan_on_pr', 'scan_on_push'
+    ]) {
+      await queryInterface.removeColumn('git_security_scan_config', column);
+    }
+  }
+};
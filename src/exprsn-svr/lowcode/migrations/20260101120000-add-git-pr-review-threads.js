@@ -0,0 +1,120 @@
+/**
+ * Migration: Add Git Pull Request Review Threads
+ *
+ * Line comments become threads that follow the code across pushes:
+ * - git_pr_comments: replies, the anchored line range and side, the
+ *   anchor the thread was created at, outdated/resolved state and the
+ *   commit that applied a suggested change
+ * - git_pr_reviews: the head commit a review was submitted against and
+ *   dismissal details
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // ═══════════════════════════════════════════════════════════
+    // Review comments
+    // ═══════════════════════════════════════════════════════════
+    await queryInterface.addColumn('git_pr_comments', 'in_reply_to_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'git_pr_comments',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+
+    await queryInterface.addColumn('git_pr_comments', 'side', {
+      type: Sequelize.ENUM('old', 'new'),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('git_pr_comments', 'start_line', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('git_pr_comments', 'original_file_path', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('git_pr_comments', 'original_line', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('git_pr_comments', 'original_start_line', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('git_pr_comments', 'original_commit_sha', {
+      type: Sequelize.STRING(40),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('git_pr_comments', 'outdated', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('git_pr_comments', 'resolved_by', {
+      type: Sequelize.UUID,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('git_pr_comments', 'resolved_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('git_pr_comments', 'suggestion_commit_sha', {
+      type: Sequelize.STRING(40),
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('git_pr_comments', ['in_reply_to_id']);
+
+    // ═══════════════════════════════════════════════════════════
+    // Reviews
+    // ═══════════════════════════════════════════════════════════
+    await queryInterface.addColumn('git_pr_reviews', 'commit_sha', {
+      type: Sequelize.STRING(40),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('git_pr_reviews', 'dismissed_by', {
+      type: Sequelize.UUID,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('git_pr_reviews', 'dismissed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('git_pr_reviews', 'dismiss_reason', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    for (const column of ['dismiss_reason', 'dismissed_at', 'dismissed_by', 'commit_sha']) {
+      await queryInterface.removeColumn('git_pr_reviews', column);
+    }
+
+    await queryInterface.removeIndex('git_pr_comments', ['in_reply_to_id']);
+    for (const column of [
+      'suggestion_commit_sha', 'resolved_at', 'resolved_by', 'outdated', 'original_commit_sha',
+      'original_start_line', 'original_line', 'original_file_path', 'start_line', 'side', 'in_reply_to_id'
+    ]) {
+      await queryInterface.removeColumn('git_pr_comments', column);
+    }
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_git_pr_comments_side";');
+  }
+};
@@ -0,0 +1,69 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Git Build Log Model
+ * Represents output streamed from pipeline jobs
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+
+  const GitBuildLog = sequelize.define('GitBuildLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  pipelineRunId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'pipeline_run_id'
+  },
+  pipelineJobId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'pipeline_job_id'
+  },
+  stageName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'stage_name'
+  },
+  stepName: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'step_name'
+  },
+  logLevel: {
+    type: DataTypes.ENUM('info', 'warning', 'error', 'debug'),
+    defaultValue: 'info',
+    field: 'log_level'
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  byteOffset: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'byte_offset'
+  },
+  timestamp: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+  }, {
+  tableName: 'git_build_logs',
+  underscored: true,
+  timestamps: false,
+  indexes: [
+    { fields: ['pipeline_run_id'] },
+    { fields: ['pipeline_job_id', 'byte_offset'] },
+    { fields: ['timestamp'] }
+  ]
+  });
+
+  return GitBuildLog;
+};
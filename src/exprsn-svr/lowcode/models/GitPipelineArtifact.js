@@ -20,6 +20,11 @@ module.exports = (sequelize) => {
     allowNull: false,
     field: 'pipeline_run_id'
   },
+  pipelineJobId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'pipeline_job_id'
+  },
   name: {
     type: DataTypes.STRING,
     allowNull: false,
@@ -67,6 +72,7 @@ module.exports = (sequelize) => {
   timestamps: true,
   indexes: [
     { fields: ['pipeline_run_id'] },
+    { fields: ['pipeline_job_id'] },
     { fields: ['artifact_type'] },
     { fields: ['expires_at'] }
   ]
@@ -0,0 +1,131 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Git Pipeline Job Model
+ * Represents one job of a pipeline run, leased to a runner
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+
+  const GitPipelineJob = sequelize.define('GitPipelineJob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  pipelineRunId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'pipeline_run_id'
+  },
+  repositoryId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'repository_id'
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  stage: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  needs: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: []
+  },
+  status: {
+    type: DataTypes.ENUM('created', 'pending', 'manual', 'running', 'success', 'failure', 'cancelled', 'skipped'),
+    defaultValue: 'created',
+    allowNull: false
+  },
+  when: {
+    type: DataTypes.ENUM('on_success', 'on_failure', 'always', 'manual'),
+    defaultValue: 'on_success',
+    allowNull: false
+  },
+  allowFailure: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    field: 'allow_failure'
+  },
+  tags: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: []
+  },
+  configuration: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  runnerId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'runner_id'
+  },
+  leaseTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'lease_token_hash'
+  },
+  leaseExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'lease_expires_at'
+  },
+  attempt: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  logSize: {
+    type: DataTypes.BIGINT,
+    defaultValue: 0,
+    field: 'log_size'
+  },
+  exitCode: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'exit_code'
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'failure_reason'
+  },
+  queuedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'queued_at'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'started_at'
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'finished_at'
+  },
+  durationSeconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'duration_seconds'
+  }
+  }, {
+  tableName: 'git_pipeline_jobs',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    { fields: ['pipeline_run_id', 'name'], unique: true },
+    { fields: ['status', 'queued_at'] },
+    { fields: ['runner_id'] },
+    { fields: ['lease_token_hash'] },
+    { fields: ['tags'], using: 'GIN' }
+  ]
+  });
+
+  return GitPipelineJob;
+};
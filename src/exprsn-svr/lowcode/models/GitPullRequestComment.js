@@ -0,0 +1,128 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Git Pull Request Comment Model
+ * Represents a pull request comment or a reply in a review thread
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+
+  const GitPullRequestComment = sequelize.define('GitPullRequestComment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  prId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'pr_id'
+  },
+  reviewId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'review_id'
+  },
+  inReplyToId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'in_reply_to_id',
+    comment: 'First comment of the thread; null for thread roots'
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  authorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'author_id'
+  },
+  // Current anchor, moved along with the code on every push
+  filePath: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'file_path'
+  },
+  side: {
+    type: DataTypes.ENUM('old', 'new'),
+    allowNull: true,
+    comment: 'old = merge base version of the file, new = pull request head'
+  },
+  startLine: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'start_line'
+  },
+  lineNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'line_number'
+  },
+  commitSha: {
+    type: DataTypes.STRING(40),
+    allowNull: true,
+    field: 'commit_sha'
+  },
+  // Anchor the thread was created at
+  originalFilePath: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'original_file_path'
+  },
+  originalStartLine: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'original_start_line'
+  },
+  originalLine: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'original_line'
+  },
+  originalCommitSha: {
+    type: DataTypes.STRING(40),
+    allowNull: true,
+    field: 'original_commit_sha'
+  },
+  outdated: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'The commented lines were changed or removed'
+  },
+  isResolved: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    field: 'is_resolved'
+  },
+  resolvedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'resolved_by'
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'resolved_at'
+  },
+  suggestionCommitSha: {
+    type: DataTypes.STRING(40),
+    allowNull: true,
+    field: 'suggestion_commit_sha'
+  }
+  }, {
+  tableName: 'git_pr_comments',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    { fields: ['pr_id'] },
+    { fields: ['review_id'] },
+    { fields: ['author_id'] },
+    { fields: ['in_reply_to_id'] }
+  ]
+  });
+
+  return GitPullRequestComment;
+};
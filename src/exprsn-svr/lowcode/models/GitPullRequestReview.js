@@ -0,0 +1,74 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Git Pull Request Review Model
+ * Represents a reviewer's verdict on a pull request
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+
+  const GitPullRequestReview = sequelize.define('GitPullRequestReview', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  prId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'pr_id'
+  },
+  reviewerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'reviewer_id'
+  },
+  state: {
+    type: DataTypes.ENUM('pending', 'approved', 'changes_requested', 'commented'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  commitSha: {
+    type: DataTypes.STRING(40),
+    allowNull: true,
+    field: 'commit_sha',
+    comment: 'Pull request head the review was submitted against'
+  },
+  submittedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'submitted_at'
+  },
+  dismissedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'dismissed_by'
+  },
+  dismissedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'dismissed_at'
+  },
+  dismissReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'dismiss_reason'
+  }
+  }, {
+  tableName: 'git_pr_reviews',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    { fields: ['pr_id'] },
+    { fields: ['reviewer_id'] }
+  ]
+  });
+
+  return GitPullRequestReview;
+};
@@ -31,6 +31,12 @@ module.exports = (sequelize) => {
     allowNull: false,
     field: 'runner_type'
   },
+  runnerTokenHash: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true,
+    field: 'runner_token_hash'
+  },
   tags: {
     type: DataTypes.ARRAY(DataTypes.STRING),
     defaultValue: []
@@ -82,6 +88,7 @@ module.exports = (sequelize) => {
   indexes: [
     { fields: ['runner_type'] },
     { fields: ['active'] },
+    { fields: ['runner_token_hash'], unique: true },
     { fields: ['tags'], using: 'GIN' }
   ]
   });
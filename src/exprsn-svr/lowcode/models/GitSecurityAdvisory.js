@@ -0,0 +1,91 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Git Security Advisory Model
+ * Represents an imported advisory for one affected package
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+
+  const GitSecurityAdvisory = sequelize.define('GitSecurityAdvisory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  advisoryId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'advisory_id',
+    comment: 'OSV identifier, e.g. GHSA-xxxx-xxxx-xxxx'
+  },
+  aliases: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: []
+  },
+  ecosystem: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'npm'
+  },
+  packageName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'package_name'
+  },
+  severity: {
+    type: DataTypes.ENUM('critical', 'high', 'medium', 'low'),
+    allowNull: false,
+    defaultValue: 'medium'
+  },
+  summary: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  url: {
+    type: DataTypes.STRING(1000),
+    allowNull: true
+  },
+  ranges: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'OSV ranges: [{ type, events: [{ introduced | fixed | last_affected }] }]'
+  },
+  versions: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: []
+  },
+  source: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Where the advisory was imported from'
+  },
+  publishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'published_at'
+  },
+  modifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'modified_at'
+  },
+  withdrawnAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'withdrawn_at'
+  }
+  }, {
+  tableName: 'git_security_advisories',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    { fields: ['advisory_id', 'package_name'], unique: true },
+    { fields: ['ecosystem', 'package_name'] }
+  ]
+  });
+
+  return GitSecurityAdvisory;
+};
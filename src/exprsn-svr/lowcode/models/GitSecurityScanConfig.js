@@ -21,13 +21,14 @@ module.exports = (sequelize) => {
     field: 'repository_id'
   },
   scanType: {
-    type: DataTypes.ENUM('sast', 'dependency_scanning', 'container_scanning', 'license_compliance'),
+    type: DataTypes.ENUM('sast', 'secret_detection', 'dependency_scanning', 'container_scanning', 'license_compliance'),
     allowNull: false,
     field: 'scan_type'
   },
   enabled: {
     type: DataTypes.BOOLEAN,
-    defaultValue: true
+    defaultValue: true,
+    field: 'is_enabled'
   },
   scanOnPush: {
     type: DataTypes.BOOLEAN,
@@ -76,7 +77,7 @@ module.exports = (sequelize) => {
   indexes: [
     { fields: ['repository_id'] },
     { fields: ['scan_type'] },
-    { fields: ['enabled'] }
+    { fields: ['is_enabled'] }
   ]
   });
 
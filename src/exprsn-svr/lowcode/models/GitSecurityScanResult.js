@@ -20,6 +20,16 @@ module.exports = (sequelize) => {
     allowNull: false,
     field: 'config_id'
   },
+  repositoryId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'repository_id'
+  },
+  scanType: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'scan_type'
+  },
   pipelineRunId: {
     type: DataTypes.UUID,
     allowNull: true,
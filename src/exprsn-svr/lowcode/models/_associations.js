@@ -12,6 +12,8 @@ module.exports = (models) => {
     GitCommit,
     GitIssue,
     GitPullRequest,
+    GitPullRequestReview,
+    GitPullRequestComment,
     GitPipeline,
     GitPipelineRun,
     GitDeploymentTarget,
@@ -75,6 +77,22 @@ module.exports = (models) => {
   if (GitPullRequest) {
     GitPullRequest.belongsTo(GitRepository, { foreignKey: 'repositoryId', as: 'repository' });
     GitPullRequest.hasMany(GitMergeTrain, { foreignKey: 'pullRequestId', as: 'mergeTrainEntries' });
+    GitPullRequest.hasMany(GitPullRequestReview, { foreignKey: 'prId', as: 'reviews' });
+    GitPullRequest.hasMany(GitPullRequestComment, { foreignKey: 'prId', as: 'comments' });
+  }
+
+  // GitPullRequestReview associations
+  if (GitPullRequestReview) {
+    GitPullRequestReview.belongsTo(GitPullRequest, { foreignKey: 'prId', as: 'pullRequest' });
+    GitPullRequestReview.hasMany(GitPullRequestComment, { foreignKey: 'reviewId', as: 'comments' });
+  }
+
+  // GitPullRequestComment associations
+  if (GitPullRequestComment) {
+    GitPullRequestComment.belongsTo(GitPullRequest, { foreignKey: 'prId', as: 'pullRequest' });
+    GitPullRequestComment.belongsTo(GitPullRequestReview, { foreignKey: 'reviewId', as: 'review' });
+    GitPullRequestComment.belongsTo(GitPullRequestComment, { foreignKey: 'inReplyToId', as: 'inReplyTo' });
+    GitPullRequestComment.hasMany(GitPullRequestComment, { foreignKey: 'inReplyToId', as: 'replies' });
   }
 
   // GitPipeline associations
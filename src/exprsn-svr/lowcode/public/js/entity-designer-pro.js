@@ -3908,7 +3908,7 @@ DELETE: DELETE /api/${entityName}/:id
       'Date': [
         { name: 'NOW', syntax: 'NOW()', desc: 'Current date/time' },
         { name: 'DATEADD', syntax: 'DATEADD(date, num, unit)', desc: 'Add to date' },
-        { name: 'DATEDIFF', syntax: 'DATEDIFF(date1, date2, unit)', desc: 'Date difference' },
+        { name: 'DATEDIFF', syntax: 'DATEDIFF(end_date, start_date, unit)', desc: 'Date difference' },
         { name: 'FORMAT_DATE', syntax: 'FORMAT_DATE(date, format)', desc: 'Format date' },
         { name: 'YEAR', syntax: 'YEAR(date)', desc: 'Extract year' },
         { name: 'MONTH', syntax: 'MONTH(date)', desc: 'Extract month' },
@@ -8,6 +8,7 @@
 const express = require('express');
 const router = express.Router();
 const FormulaEngine = require('../engine/FormulaEngine');
+const { FormulaWorkbook, isFormulaError } = require('../engine/formula');
 const Joi = require('joi');
 
 /**
@@ -48,10 +49,10 @@ router.post('/evaluate', async (req, res) => {
 
     // Set variables
     Object.keys(variables).forEach(key => {
-      engine.variables.set(key, variables[key]);
+      engine.Set(key, variables[key]);
     });
 
-    // Evaluate formula
+    // Evaluate formula; runtime errors come back as values like #DIV/0!
     const result = engine.evaluate(formula);
 
     res.json({
@@ -59,7 +60,7 @@ router.post('/evaluate', async (req, res) => {
       data: {
         formula,
         result,
-        type: typeof result
+        type: isFormulaError(result) ? 'error' : typeof result
       }
     });
 
@@ -109,7 +110,7 @@ router.post('/evaluate-batch', async (req, res) => {
     }
 
     Object.keys(variables).forEach(key => {
-      engine.variables.set(key, variables[key]);
+      engine.Set(key, variables[key]);
     });
 
     // Evaluate all formulas
@@ -119,6 +120,10 @@ router.post('/evaluate-batch', async (req, res) => {
     for (const item of formulas) {
       try {
         results[item.id] = engine.evaluate(item.formula);
+
+        if (isFormulaError(results[item.id])) {
+          errors[item.id] = `${results[item.id].code} ${results[item.id].message}`;
+        }
       } catch (err) {
         errors[item.id] = err.message;
         results[item.id] = null;
@@ -164,36 +169,78 @@ router.post('/validate', async (req, res) => {
 
     const { formula } = value;
 
-    // Create formula engine and try to parse
+    // Parse only, don't evaluate
     const engine = new FormulaEngine();
+    const validation = engine.validate(formula);
 
-    try {
-      // Just parse, don't evaluate
-      engine.parser.parse(formula);
+    res.json({
+      success: true,
+      data: {
+        formula,
+        ...validation
+      }
+    });
 
-      res.json({
-        success: true,
-        data: {
-          valid: true,
-          formula
-        }
-      });
-    } catch (parseError) {
-      res.json({
-        success: true,
-        data: {
-          valid: false,
-          formula,
-          error: parseError.message
-        }
+  } catch (error) {
+    console.error('Formula validation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Recalculate dependent formulas after input changes
+ * POST /api/formulas/recalculate
+ *
+ * Loads `values` and `formulas` (key -> "=formula") into a workbook, then
+ * applies `changes` and returns only the formulas they affected.
+ */
+router.post('/recalculate', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      formulas: Joi.object().pattern(Joi.string(), Joi.string()).required(),
+      values: Joi.object().optional(),
+      changes: Joi.object().optional()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: error.details[0].message
       });
     }
 
+    const { formulas, values = {}, changes } = value;
+
+    const engine = new FormulaEngine();
+    const workbook = new FormulaWorkbook({ interpreter: engine.interpreter });
+
+    workbook.setValues(values);
+    Object.entries(formulas).forEach(([key, formula]) => workbook.define(key, formula));
+
+    let changed = workbook.calculate();
+    if (changes) {
+      changed = workbook.setValues(changes);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        values: workbook.getValues(),
+        changed
+      }
+    });
+
   } catch (error) {
-    console.error('Formula validation error:', error);
+    console.error('Formula recalculation error:', error);
     res.status(500).json({
       success: false,
-      error: 'VALIDATION_ERROR',
+      error: 'EVALUATION_ERROR',
       message: error.message
     });
   }
@@ -205,12 +252,7 @@ router.post('/validate', async (req, res) => {
  */
 router.get('/functions', (req, res) => {
   const engine = new FormulaEngine();
-  const functions = engine.getBuiltInFunctions();
-
-  const functionList = Object.keys(functions).map(name => ({
-    name,
-    category: getFunctionCategory(name)
-  }));
+  const functionList = engine.getBuiltInFunctions();
 
   res.json({
     success: true,
@@ -221,28 +263,4 @@ router.get('/functions', (req, res) => {
   });
 });
 
-/**
- * Helper: Categorize functions
- */
-function getFunctionCategory(funcName) {
-  const categories = {
-    data: ['Filter', 'LookUp', 'Sort', 'CountRows', 'Sum', 'Average', 'Min', 'Max', 'Distinct', 'First', 'Last'],
-    text: ['Text', 'Concatenate', 'Upper', 'Lower', 'Trim', 'Left', 'Right', 'Mid', 'Len', 'Replace', 'Substitute', 'Split'],
-    logic: ['If', 'Switch', 'And', 'Or', 'Not'],
-    math: ['Round', 'RoundUp', 'RoundDown', 'Abs', 'Sqrt', 'Power', 'Exp', 'Ln', 'Log', 'Mod'],
-    datetime: ['Now', 'Today', 'Year', 'Month', 'Day', 'Hour', 'Minute', 'Second', 'DateAdd', 'DateDiff'],
-    conversion: ['Value', 'Boolean'],
-    collection: ['ClearCollect', 'Collect', 'Clear'],
-    validation: ['IsBlank', 'IsEmpty', 'IsError', 'IsNumeric']
-  };
-
-  for (const [category, funcs] of Object.entries(categories)) {
-    if (funcs.includes(funcName)) {
-      return category;
-    }
-  }
-
-  return 'other';
-}
-
 module.exports = router;
@@ -62,6 +62,7 @@ router.use('/policies', policyRouter);
 /**
  * CI/CD Runners & Pipeline Infrastructure
  * Runner registration, pipeline cache, build artifacts
+ * (the runner agent protocol is mounted before CA auth in ./index.js)
  */
 router.use('/runners', runnerRouter);
 
@@ -82,6 +82,38 @@ router.get('/:repoId/pipelines', async (req, res) => {
   }
 });
 
+/**
+ * Validate a .exprsn-ci.yml file and preview its jobs
+ * POST /api/git/repositories/:repoId/pipelines/lint
+ */
+router.post('/:repoId/pipelines/lint', async (req, res) => {
+  try {
+    const { content, branch, trigger } = req.body;
+
+    if (typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: 'Pipeline file content is required'
+      });
+    }
+
+    const result = await GitPipelineService.lintPipelineConfig(req.params.repoId, { content, branch, trigger });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to lint pipeline config:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      error: error.message.includes('not found') ? 'NOT_FOUND' : 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Get pipeline
  * GET /api/git/pipelines/:pipelineId
@@ -249,6 +281,72 @@ router.get('/pipeline-runs/:runId/logs', async (req, res) => {
   }
 });
 
+/**
+ * Get the jobs of a pipeline run
+ * GET /api/git/pipeline-runs/:runId/jobs
+ */
+router.get('/pipeline-runs/:runId/jobs', async (req, res) => {
+  try {
+    const jobs = await GitPipelineService.getPipelineJobs(req.params.runId);
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    logger.error('Failed to get pipeline jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get pipeline job logs
+ * GET /api/git/pipeline-jobs/:jobId/logs
+ */
+router.get('/pipeline-jobs/:jobId/logs', async (req, res) => {
+  try {
+    const logs = await GitPipelineService.getJobLogs(req.params.jobId);
+
+    res.json({
+      success: true,
+      data: logs
+    });
+  } catch (error) {
+    logger.error('Failed to get pipeline job logs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Start a manual job
+ * POST /api/git/pipeline-jobs/:jobId/play
+ */
+router.post('/pipeline-jobs/:jobId/play', async (req, res) => {
+  try {
+    const job = await GitPipelineService.playJob(req.params.jobId, req.user?.id);
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error('Failed to play pipeline job:', error);
+    res.status(error.message.includes('not found') ? 404 : 400).json({
+      success: false,
+      error: error.message.includes('not found') ? 'NOT_FOUND' : 'INVALID_STATE',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Get pipeline statistics
  * GET /api/git/pipelines/:pipelineId/stats
@@ -8,8 +8,44 @@
 const express = require('express');
 const router = express.Router();
 const GitPullRequestService = require('../services/GitPullRequestService');
+const GitReviewService = require('../services/GitReviewService');
 const logger = require('../../utils/logger');
 
+let reviewService;
+const getReviewService = () => {
+  if (!reviewService) {
+    const models = require('../models');
+    reviewService = new GitReviewService(models);
+  }
+  return reviewService;
+};
+
+// Commit identity for changes written on the user's behalf
+const getUser = (req) => ({
+  id: req.user?.id || req.body.userId,
+  name: req.user?.name || req.user?.username,
+  email: req.user?.email
+});
+
+const sendReviewError = (res, error) => {
+  let status = 400;
+  let code = 'VALIDATION_ERROR';
+
+  if (error.message.includes('not found')) {
+    status = 404;
+    code = 'NOT_FOUND';
+  } else if (error.message.includes('reload and try again')) {
+    status = 409;
+    code = 'CONFLICT';
+  }
+
+  res.status(status).json({
+    success: false,
+    error: code,
+    message: error.message
+  });
+};
+
 /**
  * Create pull request
  * POST /api/git/repositories/:repoId/pulls
@@ -155,7 +191,7 @@ router.post('/:repoId/pulls/:prNumber/merge', async (req, res) => {
     const pr = await GitPullRequestService.mergePullRequest(
       req.params.repoId,
       parseInt(req.params.prNumber),
-      { mergedBy, mergeMethod }
+      { mergedBy, mergeMethod, user: getUser(req) }
     );
 
     res.json({
@@ -258,6 +294,251 @@ router.post('/:repoId/pulls/:prNumber/reviewers', async (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════
+// Code Review
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * List reviews
+ * GET /api/git/repositories/:repoId/pulls/:prNumber/reviews
+ */
+router.get('/:repoId/pulls/:prNumber/reviews', async (req, res) => {
+  try {
+    const reviews = await getReviewService().listReviews(req.params.repoId, parseInt(req.params.prNumber));
+
+    res.json({
+      success: true,
+      data: reviews
+    });
+  } catch (error) {
+    logger.error('Failed to list reviews:', error);
+    sendReviewError(res, error);
+  }
+});
+
+/**
+ * Submit review
+ * POST /api/git/repositories/:repoId/pulls/:prNumber/reviews
+ * Body: { state: approve | request_changes | comment, body, comments: [{ path, line, startLine, side, body }] }
+ */
+router.post('/:repoId/pulls/:prNumber/reviews', async (req, res) => {
+  try {
+    const { state, body, comments } = req.body;
+
+    const result = await getReviewService().submitReview(
+      req.params.repoId,
+      parseInt(req.params.prNumber),
+      { state, body, comments },
+      getUser(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to submit review:', error);
+    sendReviewError(res, error);
+  }
+});
+
+/**
+ * Dismiss review
+ * POST /api/git/repositories/:repoId/pulls/:prNumber/reviews/:reviewId/dismiss
+ */
+router.post('/:repoId/pulls/:prNumber/reviews/:reviewId/dismiss', async (req, res) => {
+  try {
+    const review = await getReviewService().dismissReview(
+      req.params.repoId,
+      parseInt(req.params.prNumber),
+      req.params.reviewId,
+      req.body.reason,
+      getUser(req).id
+    );
+
+    res.json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    logger.error('Failed to dismiss review:', error);
+    sendReviewError(res, error);
+  }
+});
+
+/**
+ * List comment threads
+ * GET /api/git/repositories/:repoId/pulls/:prNumber/comments
+ * Query: resolved=false hides resolved threads, outdated=false hides outdated ones
+ */
+router.get('/:repoId/pulls/:prNumber/comments', async (req, res) => {
+  try {
+    const threads = await getReviewService().listThreads(req.params.repoId, parseInt(req.params.prNumber), {
+      includeResolved: req.query.resolved !== 'false',
+      includeOutdated: req.query.outdated !== 'false'
+    });
+
+    res.json({
+      success: true,
+      data: threads
+    });
+  } catch (error) {
+    logger.error('Failed to list comments:', error);
+    sendReviewError(res, error);
+  }
+});
+
+/**
+ * Add comment
+ * POST /api/git/repositories/:repoId/pulls/:prNumber/comments
+ * Body: { body, path, line, startLine, side, commitSha } for a line comment,
+ * { body, inReplyTo } for a reply or just { body }
+ */
+router.post('/:repoId/pulls/:prNumber/comments', async (req, res) => {
+  try {
+    const { body, path, line, startLine, side, commitSha, inReplyTo } = req.body;
+
+    const comment = await getReviewService().addComment(
+      req.params.repoId,
+      parseInt(req.params.prNumber),
+      { body, path, line, startLine, side, commitSha, inReplyTo },
+      getUser(req).id
+    );
+
+    res.status(201).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    logger.error('Failed to add comment:', error);
+    sendReviewError(res, error);
+  }
+});
+
+/**
+ * Resolve comment thread
+ * POST /api/git/repositories/:repoId/pulls/:prNumber/comments/:commentId/resolve
+ */
+router.post('/:repoId/pulls/:prNumber/comments/:commentId/resolve', async (req, res) => {
+  try {
+    const thread = await getReviewService().setThreadResolved(
+      req.params.repoId,
+      parseInt(req.params.prNumber),
+      req.params.commentId,
+      true,
+      getUser(req).id
+    );
+
+    res.json({
+      success: true,
+      data: thread
+    });
+  } catch (error) {
+    logger.error('Failed to resolve thread:', error);
+    sendReviewError(res, error);
+  }
+});
+
+/**
+ * Reopen comment thread
+ * POST /api/git/repositories/:repoId/pulls/:prNumber/comments/:commentId/unresolve
+ */
+router.post('/:repoId/pulls/:prNumber/comments/:commentId/unresolve', async (req, res) => {
+  try {
+    const thread = await getReviewService().setThreadResolved(
+      req.params.repoId,
+      parseInt(req.params.prNumber),
+      req.params.commentId,
+      false,
+      getUser(req).id
+    );
+
+    res.json({
+      success: true,
+      data: thread
+    });
+  } catch (error) {
+    logger.error('Failed to reopen thread:', error);
+    sendReviewError(res, error);
+  }
+});
+
+/**
+ * Apply suggested change as a commit on the source branch
+ * POST /api/git/repositories/:repoId/pulls/:prNumber/comments/:commentId/apply-suggestion
+ */
+router.post('/:repoId/pulls/:prNumber/comments/:commentId/apply-suggestion', async (req, res) => {
+  try {
+    const result = await getReviewService().applySuggestion(
+      req.params.repoId,
+      parseInt(req.params.prNumber),
+      req.params.commentId,
+      { message: req.body.message },
+      getUser(req)
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to apply suggestion:', error);
+    sendReviewError(res, error);
+  }
+});
+
+/**
+ * Get merge conflicts
+ * GET /api/git/repositories/:repoId/pulls/:prNumber/conflicts
+ */
+router.get('/:repoId/pulls/:prNumber/conflicts', async (req, res) => {
+  try {
+    const conflicts = await GitPullRequestService.getMergeConflicts(req.params.repoId, parseInt(req.params.prNumber));
+
+    res.json({
+      success: true,
+      data: conflicts
+    });
+  } catch (error) {
+    logger.error('Failed to get merge conflicts:', error);
+    sendReviewError(res, error);
+  }
+});
+
+/**
+ * Resolve merge conflicts
+ * POST /api/git/repositories/:repoId/pulls/:prNumber/conflicts/resolve
+ * Body: { resolutions: [{ path, content } | { path, use } | { path, delete }], message, headSha, targetSha }
+ */
+router.post('/:repoId/pulls/:prNumber/conflicts/resolve', async (req, res) => {
+  try {
+    const { resolutions, message, headSha, targetSha } = req.body;
+
+    if (!Array.isArray(resolutions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: 'Resolutions array is required'
+      });
+    }
+
+    const result = await GitPullRequestService.resolveConflicts(
+      req.params.repoId,
+      parseInt(req.params.prNumber),
+      { resolutions, message, headSha, targetSha },
+      getUser(req)
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to resolve merge conflicts:', error);
+    sendReviewError(res, error);
+  }
+});
+
 /**
  * Update CI status (internal)
  * POST /api/git/pull-requests/:prId/ci-status
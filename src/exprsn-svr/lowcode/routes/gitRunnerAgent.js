@@ -0,0 +1,278 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Git Runner Agent Routes
+ * Job leasing, logs and results for registered CI/CD runners
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Mounted ahead of CA token authentication: runner agents never hold a
+ * CA token and authenticate with their runner and job tokens instead.
+ */
+
+const express = require('express');
+const router = express.Router();
+const GitRunnerService = require('../services/GitRunnerService');
+
+// Initialize service
+let runnerService;
+const getService = (req) => {
+  if (!runnerService) {
+    const models = require('../models');
+    runnerService = new GitRunnerService(models);
+  }
+  return runnerService;
+};
+
+// Jobs are scheduled by the pipeline service, which also reports finished runs
+const getJobService = () => require('../services/GitPipelineService').jobService;
+
+const getBearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return /^bearer$/i.test(scheme) ? token : null;
+};
+
+/**
+ * Authenticate a runner agent by its registration token
+ */
+const authenticateRunner = async (req, res, next) => {
+  try {
+    const runner = await getService(req).authenticateRunner(getBearerToken(req));
+
+    if (!runner) {
+      return res.status(401).json({
+        success: false,
+        error: 'UNAUTHORIZED',
+        message: 'Invalid runner token'
+      });
+    }
+
+    req.runner = runner;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Authenticate a job call by the token issued with the job
+ */
+const authenticateJob = async (req, res, next) => {
+  try {
+    const job = await getJobService().authenticateJob(req.params.jobId, getBearerToken(req));
+
+    if (!job) {
+      return res.status(401).json({
+        success: false,
+        error: 'UNAUTHORIZED',
+        message: 'Invalid job token'
+      });
+    }
+
+    // Cancelled or timed-out jobs tell the runner to stop
+    if (job.status !== 'running') {
+      return res.status(409).json({
+        success: false,
+        error: 'JOB_NOT_RUNNING',
+        message: `Job is ${job.status}`,
+        data: { status: job.status }
+      });
+    }
+
+    req.job = job;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+};
+
+// ═══════════════════════════════════════════════════════════
+// Runner Agent Protocol
+// ═══════════════════════════════════════════════════════════
+//
+// Runners authenticate with the token returned at registration
+// (Authorization: Bearer exprsn_runner_...) and poll for work. Calls about a
+// leased job use the job's token (Authorization: Bearer exprsn_job_...),
+// which is also $CI_JOB_TOKEN for cloning the repository over HTTP.
+//
+//   1. POST /jobs/request             lease a job (204 when there is none)
+//   2. POST /jobs/:jobId/logs         stream output, renewing the lease
+//   3. POST /jobs/:jobId/cache        record uploaded caches and artifacts
+//      POST /jobs/:jobId/artifacts    before reporting the final state
+//   4. PUT  /jobs/:jobId              report running (renew), success or failure
+
+/**
+ * POST /api/git/runners/jobs/request
+ * Lease the next job this runner can run
+ */
+router.post('/jobs/request', authenticateRunner, async (req, res) => {
+  try {
+    const job = await getJobService().requestJob(req.runner);
+
+    if (!job) {
+      return res.status(204).end();
+    }
+
+    res.status(201).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/git/runners/jobs/:jobId/logs
+ * Append job output; offset is the number of bytes already sent
+ */
+router.post('/jobs/:jobId/logs', authenticateJob, async (req, res) => {
+  const { offset, content } = req.body;
+
+  if (!Number.isInteger(offset) || offset < 0 || typeof content !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: 'offset (integer) and content (string) are required'
+    });
+  }
+
+  try {
+    const result = await getJobService().appendLog(req.job, { offset, content });
+
+    if (!result.accepted) {
+      return res.status(416).json({
+        success: false,
+        error: 'OFFSET_MISMATCH',
+        message: `Expected offset ${result.offset}`,
+        data: { offset: result.offset }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { offset: result.offset }
+    });
+  } catch (error) {
+    const tooLarge = /exceeded|at most/.test(error.message);
+
+    res.status(tooLarge ? 413 : 500).json({
+      success: false,
+      error: tooLarge ? 'PAYLOAD_TOO_LARGE' : 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/git/runners/jobs/:jobId
+ * Report job state
+ */
+router.put('/jobs/:jobId', authenticateJob, async (req, res) => {
+  const { state, exitCode, failureReason } = req.body;
+
+  if (!['running', 'success', 'failure'].includes(state)) {
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: 'state must be one of: running, success, failure'
+    });
+  }
+
+  if (exitCode !== undefined && exitCode !== null && !Number.isInteger(exitCode)) {
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: 'exitCode must be an integer'
+    });
+  }
+
+  try {
+    const job = await getJobService().updateJob(req.job, { state, exitCode, failureReason });
+
+    res.json({
+      success: true,
+      data: { id: job.id, status: job.status }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/git/runners/jobs/:jobId/cache
+ * Record a cache the job uploaded
+ */
+router.post('/jobs/:jobId/cache', authenticateJob, async (req, res) => {
+  const { key, storagePath, size, checksum } = req.body;
+
+  if (!key || !storagePath) {
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: 'key and storagePath are required'
+    });
+  }
+
+  try {
+    const cache = await getJobService().registerCache(req.job, { key, storagePath, size, checksum });
+
+    res.status(201).json({
+      success: true,
+      data: cache
+    });
+  } catch (error) {
+    res.status(error.message.includes('does not') ? 400 : 500).json({
+      success: false,
+      error: error.message.includes('does not') ? 'VALIDATION_ERROR' : 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/git/runners/jobs/:jobId/artifacts
+ * Record the artifacts archive the job uploaded
+ */
+router.post('/jobs/:jobId/artifacts', authenticateJob, async (req, res) => {
+  const { storagePath, size, mimeType, checksum } = req.body;
+
+  if (!storagePath) {
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: 'storagePath is required'
+    });
+  }
+
+  try {
+    const artifact = await getJobService().registerArtifact(req.job, { storagePath, size, mimeType, checksum });
+
+    res.status(201).json({
+      success: true,
+      data: artifact
+    });
+  } catch (error) {
+    res.status(error.message.includes('does not') ? 400 : 500).json({
+      success: false,
+      error: error.message.includes('does not') ? 'VALIDATION_ERROR' : 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
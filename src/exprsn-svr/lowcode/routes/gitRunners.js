@@ -147,6 +147,30 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/git/runners/:id/reset-token
+ * Issue a new runner token
+ */
+router.post('/:id/reset-token', async (req, res) => {
+  try {
+    const service = getService(req);
+    const userId = getUserId(req);
+
+    const result = await service.resetRunnerToken(req.params.id, userId);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      error: error.message.includes('not found') ? 'NOT_FOUND' : 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/git/runners/:id/heartbeat
  * Update runner heartbeat
@@ -85,7 +85,18 @@ router.post('/scan-configs', async (req, res) => {
   try {
     const service = getService(req);
     const userId = getUserId(req);
-    const { repositoryId, scanType, severityThreshold, enabled, schedule, config } = req.body;
+    const {
+      repositoryId,
+      scanType,
+      severityThreshold,
+      enabled,
+      schedule,
+      scanOnPush,
+      scanOnPR,
+      failOnVulnerabilities,
+      excludedPaths,
+      config
+    } = req.body;
 
     if (!repositoryId || !scanType) {
       return res.status(400).json({
@@ -99,10 +110,13 @@ router.post('/scan-configs', async (req, res) => {
       scanType,
       severityThreshold,
       enabled,
-      schedule,
-      config,
-      userId
-    });
+      scanSchedule: schedule,
+      scanOnPush,
+      scanOnPR,
+      failOnVulnerabilities,
+      excludedPaths,
+      configuration: config
+    }, userId);
 
     res.status(201).json({
       success: true,
@@ -287,6 +301,95 @@ router.get('/scan-results/commits/:commitSha', async (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════
+// Built-in Scanner Routes
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * POST /api/git/security/scan-configs/:id/run
+ * Run a secret or dependency scan now
+ * Body: { branch, commitSha, historical } - historical scans every branch's history
+ */
+router.post('/scan-configs/:id/run', async (req, res) => {
+  try {
+    const service = getService(req);
+    const { branch, commitSha, historical } = req.body;
+
+    const result = await service.runScan(req.params.id, {
+      branch,
+      commitSha,
+      range: historical ? ['--all'] : null,
+      trigger: 'manual'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.message.includes('not found') ? 404 : 400).json({
+      success: false,
+      error: error.message.includes('not found') ? 'NOT_FOUND' : 'VALIDATION_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/git/security/repositories/:repositoryId/status-checks/:commitSha
+ * Security status checks for a commit, as required by branch policies
+ */
+router.get('/repositories/:repositoryId/status-checks/:commitSha', async (req, res) => {
+  try {
+    const service = getService(req);
+    const checks = await service.getStatusChecks(req.params.repositoryId, req.params.commitSha);
+
+    res.json({
+      success: true,
+      data: checks
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/git/security/advisories/import
+ * Import OSV advisories into the local advisory database
+ * Body: { advisories: [osvDocument], source }
+ */
+router.post('/advisories/import', async (req, res) => {
+  try {
+    const service = getService(req);
+    const { advisories, source } = req.body;
+
+    if (!Array.isArray(advisories)) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: 'advisories must be an array of OSV documents'
+      });
+    }
+
+    const summary = await service.importAdvisories(advisories, { source: source || 'api' });
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════
 // Vulnerability Management Routes
 // ═══════════════════════════════════════════════════════════
@@ -0,0 +1,211 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Git Smart HTTP Routes
+ * git clone/fetch/push over HTTP, authenticated by personal access tokens
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Mounted at /git, matching repository clone URLs (/git/<slug>.git).
+ * Credentials are sent as HTTP Basic auth with the token as password.
+ */
+
+const express = require('express');
+const zlib = require('zlib');
+const router = express.Router();
+const GitTransportService = require('../services/GitTransportService');
+const logger = require('../../utils/logger');
+
+// Initialize service
+let transportService;
+const getService = () => {
+  if (!transportService) {
+    const models = require('../models');
+    transportService = new GitTransportService(models);
+  }
+  return transportService;
+};
+
+/**
+ * Read a token from Basic (password, or username when empty) or Bearer credentials
+ */
+const getToken = (req) => {
+  const [scheme, credentials] = (req.headers.authorization || '').split(' ');
+  if (!credentials) return null;
+
+  if (/^bearer$/i.test(scheme)) {
+    return credentials;
+  }
+
+  if (/^basic$/i.test(scheme)) {
+    const decoded = Buffer.from(credentials, 'base64').toString();
+    const separator = decoded.indexOf(':');
+    const username = separator === -1 ? decoded : decoded.slice(0, separator);
+    const password = separator === -1 ? '' : decoded.slice(separator + 1);
+    return password || username;
+  }
+
+  return null;
+};
+
+/**
+ * Forward the client's requested protocol version to upload-pack
+ */
+const getProtocolEnv = (req, service) => {
+  const protocol = req.headers['git-protocol'];
+  return service === 'git-upload-pack' && protocol ? { GIT_PROTOCOL: protocol } : {};
+};
+
+const deny = (res, status, message) => {
+  if (status === 401) {
+    res.set('WWW-Authenticate', 'Basic realm="Exprsn Git"');
+  }
+  res.status(status).type('text/plain').send(`${message}\n`);
+};
+
+/**
+ * Resolve and authorize the repository for a git service request
+ * @returns {Promise<{ repository: Object, user: Object|null }|null>} null when a response was sent
+ */
+const authorizeRequest = async (req, res, service) => {
+  const transport = getService();
+  const user = await transport.authenticateToken(getToken(req));
+
+  if (req.headers.authorization && !user) {
+    deny(res, 401, 'Invalid credentials');
+    return null;
+  }
+
+  const repository = await transport.findRepository(req.params.repo);
+  if (!repository) {
+    // Don't reveal whether a private repository exists
+    deny(res, user ? 404 : 401, user ? 'Repository not found' : 'Authentication required');
+    return null;
+  }
+
+  const access = transport.authorize(repository, user, service);
+  if (!access.allowed) {
+    deny(res, access.status, access.reason);
+    return null;
+  }
+
+  return { repository, user };
+};
+
+/**
+ * Run a git process, streaming its output into the response
+ */
+const pipeService = (child, res, onClose) => {
+  child.stderr.on('data', data => logger.debug(`git: ${data.toString().trim()}`));
+  // git may exit before reading the whole request (e.g. a rejected push)
+  child.stdin.on('error', error => logger.debug(`git stdin: ${error.message}`));
+
+  child.on('error', error => {
+    logger.error('Failed to run git:', error);
+    if (!res.headersSent) {
+      res.status(500).type('text/plain').send('Git is not available\n');
+    } else {
+      res.end();
+    }
+  });
+
+  child.on('close', code => {
+    if (onClose) onClose(code);
+  });
+
+  child.stdout.pipe(res);
+};
+
+/**
+ * Advertise refs
+ * GET /git/:repo/info/refs?service=git-upload-pack|git-receive-pack
+ */
+router.get('/:repo/info/refs', async (req, res) => {
+  const service = req.query.service;
+  const transport = getService();
+
+  if (!transport.isService(service)) {
+    return deny(res, 403, 'Only the smart HTTP protocol is supported');
+  }
+
+  try {
+    const access = await authorizeRequest(req, res, service);
+    if (!access) return;
+
+    const env = getProtocolEnv(req, service);
+    const child = transport.spawnService(service, access.repository, {
+      statelessRpc: true,
+      advertiseRefs: true,
+      env
+    });
+
+    res.set({
+      'Content-Type': `application/x-${service}-advertisement`,
+      'Cache-Control': 'no-cache'
+    });
+
+    // Protocol v2 responses start with the capability advertisement instead
+    if (!/version=2/.test(env.GIT_PROTOCOL || '')) {
+      res.write(transport.pktLine(`# service=${service}\n`) + '0000');
+    }
+
+    pipeService(child, res);
+  } catch (error) {
+    logger.error('Failed to advertise git refs:', error);
+    if (!res.headersSent) {
+      deny(res, 500, 'Internal error');
+    }
+  }
+});
+
+/**
+ * Fetch or push
+ * POST /git/:repo/git-upload-pack
+ * POST /git/:repo/git-receive-pack
+ */
+router.post('/:repo/:service(git-upload-pack|git-receive-pack)', async (req, res) => {
+  const service = req.params.service;
+  const transport = getService();
+
+  if (req.headers['content-type'] !== `application/x-${service}-request`) {
+    return deny(res, 415, `Expected application/x-${service}-request`);
+  }
+
+  try {
+    const access = await authorizeRequest(req, res, service);
+    if (!access) return;
+
+    let env = getProtocolEnv(req, service);
+    let push = null;
+
+    if (service === 'git-receive-pack') {
+      push = await transport.beginPush(access.repository, access.user, 'http');
+      env = { ...env, ...push.env };
+    }
+
+    const child = transport.spawnService(service, access.repository, { statelessRpc: true, env });
+
+    const body = req.headers['content-encoding'] === 'gzip' ? req.pipe(zlib.createGunzip()) : req;
+    body.on('error', error => {
+      logger.warn('Invalid git request body:', error.message);
+      child.kill();
+    });
+    body.pipe(child.stdin);
+
+    res.set({
+      'Content-Type': `application/x-${service}-result`,
+      'Cache-Control': 'no-cache'
+    });
+
+    pipeService(child, res, () => {
+      if (push) {
+        transport.endPush(push.pushId).catch(error => logger.error('Failed to record git push:', error));
+      }
+    });
+  } catch (error) {
+    logger.error(`Failed to run ${service}:`, error);
+    if (!res.headersSent) {
+      deny(res, 500, 'Internal error');
+    }
+  }
+});
+
+module.exports = router;
@@ -70,6 +70,10 @@ router.get('/', (req, res) => {
   });
 });
 
+// Git runner agents (runner and job token auth, see gitRunnerAgent.js)
+const gitRunnerAgentRouter = require('./gitRunnerAgent');
+router.use('/git/runners', gitRunnerAgentRouter);
+
 // Apply CA token authentication to all routes below this point
 // For development: Set LOW_CODE_DEV_AUTH=true to enable bypass
 router.use(caTokenAuth);
@@ -97,7 +101,7 @@ const tilesRouter = require('./tiles');
 const htmlRouter = require('./htmlIndex');
 const dataAccessRouter = require('./dataAccess');
 const queriesRouter = require('./queries');
-const datasourcesIntrospectionRouter = require('./datasources');
+const datasourcesIntrospectionRouter = require('./dataSources');
 const artifactsRouter = require('./artifacts');
 
 console.log('[LowCode Routes] Loading queryExecutor module...');
@@ -8,6 +8,7 @@
 const axios = require('axios');
 const { VM } = require('vm2');
 const FormulaEngine = require('../engine/FormulaEngine');
+const { isFormulaError } = require('../engine/formula');
 const { Entity } = require('../models');
 const logger = require('../utils/logger');
 
@@ -142,8 +143,7 @@ class ApiExecutionEngine {
     };
 
     // Execute JSONLex expression
-    const formulaEngine = new FormulaEngine();
-    const result = await formulaEngine.evaluate(expression, executionContext);
+    const result = this.evaluateFormula(expression, executionContext);
 
     return result;
   }
@@ -168,8 +168,7 @@ class ApiExecutionEngine {
     // Transform request body if transformer is defined
     let requestBody = request.body;
     if (transformRequest) {
-      const formulaEngine = new FormulaEngine();
-      requestBody = await formulaEngine.evaluate(transformRequest, {
+      requestBody = this.evaluateFormula(transformRequest, {
         body: request.body,
         query: request.query,
         params: request.params
@@ -192,8 +191,7 @@ class ApiExecutionEngine {
     // Transform response if transformer is defined
     let result = response.data;
     if (transformResponse) {
-      const formulaEngine = new FormulaEngine();
-      result = await formulaEngine.evaluate(transformResponse, {
+      result = this.evaluateFormula(transformResponse, {
         response: response.data,
         status: response.status,
         headers: response.headers
@@ -220,8 +218,7 @@ class ApiExecutionEngine {
     };
 
     if (Object.keys(inputMapping).length > 0) {
-      const formulaEngine = new FormulaEngine();
-      workflowInput = await formulaEngine.evaluate(inputMapping, {
+      workflowInput = this.evaluateFormula(inputMapping, {
         request: {
           body: request.body,
           query: request.query,
@@ -237,8 +234,7 @@ class ApiExecutionEngine {
     // Map workflow output to API response
     let result = workflowResult;
     if (Object.keys(outputMapping).length > 0) {
-      const formulaEngine = new FormulaEngine();
-      result = await formulaEngine.evaluate(outputMapping, {
+      result = this.evaluateFormula(outputMapping, {
         workflowResult
       });
     }
@@ -360,6 +356,23 @@ class ApiExecutionEngine {
     }
   }
 
+  /**
+   * Evaluate a formula, failing the execution on an error value
+   * (#DIV/0!, #REF!, ...) instead of returning it as the result
+   */
+  evaluateFormula(formula, context) {
+    const formulaEngine = new FormulaEngine();
+    const result = formulaEngine.evaluate(formula, context);
+
+    if (isFormulaError(result)) {
+      const error = new Error(`${result.code} ${result.message}`);
+      error.code = 'FORMULA_ERROR';
+      throw error;
+    }
+
+    return result;
+  }
+
   /**
    * Validate request against JSON Schema
    */
@@ -6,6 +6,7 @@
  */
 
 const FormulaEngine = require('../engine/FormulaEngine');
+const { FormulaWorkbook, isFormula, isFormulaError } = require('../engine/formula');
 const { ConnectionManager } = require('../connections');
 const FormValidator = require('./FormValidator');
 const EventEmitter = require('events');
@@ -61,6 +62,13 @@ class FormRuntimeEngine extends EventEmitter {
     this.formulaEngine = new FormulaEngine();
     this.validator = new FormValidator();
 
+    // Calculated properties; pass options.workbook to share one between
+    // forms so they can reference each other (OrderForm.Total)
+    this.namespace = formDefinition.name || 'Form';
+    this.workbook = options.workbook || new FormulaWorkbook({
+      interpreter: this.formulaEngine.interpreter,
+    });
+
     // Connection manager for data sources
     this.connectionManager = ConnectionManager;
 
@@ -181,19 +189,23 @@ class FormRuntimeEngine extends EventEmitter {
     if (!this.formDefinition.controls) return;
 
     this.formDefinition.controls.forEach(control => {
+      // Formula properties are filled in once the workbook calculates them
+      const defaultValue = isFormula(control.props?.defaultValue) ? null : control.props?.defaultValue ?? null;
+
       this.state.components[control.id] = {
         id: control.id,
         type: control.type,
         visible: control.props?.visible !== false,
         enabled: control.props?.disabled !== true,
-        value: control.props?.defaultValue ?? null,
+        value: defaultValue,
+        computed: {},
         valid: true,
         error: null
       };
 
       // Initialize form value
       if (control.name) {
-        this.state.values[control.name] = control.props?.defaultValue ?? null;
+        this.state.values[control.name] = defaultValue;
       }
     });
   }
@@ -214,6 +226,56 @@ class FormRuntimeEngine extends EventEmitter {
     this.state.collections.forEach((data, name) => {
       this.formulaEngine.ClearCollect(name, data);
     });
+
+    // Calculated properties; variables and collections are workbook inputs
+    // so changing them recalculates the formulas that read them
+    this.workbook.setValues({
+      ...this.state.variables,
+      ...Object.fromEntries(this.state.collections),
+    });
+    this.applyCalculated(this.workbook.addForm({
+      name: this.namespace,
+      controls: this.formDefinition.controls || []
+    }));
+  }
+
+  /**
+   * Copy recalculated workbook values into form and component state
+   * @param {object} changed - Workbook key -> new value
+   */
+  applyCalculated(changed) {
+    const prefix = `${this.namespace}.`.toLowerCase();
+    const updates = {};
+
+    Object.entries(changed).forEach(([key, value]) => {
+      if (!key.toLowerCase().startsWith(prefix)) return;
+
+      const [controlName, prop] = key.slice(prefix.length).split('.');
+      const control = (this.formDefinition.controls || []).find(c => c.name === controlName);
+      if (!control) return;
+
+      const component = this.state.components[control.id];
+
+      if (!prop) {
+        this.state.values[controlName] = value;
+        component.value = value;
+        updates[controlName] = value;
+      } else if (prop === 'visible') {
+        component.visible = value !== false;
+      } else if (prop === 'disabled') {
+        component.enabled = value !== true;
+      } else {
+        component.computed[prop] = value;
+      }
+    });
+
+    if (Object.keys(updates).length > 0) {
+      this.formulaEngine.setContext(updates);
+    }
+
+    if (Object.keys(changed).length > 0) {
+      this.emit('recalculated', changed);
+    }
   }
 
   /**
@@ -330,6 +392,7 @@ class FormRuntimeEngine extends EventEmitter {
       if (ds.collection) {
         this.state.collections.set(ds.collection, data);
         this.formulaEngine.ClearCollect(ds.collection, data);
+        this.applyCalculated(this.workbook.setValue(ds.collection, data));
       }
 
       this.state.loading.dataSources[name] = false;
@@ -348,6 +411,11 @@ class FormRuntimeEngine extends EventEmitter {
    * Set form value
    */
   setValue(controlName, value) {
+    const key = `${this.namespace}.${controlName}`;
+    if (this.workbook.isFormula(key)) {
+      throw new Error(`"${controlName}" is calculated and cannot be set`);
+    }
+
     this.state.values[controlName] = value;
 
     // Update formula engine context
@@ -358,6 +426,9 @@ class FormRuntimeEngine extends EventEmitter {
     if (control) {
       this.state.components[control.id].value = value;
 
+      // Recalculate the formulas that read this control
+      this.applyCalculated(this.workbook.setValue(key, value));
+
       // Execute OnChange event if defined
       if (control.events?.OnChange) {
         this.executeFormula(control.events.OnChange);
@@ -380,6 +451,7 @@ class FormRuntimeEngine extends EventEmitter {
   setVariable(name, value) {
     this.state.variables[name] = value;
     this.formulaEngine.Set(name, value);
+    this.applyCalculated(this.workbook.setValue(name, value));
     this.emit('variableChanged', name, value);
   }
 
@@ -396,6 +468,13 @@ class FormRuntimeEngine extends EventEmitter {
   executeFormula(formula, localContext = {}) {
     try {
       const result = this.formulaEngine.evaluate(formula, localContext);
+
+      // Runtime errors come back as values (#DIV/0!, #REF!, ...), not exceptions
+      if (isFormulaError(result)) {
+        this.emit('formulaError', formula, result);
+        return result;
+      }
+
       this.emit('formulaExecuted', formula, result);
       return result;
     } catch (error) {
@@ -548,16 +627,24 @@ class FormRuntimeEngine extends EventEmitter {
    * Reset form
    */
   reset() {
+    const defaults = {};
+
     // Reset values to defaults
     this.formDefinition.controls.forEach(control => {
       if (control.name) {
-        this.state.values[control.name] = control.props?.defaultValue ?? null;
-        this.state.components[control.id].value = control.props?.defaultValue ?? null;
         this.state.components[control.id].valid = true;
         this.state.components[control.id].error = null;
+
+        if (!this.workbook.isFormula(`${this.namespace}.${control.name}`)) {
+          this.state.values[control.name] = control.props?.defaultValue ?? null;
+          this.state.components[control.id].value = control.props?.defaultValue ?? null;
+          defaults[`${this.namespace}.${control.name}`] = control.props?.defaultValue ?? null;
+        }
       }
     });
 
+    this.applyCalculated(this.workbook.setValues(defaults));
+
     // Reset validation
     this.state.validation = {
       isValid: true,
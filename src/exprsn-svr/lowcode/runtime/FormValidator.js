@@ -4,6 +4,8 @@
  * Validates form submissions based on control properties and validation rules.
  */
 
+const { isFormulaError } = require('../engine/formula');
+
 class FormValidator {
   /**
    * Validate form values
@@ -97,7 +99,8 @@ class FormValidator {
           values
         });
 
-        if (!isValid) {
+        // An error value (#DIV/0!, #REF!, ...) fails validation
+        if (!isValid || isFormulaError(isValid)) {
           errors.push({
             field: control.name,
             type: 'custom',
@@ -122,7 +125,7 @@ class FormValidator {
       try {
         const isValid = formulaEngine.evaluate(rule.formula, { values });
 
-        if (!isValid) {
+        if (!isValid || isFormulaError(isValid)) {
           errors.push({
             field: rule.field || null,
             type: 'rule',
@@ -0,0 +1,123 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Security Advisory Import Script
+ * Loads OSV advisories into the local advisory database
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Usage: node lowcode/scripts/import-security-advisories.js <source...> [--source=<name>]
+ *
+ * Sources are OSV JSON files (one advisory or an array of them), directories
+ * of such files, or zip archives such as https://osv-vulnerabilities.storage.googleapis.com/npm/all.zip.
+ * Advisories already in the database are updated in place.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const JSZip = require('jszip');
+const models = require('../models');
+const GitSecurityService = require('../services/GitSecurityService');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Yield the OSV documents in a file, directory or zip archive
+ */
+async function* readDocuments(source) {
+  const stats = await fs.stat(source);
+
+  if (stats.isDirectory()) {
+    for (const entry of await fs.readdir(source)) {
+      yield* readDocuments(path.join(source, entry));
+    }
+    return;
+  }
+
+  if (source.endsWith('.zip')) {
+    const zip = await JSZip.loadAsync(await fs.readFile(source));
+
+    for (const entry of Object.values(zip.files)) {
+      if (entry.dir || !entry.name.endsWith('.json')) continue;
+      yield* parseDocuments(await entry.async('string'), `${source}:${entry.name}`);
+    }
+    return;
+  }
+
+  if (source.endsWith('.json')) {
+    yield* parseDocuments(await fs.readFile(source, 'utf8'), source);
+  }
+}
+
+function* parseDocuments(content, name) {
+  let parsed;
+
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    console.warn(`   ⚠ Skipping ${name}: ${error.message}`);
+    return;
+  }
+
+  yield* Array.isArray(parsed) ? parsed : [parsed];
+}
+
+const importAdvisories = async () => {
+  const args = process.argv.slice(2);
+  const sourceName = (args.find(arg => arg.startsWith('--source=')) || '').slice('--source='.length) || 'osv';
+  const sources = args.filter(arg => !arg.startsWith('--'));
+
+  if (sources.length === 0) {
+    console.error('Usage: node lowcode/scripts/import-security-advisories.js <source...> [--source=<name>]');
+    process.exit(2);
+  }
+
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log('Security Advisory Import');
+  console.log('═══════════════════════════════════════════════════════════\n');
+
+  try {
+    await models.sequelize.authenticate();
+
+    const service = new GitSecurityService(models);
+    const totals = { imported: 0, updated: 0, skipped: 0, errors: [] };
+
+    const flush = async (batch) => {
+      const summary = await service.importAdvisories(batch, { source: sourceName });
+      totals.imported += summary.imported;
+      totals.updated += summary.updated;
+      totals.skipped += summary.skipped;
+      totals.errors.push(...summary.errors);
+    };
+
+    for (const source of sources) {
+      console.log(`Reading ${source}...`);
+      let batch = [];
+
+      for await (const document of readDocuments(source)) {
+        batch.push(document);
+
+        if (batch.length === BATCH_SIZE) {
+          await flush(batch);
+          batch = [];
+        }
+      }
+
+      if (batch.length > 0) {
+        await flush(batch);
+      }
+    }
+
+    console.log(`\n✓ ${totals.imported} imported, ${totals.updated} updated, ${totals.skipped} without npm packages`);
+
+    totals.errors.slice(0, 20).forEach(error => console.warn(`   ⚠ ${error.id || 'unknown'}: ${error.message}`));
+    if (totals.errors.length > 20) {
+      console.warn(`   ⚠ ...and ${totals.errors.length - 20} more invalid advisories`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('✗ Import failed:', error.message);
+    process.exit(1);
+  }
+};
+
+importAdvisories();
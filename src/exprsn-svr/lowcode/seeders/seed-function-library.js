@@ -413,17 +413,19 @@ module.exports = {
         category_id: categoryMap.datetime,
         name: 'DATEDIFF',
         display_name: 'DATEDIFF',
-        description: 'Returns the difference between two dates in days',
-        syntax: 'DATEDIFF(end_date, start_date)',
+        description: 'Returns the number of whole units between two dates',
+        syntax: 'DATEDIFF(end_date, start_date, [unit])',
         parameters: [
           { name: 'end_date', type: 'date', description: 'The end date', required: true },
-          { name: 'start_date', type: 'date', description: 'The start date', required: true }
+          { name: 'start_date', type: 'date', description: 'The start date', required: true },
+          { name: 'unit', type: 'string', description: '"days" (default), "hours", "months", "years", ...', required: false }
         ],
         return_type: 'number',
         examples: [
-          { input: 'DATEDIFF("2025-12-31", "2025-12-25")', output: '6' }
+          { input: 'DATEDIFF("2025-12-31", "2025-12-25")', output: '6' },
+          { input: 'DATEDIFF("2025-12-31", "2025-01-01", "months")', output: '11' }
         ],
-        implementation: '(end, start) => Math.floor((new Date(end) - new Date(start)) / (1000 * 60 * 60 * 24))',
+        implementation: '(end, start, unit = "days") => { const e = new Date(end), s = new Date(start); if (unit === "months" || unit === "years") { let m = (e.getFullYear() - s.getFullYear()) * 12 + e.getMonth() - s.getMonth(); if (m > 0 && e.getDate() < s.getDate()) m--; return unit === "years" ? Math.trunc(m / 12) : m; } return Math.trunc((e - s) / { hours: 36e5, days: 864e5, weeks: 6048e5 }[unit]); }',
         tags: ['datetime', 'difference', 'days']
       },
 
@@ -1,16 +1,24 @@
 /**
  * Formula Execution Engine
  *
- * Parses and executes formulas using the function library.
- * Supports Excel-like, Power Query, and R-style functions.
+ * Executes formulas against the function library. Formulas run in the
+ * sandboxed interpreter (engine/formula); nothing from the library table is
+ * turned into JavaScript.
+ *
+ * A library row is bound to the built-in of the same name, or, when its
+ * implementation is formula text starting with "=" and evaluating to a
+ * LAMBDA (e.g. "=LAMBDA(price, qty, price * qty)"), registered as a
+ * user-defined function. Other rows are skipped.
  */
 
 const db = require('../models');
+const { createInterpreter, isFormulaError, Lambda } = require('../engine/formula');
 
 class FormulaEngine {
   constructor() {
     this.functions = new Map();
     this.initialized = false;
+    this.interpreter = createInterpreter();
   }
 
   /**
@@ -29,15 +37,14 @@ class FormulaEngine {
       // Register each function
       functions.forEach(func => {
         try {
-          // Safely evaluate the implementation
-          const fn = this.createFunction(func.implementation, func.parameters);
+          const source = this.registerFunction(func.name, func.implementation);
           this.functions.set(func.name, {
-            fn,
+            source,
             parameters: func.parameters,
             returnType: func.return_type
           });
         } catch (error) {
-          console.error(`Failed to register function ${func.name}:`, error);
+          console.warn(`Skipping function ${func.name}: ${error.message}`);
         }
       });
 
@@ -50,17 +57,37 @@ class FormulaEngine {
   }
 
   /**
-   * Create a function from implementation string
+   * Make a library function callable from formulas
+   * @returns {string} 'builtin' or 'formula'
    */
-  createFunction(implementation, parameters) {
-    // If implementation is already a function string like "value => String(value).toUpperCase()"
-    if (implementation.includes('=>')) {
-      return eval(`(${implementation})`);
+  registerFunction(name, implementation) {
+    const key = String(name).toUpperCase();
+
+    if (this.interpreter.functions.has(key) && this.interpreter.functions.get(key).source !== 'formula') {
+      return 'builtin';
     }
 
-    // Otherwise create function from parameters
-    const paramNames = parameters.map(p => p.name).join(', ');
-    return new Function(paramNames, `return ${implementation}`);
+    if (typeof implementation !== 'string' || !implementation.trim().startsWith('=')) {
+      throw new Error('implementation is not a formula and there is no built-in of that name');
+    }
+
+    const lambda = this.interpreter.run(implementation);
+    if (!(lambda instanceof Lambda)) {
+      throw new Error('implementation must evaluate to a LAMBDA');
+    }
+
+    this.interpreter.functions.set(key, {
+      name: key,
+      min: lambda.params.length,
+      max: lambda.params.length,
+      lazy: false,
+      propagate: true,
+      category: 'Custom',
+      source: 'formula',
+      fn: (args, evaluation) => evaluation.call(lambda, args),
+    });
+
+    return 'formula';
   }
 
   /**
@@ -72,8 +99,18 @@ class FormulaEngine {
     }
 
     try {
-      // Parse and execute the formula
-      const result = this.parseAndExecute(formula, context);
+      const result = this.interpreter.run(formula, { context });
+
+      if (isFormulaError(result)) {
+        return {
+          success: false,
+          error: result.message,
+          code: result.code,
+          formula,
+          timestamp: new Date()
+        };
+      }
+
       return {
         success: true,
         result,
@@ -90,55 +127,6 @@ class FormulaEngine {
     }
   }
 
-  /**
-   * Parse and execute a formula string
-   */
-  parseAndExecute(formula, context) {
-    // Remove comments
-    formula = formula.replace(/\/\/.*$/gm, '').replace(/\/\*[\s\S]*?\*\//g, '');
-    formula = formula.trim();
-
-    if (!formula) {
-      throw new Error('Empty formula');
-    }
-
-    // Simple execution - evaluate the formula with available functions
-    const scope = this.createExecutionScope(context);
-
-    try {
-      // Use Function constructor for safer evaluation than eval
-      const fn = new Function(...Object.keys(scope), `return ${formula}`);
-      const result = fn(...Object.values(scope));
-      return result;
-    } catch (error) {
-      throw new Error(`Execution error: ${error.message}`);
-    }
-  }
-
-  /**
-   * Create execution scope with all available functions and context
-   */
-  createExecutionScope(context = {}) {
-    const scope = { ...context };
-
-    // Add all registered functions to scope
-    this.functions.forEach((funcData, name) => {
-      scope[name] = funcData.fn;
-    });
-
-    // Add built-in JavaScript functions that are safe
-    scope.Math = Math;
-    scope.String = String;
-    scope.Number = Number;
-    scope.Boolean = Boolean;
-    scope.Array = Array;
-    scope.Object = Object;
-    scope.Date = Date;
-    scope.JSON = JSON;
-
-    return scope;
-  }
-
   /**
    * Get all available functions
    */
@@ -158,17 +146,7 @@ class FormulaEngine {
    */
   validate(formula) {
     try {
-      // Basic syntax validation
-      formula = formula.replace(/\/\/.*$/gm, '').replace(/\/\*[\s\S]*?\*\//g, '').trim();
-
-      if (!formula) {
-        return { valid: false, error: 'Empty formula' };
-      }
-
-      // Try to parse (but not execute)
-      const scope = this.createExecutionScope({});
-      new Function(...Object.keys(scope), `return ${formula}`);
-
+      this.interpreter.compile(formula);
       return { valid: true };
     } catch (error) {
       return { valid: false, error: error.message };
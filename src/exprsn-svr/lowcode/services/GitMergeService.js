@@ -0,0 +1,351 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Git Merge Service
+ * Object-level merges and commits for server-side repository writes
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Merges are computed with `git merge-tree --write-tree`, trees are built
+ * in a throwaway index and branches only move through compare-and-swap
+ * ref updates, so nothing here depends on (or disturbs) the state of a
+ * repository's working tree.
+ */
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+
+const ZERO_SHA = '0000000000000000000000000000000000000000';
+const CONFLICT_MARKER = /^(<{7}|>{7})(?: |$)/m;
+
+class GitMergeService {
+  constructor(gitBinary = config.git.gitBinary) {
+    this.gitBinary = gitBinary;
+  }
+
+  /**
+   * Run a git command and resolve with its stdout
+   */
+  run(repoPath, args, { input, env = {}, okCodes = [0], encoding = 'utf8' } = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.gitBinary, args, {
+        cwd: repoPath,
+        env: { ...process.env, ...env }
+      });
+      const stdout = [];
+      const stderr = [];
+
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => stderr.push(chunk));
+      child.on('error', reject);
+      child.on('close', code => {
+        const output = Buffer.concat(stdout);
+
+        if (!okCodes.includes(code)) {
+          const message = Buffer.concat(stderr).toString().trim() || `exit code ${code}`;
+          return reject(new Error(`git ${args[0]} failed: ${message}`));
+        }
+
+        resolve({ code, stdout: encoding ? output.toString(encoding) : output });
+      });
+
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    });
+  }
+
+  /**
+   * Resolve a revision to a commit sha, or null when it does not exist
+   */
+  async resolveCommit(repoPath, revision) {
+    const { code, stdout } = await this.run(repoPath, ['rev-parse', '--verify', '--quiet', `${revision}^{commit}`], {
+      okCodes: [0, 1]
+    });
+    return code === 0 ? stdout.trim() : null;
+  }
+
+  async mergeBase(repoPath, a, b) {
+    const { code, stdout } = await this.run(repoPath, ['merge-base', a, b], { okCodes: [0, 1] });
+    return code === 0 ? stdout.trim() : null;
+  }
+
+  async isAncestor(repoPath, ancestor, descendant) {
+    const { code } = await this.run(repoPath, ['merge-base', '--is-ancestor', ancestor, descendant], { okCodes: [0, 1] });
+    return code === 0;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Merging
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Merge two commits without touching any working tree
+   * Conflicted paths list the index stages merge-tree recorded for them:
+   * 1 = merge base, 2 = ours, 3 = theirs.
+   */
+  async mergeTree(repoPath, ours, theirs) {
+    const { code, stdout } = await this.run(
+      repoPath,
+      ['merge-tree', '--write-tree', '-z', '--no-messages', ours, theirs],
+      { okCodes: [0, 1] }
+    );
+
+    const [treeSha, ...entries] = stdout.split('\0').filter(Boolean);
+    const conflicts = new Map();
+
+    entries.forEach(entry => {
+      const match = entry.match(/^(\d{6}) ([0-9a-f]{40}) ([123])\t(.*)$/s);
+      if (!match) return;
+
+      const [, mode, sha, stage, filePath] = match;
+      if (!conflicts.has(filePath)) {
+        conflicts.set(filePath, { path: filePath, stages: {} });
+      }
+      conflicts.get(filePath).stages[stage] = { mode, sha };
+    });
+
+    return { treeSha, clean: code === 0, conflicts: Array.from(conflicts.values()) };
+  }
+
+  /**
+   * Describe a conflict the way the web resolution flow presents it
+   */
+  conflictType({ stages }) {
+    if (stages[2] && stages[3]) return stages[1] ? 'content' : 'add/add';
+    if (stages[2]) return 'deleted_in_source';
+    return 'deleted_in_target';
+  }
+
+  hasConflictMarkers(content) {
+    return CONFLICT_MARKER.test(content);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Objects
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Read a blob as a Buffer
+   */
+  async readBlob(repoPath, sha) {
+    const { stdout } = await this.run(repoPath, ['cat-file', 'blob', sha], { encoding: null });
+    return stdout;
+  }
+
+  /**
+   * Look up a path in a tree-ish, or null when it is absent
+   */
+  async readEntry(repoPath, treeish, filePath) {
+    const { stdout } = await this.run(repoPath, ['ls-tree', '-z', treeish, '--', filePath]);
+    const match = stdout.split('\0')[0].match(/^(\d{6}) (\w+) ([0-9a-f]{40})\t/);
+
+    if (!match || match[2] !== 'blob') return null;
+    return { mode: match[1], sha: match[3] };
+  }
+
+  /**
+   * Read a file at a revision as text, or null when it is absent
+   */
+  async readFile(repoPath, treeish, filePath) {
+    const entry = await this.readEntry(repoPath, treeish, filePath);
+    if (!entry) return null;
+
+    return (await this.readBlob(repoPath, entry.sha)).toString('utf8');
+  }
+
+  isBinary(buffer) {
+    return buffer.subarray(0, 8000).includes(0);
+  }
+
+  async writeBlob(repoPath, content) {
+    const { stdout } = await this.run(repoPath, ['hash-object', '-w', '--no-filters', '--stdin'], { input: content });
+    return stdout.trim();
+  }
+
+  /**
+   * Apply file changes to a tree and write the result
+   * Each change is { path, mode, sha } to add or replace a blob, or
+   * { path, remove: true } to delete it.
+   */
+  async writeTree(repoPath, baseTree, changes) {
+    const indexFile = path.join(os.tmpdir(), `exprsn-index-${crypto.randomBytes(8).toString('hex')}`);
+    const env = { GIT_INDEX_FILE: indexFile };
+
+    try {
+      await this.run(repoPath, ['read-tree', baseTree], { env });
+
+      const records = changes.map(change => change.remove
+        ? `0 ${ZERO_SHA}\t${change.path}\0`
+        : `${change.mode || '100644'} ${change.sha}\t${change.path}\0`);
+      await this.run(repoPath, ['update-index', '-z', '--index-info'], { env, input: records.join('') });
+
+      const { stdout } = await this.run(repoPath, ['write-tree'], { env });
+      return stdout.trim();
+    } finally {
+      await fs.rm(indexFile, { force: true });
+    }
+  }
+
+  /**
+   * Commit identity for a user, falling back to the server's committer
+   */
+  identity(user) {
+    const name = user && (user.name || user.username);
+    return name && user.email ? { name, email: user.email } : { ...config.git.committer };
+  }
+
+  /**
+   * Write a commit object
+   * Author and committer are { name, email }; the committer defaults to the author.
+   */
+  async commitTree(repoPath, treeSha, parents, message, author, committer = author) {
+    const args = ['commit-tree', treeSha];
+    parents.forEach(parent => args.push('-p', parent));
+    args.push('-F', '-');
+
+    const { stdout } = await this.run(repoPath, args, {
+      input: message.endsWith('\n') ? message : `${message}\n`,
+      env: {
+        GIT_AUTHOR_NAME: author.name,
+        GIT_AUTHOR_EMAIL: author.email,
+        GIT_COMMITTER_NAME: committer.name,
+        GIT_COMMITTER_EMAIL: committer.email
+      }
+    });
+    return stdout.trim();
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Refs
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Move a branch from oldSha to newSha
+   * Fails if the branch moved since oldSha was read. When the branch is
+   * checked out in the repository's working tree, the tree is fast-forwarded
+   * too so later working-tree operations start from the new commit.
+   */
+  async updateBranch(repoPath, branch, newSha, oldSha, reason) {
+    const ref = `refs/heads/${branch}`;
+
+    try {
+      await this.run(repoPath, ['update-ref', '-m', reason, ref, newSha, oldSha]);
+    } catch (error) {
+      throw new Error(`Branch ${branch} was updated by someone else; reload and try again`);
+    }
+
+    const { code, stdout } = await this.run(repoPath, ['symbolic-ref', '-q', 'HEAD'], { okCodes: [0, 1] });
+    if (code === 0 && stdout.trim() === ref) {
+      await this.run(repoPath, ['read-tree', '-u', '-m', oldSha, newSha], { okCodes: [0, 128] });
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Diffs
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Paths changed between two commits
+   */
+  async changedFiles(repoPath, from, to) {
+    const { stdout } = await this.run(repoPath, ['diff', '--name-only', '-z', '--no-renames', from, to]);
+    return stdout.split('\0').filter(Boolean);
+  }
+
+  /**
+   * Zero-context line changes between two commits, keyed by old path
+   * Each entry is { path, deleted, hunks: [{ oldStart, oldCount, newStart, newCount, removed, added }] }
+   * where path is the file's (possibly renamed) new path.
+   */
+  async diffHunks(repoPath, from, to) {
+    const { stdout } = await this.run(repoPath, [
+      'diff', '--no-color', '--no-ext-diff', '--no-textconv', '-U0', '-M', '--src-prefix=a/', '--dst-prefix=b/', from, to
+    ]);
+    return this.parseDiff(stdout);
+  }
+
+  parseDiff(output) {
+    const files = new Map();
+    let file = null;
+    let hunk = null;
+
+    for (const line of output.split('\n')) {
+      if (line.startsWith('diff --git ')) {
+        file = { oldPath: null, path: null, deleted: false, hunks: [] };
+        hunk = null;
+        continue;
+      }
+      if (!file) continue;
+
+      if (!hunk) {
+        if (line.startsWith('--- ')) {
+          file.oldPath = line === '--- /dev/null' ? null : this.headerPath(line);
+        } else if (line.startsWith('+++ ')) {
+          file.deleted = line === '+++ /dev/null';
+          file.path = file.deleted ? file.oldPath : this.headerPath(line);
+          if (file.oldPath) files.set(file.oldPath, file);
+        } else if (line.startsWith('rename from ')) {
+          file.oldPath = this.unquotePath(line.slice('rename from '.length));
+        } else if (line.startsWith('rename to ')) {
+          file.path = this.unquotePath(line.slice('rename to '.length));
+          files.set(file.oldPath, file);
+        }
+      }
+
+      const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+      if (header) {
+        hunk = {
+          oldStart: parseInt(header[1]),
+          oldCount: header[2] === undefined ? 1 : parseInt(header[2]),
+          newStart: parseInt(header[3]),
+          newCount: header[4] === undefined ? 1 : parseInt(header[4]),
+          removed: [],
+          added: []
+        };
+        file.hunks.push(hunk);
+      } else if (hunk && line.startsWith('-')) {
+        hunk.removed.push(line.slice(1));
+      } else if (hunk && line.startsWith('+')) {
+        hunk.added.push(line.slice(1));
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Path from a `--- a/...` or `+++ b/...` line; git appends a tab to names with spaces
+   */
+  headerPath(line) {
+    return this.unquotePath(line.slice(4).replace(/\t$/, '')).slice(2);
+  }
+
+  /**
+   * Undo git's C-style quoting of unusual paths
+   */
+  unquotePath(value) {
+    if (!value.startsWith('"')) return value;
+
+    const bytes = [];
+    const escapes = { n: 10, t: 9, '"': 34, '\\': 92, a: 7, b: 8, f: 12, r: 13, v: 11 };
+
+    for (let i = 1; i < value.length - 1; i++) {
+      if (value[i] !== '\\') {
+        bytes.push(...Buffer.from(value[i]));
+      } else if (/[0-7]/.test(value[i + 1])) {
+        bytes.push(parseInt(value.slice(i + 1, i + 4), 8));
+        i += 3;
+      } else {
+        bytes.push(escapes[value[i + 1]] ?? value.charCodeAt(i + 1));
+        i += 1;
+      }
+    }
+
+    return Buffer.from(bytes).toString('utf8');
+  }
+}
+
+module.exports = GitMergeService;
+module.exports.ZERO_SHA = ZERO_SHA;
@@ -0,0 +1,789 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Git Pipeline Job Service
+ * Schedules pipeline jobs and leases them to runners
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Jobs start as "created" and become "pending" once every job they need
+ * has finished. Runners poll for pending jobs matching their tags and take
+ * a time-limited lease, which they renew by streaming logs or reporting
+ * status. Jobs whose runner stops responding are retried or failed.
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const config = require('../config');
+const GitRunnerService = require('./GitRunnerService');
+const { PIPELINE_SOURCES } = require('./parsers/PipelineConfigParser');
+
+const JOB_TOKEN_PREFIX = 'exprsn_job_';
+const FINISHED = ['success', 'failure', 'cancelled', 'skipped'];
+const UPSTREAM_FAILED = 'A job it needs did not succeed';
+
+class GitPipelineJobService {
+  /**
+   * @param {Object} models
+   * @param {Object} options
+   * @param {Function} options.triggerWorkflow - (run, job) => Promise, runs trigger jobs
+   * @param {Function} options.onRunFinished - (run, status) => Promise, called when a run completes
+   */
+  constructor(models, options = {}) {
+    this.GitPipelineJob = models.GitPipelineJob;
+    this.GitPipelineRun = models.GitPipelineRun;
+    this.GitPipeline = models.GitPipeline;
+    this.GitRepository = models.GitRepository;
+    this.GitBuildLog = models.GitBuildLog;
+    this.GitPipelineArtifact = models.GitPipelineArtifact;
+    this.GitAuditLog = models.GitAuditLog;
+    this.runnerService = new GitRunnerService(models);
+
+    this.triggerWorkflow = options.triggerWorkflow || null;
+    this.onRunFinished = options.onRunFinished || null;
+    this.options = { ...config.git.runners, ...options };
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Scheduling
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Create the jobs of a planned pipeline run and queue the first ones
+   * @param {Object} run - GitPipelineRun
+   * @param {Object[]} jobs - Jobs from PipelineConfigParser
+   */
+  async createJobs(run, jobs) {
+    await this.GitPipelineJob.bulkCreate(jobs.map(job => ({
+      pipelineRunId: run.id,
+      repositoryId: run.repositoryId,
+      name: job.name,
+      stage: job.stage,
+      needs: job.needs,
+      status: 'created',
+      when: job.when,
+      allowFailure: job.allowFailure,
+      tags: job.tags,
+      configuration: {
+        image: job.image,
+        beforeScript: job.beforeScript,
+        script: job.script,
+        afterScript: job.afterScript,
+        variables: job.variables,
+        cache: job.cache,
+        artifacts: job.artifacts,
+        dependencies: job.dependencies,
+        timeout: job.timeout,
+        retry: job.retry,
+        trigger: job.trigger
+      }
+    })));
+
+    return this.advance(run.id);
+  }
+
+  /**
+   * Move jobs whose needs have finished forward, then finish the run when
+   * nothing is left to do
+   */
+  async advance(runId) {
+    const run = await this.GitPipelineRun.findByPk(runId);
+    if (!run || FINISHED.includes(run.status)) {
+      return run;
+    }
+
+    const jobs = await this.GitPipelineJob.findAll({ where: { pipelineRunId: runId } });
+    const byName = new Map(jobs.map(job => [job.name, job]));
+    const triggered = [];
+    let changed = true;
+
+    // Skips cascade, so repeat until no job changes
+    while (changed) {
+      changed = false;
+
+      for (const job of jobs) {
+        if (job.status !== 'created') continue;
+
+        const needs = job.needs.map(name => byName.get(name)).filter(Boolean);
+        if (needs.some(need => !FINISHED.includes(need.status))) continue;
+
+        const upstreamFailed = needs.some(need =>
+          (need.status === 'failure' && !need.allowFailure) ||
+          need.status === 'cancelled' ||
+          (need.status === 'skipped' && need.failureReason === UPSTREAM_FAILED)
+        );
+
+        await this.queueJob(job, upstreamFailed);
+        if (job.status === 'running') triggered.push(job);
+        changed = true;
+      }
+    }
+
+    for (const job of triggered) {
+      await this.runTriggerJob(run, job);
+    }
+
+    if (triggered.length > 0) {
+      return this.advance(runId);
+    }
+
+    await run.update({ stagesStatus: this.summarizeStages(jobs) });
+
+    if (!jobs.some(job => job.status === 'pending' || job.status === 'running')) {
+      // Anything still "created" is waiting on a manual job
+      await this.finishRun(run, jobs);
+    }
+
+    return run;
+  }
+
+  /**
+   * Decide what a job does once its needs have finished
+   */
+  async queueJob(job, upstreamFailed) {
+    let status;
+
+    switch (job.when) {
+      case 'always':
+        status = 'pending';
+        break;
+      case 'on_failure':
+        status = upstreamFailed ? 'pending' : 'skipped';
+        break;
+      case 'manual':
+        status = upstreamFailed ? 'skipped' : 'manual';
+        break;
+      default:
+        status = upstreamFailed ? 'skipped' : 'pending';
+    }
+
+    if (status === 'skipped') {
+      await job.update({
+        status,
+        failureReason: upstreamFailed ? UPSTREAM_FAILED : null,
+        finishedAt: new Date()
+      });
+      return;
+    }
+
+    if (status === 'pending' && job.configuration.trigger) {
+      // Trigger jobs run on the server rather than a runner
+      await job.update({ status: 'running', queuedAt: new Date(), startedAt: new Date() });
+      return;
+    }
+
+    await job.update({ status, queuedAt: status === 'pending' ? new Date() : null });
+
+    if (status === 'pending') {
+      await this.warnIfNoRunner(job);
+    }
+  }
+
+  /**
+   * Log a hint when no online runner can take a job; it stays queued
+   */
+  async warnIfNoRunner(job) {
+    const runner = await this.runnerService.getAvailableRunner(job.tags);
+
+    if (!runner) {
+      const tags = job.tags.length > 0 ? ` with tags: ${job.tags.join(', ')}` : '';
+      await this.logSystemMessage(job, `Waiting for an online runner${tags}`, 'warning');
+    }
+  }
+
+  /**
+   * Run a trigger job by starting its workflow
+   */
+  async runTriggerJob(run, job) {
+    try {
+      if (!this.triggerWorkflow) {
+        throw new Error('Workflow triggers are not available');
+      }
+
+      await this.triggerWorkflow(run, job);
+      await this.finishJob(job, 'success');
+    } catch (error) {
+      logger.error('Pipeline trigger job failed:', error);
+      await this.logSystemMessage(job, error.message, 'error');
+      await this.finishJob(job, 'failure', { failureReason: error.message });
+    }
+  }
+
+  /**
+   * Record a job's final state
+   */
+  async finishJob(job, status, { exitCode = null, failureReason = null } = {}) {
+    const finishedAt = new Date();
+
+    await job.update({
+      status,
+      exitCode,
+      failureReason,
+      finishedAt,
+      durationSeconds: job.startedAt ? Math.floor((finishedAt - new Date(job.startedAt)) / 1000) : null,
+      leaseExpiresAt: null
+    });
+  }
+
+  /**
+   * Complete a run from the state of its jobs
+   */
+  async finishRun(run, jobs) {
+    let status = 'success';
+
+    if (jobs.length === 0 || jobs.every(job => job.status === 'skipped')) {
+      status = 'skipped';
+    } else if (jobs.some(job => job.status === 'failure' && !job.allowFailure)) {
+      status = 'failure';
+    } else if (jobs.some(job => job.status === 'cancelled')) {
+      status = 'cancelled';
+    }
+
+    const finishedAt = new Date();
+
+    await run.update({
+      status,
+      finishedAt,
+      durationSeconds: run.startedAt ? Math.floor((finishedAt - new Date(run.startedAt)) / 1000) : null
+    });
+
+    logger.info(`Pipeline run finished: ${status}`, { runId: run.id });
+
+    if (this.onRunFinished) {
+      await this.onRunFinished(run, status);
+    }
+  }
+
+  /**
+   * Aggregate job states per stage
+   */
+  summarizeStages(jobs) {
+    const stages = {};
+
+    for (const job of jobs) {
+      if (!stages[job.stage]) stages[job.stage] = { status: null, jobs: {} };
+      stages[job.stage].jobs[job.name] = job.status;
+    }
+
+    for (const [name, stage] of Object.entries(stages)) {
+      const statuses = jobs
+        .filter(job => job.stage === name)
+        .map(job => (job.status === 'failure' && job.allowFailure ? 'success' : job.status));
+
+      if (statuses.some(status => status === 'running' || status === 'pending')) stage.status = 'running';
+      else if (statuses.includes('failure')) stage.status = 'failure';
+      else if (statuses.includes('cancelled')) stage.status = 'cancelled';
+      else if (statuses.some(status => status === 'created' || status === 'manual')) stage.status = 'pending';
+      else if (statuses.every(status => status === 'skipped')) stage.status = 'skipped';
+      else stage.status = 'success';
+    }
+
+    return stages;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Run Operations
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * List the jobs of a run
+   */
+  async getJobs(runId) {
+    return this.GitPipelineJob.findAll({
+      where: { pipelineRunId: runId },
+      order: [['createdAt', 'ASC']],
+      attributes: { exclude: ['leaseTokenHash'] }
+    });
+  }
+
+  /**
+   * Cancel every unfinished job of a run; runners holding a lease are told
+   * on their next log upload or status report
+   */
+  async cancelJobs(runId) {
+    const [cancelled] = await this.GitPipelineJob.update(
+      { status: 'cancelled', finishedAt: new Date(), leaseExpiresAt: null },
+      { where: { pipelineRunId: runId, status: ['created', 'pending', 'manual', 'running'] } }
+    );
+
+    return cancelled;
+  }
+
+  /**
+   * Start a manual job
+   */
+  async playJob(jobId, userId) {
+    const job = await this.GitPipelineJob.findByPk(jobId);
+    if (!job) {
+      throw new Error('Pipeline job not found');
+    }
+
+    if (job.status !== 'manual') {
+      throw new Error('Only manual jobs can be played');
+    }
+
+    const run = await this.GitPipelineRun.findByPk(job.pipelineRunId);
+    if (run.status === 'cancelled') {
+      throw new Error('Pipeline run was cancelled');
+    }
+
+    await job.update({ status: 'created', when: 'on_success' });
+    await run.update({ status: 'running', finishedAt: null, durationSeconds: null });
+
+    await this.createAuditLog({
+      userId,
+      action: 'pipeline_job_played',
+      entityType: 'pipeline_job',
+      entityId: job.id,
+      repositoryId: job.repositoryId,
+      metadata: { runId: run.id, name: job.name }
+    });
+
+    await this.advance(run.id);
+
+    return job.reload({ attributes: { exclude: ['leaseTokenHash'] } });
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Runner Protocol
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Lease the oldest pending job the runner can run
+   * @returns {Promise<Object|null>} Job payload, or null when there is no work
+   */
+  async requestJob(runner) {
+    await this.releaseExpiredLeases();
+
+    const running = await this.GitPipelineJob.count({ where: { runnerId: runner.id, status: 'running' } });
+    if (running >= runner.maxConcurrentJobs) {
+      return null;
+    }
+
+    const { Op } = this.GitPipelineJob.sequelize.Sequelize;
+    const candidates = await this.GitPipelineJob.findAll({
+      where: {
+        status: 'pending',
+        tags: { [Op.contained]: runner.tags || [] }
+      },
+      order: [['queuedAt', 'ASC']],
+      limit: 20
+    });
+
+    for (const job of candidates) {
+      const token = `${JOB_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+      const startedAt = new Date();
+
+      // Another runner may lease the same job between the query and here
+      const [leased] = await this.GitPipelineJob.update({
+        status: 'running',
+        runnerId: runner.id,
+        leaseTokenHash: this.runnerService.hashToken(token),
+        leaseExpiresAt: this.leaseExpiry(),
+        attempt: job.attempt + 1,
+        startedAt,
+        exitCode: null,
+        failureReason: null
+      }, {
+        where: { id: job.id, status: 'pending' }
+      });
+
+      if (leased === 0) continue;
+
+      await job.reload();
+
+      if (job.attempt > 1) {
+        await this.logSystemMessage(job, `Retrying job (attempt ${job.attempt})`);
+      }
+
+      logger.info(`Pipeline job leased: ${job.name}`, { jobId: job.id, runnerId: runner.id });
+
+      return this.buildJobPayload(job, token);
+    }
+
+    return null;
+  }
+
+  /**
+   * Everything a runner needs to run a job
+   */
+  async buildJobPayload(job, token) {
+    const run = await this.GitPipelineRun.findByPk(job.pipelineRunId);
+    const pipeline = await this.GitPipeline.findByPk(run.pipelineId);
+    const repository = await this.GitRepository.findByPk(job.repositoryId);
+    const settings = job.configuration;
+
+    const cache = [];
+    for (const entry of settings.cache || []) {
+      const stored = entry.policy === 'push'
+        ? null
+        : await this.runnerService.getCache(job.repositoryId, entry.key, entry.scope, this.cacheScopeValue(run, entry));
+
+      cache.push({
+        ...entry,
+        storagePath: stored ? stored.storagePath : null,
+        checksum: stored ? stored.checksum : null
+      });
+    }
+
+    return {
+      id: job.id,
+      token,
+      name: job.name,
+      stage: job.stage,
+      attempt: job.attempt,
+      image: settings.image,
+      beforeScript: settings.beforeScript,
+      script: settings.script,
+      afterScript: settings.afterScript,
+      timeout: settings.timeout,
+      variables: {
+        ...this.predefinedVariables(run, repository),
+        ...settings.variables,
+        ...(pipeline ? pipeline.environmentVariables : {}),
+        CI_JOB_ID: job.id,
+        CI_JOB_NAME: job.name,
+        CI_JOB_STAGE: job.stage,
+        CI_JOB_TOKEN: token
+      },
+      repository: {
+        id: repository.id,
+        slug: repository.slug,
+        cloneUrl: repository.cloneUrl || `/git/${repository.slug}.git`,
+        ref: run.branch,
+        sha: run.commitSha
+      },
+      cache,
+      artifacts: settings.artifacts,
+      dependencies: await this.getDependencyArtifacts(job),
+      log: { offset: Number(job.logSize) },
+      lease: { expiresAt: job.leaseExpiresAt, seconds: this.options.leaseSeconds }
+    };
+  }
+
+  /**
+   * Artifacts uploaded by the jobs this job depends on
+   */
+  async getDependencyArtifacts(job) {
+    const dependencies = job.configuration.dependencies || [];
+    if (dependencies.length === 0) return [];
+
+    const jobs = await this.GitPipelineJob.findAll({
+      where: { pipelineRunId: job.pipelineRunId, name: dependencies },
+      attributes: ['id', 'name']
+    });
+    const names = new Map(jobs.map(dependency => [dependency.id, dependency.name]));
+
+    const artifacts = await this.GitPipelineArtifact.findAll({
+      where: { pipelineRunId: job.pipelineRunId, pipelineJobId: [...names.keys()] }
+    });
+
+    return artifacts.map(artifact => ({
+      id: artifact.id,
+      job: names.get(artifact.pipelineJobId),
+      name: artifact.name,
+      storagePath: artifact.storagePath,
+      size: artifact.size,
+      checksum: artifact.checksum
+    }));
+  }
+
+  /**
+   * Find the job a job token was issued for
+   * @returns {Promise<Object|null>}
+   */
+  async authenticateJob(jobId, token) {
+    if (!token || !token.startsWith(JOB_TOKEN_PREFIX)) {
+      return null;
+    }
+
+    const job = await this.GitPipelineJob.findByPk(jobId);
+    if (!job || !job.leaseTokenHash) {
+      return null;
+    }
+
+    const expected = Buffer.from(job.leaseTokenHash);
+    const actual = Buffer.from(this.runnerService.hashToken(token));
+
+    return crypto.timingSafeEqual(expected, actual) ? job : null;
+  }
+
+  /**
+   * Find the running job holding a token, for git clones made with $CI_JOB_TOKEN
+   */
+  async authenticateJobToken(token) {
+    if (!token || !token.startsWith(JOB_TOKEN_PREFIX)) {
+      return null;
+    }
+
+    return this.GitPipelineJob.findOne({
+      where: { leaseTokenHash: this.runnerService.hashToken(token), status: 'running' }
+    });
+  }
+
+  /**
+   * Append a chunk of job output
+   *
+   * Chunks must arrive in order: offset is the byte count the runner has
+   * already sent. A mismatch returns the server's offset so the runner can
+   * resend from there.
+   *
+   * @returns {Promise<{ accepted: boolean, offset: number }>}
+   */
+  async appendLog(job, { offset, content }) {
+    const size = Buffer.byteLength(content);
+    const current = Number(job.logSize);
+
+    if (size > this.options.maxLogChunkBytes) {
+      throw new Error(`Log chunks may be at most ${this.options.maxLogChunkBytes} bytes`);
+    }
+
+    if (current + size > this.options.maxLogBytes) {
+      throw new Error('Job log size limit exceeded');
+    }
+
+    const [updated] = await this.GitPipelineJob.update(
+      { logSize: offset + size, leaseExpiresAt: this.leaseExpiry() },
+      { where: { id: job.id, status: 'running', logSize: offset } }
+    );
+
+    if (updated === 0) {
+      return { accepted: false, offset: current };
+    }
+
+    await this.GitBuildLog.create({
+      pipelineRunId: job.pipelineRunId,
+      pipelineJobId: job.id,
+      stageName: job.stage,
+      stepName: job.name,
+      logLevel: 'info',
+      message: content,
+      byteOffset: offset,
+      timestamp: new Date()
+    });
+
+    return { accepted: true, offset: offset + size };
+  }
+
+  /**
+   * Handle a runner's status report
+   *
+   * "running" only renews the lease. "success" and "failure" are final;
+   * failed jobs with retries left go back to the queue.
+   */
+  async updateJob(job, { state, exitCode = null, failureReason = null }) {
+    if (state === 'running') {
+      await job.update({ leaseExpiresAt: this.leaseExpiry() });
+      return job;
+    }
+
+    if (state === 'failure' && job.attempt <= (job.configuration.retry || 0)) {
+      await this.requeueJob(job, failureReason || `Job failed with exit code ${exitCode}`);
+    } else {
+      await this.finishJob(job, state, { exitCode, failureReason });
+      logger.info(`Pipeline job finished: ${job.name} (${state})`, { jobId: job.id });
+    }
+
+    await this.advance(job.pipelineRunId);
+
+    return job;
+  }
+
+  /**
+   * Put a job back in the queue for another attempt
+   */
+  async requeueJob(job, reason) {
+    await this.logSystemMessage(job, `${reason}; retrying`, 'warning');
+
+    await job.update({
+      status: 'pending',
+      runnerId: null,
+      leaseTokenHash: null,
+      leaseExpiresAt: null,
+      queuedAt: new Date()
+    });
+  }
+
+  /**
+   * Fail jobs past their timeout, and retry or fail jobs whose runner
+   * stopped renewing its lease
+   */
+  async releaseExpiredLeases() {
+    const { Op } = this.GitPipelineJob.sequelize.Sequelize;
+    const running = await this.GitPipelineJob.findAll({
+      where: { status: 'running', runnerId: { [Op.ne]: null } }
+    });
+
+    const now = Date.now();
+    let released = 0;
+
+    for (const job of running) {
+      const timeout = job.configuration.timeout;
+
+      if (timeout && now - new Date(job.startedAt).getTime() > timeout * 1000) {
+        await this.logSystemMessage(job, `Job exceeded its timeout of ${timeout} seconds`, 'error');
+        await this.finishJob(job, 'failure', { failureReason: 'Job timed out' });
+      } else if (new Date(job.leaseExpiresAt).getTime() < now) {
+        const reason = 'Runner stopped responding';
+
+        if (job.attempt <= (job.configuration.retry || 0)) {
+          await this.requeueJob(job, reason);
+        } else {
+          await this.logSystemMessage(job, reason, 'error');
+          await this.finishJob(job, 'failure', { failureReason: reason });
+        }
+      } else {
+        continue;
+      }
+
+      released++;
+      await this.advance(job.pipelineRunId);
+    }
+
+    return released;
+  }
+
+  /**
+   * Record a cache uploaded by a job
+   */
+  async registerCache(job, { key, storagePath, size, checksum }) {
+    const entry = (job.configuration.cache || []).find(cache => cache.key === key);
+
+    if (!entry || entry.policy === 'pull') {
+      throw new Error(`Job does not push a cache with key ${key}`);
+    }
+
+    const run = await this.GitPipelineRun.findByPk(job.pipelineRunId);
+
+    return this.runnerService.storeCache(job.repositoryId, {
+      key,
+      scope: entry.scope,
+      scopeValue: this.cacheScopeValue(run, entry),
+      storagePath,
+      size,
+      checksum
+    });
+  }
+
+  /**
+   * Record an artifact uploaded by a job
+   */
+  async registerArtifact(job, { storagePath, size, mimeType, checksum }) {
+    const artifacts = job.configuration.artifacts;
+
+    if (!artifacts) {
+      throw new Error('Job does not declare artifacts');
+    }
+
+    return this.runnerService.storeArtifact(job.pipelineRunId, {
+      pipelineJobId: job.id,
+      name: artifacts.name,
+      artifactType: artifacts.type,
+      storagePath,
+      size,
+      mimeType,
+      checksum,
+      expiresAt: artifacts.expireIn ? new Date(Date.now() + artifacts.expireIn * 1000) : null
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Logs & Variables
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Get a job's output in order
+   */
+  async getJobLog(jobId) {
+    return this.GitBuildLog.findAll({
+      where: { pipelineJobId: jobId },
+      order: [['timestamp', 'ASC'], ['byteOffset', 'ASC']]
+    });
+  }
+
+  /**
+   * Add a message from the server to a job's log
+   */
+  async logSystemMessage(job, message, level = 'info') {
+    try {
+      await this.GitBuildLog.create({
+        pipelineRunId: job.pipelineRunId,
+        pipelineJobId: job.id,
+        stageName: job.stage,
+        stepName: job.name,
+        logLevel: level,
+        message,
+        timestamp: new Date()
+      });
+    } catch (error) {
+      logger.error('Failed to log pipeline job message:', error);
+    }
+  }
+
+  /**
+   * CI_* variables describing a run
+   */
+  predefinedVariables(run, repository) {
+    const variables = {
+      CI: 'true',
+      EXPRSN_CI: 'true',
+      CI_PIPELINE_ID: run.id,
+      CI_PIPELINE_IID: String(run.runNumber),
+      CI_PIPELINE_SOURCE: PIPELINE_SOURCES[run.trigger] || run.trigger,
+      CI_COMMIT_SHA: run.commitSha,
+      CI_COMMIT_SHORT_SHA: run.commitSha.substring(0, 8),
+      CI_COMMIT_BRANCH: run.branch,
+      CI_COMMIT_REF_NAME: run.branch,
+      CI_COMMIT_REF_SLUG: run.branch.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 63),
+      CI_DEFAULT_BRANCH: repository.defaultBranch,
+      CI_PROJECT_ID: repository.id,
+      CI_PROJECT_NAME: repository.name,
+      CI_PROJECT_PATH: repository.slug
+    };
+
+    if (run.prId) {
+      variables.CI_MERGE_REQUEST_ID = run.prId;
+    }
+
+    return variables;
+  }
+
+  cacheScopeValue(run, entry) {
+    if (entry.scope === 'branch') return run.branch;
+    if (entry.scope === 'commit') return run.commitSha;
+    return null;
+  }
+
+  leaseExpiry() {
+    return new Date(Date.now() + this.options.leaseSeconds * 1000);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Audit Logging
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Create audit log entry
+   */
+  async createAuditLog(logData) {
+    const {
+      userId,
+      action,
+      entityType,
+      entityId,
+      repositoryId = null,
+      metadata = {}
+    } = logData;
+
+    return this.GitAuditLog.create({
+      userId,
+      action,
+      entityType,
+      entityId,
+      repositoryId,
+      metadata,
+      timestamp: new Date()
+    });
+  }
+}
+
+module.exports = GitPipelineJobService;
+module.exports.JOB_TOKEN_PREFIX = JOB_TOKEN_PREFIX;
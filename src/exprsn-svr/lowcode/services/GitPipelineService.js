@@ -1,23 +1,36 @@
 /**
  * ═══════════════════════════════════════════════════════════
  * Git Pipeline Service
- * CI/CD pipeline execution with Docker/K8s/Cloud support
+ * CI/CD pipelines defined in .exprsn-ci.yml and run on registered runners
  * ═══════════════════════════════════════════════════════════
  */
 
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../../utils/logger');
-const GitPipeline = require('../models/GitPipeline');
-const GitPipelineRun = require('../models/GitPipelineRun');
-const GitDeploymentTarget = require('../models/GitDeploymentTarget');
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
+const models = require('../models');
 const axios = require('axios');
 const path = require('path');
-const fs = require('fs').promises;
+const simpleGit = require('simple-git');
+const config = require('../config');
+const GitPipelineJobService = require('./GitPipelineJobService');
+const PipelineConfigParser = require('./parsers/PipelineConfigParser');
+
+const { GitPipeline, GitPipelineRun, GitRepository, GitBuildLog } = models;
+const { CONFIG_FILE, PIPELINE_SOURCES } = PipelineConfigParser;
 
 class GitPipelineService {
+  constructor() {
+    this.parser = new PipelineConfigParser();
+    this.jobService = new GitPipelineJobService(models, {
+      triggerWorkflow: (run, job) => this.executeWorkflowStep(run, {
+        name: job.name,
+        workflowId: job.configuration.trigger.workflow,
+        data: job.configuration.trigger.data
+      }),
+      onRunFinished: (run, status) => this.notifyPipelineStatus(run, status)
+    });
+  }
+
   /**
    * Create a new pipeline
    */
@@ -183,8 +196,27 @@ class GitPipelineService {
     return false;
   }
 
+  /**
+   * Trigger every active pipeline of a repository, e.g. after a push
+   */
+  async triggerRepositoryPipelines(repositoryId, { trigger, branch, commitSha, prId, startedBy }) {
+    const pipelines = await GitPipeline.findAll({ where: { repositoryId, active: true } });
+    const runs = [];
+
+    for (const pipeline of pipelines) {
+      const run = await this.triggerPipeline(pipeline.id, { trigger, branch, commitSha, prId, startedBy });
+      if (run) runs.push(run);
+    }
+
+    return runs;
+  }
+
   /**
    * Execute pipeline
+   *
+   * Plans the run's jobs from .exprsn-ci.yml at the run's commit (or from the
+   * pipeline's configured stages when the file is absent) and queues them
+   * for runners.
    */
   async executePipeline(runId, pipeline) {
     const run = await GitPipelineRun.findByPk(runId);
@@ -193,71 +225,33 @@ class GitPipelineService {
     const startTime = Date.now();
 
     try {
-      // Update status to running
       await run.update({
         status: 'running',
         startedAt: new Date()
       });
 
-      const stagesStatus = {};
-
-      // Execute each stage
-      for (const stage of pipeline.stages) {
-        logger.info(`Executing stage: ${stage.name}`, { runId, stage: stage.name });
-
-        stagesStatus[stage.name] = { status: 'running', startedAt: new Date() };
-        await run.update({ stagesStatus });
-
-        try {
-          await this.executeStage(run, pipeline, stage);
-
-          stagesStatus[stage.name] = {
-            status: 'success',
-            startedAt: stagesStatus[stage.name].startedAt,
-            finishedAt: new Date()
-          };
-        } catch (error) {
-          logger.error(`Stage failed: ${stage.name}`, error);
-
-          stagesStatus[stage.name] = {
-            status: 'failure',
-            startedAt: stagesStatus[stage.name].startedAt,
-            finishedAt: new Date(),
-            error: error.message
-          };
-
-          // Fail entire pipeline
-          await run.update({
-            status: 'failure',
-            stagesStatus,
-            finishedAt: new Date(),
-            durationSeconds: Math.floor((Date.now() - startTime) / 1000)
-          });
-
-          // Notify failure
-          await this.notifyPipelineStatus(run, 'failure');
-
-          return;
-        }
+      const repository = await GitRepository.findByPk(run.repositoryId);
+      const plan = await this.planPipeline(run, pipeline, repository);
 
-        await run.update({ stagesStatus });
-      }
+      if (plan.skipped) {
+        await run.update({
+          status: 'skipped',
+          finishedAt: new Date(),
+          durationSeconds: 0
+        });
 
-      // All stages succeeded
-      await run.update({
-        status: 'success',
-        stagesStatus,
-        finishedAt: new Date(),
-        durationSeconds: Math.floor((Date.now() - startTime) / 1000)
-      });
+        logger.info('Pipeline skipped by workflow rules', { runId });
+        return;
+      }
 
-      // Notify success
-      await this.notifyPipelineStatus(run, 'success');
+      await this.jobService.createJobs(run, plan.jobs);
 
-      logger.info('Pipeline completed successfully', { runId });
+      logger.info('Pipeline jobs queued', { runId, jobs: plan.jobs.length });
     } catch (error) {
       logger.error('Pipeline execution error:', error);
 
+      await this.logBuildOutput(run.id, 'pipeline', error.message, 'error');
+
       await run.update({
         status: 'failure',
         finishedAt: new Date(),
@@ -269,113 +263,70 @@ class GitPipelineService {
   }
 
   /**
-   * Execute a single stage
+   * Parse the jobs of a run
+   * @returns {Promise<{ stages: string[], jobs: Object[], skipped: boolean }>}
    */
-  async executeStage(run, pipeline, stage) {
-    const repoPath = path.join(__dirname, '../../../git-repositories', run.branch);
-
-    // Execute each step in the stage
-    for (const step of stage.steps) {
-      logger.debug(`Executing step: ${step.name}`, { runId: run.id, step: step.name });
-
-      switch (step.type) {
-        case 'shell':
-          await this.executeShellStep(run, repoPath, step, pipeline.environmentVariables);
-          break;
-
-        case 'docker_build':
-          await this.executeDockerBuild(run, repoPath, step);
-          break;
-
-        case 'docker_push':
-          await this.executeDockerPush(run, step);
-          break;
-
-        case 'kubernetes_deploy':
-          await this.executeKubernetesDeploy(run, step);
-          break;
+  async planPipeline(run, pipeline, repository) {
+    const context = {
+      variables: {
+        ...this.jobService.predefinedVariables(run, repository),
+        ...pipeline.environmentVariables
+      },
+      ref: run.branch,
+      source: PIPELINE_SOURCES[run.trigger],
+      defaultTimeout: pipeline.timeoutMinutes * 60
+    };
 
-        case 'workflow':
-          await this.executeWorkflowStep(run, step);
-          break;
+    const source = await this.readPipelineConfig(repository, run.commitSha);
 
-        default:
-          logger.warn(`Unknown step type: ${step.type}`, { runId: run.id });
-      }
+    if (source === null) {
+      return this.parser.compile(this.parser.fromStages(pipeline.stages), context);
     }
-  }
 
-  /**
-   * Execute shell command step
-   */
-  async executeShellStep(run, workDir, step, envVars) {
-    const env = { ...process.env, ...envVars, ...step.env };
-
-    const { stdout, stderr } = await execPromise(step.command, {
-      cwd: workDir,
-      env,
-      timeout: step.timeout || 300000 // 5 minutes default
-    });
-
-    // Log output
-    await this.logBuildOutput(run.id, step.name, stdout);
-    if (stderr) {
-      await this.logBuildOutput(run.id, step.name, stderr, 'warning');
-    }
+    return this.parser.parse(source, context);
   }
 
   /**
-   * Execute Docker build step
+   * Read .exprsn-ci.yml from a commit
+   * @returns {Promise<string|null>} null when the commit has no pipeline file
    */
-  async executeDockerBuild(run, workDir, step) {
-    const tag = step.tag || `${run.repositoryId}:${run.commitSha.substring(0, 7)}`;
-    const dockerfile = step.dockerfile || 'Dockerfile';
-
-    const buildCommand = `docker build -t ${tag} -f ${dockerfile} ${step.buildArgs || ''} .`;
-
-    logger.info('Building Docker image', { runId: run.id, tag });
+  async readPipelineConfig(repository, commitSha) {
+    const git = simpleGit(path.join(config.git.repositoriesPath, repository.slug));
 
-    const { stdout, stderr } = await execPromise(buildCommand, {
-      cwd: workDir,
-      timeout: step.timeout || 600000 // 10 minutes default
-    });
-
-    await this.logBuildOutput(run.id, step.name, stdout);
-
-    return { tag, image: tag };
-  }
-
-  /**
-   * Execute Docker push step
-   */
-  async executeDockerPush(run, step) {
-    const pushCommand = `docker push ${step.image}`;
-
-    logger.info('Pushing Docker image', { runId: run.id, image: step.image });
-
-    const { stdout, stderr } = await execPromise(pushCommand, {
-      timeout: step.timeout || 300000
-    });
+    const entry = await git.raw(['ls-tree', commitSha, '--', CONFIG_FILE]);
+    if (!entry.trim()) {
+      return null;
+    }
 
-    await this.logBuildOutput(run.id, step.name, stdout);
+    return git.show([`${commitSha}:${CONFIG_FILE}`]);
   }
 
   /**
-   * Execute Kubernetes deployment
+   * Check a pipeline file without running it
    */
-  async executeKubernetesDeploy(run, step) {
-    const manifestPath = step.manifestPath || 'k8s/deployment.yaml';
-    const namespace = step.namespace || 'default';
-
-    const deployCommand = `kubectl apply -f ${manifestPath} -n ${namespace}`;
+  async lintPipelineConfig(repositoryId, { content, branch, trigger = 'push' }) {
+    const repository = await GitRepository.findByPk(repositoryId);
+    if (!repository) {
+      throw new Error('Repository not found');
+    }
 
-    logger.info('Deploying to Kubernetes', { runId: run.id, namespace });
+    const ref = branch || repository.defaultBranch;
+    const run = { id: 'lint', runNumber: 0, trigger, branch: ref, commitSha: '0'.repeat(40) };
 
-    const { stdout, stderr } = await execPromise(deployCommand, {
-      timeout: step.timeout || 180000
-    });
+    try {
+      const plan = this.parser.parse(content, {
+        variables: this.jobService.predefinedVariables(run, repository),
+        ref,
+        source: PIPELINE_SOURCES[trigger]
+      });
 
-    await this.logBuildOutput(run.id, step.name, stdout);
+      return { valid: true, ...plan };
+    } catch (error) {
+      if (error instanceof PipelineConfigParser.PipelineConfigError) {
+        return { valid: false, errors: [error.message] };
+      }
+      throw error;
+    }
   }
 
   /**
@@ -408,8 +359,6 @@ class GitPipelineService {
    * Log build output
    */
   async logBuildOutput(runId, stageName, message, level = 'info') {
-    const GitBuildLog = require('../models/GitBuildLog');
-
     try {
       await GitBuildLog.create({
         id: uuidv4(),
@@ -472,6 +421,8 @@ class GitPipelineService {
       throw new Error('Pipeline is not running');
     }
 
+    await this.jobService.cancelJobs(runId);
+
     await run.update({
       status: 'cancelled',
       finishedAt: new Date()
@@ -486,16 +437,35 @@ class GitPipelineService {
    * Get pipeline run logs
    */
   async getPipelineLogs(runId) {
-    const GitBuildLog = require('../models/GitBuildLog');
-
     const logs = await GitBuildLog.findAll({
       where: { pipelineRunId: runId },
-      order: [['timestamp', 'ASC']]
+      order: [['timestamp', 'ASC'], ['byteOffset', 'ASC']]
     });
 
     return logs;
   }
 
+  /**
+   * Get the jobs of a pipeline run
+   */
+  async getPipelineJobs(runId) {
+    return this.jobService.getJobs(runId);
+  }
+
+  /**
+   * Get the output of one job
+   */
+  async getJobLogs(jobId) {
+    return this.jobService.getJobLog(jobId);
+  }
+
+  /**
+   * Start a manual job
+   */
+  async playJob(jobId, userId) {
+    return this.jobService.playJob(jobId, userId);
+  }
+
   /**
    * Get pipeline statistics
    */
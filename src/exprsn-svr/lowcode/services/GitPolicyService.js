@@ -261,6 +261,13 @@ class GitPolicyService {
   async getOwnersForPath(repositoryId, filePath) {
     const codeOwners = await this.getCodeOwners(repositoryId);
 
+    return this.matchCodeOwner(codeOwners, filePath);
+  }
+
+  /**
+   * Pick the highest priority rule matching a file path
+   */
+  matchCodeOwner(codeOwners, filePath) {
     const matchingOwners = codeOwners
       .filter(co => {
         const pattern = co.pathPattern.replace(/\*/g, '.*');
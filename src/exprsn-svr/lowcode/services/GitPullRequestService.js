@@ -6,15 +6,24 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const path = require('path');
 const logger = require('../../utils/logger');
-const GitPullRequest = require('../models/GitPullRequest');
-const GitRepository = require('../models/GitRepository');
-const GitBranch = require('../models/GitBranch');
-const GitService = require('./GitService');
+const models = require('../models');
+const config = require('../config');
+const GitMergeService = require('./GitMergeService');
+const GitReviewService = require('./GitReviewService');
 const axios = require('axios');
 const { Op } = require('sequelize');
 
+const { GitPullRequest, GitRepository, GitBranch, GitPipeline } = models;
+const { ZERO_SHA } = GitMergeService;
+
 class GitPullRequestService {
+  constructor() {
+    this.merger = new GitMergeService();
+    this.reviewService = new GitReviewService(models);
+  }
+
   /**
    * Create a new pull request
    */
@@ -67,6 +76,9 @@ class GitPullRequestService {
       // Trigger CI pipeline
       await this.triggerCIPipeline(pr);
 
+      // Start built-in security scans (the merge check waits for their results)
+      this.triggerSecurityScans(pr);
+
       // Send notifications
       await this.sendPRNotifications(pr, 'created');
 
@@ -146,27 +158,26 @@ class GitPullRequestService {
 
   /**
    * Check if PR is mergeable
+   * The branches are merged in memory; the repository is left untouched.
    */
   async checkMergeable(repositoryId, sourceBranch, targetBranch) {
     try {
       const repository = await GitRepository.findByPk(repositoryId);
-      const mergeResult = await GitService.mergeBranches(repositoryId, {
-        sourceBranch,
-        targetBranch,
-        message: 'Test merge',
-        dryRun: true
-      });
+      const repoPath = this.repositoryPath(repository);
+      const [sourceSha, targetSha] = await Promise.all([
+        this.merger.resolveCommit(repoPath, `refs/heads/${sourceBranch}`),
+        this.merger.resolveCommit(repoPath, `refs/heads/${targetBranch}`)
+      ]);
 
-      if (mergeResult.conflicts && mergeResult.conflicts.length > 0) {
-        return {
-          mergeable: false,
-          conflicts: mergeResult.conflicts
-        };
+      if (!sourceSha || !targetSha) {
+        return { mergeable: false, conflicts: [] };
       }
 
+      const result = await this.merger.mergeTree(repoPath, targetSha, sourceSha);
+
       return {
-        mergeable: true,
-        conflicts: []
+        mergeable: result.clean,
+        conflicts: result.conflicts.map(conflict => conflict.path)
       };
     } catch (error) {
       logger.error('Failed to check mergeable:', error);
@@ -179,8 +190,10 @@ class GitPullRequestService {
 
   /**
    * Merge pull request
+   * The merge method defaults to the target branch policy's. Squash merges
+   * write a single commit on top of the target branch.
    */
-  async mergePullRequest(repositoryId, prNumber, { mergedBy, mergeMethod = 'merge' }) {
+  async mergePullRequest(repositoryId, prNumber, { mergedBy, mergeMethod, user }) {
     const pr = await this.getPullRequest(repositoryId, prNumber);
     if (!pr) {
       throw new Error('Pull request not found');
@@ -190,37 +203,63 @@ class GitPullRequestService {
       throw new Error('Pull request is not open');
     }
 
-    if (!pr.mergeable) {
-      throw new Error('Pull request has conflicts and cannot be merged');
-    }
-
     if (pr.reviewStatus === 'changes_requested') {
       throw new Error('Pull request requires changes before merging');
     }
 
-    // Perform the merge
-    const mergeResult = await GitService.mergeBranches(repositoryId, {
-      sourceBranch: pr.sourceBranch,
-      targetBranch: pr.targetBranch,
-      message: `Merge pull request #${pr.number}: ${pr.title}`,
-      mergedBy
-    });
+    const compliance = await this.checkMergePolicy(pr);
+    const method = mergeMethod || compliance.policy?.mergeMethod || 'merge';
+    const violations = [...(compliance.violations || [])];
+
+    if (!['merge', 'squash'].includes(method)) {
+      throw new Error(`Unsupported merge method: ${method}. Use merge or squash`);
+    }
+
+    if (method === 'merge' && compliance.policy?.requireLinearHistory) {
+      violations.push('Merge commits are not allowed on this branch; use squash');
+    }
 
-    if (!mergeResult.success) {
-      throw new Error('Failed to merge pull request');
+    if (violations.length > 0) {
+      throw new Error(`Merge blocked by branch policy: ${violations.join('; ')}`);
     }
 
+    const repository = await GitRepository.findByPk(repositoryId);
+    const repoPath = this.repositoryPath(repository);
+    const { headSha, targetSha } = await this.resolveBranches(repoPath, pr);
+
+    const result = await this.merger.mergeTree(repoPath, targetSha, headSha);
+    if (!result.clean) {
+      await pr.update({ mergeable: false, conflicts: result.conflicts.map(conflict => conflict.path) });
+      throw new Error('Pull request has conflicts and cannot be merged');
+    }
+
+    const message = method === 'squash'
+      ? `${pr.title} (#${pr.number})${pr.body ? `\n\n${pr.body}` : ''}`
+      : `Merge pull request #${pr.number}: ${pr.title}`;
+    const parents = method === 'squash' ? [targetSha] : [targetSha, headSha];
+
+    const commitSha = await this.merger.commitTree(repoPath, result.treeSha, parents, message, this.merger.identity(user));
+    await this.merger.updateBranch(repoPath, pr.targetBranch, commitSha, targetSha, `pull request #${pr.number}: ${method}`);
+
     // Update PR
     await pr.update({
       state: 'merged',
       mergedBy,
       mergedAt: new Date(),
-      mergeCommitSha: mergeResult.commitSha
+      mergeCommitSha: commitSha,
+      headSha,
+      baseSha: targetSha
     });
 
     // Update PR count
     await GitRepository.decrement('openPrsCount', { where: { id: repositoryId } });
 
+    await this.recordBranchUpdate(repository, {
+      ref: `refs/heads/${pr.targetBranch}`,
+      oldSha: targetSha,
+      newSha: commitSha
+    }, mergedBy);
+
     // Send notifications
     await this.sendPRNotifications(pr, 'merged');
 
@@ -229,6 +268,173 @@ class GitPullRequestService {
     return pr;
   }
 
+  /**
+   * Get the conflicts between the source and target branches
+   * Each conflict carries the merge base, target and source versions of the
+   * file plus git's merge with conflict markers; binary files only carry
+   * their blob ids. headSha and targetSha go back to resolveConflicts.
+   */
+  async getMergeConflicts(repositoryId, prNumber) {
+    const pr = await this.getPullRequest(repositoryId, prNumber);
+    if (!pr) {
+      throw new Error('Pull request not found');
+    }
+
+    const repository = await GitRepository.findByPk(repositoryId);
+    const repoPath = this.repositoryPath(repository);
+    const { headSha, targetSha } = await this.resolveBranches(repoPath, pr);
+    const result = await this.merger.mergeTree(repoPath, targetSha, headSha);
+
+    const conflicts = [];
+    for (const conflict of result.conflicts) {
+      conflicts.push({
+        path: conflict.path,
+        type: this.merger.conflictType(conflict),
+        ...await this.readConflictVersions(repoPath, result.treeSha, conflict)
+      });
+    }
+
+    await pr.update({ mergeable: result.clean, conflicts: conflicts.map(conflict => conflict.path) });
+
+    return {
+      headSha,
+      targetSha,
+      baseSha: await this.merger.mergeBase(repoPath, targetSha, headSha),
+      mergeable: result.clean,
+      conflicts
+    };
+  }
+
+  async readConflictVersions(repoPath, treeSha, { path: filePath, stages }) {
+    const entries = {
+      base: stages[1],
+      target: stages[2],
+      source: stages[3],
+      merged: await this.merger.readEntry(repoPath, treeSha, filePath)
+    };
+
+    const versions = {};
+    let binary = false;
+
+    for (const [name, entry] of Object.entries(entries)) {
+      if (!entry) {
+        versions[name] = null;
+        continue;
+      }
+
+      const content = await this.merger.readBlob(repoPath, entry.sha);
+      binary = binary || this.merger.isBinary(content);
+      versions[name] = { sha: entry.sha, mode: entry.mode, content };
+    }
+
+    Object.values(versions).filter(Boolean).forEach(version => {
+      version.content = binary ? null : version.content.toString('utf8');
+    });
+
+    return { binary, ...versions };
+  }
+
+  /**
+   * Resolve conflicts by merging the target branch into the source branch
+   * Every conflicted path needs a resolution: { path, content } with the
+   * resolved text, { path, use: 'base' | 'target' | 'source' } to keep one
+   * version, or { path, delete: true }. When given, headSha and targetSha
+   * must still match the branches, so nobody resolves against stale content.
+   */
+  async resolveConflicts(repositoryId, prNumber, { resolutions = [], message, headSha: expectedHead, targetSha: expectedTarget }, user) {
+    const pr = await this.getPullRequest(repositoryId, prNumber);
+    if (!pr) {
+      throw new Error('Pull request not found');
+    }
+
+    if (!['open', 'draft'].includes(pr.state)) {
+      throw new Error(`Pull request is ${pr.state}`);
+    }
+
+    const repository = await GitRepository.findByPk(repositoryId);
+    const repoPath = this.repositoryPath(repository);
+    const { headSha, targetSha } = await this.resolveBranches(repoPath, pr);
+
+    if ((expectedHead && expectedHead !== headSha) || (expectedTarget && expectedTarget !== targetSha)) {
+      throw new Error('Pull request branches changed since the conflicts were loaded; reload and try again');
+    }
+
+    const result = await this.merger.mergeTree(repoPath, targetSha, headSha);
+    if (result.clean) {
+      throw new Error('Pull request has no conflicts to resolve');
+    }
+
+    const conflicts = new Map(result.conflicts.map(conflict => [conflict.path, conflict]));
+    const byPath = new Map(resolutions.map(resolution => [resolution.path, resolution]));
+
+    const unknown = [...byPath.keys()].filter(filePath => !conflicts.has(filePath));
+    if (unknown.length > 0) {
+      throw new Error(`Not in conflict: ${unknown.join(', ')}`);
+    }
+
+    const missing = [...conflicts.keys()].filter(filePath => !byPath.has(filePath));
+    if (missing.length > 0) {
+      throw new Error(`Unresolved conflicts: ${missing.join(', ')}`);
+    }
+
+    const changes = [];
+    for (const [filePath, resolution] of byPath) {
+      changes.push(await this.resolutionChange(repoPath, conflicts.get(filePath), resolution));
+    }
+
+    const treeSha = await this.merger.writeTree(repoPath, result.treeSha, changes);
+    const commitSha = await this.merger.commitTree(
+      repoPath,
+      treeSha,
+      [headSha, targetSha],
+      message || `Merge branch '${pr.targetBranch}' into ${pr.sourceBranch}`,
+      this.merger.identity(user)
+    );
+
+    await this.merger.updateBranch(repoPath, pr.sourceBranch, commitSha, headSha, `pull request #${pr.number}: resolve conflicts`);
+
+    await this.recordBranchUpdate(repository, {
+      ref: `refs/heads/${pr.sourceBranch}`,
+      oldSha: headSha,
+      newSha: commitSha
+    }, user.id);
+
+    logger.info(`Conflicts resolved for pull request #${pr.number}`, { prId: pr.id, commitSha });
+
+    return { commitSha, pullRequest: await pr.reload() };
+  }
+
+  /**
+   * Turn one conflict resolution into a tree change
+   */
+  async resolutionChange(repoPath, { path: filePath, stages }, resolution) {
+    if (resolution.delete) {
+      return { path: filePath, remove: true };
+    }
+
+    if (resolution.use) {
+      const stage = { base: 1, target: 2, source: 3 }[resolution.use];
+      if (!stage) {
+        throw new Error(`Invalid resolution for ${filePath}: use must be base, target or source`);
+      }
+      return stages[stage] ? { path: filePath, ...stages[stage] } : { path: filePath, remove: true };
+    }
+
+    if (typeof resolution.content !== 'string') {
+      throw new Error(`Resolution for ${filePath} needs content, use or delete`);
+    }
+
+    if (this.merger.hasConflictMarkers(resolution.content)) {
+      throw new Error(`${filePath} still contains conflict markers`);
+    }
+
+    return {
+      path: filePath,
+      mode: (stages[3] || stages[2] || stages[1]).mode,
+      sha: await this.merger.writeBlob(repoPath, resolution.content)
+    };
+  }
+
   /**
    * Close pull request without merging
    */
@@ -278,13 +484,82 @@ class GitPullRequestService {
     return pr;
   }
 
+  /**
+   * Bring open pull requests up to date with updated branches
+   * Source branch updates move the head and its review threads; both
+   * source and target updates change mergeability.
+   */
+  async syncPullRequests(repository, updates) {
+    for (const update of updates) {
+      if (!update.ref.startsWith('refs/heads/') || update.newSha === ZERO_SHA) continue;
+
+      const branch = update.ref.slice('refs/heads/'.length);
+      const pullRequests = await GitPullRequest.findAll({
+        where: {
+          repositoryId: repository.id,
+          state: { [Op.in]: ['open', 'draft'] },
+          [Op.or]: [{ sourceBranch: branch }, { targetBranch: branch }]
+        }
+      });
+
+      for (const pr of pullRequests) {
+        try {
+          if (pr.sourceBranch === branch) {
+            await this.reviewService.updateHead(pr, repository, update.newSha);
+            this.triggerSecurityScans(pr);
+          }
+
+          const mergeCheck = await this.checkMergeable(repository.id, pr.sourceBranch, pr.targetBranch);
+          await pr.update({
+            mergeable: mergeCheck.mergeable,
+            conflicts: mergeCheck.conflicts,
+            ...(pr.targetBranch === branch && { baseSha: update.newSha })
+          });
+        } catch (error) {
+          logger.error(`Failed to update pull request #${pr.number} for ${update.ref}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Record a branch update written by the server itself
+   * Does what an accepted push does: updates the GitBranch record, runs
+   * push pipelines and security scans and syncs open pull requests.
+   */
+  async recordBranchUpdate(repository, update, userId) {
+    const branch = update.ref.slice('refs/heads/'.length);
+
+    await GitBranch.update({ commitSha: update.newSha }, { where: { repositoryId: repository.id, name: branch } });
+
+    try {
+      const GitPipelineService = require('./GitPipelineService');
+
+      await GitPipelineService.triggerRepositoryPipelines(repository.id, {
+        trigger: 'push',
+        branch,
+        commitSha: update.newSha,
+        startedBy: userId
+      });
+    } catch (error) {
+      logger.error(`Failed to trigger pipelines for ${update.ref}:`, error);
+    }
+
+    try {
+      await this.getSecurityService().scanPush(repository, [update]);
+    } catch (error) {
+      logger.error(`Failed to run security scans for ${update.ref}:`, error);
+    }
+
+    await this.syncPullRequests(repository, [update]);
+  }
+
   /**
    * Trigger CI pipeline for PR
    */
   async triggerCIPipeline(pr) {
     try {
       // Find active pipelines for this repository
-      const GitPipeline = require('../models/GitPipeline');
       const pipelines = await GitPipeline.findAll({
         where: {
           repositoryId: pr.repositoryId,
@@ -320,6 +595,95 @@ class GitPullRequestService {
     }
   }
 
+  /**
+   * Start security scans for PR in the background
+   * Scans are not awaited: a missing result counts as pending, so the
+   * required status checks block the merge until the scan finishes.
+   */
+  triggerSecurityScans(pr) {
+    Promise.resolve()
+      .then(() => this.getSecurityService().scanPullRequest(pr))
+      .catch(error => logger.error('Failed to run security scans for PR:', error));
+  }
+
+  /**
+   * Check the target branch policy for a merge
+   * Security scans of the source branch head count as passed status checks.
+   */
+  async checkMergePolicy(pr) {
+    const source = await GitBranch.findOne({ where: { repositoryId: pr.repositoryId, name: pr.sourceBranch } });
+    const headSha = source ? source.commitSha : pr.headSha;
+
+    const [statusChecks, codeOwnerApproved] = await Promise.all([
+      this.getSecurityService().getStatusChecks(pr.repositoryId, headSha),
+      this.isCodeOwnerApproved(pr, headSha)
+    ]);
+
+    return this.getPolicyService().checkPolicyCompliance(pr.repositoryId, pr.targetBranch, 'merge', {
+      pullRequest: pr,
+      passedStatusChecks: statusChecks.filter(check => check.state === 'success').map(check => check.context),
+      codeOwnerApproved
+    });
+  }
+
+  /**
+   * Whether every changed file with code owners has an approval from one of them
+   */
+  async isCodeOwnerApproved(pr, headSha) {
+    const policyService = this.getPolicyService();
+    const codeOwners = await policyService.getCodeOwners(pr.repositoryId);
+
+    if (codeOwners.length === 0) return true;
+
+    const repository = await GitRepository.findByPk(pr.repositoryId);
+    const repoPath = this.repositoryPath(repository);
+    const base = await this.merger.mergeBase(repoPath, `refs/heads/${pr.targetBranch}`, headSha);
+    const [files, approvers] = await Promise.all([
+      base ? this.merger.changedFiles(repoPath, base, headSha) : [],
+      this.reviewService.getApprovers(pr)
+    ]);
+
+    return files.every(file => {
+      const rule = policyService.matchCodeOwner(codeOwners, file);
+      return !rule || rule.owners.length === 0 || rule.owners.some(owner => approvers.includes(owner));
+    });
+  }
+
+  repositoryPath(repository) {
+    return path.join(config.git.repositoriesPath, repository.slug);
+  }
+
+  /**
+   * Current source and target branch heads of a pull request
+   */
+  async resolveBranches(repoPath, pr) {
+    const [headSha, targetSha] = await Promise.all([
+      this.merger.resolveCommit(repoPath, `refs/heads/${pr.sourceBranch}`),
+      this.merger.resolveCommit(repoPath, `refs/heads/${pr.targetBranch}`)
+    ]);
+
+    if (!headSha) throw new Error('Source branch not found');
+    if (!targetSha) throw new Error('Target branch not found');
+
+    return { headSha, targetSha };
+  }
+
+  getPolicyService() {
+    if (!this.policyService) {
+      const GitPolicyService = require('./GitPolicyService');
+      this.policyService = new GitPolicyService(require('../models'));
+    }
+    return this.policyService;
+  }
+
+  getSecurityService() {
+    if (!this.securityService) {
+      const GitSecurityService = require('./GitSecurityService');
+      this.securityService = new GitSecurityService(require('../models'));
+    }
+    return this.securityService;
+  }
+
   /**
    * Update CI status for PR
    */
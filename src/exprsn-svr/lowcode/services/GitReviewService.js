@@ -0,0 +1,638 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Git Review Service
+ * Pull request reviews, line comment threads and suggested changes
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Line comments start a thread anchored to a file, line range and commit.
+ * Whenever the pull request head moves (pushes, rebases, applied
+ * suggestions, conflict resolutions) threads are carried over to the new
+ * head by diffing the old anchor against it; threads whose lines were
+ * rewritten are kept but marked outdated.
+ */
+
+const path = require('path');
+const { Op } = require('sequelize');
+const logger = require('../../utils/logger');
+const config = require('../config');
+const GitMergeService = require('./GitMergeService');
+
+// Review actions accepted from clients, mapped to stored review states
+const REVIEW_STATES = {
+  approve: 'approved',
+  request_changes: 'changes_requested',
+  comment: 'commented'
+};
+
+// Reviews that count towards (or block) a merge
+const VERDICTS = ['approved', 'changes_requested'];
+
+const SUGGESTION_BLOCK = /^```suggestion[^\S\r\n]*\r?\n([\s\S]*?)^```[^\S\r\n]*$/m;
+
+class GitReviewService {
+  constructor(models) {
+    this.GitPullRequest = models.GitPullRequest;
+    this.GitPullRequestReview = models.GitPullRequestReview;
+    this.GitPullRequestComment = models.GitPullRequestComment;
+    this.GitRepository = models.GitRepository;
+    this.GitAuditLog = models.GitAuditLog;
+
+    this.merger = new GitMergeService();
+  }
+
+  repositoryPath(repository) {
+    return path.join(config.git.repositoriesPath, repository.slug);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Reviews
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Submit a review, optionally with line comments
+   * @param {Object} reviewData - { state: approve|request_changes|comment, body, comments: [{ path, line, startLine, side, commitSha, body }] }
+   */
+  async submitReview(repositoryId, prNumber, reviewData, user) {
+    const { body = null, comments = [] } = reviewData;
+    const state = REVIEW_STATES[reviewData.state] || reviewData.state;
+
+    if (!Object.values(REVIEW_STATES).includes(state)) {
+      throw new Error(`Invalid review state. Must be one of: ${Object.keys(REVIEW_STATES).join(', ')}`);
+    }
+
+    const { pr, repository } = await this.getPullRequest(repositoryId, prNumber);
+    this.assertOpen(pr);
+
+    if (state !== 'commented' && pr.createdBy === user.id) {
+      throw new Error('Pull request authors cannot approve or request changes on their own pull request');
+    }
+
+    if (state !== 'approved' && !body && comments.length === 0) {
+      throw new Error('A review that is not an approval needs a body or line comments');
+    }
+
+    const review = await this.GitPullRequestReview.create({
+      prId: pr.id,
+      reviewerId: user.id,
+      state,
+      body,
+      commitSha: pr.headSha,
+      submittedAt: new Date()
+    });
+
+    const created = [];
+    for (const comment of comments) {
+      created.push(await this.createComment(pr, repository, { ...comment, reviewId: review.id }, user.id));
+    }
+
+    await this.refreshReviewStatus(pr);
+
+    await this.createAuditLog({
+      userId: user.id,
+      action: 'pr_review_submitted',
+      entityType: 'pull_request',
+      entityId: pr.id,
+      repositoryId,
+      metadata: { prNumber: pr.number, reviewId: review.id, state, comments: created.length }
+    });
+
+    logger.info(`Review submitted on pull request #${pr.number}`, { prId: pr.id, state });
+
+    return { review, comments: created };
+  }
+
+  /**
+   * List the reviews of a pull request, oldest first
+   */
+  async listReviews(repositoryId, prNumber) {
+    const { pr } = await this.getPullRequest(repositoryId, prNumber);
+
+    return this.GitPullRequestReview.findAll({
+      where: { prId: pr.id },
+      order: [['submittedAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Dismiss an approval or change request so it no longer counts
+   */
+  async dismissReview(repositoryId, prNumber, reviewId, reason, userId) {
+    if (!reason) {
+      throw new Error('A reason is required to dismiss a review');
+    }
+
+    const { pr } = await this.getPullRequest(repositoryId, prNumber);
+    const review = await this.GitPullRequestReview.findOne({ where: { id: reviewId, prId: pr.id } });
+
+    if (!review) {
+      throw new Error('Review not found');
+    }
+
+    if (!VERDICTS.includes(review.state) || review.dismissedAt) {
+      throw new Error('Only active approvals and change requests can be dismissed');
+    }
+
+    await review.update({ dismissedBy: userId, dismissedAt: new Date(), dismissReason: reason });
+    await this.refreshReviewStatus(pr);
+
+    await this.createAuditLog({
+      userId,
+      action: 'pr_review_dismissed',
+      entityType: 'pull_request',
+      entityId: pr.id,
+      repositoryId,
+      metadata: { prNumber: pr.number, reviewId, reviewerId: review.reviewerId, reason }
+    });
+
+    return review;
+  }
+
+  /**
+   * Recount approvals and change requests from each reviewer's latest verdict
+   * Comment-only reviews never override an earlier verdict, and a dismissed
+   * verdict leaves the reviewer with none.
+   */
+  async refreshReviewStatus(pr) {
+    const reviews = await this.GitPullRequestReview.findAll({
+      where: { prId: pr.id, state: { [Op.ne]: 'pending' } },
+      order: [['submittedAt', 'ASC']]
+    });
+
+    const verdicts = this.latestVerdicts(reviews);
+    const states = Array.from(verdicts.values());
+    const approvalsCount = states.filter(state => state === 'approved').length;
+    const changesRequestedCount = states.filter(state => state === 'changes_requested').length;
+
+    let reviewStatus = 'pending';
+    if (changesRequestedCount > 0) {
+      reviewStatus = 'changes_requested';
+    } else if (approvalsCount > 0) {
+      reviewStatus = 'approved';
+    } else if (reviews.length > 0) {
+      reviewStatus = 'commented';
+    }
+
+    await pr.update({ approvalsCount, changesRequestedCount, reviewStatus });
+
+    return verdicts;
+  }
+
+  /**
+   * Reviewer id -> approved | changes_requested
+   */
+  latestVerdicts(reviews) {
+    const latest = new Map();
+
+    reviews
+      .filter(review => VERDICTS.includes(review.state))
+      .forEach(review => latest.set(review.reviewerId, review));
+
+    const verdicts = new Map();
+    latest.forEach((review, reviewerId) => {
+      if (!review.dismissedAt) verdicts.set(reviewerId, review.state);
+    });
+
+    return verdicts;
+  }
+
+  /**
+   * Users whose latest verdict on the pull request is an approval
+   */
+  async getApprovers(pr) {
+    const reviews = await this.GitPullRequestReview.findAll({
+      where: { prId: pr.id, state: { [Op.in]: VERDICTS } },
+      order: [['submittedAt', 'ASC']]
+    });
+
+    return Array.from(this.latestVerdicts(reviews))
+      .filter(([, state]) => state === 'approved')
+      .map(([reviewerId]) => reviewerId);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Comment Threads
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * List comment threads with their replies
+   */
+  async listThreads(repositoryId, prNumber, { includeResolved = true, includeOutdated = true } = {}) {
+    const { pr } = await this.getPullRequest(repositoryId, prNumber);
+
+    const comments = await this.GitPullRequestComment.findAll({
+      where: { prId: pr.id },
+      order: [['createdAt', 'ASC']]
+    });
+
+    const threads = new Map();
+    comments
+      .filter(comment => !comment.inReplyToId)
+      .forEach(comment => threads.set(comment.id, {
+        ...comment.toJSON(),
+        suggestion: this.parseSuggestion(comment.body),
+        replies: []
+      }));
+
+    comments
+      .filter(comment => comment.inReplyToId && threads.has(comment.inReplyToId))
+      .forEach(comment => threads.get(comment.inReplyToId).replies.push(comment.toJSON()));
+
+    return Array.from(threads.values()).filter(thread =>
+      (includeResolved || !thread.isResolved) && (includeOutdated || !thread.outdated));
+  }
+
+  /**
+   * Comment on a pull request, a line range or an existing thread
+   */
+  async addComment(repositoryId, prNumber, commentData, userId) {
+    const { pr, repository } = await this.getPullRequest(repositoryId, prNumber);
+
+    const comment = await this.createComment(pr, repository, commentData, userId);
+
+    logger.info(`Comment added to pull request #${pr.number}`, { prId: pr.id, commentId: comment.id });
+
+    return comment;
+  }
+
+  /**
+   * Create a comment
+   * Line comments are anchored at commitSha (the pull request head by
+   * default, the merge base for side 'old') and moved to the current head
+   * right away when an older commit was commented on.
+   */
+  async createComment(pr, repository, commentData, userId) {
+    const { body, path: filePath, line, startLine = null, side = 'new', commitSha, inReplyTo, reviewId = null } = commentData;
+
+    if (!body || !body.trim()) {
+      throw new Error('Comment body is required');
+    }
+
+    if (inReplyTo) {
+      const parent = await this.GitPullRequestComment.findOne({ where: { id: inReplyTo, prId: pr.id } });
+      if (!parent) {
+        throw new Error('Comment not found');
+      }
+
+      return this.GitPullRequestComment.create({
+        prId: pr.id,
+        reviewId,
+        inReplyToId: parent.inReplyToId || parent.id,
+        body,
+        authorId: userId
+      });
+    }
+
+    if (!filePath) {
+      return this.GitPullRequestComment.create({ prId: pr.id, reviewId, body, authorId: userId });
+    }
+
+    if (!['old', 'new'].includes(side)) {
+      throw new Error("Comment side must be 'old' or 'new'");
+    }
+
+    if (!Number.isInteger(line) || line < 1 || (startLine !== null && (!Number.isInteger(startLine) || startLine < 1 || startLine > line))) {
+      throw new Error('Line comments need a line number and an optional start line before it');
+    }
+
+    const repoPath = this.repositoryPath(repository);
+    const anchorSha = commitSha
+      ? await this.merger.resolveCommit(repoPath, commitSha)
+      : side === 'new' ? pr.headSha : await this.mergeBase(pr, repository);
+
+    if (!anchorSha) {
+      throw new Error(`Commit ${commitSha} not found`);
+    }
+
+    const content = await this.merger.readFile(repoPath, anchorSha, filePath);
+    if (content === null) {
+      throw new Error(`File ${filePath} not found at ${anchorSha.slice(0, 7)}`);
+    }
+
+    if (line > this.splitLines(content).lines.length) {
+      throw new Error(`Line ${line} is outside of ${filePath}`);
+    }
+
+    const comment = await this.GitPullRequestComment.create({
+      prId: pr.id,
+      reviewId,
+      body,
+      authorId: userId,
+      filePath,
+      side,
+      startLine: startLine === line ? null : startLine,
+      lineNumber: line,
+      commitSha: anchorSha,
+      originalFilePath: filePath,
+      originalStartLine: startLine === line ? null : startLine,
+      originalLine: line,
+      originalCommitSha: anchorSha
+    });
+
+    await this.reanchorThreads(pr, repository, [comment]);
+
+    return comment;
+  }
+
+  /**
+   * Resolve or reopen the thread a comment belongs to
+   */
+  async setThreadResolved(repositoryId, prNumber, commentId, resolved, userId) {
+    const { pr } = await this.getPullRequest(repositoryId, prNumber);
+    const thread = await this.findThread(pr, commentId);
+
+    await thread.update(resolved
+      ? { isResolved: true, resolvedBy: userId, resolvedAt: new Date() }
+      : { isResolved: false, resolvedBy: null, resolvedAt: null });
+
+    return thread;
+  }
+
+  async findThread(pr, commentId) {
+    const comment = await this.GitPullRequestComment.findOne({ where: { id: commentId, prId: pr.id } });
+    if (!comment) {
+      throw new Error('Comment not found');
+    }
+
+    if (!comment.inReplyToId) return comment;
+    return this.GitPullRequestComment.findByPk(comment.inReplyToId);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Anchoring
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Move line comment threads to the pull request's current head
+   * New-side threads follow the head, old-side threads the merge base.
+   */
+  async reanchorThreads(pr, repository, threads = null) {
+    const roots = threads || await this.GitPullRequestComment.findAll({
+      where: { prId: pr.id, inReplyToId: null, outdated: false, filePath: { [Op.ne]: null } }
+    });
+
+    const repoPath = this.repositoryPath(repository);
+    const diffs = new Map();
+    let base;
+
+    for (const thread of roots) {
+      if (!thread.filePath || thread.outdated) continue;
+
+      if (thread.side === 'old' && base === undefined) {
+        base = await this.mergeBase(pr, repository);
+      }
+
+      const target = thread.side === 'old' ? base : pr.headSha;
+      if (!target || thread.commitSha === target) continue;
+
+      const key = `${thread.commitSha}..${target}`;
+      if (!diffs.has(key)) {
+        diffs.set(key, await this.merger.diffHunks(repoPath, thread.commitSha, target).catch(error => {
+          logger.warn(`Cannot diff ${key} to move review threads:`, error.message);
+          return null;
+        }));
+      }
+
+      const anchor = diffs.get(key) && this.translateAnchor(diffs.get(key), thread);
+
+      await thread.update(anchor
+        ? { ...anchor, commitSha: target }
+        : { outdated: true });
+    }
+  }
+
+  /**
+   * Map a thread's file and line range through a diff, or null when the
+   * commented lines were changed or the file was deleted
+   */
+  translateAnchor(files, { filePath, startLine, lineNumber }) {
+    const file = files.get(filePath);
+
+    if (!file) {
+      return { filePath, startLine: startLine || null, lineNumber };
+    }
+
+    if (file.deleted) return null;
+
+    if (!startLine) {
+      const line = this.translateLine(file.hunks, lineNumber);
+      return line === null ? null : { filePath: file.path, startLine: null, lineNumber: line };
+    }
+
+    // Ranges only survive when no line inside them changed
+    const touched = file.hunks.some(hunk => hunk.oldCount > 0
+      ? hunk.oldStart <= lineNumber && hunk.oldStart + hunk.oldCount - 1 >= startLine
+      : hunk.oldStart >= startLine && hunk.oldStart < lineNumber);
+
+    if (touched) return null;
+
+    const start = this.translateLine(file.hunks, startLine);
+    return { filePath: file.path, startLine: start, lineNumber: start + (lineNumber - startLine) };
+  }
+
+  /**
+   * Map one line through zero-context hunks
+   * A changed line is followed to its new position when the same text
+   * appears exactly once among the hunk's added lines.
+   */
+  translateLine(hunks, line) {
+    let offset = 0;
+
+    for (const hunk of hunks) {
+      // Pure insertions come after line oldStart
+      if (hunk.oldCount === 0) {
+        if (hunk.oldStart < line) offset += hunk.newCount;
+        continue;
+      }
+
+      if (line < hunk.oldStart) break;
+
+      if (line >= hunk.oldStart + hunk.oldCount) {
+        offset += hunk.newCount - hunk.oldCount;
+        continue;
+      }
+
+      const text = hunk.removed[line - hunk.oldStart];
+      const index = hunk.added.indexOf(text);
+
+      if (index === -1 || hunk.added.lastIndexOf(text) !== index) return null;
+      return hunk.newStart + index;
+    }
+
+    return line + offset;
+  }
+
+  /**
+   * Record a new pull request head and carry its threads over
+   */
+  async updateHead(pr, repository, headSha) {
+    if (pr.headSha === headSha) return;
+
+    await pr.update({ headSha });
+    await this.reanchorThreads(pr, repository);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Suggested Changes
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Replacement lines of a ```suggestion block, or null without one
+   * An empty block suggests deleting the commented lines.
+   */
+  parseSuggestion(body) {
+    const match = body && body.match(SUGGESTION_BLOCK);
+    if (!match) return null;
+    if (match[1] === '') return [];
+
+    return match[1].replace(/\r?\n$/, '').split(/\r?\n/);
+  }
+
+  /**
+   * Commit a thread's suggested change to the source branch
+   */
+  async applySuggestion(repositoryId, prNumber, commentId, { message } = {}, user) {
+    const { pr, repository } = await this.getPullRequest(repositoryId, prNumber);
+    this.assertOpen(pr);
+
+    const thread = await this.findThread(pr, commentId);
+    const suggestion = this.parseSuggestion(thread.body);
+
+    if (!thread.filePath || thread.side !== 'new' || suggestion === null) {
+      throw new Error('Comment does not contain a suggested change');
+    }
+
+    if (thread.suggestionCommitSha) {
+      throw new Error('Suggestion has already been applied');
+    }
+
+    const repoPath = this.repositoryPath(repository);
+    const headSha = await this.merger.resolveCommit(repoPath, `refs/heads/${pr.sourceBranch}`);
+
+    if (!headSha) {
+      throw new Error('Source branch not found');
+    }
+
+    await this.updateHead(pr, repository, headSha);
+    await thread.reload();
+
+    if (thread.outdated) {
+      throw new Error('Suggestion is outdated: the commented lines have changed');
+    }
+
+    const entry = await this.merger.readEntry(repoPath, headSha, thread.filePath);
+    const content = (await this.merger.readBlob(repoPath, entry.sha)).toString('utf8');
+    const updated = this.replaceLines(content, thread.startLine || thread.lineNumber, thread.lineNumber, suggestion);
+
+    const blobSha = await this.merger.writeBlob(repoPath, updated);
+    const treeSha = await this.merger.writeTree(repoPath, `${headSha}^{tree}`, [
+      { path: thread.filePath, mode: entry.mode, sha: blobSha }
+    ]);
+    const commitSha = await this.merger.commitTree(
+      repoPath,
+      treeSha,
+      [headSha],
+      message || `Apply suggestion to ${thread.filePath}`,
+      this.merger.identity(user)
+    );
+
+    await this.merger.updateBranch(repoPath, pr.sourceBranch, commitSha, headSha, `pull request #${pr.number}: apply suggestion`);
+
+    await thread.update({ suggestionCommitSha: commitSha, isResolved: true, resolvedBy: user.id, resolvedAt: new Date() });
+
+    // Moves the head, threads, pipelines and scans along like a push would
+    const GitPullRequestService = require('./GitPullRequestService');
+    await GitPullRequestService.recordBranchUpdate(repository, {
+      ref: `refs/heads/${pr.sourceBranch}`,
+      oldSha: headSha,
+      newSha: commitSha
+    }, user.id);
+
+    await this.createAuditLog({
+      userId: user.id,
+      action: 'pr_suggestion_applied',
+      entityType: 'pull_request',
+      entityId: pr.id,
+      repositoryId,
+      metadata: { prNumber: pr.number, commentId: thread.id, commitSha }
+    });
+
+    return { commitSha, thread };
+  }
+
+  /**
+   * Replace lines startLine..endLine (1-based, inclusive), keeping the
+   * file's line endings and final newline
+   */
+  replaceLines(content, startLine, endLine, replacement) {
+    const { lines, eol, finalNewline } = this.splitLines(content);
+
+    lines.splice(startLine - 1, endLine - startLine + 1, ...replacement);
+
+    return lines.length === 0 ? '' : lines.join(eol) + (finalNewline ? eol : '');
+  }
+
+  splitLines(content) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const finalNewline = content.endsWith('\n');
+    const lines = content.split(eol);
+
+    if (finalNewline || content === '') lines.pop();
+
+    return { lines, eol, finalNewline };
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Helper Methods
+  // ═══════════════════════════════════════════════════════════
+
+  async getPullRequest(repositoryId, prNumber) {
+    const pr = await this.GitPullRequest.findOne({ where: { repositoryId, number: prNumber } });
+    if (!pr) {
+      throw new Error('Pull request not found');
+    }
+
+    const repository = await this.GitRepository.findByPk(repositoryId);
+    if (!repository) {
+      throw new Error('Repository not found');
+    }
+
+    return { pr, repository };
+  }
+
+  assertOpen(pr) {
+    if (!['open', 'draft'].includes(pr.state)) {
+      throw new Error(`Pull request is ${pr.state}`);
+    }
+  }
+
+  async mergeBase(pr, repository) {
+    return this.merger.mergeBase(this.repositoryPath(repository), `refs/heads/${pr.targetBranch}`, pr.headSha);
+  }
+
+  /**
+   * Create audit log entry
+   */
+  async createAuditLog(logData) {
+    const {
+      userId,
+      action,
+      entityType,
+      entityId,
+      repositoryId = null,
+      metadata = {}
+    } = logData;
+
+    return this.GitAuditLog.create({
+      userId,
+      action,
+      entityType,
+      entityId,
+      repositoryId,
+      metadata,
+      timestamp: new Date()
+    });
+  }
+}
+
+module.exports = GitReviewService;
+module.exports.REVIEW_STATES = REVIEW_STATES;
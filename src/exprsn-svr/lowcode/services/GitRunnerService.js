@@ -6,6 +6,9 @@
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
+
+const RUNNER_TOKEN_PREFIX = 'exprsn_runner_';
 
 class GitRunnerService {
   constructor(models) {
@@ -42,10 +45,13 @@ class GitRunnerService {
       throw new Error(`Invalid runner type. Must be one of: ${validTypes.join(', ')}`);
     }
 
+    const token = this.generateRunnerToken();
+
     const runner = await this.GitRunner.create({
       name,
       description,
       runnerType,
+      runnerTokenHash: this.hashToken(token),
       tags,
       configuration,
       maxConcurrentJobs,
@@ -67,9 +73,67 @@ class GitRunnerService {
       metadata: { name, runnerType, tags }
     });
 
+    // Return token only once (it won't be stored in plaintext)
+    const { runnerTokenHash, ...data } = runner.toJSON();
+    return { ...data, token };
+  }
+
+  /**
+   * Replace a runner's token, e.g. after it leaked
+   */
+  async resetRunnerToken(id, userId) {
+    const runner = await this.getRunner(id);
+    const token = this.generateRunnerToken();
+
+    await runner.update({ runnerTokenHash: this.hashToken(token) });
+
+    // Audit log
+    await this.createAuditLog({
+      userId,
+      action: 'runner_token_reset',
+      entityType: 'runner',
+      entityId: id,
+      metadata: { name: runner.name }
+    });
+
+    return { id: runner.id, token };
+  }
+
+  /**
+   * Authenticate a runner agent by its token
+   * @returns {Promise<Object|null>} The active runner
+   */
+  async authenticateRunner(token) {
+    if (!token || !token.startsWith(RUNNER_TOKEN_PREFIX)) {
+      return null;
+    }
+
+    const runner = await this.GitRunner.findOne({
+      where: { runnerTokenHash: this.hashToken(token), active: true }
+    });
+
+    if (runner) {
+      await runner.update({ lastContactedAt: new Date() });
+    }
+
     return runner;
   }
 
+  /**
+   * Generate runner token (cryptographically secure)
+   */
+  generateRunnerToken() {
+    return `${RUNNER_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  }
+
+  /**
+   * Runner and job tokens are high-entropy, so a SHA-256 digest can be
+   * looked up directly
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
   /**
    * Get all runners
    */
@@ -92,7 +156,8 @@ class GitRunnerService {
 
     return this.GitRunner.findAll({
       where,
-      order: [['createdAt', 'DESC']]
+      order: [['createdAt', 'DESC']],
+      attributes: { exclude: ['runnerTokenHash'] } // Never return hash
     });
   }
 
@@ -100,7 +165,9 @@ class GitRunnerService {
    * Get runner by ID
    */
   async getRunner(id) {
-    const runner = await this.GitRunner.findByPk(id);
+    const runner = await this.GitRunner.findByPk(id, {
+      attributes: { exclude: ['runnerTokenHash'] }
+    });
 
     if (!runner) {
       throw new Error('Runner not found');
@@ -115,7 +182,9 @@ class GitRunnerService {
   async updateRunner(id, updates, userId) {
     const runner = await this.getRunner(id);
 
-    await runner.update(updates);
+    // Tokens are only changed through resetRunnerToken()
+    const { runnerTokenHash, ...allowed } = updates;
+    await runner.update(allowed);
 
     // Audit log
     await this.createAuditLog({
@@ -398,6 +467,7 @@ class GitRunnerService {
    */
   async storeArtifact(pipelineRunId, artifactData) {
     const {
+      pipelineJobId = null,
       name,
       artifactType = 'archive',
       storagePath,
@@ -409,6 +479,7 @@ class GitRunnerService {
 
     const artifact = await this.GitPipelineArtifact.create({
       pipelineRunId,
+      pipelineJobId,
       name,
       artifactType,
       storagePath,
@@ -515,3 +586,4 @@ class GitRunnerService {
 }
 
 module.exports = GitRunnerService;
+module.exports.RUNNER_TOKEN_PREFIX = RUNNER_TOKEN_PREFIX;
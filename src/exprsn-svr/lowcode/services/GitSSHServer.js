@@ -0,0 +1,224 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Git SSH Server
+ * git clone/fetch/push over SSH, authenticated by registered SSH keys
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Accepts the commands git sends over SSH:
+ *   git-upload-pack '<slug>.git'
+ *   git-receive-pack '<slug>.git'
+ * Shell access is not provided.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { Server, utils } = require('ssh2');
+const logger = require('../../utils/logger');
+const config = require('../config');
+
+const COMMAND_PATTERN = /^(git-upload-pack|git-receive-pack) '?\/?([^']+?)'?$/;
+
+class GitSSHServer {
+  /**
+   * @param {GitTransportService} transport
+   * @param {Object} options - Defaults to config.git.ssh
+   */
+  constructor(transport, options = {}) {
+    this.transport = transport;
+    this.options = { ...config.git.ssh, ...options };
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   */
+  async start() {
+    const hostKey = await this.loadHostKey();
+
+    this.server = new Server({ hostKeys: [hostKey] }, client => this.handleClient(client));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, resolve);
+    });
+
+    logger.info(`Git SSH server listening on ${this.options.host}:${this.address().port}`);
+  }
+
+  /**
+   * Stop listening and release the hook socket
+   */
+  async stop() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+
+    await this.transport.stopHookServer();
+  }
+
+  address() {
+    return this.server.address();
+  }
+
+  /**
+   * Read the host key, generating one on first start
+   */
+  async loadHostKey() {
+    try {
+      return await fs.readFile(this.options.hostKeyPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const { privateKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 3072,
+      privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+      publicKeyEncoding: { type: 'pkcs1', format: 'pem' }
+    });
+
+    await fs.mkdir(path.dirname(this.options.hostKeyPath), { recursive: true });
+    await fs.writeFile(this.options.hostKeyPath, privateKey, { mode: 0o600 });
+
+    logger.info(`Generated git SSH host key at ${this.options.hostKeyPath}`);
+
+    return privateKey;
+  }
+
+  /**
+   * Authenticate a connection and serve its sessions
+   */
+  handleClient(client) {
+    let user = null;
+
+    client.on('authentication', ctx => {
+      if (ctx.method !== 'publickey') {
+        return ctx.reject(['publickey']);
+      }
+
+      this.verifyKey(ctx)
+        .then(result => {
+          if (!result) return ctx.reject(['publickey']);
+
+          user = result;
+          ctx.accept();
+        })
+        .catch(error => {
+          logger.error('Git SSH authentication failed:', error);
+          ctx.reject(['publickey']);
+        });
+    });
+
+    client.on('ready', () => {
+      client.on('session', accept => this.handleSession(accept(), user));
+    });
+
+    client.on('error', error => logger.debug(`Git SSH client error: ${error.message}`));
+  }
+
+  /**
+   * Match the offered key against registered keys and check its signature
+   * @returns {Promise<Object|null>} The authenticated user
+   */
+  async verifyKey(ctx) {
+    const user = await this.transport.authenticateKey(ctx.key.algo, ctx.key.data);
+    if (!user) return null;
+
+    const registered = utils.parseKey(user.key.publicKey);
+    if (registered instanceof Error || !registered.getPublicSSH().equals(ctx.key.data)) {
+      return null;
+    }
+
+    // Without a signature the client is only asking whether the key is acceptable
+    if (ctx.signature && !registered.verify(ctx.blob, ctx.signature, ctx.hashAlgo)) {
+      return null;
+    }
+
+    return user;
+  }
+
+  /**
+   * Serve exec requests for git commands
+   */
+  handleSession(session, user) {
+    const env = {};
+
+    session.on('env', (accept, reject, info) => {
+      env[info.key] = info.val;
+      if (accept) accept();
+    });
+
+    session.on('shell', accept => {
+      const stream = accept();
+      stream.stderr.write('Exprsn does not provide shell access. Use git to clone, fetch and push.\r\n');
+      stream.exit(1);
+      stream.end();
+    });
+
+    session.on('exec', (accept, reject, info) => {
+      const match = COMMAND_PATTERN.exec(info.command.trim());
+      if (!match) {
+        return reject();
+      }
+
+      this.runCommand(accept(), user, match[1], match[2], env).catch(error => {
+        logger.error('Git SSH command failed:', error);
+      });
+    });
+  }
+
+  /**
+   * Run git upload-pack/receive-pack over an exec channel
+   */
+  async runCommand(stream, user, service, repoPath, sessionEnv) {
+    const fail = message => {
+      stream.stderr.write(`${message}\n`);
+      stream.exit(1);
+      stream.end();
+    };
+
+    const repository = await this.transport.findRepository(repoPath);
+    if (!repository) {
+      return fail('Repository not found');
+    }
+
+    const access = this.transport.authorize(repository, user, service);
+    if (!access.allowed) {
+      return fail(access.reason);
+    }
+
+    let env = service === 'git-upload-pack' && sessionEnv.GIT_PROTOCOL
+      ? { GIT_PROTOCOL: sessionEnv.GIT_PROTOCOL }
+      : {};
+    let push = null;
+
+    if (service === 'git-receive-pack') {
+      push = await this.transport.beginPush(repository, user, 'ssh');
+      env = { ...env, ...push.env };
+    }
+
+    const child = this.transport.spawnService(service, repository, { env });
+
+    stream.pipe(child.stdin);
+    child.stdout.pipe(stream, { end: false });
+    child.stderr.pipe(stream.stderr, { end: false });
+    child.stdin.on('error', error => logger.debug(`git stdin: ${error.message}`));
+
+    child.on('error', error => {
+      logger.error('Failed to run git:', error);
+      fail('Git is not available');
+    });
+
+    child.on('close', code => {
+      stream.exit(code === null ? 1 : code);
+      stream.end();
+
+      if (push) {
+        this.transport.endPush(push.pushId).catch(error => logger.error('Failed to record git push:', error));
+      }
+    });
+  }
+}
+
+module.exports = GitSSHServer;
@@ -6,14 +6,36 @@
  */
 
 const axios = require('axios');
+const path = require('path');
+const cron = require('node-cron');
+const simpleGit = require('simple-git');
+const logger = require('../../utils/logger');
+const lowcodeConfig = require('../config');
+const SecretScanner = require('./security/SecretScanner');
+const DependencyScanner = require('./security/DependencyScanner');
+const { LOCKFILES } = require('./parsers/LockfileParser');
+
+const { ALLOWLIST_FILE, LOG_FORMAT } = SecretScanner;
+const { SEVERITIES } = DependencyScanner;
+
+// Scan types the server runs itself; other types are reported by CI jobs
+const BUILT_IN_SCANNERS = ['secret_detection', 'dependency_scanning'];
+
+// Cron tasks for scheduled scans, shared by every service instance
+const scheduledScans = new Map();
+let schedulingStarted = false;
 
 class GitSecurityService {
   constructor(models) {
     this.GitSecurityScanConfig = models.GitSecurityScanConfig;
     this.GitSecurityScanResult = models.GitSecurityScanResult;
+    this.GitSecurityAdvisory = models.GitSecurityAdvisory;
     this.GitRepository = models.GitRepository;
     this.GitAuditLog = models.GitAuditLog;
 
+    this.secretScanner = new SecretScanner();
+    this.dependencyScanner = new DependencyScanner();
+
     // Service URLs
     this.heraldUrl = process.env.HERALD_URL || 'http://localhost:3014';
   }
@@ -39,7 +61,7 @@ class GitSecurityService {
     } = scanData;
 
     // Validate scan type
-    const validTypes = ['sast', 'dependency_scanning', 'container_scanning', 'license_compliance'];
+    const validTypes = ['sast', 'secret_detection', 'dependency_scanning', 'container_scanning', 'license_compliance'];
     if (!validTypes.includes(scanType)) {
       throw new Error(`Invalid scan type. Must be one of: ${validTypes.join(', ')}`);
     }
@@ -50,6 +72,8 @@ class GitSecurityService {
       throw new Error(`Invalid severity threshold. Must be one of: ${validSeverities.join(', ')}`);
     }
 
+    this.validateSchedule(scanSchedule);
+
     await this.validateRepository(repositoryId);
 
     const scanConfig = await this.GitSecurityScanConfig.create({
@@ -76,6 +100,8 @@ class GitSecurityService {
       metadata: { scanType, severityThreshold }
     });
 
+    this.scheduleScan(scanConfig);
+
     return scanConfig;
   }
 
@@ -110,8 +136,14 @@ class GitSecurityService {
   async updateScanConfig(configId, updates, userId) {
     const config = await this.getScanConfig(configId);
 
+    if (updates.scanSchedule !== undefined) {
+      this.validateSchedule(updates.scanSchedule);
+    }
+
     await config.update(updates);
 
+    this.scheduleScan(config);
+
     // Audit log
     await this.createAuditLog({
       userId,
@@ -133,6 +165,8 @@ class GitSecurityService {
 
     await config.destroy();
 
+    this.unscheduleScan(configId);
+
     // Audit log
     await this.createAuditLog({
       userId,
@@ -163,6 +197,8 @@ class GitSecurityService {
       reportUrl = null
     } = resultData;
 
+    const config = await this.getScanConfig(configId);
+
     // Count vulnerabilities by severity
     const criticalCount = this.countVulnerabilitiesBySeverity(vulnerabilities, 'critical');
     const highCount = this.countVulnerabilitiesBySeverity(vulnerabilities, 'high');
@@ -171,6 +207,8 @@ class GitSecurityService {
 
     const result = await this.GitSecurityScanResult.create({
       configId,
+      repositoryId: config.repositoryId,
+      scanType: config.scanType,
       pipelineRunId,
       commitSha,
       status,
@@ -184,7 +222,6 @@ class GitSecurityService {
     });
 
     // Send notification if vulnerabilities found
-    const config = await this.getScanConfig(configId);
     if (criticalCount > 0 || highCount > 0) {
       await this.sendSecurityAlert(config, result);
     }
@@ -320,6 +357,332 @@ class GitSecurityService {
     };
   }
 
+  // ═══════════════════════════════════════════════════════════
+  // Built-in Scanners
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Run a built-in scan and store its findings
+   * range: `git log` revisions for secret scans (defaults to the history of the commit)
+   */
+  async runScan(configId, { commitSha = null, branch = null, range = null, trigger = 'manual', pipelineRunId = null } = {}) {
+    const config = await this.getScanConfig(configId);
+
+    if (!BUILT_IN_SCANNERS.includes(config.scanType)) {
+      throw new Error(`No built-in scanner for ${config.scanType}`);
+    }
+
+    const repository = await this.validateRepository(config.repositoryId);
+    const git = simpleGit(path.join(lowcodeConfig.git.repositoriesPath, repository.slug));
+    const sha = commitSha || (await git.revparse([`refs/heads/${branch || repository.defaultBranch}`])).trim();
+
+    const result = await this.GitSecurityScanResult.create({
+      configId,
+      repositoryId: config.repositoryId,
+      scanType: config.scanType,
+      pipelineRunId,
+      commitSha: sha,
+      status: 'running'
+    });
+
+    let vulnerabilities;
+
+    try {
+      const report = config.scanType === 'secret_detection'
+        ? await this.scanSecrets(git, config, sha, range || [sha])
+        : await this.scanDependencies(git, config, sha);
+
+      vulnerabilities = { scanner: config.scanType, trigger, ...report };
+
+      await result.update({
+        status: 'completed',
+        vulnerabilities,
+        criticalCount: this.countVulnerabilitiesBySeverity(vulnerabilities, 'critical'),
+        highCount: this.countVulnerabilitiesBySeverity(vulnerabilities, 'high'),
+        mediumCount: this.countVulnerabilitiesBySeverity(vulnerabilities, 'medium'),
+        lowCount: this.countVulnerabilitiesBySeverity(vulnerabilities, 'low'),
+        scannedAt: new Date()
+      });
+    } catch (error) {
+      logger.error(`Security scan ${config.scanType} failed for ${repository.slug}:`, error);
+
+      await result.update({
+        status: 'failed',
+        vulnerabilities: { scanner: config.scanType, trigger, error: error.message, findings: [] },
+        scannedAt: new Date()
+      });
+    }
+
+    if (result.criticalCount > 0 || result.highCount > 0) {
+      await this.sendSecurityAlert(config, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Scan added lines in the given commits for secrets
+   */
+  async scanSecrets(git, config, commitSha, range) {
+    const allowlist = this.secretScanner.parseAllowlist(await this.readFile(git, commitSha, ALLOWLIST_FILE));
+
+    const output = await git.raw([
+      'log',
+      ...LOG_FORMAT,
+      `--max-count=${lowcodeConfig.git.security.maxHistoryCommits}`,
+      ...range,
+      '--'
+    ]);
+
+    return {
+      range,
+      ...this.secretScanner.scanLog(output, { allowlist, excludedPaths: config.excludedPaths || [] })
+    };
+  }
+
+  /**
+   * Match every lockfile in the commit against the advisory database
+   */
+  async scanDependencies(git, config, commitSha) {
+    const files = (await git.raw(['ls-tree', '-r', '--name-only', commitSha]))
+      .split('\n')
+      .filter(file => LOCKFILES.includes(path.posix.basename(file)))
+      .filter(file => !file.split('/').includes('node_modules'))
+      .filter(file => !this.secretScanner.isExcluded(file, config.excludedPaths || []));
+
+    const lockfiles = [];
+    for (const file of files) {
+      lockfiles.push({ path: file, content: await git.show([`${commitSha}:${file}`]) });
+    }
+
+    return this.dependencyScanner.scan(lockfiles, names => this.findAdvisories(names));
+  }
+
+  /**
+   * Scan branches updated by a push
+   * Secret scans cover every commit of a branch that is not on the default
+   * branch yet, so the latest result gates the whole pull request.
+   */
+  async scanPush(repository, updates) {
+    const configs = await this.GitSecurityScanConfig.findAll({
+      where: { repositoryId: repository.id, enabled: true, scanOnPush: true, scanType: BUILT_IN_SCANNERS }
+    });
+
+    for (const update of updates) {
+      if (!update.ref.startsWith('refs/heads/') || /^0+$/.test(update.newSha)) continue;
+
+      const branch = update.ref.slice('refs/heads/'.length);
+      let range;
+
+      if (branch !== repository.defaultBranch) {
+        range = [update.newSha, '--not', `refs/heads/${repository.defaultBranch}`];
+      } else {
+        range = /^0+$/.test(update.oldSha) ? [update.newSha] : [`${update.oldSha}..${update.newSha}`];
+      }
+
+      for (const config of configs) {
+        try {
+          await this.runScan(config.id, { commitSha: update.newSha, range, trigger: 'push' });
+        } catch (error) {
+          logger.error(`Failed to scan ${update.ref} of ${repository.slug}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Scan the commits a pull request would merge, unless a push scan already covered its head
+   */
+  async scanPullRequest(pr) {
+    if (!pr.headSha) return;
+
+    const configs = await this.GitSecurityScanConfig.findAll({
+      where: { repositoryId: pr.repositoryId, enabled: true, scanOnPR: true, scanType: BUILT_IN_SCANNERS }
+    });
+
+    for (const config of configs) {
+      const existing = await this.GitSecurityScanResult.count({ where: { configId: config.id, commitSha: pr.headSha } });
+      if (existing > 0) continue;
+
+      try {
+        await this.runScan(config.id, {
+          commitSha: pr.headSha,
+          range: [pr.headSha, '--not', `refs/heads/${pr.targetBranch}`],
+          trigger: 'pull_request'
+        });
+      } catch (error) {
+        logger.error(`Failed to scan pull request #${pr.number}:`, error);
+      }
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Scheduled Scans
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Schedule every enabled scan that has a cron expression
+   */
+  async startScheduledScans() {
+    schedulingStarted = true;
+
+    const configs = await this.GitSecurityScanConfig.findAll({
+      where: { enabled: true, scanType: BUILT_IN_SCANNERS }
+    });
+
+    configs.filter(config => config.scanSchedule).forEach(config => this.scheduleScan(config));
+
+    logger.info(`Scheduled ${scheduledScans.size} security scan(s)`);
+  }
+
+  stopScheduledScans() {
+    schedulingStarted = false;
+    [...scheduledScans.keys()].forEach(configId => this.unscheduleScan(configId));
+  }
+
+  /**
+   * (Re)schedule a config after it changes; a no-op until scheduling has started
+   */
+  scheduleScan(config) {
+    this.unscheduleScan(config.id);
+
+    if (!schedulingStarted || !config.enabled || !config.scanSchedule || !BUILT_IN_SCANNERS.includes(config.scanType)) {
+      return;
+    }
+
+    const task = cron.schedule(config.scanSchedule, () => this.runScheduledScan(config.id));
+    scheduledScans.set(config.id, task);
+  }
+
+  unscheduleScan(configId) {
+    const task = scheduledScans.get(configId);
+
+    if (task) {
+      task.stop();
+      scheduledScans.delete(configId);
+    }
+  }
+
+  /**
+   * Scheduled runs scan the default branch; secret scans cover the history of every branch
+   */
+  async runScheduledScan(configId) {
+    try {
+      const config = await this.getScanConfig(configId);
+
+      await this.runScan(configId, {
+        range: config.scanType === 'secret_detection' ? ['--all'] : null,
+        trigger: 'schedule'
+      });
+    } catch (error) {
+      logger.error(`Scheduled security scan ${configId} failed:`, error);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Merge Checks
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Status checks for a commit, one per enabled scan, named "security/<scanType>"
+   * These are what GitRepositoryPolicy.requiredStatusChecks refers to.
+   */
+  async getStatusChecks(repositoryId, commitSha) {
+    const configs = await this.GitSecurityScanConfig.findAll({
+      where: { repositoryId, enabled: true }
+    });
+
+    return Promise.all(configs.map(async config => {
+      const result = await this.GitSecurityScanResult.findOne({
+        where: { configId: config.id, commitSha },
+        order: [['createdAt', 'DESC']]
+      });
+
+      return {
+        context: `security/${config.scanType}`,
+        state: this.getCheckState(config, result),
+        resultId: result ? result.id : null
+      };
+    }));
+  }
+
+  /**
+   * A completed scan fails its check when the config fails on vulnerabilities
+   * and something at or above the severity threshold was found
+   */
+  getCheckState(config, result) {
+    if (!result || ['pending', 'running'].includes(result.status)) {
+      return 'pending';
+    }
+
+    if (result.status === 'failed') {
+      return 'error';
+    }
+
+    const blocking = SEVERITIES.slice(0, SEVERITIES.indexOf(config.severityThreshold) + 1);
+    const found = blocking.some(severity => result[`${severity}Count`] > 0);
+
+    return config.failOnVulnerabilities && found ? 'failure' : 'success';
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Advisory Database
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Import OSV advisory documents into the local advisory database
+   */
+  async importAdvisories(documents, { source = null } = {}) {
+    const summary = { imported: 0, updated: 0, skipped: 0, errors: [] };
+
+    for (const document of documents) {
+      let records;
+
+      try {
+        records = this.dependencyScanner.normalizeAdvisory(document);
+      } catch (error) {
+        summary.errors.push({ id: document?.id || null, message: error.message });
+        continue;
+      }
+
+      if (records.length === 0) {
+        summary.skipped++;
+        continue;
+      }
+
+      for (const record of records) {
+        const [advisory, created] = await this.GitSecurityAdvisory.findOrCreate({
+          where: { advisoryId: record.advisoryId, packageName: record.packageName },
+          defaults: { ...record, source }
+        });
+
+        if (created) {
+          summary.imported++;
+        } else {
+          await advisory.update({ ...record, source });
+          summary.updated++;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Active advisories for the given npm packages
+   */
+  async findAdvisories(packageNames) {
+    const advisories = [];
+
+    for (let index = 0; index < packageNames.length; index += 500) {
+      advisories.push(...await this.GitSecurityAdvisory.findAll({
+        where: { ecosystem: 'npm', packageName: packageNames.slice(index, index + 500), withdrawnAt: null }
+      }));
+    }
+
+    return advisories;
+  }
+
   // ═══════════════════════════════════════════════════════════
   // Helper Methods
   // ═══════════════════════════════════════════════════════════
@@ -337,6 +700,24 @@ class GitSecurityService {
     ).length;
   }
 
+  /**
+   * Read a file from a commit, or null when the commit does not have it
+   */
+  async readFile(git, commitSha, filePath) {
+    const entry = await git.raw(['ls-tree', commitSha, '--', filePath]);
+    if (!entry.trim()) {
+      return null;
+    }
+
+    return git.show([`${commitSha}:${filePath}`]);
+  }
+
+  validateSchedule(scanSchedule) {
+    if (scanSchedule && !cron.validate(scanSchedule)) {
+      throw new Error('Invalid scan schedule. Must be a cron expression');
+    }
+  }
+
   /**
    * Send security alert notification
    */
@@ -396,3 +777,4 @@ class GitSecurityService {
 }
 
 module.exports = GitSecurityService;
+module.exports.BUILT_IN_SCANNERS = BUILT_IN_SCANNERS;
@@ -14,10 +14,11 @@ const GitRepository = require('../models/GitRepository');
 const GitBranch = require('../models/GitBranch');
 const GitCommit = require('../models/GitCommit');
 const { Op } = require('sequelize');
+const config = require('../config');
 
 class GitService {
   constructor() {
-    this.reposBasePath = path.join(__dirname, '../../../git-repositories');
+    this.reposBasePath = config.git.repositoriesPath;
   }
 
   /**
@@ -0,0 +1,570 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Git Transport Service
+ * Serves the git protocol (smart HTTP and SSH) for repositories
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Clients are authenticated with personal access tokens (HTTP), pipeline
+ * job tokens (HTTP, read-only) or registered SSH keys. Pushes run through git-hooks/pre-receive, which
+ * calls back into this service over a local socket so branch policies
+ * and code owners are checked before any ref is updated. Accepted pushes
+ * start pipelines and the built-in security scans, and move the review
+ * threads of pull requests whose branches they update.
+ */
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const simpleGit = require('simple-git');
+const logger = require('../../utils/logger');
+const config = require('../config');
+const GitAuthService = require('./GitAuthService');
+const GitPolicyService = require('./GitPolicyService');
+const GitPipelineJobService = require('./GitPipelineJobService');
+const GitSecurityService = require('./GitSecurityService');
+
+const SERVICES = {
+  'git-upload-pack': { command: 'upload-pack', access: 'read', scope: 'read_repository' },
+  'git-receive-pack': { command: 'receive-pack', access: 'write', scope: 'write_repository' }
+};
+
+const ZERO_SHA = '0000000000000000000000000000000000000000';
+const HOOKS_PATH = path.join(__dirname, '../git-hooks');
+
+// Variables receive-pack sets for hooks so quarantined objects can be read
+const QUARANTINE_ENV = ['GIT_OBJECT_DIRECTORY', 'GIT_ALTERNATE_OBJECT_DIRECTORIES', 'GIT_QUARANTINE_PATH'];
+
+class GitTransportService {
+  constructor(models) {
+    this.GitRepository = models.GitRepository;
+    this.GitBranch = models.GitBranch;
+    this.GitAuditLog = models.GitAuditLog;
+    this.authService = new GitAuthService(models);
+    this.policyService = new GitPolicyService(models);
+    this.jobService = new GitPipelineJobService(models);
+    this.securityService = new GitSecurityService(models);
+
+    this.pushes = new Map();
+    this.hookServerReady = null;
+    this.hookSocketPath = path.join(
+      os.tmpdir(),
+      `exprsn-git-hooks-${process.pid}-${crypto.randomBytes(4).toString('hex')}.sock`
+    );
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Authentication & Authorization
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Authenticate a personal access token
+   */
+  async authenticateToken(token) {
+    if (!token) return null;
+
+    // $CI_JOB_TOKEN lets a running job clone its own repository
+    if (token.startsWith(GitPipelineJobService.JOB_TOKEN_PREFIX)) {
+      const job = await this.jobService.authenticateJobToken(token);
+      if (!job) return null;
+
+      return { id: null, scopes: ['read_repository'], method: 'job', repositoryId: job.repositoryId };
+    }
+
+    const result = await this.authService.verifyPAT(token);
+    if (!result.valid) return null;
+
+    return { id: result.userId, scopes: result.scopes || [], method: 'token' };
+  }
+
+  /**
+   * Authenticate an SSH public key
+   */
+  async authenticateKey(algorithm, keyData) {
+    const fingerprint = this.authService.generateKeyFingerprint(`${algorithm} ${keyData.toString('base64')}`);
+
+    const result = await this.authService.verifySSHKey(fingerprint);
+    if (!result.valid) return null;
+
+    return {
+      id: result.userId,
+      scopes: ['read_repository', 'write_repository'],
+      method: 'ssh',
+      key: result.key
+    };
+  }
+
+  /**
+   * Check whether a user may run a git service against a repository
+   */
+  authorize(repository, user, service) {
+    const { access, scope } = SERVICES[service];
+
+    if (access === 'read' && repository.visibility === 'public') {
+      return { allowed: true };
+    }
+
+    if (!user) {
+      return { allowed: false, status: 401, reason: 'Authentication required' };
+    }
+
+    if (!user.scopes.includes(scope)) {
+      return { allowed: false, status: 403, reason: `Token is missing the ${scope} scope` };
+    }
+
+    if (access === 'write' && repository.archived) {
+      return { allowed: false, status: 403, reason: 'Repository is archived' };
+    }
+
+    if (user.method === 'job') {
+      return repository.id === user.repositoryId
+        ? { allowed: true }
+        : { allowed: false, status: 403, reason: 'Job tokens can only read their own repository' };
+    }
+
+    if (repository.ownerId === user.id) {
+      return { allowed: true };
+    }
+
+    if (access === 'read' && repository.visibility === 'internal') {
+      return { allowed: true };
+    }
+
+    return { allowed: false, status: 403, reason: 'You do not have access to this repository' };
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Repositories & Git Processes
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Find a repository from a clone path such as "/my-app.git"
+   */
+  async findRepository(repoPath) {
+    const slug = String(repoPath || '').replace(/^\/+/, '').replace(/\.git\/?$/, '');
+
+    if (!/^[a-z0-9-]+$/.test(slug)) {
+      return null;
+    }
+
+    return this.GitRepository.findOne({ where: { slug } });
+  }
+
+  /**
+   * Get the on-disk path of a repository
+   */
+  repositoryPath(repository) {
+    return path.join(config.git.repositoriesPath, repository.slug);
+  }
+
+  /**
+   * Whether a service name is one we serve
+   */
+  isService(service) {
+    return Object.prototype.hasOwnProperty.call(SERVICES, service);
+  }
+
+  /**
+   * Start git upload-pack or receive-pack for a repository
+   */
+  spawnService(service, repository, { statelessRpc = false, advertiseRefs = false, env = {} } = {}) {
+    const args = [
+      // Repositories keep a working tree; keep it in step with pushes
+      '-c', 'receive.denyCurrentBranch=updateInstead',
+      '-c', `core.hooksPath=${HOOKS_PATH}`,
+      SERVICES[service].command
+    ];
+
+    if (statelessRpc) args.push('--stateless-rpc');
+    if (advertiseRefs) args.push('--advertise-refs');
+    args.push(this.repositoryPath(repository));
+
+    return spawn(config.git.gitBinary, args, {
+      env: { PATH: process.env.PATH, HOME: process.env.HOME, ...env }
+    });
+  }
+
+  /**
+   * Encode a pkt-line
+   */
+  pktLine(data) {
+    const length = Buffer.byteLength(data) + 4;
+    return length.toString(16).padStart(4, '0') + data;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Pushes
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Register a push before receive-pack starts
+   * @returns {{ pushId: string, env: Object }} Variables for the receive-pack process
+   */
+  async beginPush(repository, user, via) {
+    await this.startHookServer();
+
+    const pushId = crypto.randomBytes(16).toString('hex');
+    this.pushes.set(pushId, { repository, user, via, updates: [] });
+
+    return {
+      pushId,
+      env: {
+        EXPRSN_GIT_HOOK_SOCKET: this.hookSocketPath,
+        EXPRSN_GIT_PUSH_ID: pushId
+      }
+    };
+  }
+
+  /**
+   * Record the outcome of a push once receive-pack exits
+   */
+  async endPush(pushId) {
+    const push = this.pushes.get(pushId);
+    this.pushes.delete(pushId);
+
+    if (!push || push.updates.length === 0) {
+      return [];
+    }
+
+    const { repository, user, via } = push;
+    const current = await this.readRefs(simpleGit(this.repositoryPath(repository)));
+
+    // receive-pack may still reject single refs after pre-receive (e.g. stale old values)
+    const applied = push.updates.filter(update => (current.get(update.ref) || ZERO_SHA) === update.newSha);
+
+    await this.syncBranches(repository, user, applied);
+
+    await this.createAuditLog({
+      userId: user.id,
+      action: 'git_push',
+      entityType: 'repository',
+      entityId: repository.id,
+      repositoryId: repository.id,
+      metadata: { via, updates: applied }
+    });
+
+    logger.info(`Git push to ${repository.slug}`, { repositoryId: repository.id, updates: applied.length });
+
+    await this.triggerPipelines(repository, user, applied);
+
+    try {
+      await this.securityService.scanPush(repository, applied);
+    } catch (error) {
+      logger.error(`Failed to run security scans for ${repository.slug}:`, error);
+    }
+
+    try {
+      const GitPullRequestService = require('./GitPullRequestService');
+      await GitPullRequestService.syncPullRequests(repository, applied);
+    } catch (error) {
+      logger.error(`Failed to update pull requests for ${repository.slug}:`, error);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Handle a pre-receive hook call for a registered push
+   */
+  async preReceive({ pushId, updates = [], env = {} }) {
+    const push = this.pushes.get(pushId);
+
+    if (!push) {
+      return { allowed: false, messages: ['Push was not started by the Exprsn server'] };
+    }
+
+    const quarantine = {};
+    QUARANTINE_ENV.forEach(key => {
+      if (env[key]) quarantine[key] = env[key];
+    });
+
+    const result = await this.checkPush(push.repository, push.user, updates, quarantine);
+
+    if (result.allowed) {
+      push.updates = updates;
+    } else {
+      await this.createAuditLog({
+        userId: push.user.id,
+        action: 'git_push_rejected',
+        entityType: 'repository',
+        entityId: push.repository.id,
+        repositoryId: push.repository.id,
+        metadata: { via: push.via, updates, messages: result.messages }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Check ref updates against branch protection and code owners
+   * @param {Array<{ oldSha: string, newSha: string, ref: string }>} updates
+   * @param {Object} env - Quarantine variables from the hook, so new objects are visible
+   */
+  async checkPush(repository, user, updates, env = {}) {
+    const git = simpleGit(this.repositoryPath(repository)).env({
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      ...env
+    });
+
+    const messages = [];
+    let codeOwners = null;
+    const loadCodeOwners = async () => {
+      if (!codeOwners) {
+        codeOwners = await this.policyService.getCodeOwners(repository.id);
+      }
+      return codeOwners;
+    };
+
+    for (const update of updates) {
+      if (!update.ref.startsWith('refs/heads/')) continue;
+
+      const violations = await this.checkBranchUpdate(git, repository, user, update, loadCodeOwners);
+      violations.forEach(violation => messages.push(`${update.ref}: ${violation}`));
+    }
+
+    return { allowed: messages.length === 0, messages };
+  }
+
+  /**
+   * Check a single branch update
+   * @returns {Promise<string[]>} Violations
+   */
+  async checkBranchUpdate(git, repository, user, update, loadCodeOwners) {
+    const branch = update.ref.slice('refs/heads/'.length);
+    const creating = update.oldSha === ZERO_SHA;
+    const deleting = update.newSha === ZERO_SHA;
+    const violations = [];
+
+    if (deleting) {
+      if (branch === repository.defaultBranch) {
+        violations.push('Cannot delete default branch');
+      } else {
+        const record = await this.GitBranch.findOne({ where: { repositoryId: repository.id, name: branch } });
+        if (record && record.isProtected) {
+          violations.push('Cannot delete protected branch');
+        }
+      }
+    }
+
+    const forced = !creating && !deleting
+      && (await git.raw(['rev-list', '--max-count=1', update.oldSha, `^${update.newSha}`])).trim() !== '';
+
+    const operation = deleting ? 'delete' : forced ? 'force_push' : 'push';
+    const compliance = await this.policyService.checkPolicyCompliance(repository.id, branch, operation);
+    violations.push(...(compliance.violations || []));
+
+    const { policy } = compliance;
+    if (!policy || deleting) {
+      return violations;
+    }
+
+    if (policy.requireApprovals > 0) {
+      violations.push(`Requires ${policy.requireApprovals} approval(s); changes must be merged through a pull request`);
+    }
+
+    const range = creating ? [update.newSha, '--not', '--all'] : [`${update.oldSha}..${update.newSha}`];
+
+    if (policy.requireLinearHistory) {
+      const merges = await git.raw(['rev-list', '--merges', '--max-count=1', ...range]);
+      if (merges.trim()) {
+        violations.push('Merge commits are not allowed on this branch');
+      }
+    }
+
+    if (policy.requireCodeOwnerReview) {
+      const codeOwners = await loadCodeOwners();
+      const files = (await git.raw(['log', '--format=', '--name-only', ...range]))
+        .split('\n')
+        .filter(Boolean);
+
+      const unowned = [...new Set(files)].filter(file => {
+        const rule = this.policyService.matchCodeOwner(codeOwners, file);
+        return rule && !rule.owners.includes(user.id);
+      });
+
+      if (unowned.length > 0) {
+        const listed = unowned.slice(0, 5).join(', ') + (unowned.length > 5 ? `, and ${unowned.length - 5} more` : '');
+        violations.push(`Requires code owner approval for ${listed}`);
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Read all refs of a repository
+   * @returns {Promise<Map<string, string>>} ref name -> sha
+   */
+  async readRefs(git) {
+    const output = await git.raw(['for-each-ref', '--format=%(refname) %(objectname)']);
+    const refs = new Map();
+
+    output.split('\n').filter(Boolean).forEach(line => {
+      const [ref, sha] = line.split(' ');
+      refs.set(ref, sha);
+    });
+
+    return refs;
+  }
+
+  /**
+   * Mirror pushed branch heads into GitBranch records
+   */
+  async syncBranches(repository, user, updates) {
+    for (const update of updates) {
+      if (!update.ref.startsWith('refs/heads/')) continue;
+
+      const name = update.ref.slice('refs/heads/'.length);
+      const where = { repositoryId: repository.id, name };
+
+      if (update.newSha === ZERO_SHA) {
+        await this.GitBranch.destroy({ where });
+        continue;
+      }
+
+      const branch = await this.GitBranch.findOne({ where });
+      if (branch) {
+        await branch.update({ commitSha: update.newSha });
+      } else {
+        await this.GitBranch.create({ ...where, commitSha: update.newSha, createdBy: user.id });
+      }
+    }
+  }
+
+  /**
+   * Run push pipelines for updated branches
+   */
+  async triggerPipelines(repository, user, updates) {
+    for (const update of updates) {
+      if (!update.ref.startsWith('refs/heads/') || update.newSha === ZERO_SHA) continue;
+
+      try {
+        const GitPipelineService = require('./GitPipelineService');
+
+        await GitPipelineService.triggerRepositoryPipelines(repository.id, {
+          trigger: 'push',
+          branch: update.ref.slice('refs/heads/'.length),
+          commitSha: update.newSha,
+          startedBy: user.id
+        });
+      } catch (error) {
+        logger.error(`Failed to trigger pipelines for ${update.ref}:`, error);
+      }
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Hook Socket
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Listen for pre-receive hook calls on a local socket
+   */
+  startHookServer() {
+    if (!this.hookServerReady) {
+      this.hookServerReady = (async () => {
+        await fs.rm(this.hookSocketPath, { force: true });
+
+        const server = net.createServer(socket => this.handleHookConnection(socket));
+        await new Promise((resolve, reject) => {
+          server.once('error', reject);
+          server.listen(this.hookSocketPath, resolve);
+        });
+
+        // Don't keep the process alive for the hook socket alone
+        server.unref();
+        this.hookServer = server;
+      })().catch(error => {
+        this.hookServerReady = null;
+        throw error;
+      });
+    }
+
+    return this.hookServerReady;
+  }
+
+  /**
+   * Stop the hook socket
+   */
+  async stopHookServer() {
+    if (!this.hookServerReady) return;
+
+    await this.hookServerReady.catch(() => {});
+    this.hookServerReady = null;
+
+    if (this.hookServer) {
+      await new Promise(resolve => this.hookServer.close(resolve));
+      this.hookServer = null;
+    }
+  }
+
+  /**
+   * Answer one newline-delimited JSON request from the pre-receive hook
+   */
+  handleHookConnection(socket) {
+    let buffer = '';
+
+    socket.setEncoding('utf8');
+    socket.on('error', error => logger.warn('Git hook socket error:', error.message));
+    socket.on('data', async chunk => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) return;
+
+      socket.removeAllListeners('data');
+
+      let response;
+      try {
+        response = await this.preReceive(JSON.parse(buffer.slice(0, newline)));
+      } catch (error) {
+        logger.error('Git pre-receive check failed:', error);
+        response = { allowed: false, messages: ['Internal error while checking push'] };
+      }
+
+      socket.end(`${JSON.stringify(response)}\n`);
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Audit Logging
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Create audit log entry
+   */
+  async createAuditLog(logData) {
+    const {
+      userId,
+      action,
+      entityType,
+      entityId,
+      repositoryId = null,
+      changes = {},
+      metadata = {},
+      ipAddress = null,
+      userAgent = null
+    } = logData;
+
+    return this.GitAuditLog.create({
+      userId,
+      action,
+      entityType,
+      entityId,
+      repositoryId,
+      changes,
+      metadata,
+      ipAddress,
+      userAgent,
+      timestamp: new Date()
+    });
+  }
+}
+
+GitTransportService.SERVICES = SERVICES;
+GitTransportService.ZERO_SHA = ZERO_SHA;
+
+module.exports = GitTransportService;
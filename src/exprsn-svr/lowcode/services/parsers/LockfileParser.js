@@ -0,0 +1,168 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Lockfile Parser
+ * Reads resolved npm packages from package-lock.json and yarn.lock
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock'];
+
+class LockfileParser {
+  /**
+   * Parse a lockfile by its file name
+   * Returns the distinct { name, version, dev } packages it installs
+   */
+  parse(filePath, source) {
+    const fileName = path.posix.basename(filePath);
+
+    if (fileName === 'yarn.lock') {
+      return this.parseYarnLock(source);
+    }
+
+    if (LOCKFILES.includes(fileName)) {
+      return this.parsePackageLock(source);
+    }
+
+    throw new Error(`Unsupported lockfile: ${fileName}`);
+  }
+
+  /**
+   * Parse package-lock.json / npm-shrinkwrap.json (lockfileVersion 1-3)
+   */
+  parsePackageLock(source) {
+    let document;
+
+    try {
+      document = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Invalid package-lock.json: ${error.message}`);
+    }
+
+    if (!document || typeof document !== 'object') {
+      throw new Error('Invalid package-lock.json: expected an object');
+    }
+
+    const packages = new Map();
+
+    // lockfileVersion 2+ lists every install location under "packages"
+    if (document.packages && typeof document.packages === 'object') {
+      for (const [location, entry] of Object.entries(document.packages)) {
+        if (!location || !entry || entry.link || !entry.version) continue;
+
+        const name = entry.name || location.slice(location.lastIndexOf('node_modules/') + 'node_modules/'.length);
+        this.addPackage(packages, name, entry.version, Boolean(entry.dev));
+      }
+
+      return [...packages.values()];
+    }
+
+    // lockfileVersion 1 nests dependencies under "dependencies"
+    const walk = (dependencies) => {
+      for (const [name, entry] of Object.entries(dependencies || {})) {
+        if (!entry || typeof entry !== 'object') continue;
+
+        if (entry.version) {
+          this.addPackage(packages, name, entry.version, Boolean(entry.dev));
+        }
+
+        walk(entry.dependencies);
+      }
+    };
+
+    walk(document.dependencies);
+
+    return [...packages.values()];
+  }
+
+  /**
+   * Parse yarn.lock (classic v1 format or Berry YAML)
+   */
+  parseYarnLock(source) {
+    const text = String(source);
+
+    if (/^__metadata:/m.test(text)) {
+      return this.parseBerryLock(text);
+    }
+
+    const packages = new Map();
+    let names = null;
+
+    text.split(/\r?\n/).forEach(line => {
+      if (!line.trim() || line.startsWith('#')) return;
+
+      // Unindented lines start an entry: "a@^1.0.0", "a@^1.1.0":
+      if (!/^\s/.test(line)) {
+        names = line.replace(/:\s*$/, '')
+          .split(/,\s*/)
+          .map(descriptor => this.descriptorName(descriptor.trim().replace(/^"|"$/g, '')))
+          .filter(Boolean);
+        return;
+      }
+
+      const version = line.match(/^ {2}version:?\s+"?([^"\s]+)"?\s*$/);
+      if (version && names) {
+        [...new Set(names)].forEach(name => this.addPackage(packages, name, version[1], false));
+        names = null;
+      }
+    });
+
+    return [...packages.values()];
+  }
+
+  /**
+   * Parse a Yarn Berry (v2+) lockfile
+   */
+  parseBerryLock(text) {
+    let document;
+
+    try {
+      document = yaml.load(text, { schema: yaml.CORE_SCHEMA });
+    } catch (error) {
+      throw new Error(`Invalid yarn.lock: ${error.message}`);
+    }
+
+    const packages = new Map();
+
+    for (const [key, entry] of Object.entries(document || {})) {
+      if (key === '__metadata' || !entry || !entry.resolution || !entry.version) continue;
+
+      // resolution is "<name>@npm:<version>"; workspaces, git and file packages are skipped
+      const resolution = String(entry.resolution);
+      const separator = resolution.indexOf('@', 1);
+      if (separator === -1 || !resolution.startsWith('npm:', separator + 1)) continue;
+
+      this.addPackage(packages, resolution.slice(0, separator), String(entry.version), false);
+    }
+
+    return [...packages.values()];
+  }
+
+  /**
+   * Package name from a yarn descriptor such as "@scope/name@^1.0.0"
+   */
+  descriptorName(descriptor) {
+    const separator = descriptor.indexOf('@', 1);
+    return separator === -1 ? null : descriptor.slice(0, separator);
+  }
+
+  /**
+   * Record a package once per name and version; it is dev-only if every copy is
+   */
+  addPackage(packages, name, version, dev) {
+    const key = `${name}@${version}`;
+    const existing = packages.get(key);
+
+    if (existing) {
+      existing.dev = existing.dev && dev;
+      return;
+    }
+
+    packages.set(key, { name, version, dev });
+  }
+}
+
+module.exports = LockfileParser;
+module.exports.LOCKFILES = LOCKFILES;
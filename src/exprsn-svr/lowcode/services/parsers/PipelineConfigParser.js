@@ -0,0 +1,924 @@
+/**
+ * Pipeline Config Parser
+ *
+ * Parses a repository's .exprsn-ci.yml into the jobs of a pipeline run.
+ * Jobs are filtered by rules/only/except, expanded by parallel matrices and
+ * linked into a dependency graph through needs (or stage order when a job
+ * does not declare needs).
+ *
+ * Example:
+ *
+ *   stages: [build, test]
+ *   build:
+ *     stage: build
+ *     script: npm ci && npm run build
+ *     cache: { key: npm-$CI_COMMIT_REF_NAME, paths: [node_modules/] }
+ *     artifacts: { paths: [dist/], expire_in: 1 week }
+ *   test:
+ *     stage: test
+ *     needs: [build]
+ *     parallel:
+ *       matrix:
+ *         - NODE: ['18', '20']
+ *     script: npm test
+ *     rules:
+ *       - if: '$CI_PIPELINE_SOURCE == "merge_request_event"'
+ *       - if: '$CI_COMMIT_BRANCH == $CI_DEFAULT_BRANCH'
+ */
+
+const yaml = require('js-yaml');
+const logger = require('../../utils/logger');
+
+const CONFIG_FILE = '.exprsn-ci.yml';
+const DEFAULT_STAGES = ['build', 'test', 'deploy'];
+const MAX_JOBS = 500;
+const MAX_PARALLEL = 200;
+
+// Top-level keys that configure the pipeline rather than define jobs
+const GLOBAL_KEYS = ['stages', 'variables', 'default', 'workflow', 'include', 'image', 'cache', 'before_script', 'after_script', 'services'];
+
+// Job keys that may be set once under default:
+const DEFAULT_KEYS = ['image', 'tags', 'before_script', 'after_script', 'cache', 'artifacts', 'timeout', 'retry'];
+
+const WHEN_VALUES = ['on_success', 'on_failure', 'always', 'manual', 'never'];
+const CACHE_POLICIES = ['pull', 'push', 'pull-push'];
+const CACHE_SCOPES = ['global', 'branch', 'commit'];
+const ARTIFACT_TYPES = ['archive', 'image', 'package', 'report', 'log'];
+
+// GitPipelineRun.trigger -> $CI_PIPELINE_SOURCE
+const PIPELINE_SOURCES = {
+  push: 'push',
+  pull_request: 'merge_request_event',
+  manual: 'web',
+  webhook: 'trigger',
+  schedule: 'schedule'
+};
+
+// only/except keywords and the pipeline sources they match
+const REF_KEYWORDS = {
+  branches: null,
+  pushes: ['push'],
+  merge_requests: ['merge_request_event'],
+  web: ['web'],
+  triggers: ['trigger'],
+  schedules: ['schedule'],
+  api: ['web', 'trigger']
+};
+
+class PipelineConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PipelineConfigError';
+  }
+}
+
+class PipelineConfigParser {
+  /**
+   * Parse .exprsn-ci.yml source
+   *
+   * @param {string} source - YAML document
+   * @param {Object} context - See compile()
+   * @returns {{ stages: string[], jobs: Object[], skipped: boolean }}
+   */
+  parse(source, context = {}) {
+    let document;
+
+    try {
+      document = yaml.load(source, { schema: yaml.CORE_SCHEMA });
+    } catch (error) {
+      throw new PipelineConfigError(`Invalid YAML: ${error.reason || error.message}`);
+    }
+
+    return this.compile(document, context);
+  }
+
+  /**
+   * Compile a pipeline document into jobs
+   *
+   * @param {Object} document - Parsed pipeline document
+   * @param {Object} context
+   * @param {Object} context.variables - Predefined and project variables used by rules
+   * @param {string} context.ref - Branch the pipeline runs for
+   * @param {string} context.source - $CI_PIPELINE_SOURCE
+   * @param {number} context.defaultTimeout - Job timeout in seconds when none is configured
+   * @returns {{ stages: string[], jobs: Object[], skipped: boolean }}
+   */
+  compile(document, context = {}) {
+    if (!isObject(document)) {
+      throw new PipelineConfigError(`${CONFIG_FILE} must be a mapping of jobs`);
+    }
+
+    if (document.include !== undefined) {
+      throw new PipelineConfigError('include is not supported');
+    }
+
+    const stages = document.stages === undefined ? DEFAULT_STAGES : toStringList(document.stages, 'stages');
+    const globalVariables = toVariables(document.variables, 'variables');
+    const ruleVariables = { ...globalVariables, ...context.variables };
+
+    const workflowRules = document.workflow && document.workflow.rules;
+    if (workflowRules) {
+      const outcome = this.evaluateRules(workflowRules, ruleVariables, 'workflow');
+      if (!outcome || outcome.when === 'never') {
+        return { stages, jobs: [], skipped: true };
+      }
+    }
+
+    const defaults = this.resolveDefaults(document);
+    const jobs = [];
+
+    for (const [name, definition] of Object.entries(document)) {
+      if (GLOBAL_KEYS.includes(name) || name.startsWith('.')) continue;
+
+      const job = this.resolveExtends(document, name, definition);
+      const instances = this.buildJob(name, job, {
+        stages,
+        defaults,
+        globalVariables,
+        ruleVariables,
+        context
+      });
+
+      jobs.push(...instances);
+
+      if (jobs.length > MAX_JOBS) {
+        throw new PipelineConfigError(`A pipeline may have at most ${MAX_JOBS} jobs`);
+      }
+    }
+
+    this.linkNeeds(jobs, stages);
+
+    return { stages, jobs: this.sortJobs(jobs), skipped: false };
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Jobs
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Collect default: keys, along with the older top-level forms
+   */
+  resolveDefaults(document) {
+    const defaults = {};
+
+    for (const key of DEFAULT_KEYS) {
+      if (document[key] !== undefined) defaults[key] = document[key];
+    }
+
+    if (document.default !== undefined) {
+      if (!isObject(document.default)) {
+        throw new PipelineConfigError('default must be a mapping');
+      }
+
+      for (const key of Object.keys(document.default)) {
+        if (!DEFAULT_KEYS.includes(key)) {
+          throw new PipelineConfigError(`default:${key} is not supported`);
+        }
+        defaults[key] = document.default[key];
+      }
+    }
+
+    return defaults;
+  }
+
+  /**
+   * Merge the templates a job extends into it
+   */
+  resolveExtends(document, name, definition, chain = []) {
+    if (!isObject(definition)) {
+      throw new PipelineConfigError(`Job ${name} must be a mapping`);
+    }
+
+    if (definition.extends === undefined) {
+      return definition;
+    }
+
+    if (chain.includes(name) || chain.length >= 10) {
+      throw new PipelineConfigError(`Job ${chain[0]} has circular or too deeply nested extends`);
+    }
+
+    let merged = {};
+    for (const parent of toStringList(definition.extends, `${name}:extends`)) {
+      if (!isObject(document[parent])) {
+        throw new PipelineConfigError(`Job ${name} extends unknown job ${parent}`);
+      }
+      merged = deepMerge(merged, this.resolveExtends(document, parent, document[parent], [...chain, name]));
+    }
+
+    const { extends: _ignored, ...own } = definition;
+    return deepMerge(merged, own);
+  }
+
+  /**
+   * Build the runnable instances of one job definition
+   * @returns {Object[]} No instances when the job is filtered out
+   */
+  buildJob(name, definition, { stages, defaults, globalVariables, ruleVariables, context }) {
+    const stage = definition.stage === undefined ? 'test' : String(definition.stage);
+    if (!stages.includes(stage)) {
+      throw new PipelineConfigError(`Job ${name} uses stage ${stage}, which is not listed in stages`);
+    }
+
+    const jobVariables = toVariables(definition.variables, `${name}:variables`);
+    let when = definition.when === undefined ? 'on_success' : definition.when;
+    let allowFailure = definition.allow_failure === true;
+    let extraVariables = {};
+
+    if (!WHEN_VALUES.includes(when)) {
+      throw new PipelineConfigError(`Job ${name} has invalid when: ${when}`);
+    }
+
+    if (definition.rules !== undefined) {
+      if (definition.only !== undefined || definition.except !== undefined) {
+        throw new PipelineConfigError(`Job ${name} cannot use rules together with only/except`);
+      }
+
+      const outcome = this.evaluateRules(definition.rules, { ...ruleVariables, ...jobVariables }, name);
+      if (!outcome) return [];
+
+      when = outcome.when || when;
+      if (outcome.allowFailure !== undefined) allowFailure = outcome.allowFailure;
+      extraVariables = outcome.variables;
+    } else {
+      const variables = { ...ruleVariables, ...jobVariables };
+
+      if (definition.only !== undefined && !this.matchesRefs(definition.only, context, variables, `${name}:only`)) {
+        return [];
+      }
+      if (definition.except !== undefined && this.matchesRefs(definition.except, context, variables, `${name}:except`)) {
+        return [];
+      }
+    }
+
+    if (when === 'never') return [];
+
+    const base = {
+      stage,
+      when,
+      allowFailure,
+      image: pick(definition, defaults, 'image'),
+      tags: toStringList(pick(definition, defaults, 'tags') || [], `${name}:tags`),
+      beforeScript: toScript(pick(definition, defaults, 'before_script'), `${name}:before_script`),
+      script: toScript(definition.script, `${name}:script`),
+      afterScript: toScript(pick(definition, defaults, 'after_script'), `${name}:after_script`),
+      timeout: definition.timeout !== undefined || defaults.timeout !== undefined
+        ? parseDuration(pick(definition, defaults, 'timeout'), `${name}:timeout`)
+        : context.defaultTimeout || null,
+      retry: toRetry(pick(definition, defaults, 'retry'), name),
+      trigger: toTrigger(definition.trigger, name)
+    };
+
+    if (base.trigger && base.script.length > 0) {
+      throw new PipelineConfigError(`Job ${name} cannot have both script and trigger`);
+    }
+    if (!base.trigger && base.script.length === 0) {
+      throw new PipelineConfigError(`Job ${name} must have a script`);
+    }
+
+    return this.expandParallel(name, definition.parallel).map(instance => {
+      const variables = { ...globalVariables, ...jobVariables, ...extraVariables, ...instance.variables };
+      const expand = value => expandVariables(value, { ...context.variables, ...variables });
+
+      return {
+        ...base,
+        name: instance.name,
+        baseName: name,
+        variables,
+        image: base.image ? expand(String(base.image)) : null,
+        cache: toCache(pick(definition, defaults, 'cache'), name, expand),
+        artifacts: toArtifacts(pick(definition, defaults, 'artifacts'), name, expand),
+        declaredNeeds: definition.needs,
+        declaredDependencies: definition.dependencies
+      };
+    });
+  }
+
+  /**
+   * Expand parallel: N and parallel: matrix into named instances
+   */
+  expandParallel(name, parallel) {
+    if (parallel === undefined) {
+      return [{ name, variables: {} }];
+    }
+
+    if (Number.isInteger(parallel)) {
+      if (parallel < 1 || parallel > MAX_PARALLEL) {
+        throw new PipelineConfigError(`Job ${name} parallel must be between 1 and ${MAX_PARALLEL}`);
+      }
+
+      return Array.from({ length: parallel }, (_, index) => ({
+        name: parallel === 1 ? name : `${name} ${index + 1}/${parallel}`,
+        variables: { CI_NODE_INDEX: String(index + 1), CI_NODE_TOTAL: String(parallel) }
+      }));
+    }
+
+    if (!isObject(parallel) || !Array.isArray(parallel.matrix)) {
+      throw new PipelineConfigError(`Job ${name} parallel must be a number or a matrix`);
+    }
+
+    const combinations = [];
+
+    for (const entry of parallel.matrix) {
+      if (!isObject(entry)) {
+        throw new PipelineConfigError(`Job ${name} parallel:matrix entries must be mappings`);
+      }
+
+      let partial = [{}];
+      for (const [key, values] of Object.entries(entry)) {
+        const list = Array.isArray(values) ? values : [values];
+        partial = partial.flatMap(combination => list.map(value => ({ ...combination, [key]: String(value) })));
+      }
+      combinations.push(...partial);
+    }
+
+    if (combinations.length === 0 || combinations.length > MAX_PARALLEL) {
+      throw new PipelineConfigError(`Job ${name} parallel:matrix must produce between 1 and ${MAX_PARALLEL} jobs`);
+    }
+
+    return combinations.map(variables => ({
+      name: `${name}: [${Object.values(variables).join(', ')}]`,
+      variables
+    }));
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Job Graph
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Resolve needs and artifact dependencies to job instance names
+   */
+  linkNeeds(jobs, stages) {
+    const byName = new Map(jobs.map(job => [job.name, job]));
+    const byBaseName = new Map();
+
+    for (const job of jobs) {
+      if (!byBaseName.has(job.baseName)) byBaseName.set(job.baseName, []);
+      byBaseName.get(job.baseName).push(job.name);
+    }
+
+    const resolve = (job, reference, optional) => {
+      if (byName.has(reference)) return [reference];
+      if (byBaseName.has(reference)) return byBaseName.get(reference);
+      if (optional) return [];
+
+      throw new PipelineConfigError(`Job ${job.name} needs ${reference}, which is not in this pipeline`);
+    };
+
+    for (const job of jobs) {
+      const stageIndex = stages.indexOf(job.stage);
+      const earlier = jobs
+        .filter(other => stages.indexOf(other.stage) < stageIndex)
+        .map(other => other.name);
+
+      if (job.declaredNeeds === undefined) {
+        job.needs = earlier;
+        job.dependencies = earlier;
+      } else {
+        if (!Array.isArray(job.declaredNeeds)) {
+          throw new PipelineConfigError(`Job ${job.name} needs must be a list`);
+        }
+
+        job.needs = [];
+        job.dependencies = [];
+
+        for (const need of job.declaredNeeds) {
+          const entry = typeof need === 'string' ? { job: need } : need;
+          if (!isObject(entry) || typeof entry.job !== 'string') {
+            throw new PipelineConfigError(`Job ${job.name} has an invalid needs entry`);
+          }
+
+          const names = resolve(job, entry.job, entry.optional === true);
+          job.needs.push(...names);
+          if (entry.artifacts !== false) job.dependencies.push(...names);
+        }
+      }
+
+      if (job.declaredDependencies !== undefined) {
+        job.dependencies = toStringList(job.declaredDependencies, `${job.name}:dependencies`)
+          .flatMap(reference => resolve(job, reference, false));
+      }
+
+      job.needs = [...new Set(job.needs)];
+      job.dependencies = [...new Set(job.dependencies)];
+
+      if (job.needs.includes(job.name)) {
+        throw new PipelineConfigError(`Job ${job.name} cannot need itself`);
+      }
+
+      delete job.declaredNeeds;
+      delete job.declaredDependencies;
+    }
+  }
+
+  /**
+   * Order jobs so every job comes after the jobs it needs
+   */
+  sortJobs(jobs) {
+    const byName = new Map(jobs.map(job => [job.name, job]));
+    const sorted = [];
+    const state = new Map();
+
+    const visit = (job, path) => {
+      if (state.get(job.name) === 'done') return;
+      if (state.get(job.name) === 'visiting') {
+        throw new PipelineConfigError(`Jobs have circular needs: ${[...path, job.name].join(' -> ')}`);
+      }
+
+      state.set(job.name, 'visiting');
+      for (const need of job.needs) {
+        visit(byName.get(need), [...path, job.name]);
+      }
+      state.set(job.name, 'done');
+      sorted.push(job);
+    };
+
+    for (const job of jobs) visit(job, []);
+
+    return sorted;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Rules, only & except
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Find the first matching rule
+   * @returns {{ when: string|null, allowFailure: boolean|undefined, variables: Object }|null}
+   */
+  evaluateRules(rules, variables, name) {
+    if (!Array.isArray(rules)) {
+      throw new PipelineConfigError(`${name}:rules must be a list`);
+    }
+
+    for (const rule of rules) {
+      if (!isObject(rule)) {
+        throw new PipelineConfigError(`${name}:rules entries must be mappings`);
+      }
+
+      for (const key of ['changes', 'exists']) {
+        if (rule[key] !== undefined) {
+          throw new PipelineConfigError(`${name}:rules:${key} is not supported`);
+        }
+      }
+
+      if (rule.when !== undefined && !WHEN_VALUES.includes(rule.when)) {
+        throw new PipelineConfigError(`${name}:rules has invalid when: ${rule.when}`);
+      }
+
+      if (rule.if === undefined || evaluateCondition(String(rule.if), variables)) {
+        return {
+          when: rule.when || null,
+          allowFailure: rule.allow_failure,
+          variables: toVariables(rule.variables, `${name}:rules:variables`)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check an only/except clause against the pipeline's ref and source
+   */
+  matchesRefs(clause, context, variables, name) {
+    const { refs, conditions } = Array.isArray(clause) || typeof clause === 'string'
+      ? { refs: toStringList(clause, name), conditions: [] }
+      : this.readRefsClause(clause, name);
+
+    const refMatches = refs.length === 0 || refs.some(ref => {
+      if (Object.prototype.hasOwnProperty.call(REF_KEYWORDS, ref)) {
+        return REF_KEYWORDS[ref] === null || REF_KEYWORDS[ref].includes(context.source);
+      }
+      if (ref === 'tags') {
+        return false;
+      }
+
+      const pattern = parseRegex(ref);
+      return pattern ? pattern.test(context.ref || '') : ref === context.ref;
+    });
+
+    const conditionMatches = conditions.length === 0 ||
+      conditions.some(condition => evaluateCondition(condition, variables));
+
+    return refMatches && conditionMatches;
+  }
+
+  readRefsClause(clause, name) {
+    if (!isObject(clause)) {
+      throw new PipelineConfigError(`${name} must be a list or a mapping`);
+    }
+
+    for (const key of Object.keys(clause)) {
+      if (key !== 'refs' && key !== 'variables') {
+        throw new PipelineConfigError(`${name}:${key} is not supported`);
+      }
+    }
+
+    return {
+      refs: toStringList(clause.refs || [], `${name}:refs`),
+      conditions: toStringList(clause.variables || [], `${name}:variables`)
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Stage-based Pipelines
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Convert a pipeline's configured stages into a pipeline document, for
+   * repositories without a .exprsn-ci.yml
+   *
+   * Each stage becomes a job running its shell, Docker and Kubernetes steps in
+   * order; workflow steps become trigger jobs in the same stage.
+   */
+  fromStages(stages = []) {
+    const document = { stages: stages.map(stage => stage.name) };
+
+    for (const stage of stages) {
+      const script = [];
+
+      for (const step of stage.steps || []) {
+        switch (step.type) {
+          case 'shell':
+            script.push(withEnv(step.command, step.env));
+            break;
+
+          case 'docker_build': {
+            const tag = step.tag || '$CI_PROJECT_ID:$CI_COMMIT_SHORT_SHA';
+            const dockerfile = step.dockerfile || 'Dockerfile';
+            script.push(['docker build', `-t ${tag}`, `-f ${dockerfile}`, step.buildArgs, '.'].filter(Boolean).join(' '));
+            break;
+          }
+
+          case 'docker_push':
+            script.push(`docker push ${step.image}`);
+            break;
+
+          case 'kubernetes_deploy':
+            script.push(`kubectl apply -f ${step.manifestPath || 'k8s/deployment.yaml'} -n ${step.namespace || 'default'}`);
+            break;
+
+          case 'workflow':
+            document[`${stage.name}: ${step.name}`] = {
+              stage: stage.name,
+              trigger: { workflow: step.workflowId, data: step.data || {} }
+            };
+            break;
+
+          default:
+            logger.warn(`Unknown step type: ${step.type}`, { stage: stage.name, step: step.name });
+        }
+      }
+
+      if (script.length > 0) {
+        document[stage.name] = { stage: stage.name, script };
+      }
+    }
+
+    return document;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// Value Helpers
+// ═══════════════════════════════════════════════════════════
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function pick(definition, defaults, key) {
+  return definition[key] !== undefined ? definition[key] : defaults[key];
+}
+
+function deepMerge(target, source) {
+  const result = { ...target };
+
+  for (const [key, value] of Object.entries(source)) {
+    result[key] = isObject(value) && isObject(result[key]) ? deepMerge(result[key], value) : value;
+  }
+
+  return result;
+}
+
+function toStringList(value, name) {
+  if (typeof value === 'string') return [value];
+
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+    throw new PipelineConfigError(`${name} must be a list of strings`);
+  }
+
+  return value.map(String);
+}
+
+function toVariables(value, name) {
+  if (value === undefined || value === null) return {};
+
+  if (!isObject(value)) {
+    throw new PipelineConfigError(`${name} must be a mapping`);
+  }
+
+  const variables = {};
+  for (const [key, entry] of Object.entries(value)) {
+    // { value, description } is accepted for documented variables
+    const raw = isObject(entry) ? entry.value : entry;
+    if (raw !== null && typeof raw === 'object') {
+      throw new PipelineConfigError(`${name}:${key} must be a string`);
+    }
+    variables[key] = raw === null || raw === undefined ? '' : String(raw);
+  }
+
+  return variables;
+}
+
+function toScript(value, name) {
+  if (value === undefined || value === null) return [];
+  if (typeof value === 'string') return [value];
+
+  if (!Array.isArray(value)) {
+    throw new PipelineConfigError(`${name} must be a string or a list of commands`);
+  }
+
+  return value.flat(Infinity).map(line => {
+    if (typeof line !== 'string' && typeof line !== 'number') {
+      throw new PipelineConfigError(`${name} must contain only commands`);
+    }
+    return String(line);
+  });
+}
+
+function toRetry(value, name) {
+  if (value === undefined) return 0;
+
+  const max = isObject(value) ? value.max : value;
+  if (!Number.isInteger(max) || max < 0 || max > 2) {
+    throw new PipelineConfigError(`Job ${name} retry must be 0, 1 or 2`);
+  }
+
+  return max;
+}
+
+function toTrigger(value, name) {
+  if (value === undefined) return null;
+
+  if (!isObject(value) || !value.workflow) {
+    throw new PipelineConfigError(`Job ${name} trigger must name a workflow`);
+  }
+
+  return { workflow: String(value.workflow), data: isObject(value.data) ? value.data : {} };
+}
+
+function toCache(value, name, expand) {
+  if (value === undefined || value === null) return [];
+
+  return (Array.isArray(value) ? value : [value]).map(entry => {
+    if (!isObject(entry)) {
+      throw new PipelineConfigError(`Job ${name} cache entries must be mappings`);
+    }
+
+    const policy = entry.policy || 'pull-push';
+    const scope = entry.scope || 'branch';
+
+    if (!CACHE_POLICIES.includes(policy)) {
+      throw new PipelineConfigError(`Job ${name} cache policy must be one of: ${CACHE_POLICIES.join(', ')}`);
+    }
+    if (!CACHE_SCOPES.includes(scope)) {
+      throw new PipelineConfigError(`Job ${name} cache scope must be one of: ${CACHE_SCOPES.join(', ')}`);
+    }
+    if (entry.key !== undefined && typeof entry.key !== 'string') {
+      throw new PipelineConfigError(`Job ${name} cache key must be a string`);
+    }
+
+    return {
+      key: expand(entry.key || 'default'),
+      paths: toStringList(entry.paths || [], `${name}:cache:paths`),
+      policy,
+      scope
+    };
+  });
+}
+
+function toArtifacts(value, name, expand) {
+  if (value === undefined || value === null) return null;
+
+  if (!isObject(value)) {
+    throw new PipelineConfigError(`Job ${name} artifacts must be a mapping`);
+  }
+
+  const when = value.when || 'on_success';
+  if (!['on_success', 'on_failure', 'always'].includes(when)) {
+    throw new PipelineConfigError(`Job ${name} artifacts:when must be on_success, on_failure or always`);
+  }
+
+  const type = value.type || 'archive';
+  if (!ARTIFACT_TYPES.includes(type)) {
+    throw new PipelineConfigError(`Job ${name} artifacts:type must be one of: ${ARTIFACT_TYPES.join(', ')}`);
+  }
+
+  return {
+    name: expand(value.name ? String(value.name) : name),
+    paths: toStringList(value.paths || [], `${name}:artifacts:paths`),
+    exclude: toStringList(value.exclude || [], `${name}:artifacts:exclude`),
+    when,
+    type,
+    expireIn: value.expire_in === undefined || value.expire_in === 'never'
+      ? null
+      : parseDuration(value.expire_in, `${name}:artifacts:expire_in`)
+  };
+}
+
+function withEnv(command, env) {
+  if (!isObject(env)) return command;
+
+  const assignments = Object.entries(env).map(([key, value]) => `${key}=${shellQuote(String(value))}`);
+  return assignments.length > 0 ? `export ${assignments.join(' ')}; ${command}` : command;
+}
+
+function shellQuote(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Replace $VAR and ${VAR} references; unknown variables expand to ''
+ */
+function expandVariables(value, variables) {
+  return value.replace(/\$(?:\{([A-Za-z_][A-Za-z0-9_]*)\}|([A-Za-z_][A-Za-z0-9_]*))/g,
+    (_, braced, bare) => variables[braced || bare] || '');
+}
+
+const DURATION_UNITS = {
+  s: 1, sec: 1, second: 1, seconds: 1,
+  m: 60, min: 60, mins: 60, minute: 60, minutes: 60,
+  h: 3600, hr: 3600, hour: 3600, hours: 3600,
+  d: 86400, day: 86400, days: 86400,
+  w: 604800, week: 604800, weeks: 604800
+};
+
+/**
+ * Parse "1h 30m", "2 days" or a number of seconds
+ * @returns {number} Seconds
+ */
+function parseDuration(value, name) {
+  if (typeof value === 'number' && value > 0) return Math.floor(value);
+
+  const text = String(value).trim().toLowerCase();
+  const pattern = /(\d+)\s*([a-z]+)/g;
+  let total = 0;
+  let consumed = '';
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const unit = DURATION_UNITS[match[2]];
+    if (!unit) break;
+    total += parseInt(match[1], 10) * unit;
+    consumed += match[0];
+  }
+
+  if (total === 0 || consumed.replace(/\s/g, '') !== text.replace(/\s/g, '')) {
+    throw new PipelineConfigError(`${name} is not a valid duration: ${value}`);
+  }
+
+  return total;
+}
+
+function parseRegex(text) {
+  const match = /^\/(.*)\/([imsu]*)$/.exec(text);
+  if (!match) return null;
+
+  try {
+    return new RegExp(match[1], match[2]);
+  } catch (error) {
+    throw new PipelineConfigError(`Invalid regular expression ${text}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// Rule Conditions
+// ═══════════════════════════════════════════════════════════
+
+const TOKEN_PATTERN = /\s*(?:(&&|\|\||==|!=|=~|!~|\(|\))|\$\{?([A-Za-z_][A-Za-z0-9_]*)\}?|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(\/(?:[^/\\]|\\.)*\/[imsu]*)|(null)\b)/y;
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN_PATTERN.lastIndex))) break;
+
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      throw new PipelineConfigError(`Cannot parse condition "${expression}" at position ${start + 1}`);
+    }
+
+    const [, operator, variable, doubleQuoted, singleQuoted, regex, nullLiteral] = match;
+
+    if (operator) tokens.push({ type: 'op', value: operator });
+    else if (variable) tokens.push({ type: 'variable', value: variable });
+    else if (doubleQuoted !== undefined) tokens.push({ type: 'string', value: doubleQuoted.replace(/\\(.)/g, '$1') });
+    else if (singleQuoted !== undefined) tokens.push({ type: 'string', value: singleQuoted.replace(/\\(.)/g, '$1') });
+    else if (regex) tokens.push({ type: 'regex', value: regex });
+    else if (nullLiteral) tokens.push({ type: 'null', value: null });
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluate a rules:if condition such as
+ *   $CI_COMMIT_BRANCH == "main" && ($DEPLOY || $CI_COMMIT_REF_NAME =~ /^release\//)
+ */
+function evaluateCondition(expression, variables) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+
+  const operand = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new PipelineConfigError(`Condition "${expression}" ends unexpectedly`);
+    }
+
+    switch (token.type) {
+      case 'variable': {
+        const value = variables[token.value];
+        return value === undefined ? null : value;
+      }
+      case 'string':
+      case 'regex':
+      case 'null':
+        return token.value;
+      default:
+        throw new PipelineConfigError(`Unexpected "${token.value}" in condition "${expression}"`);
+    }
+  };
+
+  const primary = () => {
+    if (isOp('(')) {
+      position++;
+      const value = or();
+      if (!isOp(')')) {
+        throw new PipelineConfigError(`Missing ) in condition "${expression}"`);
+      }
+      position++;
+      return value;
+    }
+
+    const left = operand();
+    const next = peek();
+
+    if (!next || next.type !== 'op' || !['==', '!=', '=~', '!~'].includes(next.value)) {
+      return left !== null && left !== '';
+    }
+
+    position++;
+    const right = operand();
+
+    if (next.value === '==') return left === right;
+    if (next.value === '!=') return left !== right;
+
+    const pattern = parseRegex(String(right));
+    if (!pattern) {
+      throw new PipelineConfigError(`${next.value} needs a /regular expression/ in condition "${expression}"`);
+    }
+
+    const matched = left !== null && pattern.test(left);
+    return next.value === '=~' ? matched : !matched;
+  };
+
+  const and = () => {
+    let value = primary();
+    while (isOp('&&')) {
+      position++;
+      value = primary() && value;
+    }
+    return value;
+  };
+
+  const or = () => {
+    let value = and();
+    while (isOp('||')) {
+      position++;
+      value = and() || value;
+    }
+    return value;
+  };
+
+  const result = or();
+  if (position < tokens.length) {
+    throw new PipelineConfigError(`Unexpected "${tokens[position].value}" in condition "${expression}"`);
+  }
+
+  return result;
+}
+
+module.exports = PipelineConfigParser;
+module.exports.PipelineConfigError = PipelineConfigError;
+module.exports.CONFIG_FILE = CONFIG_FILE;
+module.exports.PIPELINE_SOURCES = PIPELINE_SOURCES;
+module.exports.evaluateCondition = evaluateCondition;
+module.exports.expandVariables = expandVariables;
+module.exports.parseDuration = parseDuration;
@@ -0,0 +1,195 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Dependency Scanner
+ * Matches locked npm packages against the local advisory database
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const semver = require('semver');
+const LockfileParser = require('../parsers/LockfileParser');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// GitHub advisory database labels in OSV database_specific.severity
+const SEVERITY_ALIASES = { moderate: 'medium' };
+
+class DependencyScanner {
+  constructor() {
+    this.parser = new LockfileParser();
+  }
+
+  /**
+   * Scan lockfiles against advisories
+   * lockfiles: [{ path, content }]
+   * findAdvisories: async (packageNames) => advisory records for those packages
+   */
+  async scan(lockfiles, findAdvisories) {
+    const parsed = [];
+    const errors = [];
+
+    for (const lockfile of lockfiles) {
+      try {
+        parsed.push({ path: lockfile.path, packages: this.parser.parse(lockfile.path, lockfile.content) });
+      } catch (error) {
+        errors.push({ file: lockfile.path, message: error.message });
+      }
+    }
+
+    const names = [...new Set(parsed.flatMap(file => file.packages.map(pkg => pkg.name)))];
+    const advisories = names.length > 0 ? await findAdvisories(names) : [];
+
+    const byPackage = new Map();
+    advisories.forEach(advisory => {
+      if (!byPackage.has(advisory.packageName)) byPackage.set(advisory.packageName, []);
+      byPackage.get(advisory.packageName).push(advisory);
+    });
+
+    const findings = [];
+
+    for (const file of parsed) {
+      for (const pkg of file.packages) {
+        for (const advisory of byPackage.get(pkg.name) || []) {
+          if (!this.isAffected(pkg.version, advisory)) continue;
+
+          findings.push({
+            fingerprint: this.fingerprint(file.path, pkg, advisory.advisoryId),
+            type: 'dependency',
+            severity: advisory.severity,
+            title: advisory.summary || `${advisory.advisoryId} in ${pkg.name}`,
+            file: file.path,
+            packageName: pkg.name,
+            version: pkg.version,
+            dev: pkg.dev,
+            advisoryId: advisory.advisoryId,
+            aliases: advisory.aliases || [],
+            fixedIn: this.fixedVersion(pkg.version, advisory),
+            url: advisory.url || null
+          });
+        }
+      }
+    }
+
+    return {
+      lockfiles: parsed.map(file => file.path),
+      packagesScanned: parsed.reduce((total, file) => total + file.packages.length, 0),
+      findings,
+      errors
+    };
+  }
+
+  /**
+   * Check a version against an advisory's explicit versions and OSV ranges
+   */
+  isAffected(version, advisory) {
+    if ((advisory.versions || []).includes(version)) {
+      return true;
+    }
+
+    if (!semver.valid(version)) {
+      return false;
+    }
+
+    return (advisory.ranges || []).some(range => {
+      if (!['SEMVER', 'ECOSYSTEM'].includes(range.type)) return false;
+
+      // OSV evaluation: walk events in version order, toggling affected state
+      let affected = false;
+
+      for (const event of this.sortEvents(range.events)) {
+        if (event.introduced !== undefined && this.atLeast(version, event.introduced)) {
+          affected = true;
+        } else if (event.fixed !== undefined && this.atLeast(version, event.fixed)) {
+          affected = false;
+        } else if (event.last_affected !== undefined && semver.gt(version, event.last_affected)) {
+          affected = false;
+        }
+      }
+
+      return affected;
+    });
+  }
+
+  /**
+   * Lowest fixed version above the installed one, if the advisory has one
+   */
+  fixedVersion(version, advisory) {
+    const fixed = (advisory.ranges || [])
+      .flatMap(range => (range.events || []).map(event => event.fixed))
+      .filter(candidate => semver.valid(candidate) && semver.valid(version) && semver.gt(candidate, version))
+      .sort(semver.compare);
+
+    return fixed[0] || null;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Advisory Import
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Convert an OSV advisory document into one record per affected npm package
+   */
+  normalizeAdvisory(document) {
+    if (!document || typeof document !== 'object' || !document.id || !Array.isArray(document.affected)) {
+      throw new Error('Advisory must be an OSV document with id and affected');
+    }
+
+    const severity = this.normalizeSeverity(document.database_specific?.severity);
+
+    return document.affected
+      .filter(affected => affected.package?.ecosystem === 'npm' && affected.package?.name)
+      .map(affected => ({
+        advisoryId: document.id,
+        aliases: document.aliases || [],
+        ecosystem: 'npm',
+        packageName: affected.package.name,
+        severity: this.normalizeSeverity(affected.ecosystem_specific?.severity) || severity || 'medium',
+        summary: document.summary || null,
+        url: (document.references || []).find(reference => reference.type === 'ADVISORY')?.url
+          || (document.references || [])[0]?.url
+          || null,
+        ranges: (affected.ranges || []).map(range => ({ type: range.type, events: range.events || [] })),
+        versions: affected.versions || [],
+        publishedAt: document.published ? new Date(document.published) : null,
+        modifiedAt: document.modified ? new Date(document.modified) : null,
+        withdrawnAt: document.withdrawn ? new Date(document.withdrawn) : null
+      }));
+  }
+
+  normalizeSeverity(severity) {
+    if (!severity) return null;
+
+    const normalized = String(severity).toLowerCase();
+    const mapped = SEVERITY_ALIASES[normalized] || normalized;
+
+    return SEVERITIES.includes(mapped) ? mapped : null;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Helper Methods
+  // ═══════════════════════════════════════════════════════════
+
+  sortEvents(events = []) {
+    const eventVersion = (event) => {
+      const value = event.introduced ?? event.fixed ?? event.last_affected;
+      return value === '0' ? '0.0.0-0' : value;
+    };
+
+    return events
+      .filter(event => semver.valid(eventVersion(event)))
+      .sort((a, b) => semver.compare(eventVersion(a), eventVersion(b)));
+  }
+
+  atLeast(version, bound) {
+    return bound === '0' || semver.gte(version, bound);
+  }
+
+  fingerprint(file, pkg, advisoryId) {
+    return crypto.createHash('sha256')
+      .update(`dependency:${file}:${pkg.name}@${pkg.version}:${advisoryId}`)
+      .digest('hex');
+  }
+}
+
+module.exports = DependencyScanner;
+module.exports.SEVERITIES = SEVERITIES;
@@ -0,0 +1,352 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Secret Scanner
+ * Finds credentials in added lines of git history
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+const ALLOWLIST_FILE = '.exprsn-secrets.yml';
+
+// Lines carrying this marker are never reported
+const INLINE_ALLOW = 'exprsn:allow-secret';
+
+// Commit header delimiters written by LOG_FORMAT (%x1e / %x1f)
+const COMMIT_MARKER = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+
+/**
+ * Detection rules. The first capture group is the secret; rules with an
+ * entropy threshold only report values random enough to be real credentials.
+ */
+const RULES = [
+  {
+    id: 'private-key',
+    title: 'Private key',
+    severity: 'critical',
+    pattern: /(-----BEGIN (?:RSA |DSA |EC |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----)/
+  },
+  {
+    id: 'aws-access-key-id',
+    title: 'AWS access key ID',
+    severity: 'high',
+    pattern: /\b((?:AKIA|ASIA)[0-9A-Z]{16})\b/
+  },
+  {
+    id: 'aws-secret-access-key',
+    title: 'AWS secret access key',
+    severity: 'critical',
+    pattern: /aws.{0,20}?(?:secret|key).{0,20}?['"]([0-9a-zA-Z/+]{40})['"]/i,
+    entropy: 4.0
+  },
+  {
+    id: 'github-token',
+    title: 'GitHub token',
+    severity: 'high',
+    pattern: /\b(gh[pousr]_[0-9A-Za-z]{36,255}|github_pat_[0-9A-Za-z_]{82})\b/
+  },
+  {
+    id: 'gitlab-token',
+    title: 'GitLab personal access token',
+    severity: 'high',
+    pattern: /\b(glpat-[0-9A-Za-z_-]{20})\b/
+  },
+  {
+    id: 'exprsn-token',
+    title: 'Exprsn access token',
+    severity: 'high',
+    pattern: /\b(exprsn_(?:pat|runner|oauth)_[0-9a-f]{32,})\b/
+  },
+  {
+    id: 'slack-token',
+    title: 'Slack token',
+    severity: 'high',
+    pattern: /\b(xox[abprs]-[0-9A-Za-z-]{10,})\b/
+  },
+  {
+    id: 'slack-webhook',
+    title: 'Slack webhook URL',
+    severity: 'medium',
+    pattern: /(https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9]+\/[A-Za-z0-9]+\/[A-Za-z0-9]+)/
+  },
+  {
+    id: 'stripe-secret-key',
+    title: 'Stripe secret key',
+    severity: 'critical',
+    pattern: /\b((?:sk|rk)_live_[0-9a-zA-Z]{24,99})\b/
+  },
+  {
+    id: 'google-api-key',
+    title: 'Google API key',
+    severity: 'high',
+    pattern: /\b(AIza[0-9A-Za-z_-]{35})\b/
+  },
+  {
+    id: 'jwt',
+    title: 'JSON Web Token',
+    severity: 'medium',
+    pattern: /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})\b/
+  },
+  {
+    id: 'generic-secret',
+    title: 'Hard-coded secret',
+    severity: 'medium',
+    pattern: /(?:api[_-]?key|secret|token|passw(?:or)?d|credential)s?["']?\s*[:=]\s*["']([^"'\s]{12,})["']/i,
+    entropy: 3.5
+  }
+];
+
+class SecretScanner {
+  constructor(rules = RULES) {
+    this.rules = rules;
+  }
+
+  /**
+   * Scan `git log -p` output produced with SecretScanner.LOG_FORMAT
+   * Only added lines are checked; each secret is reported once, at the
+   * oldest commit that introduced it.
+   */
+  scanLog(output, { allowlist = {}, excludedPaths = [] } = {}) {
+    const findings = new Map();
+    let commits = 0;
+    let commit = null;
+    let file = null;
+    let line = 0;
+    let inHunk = false;
+
+    for (const text of String(output).split('\n')) {
+      if (text.startsWith(COMMIT_MARKER)) {
+        const [sha, author, email, date] = text.slice(COMMIT_MARKER.length).split(FIELD_SEPARATOR);
+        commit = { sha, author, email, date };
+        commits++;
+        file = null;
+        inHunk = false;
+        continue;
+      }
+
+      if (text.startsWith('diff --git ')) {
+        file = null;
+        inHunk = false;
+        continue;
+      }
+
+      if (!inHunk) {
+        if (text.startsWith('+++ ')) {
+          file = text === '+++ /dev/null' ? null : this.unquotePath(text.slice(4)).replace(/^b\//, '');
+        } else if (text.startsWith('@@')) {
+          line = this.hunkStart(text);
+          inHunk = true;
+        }
+        continue;
+      }
+
+      if (text.startsWith('@@')) {
+        line = this.hunkStart(text);
+      } else if (text.startsWith('+')) {
+        if (file && !this.isExcluded(file, excludedPaths, allowlist)) {
+          this.scanLine(text.slice(1), { file, line, commit }, allowlist)
+            .forEach(finding => findings.set(finding.fingerprint, finding));
+        }
+        line++;
+      } else if (text.startsWith(' ')) {
+        line++;
+      } else if (!text.startsWith('-') && !text.startsWith('\\')) {
+        inHunk = false;
+      }
+    }
+
+    return { commitsScanned: commits, findings: [...findings.values()] };
+  }
+
+  /**
+   * Check one line of content against every enabled rule
+   */
+  scanLine(content, { file, line, commit = null }, allowlist = {}) {
+    if (content.includes(INLINE_ALLOW)) {
+      return [];
+    }
+
+    const findings = [];
+
+    for (const rule of this.rules) {
+      if ((allowlist.rules || []).includes(rule.id)) continue;
+
+      const match = content.match(rule.pattern);
+      if (!match) continue;
+
+      const secret = match[1] || match[0];
+
+      if (rule.entropy && this.entropy(secret) < rule.entropy) continue;
+      if ((allowlist.regexes || []).some(regex => regex.test(secret))) continue;
+
+      const fingerprint = this.fingerprint(rule.id, file, secret);
+      if ((allowlist.fingerprints || []).includes(fingerprint)) continue;
+
+      findings.push({
+        fingerprint,
+        type: 'secret',
+        rule: rule.id,
+        severity: rule.severity,
+        title: `${rule.title} in ${file}`,
+        file,
+        line,
+        match: this.redact(secret),
+        commitSha: commit?.sha || null,
+        author: commit?.author || null,
+        committedAt: commit?.date || null
+      });
+    }
+
+    return findings;
+  }
+
+  /**
+   * Parse the repository allowlist file
+   *
+   *   allowlist:
+   *     paths: [test/fixtures/**]   # globs that are never scanned
+   *     regexes: ['^EXAMPLE']       # matched against the detected secret
+   *     fingerprints: [<sha256>]    # findings accepted after review
+   *     rules: [jwt]                # rules switched off for this repository
+   */
+  parseAllowlist(source) {
+    if (!source) {
+      return { paths: [], regexes: [], fingerprints: [], rules: [] };
+    }
+
+    let document;
+
+    try {
+      document = yaml.load(source, { schema: yaml.CORE_SCHEMA }) || {};
+    } catch (error) {
+      throw new Error(`Invalid ${ALLOWLIST_FILE}: ${error.message}`);
+    }
+
+    const allowlist = document.allowlist || {};
+    const list = (key) => {
+      const value = allowlist[key] || [];
+      if (!Array.isArray(value)) {
+        throw new Error(`Invalid ${ALLOWLIST_FILE}: allowlist.${key} must be a list`);
+      }
+      return value.map(String);
+    };
+
+    return {
+      paths: list('paths'),
+      regexes: list('regexes').map(pattern => {
+        try {
+          return new RegExp(pattern);
+        } catch (error) {
+          throw new Error(`Invalid ${ALLOWLIST_FILE}: ${error.message}`);
+        }
+      }),
+      fingerprints: list('fingerprints'),
+      rules: list('rules')
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Helper Methods
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Shannon entropy in bits per character
+   */
+  entropy(value) {
+    const counts = new Map();
+    for (const char of value) {
+      counts.set(char, (counts.get(char) || 0) + 1);
+    }
+
+    let entropy = 0;
+    for (const count of counts.values()) {
+      const probability = count / value.length;
+      entropy -= probability * Math.log2(probability);
+    }
+
+    return entropy;
+  }
+
+  isExcluded(file, excludedPaths = [], allowlist = {}) {
+    return [...excludedPaths, ...(allowlist.paths || [])].some(pattern => this.matchPath(pattern, file));
+  }
+
+  /**
+   * Match a path glob: "*" stays within a directory, "**" crosses them,
+   * a trailing "/" matches everything below and a bare name matches any file with that name
+   */
+  matchPath(pattern, file) {
+    if (pattern.endsWith('/')) {
+      return file.startsWith(pattern) || file.includes(`/${pattern}`);
+    }
+
+    const source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*\*\/?/g, '\u0000')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]')
+      .replace(/\u0000/g, '.*');
+
+    const regex = new RegExp(pattern.includes('/') ? `^${source}$` : `(^|/)${source}$`);
+    return regex.test(file);
+  }
+
+  hunkStart(header) {
+    const match = header.match(/^@@ -\d+(?:,\d+)? \+(\d+)/);
+    return match ? parseInt(match[1], 10) : 0;
+  }
+
+  /**
+   * git quotes paths with unusual characters ("b/caf\303\251.txt")
+   */
+  unquotePath(value) {
+    if (!value.startsWith('"')) {
+      return value;
+    }
+
+    const bytes = [];
+    const body = value.slice(1, -1);
+
+    for (let index = 0; index < body.length; index++) {
+      if (body[index] !== '\\') {
+        bytes.push(...Buffer.from(body[index]));
+        continue;
+      }
+
+      const octal = body.slice(index + 1, index + 4);
+      if (/^[0-7]{3}$/.test(octal)) {
+        bytes.push(parseInt(octal, 8));
+        index += 3;
+      } else {
+        const escaped = body[++index];
+        bytes.push(...Buffer.from({ n: '\n', t: '\t' }[escaped] || escaped));
+      }
+    }
+
+    return Buffer.from(bytes).toString('utf8');
+  }
+
+  redact(secret) {
+    return secret.length <= 8 ? '*'.repeat(secret.length) : `${secret.slice(0, 4)}${'*'.repeat(secret.length - 4)}`;
+  }
+
+  fingerprint(ruleId, file, secret) {
+    return crypto.createHash('sha256').update(`secret:${ruleId}:${file}:${secret}`).digest('hex');
+  }
+}
+
+module.exports = SecretScanner;
+module.exports.RULES = RULES;
+module.exports.ALLOWLIST_FILE = ALLOWLIST_FILE;
+
+// `git log` arguments whose output scanLog() understands
+module.exports.LOG_FORMAT = [
+  '-p',
+  '--no-color',
+  '--no-ext-diff',
+  '--no-textconv',
+  '--unified=0',
+  '--format=%x1e%H%x1f%an%x1f%ae%x1f%aI'
+];
@@ -0,0 +1,55 @@
+/**
+ * Unit Tests for API Execution Engine
+ * Tests that formula error values fail an execution instead of becoming its result
+ */
+
+jest.mock('../../models', () => ({ Entity: {} }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+
+const ApiExecutionEngine = require('../../runtime/ApiExecutionEngine');
+
+describe('ApiExecutionEngine', () => {
+  const api = (expression) => ({
+    id: 'api-1',
+    path: '/totals',
+    method: 'POST',
+    enabled: true,
+    handlerType: 'jsonlex',
+    handlerConfig: { expression }
+  });
+
+  describe('execute()', () => {
+    test('should return the formula result', async () => {
+      const result = await ApiExecutionEngine.execute(api('request.body.price * request.body.qty'), {
+        body: { price: 5, qty: 3 }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toBe(15);
+    });
+
+    test('should fail on a formula error value', async () => {
+      const result = await ApiExecutionEngine.execute(api('request.body.total / request.body.count'), {
+        body: { total: 10, count: 0 }
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.data).toBeUndefined();
+      expect(result.error.code).toBe('FORMULA_ERROR');
+      expect(result.error.message).toBe('#DIV/0! Division by zero');
+    });
+
+    test('should fail on an unknown name', async () => {
+      const result = await ApiExecutionEngine.execute(api('Missing + 1'), { body: {} });
+
+      expect(result.success).toBe(false);
+      expect(result.error.message).toMatch(/^#NAME\?/);
+    });
+  });
+
+  describe('evaluateFormula()', () => {
+    test('should pass through values that handle their own errors', () => {
+      expect(ApiExecutionEngine.evaluateFormula('IFERROR(1 / x, 0)', { x: 0 })).toBe(0);
+    });
+  });
+});
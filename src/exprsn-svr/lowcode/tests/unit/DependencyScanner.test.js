@@ -0,0 +1,181 @@
+/**
+ * Unit Tests for Dependency Scanner
+ * Tests lockfile parsing, OSV range matching and advisory import
+ */
+
+const DependencyScanner = require('../../services/security/DependencyScanner');
+const LockfileParser = require('../../services/parsers/LockfileParser');
+
+describe('DependencyScanner', () => {
+  let scanner;
+
+  const osv = (overrides = {}) => ({
+    id: 'GHSA-aaaa-bbbb-cccc',
+    aliases: ['CVE-2021-23337'],
+    summary: 'Command injection in lodash',
+    published: '2021-02-15T00:00:00Z',
+    modified: '2021-03-01T00:00:00Z',
+    database_specific: { severity: 'HIGH' },
+    references: [
+      { type: 'WEB', url: 'https://example.com/post' },
+      { type: 'ADVISORY', url: 'https://github.com/advisories/GHSA-aaaa-bbbb-cccc' }
+    ],
+    affected: [{
+      package: { ecosystem: 'npm', name: 'lodash' },
+      ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '4.17.21' }] }]
+    }],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    scanner = new DependencyScanner();
+  });
+
+  describe('LockfileParser', () => {
+    const parser = new LockfileParser();
+
+    test('should read package-lock.json v2 packages', () => {
+      const packages = parser.parse('package-lock.json', JSON.stringify({
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'app', version: '1.0.0' },
+          'node_modules/lodash': { version: '4.17.20' },
+          'node_modules/@babel/core': { version: '7.0.0', dev: true },
+          'node_modules/a/node_modules/lodash': { version: '4.17.20', dev: true },
+          'node_modules/local': { resolved: 'packages/local', link: true }
+        }
+      }));
+
+      expect(packages).toEqual([
+        { name: 'lodash', version: '4.17.20', dev: false },
+        { name: '@babel/core', version: '7.0.0', dev: true }
+      ]);
+    });
+
+    test('should read nested package-lock.json v1 dependencies', () => {
+      const packages = parser.parse('npm-shrinkwrap.json', JSON.stringify({
+        lockfileVersion: 1,
+        dependencies: {
+          express: { version: '4.17.1', dependencies: { qs: { version: '6.7.0' } } }
+        }
+      }));
+
+      expect(packages.map(pkg => `${pkg.name}@${pkg.version}`)).toEqual(['express@4.17.1', 'qs@6.7.0']);
+    });
+
+    test('should read classic yarn.lock entries', () => {
+      const packages = parser.parse('web/yarn.lock', [
+        '# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.',
+        '# yarn lockfile v1',
+        '',
+        '"@babel/code-frame@^7.0.0", "@babel/code-frame@^7.10.4":',
+        '  version "7.12.13"',
+        '  resolved "https://registry.yarnpkg.com/@babel/code-frame/-/code-frame-7.12.13.tgz"',
+        '  dependencies:',
+        '    "@babel/highlight" "^7.12.13"',
+        '',
+        'lodash@^4.17.0:',
+        '  version "4.17.20"',
+        ''
+      ].join('\n'));
+
+      expect(packages.map(pkg => `${pkg.name}@${pkg.version}`)).toEqual(['@babel/code-frame@7.12.13', 'lodash@4.17.20']);
+    });
+
+    test('should read Yarn Berry lockfiles and skip workspaces', () => {
+      const packages = parser.parse('yarn.lock', [
+        '__metadata:',
+        '  version: 6',
+        '',
+        '"lodash@npm:^4.17.0":',
+        '  version: 4.17.20',
+        '  resolution: "lodash@npm:4.17.20"',
+        '',
+        '"app@workspace:.":',
+        '  version: 0.0.0-use.local',
+        '  resolution: "app@workspace:."',
+        ''
+      ].join('\n'));
+
+      expect(packages).toEqual([{ name: 'lodash', version: '4.17.20', dev: false }]);
+    });
+
+    test('should reject invalid lockfiles', () => {
+      expect(() => parser.parse('package-lock.json', '{')).toThrow(/Invalid package-lock\.json/);
+      expect(() => parser.parse('pnpm-lock.yaml', '')).toThrow(/Unsupported lockfile/);
+    });
+  });
+
+  describe('isAffected()', () => {
+    test('should evaluate OSV introduced, fixed and last_affected events', () => {
+      const advisory = {
+        ranges: [
+          { type: 'SEMVER', events: [{ introduced: '1.0.0' }, { fixed: '1.2.0' }, { introduced: '2.0.0' }, { last_affected: '2.1.0' }] }
+        ],
+        versions: ['0.9.0']
+      };
+
+      expect(scanner.isAffected('0.9.0', advisory)).toBe(true);
+      expect(scanner.isAffected('0.9.1', advisory)).toBe(false);
+      expect(scanner.isAffected('1.1.9', advisory)).toBe(true);
+      expect(scanner.isAffected('1.2.0', advisory)).toBe(false);
+      expect(scanner.isAffected('2.1.0', advisory)).toBe(true);
+      expect(scanner.isAffected('2.1.1', advisory)).toBe(false);
+      expect(scanner.isAffected('github:user/repo', advisory)).toBe(false);
+    });
+  });
+
+  describe('scan()', () => {
+    test('should report vulnerable packages per lockfile', async () => {
+      const [advisory] = scanner.normalizeAdvisory(osv());
+      const findAdvisories = jest.fn().mockResolvedValue([advisory]);
+
+      const report = await scanner.scan([
+        {
+          path: 'package-lock.json',
+          content: JSON.stringify({ packages: { 'node_modules/lodash': { version: '4.17.20' }, 'node_modules/qs': { version: '6.7.0' } } })
+        },
+        { path: 'web/package-lock.json', content: JSON.stringify({ packages: { 'node_modules/lodash': { version: '4.17.21' } } }) },
+        { path: 'broken/package-lock.json', content: 'nope' }
+      ], findAdvisories);
+
+      expect(findAdvisories).toHaveBeenCalledWith(['lodash', 'qs']);
+      expect(report.lockfiles).toEqual(['package-lock.json', 'web/package-lock.json']);
+      expect(report.errors).toEqual([expect.objectContaining({ file: 'broken/package-lock.json' })]);
+      expect(report.findings).toEqual([expect.objectContaining({
+        type: 'dependency',
+        severity: 'high',
+        file: 'package-lock.json',
+        packageName: 'lodash',
+        version: '4.17.20',
+        advisoryId: 'GHSA-aaaa-bbbb-cccc',
+        fixedIn: '4.17.21'
+      })]);
+    });
+  });
+
+  describe('normalizeAdvisory()', () => {
+    test('should keep npm packages and map severities', () => {
+      const records = scanner.normalizeAdvisory(osv({
+        database_specific: { severity: 'MODERATE' },
+        affected: [
+          { package: { ecosystem: 'npm', name: 'lodash' }, versions: ['4.17.20'] },
+          { package: { ecosystem: 'PyPI', name: 'lodash' } }
+        ]
+      }));
+
+      expect(records).toEqual([expect.objectContaining({
+        advisoryId: 'GHSA-aaaa-bbbb-cccc',
+        packageName: 'lodash',
+        severity: 'medium',
+        url: 'https://github.com/advisories/GHSA-aaaa-bbbb-cccc',
+        versions: ['4.17.20'],
+        withdrawnAt: null
+      })]);
+    });
+
+    test('should reject documents that are not OSV advisories', () => {
+      expect(() => scanner.normalizeAdvisory({ id: 'x' })).toThrow(/OSV document/);
+    });
+  });
+});
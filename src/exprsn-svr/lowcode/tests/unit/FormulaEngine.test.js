@@ -0,0 +1,158 @@
+/**
+ * Unit Tests for the Formula Engine
+ * Tests parsing, evaluation, typed errors, lambdas and resource limits
+ */
+
+const FormulaEngine = require('../../engine/FormulaEngine');
+const { Interpreter, parse, collectReferences, ERROR_CODES } = require('../../engine/formula');
+
+describe('FormulaEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new FormulaEngine();
+  });
+
+  describe('evaluate()', () => {
+    test('should follow operator precedence', () => {
+      expect(engine.evaluate('=1 + 2 * 3')).toBe(7);
+      expect(engine.evaluate('2^3^2')).toBe(64);
+      expect(engine.evaluate('-2^2')).toBe(4);
+      expect(engine.evaluate('"a" & 1 + 1')).toBe('a2');
+      expect(engine.evaluate('50%')).toBe(0.5);
+    });
+
+    test('should read context, local context and collections', () => {
+      engine.setContext({ Price: 4 });
+      engine.setCollections({ Orders: [{ Amount: 10, Status: 'open' }, { Amount: 5, Status: 'closed' }] });
+
+      expect(engine.evaluate('Price * Quantity', { Quantity: 3 })).toBe(12);
+      expect(engine.evaluate('Sum(Orders, Amount)')).toBe(15);
+      expect(engine.evaluate('CountRows(Filter(Orders, Status = "open"))')).toBe(1);
+      expect(engine.evaluate('LookUp(Orders, Amount < 10, Status)')).toBe('closed');
+      expect(engine.evaluate('Orders.Amount')).toEqual([10, 5]);
+    });
+
+    test('should support Excel and Power Apps function spellings', () => {
+      expect(engine.evaluate('MID("formula", 2, 3)')).toBe('orm');
+      expect(engine.evaluate('Upper(Left("hello", 2))')).toBe('HE');
+      expect(engine.evaluate('SUBSTITUTE("a.b.c", ".", "-")')).toBe('a-b-c');
+      expect(engine.evaluate('ROUND(2.345, 2)')).toBe(2.35);
+      expect(engine.evaluate('IF(1 > 2, "a", 2 > 1, "b", "c")')).toBe('b');
+      expect(engine.evaluate('DATEDIFF(DATE(2024, 3, 1), DATE(2024, 1, 31), "months")')).toBe(1);
+      expect(engine.evaluate('DATEDIFF("2025-12-31", "2025-12-25")')).toBe(6);
+    });
+
+    test('should evaluate arrays element-wise', () => {
+      expect(engine.evaluate('{1, 2, 3} * 2')).toEqual([2, 4, 6]);
+      expect(engine.evaluate('SUM({1, 2; 3, 4})')).toBe(10);
+      expect(engine.evaluate('SORT([3, 1, 2], "desc")')).toEqual([3, 2, 1]);
+      expect(engine.evaluate('UNIQUE([1, 2, 2, 3])')).toEqual([1, 2, 3]);
+    });
+
+    test('should support LAMBDA, LET and arrow functions', () => {
+      expect(engine.evaluate('MAP(SEQUENCE(3), LAMBDA(x, x * x))')).toEqual([1, 4, 9]);
+      expect(engine.evaluate('FILTER([1, 2, 3, 4], x => x > 2)')).toEqual([3, 4]);
+      expect(engine.evaluate('REDUCE(0, [1, 2, 3], (total, x) => total + x)')).toBe(6);
+      expect(engine.evaluate('LET(fact, LAMBDA(n, IF(n <= 1, 1, n * fact(n - 1))), fact(5))')).toBe(120);
+    });
+
+    test('should throw on syntax errors', () => {
+      expect(() => engine.evaluate('1 +')).toThrow('Formula error');
+      expect(() => engine.evaluate('SUM(1, 2')).toThrow('Formula error');
+    });
+  });
+
+  describe('typed errors', () => {
+    test('should return error values instead of throwing', () => {
+      expect(engine.evaluate('1 / 0').code).toBe(ERROR_CODES.DIV0);
+      expect(engine.evaluate('"abc" * 2').code).toBe(ERROR_CODES.VALUE);
+      expect(engine.evaluate('Missing + 1').code).toBe(ERROR_CODES.NAME);
+      expect(engine.evaluate('INDEX({1, 2}, 5)').code).toBe(ERROR_CODES.REF);
+      expect(engine.evaluate('XLOOKUP(9, {1, 2}, {"a", "b"})').code).toBe(ERROR_CODES.NA);
+      expect(engine.evaluate('SQRT(-1)').code).toBe(ERROR_CODES.NUM);
+    });
+
+    test('should propagate errors and let IFERROR catch them', () => {
+      expect(engine.evaluate('(1 / 0) + 1').code).toBe(ERROR_CODES.DIV0);
+      expect(engine.evaluate('IFERROR(1 / 0, "none")')).toBe('none');
+      expect(engine.evaluate('ISERROR(Missing)')).toBe(true);
+    });
+
+    test('should report missing fields as #REF!', () => {
+      engine.setContext({ Customer: { Name: 'Ada' } });
+
+      expect(engine.evaluate('Customer.Name')).toBe('Ada');
+      expect(engine.evaluate('Customer.Phone').code).toBe(ERROR_CODES.REF);
+    });
+
+    test('should serialize errors with their code', () => {
+      expect(JSON.parse(JSON.stringify(engine.evaluate('1 / 0')))).toEqual({
+        error: '#DIV/0!',
+        message: 'Division by zero',
+      });
+    });
+  });
+
+  describe('sandboxing', () => {
+    test('should not expose JavaScript globals or prototypes', () => {
+      engine.setContext({ record: { a: 1 } });
+
+      expect(engine.evaluate('constructor').code).toBe(ERROR_CODES.NAME);
+      expect(engine.evaluate('process.env').code).toBe(ERROR_CODES.NAME);
+      expect(engine.evaluate('record.constructor').code).toBe(ERROR_CODES.REF);
+      expect(engine.evaluate('record.__proto__').code).toBe(ERROR_CODES.REF);
+      expect(engine.evaluate('Math.max(1, 2)').code).toBe(ERROR_CODES.NAME);
+    });
+
+    test('should stop runaway recursion with #CALC!', () => {
+      expect(engine.evaluate('LET(f, LAMBDA(g, g(g)), f(f))').code).toBe(ERROR_CODES.CALC);
+    });
+
+    test('should stop formulas that exceed the step budget', () => {
+      const interpreter = new Interpreter({ limits: { maxSteps: 1000 } });
+      const result = interpreter.run('REDUCE(0, SEQUENCE(5000), (a, b) => a + b)');
+
+      expect(result.code).toBe(ERROR_CODES.CALC);
+    });
+
+    test('should stop formulas that build oversized values', () => {
+      expect(engine.evaluate('SEQUENCE(10000000)').code).toBe(ERROR_CODES.CALC);
+      expect(engine.evaluate('REPT("x", 100000000)').code).toBe(ERROR_CODES.CALC);
+    });
+
+    test('should reject over-long and over-nested formulas', () => {
+      expect(() => parse('1+'.repeat(20000) + '1')).toThrow('exceeds');
+      expect(() => parse('('.repeat(200) + '1' + ')'.repeat(200))).toThrow('nested too deeply');
+    });
+  });
+
+  describe('state functions', () => {
+    test('should set variables and update collections', () => {
+      engine.ClearCollect('Cart', [{ sku: 'a', qty: 1 }, { sku: 'b', qty: 3 }]);
+
+      expect(engine.evaluate('Set(total, Sum(Cart, qty))')).toBe(4);
+      expect(engine.evaluate('total')).toBe(4);
+
+      engine.evaluate('Collect(Cart, {sku: "c", qty: 2})');
+      expect(engine.getCollection('Cart')).toHaveLength(3);
+
+      engine.evaluate('RemoveIf(Cart, qty > 2)');
+      expect(engine.evaluate('Cart.sku')).toEqual(['a', 'c']);
+    });
+  });
+
+  describe('validate()', () => {
+    test('should report references and syntax errors', () => {
+      expect(engine.validate('Price * Customer.Discount')).toMatchObject({
+        valid: true,
+        references: ['Price', 'Customer.Discount'],
+      });
+      expect(engine.validate('SUM(1,')).toMatchObject({ valid: false });
+    });
+
+    test('should not count LAMBDA parameters as references', () => {
+      expect(collectReferences(parse('MAP(Items, LAMBDA(x, x * Rate))'))).toEqual(['Items', 'Rate']);
+    });
+  });
+});
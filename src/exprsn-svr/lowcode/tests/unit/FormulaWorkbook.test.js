@@ -0,0 +1,167 @@
+/**
+ * Unit Tests for the Formula Workbook
+ * Tests dependency-tracked recalculation across forms, grids, reports and entities
+ */
+
+const { FormulaWorkbook, ERROR_CODES } = require('../../engine/formula');
+
+describe('FormulaWorkbook', () => {
+  let workbook;
+
+  const orderForm = {
+    name: 'Order',
+    controls: [
+      { id: 'c1', name: 'Price', props: { defaultValue: 10 } },
+      { id: 'c2', name: 'Quantity', props: { defaultValue: 2 } },
+      { id: 'c3', name: 'TaxRate', props: { defaultValue: 0.1 } },
+      { id: 'c4', name: 'Notes', props: { defaultValue: '' } },
+      { id: 'c5', name: 'Subtotal', props: { value: '=Price * Quantity' } },
+      { id: 'c6', name: 'Total', props: { value: '=Subtotal * (1 + TaxRate)', visible: '=Total > 0' } },
+      { id: 'c7', name: 'Summary', props: { text: '=UPPER(Notes)' } },
+    ],
+  };
+
+  beforeEach(() => {
+    workbook = new FormulaWorkbook();
+  });
+
+  describe('addForm()', () => {
+    test('should calculate formula properties', () => {
+      const changed = workbook.addForm(orderForm);
+
+      expect(changed).toMatchObject({
+        'Order.Subtotal': 20,
+        'Order.Total': 22,
+        'Order.Total.visible': true,
+        'Order.Summary.text': '',
+      });
+      expect(workbook.getValues('Order')).toMatchObject({ Price: 10, Subtotal: 20, Total: 22 });
+    });
+  });
+
+  describe('setValue()', () => {
+    beforeEach(() => {
+      workbook.addForm(orderForm);
+    });
+
+    test('should recalculate only dependent formulas', () => {
+      expect(workbook.setValue('Order.Quantity', 3)).toEqual({
+        'Order.Subtotal': 30,
+        'Order.Total': 33,
+      });
+      expect(workbook.setValue('Order.Notes', 'rush')).toEqual({ 'Order.Summary.text': 'RUSH' });
+    });
+
+    test('should stop when a recalculated value does not change', () => {
+      expect(workbook.setValue('Order.Quantity', 2)).toEqual({});
+
+      workbook.define('Order.IsBulk', '=Quantity > 100');
+      workbook.calculate();
+      workbook.define('Order.Label', '=IF(IsBulk, "bulk", "standard")');
+      workbook.calculate();
+
+      // IsBulk stays false, so Label is not recalculated
+      expect(Object.keys(workbook.setValue('Order.Quantity', 5))).toEqual(['Order.Subtotal', 'Order.Total']);
+    });
+
+    test('should refuse to overwrite a formula', () => {
+      expect(() => workbook.setValue('Order.Total', 1)).toThrow('is a formula');
+    });
+
+    test('should recalculate formulas in other namespaces', () => {
+      workbook.define('Invoice.Grand', '=Order.Total * 2');
+      expect(workbook.calculate()).toEqual({ 'Invoice.Grand': 44 });
+
+      expect(workbook.setValue('Order.Price', 20)).toEqual({
+        'Order.Subtotal': 40,
+        'Order.Total': 44,
+        'Invoice.Grand': 88,
+      });
+    });
+
+    test('should update fields inside record inputs', () => {
+      workbook.setValue('Customer', { address: { city: 'Oslo' } });
+      workbook.define('City', '=UPPER(Customer.address.city)');
+      workbook.calculate();
+
+      expect(workbook.setValue('Customer.address.city', 'Bergen')).toEqual({ City: 'BERGEN' });
+    });
+  });
+
+  describe('circular references', () => {
+    test('should mark cycles and their dependents as #REF!', () => {
+      workbook.define('Sheet.A', '=B + 1');
+      workbook.define('Sheet.B', '=A + 1');
+      workbook.define('Sheet.C', '=B * 2');
+      workbook.define('Sheet.D', '=1 + 1');
+      workbook.calculate();
+
+      expect(workbook.get('Sheet.A').code).toBe(ERROR_CODES.REF);
+      expect(workbook.get('Sheet.B').message).toBe('Circular reference');
+      expect(workbook.get('Sheet.C').code).toBe(ERROR_CODES.REF);
+      expect(workbook.get('Sheet.D')).toBe(2);
+    });
+
+    test('should recover once the cycle is broken', () => {
+      workbook.define('Sheet.A', '=B + 1');
+      workbook.define('Sheet.B', '=A + 1');
+      workbook.calculate();
+
+      workbook.define('Sheet.B', '=5');
+
+      expect(workbook.calculate()).toEqual({ 'Sheet.A': 6, 'Sheet.B': 5 });
+    });
+  });
+
+  describe('grids, reports and entities', () => {
+    test('should calculate grid columns per row', () => {
+      workbook.addForm(orderForm);
+      workbook.addGrid({
+        name: 'Lines',
+        columns: [{ field: 'qty' }, { field: 'amount', formula: '=qty * Order.Price' }],
+      }, [{ qty: 1 }, { qty: 4 }]);
+
+      expect(workbook.getRows('Lines')).toEqual([{ qty: 1, amount: 10 }, { qty: 4, amount: 40 }]);
+
+      expect(workbook.setValue('Order.Price', 5)).toMatchObject({ 'Lines.amount': [5, 20] });
+    });
+
+    test('should calculate report fields from parameters', () => {
+      workbook.addReport({
+        name: 'Sales',
+        parameters: [{ name: 'Rate', defaultValue: 2 }],
+        queryConfig: { calculatedFields: [{ name: 'Converted', formula: '=Amount * Rate' }] },
+      }, [{ Amount: 3 }, { Amount: 5 }]);
+
+      expect(workbook.get('Sales.Converted')).toEqual([6, 10]);
+      expect(workbook.setValue('Sales.Rate', 10)).toEqual({ 'Sales.Converted': [30, 50] });
+    });
+
+    test('should calculate entity fields', () => {
+      workbook.addEntity({
+        name: 'Customer',
+        schema: {
+          fields: [
+            { name: 'first' },
+            { name: 'last' },
+            { name: 'full', config: { calculated: true, formula: '=first & " " & last' } },
+          ],
+        },
+      }, { first: 'Ada', last: 'L' });
+
+      expect(workbook.get('Customer.full')).toBe('Ada L');
+      expect(workbook.setValue('Customer.last', 'Lovelace')).toEqual({ 'Customer.full': 'Ada Lovelace' });
+    });
+  });
+
+  describe('getDependencies()', () => {
+    test('should list what each formula reads and feeds', () => {
+      workbook.addForm(orderForm);
+
+      const total = workbook.getDependencies().find(entry => entry.key === 'Order.Total');
+
+      expect(total.references).toContain('order.subtotal');
+      expect(total.dependents).toEqual(['Order.Total.visible']);
+    });
+  });
+});
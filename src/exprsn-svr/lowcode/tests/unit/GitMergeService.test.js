@@ -0,0 +1,174 @@
+/**
+ * Unit Tests for Git Merge Service
+ * Tests merge-tree conflict parsing, diff hunk parsing and ref updates
+ */
+
+const GitMergeService = require('../../services/GitMergeService');
+
+const OLD_SHA = 'a'.repeat(40);
+const NEW_SHA = 'b'.repeat(40);
+
+describe('GitMergeService', () => {
+  let merger;
+
+  beforeEach(() => {
+    merger = new GitMergeService('git');
+  });
+
+  describe('mergeTree()', () => {
+    test('should group conflicted index stages by path', async () => {
+      jest.spyOn(merger, 'run').mockResolvedValue({
+        code: 1,
+        stdout: [
+          'f'.repeat(40),
+          `100644 ${'1'.repeat(40)} 1\tsrc/app.js`,
+          `100644 ${'2'.repeat(40)} 2\tsrc/app.js`,
+          `100755 ${'3'.repeat(40)} 3\tsrc/app.js`,
+          `100644 ${'4'.repeat(40)} 1\tdocs/a b.md`,
+          `100644 ${'5'.repeat(40)} 2\tdocs/a b.md`,
+          ''
+        ].join('\0')
+      });
+
+      const result = await merger.mergeTree('/repos/demo', OLD_SHA, NEW_SHA);
+
+      expect(merger.run).toHaveBeenCalledWith('/repos/demo', ['merge-tree', '--write-tree', '-z', '--no-messages', OLD_SHA, NEW_SHA], { okCodes: [0, 1] });
+      expect(result.treeSha).toBe('f'.repeat(40));
+      expect(result.clean).toBe(false);
+      expect(result.conflicts).toEqual([
+        {
+          path: 'src/app.js',
+          stages: {
+            1: { mode: '100644', sha: '1'.repeat(40) },
+            2: { mode: '100644', sha: '2'.repeat(40) },
+            3: { mode: '100755', sha: '3'.repeat(40) }
+          }
+        },
+        {
+          path: 'docs/a b.md',
+          stages: {
+            1: { mode: '100644', sha: '4'.repeat(40) },
+            2: { mode: '100644', sha: '5'.repeat(40) }
+          }
+        }
+      ]);
+      expect(result.conflicts.map(conflict => merger.conflictType(conflict))).toEqual(['content', 'deleted_in_source']);
+    });
+
+    test('should report clean merges', async () => {
+      jest.spyOn(merger, 'run').mockResolvedValue({ code: 0, stdout: `${'f'.repeat(40)}\0` });
+
+      await expect(merger.mergeTree('/repos/demo', OLD_SHA, NEW_SHA)).resolves.toEqual({
+        treeSha: 'f'.repeat(40),
+        clean: true,
+        conflicts: []
+      });
+    });
+  });
+
+  describe('hasConflictMarkers()', () => {
+    test('should only match markers at the start of a line', () => {
+      expect(merger.hasConflictMarkers('a\n<<<<<<< HEAD\nb\n=======\nc\n>>>>>>> feature\n')).toBe(true);
+      expect(merger.hasConflictMarkers('const arrow = "<<<<<<<";\n')).toBe(false);
+    });
+  });
+
+  describe('parseDiff()', () => {
+    test('should read hunks, renames and deletions', () => {
+      const files = merger.parseDiff([
+        'diff --git a/src/app.js b/src/main.js',
+        'similarity index 90%',
+        'rename from src/app.js',
+        'rename to src/main.js',
+        'index 1111111..2222222 100644',
+        '--- a/src/app.js',
+        '+++ b/src/main.js',
+        '@@ -0,0 +1,2 @@',
+        "+'use strict';",
+        '+',
+        '@@ -10 +12 @@ function main() {',
+        '-  return 1;',
+        '+  return 2;',
+        'diff --git a/docs/a b.md b/docs/a b.md',
+        'deleted file mode 100644',
+        'index 3333333..0000000',
+        '--- a/docs/a b.md\t',
+        '+++ /dev/null',
+        '@@ -1,2 +0,0 @@',
+        '-# Docs',
+        '-text',
+        'diff --git a/"caf\\303\\251.txt" b/"caf\\303\\251.txt"',
+        'index 4444444..5555555 100644',
+        '--- "a/caf\\303\\251.txt"',
+        '+++ "b/caf\\303\\251.txt"',
+        '@@ -3,0 +4 @@',
+        '+more',
+        ''
+      ].join('\n'));
+
+      expect(files.get('src/app.js')).toEqual({
+        oldPath: 'src/app.js',
+        path: 'src/main.js',
+        deleted: false,
+        hunks: [
+          { oldStart: 0, oldCount: 0, newStart: 1, newCount: 2, removed: [], added: ["'use strict';", ''] },
+          { oldStart: 10, oldCount: 1, newStart: 12, newCount: 1, removed: ['  return 1;'], added: ['  return 2;'] }
+        ]
+      });
+      expect(files.get('docs/a b.md')).toMatchObject({ path: 'docs/a b.md', deleted: true });
+      expect(files.get('café.txt').hunks).toEqual([
+        { oldStart: 3, oldCount: 0, newStart: 4, newCount: 1, removed: [], added: ['more'] }
+      ]);
+    });
+  });
+
+  describe('writeTree()', () => {
+    test('should apply changes in a temporary index', async () => {
+      jest.spyOn(merger, 'run').mockResolvedValue({ code: 0, stdout: `${'e'.repeat(40)}\n` });
+
+      const tree = await merger.writeTree('/repos/demo', 'f'.repeat(40), [
+        { path: 'src/app.js', mode: '100755', sha: '1'.repeat(40) },
+        { path: 'old.txt', remove: true }
+      ]);
+
+      expect(tree).toBe('e'.repeat(40));
+
+      const [readTree, updateIndex] = merger.run.mock.calls;
+      const { env } = readTree[2];
+      expect(env.GIT_INDEX_FILE).toEqual(expect.stringContaining('exprsn-index-'));
+      expect(updateIndex[1]).toEqual(['update-index', '-z', '--index-info']);
+      expect(updateIndex[2]).toEqual({
+        env,
+        input: [`100755 ${'1'.repeat(40)}\tsrc/app.js`, `0 ${'0'.repeat(40)}\told.txt`, ''].join('\0')
+      });
+    });
+  });
+
+  describe('updateBranch()', () => {
+    test('should only move the branch from the expected commit', async () => {
+      jest.spyOn(merger, 'run').mockRejectedValueOnce(new Error('git update-ref failed: cannot lock ref'));
+
+      await expect(merger.updateBranch('/repos/demo', 'main', NEW_SHA, OLD_SHA, 'merge'))
+        .rejects.toThrow('Branch main was updated by someone else; reload and try again');
+    });
+
+    test('should fast-forward the working tree of a checked out branch', async () => {
+      jest.spyOn(merger, 'run')
+        .mockResolvedValueOnce({ code: 0, stdout: '' })
+        .mockResolvedValueOnce({ code: 0, stdout: 'refs/heads/main\n' })
+        .mockResolvedValueOnce({ code: 0, stdout: '' });
+
+      await merger.updateBranch('/repos/demo', 'main', NEW_SHA, OLD_SHA, 'merge');
+
+      expect(merger.run.mock.calls[0][1]).toEqual(['update-ref', '-m', 'merge', 'refs/heads/main', NEW_SHA, OLD_SHA]);
+      expect(merger.run.mock.calls[2][1]).toEqual(['read-tree', '-u', '-m', OLD_SHA, NEW_SHA]);
+    });
+  });
+
+  describe('identity()', () => {
+    test('should fall back to the server committer', () => {
+      expect(merger.identity({ username: 'jane', email: 'jane@example.com' })).toEqual({ name: 'jane', email: 'jane@example.com' });
+      expect(merger.identity({ id: 'user-1' })).toEqual({ name: 'Exprsn', email: 'noreply@exprsn.io' });
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit Tests for Git Pipeline Job Service
+ * Tests job scheduling, runner leases, log streaming and retries
+ */
+
+const GitPipelineJobService = require('../../services/GitPipelineJobService');
+
+describe('GitPipelineJobService', () => {
+  let service;
+  let models;
+  let run;
+  let jobs;
+
+  const record = (data) => {
+    const instance = { ...data };
+    instance.update = jest.fn(async (values) => Object.assign(instance, values));
+    instance.reload = jest.fn(async () => instance);
+    return instance;
+  };
+
+  const makeJob = (name, overrides = {}) => record({
+    id: `job-${name}`,
+    pipelineRunId: 'run-1',
+    repositoryId: 'repo-1',
+    name,
+    stage: 'test',
+    needs: [],
+    status: 'created',
+    when: 'on_success',
+    allowFailure: false,
+    tags: [],
+    attempt: 0,
+    logSize: '0',
+    configuration: { script: ['make'], retry: 0 },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    run = record({
+      id: 'run-1',
+      pipelineId: 'pipeline-1',
+      repositoryId: 'repo-1',
+      runNumber: 3,
+      status: 'running',
+      trigger: 'push',
+      branch: 'main',
+      commitSha: 'c'.repeat(40),
+      startedAt: new Date()
+    });
+    jobs = [];
+
+    const Op = { contained: Symbol('contained'), ne: Symbol('ne'), lt: Symbol('lt') };
+
+    models = {
+      GitPipelineJob: {
+        sequelize: { Sequelize: { Op } },
+        findAll: jest.fn(async ({ where }) => jobs.filter(job => !where.status || job.status === where.status)),
+        findByPk: jest.fn(async (id) => jobs.find(job => job.id === id) || null),
+        count: jest.fn().mockResolvedValue(0),
+        update: jest.fn(async (values, { where }) => {
+          const job = jobs.find(candidate => candidate.id === where.id);
+          const matches = job && Object.entries(where).every(([key, value]) => job[key] === value);
+          if (matches) Object.assign(job, values);
+          return [matches ? 1 : 0];
+        })
+      },
+      GitPipelineRun: { findByPk: jest.fn(async () => run) },
+      GitPipeline: { findByPk: jest.fn().mockResolvedValue({ environmentVariables: { SECRET: 'x' } }) },
+      GitRepository: {
+        findByPk: jest.fn().mockResolvedValue({ id: 'repo-1', name: 'Demo', slug: 'demo', defaultBranch: 'main' })
+      },
+      GitRunner: { findAll: jest.fn().mockResolvedValue([{ tags: [], lastContactedAt: new Date() }]) },
+      GitBuildLog: { create: jest.fn() },
+      GitPipelineArtifact: { findAll: jest.fn().mockResolvedValue([]) },
+      GitPipelineCache: { findOne: jest.fn().mockResolvedValue(null) },
+      GitAuditLog: { create: jest.fn() }
+    };
+
+    service = new GitPipelineJobService(models, { onRunFinished: jest.fn() });
+  });
+
+  describe('advance()', () => {
+    test('should queue jobs once their needs succeed', async () => {
+      jobs = [makeJob('build', { status: 'success' }), makeJob('test', { needs: ['build'] }), makeJob('deploy', { needs: ['test'] })];
+
+      await service.advance('run-1');
+
+      expect(jobs.map(job => job.status)).toEqual(['success', 'pending', 'created']);
+      expect(run.status).toBe('running');
+      expect(run.stagesStatus.test.status).toBe('running');
+    });
+
+    test('should skip dependents of failed jobs and finish the run', async () => {
+      jobs = [
+        makeJob('build', { status: 'failure' }),
+        makeJob('test', { needs: ['build'] }),
+        makeJob('deploy', { needs: ['test'] }),
+        makeJob('cleanup', { needs: ['test'], when: 'always' })
+      ];
+
+      await service.advance('run-1');
+
+      expect(jobs.map(job => job.status)).toEqual(['failure', 'skipped', 'skipped', 'pending']);
+
+      jobs[3].status = 'success';
+      await service.advance('run-1');
+
+      expect(run.status).toBe('failure');
+      expect(service.onRunFinished).toHaveBeenCalledWith(run, 'failure');
+    });
+
+    test('should let allowed failures pass and leave manual jobs waiting', async () => {
+      jobs = [
+        makeJob('lint', { status: 'failure', allowFailure: true }),
+        makeJob('deploy', { needs: ['lint'], when: 'manual' }),
+        makeJob('verify', { needs: ['deploy'] })
+      ];
+
+      await service.advance('run-1');
+
+      expect(jobs.map(job => job.status)).toEqual(['failure', 'manual', 'created']);
+      expect(run.status).toBe('success');
+    });
+
+    test('should run trigger jobs on the server', async () => {
+      service.triggerWorkflow = jest.fn();
+      jobs = [makeJob('notify', { configuration: { trigger: { workflow: 'wf-1', data: {} } } })];
+
+      await service.advance('run-1');
+
+      expect(service.triggerWorkflow).toHaveBeenCalledWith(run, jobs[0]);
+      expect(jobs[0].status).toBe('success');
+      expect(run.status).toBe('success');
+    });
+  });
+
+  describe('requestJob()', () => {
+    const runner = { id: 'runner-1', tags: ['docker'], maxConcurrentJobs: 1 };
+
+    test('should lease a pending job with a job token', async () => {
+      jobs = [makeJob('build', { status: 'pending', tags: ['docker'] })];
+
+      const payload = await service.requestJob(runner);
+
+      expect(payload.token).toMatch(/^exprsn_job_/);
+      expect(payload.variables).toMatchObject({ CI_JOB_NAME: 'build', CI_COMMIT_BRANCH: 'main', SECRET: 'x' });
+      expect(payload.repository).toMatchObject({ cloneUrl: '/git/demo.git', sha: run.commitSha });
+      expect(jobs[0]).toMatchObject({ status: 'running', runnerId: 'runner-1', attempt: 1 });
+      expect(await service.authenticateJob('job-build', payload.token)).toBe(jobs[0]);
+      expect(await service.authenticateJob('job-build', 'exprsn_job_wrong')).toBeNull();
+    });
+
+    test('should not lease a job another runner took first', async () => {
+      jobs = [makeJob('build', { status: 'pending' })];
+      models.GitPipelineJob.update.mockResolvedValueOnce([0]);
+
+      expect(await service.requestJob(runner)).toBeNull();
+    });
+
+    test('should respect the runner concurrency limit', async () => {
+      jobs = [makeJob('build', { status: 'pending' })];
+      models.GitPipelineJob.count.mockResolvedValue(1);
+
+      expect(await service.requestJob(runner)).toBeNull();
+      expect(jobs[0].status).toBe('pending');
+    });
+  });
+
+  describe('appendLog()', () => {
+    test('should append chunks in order and report the expected offset otherwise', async () => {
+      jobs = [makeJob('build', { status: 'running', logSize: 0 })];
+
+      expect(await service.appendLog(jobs[0], { offset: 0, content: 'hello\n' })).toEqual({ accepted: true, offset: 6 });
+      expect(models.GitBuildLog.create).toHaveBeenCalledWith(expect.objectContaining({ byteOffset: 0, message: 'hello\n' }));
+
+      expect(await service.appendLog(jobs[0], { offset: 0, content: 'again' })).toEqual({ accepted: false, offset: 6 });
+    });
+  });
+
+  describe('updateJob()', () => {
+    test('should requeue failed jobs with retries left', async () => {
+      jobs = [makeJob('build', { status: 'running', attempt: 1, configuration: { script: ['make'], retry: 1 } })];
+
+      await service.updateJob(jobs[0], { state: 'failure', exitCode: 2 });
+
+      expect(jobs[0]).toMatchObject({ status: 'pending', runnerId: null, leaseTokenHash: null });
+
+      jobs[0].status = 'running';
+      jobs[0].attempt = 2;
+      await service.updateJob(jobs[0], { state: 'failure', exitCode: 2 });
+
+      expect(jobs[0]).toMatchObject({ status: 'failure', exitCode: 2 });
+      expect(run.status).toBe('failure');
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Unit Tests for Git Pull Request Service
+ * Tests merging, conflict resolution and syncing pull requests with pushes
+ */
+
+jest.mock('../../models', () => ({
+  GitPullRequest: { findOne: jest.fn(), findAll: jest.fn() },
+  GitRepository: { findByPk: jest.fn(), decrement: jest.fn() },
+  GitBranch: { findOne: jest.fn(), update: jest.fn() },
+  GitPipeline: { findAll: jest.fn() },
+  GitPullRequestReview: { findAll: jest.fn() },
+  GitPullRequestComment: {},
+  GitAuditLog: { create: jest.fn() }
+}));
+
+const models = require('../../models');
+const GitPullRequestService = require('../../services/GitPullRequestService');
+
+const HEAD_SHA = 'a'.repeat(40);
+const TARGET_SHA = 'b'.repeat(40);
+const MERGE_SHA = 'c'.repeat(40);
+const TREE_SHA = 'd'.repeat(40);
+
+describe('GitPullRequestService', () => {
+  const service = GitPullRequestService;
+  const repository = { id: 'repo-1', slug: 'demo' };
+  const user = { id: 'alice', username: 'alice', email: 'alice@example.com' };
+  let pr;
+
+  const conflict = (filePath, stages = [1, 2, 3]) => ({
+    path: filePath,
+    stages: Object.fromEntries(stages.map(stage => [stage, { mode: '100644', sha: String(stage).repeat(40) }]))
+  });
+
+  beforeEach(() => {
+    pr = {
+      id: 'pr-1',
+      number: 3,
+      title: 'Add search',
+      body: null,
+      repositoryId: 'repo-1',
+      state: 'open',
+      reviewStatus: 'approved',
+      sourceBranch: 'feature',
+      targetBranch: 'main',
+      headSha: HEAD_SHA
+    };
+    pr.update = jest.fn(async values => Object.assign(pr, values));
+    pr.reload = jest.fn(async () => pr);
+
+    models.GitPullRequest.findOne.mockResolvedValue(pr);
+    models.GitPullRequest.findAll.mockResolvedValue([]);
+    models.GitRepository.findByPk.mockResolvedValue(repository);
+
+    jest.spyOn(service.merger, 'resolveCommit').mockImplementation(async (repoPath, ref) =>
+      ref === 'refs/heads/feature' ? HEAD_SHA : TARGET_SHA);
+    jest.spyOn(service.merger, 'commitTree').mockResolvedValue(MERGE_SHA);
+    jest.spyOn(service.merger, 'updateBranch').mockResolvedValue();
+    jest.spyOn(service, 'recordBranchUpdate').mockResolvedValue();
+    jest.spyOn(service, 'sendPRNotifications').mockResolvedValue();
+  });
+
+  describe('mergePullRequest()', () => {
+    beforeEach(() => {
+      jest.spyOn(service.merger, 'mergeTree').mockResolvedValue({ treeSha: TREE_SHA, clean: true, conflicts: [] });
+    });
+
+    test('should squash the pull request onto the target branch', async () => {
+      jest.spyOn(service, 'checkMergePolicy').mockResolvedValue({ allowed: true, violations: [], policy: { mergeMethod: 'squash' } });
+
+      await service.mergePullRequest('repo-1', 3, { mergedBy: 'alice', user });
+
+      expect(service.merger.commitTree).toHaveBeenCalledWith(
+        expect.stringMatching(/demo$/), TREE_SHA, [TARGET_SHA], 'Add search (#3)', { name: 'alice', email: 'alice@example.com' }
+      );
+      expect(service.merger.updateBranch).toHaveBeenCalledWith(expect.any(String), 'main', MERGE_SHA, TARGET_SHA, expect.any(String));
+      expect(pr).toMatchObject({ state: 'merged', mergeCommitSha: MERGE_SHA });
+      expect(service.recordBranchUpdate).toHaveBeenCalledWith(repository, {
+        ref: 'refs/heads/main',
+        oldSha: TARGET_SHA,
+        newSha: MERGE_SHA
+      }, 'alice');
+    });
+
+    test('should refuse merge commits on branches requiring linear history', async () => {
+      jest.spyOn(service, 'checkMergePolicy').mockResolvedValue({ allowed: true, violations: [], policy: { requireLinearHistory: true } });
+
+      await expect(service.mergePullRequest('repo-1', 3, { mergedBy: 'alice', mergeMethod: 'merge', user }))
+        .rejects.toThrow('Merge commits are not allowed on this branch');
+      expect(service.merger.updateBranch).not.toHaveBeenCalled();
+    });
+
+    test('should record conflicts instead of merging', async () => {
+      jest.spyOn(service, 'checkMergePolicy').mockResolvedValue({ allowed: true, violations: [] });
+      service.merger.mergeTree.mockResolvedValue({ treeSha: TREE_SHA, clean: false, conflicts: [conflict('src/app.js')] });
+
+      await expect(service.mergePullRequest('repo-1', 3, { mergedBy: 'alice', user }))
+        .rejects.toThrow('Pull request has conflicts');
+      expect(pr.update).toHaveBeenCalledWith({ mergeable: false, conflicts: ['src/app.js'] });
+    });
+  });
+
+  describe('resolveConflicts()', () => {
+    beforeEach(() => {
+      jest.spyOn(service.merger, 'mergeTree').mockResolvedValue({
+        treeSha: TREE_SHA,
+        clean: false,
+        conflicts: [conflict('src/app.js'), conflict('gone.txt', [1, 2])]
+      });
+      jest.spyOn(service.merger, 'writeBlob').mockResolvedValue('e'.repeat(40));
+      jest.spyOn(service.merger, 'writeTree').mockResolvedValue('f'.repeat(40));
+    });
+
+    test('should write a merge commit of the target branch into the source branch', async () => {
+      const result = await service.resolveConflicts('repo-1', 3, {
+        headSha: HEAD_SHA,
+        targetSha: TARGET_SHA,
+        resolutions: [
+          { path: 'src/app.js', content: 'resolved\n' },
+          { path: 'gone.txt', use: 'source' }
+        ]
+      }, user);
+
+      expect(service.merger.writeTree).toHaveBeenCalledWith(expect.any(String), TREE_SHA, [
+        { path: 'src/app.js', mode: '100644', sha: 'e'.repeat(40) },
+        { path: 'gone.txt', remove: true }
+      ]);
+      expect(service.merger.commitTree).toHaveBeenCalledWith(
+        expect.any(String), 'f'.repeat(40), [HEAD_SHA, TARGET_SHA], "Merge branch 'main' into feature", expect.any(Object)
+      );
+      expect(service.merger.updateBranch).toHaveBeenCalledWith(expect.any(String), 'feature', MERGE_SHA, HEAD_SHA, expect.any(String));
+      expect(service.recordBranchUpdate).toHaveBeenCalledWith(repository, {
+        ref: 'refs/heads/feature',
+        oldSha: HEAD_SHA,
+        newSha: MERGE_SHA
+      }, 'alice');
+      expect(result.commitSha).toBe(MERGE_SHA);
+    });
+
+    test('should require a resolution for every conflict', async () => {
+      await expect(service.resolveConflicts('repo-1', 3, { resolutions: [{ path: 'src/app.js', content: 'x' }] }, user))
+        .rejects.toThrow('Unresolved conflicts: gone.txt');
+    });
+
+    test('should reject content that still has conflict markers', async () => {
+      await expect(service.resolveConflicts('repo-1', 3, {
+        resolutions: [
+          { path: 'src/app.js', content: '<<<<<<< main\na\n=======\nb\n>>>>>>> feature\n' },
+          { path: 'gone.txt', delete: true }
+        ]
+      }, user)).rejects.toThrow('src/app.js still contains conflict markers');
+    });
+
+    test('should reject resolutions made against stale branches', async () => {
+      await expect(service.resolveConflicts('repo-1', 3, { headSha: 'e'.repeat(40), resolutions: [] }, user))
+        .rejects.toThrow('reload and try again');
+    });
+  });
+
+  describe('isCodeOwnerApproved()', () => {
+    test('should require an approval from the owners of every changed file', async () => {
+      const policyService = service.getPolicyService();
+      jest.spyOn(policyService, 'getCodeOwners').mockResolvedValue([
+        { pathPattern: 'src/*', owners: ['bob'], order: 0 },
+        { pathPattern: 'docs/*', owners: ['carol'], order: 0 }
+      ]);
+      jest.spyOn(service.merger, 'mergeBase').mockResolvedValue(TARGET_SHA);
+      jest.spyOn(service.merger, 'changedFiles').mockResolvedValue(['src/app.js', 'README.md']);
+      jest.spyOn(service.reviewService, 'getApprovers').mockResolvedValue(['bob']);
+
+      await expect(service.isCodeOwnerApproved(pr, HEAD_SHA)).resolves.toBe(true);
+
+      service.merger.changedFiles.mockResolvedValue(['src/app.js', 'docs/guide.md']);
+      await expect(service.isCodeOwnerApproved(pr, HEAD_SHA)).resolves.toBe(false);
+    });
+  });
+
+  describe('syncPullRequests()', () => {
+    test('should move source heads and refresh mergeability', async () => {
+      const targeting = { ...pr, id: 'pr-2', sourceBranch: 'other', targetBranch: 'feature', update: jest.fn() };
+      models.GitPullRequest.findAll.mockResolvedValue([pr, targeting]);
+      jest.spyOn(service.reviewService, 'updateHead').mockResolvedValue();
+      jest.spyOn(service, 'triggerSecurityScans').mockReturnValue(undefined);
+      jest.spyOn(service, 'checkMergeable').mockResolvedValue({ mergeable: true, conflicts: [] });
+
+      await service.syncPullRequests(repository, [
+        { ref: 'refs/heads/feature', oldSha: HEAD_SHA, newSha: MERGE_SHA },
+        { ref: 'refs/heads/gone', oldSha: HEAD_SHA, newSha: '0'.repeat(40) }
+      ]);
+
+      expect(models.GitPullRequest.findAll).toHaveBeenCalledTimes(1);
+      expect(service.reviewService.updateHead).toHaveBeenCalledTimes(1);
+      expect(service.reviewService.updateHead).toHaveBeenCalledWith(pr, repository, MERGE_SHA);
+      expect(pr.update).toHaveBeenCalledWith({ mergeable: true, conflicts: [] });
+      expect(targeting.update).toHaveBeenCalledWith({ mergeable: true, conflicts: [], baseSha: MERGE_SHA });
+      expect(service.triggerSecurityScans).toHaveBeenCalledWith(pr);
+    });
+
+    test('should not wait for security scans', async () => {
+      const scanPullRequest = jest.fn(() => new Promise(() => {}));
+      models.GitPullRequest.findAll.mockResolvedValue([pr]);
+      jest.spyOn(service.reviewService, 'updateHead').mockResolvedValue();
+      jest.spyOn(service, 'getSecurityService').mockReturnValue({ scanPullRequest });
+      jest.spyOn(service, 'checkMergeable').mockResolvedValue({ mergeable: true, conflicts: [] });
+
+      await service.syncPullRequests(repository, [{ ref: 'refs/heads/feature', oldSha: HEAD_SHA, newSha: MERGE_SHA }]);
+
+      expect(scanPullRequest).toHaveBeenCalledWith(pr);
+      expect(pr.update).toHaveBeenCalledWith({ mergeable: true, conflicts: [] });
+    });
+  });
+});
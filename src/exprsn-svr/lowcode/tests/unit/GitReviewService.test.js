@@ -0,0 +1,258 @@
+/**
+ * Unit Tests for Git Review Service
+ * Tests review verdicts, thread anchoring across pushes and suggested changes
+ */
+
+jest.mock('../../services/GitPullRequestService', () => ({ recordBranchUpdate: jest.fn() }));
+
+const GitReviewService = require('../../services/GitReviewService');
+const GitPullRequestService = require('../../services/GitPullRequestService');
+
+const HEAD_SHA = 'a'.repeat(40);
+const NEW_SHA = 'b'.repeat(40);
+const BASE_SHA = 'c'.repeat(40);
+
+describe('GitReviewService', () => {
+  let service;
+  let models;
+  let pr;
+
+  const repository = { id: 'repo-1', slug: 'demo' };
+
+  const review = (reviewerId, state, overrides = {}) => ({ reviewerId, state, dismissedAt: null, ...overrides });
+
+  const thread = (overrides = {}) => {
+    const comment = {
+      id: 'comment-1',
+      prId: 'pr-1',
+      inReplyToId: null,
+      filePath: 'src/app.js',
+      side: 'new',
+      startLine: null,
+      lineNumber: 10,
+      commitSha: HEAD_SHA,
+      outdated: false,
+      body: 'Looks off',
+      ...overrides
+    };
+    comment.update = jest.fn(async values => Object.assign(comment, values));
+    comment.reload = jest.fn(async () => comment);
+    return comment;
+  };
+
+  beforeEach(() => {
+    pr = {
+      id: 'pr-1',
+      number: 7,
+      repositoryId: 'repo-1',
+      state: 'open',
+      createdBy: 'author',
+      headSha: HEAD_SHA,
+      sourceBranch: 'feature',
+      targetBranch: 'main'
+    };
+    pr.update = jest.fn(async values => Object.assign(pr, values));
+
+    models = {
+      GitPullRequest: { findOne: jest.fn().mockResolvedValue(pr) },
+      GitPullRequestReview: {
+        create: jest.fn(async data => ({ id: 'review-1', ...data })),
+        findAll: jest.fn().mockResolvedValue([]),
+        findOne: jest.fn()
+      },
+      GitPullRequestComment: {
+        create: jest.fn(async data => thread({ id: 'comment-2', ...data })),
+        findAll: jest.fn().mockResolvedValue([]),
+        findOne: jest.fn(),
+        findByPk: jest.fn()
+      },
+      GitRepository: { findByPk: jest.fn().mockResolvedValue(repository) },
+      GitAuditLog: { create: jest.fn() }
+    };
+    service = new GitReviewService(models);
+  });
+
+  describe('refreshReviewStatus()', () => {
+    test('should count each reviewer\'s latest verdict', async () => {
+      models.GitPullRequestReview.findAll.mockResolvedValue([
+        review('alice', 'approved'),
+        review('bob', 'changes_requested'),
+        review('bob', 'approved'),
+        review('carol', 'commented'),
+        review('dave', 'approved', { dismissedAt: new Date() })
+      ]);
+
+      await service.refreshReviewStatus(pr);
+
+      expect(pr.update).toHaveBeenCalledWith({ approvalsCount: 2, changesRequestedCount: 0, reviewStatus: 'approved' });
+    });
+
+    test('should let a later change request override an approval', async () => {
+      models.GitPullRequestReview.findAll.mockResolvedValue([
+        review('alice', 'approved'),
+        review('alice', 'changes_requested'),
+        review('alice', 'commented')
+      ]);
+
+      await service.refreshReviewStatus(pr);
+
+      expect(pr.update).toHaveBeenCalledWith({ approvalsCount: 0, changesRequestedCount: 1, reviewStatus: 'changes_requested' });
+    });
+  });
+
+  describe('submitReview()', () => {
+    test('should record the verdict against the current head', async () => {
+      const { review: created } = await service.submitReview('repo-1', 7, { state: 'approve' }, { id: 'alice' });
+
+      expect(created).toMatchObject({ prId: 'pr-1', reviewerId: 'alice', state: 'approved', commitSha: HEAD_SHA });
+      expect(pr.update).toHaveBeenCalled();
+    });
+
+    test('should not let authors approve their own pull request', async () => {
+      await expect(service.submitReview('repo-1', 7, { state: 'approve' }, { id: 'author' }))
+        .rejects.toThrow('cannot approve or request changes');
+    });
+
+    test('should require a body for change requests', async () => {
+      await expect(service.submitReview('repo-1', 7, { state: 'request_changes' }, { id: 'alice' }))
+        .rejects.toThrow('needs a body or line comments');
+    });
+  });
+
+  describe('translateLine()', () => {
+    const hunks = [
+      { oldStart: 3, oldCount: 0, newStart: 4, newCount: 2, removed: [], added: ['x', 'y'] },
+      { oldStart: 10, oldCount: 1, newStart: 12, newCount: 1, removed: ['old'], added: ['new'] },
+      { oldStart: 14, oldCount: 2, newStart: 16, newCount: 2, removed: ['a', 'b'], added: ['b2', 'a'] },
+      { oldStart: 20, oldCount: 2, newStart: 21, newCount: 0, removed: ['c', 'd'], added: [] }
+    ];
+
+    test('should shift lines around inserted and removed code', () => {
+      expect(service.translateLine(hunks, 2)).toBe(2);
+      expect(service.translateLine(hunks, 5)).toBe(7);
+      expect(service.translateLine(hunks, 18)).toBe(20);
+      expect(service.translateLine(hunks, 25)).toBe(25);
+    });
+
+    test('should follow moved lines and drop rewritten ones', () => {
+      expect(service.translateLine(hunks, 14)).toBe(17);
+      expect(service.translateLine(hunks, 10)).toBeNull();
+      expect(service.translateLine(hunks, 21)).toBeNull();
+    });
+  });
+
+  describe('translateAnchor()', () => {
+    const files = new Map([
+      ['src/app.js', { path: 'src/main.js', deleted: false, hunks: [{ oldStart: 1, oldCount: 0, newStart: 2, newCount: 1, removed: [], added: ['// header'] }] }],
+      ['src/old.js', { path: 'src/old.js', deleted: true, hunks: [] }]
+    ]);
+
+    test('should follow renames and keep unchanged ranges', () => {
+      expect(service.translateAnchor(files, { filePath: 'src/app.js', startLine: 4, lineNumber: 6 }))
+        .toEqual({ filePath: 'src/main.js', startLine: 5, lineNumber: 7 });
+      expect(service.translateAnchor(files, { filePath: 'README.md', startLine: null, lineNumber: 3 }))
+        .toEqual({ filePath: 'README.md', startLine: null, lineNumber: 3 });
+    });
+
+    test('should drop ranges with changes inside and deleted files', () => {
+      expect(service.translateAnchor(files, { filePath: 'src/app.js', startLine: 1, lineNumber: 3 })).toBeNull();
+      expect(service.translateAnchor(files, { filePath: 'src/old.js', lineNumber: 1 })).toBeNull();
+    });
+  });
+
+  describe('reanchorThreads()', () => {
+    test('should move threads to the new head and mark rewritten ones outdated', async () => {
+      pr.headSha = NEW_SHA;
+      const moved = thread({ lineNumber: 5 });
+      const rewritten = thread({ id: 'comment-3', lineNumber: 10 });
+      const oldSide = thread({ id: 'comment-4', side: 'old', commitSha: BASE_SHA, lineNumber: 2 });
+      models.GitPullRequestComment.findAll.mockResolvedValue([moved, rewritten, oldSide]);
+
+      jest.spyOn(service.merger, 'mergeBase').mockResolvedValue(BASE_SHA);
+      jest.spyOn(service.merger, 'diffHunks').mockResolvedValue(new Map([
+        ['src/app.js', {
+          path: 'src/app.js',
+          deleted: false,
+          hunks: [
+            { oldStart: 1, oldCount: 0, newStart: 2, newCount: 3, removed: [], added: ['a', 'b', 'c'] },
+            { oldStart: 10, oldCount: 1, newStart: 13, newCount: 1, removed: ['x'], added: ['y'] }
+          ]
+        }]
+      ]));
+
+      await service.reanchorThreads(pr, repository);
+
+      expect(service.merger.diffHunks).toHaveBeenCalledTimes(1);
+      expect(service.merger.diffHunks).toHaveBeenCalledWith(expect.stringMatching(/demo$/), HEAD_SHA, NEW_SHA);
+      expect(moved.update).toHaveBeenCalledWith({ filePath: 'src/app.js', startLine: null, lineNumber: 8, commitSha: NEW_SHA });
+      expect(rewritten.update).toHaveBeenCalledWith({ outdated: true });
+      expect(oldSide.update).not.toHaveBeenCalled();
+    });
+
+    test('should mark threads outdated when their commit cannot be diffed', async () => {
+      pr.headSha = NEW_SHA;
+      const orphaned = thread();
+      models.GitPullRequestComment.findAll.mockResolvedValue([orphaned]);
+      jest.spyOn(service.merger, 'diffHunks').mockRejectedValue(new Error('bad object'));
+
+      await service.reanchorThreads(pr, repository);
+
+      expect(orphaned.update).toHaveBeenCalledWith({ outdated: true });
+    });
+  });
+
+  describe('suggested changes', () => {
+    test('should parse suggestion blocks', () => {
+      expect(service.parseSuggestion('Try this:\n```suggestion\nconst a = 1;\nconst b = 2;\n```\n')).toEqual(['const a = 1;', 'const b = 2;']);
+      expect(service.parseSuggestion('```suggestion\n```')).toEqual([]);
+      expect(service.parseSuggestion('```js\nnope\n```')).toBeNull();
+    });
+
+    test('should replace lines and keep line endings', () => {
+      expect(service.replaceLines('a\r\nb\r\nc\r\n', 2, 2, ['B', 'B2'])).toBe('a\r\nB\r\nB2\r\nc\r\n');
+      expect(service.replaceLines('a\nb\nc', 1, 2, [])).toBe('c');
+    });
+
+    test('should commit the suggestion on top of the source branch', async () => {
+      const suggestion = thread({ startLine: 2, lineNumber: 3, body: '```suggestion\nfixed\n```' });
+      models.GitPullRequestComment.findOne.mockResolvedValue(suggestion);
+
+      jest.spyOn(service.merger, 'resolveCommit').mockResolvedValue(HEAD_SHA);
+      jest.spyOn(service.merger, 'readEntry').mockResolvedValue({ mode: '100755', sha: 'd'.repeat(40) });
+      jest.spyOn(service.merger, 'readBlob').mockResolvedValue(Buffer.from('one\ntwo\nthree\nfour\n'));
+      jest.spyOn(service.merger, 'writeBlob').mockResolvedValue('e'.repeat(40));
+      jest.spyOn(service.merger, 'writeTree').mockResolvedValue('f'.repeat(40));
+      jest.spyOn(service.merger, 'commitTree').mockResolvedValue(NEW_SHA);
+      jest.spyOn(service.merger, 'updateBranch').mockResolvedValue();
+
+      const result = await service.applySuggestion('repo-1', 7, 'comment-1', {}, { id: 'alice', username: 'alice', email: 'alice@example.com' });
+
+      expect(result.commitSha).toBe(NEW_SHA);
+      expect(service.merger.writeBlob).toHaveBeenCalledWith(expect.any(String), 'one\nfixed\nfour\n');
+      expect(service.merger.writeTree).toHaveBeenCalledWith(expect.any(String), `${HEAD_SHA}^{tree}`, [
+        { path: 'src/app.js', mode: '100755', sha: 'e'.repeat(40) }
+      ]);
+      expect(service.merger.commitTree).toHaveBeenCalledWith(
+        expect.any(String), 'f'.repeat(40), [HEAD_SHA], 'Apply suggestion to src/app.js', { name: 'alice', email: 'alice@example.com' }
+      );
+      expect(service.merger.updateBranch).toHaveBeenCalledWith(expect.any(String), 'feature', NEW_SHA, HEAD_SHA, expect.any(String));
+      expect(GitPullRequestService.recordBranchUpdate).toHaveBeenCalledWith(repository, {
+        ref: 'refs/heads/feature',
+        oldSha: HEAD_SHA,
+        newSha: NEW_SHA
+      }, 'alice');
+      expect(suggestion.update).toHaveBeenCalledWith(expect.objectContaining({ suggestionCommitSha: NEW_SHA, isResolved: true }));
+    });
+
+    test('should refuse outdated suggestions', async () => {
+      const suggestion = thread({ body: '```suggestion\nfixed\n```' });
+      models.GitPullRequestComment.findOne.mockResolvedValue(suggestion);
+
+      jest.spyOn(service.merger, 'resolveCommit').mockResolvedValue(NEW_SHA);
+      jest.spyOn(service, 'reanchorThreads').mockImplementation(async () => suggestion.update({ outdated: true }));
+
+      await expect(service.applySuggestion('repo-1', 7, 'comment-1', {}, { id: 'alice' }))
+        .rejects.toThrow('Suggestion is outdated');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for Git Security Service
+ * Tests built-in scan triggers, merge status checks and advisory import
+ */
+
+const GitSecurityService = require('../../services/GitSecurityService');
+
+describe('GitSecurityService', () => {
+  let service;
+  let models;
+
+  const repository = { id: 'repo-1', slug: 'demo', defaultBranch: 'main' };
+
+  const config = (overrides = {}) => ({
+    id: 'config-1',
+    repositoryId: 'repo-1',
+    scanType: 'secret_detection',
+    enabled: true,
+    severityThreshold: 'high',
+    failOnVulnerabilities: true,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    models = {
+      GitSecurityScanConfig: { findAll: jest.fn().mockResolvedValue([]), findByPk: jest.fn() },
+      GitSecurityScanResult: { findOne: jest.fn().mockResolvedValue(null), count: jest.fn().mockResolvedValue(0) },
+      GitSecurityAdvisory: { findOrCreate: jest.fn(), findAll: jest.fn().mockResolvedValue([]) },
+      GitRepository: { findByPk: jest.fn().mockResolvedValue(repository) },
+      GitAuditLog: { create: jest.fn() }
+    };
+    service = new GitSecurityService(models);
+  });
+
+  describe('scanPush()', () => {
+    const OLD_SHA = 'a'.repeat(40);
+    const NEW_SHA = 'b'.repeat(40);
+
+    beforeEach(() => {
+      models.GitSecurityScanConfig.findAll.mockResolvedValue([config()]);
+      jest.spyOn(service, 'runScan').mockResolvedValue({});
+    });
+
+    test('should scan pushed commits on the default branch', async () => {
+      await service.scanPush(repository, [{ ref: 'refs/heads/main', oldSha: OLD_SHA, newSha: NEW_SHA }]);
+
+      expect(service.runScan).toHaveBeenCalledWith('config-1', {
+        commitSha: NEW_SHA,
+        range: [`${OLD_SHA}..${NEW_SHA}`],
+        trigger: 'push'
+      });
+    });
+
+    test('should scan every commit a feature branch adds to the default branch', async () => {
+      await service.scanPush(repository, [
+        { ref: 'refs/heads/feature', oldSha: OLD_SHA, newSha: NEW_SHA },
+        { ref: 'refs/heads/gone', oldSha: OLD_SHA, newSha: '0'.repeat(40) },
+        { ref: 'refs/tags/v1', oldSha: '0'.repeat(40), newSha: NEW_SHA }
+      ]);
+
+      expect(service.runScan).toHaveBeenCalledTimes(1);
+      expect(service.runScan.mock.calls[0][1].range).toEqual([NEW_SHA, '--not', 'refs/heads/main']);
+    });
+  });
+
+  describe('getStatusChecks()', () => {
+    const result = (overrides) => ({ id: 'result-1', status: 'completed', criticalCount: 0, highCount: 0, mediumCount: 0, lowCount: 0, ...overrides });
+
+    test('should report one check per enabled scan', async () => {
+      models.GitSecurityScanConfig.findAll.mockResolvedValue([
+        config(),
+        config({ id: 'config-2', scanType: 'dependency_scanning' })
+      ]);
+      models.GitSecurityScanResult.findOne
+        .mockResolvedValueOnce(result({ highCount: 1 }))
+        .mockResolvedValueOnce(null);
+
+      const checks = await service.getStatusChecks('repo-1', 'c'.repeat(40));
+
+      expect(checks).toEqual([
+        { context: 'security/secret_detection', state: 'failure', resultId: 'result-1' },
+        { context: 'security/dependency_scanning', state: 'pending', resultId: null }
+      ]);
+    });
+
+    test('should only fail on findings at or above the threshold', () => {
+      expect(service.getCheckState(config(), result({ mediumCount: 3 }))).toBe('success');
+      expect(service.getCheckState(config({ severityThreshold: 'medium' }), result({ mediumCount: 3 }))).toBe('failure');
+      expect(service.getCheckState(config({ failOnVulnerabilities: false }), result({ criticalCount: 1 }))).toBe('success');
+      expect(service.getCheckState(config(), result({ status: 'failed' }))).toBe('error');
+      expect(service.getCheckState(config(), result({ status: 'running' }))).toBe('pending');
+    });
+  });
+
+  describe('scanPullRequest()', () => {
+    test('should skip scans that already ran on the pull request head', async () => {
+      models.GitSecurityScanConfig.findAll.mockResolvedValue([config(), config({ id: 'config-2', scanType: 'dependency_scanning' })]);
+      models.GitSecurityScanResult.count.mockResolvedValueOnce(1).mockResolvedValueOnce(0);
+      jest.spyOn(service, 'runScan').mockResolvedValue({});
+
+      await service.scanPullRequest({ number: 4, repositoryId: 'repo-1', headSha: 'd'.repeat(40), targetBranch: 'release' });
+
+      expect(service.runScan).toHaveBeenCalledTimes(1);
+      expect(service.runScan).toHaveBeenCalledWith('config-2', {
+        commitSha: 'd'.repeat(40),
+        range: ['d'.repeat(40), '--not', 'refs/heads/release'],
+        trigger: 'pull_request'
+      });
+    });
+  });
+
+  describe('createScanConfig()', () => {
+    test('should reject invalid cron schedules', async () => {
+      await expect(service.createScanConfig('repo-1', { scanType: 'secret_detection', scanSchedule: 'nightly' }, 'user-1'))
+        .rejects.toThrow('Invalid scan schedule');
+    });
+  });
+
+  describe('importAdvisories()', () => {
+    test('should insert new advisories and update known ones', async () => {
+      const existing = { update: jest.fn() };
+      models.GitSecurityAdvisory.findOrCreate
+        .mockResolvedValueOnce([{}, true])
+        .mockResolvedValueOnce([existing, false]);
+
+      const affected = (name) => ({ package: { ecosystem: 'npm', name }, ranges: [] });
+      const summary = await service.importAdvisories([
+        { id: 'GHSA-1', affected: [affected('lodash'), affected('lodash-es')] },
+        { id: 'PYSEC-1', affected: [{ package: { ecosystem: 'PyPI', name: 'django' } }] },
+        { summary: 'not an advisory' }
+      ], { source: 'osv' });
+
+      expect(summary).toEqual({
+        imported: 1,
+        updated: 1,
+        skipped: 1,
+        errors: [{ id: null, message: 'Advisory must be an OSV document with id and affected' }]
+      });
+      expect(existing.update).toHaveBeenCalledWith(expect.objectContaining({ packageName: 'lodash-es', source: 'osv' }));
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit Tests for Git Transport Service
+ * Tests repository access rules and pre-receive branch/code owner checks
+ */
+
+const GitTransportService = require('../../services/GitTransportService');
+
+const { ZERO_SHA } = GitTransportService;
+const OLD_SHA = 'a'.repeat(40);
+const NEW_SHA = 'b'.repeat(40);
+
+describe('GitTransportService', () => {
+  let service;
+  let models;
+
+  const repository = {
+    id: 'repo-1',
+    slug: 'demo',
+    ownerId: 'owner',
+    visibility: 'private',
+    defaultBranch: 'main',
+    archived: false
+  };
+
+  beforeEach(() => {
+    models = {
+      GitRepository: { findOne: jest.fn(), findByPk: jest.fn().mockResolvedValue(repository) },
+      GitBranch: { findOne: jest.fn().mockResolvedValue(null) },
+      GitAuditLog: { create: jest.fn() },
+      GitRepositoryPolicy: { findAll: jest.fn().mockResolvedValue([]) },
+      GitCodeOwner: { findAll: jest.fn().mockResolvedValue([]) }
+    };
+    service = new GitTransportService(models);
+  });
+
+  describe('authorize()', () => {
+    const owner = { id: 'owner', scopes: ['read_repository', 'write_repository'] };
+    const other = { id: 'other', scopes: ['read_repository', 'write_repository'] };
+
+    test('should allow anonymous fetches from public repositories only', () => {
+      expect(service.authorize({ ...repository, visibility: 'public' }, null, 'git-upload-pack').allowed).toBe(true);
+      expect(service.authorize({ ...repository, visibility: 'public' }, null, 'git-receive-pack').status).toBe(401);
+      expect(service.authorize(repository, null, 'git-upload-pack').status).toBe(401);
+    });
+
+    test('should let internal repositories be read by any signed-in user', () => {
+      const internal = { ...repository, visibility: 'internal' };
+
+      expect(service.authorize(internal, other, 'git-upload-pack').allowed).toBe(true);
+      expect(service.authorize(internal, other, 'git-receive-pack').status).toBe(403);
+    });
+
+    test('should require token scopes and refuse pushes to archived repositories', () => {
+      const readOnly = { id: 'owner', scopes: ['read_repository'] };
+
+      expect(service.authorize(repository, owner, 'git-receive-pack').allowed).toBe(true);
+      expect(service.authorize(repository, readOnly, 'git-receive-pack').reason).toContain('write_repository');
+      expect(service.authorize({ ...repository, archived: true }, owner, 'git-receive-pack').reason)
+        .toBe('Repository is archived');
+    });
+  });
+
+  describe('findRepository()', () => {
+    test('should look up repositories by clone path', async () => {
+      await service.findRepository('/demo.git');
+
+      expect(models.GitRepository.findOne).toHaveBeenCalledWith({ where: { slug: 'demo' } });
+    });
+
+    test('should reject paths that are not repository slugs', async () => {
+      expect(await service.findRepository('../etc/passwd')).toBeNull();
+      expect(models.GitRepository.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkBranchUpdate()', () => {
+    const user = { id: 'owner', scopes: ['write_repository'] };
+    const policy = (overrides) => ({
+      branchPattern: 'main',
+      requireApprovals: 0,
+      requireCodeOwnerReview: false,
+      requireStatusChecks: false,
+      requiredStatusChecks: [],
+      allowForcePush: false,
+      allowDeletions: false,
+      requireLinearHistory: false,
+      ...overrides
+    });
+
+    // Stand-in for simple-git: answers rev-list/log by their first argument
+    const fakeGit = (outputs) => ({
+      raw: jest.fn(async (args) => outputs[args[0]] || '')
+    });
+
+    const check = (update, git) => service.checkBranchUpdate(
+      git, repository, user, update, () => service.policyService.getCodeOwners(repository.id)
+    );
+
+    test('should allow pushes to unprotected branches', async () => {
+      const violations = await check({ oldSha: OLD_SHA, newSha: NEW_SHA, ref: 'refs/heads/feature' }, fakeGit({}));
+
+      expect(violations).toEqual([]);
+    });
+
+    test('should refuse to delete the default branch', async () => {
+      const violations = await check({ oldSha: OLD_SHA, newSha: ZERO_SHA, ref: 'refs/heads/main' }, fakeGit({}));
+
+      expect(violations).toContain('Cannot delete default branch');
+    });
+
+    test('should refuse force pushes to protected branches', async () => {
+      models.GitRepositoryPolicy.findAll.mockResolvedValue([policy()]);
+
+      const violations = await check(
+        { oldSha: OLD_SHA, newSha: NEW_SHA, ref: 'refs/heads/main' },
+        fakeGit({ 'rev-list': `${OLD_SHA}\n` })
+      );
+
+      expect(violations).toContain('Force push is not allowed on this branch');
+    });
+
+    test('should require a pull request when approvals are required', async () => {
+      models.GitRepositoryPolicy.findAll.mockResolvedValue([policy({ requireApprovals: 2 })]);
+
+      const violations = await check({ oldSha: OLD_SHA, newSha: NEW_SHA, ref: 'refs/heads/main' }, fakeGit({}));
+
+      expect(violations[0]).toMatch(/Requires 2 approval\(s\)/);
+    });
+
+    test('should require code owners to push changes to their files', async () => {
+      models.GitRepositoryPolicy.findAll.mockResolvedValue([policy({ requireCodeOwnerReview: true })]);
+      models.GitCodeOwner.findAll.mockResolvedValue([
+        { pathPattern: 'src/*', owners: ['someone-else'], order: 0 },
+        { pathPattern: 'docs/*', owners: ['owner'], order: 0 }
+      ]);
+
+      const violations = await check(
+        { oldSha: OLD_SHA, newSha: NEW_SHA, ref: 'refs/heads/main' },
+        fakeGit({ log: 'src/app.js\ndocs/readme.md\nREADME.md\n' })
+      );
+
+      expect(violations).toEqual(['Requires code owner approval for src/app.js']);
+    });
+
+    test('should reject merge commits when linear history is required', async () => {
+      models.GitRepositoryPolicy.findAll.mockResolvedValue([policy({ requireLinearHistory: true })]);
+      const git = fakeGit({});
+      git.raw.mockImplementation(async (args) => (args.includes('--merges') ? `${NEW_SHA}\n` : ''));
+
+      const violations = await check({ oldSha: OLD_SHA, newSha: NEW_SHA, ref: 'refs/heads/main' }, git);
+
+      expect(violations).toContain('Merge commits are not allowed on this branch');
+    });
+  });
+
+  describe('preReceive()', () => {
+    test('should reject pushes it did not start', async () => {
+      const result = await service.preReceive({ pushId: 'unknown', updates: [] });
+
+      expect(result.allowed).toBe(false);
+    });
+
+    test('should audit rejected pushes', async () => {
+      jest.spyOn(service, 'startHookServer').mockResolvedValue();
+      jest.spyOn(service, 'checkPush').mockResolvedValue({ allowed: false, messages: ['refs/heads/main: nope'] });
+
+      const { pushId } = await service.beginPush(repository, { id: 'owner' }, 'http');
+      const result = await service.preReceive({ pushId, updates: [{ oldSha: OLD_SHA, newSha: NEW_SHA, ref: 'refs/heads/main' }] });
+
+      expect(result.messages).toEqual(['refs/heads/main: nope']);
+      expect(models.GitAuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'git_push_rejected' }));
+    });
+  });
+
+  describe('pktLine()', () => {
+    test('should prefix data with its length', () => {
+      expect(service.pktLine('# service=git-upload-pack\n')).toBe('001e# service=git-upload-pack\n');
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Unit Tests for Pipeline Config Parser
+ * Tests .exprsn-ci.yml parsing, job filtering and the job graph
+ */
+
+const PipelineConfigParser = require('../../services/parsers/PipelineConfigParser');
+
+const { PipelineConfigError, evaluateCondition, parseDuration } = PipelineConfigParser;
+
+describe('PipelineConfigParser', () => {
+  let parser;
+
+  const context = {
+    variables: {
+      CI_COMMIT_BRANCH: 'main',
+      CI_COMMIT_REF_NAME: 'main',
+      CI_DEFAULT_BRANCH: 'main',
+      CI_PIPELINE_SOURCE: 'push'
+    },
+    ref: 'main',
+    source: 'push',
+    defaultTimeout: 3600
+  };
+
+  const parse = (source, overrides = {}) => parser.parse(source, { ...context, ...overrides });
+  const names = (plan) => plan.jobs.map(job => job.name);
+  const job = (plan, name) => plan.jobs.find(candidate => candidate.name === name);
+
+  beforeEach(() => {
+    parser = new PipelineConfigParser();
+  });
+
+  describe('job graph', () => {
+    test('should make jobs without needs wait for earlier stages', () => {
+      const plan = parse(`
+stages: [build, test, deploy]
+compile: { stage: build, script: make }
+lint: { stage: build, script: make lint }
+unit: { stage: test, script: make test }
+ship: { stage: deploy, script: make deploy }
+`);
+
+      expect(job(plan, 'compile').needs).toEqual([]);
+      expect(job(plan, 'unit').needs).toEqual(['compile', 'lint']);
+      expect(job(plan, 'ship').needs).toEqual(['compile', 'lint', 'unit']);
+    });
+
+    test('should order jobs by needs and resolve needs on matrix jobs', () => {
+      const plan = parse(`
+stages: [build, test]
+report: { stage: test, needs: [test], script: report }
+test:
+  stage: test
+  needs: [build]
+  parallel:
+    matrix:
+      - NODE: ['18', '20']
+        DB: pg
+  script: npm test
+build: { stage: build, script: npm ci }
+`);
+
+      expect(names(plan)).toEqual(['build', 'test: [18, pg]', 'test: [20, pg]', 'report']);
+      expect(job(plan, 'report').needs).toEqual(['test: [18, pg]', 'test: [20, pg]']);
+      expect(job(plan, 'test: [20, pg]').variables).toMatchObject({ NODE: '20', DB: 'pg' });
+    });
+
+    test('should number parallel copies', () => {
+      const plan = parse('test: { parallel: 2, script: run }');
+
+      expect(names(plan)).toEqual(['test 1/2', 'test 2/2']);
+      expect(job(plan, 'test 2/2').variables).toMatchObject({ CI_NODE_INDEX: '2', CI_NODE_TOTAL: '2' });
+    });
+
+    test('should reject circular and unknown needs', () => {
+      expect(() => parse(`
+a: { needs: [b], script: a }
+b: { needs: [a], script: b }
+`)).toThrow(/circular needs/);
+
+      expect(() => parse('a: { needs: [missing], script: a }')).toThrow(/needs missing/);
+      expect(names(parse('a: { needs: [{ job: missing, optional: true }], script: a }'))).toEqual(['a']);
+    });
+
+    test('should limit artifact dependencies to needs unless listed', () => {
+      const plan = parse(`
+stages: [build, test]
+build: { stage: build, script: b }
+docs: { stage: build, script: d }
+test: { stage: test, needs: [build, { job: docs, artifacts: false }], script: t }
+package: { stage: test, dependencies: [docs], script: p }
+`);
+
+      expect(job(plan, 'test').dependencies).toEqual(['build']);
+      expect(job(plan, 'package').needs).toEqual(['build', 'docs']);
+      expect(job(plan, 'package').dependencies).toEqual(['docs']);
+    });
+  });
+
+  describe('filters', () => {
+    test('should use the first matching rule', () => {
+      const source = `
+deploy:
+  script: deploy
+  rules:
+    - if: '$CI_COMMIT_BRANCH == $CI_DEFAULT_BRANCH'
+      when: manual
+    - if: '$CI_COMMIT_BRANCH =~ /^release\\//'
+`;
+
+      expect(job(parse(source), 'deploy').when).toBe('manual');
+      expect(job(parse(source, { variables: { ...context.variables, CI_COMMIT_BRANCH: 'release/1.0' } }), 'deploy').when)
+        .toBe('on_success');
+      expect(parse(source, { variables: { ...context.variables, CI_COMMIT_BRANCH: 'feature' } }).jobs).toEqual([]);
+    });
+
+    test('should apply only and except to the ref and pipeline source', () => {
+      const source = `
+main-only: { script: a, only: [main] }
+releases: { script: b, only: ['/^release-/'] }
+not-main: { script: c, except: [main] }
+merge-requests: { script: d, only: [merge_requests] }
+`;
+
+      expect(names(parse(source))).toEqual(['main-only']);
+      expect(names(parse(source, { ref: 'release-2', source: 'merge_request_event' })))
+        .toEqual(['releases', 'not-main', 'merge-requests']);
+    });
+
+    test('should skip the pipeline when workflow rules do not match', () => {
+      const plan = parse(`
+workflow:
+  rules:
+    - if: '$CI_PIPELINE_SOURCE == "schedule"'
+build: { script: make }
+`);
+
+      expect(plan.skipped).toBe(true);
+      expect(plan.jobs).toEqual([]);
+    });
+  });
+
+  describe('job settings', () => {
+    test('should merge defaults and extends', () => {
+      const plan = parse(`
+default:
+  image: node:20
+  tags: [docker]
+.tests:
+  stage: test
+  before_script: [npm ci]
+  variables: { NODE_ENV: test }
+unit:
+  extends: .tests
+  script: npm test
+  variables: { SUITE: unit }
+`);
+      const unit = job(plan, 'unit');
+
+      expect(names(plan)).toEqual(['unit']);
+      expect(unit).toMatchObject({
+        image: 'node:20',
+        tags: ['docker'],
+        beforeScript: ['npm ci'],
+        script: ['npm test'],
+        variables: { NODE_ENV: 'test', SUITE: 'unit' },
+        timeout: 3600
+      });
+    });
+
+    test('should resolve cache keys and artifact expiry', () => {
+      const plan = parse(`
+build:
+  script: npm ci
+  timeout: 1h 30m
+  cache: { key: npm-$CI_COMMIT_REF_NAME, paths: [node_modules/], policy: pull-push }
+  artifacts: { paths: [dist/], expire_in: 1 week }
+`);
+      const build = job(plan, 'build');
+
+      expect(build.timeout).toBe(5400);
+      expect(build.cache).toEqual([{ key: 'npm-main', paths: ['node_modules/'], policy: 'pull-push', scope: 'branch' }]);
+      expect(build.artifacts).toMatchObject({ name: 'build', paths: ['dist/'], expireIn: 604800, type: 'archive' });
+    });
+
+    test('should report configuration errors', () => {
+      expect(() => parse('build: { stage: package, script: make }')).toThrow(/not listed in stages/);
+      expect(() => parse('build: { stage: build }')).toThrow(/must have a script/);
+      expect(() => parse('build: [oops')).toThrow(PipelineConfigError);
+      expect(() => parse('build: { script: make, rules: [{ changes: [src/*] }] }')).toThrow(/not supported/);
+    });
+  });
+
+  describe('fromStages()', () => {
+    test('should turn configured stages into jobs', () => {
+      const document = parser.fromStages([
+        { name: 'build', steps: [{ type: 'shell', name: 'install', command: 'npm ci' }, { type: 'docker_build', name: 'image' }] },
+        { name: 'deploy', steps: [{ type: 'workflow', name: 'notify', workflowId: 'wf-1' }] }
+      ]);
+      const plan = parser.compile(document, context);
+
+      expect(names(plan)).toEqual(['build', 'deploy: notify']);
+      expect(job(plan, 'build').script).toEqual([
+        'npm ci',
+        'docker build -t $CI_PROJECT_ID:$CI_COMMIT_SHORT_SHA -f Dockerfile .'
+      ]);
+      expect(job(plan, 'deploy: notify')).toMatchObject({ needs: ['build'], trigger: { workflow: 'wf-1', data: {} } });
+    });
+  });
+
+  describe('evaluateCondition()', () => {
+    const variables = { BRANCH: 'main', EMPTY: '', DEPLOY: 'true' };
+
+    test('should compare variables, strings and null', () => {
+      expect(evaluateCondition('$BRANCH == "main"', variables)).toBe(true);
+      expect(evaluateCondition('$BRANCH != \'main\'', variables)).toBe(false);
+      expect(evaluateCondition('$MISSING == null', variables)).toBe(true);
+      expect(evaluateCondition('$EMPTY', variables)).toBe(false);
+    });
+
+    test('should match regular expressions and combine conditions', () => {
+      expect(evaluateCondition('$BRANCH =~ /^ma/ && ($DEPLOY || $MISSING)', variables)).toBe(true);
+      expect(evaluateCondition('$BRANCH !~ /^ma/ || $EMPTY', variables)).toBe(false);
+    });
+
+    test('should reject malformed conditions', () => {
+      expect(() => evaluateCondition('$BRANCH ==', variables)).toThrow(PipelineConfigError);
+      expect(() => evaluateCondition('$BRANCH =~ "main"', variables)).toThrow(/regular expression/);
+      expect(() => evaluateCondition('($BRANCH', variables)).toThrow(/Missing \)/);
+    });
+  });
+
+  describe('parseDuration()', () => {
+    test('should parse durations into seconds', () => {
+      expect(parseDuration('45s', 'timeout')).toBe(45);
+      expect(parseDuration('2 days', 'expire_in')).toBe(172800);
+      expect(() => parseDuration('soon', 'timeout')).toThrow(/not a valid duration/);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Low-Code Git Runner Routes Test Suite
+ * Tests runner agent and runner management auth with their router mount order
+ * ═══════════════════════════════════════════════════════════
+ */
+
+jest.mock('../../../lowcode/middleware/caTokenAuth', () => ({
+  caTokenAuth: jest.fn(),
+  optionalAuth: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { caTokenAuth } = require('../../../lowcode/middleware/caTokenAuth');
+const GitRunnerService = require('../../../lowcode/services/GitRunnerService');
+const GitPipelineService = require('../../../lowcode/services/GitPipelineService');
+const gitRunnerAgentRouter = require('../../../lowcode/routes/gitRunnerAgent');
+const gitRunnersRouter = require('../../../lowcode/routes/gitRunners');
+
+const RUNNER_TOKEN = 'exprsn_runner_test';
+const JOB_TOKEN = 'exprsn_job_test';
+
+let app;
+
+describe('Low-Code Git Runner Routes', () => {
+  const { jobService } = GitPipelineService;
+  const runner = { id: 'runner-1', name: 'linux-1' };
+  const job = { id: 'job-1', status: 'running' };
+
+  beforeAll(() => {
+    // Same order as lowcode/routes/index.js: the agent router sits ahead of caTokenAuth
+    app = express();
+    app.use(express.json());
+    app.use('/lowcode/api/git/runners', gitRunnerAgentRouter);
+    app.use('/lowcode/api', caTokenAuth);
+    app.use('/lowcode/api/git/runners', gitRunnersRouter);
+  });
+
+  beforeEach(() => {
+    // Only requests carrying a CA token get past caTokenAuth
+    caTokenAuth.mockImplementation((req, res, next) => {
+      if (req.headers.authorization !== 'Bearer ca-token') {
+        return res.status(401).json({
+          success: false,
+          error: 'UNAUTHORIZED',
+          message: 'Valid CA token required'
+        });
+      }
+      req.user = { id: 'admin-1', role: 'admin' };
+      req.token = { id: 'token-1' };
+      next();
+    });
+
+    jest.spyOn(GitRunnerService.prototype, 'authenticateRunner')
+      .mockImplementation(async token => (token === RUNNER_TOKEN ? runner : null));
+    jest.spyOn(GitRunnerService.prototype, 'getRunners').mockResolvedValue([runner]);
+    jest.spyOn(jobService, 'authenticateJob')
+      .mockImplementation(async (jobId, token) => (jobId === job.id && token === JOB_TOKEN ? job : null));
+    jest.spyOn(jobService, 'requestJob').mockResolvedValue({ id: job.id, token: JOB_TOKEN });
+    jest.spyOn(jobService, 'appendLog').mockResolvedValue({ accepted: true, offset: 6 });
+    jest.spyOn(jobService, 'updateJob').mockResolvedValue({ id: job.id, status: 'success' });
+    jest.spyOn(jobService, 'registerCache').mockResolvedValue({ id: 'cache-1' });
+    jest.spyOn(jobService, 'registerArtifact').mockResolvedValue({ id: 'artifact-1' });
+  });
+
+  describe('runner agent protocol', () => {
+    it('should lease a job with a runner token', async () => {
+      const response = await request(app)
+        .post('/lowcode/api/git/runners/jobs/request')
+        .set('Authorization', `Bearer ${RUNNER_TOKEN}`)
+        .expect(201);
+
+      expect(response.body.data).toEqual({ id: job.id, token: JOB_TOKEN });
+      expect(jobService.requestJob).toHaveBeenCalledWith(runner);
+      expect(caTokenAuth).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown runner tokens', async () => {
+      const response = await request(app)
+        .post('/lowcode/api/git/runners/jobs/request')
+        .set('Authorization', 'Bearer exprsn_runner_wrong')
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid runner token');
+      expect(jobService.requestJob).not.toHaveBeenCalled();
+    });
+
+    it('should accept logs, caches, artifacts and results with the job token', async () => {
+      const calls = [
+        request(app).post('/lowcode/api/git/runners/jobs/job-1/logs').send({ offset: 0, content: 'hello\n' }),
+        request(app).post('/lowcode/api/git/runners/jobs/job-1/cache').send({ key: 'deps', storagePath: 'cache/deps.tgz' }),
+        request(app).post('/lowcode/api/git/runners/jobs/job-1/artifacts').send({ storagePath: 'artifacts/job-1.zip' }),
+        request(app).put('/lowcode/api/git/runners/jobs/job-1').send({ state: 'success', exitCode: 0 })
+      ];
+
+      const responses = await Promise.all(calls.map(call => call.set('Authorization', `Bearer ${JOB_TOKEN}`)));
+
+      expect(responses.map(response => response.status)).toEqual([200, 201, 201, 200]);
+      expect(jobService.updateJob).toHaveBeenCalledWith(job, { state: 'success', exitCode: 0, failureReason: undefined });
+      expect(caTokenAuth).not.toHaveBeenCalled();
+    });
+
+    it('should reject job calls with another job\'s token', async () => {
+      await request(app)
+        .put('/lowcode/api/git/runners/jobs/job-1')
+        .set('Authorization', `Bearer ${RUNNER_TOKEN}`)
+        .send({ state: 'success' })
+        .expect(401);
+
+      expect(jobService.updateJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runner management', () => {
+    it('should require a CA token', async () => {
+      await request(app)
+        .get('/lowcode/api/git/runners')
+        .set('Authorization', `Bearer ${RUNNER_TOKEN}`)
+        .expect(401);
+
+      expect(GitRunnerService.prototype.getRunners).not.toHaveBeenCalled();
+    });
+
+    it('should list runners for CA-authenticated callers', async () => {
+      const response = await request(app)
+        .get('/lowcode/api/git/runners')
+        .set('Authorization', 'Bearer ca-token')
+        .expect(200);
+
+      expect(response.body.data).toEqual([runner]);
+    });
+  });
+});
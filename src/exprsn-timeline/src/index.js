@@ -294,6 +294,9 @@ async function startServer() {
     const servers = await serverManager.start(app);
     const server = servers.https || servers.http;
 
+    // Swap in renewed TLS certificates published by the CA
+    serverManager.watchRenewals(ipc);
+
     // Socket.IO setup (after server creation)
     io = new Server(server, {
       cors: {
@@ -45,6 +45,7 @@ const {
   auditLogout,
   auditModeration,
   auditFileOperation,
+  auditImpersonation,
   ActionTypes
 } = require('./middleware/auditLogger');
 
@@ -199,6 +200,7 @@ module.exports = {
   auditLogout,
   auditModeration,
   auditFileOperation,
+  auditImpersonation,
   ActionTypes,
 
   // Middleware - Socket.IO Authentication
@@ -22,9 +22,21 @@ const ActionTypes = {
   UPLOAD: 'UPLOAD',
   DOWNLOAD: 'DOWNLOAD',
   SHARE: 'SHARE',
+  IMPERSONATE: 'IMPERSONATE',
   CUSTOM: 'CUSTOM'
 };
 
+/**
+ * Identity of the admin acting for the user, if any
+ * Set by exprsn-auth impersonation sessions, or the RFC 8693 `act`
+ * claim of a token issued during one
+ * @param {Object} req - Express request
+ * @returns {string|null} Actor user ID
+ */
+function getActorId(req) {
+  return req.impersonation?.actorId || req.tokenData?.act?.sub || null;
+}
+
 /**
  * Creates an audit log entry
  * @param {Object} options - Audit log options
@@ -66,7 +78,8 @@ function logAction(options = {}) {
       action,
       resourceType,
       resourceId: resourceId || req.params.id || 'unknown',
-      userId: req.userId || 'anonymous',
+      userId: req.userId || req.user?.id || 'anonymous',
+      ...(getActorId(req) && { actorId: getActorId(req) }),
       ipAddress: req.ip || req.connection.remoteAddress,
       userAgent: req.headers['user-agent'],
       method: req.method,
@@ -139,7 +152,8 @@ function autoAudit(options = {}) {
       action,
       resourceType,
       resourceId: req.params.id || 'batch',
-      userId: req.userId || 'anonymous',
+      userId: req.userId || req.user?.id || 'anonymous',
+      ...(getActorId(req) && { actorId: getActorId(req) }),
       ipAddress: req.ip || req.connection.remoteAddress,
       method: req.method,
       path: req.path,
@@ -220,6 +234,45 @@ function auditFileOperation(operation) {
   });
 }
 
+/**
+ * Audit every request made while impersonating a user
+ * Logged when the response finishes, so page views and redirects are
+ * recorded as well as JSON responses
+ * @returns {Function} Express middleware
+ */
+function auditImpersonation() {
+  return (req, res, next) => {
+    const actorId = getActorId(req);
+
+    if (!actorId) {
+      return next();
+    }
+
+    const auditEntry = {
+      timestamp: new Date().toISOString(),
+      action: ActionTypes.IMPERSONATE,
+      resourceType: 'user',
+      resourceId: req.userId || req.user?.id || 'unknown',
+      userId: req.userId || req.user?.id || 'unknown',
+      actorId,
+      impersonationId: req.impersonation?.id || req.tokenData?.impersonationId || null,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+      method: req.method,
+      path: req.originalUrl
+    };
+
+    res.on('finish', () => {
+      auditEntry.statusCode = res.statusCode;
+      auditEntry.success = res.statusCode < 400;
+
+      logger.info('Audit: Impersonated request', auditEntry);
+    });
+
+    next();
+  };
+}
+
 /**
  * Sanitize request body for logging (remove sensitive fields)
  * @param {Object} body - Request body
@@ -263,5 +316,6 @@ module.exports = {
   auditLogout,
   auditModeration,
   auditFileOperation,
+  auditImpersonation,
   ActionTypes
 };
@@ -6,21 +6,34 @@
  */
 
 const { getValidator, CATokenValidator } = require('../utils/caTokenValidator');
+const { MemoryReplayCache, createNonce } = require('../utils/dpop');
+const { verifyTokenBinding, isBindingError, challenge } = require('../utils/tokenBinding');
+
+// Seen DPoP proof jti values, for services that do not supply a shared store
+const defaultReplayCache = new MemoryReplayCache();
 
 /**
  * Authenticate request using CA token
- * Extracts token from Authorization header and validates it
+ * Extracts token from Authorization header and validates it. Tokens
+ * carrying a confirmation (cnf) are only accepted with a matching DPoP
+ * proof or client certificate.
  *
  * @param {Object} options - Middleware options
+ * @param {Object} [options.dpop] - DPoP proof options (replayCache, nonceSecret, maxAge)
+ * @param {Object} [options.mtls] - Client certificate options (proxyHeader, caCertificate)
  * @returns {Function} Express middleware
  */
 function authenticate(options = {}) {
   const {
     requiredPermissions = {},
     requiredGroups = [],
-    optional = false
+    optional = false,
+    dpop = {},
+    mtls = {}
   } = options;
 
+  const dpopOptions = { replayCache: defaultReplayCache, ...dpop };
+
   return async (req, res, next) => {
     try {
       // Extract token from Authorization header
@@ -50,7 +63,8 @@ function authenticate(options = {}) {
       // Validate token
       const validationResult = await validator.validateToken(token, {
         requiredPermissions,
-        resource
+        resource,
+        clientIp: req.ip
       });
 
       if (!validationResult.valid) {
@@ -61,6 +75,31 @@ function authenticate(options = {}) {
         });
       }
 
+      // Sender-constrained tokens must be presented with their proof
+      const scheme = authHeader.split(/\s+/)[0];
+      const tokenData = validationResult.tokenData || validationResult.token?.data;
+
+      try {
+        await verifyTokenBinding(req, { token, scheme, confirmation: tokenData?.cnf }, {
+          dpop: dpopOptions,
+          mtls
+        });
+      } catch (error) {
+        if (!isBindingError(error)) {
+          throw error;
+        }
+
+        if (error.code === 'use_dpop_nonce') {
+          res.set('DPoP-Nonce', createNonce(dpopOptions.nonceSecret));
+        }
+
+        res.set('WWW-Authenticate', challenge(scheme, error));
+        return res.status(401).json({
+          error: error.code.toUpperCase(),
+          message: error.message
+        });
+      }
+
       // Check group membership if required
       if (requiredGroups.length > 0) {
         const userId = validationResult.userId;
@@ -231,7 +270,8 @@ function authenticateService() {
     try {
       const validationResult = await validator.validateToken(serviceToken, {
         requiredPermissions: { read: true },
-        resource: `service://${req.baseUrl}`
+        resource: `service://${req.baseUrl}`,
+        clientIp: req.ip
       });
 
       if (!validationResult.valid) {
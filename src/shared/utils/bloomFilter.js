@@ -0,0 +1,87 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Bloom Filter
+ * Compact set membership with no false negatives, used to push
+ * token revocations from the CA to services
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+
+class BloomFilter {
+  /**
+   * @param {number} size - Number of bits
+   * @param {number} hashes - Number of hash functions
+   * @param {Buffer} [bits] - Existing bit array
+   */
+  constructor(size, hashes, bits = null) {
+    this.size = size;
+    this.hashes = hashes;
+    this.bits = bits || Buffer.alloc(Math.ceil(size / 8));
+    this.count = 0;
+  }
+
+  /**
+   * Size a filter for an expected number of entries
+   * @param {number} capacity - Expected entries
+   * @param {number} falsePositiveRate - Target false positive rate (0-1)
+   * @returns {BloomFilter}
+   */
+  static forCapacity(capacity, falsePositiveRate = 0.001) {
+    const n = Math.max(capacity, 1);
+    const size = Math.max(64, Math.ceil(-n * Math.log(falsePositiveRate) / (Math.LN2 * Math.LN2)));
+    const hashes = Math.max(1, Math.round((size / n) * Math.LN2));
+    return new BloomFilter(size, hashes);
+  }
+
+  /**
+   * Bit positions for a value (Kirsch-Mitzenmacher double hashing over SHA-256)
+   */
+  positions(value) {
+    const digest = crypto.createHash('sha256').update(String(value)).digest();
+    const h1 = digest.readUInt32BE(0);
+    const h2 = (digest.readUInt32BE(4) | 1) >>> 0;
+
+    const positions = [];
+    for (let i = 0; i < this.hashes; i++) {
+      positions.push((h1 + i * h2) % this.size);
+    }
+    return positions;
+  }
+
+  add(value) {
+    for (const position of this.positions(value)) {
+      this.bits[position >> 3] |= 1 << (position & 7);
+    }
+    this.count++;
+  }
+
+  /**
+   * @returns {boolean} false when the value is definitely absent
+   */
+  has(value) {
+    return this.positions(value).every(position => (this.bits[position >> 3] & (1 << (position & 7))) !== 0);
+  }
+
+  toJSON() {
+    return {
+      size: this.size,
+      hashes: this.hashes,
+      count: this.count,
+      bits: this.bits.toString('base64')
+    };
+  }
+
+  static fromJSON(json) {
+    const bits = Buffer.from(json.bits, 'base64');
+    if (bits.length !== Math.ceil(json.size / 8) || json.hashes < 1) {
+      throw new Error('Invalid bloom filter');
+    }
+
+    const filter = new BloomFilter(json.size, json.hashes, bits);
+    filter.count = json.count || 0;
+    return filter;
+  }
+}
+
+module.exports = BloomFilter;
@@ -2,11 +2,19 @@
  * CA Token Validator - Shared Utility
  * Validates tokens issued by exprsn-ca across all services
  *
- * Implements TOKEN_SPECIFICATION_V1.0.md Section 9: Token Validation
+ * Implements TOKEN_SPECIFICATION_V1.0.md Section 9: Token Validation.
+ * Compact (v2.0) tokens are verified offline against the CA's published
+ * keys and revocation filter, falling back to the CA when the filter is
+ * missing, stale or reports a possible revocation.
  */
 
 const axios = require('axios');
 const crypto = require('crypto');
+const compactToken = require('./compactToken');
+const BloomFilter = require('./bloomFilter');
+
+// Grace period before an unrefreshed revocation filter is considered stale
+const FILTER_GRACE = 30000;
 
 class CATokenValidator {
   constructor(options = {}) {
@@ -19,12 +27,21 @@ class CATokenValidator {
     // Service identity for service-to-service authentication
     this.serviceId = options.serviceId || process.env.SERVICE_ID;
     this.serviceToken = options.serviceToken || process.env.SERVICE_TOKEN;
+
+    // Offline verification of compact tokens
+    this.offlineEnabled = options.offlineEnabled !== false;
+    this.keysTTL = options.keysTTL || 3600000; // 1 hour
+    this.keys = new Map();
+    this.keysLoadedAt = 0;
+    this.revocations = null;
   }
 
   /**
    * Validate a CA token
    * @param {string} token - Token ID to validate
    * @param {Object} options - Validation options
+   * @param {string} [options.clientIp] - Caller address, for ip caveats
+   * @param {string} [options.serviceName] - Validating service, for service caveats (defaults to serviceId)
    * @returns {Promise<Object>} Validation result
    */
   async validateToken(token, options = {}) {
@@ -33,11 +50,17 @@ class CATokenValidator {
       resource = null,
       checkExpiry = true,
       checkRevocation = true,
-      checkCertificate = true
+      checkCertificate = true,
+      clientIp,
+      serviceName = this.serviceId
     } = options;
 
+    if (this.offlineEnabled && compactToken.isCompactToken(token)) {
+      return this.verifyCompactToken(token, options);
+    }
+
     try {
-      // Check cache first
+      // Check cache first (results for tokens with caveats are never cached)
       if (this.cacheEnabled) {
         const cached = this.getFromCache(token);
         if (cached && cached.valid) {
@@ -53,7 +76,9 @@ class CATokenValidator {
           resource: resource,
           checkExpiry,
           checkRevocation,
-          checkCertificate
+          checkCertificate,
+          clientIp,
+          serviceName
         },
         {
           headers: {
@@ -67,8 +92,9 @@ class CATokenValidator {
 
       const validationResult = response.data;
 
-      // Cache successful validation
-      if (this.cacheEnabled && validationResult.valid) {
+      // Cache successful validation unless caveats depend on the request
+      const hasCaveats = validationResult.token?.caveats?.length > 0;
+      if (this.cacheEnabled && validationResult.valid && !hasCaveats) {
         this.addToCache(token, validationResult);
       }
 
@@ -93,6 +119,163 @@ class CATokenValidator {
     }
   }
 
+  /**
+   * Verify a compact (v2.0) token offline
+   * @param {string} token - Compact token
+   * @param {Object} options - Validation options (see validateToken)
+   * @returns {Promise<Object>} Validation result
+   */
+  async verifyCompactToken(token, options = {}) {
+    const { requiredPermissions = {}, resource = null } = options;
+
+    let decoded;
+    try {
+      decoded = compactToken.decode(token);
+    } catch (error) {
+      return { valid: false, error: error.code, message: error.message };
+    }
+
+    const publicKey = await this.getKey(decoded.header.kid);
+    if (!publicKey) {
+      return { valid: false, error: 'UNKNOWN_SIGNING_KEY', message: 'Token is signed by an unknown key' };
+    }
+
+    if (!compactToken.verify(decoded, publicKey)) {
+      return { valid: false, error: 'INVALID_SIGNATURE', message: 'Token signature verification failed' };
+    }
+
+    const claims = decoded.payload;
+    const now = Math.floor(Date.now() / 1000);
+
+    if (claims.exp === undefined || now >= claims.exp) {
+      return { valid: false, error: 'TOKEN_EXPIRED', message: 'Token has expired' };
+    }
+
+    if (claims.nbf !== undefined && now < claims.nbf) {
+      return { valid: false, error: 'TOKEN_NOT_YET_VALID', message: 'Token is not yet valid' };
+    }
+
+    if (!this.hasFreshRevocations()) {
+      await this.loadRevocationFilter();
+    }
+
+    // No false negatives: only a hit (or no usable filter) needs the CA
+    if (!this.hasFreshRevocations() || this.revocations.filter.has(claims.jti)) {
+      return this.validateToken(claims.jti, options);
+    }
+
+    return this.checkPermissions({
+      valid: true,
+      offline: true,
+      tokenId: claims.jti,
+      userId: claims.sub,
+      permissions: compactToken.decodePermissions(claims.prm),
+      resourceType: claims.rt,
+      resourcePattern: claims.rv,
+      expiresAt: claims.exp * 1000,
+      tokenData: claims.dat || null
+    }, requiredPermissions, resource);
+  }
+
+  /**
+   * Public key for a signing key ID, refreshing the key set when unknown or old
+   * @param {string} kid - Signing certificate serial number
+   * @returns {Promise<crypto.KeyObject|null>}
+   */
+  async getKey(kid) {
+    if (!this.keys.has(kid) || Date.now() - this.keysLoadedAt > this.keysTTL) {
+      await this.loadKeys();
+    }
+
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * Fetch the CA's token signing keys
+   */
+  async loadKeys() {
+    try {
+      const response = await axios.get(`${this.caBaseUrl}/api/tokens/keys`, { timeout: 5000 });
+
+      const keys = new Map();
+      for (const key of response.data.keys || []) {
+        keys.set(key.kid, new crypto.X509Certificate(key.certificate).publicKey);
+      }
+
+      this.keys = keys;
+      this.keysLoadedAt = Date.now();
+    } catch (error) {
+      // Keep the previous key set; unknown keys simply fail verification
+      console.error('Failed to load CA token keys:', error.message);
+    }
+  }
+
+  /**
+   * Install a signed revocation filter published by the CA
+   * @param {string} document - Signed filter (compact JWS)
+   * @returns {Promise<boolean>} Whether the filter was accepted
+   */
+  async setRevocationFilter(document) {
+    try {
+      const decoded = compactToken.decode(document);
+      const publicKey = await this.getKey(decoded.header.kid);
+
+      if (!publicKey || !compactToken.verify(decoded, publicKey, compactToken.REVOCATIONS_TYPE)) {
+        throw new Error('signature verification failed');
+      }
+
+      const { issuedAt, nextUpdate, filter } = decoded.payload;
+
+      // Never replace a filter with an older one delivered out of order
+      if (this.revocations && this.revocations.issuedAt > issuedAt) {
+        return false;
+      }
+
+      this.revocations = {
+        issuedAt,
+        nextUpdate,
+        filter: BloomFilter.fromJSON(filter)
+      };
+
+      return true;
+    } catch (error) {
+      console.error('Rejected token revocation filter:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Fetch the current revocation filter from the CA
+   */
+  async loadRevocationFilter() {
+    try {
+      const response = await axios.get(`${this.caBaseUrl}/api/tokens/revocations`, { timeout: 5000 });
+      return this.setRevocationFilter(response.data.document);
+    } catch (error) {
+      console.error('Failed to load token revocation filter:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Receive revocation filters pushed by the CA
+   * @param {IPCWorker} ipc - Shared IPC worker
+   */
+  subscribeRevocations(ipc) {
+    ipc.on('token.revocations', async (data) => {
+      await this.setRevocationFilter(data.document);
+    });
+
+    return this.loadRevocationFilter();
+  }
+
+  /**
+   * Whether the revocation filter is current enough to trust
+   */
+  hasFreshRevocations() {
+    return Boolean(this.revocations) && Date.now() <= this.revocations.nextUpdate + FILTER_GRACE;
+  }
+
   /**
    * Check if token has required permissions
    * @param {Object} validationResult - Result from CA validation
@@ -218,8 +401,8 @@ class CATokenValidator {
   static extractToken(authHeader) {
     if (!authHeader) return null;
 
-    // Support both "Bearer <token>" and "CA-Token <token>" formats
-    const match = authHeader.match(/^(Bearer|CA-Token)\s+(.+)$/i);
+    // Support "Bearer <token>", "CA-Token <token>" and DPoP-bound "DPoP <token>" formats
+    const match = authHeader.match(/^(Bearer|CA-Token|DPoP)\s+(.+)$/i);
     return match ? match[2] : null;
   }
 
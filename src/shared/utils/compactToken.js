@@ -0,0 +1,147 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Compact Token Encoding (Token Specification v2.0)
+ * JWS compact serialization signed PS256 (RSA-SHA256-PSS) by the CA,
+ * verifiable offline against the CA's published keys
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'PS256';
+
+const TOKEN_TYPE = 'exprsn-ca+jwt';
+const REVOCATIONS_TYPE = 'exprsn-ca+revocations';
+
+/**
+ * Permission flags packed into the prm claim
+ */
+const PERMISSION_BITS = {
+  read: 1,
+  write: 2,
+  append: 4,
+  delete: 8,
+  update: 16
+};
+
+const COMPACT_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+function tokenError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+const PSS = {
+  padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+  saltLength: 32
+};
+
+/**
+ * Pack {read, write, ...} into a bitmask
+ */
+function encodePermissions(permissions = {}) {
+  return Object.entries(PERMISSION_BITS)
+    .reduce((mask, [name, bit]) => (permissions[name] ? mask | bit : mask), 0);
+}
+
+/**
+ * Unpack a bitmask into {read, write, append, delete, update}
+ */
+function decodePermissions(mask) {
+  return Object.fromEntries(
+    Object.entries(PERMISSION_BITS).map(([name, bit]) => [name, (mask & bit) !== 0])
+  );
+}
+
+/**
+ * Whether a bearer value is a compact token rather than a v1 token ID
+ */
+function isCompactToken(token) {
+  return typeof token === 'string' && COMPACT_PATTERN.test(token);
+}
+
+/**
+ * Sign a payload
+ * @param {Object} payload - Claims
+ * @param {string} privateKeyPem - CA signing key
+ * @param {string} kid - Key ID (signing certificate serial number)
+ * @param {string} [typ] - JWS typ header
+ * @returns {string} Compact JWS
+ */
+function sign(payload, privateKeyPem, kid, typ = TOKEN_TYPE) {
+  const signingInput = `${encodeSegment({ alg: ALGORITHM, typ, kid })}.${encodeSegment(payload)}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), {
+    key: privateKeyPem,
+    ...PSS
+  });
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Decode without verifying
+ * @param {string} token - Compact JWS
+ * @returns {{header: Object, payload: Object, signingInput: string, signature: Buffer}}
+ */
+function decode(token) {
+  if (!isCompactToken(token)) {
+    throw tokenError('MALFORMED_TOKEN', 'Not a compact token');
+  }
+
+  const [header, payload, signature] = token.split('.');
+
+  try {
+    return {
+      header: decodeSegment(header),
+      payload: decodeSegment(payload),
+      signingInput: `${header}.${payload}`,
+      signature: Buffer.from(signature, 'base64url')
+    };
+  } catch (error) {
+    throw tokenError('MALFORMED_TOKEN', 'Compact token segments are not valid JSON');
+  }
+}
+
+/**
+ * Verify a decoded token's signature
+ * @param {Object} decoded - Result of decode()
+ * @param {string|crypto.KeyObject} publicKey - Key or certificate for header.kid
+ * @param {string} [typ] - Expected typ header
+ * @returns {boolean}
+ */
+function verify(decoded, publicKey, typ = TOKEN_TYPE) {
+  if (decoded.header.alg !== ALGORITHM || decoded.header.typ !== typ) {
+    return false;
+  }
+
+  try {
+    return crypto.verify('sha256', Buffer.from(decoded.signingInput), {
+      key: publicKey,
+      ...PSS
+    }, decoded.signature);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  ALGORITHM,
+  TOKEN_TYPE,
+  REVOCATIONS_TYPE,
+  PERMISSION_BITS,
+  encodePermissions,
+  decodePermissions,
+  isCompactToken,
+  sign,
+  decode,
+  verify
+};
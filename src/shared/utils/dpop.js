@@ -0,0 +1,335 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * DPoP Proofs (RFC 9449)
+ * Proof-of-possession JWTs binding access tokens to a client
+ * key pair, with server nonces and jti replay detection
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+
+const PROOF_TYPE = 'dpop+jwt';
+
+/**
+ * Asymmetric JWS algorithms accepted for proofs
+ */
+const ALGORITHMS = {
+  ES256: { hash: 'sha256', kty: 'EC', crv: 'P-256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', kty: 'EC', crv: 'P-384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', kty: 'EC', crv: 'P-521', dsaEncoding: 'ieee-p1363' },
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  RS384: { hash: 'sha384', kty: 'RSA' },
+  RS512: { hash: 'sha512', kty: 'RSA' },
+  PS256: { hash: 'sha256', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  PS384: { hash: 'sha384', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+  PS512: { hash: 'sha512', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+  EdDSA: { hash: null, kty: 'OKP' }
+};
+
+const SUPPORTED_ALGORITHMS = Object.keys(ALGORITHMS);
+
+/**
+ * Members hashed for the RFC 7638 thumbprint, per key type
+ */
+const THUMBPRINT_MEMBERS = {
+  EC: ['crv', 'kty', 'x', 'y'],
+  RSA: ['e', 'kty', 'n'],
+  OKP: ['crv', 'kty', 'x']
+};
+
+const PRIVATE_MEMBERS = ['d', 'p', 'q', 'dp', 'dq', 'qi', 'oth', 'k'];
+
+const DEFAULTS = {
+  maxAge: 300, // seconds a proof is accepted after iat
+  clockSkew: 30, // seconds a proof's iat may be in the future
+  nonceLifetime: 300
+};
+
+function dpopError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+/**
+ * RFC 7638 JWK thumbprint (SHA-256, base64url)
+ * @param {Object} jwk - Public JWK
+ * @returns {string}
+ */
+function jwkThumbprint(jwk) {
+  const members = THUMBPRINT_MEMBERS[jwk.kty];
+  if (!members) {
+    throw dpopError('invalid_dpop_proof', `Unsupported key type: ${jwk.kty}`);
+  }
+
+  const canonical = `{${members.map(name => `"${name}":${JSON.stringify(jwk[name])}`).join(',')}}`;
+  return sha256(canonical);
+}
+
+/**
+ * The `ath` claim for an access token
+ * @param {string} accessToken
+ * @returns {string}
+ */
+function accessTokenHash(accessToken) {
+  return sha256(accessToken);
+}
+
+/**
+ * Canonical htu form: scheme, host and path without query or fragment
+ * @param {string} url
+ * @returns {string|null}
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}${parsed.pathname}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Absolute URL of an Express request, as clients sign it in htu
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function getRequestUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+}
+
+/**
+ * Issue a stateless server nonce, valid for nonceLifetime seconds
+ * @param {string} secret - HMAC key shared by every instance issuing nonces
+ * @returns {string}
+ */
+function createNonce(secret) {
+  const issuedAt = Math.floor(Date.now() / 1000).toString(36);
+  const mac = crypto.createHmac('sha256', secret).update(issuedAt).digest('base64url');
+  return `${issuedAt}.${mac}`;
+}
+
+/**
+ * Check a nonce issued by createNonce
+ * @param {string} nonce
+ * @param {string} secret
+ * @param {number} [lifetime] - Seconds
+ * @returns {boolean}
+ */
+function verifyNonce(nonce, secret, lifetime = DEFAULTS.nonceLifetime) {
+  if (typeof nonce !== 'string') {
+    return false;
+  }
+
+  const [issuedAt, mac] = nonce.split('.');
+  if (!issuedAt || !mac) {
+    return false;
+  }
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(issuedAt).digest('base64url'));
+  const actual = Buffer.from(mac);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return false;
+  }
+
+  const age = Math.floor(Date.now() / 1000) - parseInt(issuedAt, 36);
+  return age >= 0 && age <= lifetime;
+}
+
+/**
+ * In-process jti store; use createRedisReplayCache when running
+ * more than one instance
+ */
+class MemoryReplayCache {
+  constructor() {
+    this.entries = new Map();
+    this.nextPurge = 0;
+  }
+
+  /**
+   * Record a key
+   * @param {string} key
+   * @param {number} ttl - Seconds to remember the key
+   * @returns {Promise<boolean>} False when the key was already recorded
+   */
+  async add(key, ttl) {
+    const now = Date.now();
+
+    if (now >= this.nextPurge) {
+      for (const [entry, expiresAt] of this.entries) {
+        if (expiresAt <= now) {
+          this.entries.delete(entry);
+        }
+      }
+      this.nextPurge = now + ttl * 1000;
+    }
+
+    const expiresAt = this.entries.get(key);
+    if (expiresAt && expiresAt > now) {
+      return false;
+    }
+
+    this.entries.set(key, now + ttl * 1000);
+    return true;
+  }
+}
+
+/**
+ * jti store backed by Redis (node-redis v4 client)
+ * @param {Object} client - Connected Redis client
+ * @param {string} [prefix]
+ * @returns {{add: Function}}
+ */
+function createRedisReplayCache(client, prefix = 'dpop:jti:') {
+  return {
+    async add(key, ttl) {
+      const result = await client.set(`${prefix}${key}`, '1', { EX: ttl, NX: true });
+      return result === 'OK';
+    }
+  };
+}
+
+function decodeProof(proof) {
+  if (typeof proof !== 'string' || !/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(proof)) {
+    throw dpopError('invalid_dpop_proof', 'DPoP proof is not a compact JWS');
+  }
+
+  const [header, payload, signature] = proof.split('.');
+
+  try {
+    return {
+      header: JSON.parse(Buffer.from(header, 'base64url').toString('utf8')),
+      claims: JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+      signingInput: `${header}.${payload}`,
+      signature: Buffer.from(signature, 'base64url')
+    };
+  } catch (error) {
+    throw dpopError('invalid_dpop_proof', 'DPoP proof segments are not valid JSON');
+  }
+}
+
+function verifySignature(decoded) {
+  const { alg, jwk } = decoded.header;
+  const algorithm = ALGORITHMS[alg];
+
+  if (!algorithm) {
+    throw dpopError('invalid_dpop_proof', `Unsupported DPoP proof algorithm: ${alg}`);
+  }
+
+  if (!jwk || typeof jwk !== 'object' || jwk.kty !== algorithm.kty ||
+      (algorithm.crv && jwk.crv !== algorithm.crv)) {
+    throw dpopError('invalid_dpop_proof', 'DPoP proof jwk does not match its algorithm');
+  }
+
+  if (PRIVATE_MEMBERS.some(member => member in jwk)) {
+    throw dpopError('invalid_dpop_proof', 'DPoP proof jwk must be a public key');
+  }
+
+  let valid = false;
+  try {
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    valid = crypto.verify(algorithm.hash, Buffer.from(decoded.signingInput), {
+      key,
+      dsaEncoding: algorithm.dsaEncoding,
+      padding: algorithm.padding,
+      saltLength: algorithm.saltLength
+    }, decoded.signature);
+  } catch (error) {
+    valid = false;
+  }
+
+  if (!valid) {
+    throw dpopError('invalid_dpop_proof', 'DPoP proof signature verification failed');
+  }
+}
+
+/**
+ * Validate a DPoP proof (RFC 9449 §4.3)
+ * @param {string} proof - Value of the DPoP header
+ * @param {Object} options
+ * @param {string} options.method - HTTP method of the request
+ * @param {string} options.url - Absolute URL of the request
+ * @param {string} [options.accessToken] - Token the proof must be bound to (ath)
+ * @param {string} [options.nonceSecret] - When set, proofs must carry a current server nonce
+ * @param {number} [options.nonceLifetime] - Seconds
+ * @param {number} [options.maxAge] - Seconds a proof is accepted after iat
+ * @param {number} [options.clockSkew] - Seconds iat may be ahead of the server
+ * @param {Object} [options.replayCache] - {add(key, ttl)} store for seen jti values
+ * @returns {Promise<{jkt: string, jti: string, claims: Object}>}
+ */
+async function verifyProof(proof, options = {}) {
+  const {
+    method,
+    url,
+    accessToken,
+    nonceSecret,
+    nonceLifetime = DEFAULTS.nonceLifetime,
+    maxAge = DEFAULTS.maxAge,
+    clockSkew = DEFAULTS.clockSkew,
+    replayCache
+  } = options;
+
+  const decoded = decodeProof(proof);
+
+  if (decoded.header.typ !== PROOF_TYPE) {
+    throw dpopError('invalid_dpop_proof', `DPoP proof typ must be ${PROOF_TYPE}`);
+  }
+
+  verifySignature(decoded);
+
+  const { claims } = decoded;
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof claims.jti !== 'string' || claims.jti.length === 0 || claims.jti.length > 256) {
+    throw dpopError('invalid_dpop_proof', 'DPoP proof jti is missing or invalid');
+  }
+
+  if (typeof claims.htm !== 'string' || claims.htm.toUpperCase() !== method.toUpperCase()) {
+    throw dpopError('invalid_dpop_proof', 'DPoP proof htm does not match the request method');
+  }
+
+  const htu = normalizeUrl(claims.htu);
+  if (!htu || htu !== normalizeUrl(url)) {
+    throw dpopError('invalid_dpop_proof', 'DPoP proof htu does not match the request URL');
+  }
+
+  if (typeof claims.iat !== 'number' || claims.iat > now + clockSkew || claims.iat < now - maxAge) {
+    throw dpopError('invalid_dpop_proof', 'DPoP proof iat is outside the acceptable window');
+  }
+
+  if (accessToken !== undefined && claims.ath !== accessTokenHash(accessToken)) {
+    throw dpopError('invalid_dpop_proof', 'DPoP proof ath does not match the access token');
+  }
+
+  if (nonceSecret && !verifyNonce(claims.nonce, nonceSecret, nonceLifetime)) {
+    throw dpopError('use_dpop_nonce', 'Authorization server requires nonce in DPoP proof');
+  }
+
+  const jkt = jwkThumbprint(decoded.header.jwk);
+
+  // Checked last so invalid proofs never occupy the cache
+  if (replayCache && !(await replayCache.add(sha256(`${jkt}:${claims.jti}`), maxAge + clockSkew))) {
+    throw dpopError('invalid_dpop_proof', 'DPoP proof has already been used');
+  }
+
+  return { jkt, jti: claims.jti, claims };
+}
+
+module.exports = {
+  PROOF_TYPE,
+  SUPPORTED_ALGORITHMS,
+  DEFAULTS,
+  jwkThumbprint,
+  accessTokenHash,
+  normalizeUrl,
+  getRequestUrl,
+  createNonce,
+  verifyNonce,
+  MemoryReplayCache,
+  createRedisReplayCache,
+  verifyProof
+};
@@ -9,8 +9,12 @@ const https = require('https');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { X509Certificate } = require('crypto');
 const logger = require('./logger');
 
+// Event published by exprsn-ca when it renews a certificate
+const CERTIFICATE_RENEWED = 'certificate.renewed';
+
 class HTTPSServerManager {
   constructor(options = {}) {
     this.serviceName = options.serviceName || 'unknown';
@@ -35,6 +39,22 @@ class HTTPSServerManager {
     this.tlsEnabled = process.env.TLS_ENABLED !== 'false' &&
                       fs.existsSync(this.certPath) &&
                       fs.existsSync(this.keyPath);
+
+    this.httpsServer = null;
+  }
+
+  /**
+   * TLS options shared by server creation and hot reload
+   */
+  getTLSOptions() {
+    return {
+      key: fs.readFileSync(this.keyPath),
+      cert: fs.readFileSync(this.certPath),
+
+      // Security options
+      honorCipherOrder: true,
+      minVersion: 'TLSv1.2'
+    };
   }
 
   /**
@@ -54,18 +74,14 @@ class HTTPSServerManager {
 
     try {
       const options = {
-        key: fs.readFileSync(this.keyPath),
-        cert: fs.readFileSync(this.certPath),
-
-        // Security options
-        honorCipherOrder: true,
-        minVersion: 'TLSv1.2',
+        ...this.getTLSOptions(),
 
         // Reject unauthorized in production
         rejectUnauthorized: process.env.NODE_ENV === 'production'
       };
 
       const server = https.createServer(options, app);
+      this.httpsServer = server;
 
       logger.info('HTTPS server created', {
         service: this.serviceName,
@@ -194,6 +210,93 @@ class HTTPSServerManager {
     return servers;
   }
 
+  /**
+   * Reload the certificate and key from disk into the running HTTPS server.
+   * New connections use the new certificate; open ones are unaffected.
+   * @returns {boolean} Whether the certificate was reloaded
+   */
+  reloadCertificate() {
+    if (!this.httpsServer) {
+      return false;
+    }
+
+    try {
+      this.httpsServer.setSecureContext(this.getTLSOptions());
+
+      logger.info('TLS certificate reloaded', {
+        service: this.serviceName,
+        cert: path.basename(this.certPath)
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to reload TLS certificate', {
+        service: this.serviceName,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Hot-reload this service's certificate when exprsn-ca renews it
+   * @param {IPCWorker} ipc - Shared IPC worker
+   */
+  watchRenewals(ipc) {
+    ipc.on(CERTIFICATE_RENEWED, async (data) => {
+      try {
+        await this.applyRenewal(data);
+      } catch (error) {
+        logger.error('Failed to apply certificate renewal', {
+          service: this.serviceName,
+          certificateId: data.certificateId,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * Install a renewed certificate if it replaces the one this server presents
+   * @param {Object} renewal - certificate.renewed payload
+   * @returns {Promise<boolean>} Whether the certificate was installed
+   */
+  async applyRenewal(renewal) {
+    if (!this.httpsServer) {
+      return false;
+    }
+
+    const current = new X509Certificate(fs.readFileSync(this.certPath));
+    const fingerprint = current.fingerprint256.replace(/:/g, '').toLowerCase();
+
+    if (fingerprint !== renewal.previousFingerprint) {
+      return false;
+    }
+
+    // A new key pair has to be delivered out of band; the event never carries keys
+    if (renewal.rekeyed) {
+      logger.warn('TLS certificate renewed with a new key; install the new key and certificate to reload', {
+        service: this.serviceName,
+        certificateId: renewal.certificateId,
+        notAfter: renewal.notAfter
+      });
+      return false;
+    }
+
+    // Write beside the original and rename so readers never see a partial file
+    const tmpPath = `${this.certPath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, renewal.certificatePem + (renewal.chainPem || ''));
+    await fs.promises.rename(tmpPath, this.certPath);
+
+    logger.info('TLS certificate renewed', {
+      service: this.serviceName,
+      serialNumber: renewal.serialNumber,
+      notAfter: renewal.notAfter
+    });
+
+    return this.reloadCertificate();
+  }
+
   /**
    * Get certificate information
    */
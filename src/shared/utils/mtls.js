@@ -0,0 +1,96 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Mutual-TLS Client Certificates (RFC 8705)
+ * Client certificate extraction and x5t#S256 thumbprints for
+ * certificate-bound access tokens
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+
+/**
+ * x5t#S256 confirmation value for a certificate
+ * @param {Buffer} der - DER-encoded certificate
+ * @returns {string}
+ */
+function certificateThumbprint(der) {
+  return crypto.createHash('sha256').update(der).digest('base64url');
+}
+
+/**
+ * Whether a certificate was issued by the given CA and is currently valid
+ * @param {crypto.X509Certificate} certificate
+ * @param {crypto.X509Certificate} issuer
+ * @returns {boolean}
+ */
+function isIssuedBy(certificate, issuer) {
+  const now = Date.now();
+
+  return certificate.checkIssued(issuer) &&
+    certificate.verify(issuer.publicKey) &&
+    new Date(certificate.validFrom).getTime() <= now &&
+    now <= new Date(certificate.validTo).getTime();
+}
+
+/**
+ * Client certificate presented with a request
+ *
+ * Certificates on a direct TLS connection count only when the handshake
+ * verified them against the server's trusted CAs. Behind a TLS-terminating
+ * proxy, the certificate is read from `proxyHeader` (URL-encoded PEM); the
+ * proxy must strip that header from client requests.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} [options]
+ * @param {string} [options.proxyHeader] - Header set by a trusted proxy
+ * @param {string|Buffer} [options.caCertificate] - Issuer required for proxied certificates (PEM)
+ * @returns {Buffer|null} DER-encoded certificate
+ */
+function getClientCertificate(req, options = {}) {
+  const { proxyHeader, caCertificate } = options;
+  const socket = req.socket;
+
+  if (socket && typeof socket.getPeerCertificate === 'function') {
+    if (!socket.authorized) {
+      return null;
+    }
+
+    const peer = socket.getPeerCertificate();
+    return peer && peer.raw ? peer.raw : null;
+  }
+
+  const forwarded = proxyHeader && req.headers[proxyHeader.toLowerCase()];
+  if (!forwarded) {
+    return null;
+  }
+
+  try {
+    const certificate = new crypto.X509Certificate(decodeURIComponent(forwarded));
+
+    if (caCertificate && !isIssuedBy(certificate, new crypto.X509Certificate(caCertificate))) {
+      return null;
+    }
+
+    return certificate.raw;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * x5t#S256 of the request's client certificate
+ * @param {Object} req - Express request
+ * @param {Object} [options] - See getClientCertificate
+ * @returns {string|null}
+ */
+function getCertificateThumbprint(req, options = {}) {
+  const der = getClientCertificate(req, options);
+  return der ? certificateThumbprint(der) : null;
+}
+
+module.exports = {
+  certificateThumbprint,
+  isIssuedBy,
+  getClientCertificate,
+  getCertificateThumbprint
+};
@@ -0,0 +1,135 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * Sender-Constrained Tokens
+ * Enforces an access token's confirmation (cnf) claim: a DPoP
+ * key thumbprint (jkt, RFC 9449) and/or a client certificate
+ * thumbprint (x5t#S256, RFC 8705)
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const dpop = require('./dpop');
+const mtls = require('./mtls');
+
+const ERROR_CODES = ['invalid_token', 'invalid_dpop_proof', 'use_dpop_nonce'];
+
+function bindingError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Whether an error is a binding failure rather than an internal error
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isBindingError(error) {
+  return ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Split an Authorization header into scheme and token
+ * @param {string} authHeader
+ * @returns {{scheme: string, token: string}|null}
+ */
+function parseAuthorization(authHeader) {
+  const match = /^(Bearer|DPoP)\s+(\S+)$/i.exec(authHeader || '');
+  return match ? { scheme: match[1], token: match[2] } : null;
+}
+
+/**
+ * The request's single DPoP proof
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getProof(req) {
+  const proof = req.headers.dpop;
+
+  if (!proof) {
+    return null;
+  }
+
+  // Repeated headers are joined with commas, which never occur in a JWS
+  if (proof.includes(',')) {
+    throw bindingError('invalid_dpop_proof', 'Exactly one DPoP proof is allowed');
+  }
+
+  return proof;
+}
+
+/**
+ * Verify the request satisfies the token's confirmation
+ * @param {Object} req - Express request
+ * @param {Object} presented
+ * @param {string} presented.token - Access token as presented
+ * @param {string} presented.scheme - Authorization scheme it was presented with
+ * @param {Object} [presented.confirmation] - cnf of the token
+ * @param {Object} [options]
+ * @param {Object} [options.dpop] - dpop.verifyProof options (nonceSecret, replayCache, ...)
+ * @param {Object} [options.mtls] - mtls.getClientCertificate options
+ * @returns {Promise<void>}
+ * @throws {Error} with code invalid_token, invalid_dpop_proof or use_dpop_nonce
+ */
+async function verifyTokenBinding(req, presented, options = {}) {
+  const { token, scheme, confirmation } = presented;
+  const cnf = confirmation || {};
+  const usesDPoP = /^dpop$/i.test(scheme || '');
+
+  if (cnf.jkt || usesDPoP) {
+    if (!cnf.jkt) {
+      throw bindingError('invalid_token', 'Access token is not DPoP-bound');
+    }
+
+    if (!usesDPoP) {
+      throw bindingError('invalid_token', 'DPoP-bound access token must be presented with the DPoP scheme');
+    }
+
+    const proof = getProof(req);
+    if (!proof) {
+      throw bindingError('invalid_dpop_proof', 'DPoP proof is required');
+    }
+
+    const { jkt } = await dpop.verifyProof(proof, {
+      ...options.dpop,
+      method: req.method,
+      url: dpop.getRequestUrl(req),
+      accessToken: token
+    });
+
+    if (jkt !== cnf.jkt) {
+      throw bindingError('invalid_dpop_proof', 'DPoP proof key does not match the access token');
+    }
+  }
+
+  if (cnf['x5t#S256']) {
+    const thumbprint = mtls.getCertificateThumbprint(req, options.mtls);
+
+    if (thumbprint !== cnf['x5t#S256']) {
+      throw bindingError('invalid_token', 'Access token is bound to a different client certificate');
+    }
+  }
+}
+
+/**
+ * WWW-Authenticate challenge for a failed binding check
+ * @param {string} scheme - Bearer or DPoP
+ * @param {Error} error - Error from verifyTokenBinding
+ * @returns {string}
+ */
+function challenge(scheme, error) {
+  const description = error.message.replace(/["\\]/g, '');
+
+  if (/^dpop$/i.test(scheme) || error.code !== 'invalid_token') {
+    return `DPoP error="${error.code}", error_description="${description}", algs="${dpop.SUPPORTED_ALGORITHMS.join(' ')}"`;
+  }
+
+  return `Bearer error="${error.code}", error_description="${description}"`;
+}
+
+module.exports = {
+  isBindingError,
+  parseAuthorization,
+  getProof,
+  verifyTokenBinding,
+  challenge
+};